@@ -19,9 +19,10 @@ import authRoutes from "./src/auth/routes";
 import authApiRoutes from "./src/api/auth";
 import botRoutes from "./src/api/bot";
 import rewardsRoutes from "./src/api/rewards";
-import obsRoutes from "./src/api/obs";
+import obsRoutes, { verifyRouter as obsVerifyRoutes } from "./src/api/obs";
 import viewerRoutes from "./src/api/viewer";
 import settingsRoutes from "./src/api/settings";
+import rolesRoutes from "./src/api/roles";
 import { apiRouter as miscApiRoutes, redirectRouter as redirectsRoutes } from "./src/api/misc";
 import { authLimiter, apiLimiter } from "./src/middleware/rateLimit";
 
@@ -69,13 +70,20 @@ app.use(requestLoggingMiddleware);
 
 // Mount route modules (with rate limiting)
 app.use("/auth", authLimiter, authRoutes);
-app.use("/api/auth", apiLimiter, authApiRoutes);
-app.use("/api/bot", apiLimiter, botRoutes);
-app.use("/api/rewards", apiLimiter, rewardsRoutes);
-app.use("/api/obs", apiLimiter, obsRoutes);
-app.use("/api/viewer", apiLimiter, viewerRoutes);
-app.use("/api", apiLimiter, settingsRoutes); // For /api/tts/settings
-app.use("/api", apiLimiter, miscApiRoutes); // For /api/shortlink, /api/tts/test
+// Ahead of the /api limiter: the TTS service checks every channel's browser
+// sources from the same addresses, so this has its own limiter, per address
+// and channel.
+app.use("/api/obs/verify", obsVerifyRoutes);
+// Once for all of /api, so a request counts once whichever router answers it.
+app.use("/api", apiLimiter);
+app.use("/api/auth", authApiRoutes);
+app.use("/api/bot", botRoutes);
+app.use("/api/rewards", rewardsRoutes);
+app.use("/api/obs", obsRoutes);
+app.use("/api/viewer", viewerRoutes);
+app.use("/api/roles", rolesRoutes);
+app.use("/api", settingsRoutes); // For /api/tts/settings
+app.use("/api", miscApiRoutes); // For /api/shortlink, /api/tts/test
 app.use("/", redirectsRoutes); // For /s/:slug redirect
 
 // Health check endpoint
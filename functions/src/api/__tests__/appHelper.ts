@@ -34,9 +34,10 @@ export async function createTestApp() {
   const authApiRoutes = require('../auth').default;
   const botRoutes = require('../bot').default;
   const rewardsRoutes = require('../rewards').default;
-  const obsRoutes = require('../obs').default;
+  const { default: obsRoutes, verifyRouter: obsVerifyRoutes } = require('../obs');
   const viewerRoutes = require('../viewer').default;
   const settingsRoutes = require('../settings').default;
+  const rolesRoutes = require('../roles').default;
   const { apiRouter: miscApiRoutes, redirectRouter: redirectsRoutes } = require('../misc');
   const { authLimiter, apiLimiter } = require('../../middleware/rateLimit');
 
@@ -78,13 +79,16 @@ export async function createTestApp() {
 
   // Mount route modules (with rate limiting)
   app.use('/auth', authLimiter, authRoutes);
-  app.use('/api/auth', apiLimiter, authApiRoutes);
-  app.use('/api/bot', apiLimiter, botRoutes);
-  app.use('/api/rewards', apiLimiter, rewardsRoutes);
-  app.use('/api/obs', apiLimiter, obsRoutes);
-  app.use('/api/viewer', apiLimiter, viewerRoutes);
-  app.use('/api', apiLimiter, settingsRoutes);
-  app.use('/api', apiLimiter, miscApiRoutes);
+  app.use('/api/obs/verify', obsVerifyRoutes);
+  app.use('/api', apiLimiter);
+  app.use('/api/auth', authApiRoutes);
+  app.use('/api/bot', botRoutes);
+  app.use('/api/rewards', rewardsRoutes);
+  app.use('/api/obs', obsRoutes);
+  app.use('/api/viewer', viewerRoutes);
+  app.use('/api/roles', rolesRoutes);
+  app.use('/api', settingsRoutes);
+  app.use('/api', miscApiRoutes);
   app.use('/', redirectsRoutes);
 
   // Health check endpoint
@@ -0,0 +1,231 @@
+/**
+ * Integration tests for banned-word rules
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+
+jest.mock('../../services/firestore', () => {
+  const mockDbInstance: any = {
+    collection: jest.fn(),
+    doc: jest.fn(),
+    get: jest.fn(),
+    set: jest.fn(),
+    runTransaction: jest.fn(),
+    where: jest.fn(),
+    limit: jest.fn(),
+  };
+  mockDbInstance.collection.mockReturnValue(mockDbInstance);
+  mockDbInstance.doc.mockReturnValue(mockDbInstance);
+
+  return {
+    db: mockDbInstance,
+    COLLECTIONS: {
+      TTS_CHANNEL_CONFIGS: 'ttsChannelConfigs',
+      CHANNEL_ROLES: 'channelRoles',
+    },
+    FieldValue: {
+      delete: jest.fn(() => ({ type: 'delete' })),
+      serverTimestamp: jest.fn(() => ({ type: 'serverTimestamp' })),
+    },
+    FieldPath: class {},
+  };
+});
+
+import request from 'supertest';
+import { createTestApp } from './appHelper';
+import { createTestToken, runMockTransaction } from './testHelpers';
+import { db, FieldValue } from '../../services/firestore';
+import { legacyRuleId, BANNED_WORD_LIMITS } from '../../services/bannedWordRules';
+
+describe('Banned Word Rules API Integration Tests (Mocked Firestore)', () => {
+  let app: any;
+  let authToken: string;
+  const channelName = 'testchannel';
+  const testUser = {
+    userId: 'user-123',
+    userLogin: channelName,
+    displayName: 'TestChannel',
+  };
+  const base = `/api/tts/banned-words/channel/${channelName}`;
+
+  const skipRule = { type: 'wildcard', pattern: 'spoil*', action: 'skip', replacement: null };
+  const stored = {
+    bannedWordRules: { r1: skipRule },
+    bannedWords: ['legacy'],
+  };
+  const legacyId = legacyRuleId('legacy');
+
+  const recorded = () => ((db as any).set as any).mock.calls
+    .map(([payload]: any[]) => payload)
+    .filter((payload: any) => payload && payload.source);
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    authToken = createTestToken(testUser);
+  });
+
+  beforeEach(() => {
+    ((db as any).collection as any).mockReturnValue(db);
+    ((db as any).doc as any).mockReturnValue(db);
+    (FieldValue.delete as any).mockImplementation(() => ({ type: 'delete' }));
+    (FieldValue.serverTimestamp as any).mockImplementation(() => ({ type: 'serverTimestamp' }));
+    ((db as any).runTransaction as any).mockImplementation((fn: any) => runMockTransaction(db, fn));
+    ((db as any).get as any).mockResolvedValue({ exists: true, data: () => stored });
+  });
+
+  it('lists stored rules and legacy words together', async () => {
+    const response = await request(app)
+      .get(base)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body).toEqual({
+      success: true,
+      rules: [
+        { id: 'r1', ...skipRule },
+        { id: legacyId, type: 'whole-word', pattern: 'legacy', action: 'drop', replacement: null, legacy: true },
+      ],
+    });
+  });
+
+  it('adds a rule and moves legacy words into the rules map with it', async () => {
+    const rule = { type: 'normalized', pattern: 'Heck', action: 'replace', replacement: 'gosh' };
+
+    const response = await request(app)
+      .post(base)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ rule })
+      .expect(200);
+
+    const id = response.body.rule.id;
+    expect(response.body.rule).toEqual({ id, ...rule, pattern: 'heck' });
+    // The bot still filters on bannedWords, so the moved word stays there.
+    expect((db as any).set).toHaveBeenCalledWith({
+      bannedWords: ['legacy'],
+      bannedWordRules: {
+        [legacyId]: { type: 'whole-word', pattern: 'legacy', action: 'drop', replacement: null },
+        [id]: { ...rule, pattern: 'heck' },
+      },
+    }, { merge: true });
+    expect(recorded().map((entry: any) => [entry.key, entry.source])).toEqual([
+      [`bannedWordRules.${legacyId}`, 'banned-words'],
+      [`bannedWordRules.${id}`, 'banned-words'],
+    ]);
+  });
+
+  it('rejects a regular expression that could backtrack', async () => {
+    const response = await request(app)
+      .post(base)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ rule: { type: 'regex', pattern: '(a+)+b' } })
+      .expect(400);
+
+    expect(response.body.error).toBe('Pattern cannot repeat a group that itself repeats or alternates');
+    expect((db as any).runTransaction).not.toHaveBeenCalled();
+  });
+
+  it('refuses a new rule at the cap', async () => {
+    const full = Object.fromEntries(Array.from({ length: BANNED_WORD_LIMITS.MAX_RULES }, (_, i) => [`r${i}`, { ...skipRule, pattern: `w${i}` }]));
+    ((db as any).get as any).mockResolvedValueOnce({ exists: true, data: () => ({ bannedWordRules: full }) });
+
+    await request(app)
+      .post(base)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ word: 'one more' })
+      .expect(400);
+
+    expect((db as any).set).not.toHaveBeenCalled();
+  });
+
+  it('edits a legacy word by the ID it was listed with', async () => {
+    const rule = { type: 'whole-word', pattern: 'legacy', action: 'skip' };
+
+    await request(app)
+      .put(`${base}/${legacyId}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ rule })
+      .expect(200);
+
+    expect((db as any).set).toHaveBeenCalledWith({
+      bannedWords: ['legacy'],
+      bannedWordRules: { [legacyId]: { ...rule, replacement: null } },
+    }, { merge: true });
+    expect(recorded().find((entry: any) => entry.key === `bannedWordRules.${legacyId}` && entry.oldValue !== null)).toMatchObject({
+      oldValue: { action: 'drop' },
+      newValue: { action: 'skip' },
+    });
+  });
+
+  it('refuses to edit a missing rule or duplicate another', async () => {
+    await request(app)
+      .put(`${base}/nope`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ rule: { pattern: 'x' } })
+      .expect(404);
+
+    await request(app)
+      .put(`${base}/r1`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ rule: { type: 'whole-word', pattern: 'legacy' } })
+      .expect(409);
+
+    expect((db as any).set).not.toHaveBeenCalled();
+  });
+
+  it('removes a rule by ID', async () => {
+    await request(app)
+      .delete(`${base}/r1`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect((db as any).set).toHaveBeenCalledWith(expect.objectContaining({
+      bannedWordRules: expect.objectContaining({ r1: { type: 'delete' } }),
+    }), { merge: true });
+    expect(recorded()).toContainEqual(expect.objectContaining({ key: 'bannedWordRules.r1', oldValue: skipRule, newValue: null }));
+  });
+
+  it('keeps the bot\'s bannedWords copy in step with whole-word and exact rules', async () => {
+    ((db as any).get as any).mockResolvedValueOnce({
+      exists: true,
+      data: () => ({
+        bannedWordRules: { r1: skipRule, r2: { type: 'exact', pattern: 'gone', action: 'drop', replacement: null } },
+        bannedWords: ['gone'],
+      }),
+    });
+
+    await request(app)
+      .post(base)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ word: 'fresh' })
+      .expect(200);
+
+    ((db as any).get as any).mockResolvedValueOnce({
+      exists: true,
+      data: () => ({
+        bannedWordRules: { r1: skipRule, r2: { type: 'exact', pattern: 'gone', action: 'drop', replacement: null } },
+        bannedWords: ['gone'],
+      }),
+    });
+
+    await request(app)
+      .delete(`${base}/r2`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    const writes = ((db as any).set as any).mock.calls
+      .map(([payload]: any[]) => payload)
+      .filter((payload: any) => payload && payload.bannedWordRules);
+    expect(writes.map((payload: any) => payload.bannedWords)).toEqual([['fresh', 'gone'], []]);
+  });
+
+  it('tests an unsaved rule against a sample message', async () => {
+    const response = await request(app)
+      .post(`${base}/test`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ rule: { type: 'wildcard', pattern: 'spoil*', action: 'replace', replacement: 'beep' }, text: 'no spoilers please' })
+      .expect(200);
+
+    expect(response.body).toEqual({ success: true, matched: true, dropped: false, result: 'no beep please' });
+    expect((db as any).get).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,345 @@
+/**
+ * Integration tests for delegated channel roles
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+
+jest.mock('../../services/firestore', () => {
+  const mockDbInstance: any = {
+    collection: jest.fn(),
+    doc: jest.fn(),
+    get: jest.fn(),
+    set: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+    runTransaction: jest.fn(),
+    where: jest.fn(),
+    limit: jest.fn(),
+    batch: jest.fn(),
+  };
+  mockDbInstance.collection.mockReturnValue(mockDbInstance);
+  mockDbInstance.doc.mockReturnValue(mockDbInstance);
+
+  return {
+    db: mockDbInstance,
+    COLLECTIONS: {
+      MANAGED_CHANNELS: 'managedChannels',
+      TTS_CHANNEL_CONFIGS: 'ttsChannelConfigs',
+      CHANNEL_ROLES: 'channelRoles',
+    },
+    FieldValue: {
+      arrayUnion: jest.fn((val: any) => ({ type: 'arrayUnion', value: val })),
+      serverTimestamp: jest.fn(() => ({ type: 'serverTimestamp' })),
+    },
+    FieldPath: class {},
+  };
+});
+
+const mockGetUserByUsername = jest.fn<any>();
+jest.mock('../../services/twitch', () => ({
+  getUserByUsername: mockGetUserByUsername,
+}));
+
+import request from 'supertest';
+import { createTestApp } from './appHelper';
+import { createTestToken, runMockTransaction } from './testHelpers';
+import { db, FieldValue } from '../../services/firestore';
+
+describe('Channel Roles API Integration Tests (Mocked Firestore)', () => {
+  let app: any;
+  let ownerToken: string;
+  const channelName = 'testchannel';
+  const testUser = {
+    userId: 'user-123',
+    userLogin: channelName,
+    displayName: 'TestChannel',
+  };
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    ownerToken = createTestToken(testUser);
+  });
+
+  beforeEach(() => {
+    ((db as any).collection as any).mockReturnValue(db);
+    ((db as any).doc as any).mockReturnValue(db);
+    for (const method of ['where', 'limit']) {
+      ((db as any)[method] as any).mockReturnValue(db);
+    }
+    (FieldValue.arrayUnion as any).mockImplementation((val: any) => ({ type: 'arrayUnion', value: val }));
+    (FieldValue.serverTimestamp as any).mockImplementation(() => ({ type: 'serverTimestamp' }));
+    ((db as any).runTransaction as any).mockImplementation((fn: any) => runMockTransaction(db, fn));
+    // The empty query result is what a role lookup sees when nothing is granted.
+    ((db as any).get as any).mockResolvedValue({ exists: false, empty: true, docs: [], data: () => undefined });
+  });
+
+  describe('Delegated channel roles', () => {
+    const delegate = { userId: 'user-789', userLogin: 'helpfulmod', displayName: 'HelpfulMod' };
+    let delegateToken: string;
+
+    beforeAll(() => {
+      delegateToken = createTestToken(delegate);
+    });
+
+    // The role lookup is the first read a delegated request makes.
+    const grantRole = (role: string) => {
+      ((db as any).get as any).mockResolvedValueOnce({
+        empty: false,
+        docs: [{
+          data: () => ({
+            broadcasterId: testUser.userId,
+            broadcasterLogin: channelName,
+            userId: delegate.userId,
+            login: delegate.userLogin,
+            displayName: delegate.displayName,
+            role,
+          }),
+        }],
+      });
+    };
+
+    it('looks up the grant by channel login and caller ID', async () => {
+      grantRole('viewer-only');
+
+      await request(app)
+        .get(`/api/tts/settings/channel/${channelName}`)
+        .set('Authorization', `Bearer ${delegateToken}`)
+        .expect(200);
+
+      expect(db.collection).toHaveBeenCalledWith('channelRoles');
+      expect((db as any).where).toHaveBeenCalledWith('broadcasterLogin', '==', channelName);
+      expect((db as any).where).toHaveBeenCalledWith('userId', '==', delegate.userId);
+    });
+
+    it('lets a viewer-only grant read settings without the OBS token', async () => {
+      grantRole('viewer-only');
+      ((db as any).get as any).mockResolvedValueOnce({
+        exists: true,
+        data: () => ({ speed: 1.2, obsSocketToken: 'secret-token' }),
+      });
+
+      const response = await request(app)
+        .get(`/api/tts/settings/channel/${channelName}`)
+        .set('Authorization', `Bearer ${delegateToken}`)
+        .expect(200);
+
+      expect(db.doc).toHaveBeenCalledWith(testUser.userId);
+      expect(response.body.settings).toEqual({ speed: 1.2 });
+    });
+
+    it('refuses a viewer-only grant any write', async () => {
+      grantRole('viewer-only');
+
+      await request(app)
+        .post(`/api/tts/banned-words/channel/${channelName}`)
+        .set('Authorization', `Bearer ${delegateToken}`)
+        .send({ word: 'badword' })
+        .expect(403);
+
+      expect((db as any).set).not.toHaveBeenCalled();
+    });
+
+    it('lets a moderator maintain banned words on the broadcaster\'s document', async () => {
+      grantRole('moderator');
+
+      await request(app)
+        .post(`/api/tts/banned-words/channel/${channelName}`)
+        .set('Authorization', `Bearer ${delegateToken}`)
+        .send({ word: 'badword' })
+        .expect(200);
+
+      expect(db.doc).toHaveBeenCalledWith(testUser.userId);
+      const [payload, options] = ((db as any).set as any).mock.calls[0];
+      expect(Object.values(payload.bannedWordRules)).toEqual([
+        { type: 'whole-word', pattern: 'badword', action: 'drop', replacement: null },
+      ]);
+      expect(options).toEqual({ merge: true });
+      // The history names whoever actually made the change.
+      expect((db as any).set).toHaveBeenCalledWith(expect.objectContaining({
+        actor: { id: `twitch:${delegate.userId}`, login: delegate.userLogin },
+        source: 'banned-words',
+      }));
+    });
+
+    it('refuses a moderator TTS setting changes', async () => {
+      grantRole('moderator');
+
+      await request(app)
+        .put(`/api/tts/settings/channel/${channelName}`)
+        .set('Authorization', `Bearer ${delegateToken}`)
+        .send({ key: 'speed', value: 1.5 })
+        .expect(403);
+
+      expect((db as any).set).not.toHaveBeenCalled();
+    });
+
+    it('lets an editor change TTS settings', async () => {
+      grantRole('editor');
+
+      await request(app)
+        .put(`/api/tts/settings/channel/${channelName}`)
+        .set('Authorization', `Bearer ${delegateToken}`)
+        .send({ key: 'speed', value: 1.5 })
+        .expect(200);
+
+      expect(db.doc).toHaveBeenCalledWith(testUser.userId);
+      expect((db as any).set).toHaveBeenCalledWith({ speed: 1.5 }, { merge: true });
+    });
+
+    it('keeps the OBS token out of an editor\'s import conflict', async () => {
+      grantRole('editor');
+      ((db as any).get as any).mockResolvedValueOnce({
+        exists: true,
+        data: () => ({ speed: 1.2, obsSocketToken: 'secret-token' }),
+        updateTime: { seconds: 1700000009, nanoseconds: 0 },
+      });
+
+      const response = await request(app)
+        .post(`/api/tts/config/channel/${channelName}/import`)
+        .set('Authorization', `Bearer ${delegateToken}`)
+        .send({
+          bundle: { format: 'chatvibes-tts-config', version: 1, config: { settings: { speed: 1.5 } } },
+          expectedVersion: '1700000000.000000000',
+        })
+        .expect(409);
+
+      expect(response.body.details.settings).toEqual({ speed: 1.2 });
+      expect((db as any).set).not.toHaveBeenCalled();
+    });
+
+    it('returns 500 when the role lookup fails', async () => {
+      ((db as any).get as any).mockRejectedValueOnce(new Error('boom'));
+
+      await request(app)
+        .get(`/api/tts/settings/channel/${channelName}`)
+        .set('Authorization', `Bearer ${delegateToken}`)
+        .expect(500);
+    });
+  });
+
+  describe('GET /api/roles/channels', () => {
+    it('lists the caller\'s own channel first, then those granted to them', async () => {
+      ((db as any).get as any).mockResolvedValueOnce({
+        docs: [{ data: () => ({ broadcasterId: 'b-1', broadcasterLogin: 'otherchannel', userId: testUser.userId, login: channelName, displayName: 'TestChannel', role: 'moderator' }) }],
+      });
+      ((db as any).get as any).mockResolvedValueOnce({ exists: true });
+
+      const response = await request(app)
+        .get('/api/roles/channels')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect((db as any).where).toHaveBeenCalledWith('userId', '==', testUser.userId);
+      expect(response.body.channels).toEqual([
+        { login: channelName, role: 'broadcaster' },
+        { login: 'otherchannel', role: 'moderator' },
+      ]);
+    });
+
+    it('leaves out the caller\'s own channel when it is not approved', async () => {
+      ((db as any).get as any).mockResolvedValueOnce({
+        docs: [{ data: () => ({ broadcasterId: 'b-1', broadcasterLogin: 'otherchannel', userId: testUser.userId, login: channelName, displayName: 'TestChannel', role: 'editor' }) }],
+      });
+
+      const response = await request(app)
+        .get('/api/roles/channels')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(db.collection).toHaveBeenCalledWith('managedChannels');
+      expect(response.body.channels).toEqual([{ login: 'otherchannel', role: 'editor' }]);
+    });
+  });
+
+  describe('PUT /api/roles/channel/:channelName/grants', () => {
+    it('resolves the account and stores the grant under both IDs', async () => {
+      mockGetUserByUsername.mockResolvedValueOnce({ id: 'user-789', login: 'helpfulmod', displayName: 'HelpfulMod' });
+      ((db as any).set as any).mockResolvedValueOnce({});
+
+      const response = await request(app)
+        .put(`/api/roles/channel/${channelName}/grants`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ username: '@HelpfulMod', role: 'editor' })
+        .expect(200);
+
+      expect(mockGetUserByUsername).toHaveBeenCalledWith('helpfulmod', expect.anything());
+      expect(db.collection).toHaveBeenCalledWith('channelRoles');
+      expect(db.doc).toHaveBeenCalledWith('user-123_user-789');
+      expect((db as any).set).toHaveBeenCalledWith({
+        broadcasterId: testUser.userId,
+        broadcasterLogin: channelName,
+        userId: 'user-789',
+        login: 'helpfulmod',
+        displayName: 'HelpfulMod',
+        role: 'editor',
+        grantedAt: { type: 'serverTimestamp' },
+      });
+      expect(response.body.grant).toEqual({ userId: 'user-789', login: 'helpfulmod', displayName: 'HelpfulMod', role: 'editor' });
+    });
+
+    it.each([
+      ['an unknown role', { username: 'helpfulmod', role: 'owner' }],
+      ['the broadcaster role', { username: 'helpfulmod', role: 'broadcaster' }],
+      ['a missing username', { role: 'editor' }],
+    ])('rejects %s', async (_label, body) => {
+      await request(app)
+        .put(`/api/roles/channel/${channelName}/grants`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send(body)
+        .expect(400);
+
+      expect((db as any).set).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for an account that does not exist', async () => {
+      mockGetUserByUsername.mockResolvedValueOnce(null);
+
+      await request(app)
+        .put(`/api/roles/channel/${channelName}/grants`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ username: 'nobody', role: 'editor' })
+        .expect(404);
+    });
+
+    it('does not let a delegated editor grant roles', async () => {
+      const editorToken = createTestToken({ userId: 'user-789', userLogin: 'helpfulmod' });
+
+      await request(app)
+        .put(`/api/roles/channel/${channelName}/grants`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ username: 'someoneelse', role: 'editor' })
+        .expect(403);
+
+      expect(mockGetUserByUsername).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/roles/channel/:channelName/grants/:userId', () => {
+    it('removes the grant document', async () => {
+      ((db as any).delete as any).mockResolvedValueOnce({});
+
+      await request(app)
+        .delete(`/api/roles/channel/${channelName}/grants/user-789`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(db.doc).toHaveBeenCalledWith('user-123_user-789');
+      expect((db as any).delete).toHaveBeenCalled();
+    });
+  });
+
+  describe('OBS routes', () => {
+    it('stay with the broadcaster whatever the grant', async () => {
+      const editorToken = createTestToken({ userId: 'user-789', userLogin: 'helpfulmod' });
+      ((db as any).get as any).mockResolvedValueOnce({
+        empty: false,
+        docs: [{ data: () => ({ broadcasterId: testUser.userId, broadcasterLogin: channelName, userId: 'user-789', login: 'helpfulmod', displayName: 'HelpfulMod', role: 'editor' }) }],
+      });
+
+      await request(app)
+        .get(`/api/obs/getToken?channel=${channelName}`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(403);
+    });
+  });
+});
@@ -42,9 +42,20 @@ describe('Misc API Integration Tests', () => {
       expect(response.body.error).toBe('URL is required');
     });
 
+    it('should refuse a destination outside our own sites', async () => {
+      const token = createTestToken(testUser);
+      const response = await request(app)
+          .post('/api/shortlink')
+          .set('Authorization', `Bearer ${token}`)
+          .send({url: 'https://example.com/test'})
+          .expect(400);
+
+      expect(response.body.error).toBe('Short links can only point to WildcatTTS pages');
+    });
+
     it('should create shortlink with valid URL', async () => {
       const token = createTestToken(testUser);
-      const testUrl = 'https://example.com/test';
+      const testUrl = 'http://localhost:5002/viewer-settings.html?channel=testchannel';
       const response = await request(app)
           .post('/api/shortlink')
           .set('Authorization', `Bearer ${token}`)
@@ -61,6 +72,79 @@ describe('Misc API Integration Tests', () => {
       const doc = await db.collection('shortlinks').doc(slug).get();
       expect(doc.exists).toBe(true);
       expect(doc.data().url).toBe(testUrl);
+      expect(doc.data().ownerId).toBe(testUser.userId);
+    });
+  });
+
+  describe('/api/shortlinks', () => {
+    const slug = 'owned-slug-1';
+
+    beforeEach(async () => {
+      await db.collection('shortlinks').doc(slug).set({
+        url: 'http://localhost:5002/dashboard.html',
+        ownerId: testUser.userId,
+        ownerLogin: testUser.userLogin,
+        createdAt: new Date(),
+        expiresAt: null,
+        disabled: false,
+        clicks: 2,
+      });
+    });
+
+    it('should list only the caller\'s links', async () => {
+      await db.collection('shortlinks').doc('someone-else').set({url: 'http://localhost:5002/', ownerId: 'other', clicks: 0});
+      const response = await request(app)
+          .get('/api/shortlinks')
+          .set('Authorization', `Bearer ${createTestToken(testUser)}`)
+          .expect(200);
+
+      expect(response.body.links.map((link: any) => link.slug)).toEqual([slug]);
+      expect(response.body.links[0].status).toBe('active');
+    });
+
+    it('should hide someone else\'s link', async () => {
+      const other = {...createTestUser('otheruser'), userId: '987654321'};
+      await request(app)
+          .delete(`/api/shortlinks/${slug}`)
+          .set('Authorization', `Bearer ${createTestToken(other)}`)
+          .expect(404);
+    });
+
+    it('should disable a link so it no longer redirects', async () => {
+      await request(app)
+          .patch(`/api/shortlinks/${slug}`)
+          .set('Authorization', `Bearer ${createTestToken(testUser)}`)
+          .send({disabled: true})
+          .expect(200);
+
+      await request(app).get(`/s/${slug}`).expect(410);
+    });
+
+    it('should report clicks per day', async () => {
+      await request(app).get(`/s/${slug}`).expect(302);
+      const response = await request(app)
+          .get(`/api/shortlinks/${slug}`)
+          .set('Authorization', `Bearer ${createTestToken(testUser)}`)
+          .expect(200);
+
+      expect(response.body.link.clicks).toBe(3);
+      expect(response.body.dailyClicks).toHaveLength(30);
+      expect(response.body.dailyClicks[29].clicks).toBe(1);
+    });
+
+    it('should draw a QR code', async () => {
+      const response = await request(app).get(`/api/shortlinks/${slug}/qr.png`).expect(200);
+      expect(response.headers['content-type']).toBe('image/png');
+    });
+
+    it('should delete a link', async () => {
+      await request(app)
+          .delete(`/api/shortlinks/${slug}`)
+          .set('Authorization', `Bearer ${createTestToken(testUser)}`)
+          .expect(200);
+
+      const doc = await db.collection('shortlinks').doc(slug).get();
+      expect(doc.exists).toBe(false);
     });
   });
 
@@ -74,7 +158,7 @@ describe('Misc API Integration Tests', () => {
     });
 
     it('should redirect to URL for valid slug', async () => {
-      const testUrl = 'https://example.com/redirect-test';
+      const testUrl = 'http://localhost:5002/redirect-test';
       const slug = 'test-slug-123';
       
       await db.collection('shortlinks').doc(slug).set({
@@ -84,7 +168,7 @@ describe('Misc API Integration Tests', () => {
 
       const response = await request(app)
           .get(`/s/${slug}`)
-          .expect(301);
+          .expect(302);
       
       expect(response.headers.location).toBe(testUrl);
 
@@ -92,6 +176,22 @@ describe('Misc API Integration Tests', () => {
       const doc = await db.collection('shortlinks').doc(slug).get();
       expect(doc.data().clicks).toBe(1);
     });
+
+    it('should not redirect an expired link', async () => {
+      await db.collection('shortlinks').doc('expired-slug').set({
+        url: 'http://localhost:5002/',
+        expiresAt: new Date(Date.now() - 1000),
+        clicks: 0,
+      });
+
+      await request(app).get('/s/expired-slug').expect(410);
+    });
+
+    it('should not redirect an older link to another site', async () => {
+      await db.collection('shortlinks').doc('foreign-slug').set({url: 'https://example.com/', clicks: 0});
+
+      await request(app).get('/s/foreign-slug').expect(404);
+    });
   });
 
   describe('POST /api/tts/test', () => {
@@ -0,0 +1,169 @@
+/**
+ * Integration tests for pronunciation listing, built-in toggles and bulk import
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+
+jest.mock('../../services/firestore', () => {
+  const mockDbInstance: any = {
+    collection: jest.fn(),
+    doc: jest.fn(),
+    get: jest.fn(),
+    set: jest.fn(),
+    runTransaction: jest.fn(),
+    where: jest.fn(),
+    limit: jest.fn(),
+  };
+  mockDbInstance.collection.mockReturnValue(mockDbInstance);
+  mockDbInstance.doc.mockReturnValue(mockDbInstance);
+
+  return {
+    db: mockDbInstance,
+    COLLECTIONS: {
+      TTS_CHANNEL_CONFIGS: 'ttsChannelConfigs',
+      CHANNEL_ROLES: 'channelRoles',
+    },
+    FieldValue: {
+      delete: jest.fn(() => ({ type: 'delete' })),
+      serverTimestamp: jest.fn(() => ({ type: 'serverTimestamp' })),
+    },
+    FieldPath: class {},
+  };
+});
+
+import request from 'supertest';
+import { createTestApp } from './appHelper';
+import { createTestToken, runMockTransaction } from './testHelpers';
+import { db, FieldValue } from '../../services/firestore';
+
+describe('Pronunciation API Integration Tests (Mocked Firestore)', () => {
+  let app: any;
+  let authToken: string;
+  const channelName = 'testchannel';
+  const testUser = {
+    userId: 'user-123',
+    userLogin: channelName,
+    displayName: 'TestChannel',
+  };
+  const base = `/api/tts/pronunciations/channel/${channelName}`;
+
+  const recorded = () => ((db as any).set as any).mock.calls
+    .map(([payload]: any[]) => payload)
+    .filter((payload: any) => payload && payload.source);
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    authToken = createTestToken(testUser);
+  });
+
+  beforeEach(() => {
+    ((db as any).collection as any).mockReturnValue(db);
+    ((db as any).doc as any).mockReturnValue(db);
+    (FieldValue.delete as any).mockImplementation(() => ({ type: 'delete' }));
+    (FieldValue.serverTimestamp as any).mockImplementation(() => ({ type: 'serverTimestamp' }));
+    ((db as any).runTransaction as any).mockImplementation((fn: any) => runMockTransaction(db, fn));
+    ((db as any).get as any).mockResolvedValue({ exists: true, data: () => ({ pronunciations: { brb: 'be right back' } }) });
+  });
+
+  it('lists entries with the built-in defaults', async () => {
+    const response = await request(app)
+      .get(base)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.pronunciations).toEqual({ brb: 'be right back' });
+    expect(response.body.defaults).toContainEqual({ match: 'ggez', say: 'good game easy' });
+    expect(response.body.disabledDefaults).toEqual([]);
+  });
+
+  it('switches a built-in off', async () => {
+    await request(app)
+      .put(`${base}/defaults/WTF`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ enabled: false })
+      .expect(200);
+
+    expect((db as any).set).toHaveBeenCalledWith({ disabledPronunciationDefaults: { wtf: true } }, { merge: true });
+    expect(recorded()).toEqual([
+      expect.objectContaining({ key: 'disabledPronunciationDefaults.wtf', oldValue: null, newValue: true }),
+    ]);
+  });
+
+  it('switches a built-in back on, clearing an empty entry for it', async () => {
+    ((db as any).get as any).mockResolvedValue({
+      exists: true,
+      data: () => ({ pronunciations: { lfg: '' }, disabledPronunciationDefaults: { lfg: true } }),
+    });
+
+    await request(app)
+      .put(`${base}/defaults/lfg`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ enabled: true })
+      .expect(200);
+
+    expect((db as any).set).toHaveBeenCalledWith({
+      disabledPronunciationDefaults: { lfg: { type: 'delete' } },
+      pronunciations: { lfg: { type: 'delete' } },
+    }, { merge: true });
+    expect(recorded().map((entry: any) => entry.key)).toEqual(['disabledPronunciationDefaults.lfg', 'pronunciations.lfg']);
+  });
+
+  it('refuses to toggle a word that is not a built-in', async () => {
+    const response = await request(app)
+      .put(`${base}/defaults/wcat`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ enabled: false })
+      .expect(400);
+
+    expect(response.body.error).toBe('Not a built-in pronunciation');
+    expect((db as any).runTransaction).not.toHaveBeenCalled();
+  });
+
+  it('imports pasted rows and reports each one', async () => {
+    const response = await request(app)
+      .post(`${base}/import`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ data: 'wcat,wildcat\nbrb,back soon\nbad.key,x' })
+      .expect(200);
+
+    expect(response.body.summary).toEqual({ added: 1, conflict: 1, invalid: 1 });
+    expect(response.body.results[1]).toMatchObject({ line: 2, match: 'brb', status: 'conflict' });
+    expect((db as any).set).toHaveBeenCalledWith({ pronunciations: { wcat: 'wildcat' } }, { merge: true });
+    expect(recorded()).toEqual([
+      expect.objectContaining({ key: 'pronunciations.wcat', oldValue: null, newValue: 'wildcat', source: 'pronunciations' }),
+    ]);
+  });
+
+  it('overwrites conflicts on request', async () => {
+    await request(app)
+      .post(`${base}/import`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ data: { brb: 'back soon' }, overwrite: true })
+      .expect(200);
+
+    expect((db as any).set).toHaveBeenCalledWith({ pronunciations: { brb: 'back soon' } }, { merge: true });
+  });
+
+  it('reports without writing on a dry run', async () => {
+    const response = await request(app)
+      .post(`${base}/import`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ data: 'ggez\tgood game', dryRun: true })
+      .expect(200);
+
+    expect(response.body).toMatchObject({ dryRun: true, summary: { added: 1 } });
+    expect(response.body.results[0].overridesDefault).toBe('good game easy');
+    expect((db as any).set).not.toHaveBeenCalled();
+  });
+
+  it('rejects input it cannot read', async () => {
+    const response = await request(app)
+      .post(`${base}/import`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ data: '\n# only a comment\n' })
+      .expect(400);
+
+    expect(response.body.error).toBe('No entries found');
+    expect((db as any).runTransaction).not.toHaveBeenCalled();
+  });
+});
@@ -11,6 +11,11 @@ jest.mock('../../services/firestore', () => {
     get: jest.fn(),
     set: jest.fn(),
     update: jest.fn(),
+    runTransaction: jest.fn(),
+    where: jest.fn(),
+    orderBy: jest.fn(),
+    limit: jest.fn(),
+    startAfter: jest.fn(),
   };
   mockDbInstance.collection.mockReturnValue(mockDbInstance);
   mockDbInstance.doc.mockReturnValue(mockDbInstance);
@@ -28,11 +33,13 @@ jest.mock('../../services/firestore', () => {
     db: mockDbInstance,
     COLLECTIONS: {
       TTS_CHANNEL_CONFIGS: 'ttsChannelConfigs',
+      CHANNEL_ROLES: 'channelRoles',
     },
     FieldValue: {
       arrayUnion: jest.fn((val: any) => ({ type: 'arrayUnion', value: val })),
       arrayRemove: jest.fn((val: any) => ({ type: 'arrayRemove', value: val })),
       delete: jest.fn(() => ({ type: 'delete' })),
+      serverTimestamp: jest.fn(() => ({ type: 'serverTimestamp' })),
     },
     FieldPath: MockFieldPath,
   };
@@ -47,8 +54,10 @@ jest.mock('../../services/twitch', () => ({
 
 import request from 'supertest';
 import { createTestApp } from './appHelper';
-import { createTestToken } from './testHelpers';
+import { createTestToken, runMockTransaction } from './testHelpers';
 import { db, FieldValue } from '../../services/firestore';
+import { legacyRuleId } from '../../services/bannedWordRules';
+import { settingsVersion } from '../../services/channelSettings';
 
 describe('Settings API Integration Tests (Mocked Firestore)', () => {
   let app: any;
@@ -72,6 +81,17 @@ describe('Settings API Integration Tests (Mocked Firestore)', () => {
     (FieldValue.arrayUnion as any).mockImplementation((val: any) => ({ type: 'arrayUnion', value: val }));
     (FieldValue.arrayRemove as any).mockImplementation((val: any) => ({ type: 'arrayRemove', value: val }));
     (FieldValue.delete as any).mockImplementation(() => ({ type: 'delete' }));
+    (FieldValue.serverTimestamp as any).mockImplementation(() => ({ type: 'serverTimestamp' }));
+    for (const method of ['where', 'orderBy', 'limit', 'startAfter']) {
+      ((db as any)[method] as any).mockReturnValue(db);
+    }
+    // Transactions run their callback against the same mock, so the reads and
+    // writes inside one are visible as ordinary get()/set()/update() calls.
+    ((db as any).runTransaction as any).mockImplementation((fn: any) => runMockTransaction(db, fn));
+    // Routes read the document before writing so history can record the old
+    // value. Tests that care about what is stored queue their own snapshot.
+    // The empty query result is what a role lookup sees when nothing is granted.
+    ((db as any).get as any).mockResolvedValue({ exists: false, empty: true, docs: [], data: () => undefined });
   });
 
   describe('GET /api/tts/settings/channel/:channelName', () => {
@@ -105,7 +125,7 @@ describe('Settings API Integration Tests (Mocked Firestore)', () => {
         .set('Authorization', `Bearer ${authToken}`)
         .expect(200);
 
-      expect(response.body).toEqual({ settings: mockSettings });
+      expect(response.body).toEqual({ settings: mockSettings, version: settingsVersion(mockSettings) });
       expect(db.collection).toHaveBeenCalledWith('ttsChannelConfigs');
       expect(db.doc).toHaveBeenCalledWith(testUser.userId);
     });
@@ -122,6 +142,183 @@ describe('Settings API Integration Tests (Mocked Firestore)', () => {
 
       expect(response.body).toEqual({ settings: {} });
     });
+
+    it('should include a version token derived from the stored settings', async () => {
+      ((db as any).get as any).mockResolvedValueOnce({
+        exists: true,
+        data: () => ({ voiceId: 'brian' }),
+        updateTime: { seconds: 1700000000, nanoseconds: 42 },
+      });
+
+      const response = await request(app)
+        .get(`/api/tts/settings/channel/${channelName}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body).toEqual({ settings: { voiceId: 'brian' }, version: settingsVersion({ voiceId: 'brian' }) });
+    });
+
+    it('should keep the version when only lists or the budget change', async () => {
+      const base = { voiceId: 'brian', voiceVolumes: { Friendly_Person: 2, Abbess: 1 } };
+      const version = settingsVersion(base);
+
+      expect(settingsVersion({
+        voiceVolumes: { Abbess: 1, Friendly_Person: 2 },
+        voiceId: 'brian',
+        bannedWordRules: { r1: { type: 'whole-word', pattern: 'x', action: 'drop', replacement: null } },
+        pronunciations: { lfg: "let's go" },
+        ignoredUserIds: { 'twitch:1': { source: 'moderator' } },
+        monthlyCharacterBudget: 5000,
+      })).toBe(version);
+      expect(settingsVersion({ ...base, speed: 1.2 })).not.toBe(version);
+      expect(settingsVersion({ pronunciations: { lfg: "let's go" } })).toBeNull();
+    });
+  });
+
+  describe('PATCH /api/tts/settings/channel/:channelName', () => {
+    const version = settingsVersion({ engineEnabled: false }) as string;
+    const mockDoc = (data: Record<string, unknown> | null, updateTime = { seconds: 1700000000, nanoseconds: 42 }) => ({
+      exists: data !== null,
+      data: () => data,
+      updateTime: data !== null ? updateTime : undefined,
+    });
+
+    it('should return 401 without authentication', async () => {
+      await request(app)
+        .patch(`/api/tts/settings/channel/${channelName}`)
+        .send({ settings: { engineEnabled: true }, expectedVersion: version })
+        .expect(401);
+    });
+
+    it('should return 403 for another channel', async () => {
+      const wrongToken = createTestToken({ userId: 'user-456', userLogin: 'differentchannel' });
+
+      await request(app)
+        .patch(`/api/tts/settings/channel/${channelName}`)
+        .set('Authorization', `Bearer ${wrongToken}`)
+        .send({ settings: { engineEnabled: true }, expectedVersion: version })
+        .expect(403);
+    });
+
+    it.each([
+      ['no settings', { expectedVersion: version }],
+      ['an empty settings object', { settings: {}, expectedVersion: version }],
+      ['an array of settings', { settings: [true], expectedVersion: version }],
+      ['no expected version', { settings: { engineEnabled: true } }],
+    ])('should reject %s', async (_label, body) => {
+      await request(app)
+        .patch(`/api/tts/settings/channel/${channelName}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(body)
+        .expect(400);
+
+      expect((db as any).runTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should list every invalid key and write nothing', async () => {
+      const response = await request(app)
+        .patch(`/api/tts/settings/channel/${channelName}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          settings: { engineEnabled: true, speed: 99, notASetting: 1 },
+          expectedVersion: version,
+        })
+        .expect(400);
+
+      expect(response.body.details).toEqual({ invalidKeys: ['speed', 'notASetting'] });
+      expect((db as any).runTransaction).not.toHaveBeenCalled();
+      expect((db as any).set).not.toHaveBeenCalled();
+    });
+
+    it('should write all keys in one merge when the version matches', async () => {
+      ((db as any).get as any)
+        .mockResolvedValueOnce(mockDoc({ engineEnabled: false }))
+        .mockResolvedValueOnce(mockDoc(
+          { engineEnabled: true, speed: 1.2, voiceVolumes: { Friendly_Person: 2 } },
+          { seconds: 1700000001, nanoseconds: 0 }
+        ));
+      ((db as any).set as any).mockReturnValueOnce(undefined);
+
+      const response = await request(app)
+        .patch(`/api/tts/settings/channel/${channelName}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          settings: { 'engineEnabled': true, 'speed': 1.2, 'voiceVolumes.Friendly_Person': 2 },
+          expectedVersion: version,
+        })
+        .expect(200);
+
+      expect(((db as any).set as any).mock.calls[0]).toEqual([
+        { engineEnabled: true, speed: 1.2, voiceVolumes: { Friendly_Person: 2 } },
+        { merge: true },
+      ]);
+      expect(response.body).toEqual({
+        success: true,
+        message: 'Settings updated',
+        settings: { engineEnabled: true, speed: 1.2, voiceVolumes: { Friendly_Person: 2 } },
+        version: settingsVersion({ engineEnabled: true, speed: 1.2, voiceVolumes: { Friendly_Person: 2 } }),
+      });
+    });
+
+    it('should refuse with 409 and the current settings when the version is stale', async () => {
+      ((db as any).get as any).mockResolvedValueOnce(mockDoc(
+        { engineEnabled: false, speed: 1.5 },
+        { seconds: 1700000005, nanoseconds: 0 }
+      ));
+
+      const response = await request(app)
+        .patch(`/api/tts/settings/channel/${channelName}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ settings: { engineEnabled: true }, expectedVersion: version })
+        .expect(409);
+
+      expect(response.body.details).toEqual({
+        version: settingsVersion({ engineEnabled: false, speed: 1.5 }),
+        settings: { engineEnabled: false, speed: 1.5 },
+      });
+      expect((db as any).set).not.toHaveBeenCalled();
+    });
+
+    it('should treat a null version as "no settings yet"', async () => {
+      ((db as any).get as any)
+        .mockResolvedValueOnce(mockDoc(null))
+        .mockResolvedValueOnce(mockDoc({ engineEnabled: true }));
+
+      await request(app)
+        .patch(`/api/tts/settings/channel/${channelName}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ settings: { engineEnabled: true }, expectedVersion: null })
+        .expect(200);
+
+      expect((db as any).set).toHaveBeenCalledWith({ engineEnabled: true }, { merge: true });
+    });
+
+    it('should conflict when the client expects no settings but some exist', async () => {
+      ((db as any).get as any).mockResolvedValueOnce(mockDoc({ engineEnabled: false }));
+
+      await request(app)
+        .patch(`/api/tts/settings/channel/${channelName}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ settings: { engineEnabled: true }, expectedVersion: null })
+        .expect(409);
+
+      expect((db as any).set).not.toHaveBeenCalled();
+    });
+
+    it('should overwrite despite a stale version when forced', async () => {
+      ((db as any).get as any)
+        .mockResolvedValueOnce(mockDoc({ engineEnabled: false, speed: 1.5 }, { seconds: 1700000005, nanoseconds: 0 }))
+        .mockResolvedValueOnce(mockDoc({ engineEnabled: true }, { seconds: 1700000006, nanoseconds: 0 }));
+
+      const response = await request(app)
+        .patch(`/api/tts/settings/channel/${channelName}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ settings: { engineEnabled: true }, expectedVersion: version, force: true })
+        .expect(200);
+
+      expect((db as any).set).toHaveBeenCalledWith({ engineEnabled: true }, { merge: true });
+      expect(response.body.version).toBe(settingsVersion({ engineEnabled: true }));
+    });
   });
 
   describe('PUT /api/tts/settings/channel/:channelName', () => {
@@ -225,6 +422,392 @@ describe('Settings API Integration Tests (Mocked Firestore)', () => {
     });
   });
 
+  describe('Config bundle export/import', () => {
+    const updateTime = { seconds: 1700000000, nanoseconds: 0 };
+    const version = '1700000000.000000000';
+    const stored = {
+      speed: 1.0,
+      obsSocketToken: 'do-not-export',
+      bannedWords: ['old'],
+      pronunciations: { brb: 'be right back' },
+    };
+    const bundle = {
+      format: 'chatvibes-tts-config',
+      version: 1,
+      exportedAt: '2026-01-01T00:00:00.000Z',
+      channel: 'otherchannel',
+      config: { settings: { speed: 1.5 }, bannedWords: ['new'] },
+    };
+    const wordRule = (word: string) => ({ type: 'whole-word', pattern: word, action: 'drop', replacement: null });
+
+    it('should export the allowlisted fields and nothing secret', async () => {
+      ((db as any).get as any).mockResolvedValueOnce({ exists: true, data: () => stored, updateTime });
+
+      const response = await request(app)
+        .get(`/api/tts/config/channel/${channelName}/export`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.format).toBe('chatvibes-tts-config');
+      expect(response.body.channel).toBe(channelName);
+      expect(response.body.config.settings).toEqual({ speed: 1.0 });
+      expect(JSON.stringify(response.body)).not.toContain('do-not-export');
+    });
+
+    it('should not export another channel', async () => {
+      const wrongToken = createTestToken({ userId: 'user-456', userLogin: 'differentchannel' });
+
+      await request(app)
+        .get(`/api/tts/config/channel/${channelName}/export`)
+        .set('Authorization', `Bearer ${wrongToken}`)
+        .expect(403);
+    });
+
+    it('should return the diff for a dry run without writing', async () => {
+      ((db as any).get as any).mockResolvedValueOnce({ exists: true, data: () => stored, updateTime });
+
+      const response = await request(app)
+        .post(`/api/tts/config/channel/${channelName}/import`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ bundle, dryRun: true })
+        .expect(200);
+
+      expect(response.body).toEqual({
+        success: true,
+        dryRun: true,
+        mode: 'merge',
+        version,
+        changes: expect.arrayContaining([
+          { path: 'speed', before: 1.0, after: 1.5 },
+          { path: `bannedWordRules.${legacyRuleId('new')}`, before: null, after: wordRule('new') },
+          // Merging folds the legacy list into the rules; the word stays in the bot's copy.
+          { path: `bannedWordRules.${legacyRuleId('old')}`, before: null, after: wordRule('old') },
+        ]),
+      });
+      expect(response.body.changes).toHaveLength(3);
+      expect((db as any).set).not.toHaveBeenCalled();
+    });
+
+    it('should replace whole sections with mergeFields when applying', async () => {
+      ((db as any).get as any)
+        .mockResolvedValueOnce({ exists: true, data: () => stored, updateTime })
+        .mockResolvedValueOnce({ exists: true, data: () => ({}), updateTime: { seconds: 1700000001, nanoseconds: 0 } });
+
+      const response = await request(app)
+        .post(`/api/tts/config/channel/${channelName}/import`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ bundle, mode: 'replace', expectedVersion: version })
+        .expect(200);
+
+      expect((db as any).set).toHaveBeenCalledWith(
+        { speed: 1.5, bannedWordRules: { [legacyRuleId('new')]: wordRule('new') }, bannedWords: ['new'] },
+        { mergeFields: ['speed', 'bannedWordRules', 'bannedWords'] }
+      );
+      expect(response.body.version).toBe('1700000001.000000000');
+      expect(response.body.changes).toContainEqual({ path: 'bannedWords', before: 'old', after: null });
+    });
+
+    it('should refuse with 409 if the document moved since the preview', async () => {
+      ((db as any).get as any).mockResolvedValueOnce({
+        exists: true, data: () => stored, updateTime: { seconds: 1700000009, nanoseconds: 0 },
+      });
+
+      await request(app)
+        .post(`/api/tts/config/channel/${channelName}/import`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ bundle, expectedVersion: version })
+        .expect(409);
+
+      expect((db as any).set).not.toHaveBeenCalled();
+    });
+
+    it('should list every invalid field and write nothing', async () => {
+      const response = await request(app)
+        .post(`/api/tts/config/channel/${channelName}/import`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ bundle: { ...bundle, config: { settings: { speed: 99 }, obsSocketToken: 'x' } } })
+        .expect(400);
+
+      expect(response.body.details.errors).toEqual([
+        { path: 'config.obsSocketToken', reason: 'is not an importable section' },
+        { path: 'config.settings.speed', reason: 'has an invalid value' },
+      ]);
+      expect((db as any).runTransaction).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['an unknown mode', { bundle, mode: 'overwrite' }],
+      ['a non-boolean dryRun', { bundle, dryRun: 'yes' }],
+    ])('should reject %s', async (_label, body) => {
+      await request(app)
+        .post(`/api/tts/config/channel/${channelName}/import`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(body)
+        .expect(400);
+    });
+  });
+
+  describe('Settings history', () => {
+    /** History entries written by a request, in order. */
+    const recorded = () => ((db as any).set as any).mock.calls
+      .map(([payload]: any[]) => payload)
+      .filter((payload: any) => payload && payload.source);
+    const entryDoc = (id: string, data: Record<string, unknown>) => ({ id, exists: true, data: () => data });
+    const stamp = (iso: string) => ({ toDate: () => new Date(iso) });
+    const wordRule = (word: string) => ({ type: 'whole-word', pattern: word, action: 'drop', replacement: null });
+
+    it('records who changed a setting and what it was before', async () => {
+      ((db as any).get as any).mockResolvedValueOnce({ exists: true, data: () => ({ speed: 1.0 }) });
+
+      await request(app)
+        .put(`/api/tts/settings/channel/${channelName}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ key: 'speed', value: 1.5 })
+        .expect(200);
+
+      expect(recorded()).toEqual([{
+        actor: { id: `twitch:${testUser.userId}`, login: channelName },
+        key: 'speed',
+        oldValue: 1.0,
+        newValue: 1.5,
+        at: { type: 'serverTimestamp' },
+        source: 'settings',
+      }]);
+    });
+
+    it('records nothing when a write does not change the value', async () => {
+      ((db as any).get as any).mockResolvedValueOnce({
+        exists: true,
+        data: () => ({ bannedWordRules: { r1: { type: 'whole-word', pattern: 'badword', action: 'drop', replacement: null } } }),
+      });
+
+      await request(app)
+        .post(`/api/tts/banned-words/channel/${channelName}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ word: 'BadWord' })
+        .expect(200);
+
+      expect(recorded()).toEqual([]);
+    });
+
+    it('records a removed ignore entry with its old value', async () => {
+      const entry = { label: 'Spammer', source: 'moderator', by: 'twitch:1', at: 'then' };
+      ((db as any).get as any).mockResolvedValueOnce({ exists: true, data: () => ({ ignoredUserIds: { 'twitch:42': entry } }) });
+
+      await request(app)
+        .delete(`/api/tts/ignore/channel/${channelName}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ key: 'twitch:42' })
+        .expect(200);
+
+      expect(recorded()).toMatchObject([{ key: 'ignoredUserIds.twitch:42', oldValue: entry, newValue: null, source: 'ignore' }]);
+    });
+
+    it('lists entries newest first with a cursor for the next page', async () => {
+      ((db as any).get as any).mockResolvedValueOnce({
+        docs: [
+          entryDoc('e3', { key: 'speed', oldValue: 1.2, newValue: 1.5, source: 'settings', at: stamp('2026-03-03T00:00:00.000Z') }),
+          entryDoc('e2', { key: 'speed', oldValue: 1.0, newValue: 1.2, source: 'settings', at: stamp('2026-03-02T00:00:00.000Z') }),
+          entryDoc('e1', { key: 'mode', oldValue: null, newValue: 'all', source: 'settings', at: stamp('2026-03-01T00:00:00.000Z') }),
+        ],
+      });
+
+      const response = await request(app)
+        .get(`/api/tts/history/channel/${channelName}?limit=2`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.entries.map((e: any) => e.id)).toEqual(['e3', 'e2']);
+      expect(response.body.entries[0]).toMatchObject({ key: 'speed', oldValue: 1.2, newValue: 1.5, at: '2026-03-03T00:00:00.000Z' });
+      expect(response.body.nextCursor).toBe('e2');
+      expect((db as any).orderBy).toHaveBeenCalledWith('at', 'desc');
+      expect((db as any).limit).toHaveBeenCalledWith(3);
+    });
+
+    it('rejects an unknown cursor', async () => {
+      ((db as any).get as any).mockResolvedValueOnce({ exists: false });
+
+      await request(app)
+        .get(`/api/tts/history/channel/${channelName}?before=nope`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+
+    it('does not show another channel its history', async () => {
+      const wrongToken = createTestToken({ userId: 'user-456', userLogin: 'differentchannel' });
+
+      await request(app)
+        .get(`/api/tts/history/channel/${channelName}`)
+        .set('Authorization', `Bearer ${wrongToken}`)
+        .expect(403);
+    });
+
+    it('reverts a change and records the revert', async () => {
+      ((db as any).get as any)
+        .mockResolvedValueOnce(entryDoc('e2', { key: 'speed', oldValue: 1.0, newValue: 1.2 }))
+        .mockResolvedValueOnce({ exists: true, data: () => ({ speed: 1.2 }) });
+
+      const response = await request(app)
+        .post(`/api/tts/history/channel/${channelName}/e2/revert`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body).toEqual({ success: true, reverted: true });
+      expect(((db as any).set as any).mock.calls[0]).toEqual([{ speed: 1.0 }, { merge: true }]);
+      expect(recorded()).toMatchObject([{ key: 'speed', oldValue: 1.2, newValue: 1.0, source: 'revert', revertOf: 'e2' }]);
+    });
+
+    it('deletes a field whose change added it', async () => {
+      ((db as any).get as any)
+        .mockResolvedValueOnce(entryDoc('e1', { key: 'pronunciations.lfg', oldValue: null, newValue: "let's go" }))
+        .mockResolvedValueOnce({ exists: true, data: () => ({ pronunciations: { lfg: "let's go" } }) });
+
+      await request(app)
+        .post(`/api/tts/history/channel/${channelName}/e1/revert`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(((db as any).set as any).mock.calls[0]).toEqual([{ pronunciations: { lfg: { type: 'delete' } } }, { merge: true }]);
+    });
+
+    it('reverts adding a banned word by removing just that word', async () => {
+      ((db as any).get as any)
+        .mockResolvedValueOnce(entryDoc('e1', { key: 'bannedWords', oldValue: null, newValue: 'badword' }))
+        .mockResolvedValueOnce({ exists: true, data: () => ({ bannedWords: ['badword', 'other'] }) });
+
+      await request(app)
+        .post(`/api/tts/history/channel/${channelName}/e1/revert`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(((db as any).set as any).mock.calls[0]).toEqual([
+        { bannedWords: { type: 'arrayRemove', value: 'badword' } },
+        { merge: true },
+      ]);
+    });
+
+    it('reverts a banned word through its rule once the channel has rules', async () => {
+      const ruleId = legacyRuleId('badword');
+      ((db as any).get as any)
+        .mockResolvedValueOnce(entryDoc('e1', { key: 'bannedWords', oldValue: 'badword', newValue: null }))
+        .mockResolvedValueOnce({ exists: true, data: () => ({ bannedWordRules: { r1: wordRule('other') }, bannedWords: ['other'] }) });
+
+      await request(app)
+        .post(`/api/tts/history/channel/${channelName}/e1/revert`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(((db as any).set as any).mock.calls[0]).toEqual([
+        { bannedWordRules: { [ruleId]: wordRule('badword') }, bannedWords: ['badword', 'other'] },
+        { merge: true },
+      ]);
+      expect(recorded()).toMatchObject([{ key: `bannedWordRules.${ruleId}`, oldValue: null, newValue: wordRule('badword') }]);
+    });
+
+    it('refuses to revert over a later change unless forced', async () => {
+      const queue = () => ((db as any).get as any)
+        .mockResolvedValueOnce(entryDoc('e2', { key: 'speed', oldValue: 1.0, newValue: 1.2 }))
+        .mockResolvedValueOnce({ exists: true, data: () => ({ speed: 1.8 }) });
+
+      queue();
+      const response = await request(app)
+        .post(`/api/tts/history/channel/${channelName}/e2/revert`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+      expect(response.body.details).toEqual({ current: 1.8 });
+      expect((db as any).set).not.toHaveBeenCalled();
+
+      queue();
+      await request(app)
+        .post(`/api/tts/history/channel/${channelName}/e2/revert`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ force: true })
+        .expect(200);
+      expect(((db as any).set as any).mock.calls[0]).toEqual([{ speed: 1.0 }, { merge: true }]);
+    });
+
+    it('returns 404 for an unknown entry', async () => {
+      ((db as any).get as any).mockResolvedValueOnce({ exists: false });
+
+      await request(app)
+        .post(`/api/tts/history/channel/${channelName}/nope/revert`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('restores every field to its value as of the chosen entry', async () => {
+      const anchorAt = stamp('2026-03-01T00:00:00.000Z');
+      ((db as any).get as any)
+        .mockResolvedValueOnce(entryDoc('e1', { key: 'mode', oldValue: null, newValue: 'all', at: anchorAt }))
+        .mockResolvedValueOnce({
+          size: 4,
+          docs: [
+            entryDoc('e2', { key: 'speed', oldValue: 1.0, newValue: 1.2 }),
+            entryDoc('e3', { key: 'speed', oldValue: 1.2, newValue: 1.5 }),
+            entryDoc('e4', { key: 'bannedWords', oldValue: null, newValue: 'newword' }),
+            entryDoc('e5', { key: 'pronunciations.brb', oldValue: 'be right back', newValue: null }),
+          ],
+        })
+        .mockResolvedValueOnce({ exists: true, data: () => ({ mode: 'all', speed: 1.5, bannedWords: ['old', 'newword'] }) });
+
+      const response = await request(app)
+        .post(`/api/tts/history/channel/${channelName}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ entryId: 'e1' })
+        .expect(200);
+
+      expect(response.body).toEqual({ success: true, changes: 3 });
+      expect((db as any).where).toHaveBeenCalledWith('at', '>', anchorAt);
+      expect(((db as any).set as any).mock.calls[0]).toEqual([
+        { speed: 1.0, bannedWords: ['old'], pronunciations: { brb: 'be right back' } },
+        { merge: true },
+      ]);
+      expect(recorded().map((e: any) => [e.key, e.source, e.restoreTo])).toEqual([
+        ['speed', 'restore', 'e1'],
+        ['bannedWords', 'restore', 'e1'],
+        ['pronunciations.brb', 'restore', 'e1'],
+      ]);
+    });
+
+    it('restores banned words through their rules once the channel has rules', async () => {
+      ((db as any).get as any)
+        .mockResolvedValueOnce(entryDoc('e1', { key: 'speed', oldValue: null, newValue: 1.0, at: stamp('2026-03-01T00:00:00.000Z') }))
+        .mockResolvedValueOnce({
+          size: 2,
+          docs: [
+            entryDoc('e2', { key: 'bannedWords', oldValue: null, newValue: 'newword' }),
+            entryDoc('e3', { key: 'bannedWords', oldValue: 'kept', newValue: null }),
+          ],
+        })
+        .mockResolvedValueOnce({
+          exists: true,
+          data: () => ({ bannedWordRules: { r1: wordRule('newword'), r2: wordRule('kept') }, bannedWords: ['kept', 'newword'] }),
+        });
+
+      const response = await request(app)
+        .post(`/api/tts/history/channel/${channelName}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ entryId: 'e1' })
+        .expect(200);
+
+      // "kept" already has its rule, so only "newword" changes.
+      expect(response.body).toEqual({ success: true, changes: 1 });
+      expect(((db as any).set as any).mock.calls[0]).toEqual([
+        { bannedWordRules: { r1: { type: 'delete' } }, bannedWords: ['kept'] },
+        { merge: true },
+      ]);
+      expect(recorded()).toMatchObject([{ key: 'bannedWordRules.r1', oldValue: wordRule('newword'), newValue: null }]);
+    });
+
+    it('requires an entry to restore to', async () => {
+      await request(app)
+        .post(`/api/tts/history/channel/${channelName}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(400);
+    });
+  });
+
   describe('POST /api/tts/ignore/channel/:channelName', () => {
     it('should return 401 without authentication', async () => {
       await request(app)
@@ -386,12 +969,16 @@ describe('Settings API Integration Tests (Mocked Firestore)', () => {
         .send({ word: ' BadWord ' })
         .expect(200);
 
-      expect(response.body).toEqual({ success: true, message: 'Word added to banned list' });
+      const rule = { type: 'whole-word', pattern: 'badword', action: 'drop', replacement: null };
+      expect(response.body).toEqual({
+        success: true,
+        message: 'Word added to banned list',
+        rule: { id: expect.any(String), ...rule },
+      });
       expect(db.collection).toHaveBeenCalledWith('ttsChannelConfigs');
       expect(db.doc).toHaveBeenCalledWith(testUser.userId);
-      expect(FieldValue.arrayUnion).toHaveBeenCalledWith('badword');
       expect((db as any).set).toHaveBeenCalledWith(
-        { bannedWords: { type: 'arrayUnion', value: 'badword' } },
+        { bannedWordRules: { [response.body.rule.id]: rule }, bannedWords: ['badword'] },
         { merge: true }
       );
     });
@@ -406,7 +993,7 @@ describe('Settings API Integration Tests (Mocked Firestore)', () => {
     });
 
     it('should atomically remove word from banned list (happy path)', async () => {
-      ((db as any).set as any).mockResolvedValueOnce({} as any);
+      ((db as any).get as any).mockResolvedValueOnce({ exists: true, data: () => ({ bannedWords: ['badword', 'other'] }) });
 
       const response = await request(app)
         .delete(`/api/tts/banned-words/channel/${channelName}`)
@@ -417,9 +1004,16 @@ describe('Settings API Integration Tests (Mocked Firestore)', () => {
       expect(response.body).toEqual({ success: true, message: 'Word removed from banned list' });
       expect(db.collection).toHaveBeenCalledWith('ttsChannelConfigs');
       expect(db.doc).toHaveBeenCalledWith(testUser.userId);
-      expect(FieldValue.arrayRemove).toHaveBeenCalledWith('badword');
+      // The legacy list moves into rules in the same write that removes the word,
+      // and bannedWords is left holding the bot's copy of what remains.
       expect((db as any).set).toHaveBeenCalledWith(
-        { bannedWords: { type: 'arrayRemove', value: 'badword' } },
+        {
+          bannedWords: ['other'],
+          bannedWordRules: {
+            [legacyRuleId('other')]: { type: 'whole-word', pattern: 'other', action: 'drop', replacement: null },
+            [legacyRuleId('badword')]: { type: 'delete' },
+          },
+        },
         { merge: true }
       );
     });
@@ -98,3 +98,29 @@ export function setupTestEnv(): void {
   process.env.CALLBACK_URL = 'http://localhost:5001/test-project/us-central1/webUi/auth/twitch/callback';
   process.env.USE_ENV_SECRETS = '1';
 }
+
+/**
+ * Run a transaction callback against a chainable Firestore mock.
+ *
+ * Reads go straight to the mock's get(). Writes are queued and applied once the
+ * callback returns, as a real commit would, so a write the test makes reject
+ * fails the transaction as a whole and nothing is written after a read-side
+ * early return.
+ */
+export async function runMockTransaction(db: any, fn: (tx: any) => Promise<unknown>): Promise<unknown> {
+  const writes: Array<() => unknown> = [];
+  const tx = {
+    get: () => db.get(),
+    set: (_ref: unknown, ...args: unknown[]) => {
+      writes.push(() => db.set(...args));
+      return tx;
+    },
+    update: (_ref: unknown, ...args: unknown[]) => {
+      writes.push(() => db.update(...args));
+      return tx;
+    },
+  };
+  const result = await fn(tx);
+  for (const write of writes) await write();
+  return result;
+}
@@ -0,0 +1,180 @@
+/**
+ * Integration tests for the message preview and the channel points test,
+ * which share the text policy
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+
+jest.mock('../../services/firestore', () => {
+  const mockDbInstance: any = {
+    collection: jest.fn(),
+    doc: jest.fn(),
+    get: jest.fn(),
+    where: jest.fn(),
+    limit: jest.fn(),
+  };
+  mockDbInstance.collection.mockReturnValue(mockDbInstance);
+  mockDbInstance.doc.mockReturnValue(mockDbInstance);
+
+  return {
+    db: mockDbInstance,
+    COLLECTIONS: {
+      MANAGED_CHANNELS: 'managedChannels',
+      TTS_CHANNEL_CONFIGS: 'ttsChannelConfigs',
+      CHANNEL_ROLES: 'channelRoles',
+    },
+    FieldValue: {},
+    FieldPath: class {},
+  };
+});
+
+import request from 'supertest';
+import { createTestApp } from './appHelper';
+import { createTestToken } from './testHelpers';
+import { db } from '../../services/firestore';
+
+describe('Text Preview API Integration Tests (Mocked Firestore)', () => {
+  let app: any;
+  let ownerToken: string;
+  const channelName = 'testchannel';
+  const testUser = {
+    userId: 'user-123',
+    userLogin: channelName,
+    displayName: 'TestChannel',
+  };
+
+  const channelConfig = {
+    bannedWords: ['spoiler'],
+    pronunciations: { wcat: 'wildcat' },
+    channelPoints: { contentPolicy: { blockLinks: true, bannedWords: ['refund'] } },
+  };
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    ownerToken = createTestToken(testUser);
+  });
+
+  beforeEach(() => {
+    ((db as any).collection as any).mockReturnValue(db);
+    ((db as any).doc as any).mockReturnValue(db);
+    ((db as any).get as any).mockResolvedValue({ exists: true, data: () => channelConfig });
+  });
+
+  describe('POST /api/tts/preview/channel/:channelName', () => {
+    it('returns the text TTS would speak', async () => {
+      const response = await request(app)
+        .post(`/api/tts/preview/channel/${channelName}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ text: 'ngl wcat https://example.com/clip' })
+        .expect(200);
+
+      expect(db.doc).toHaveBeenCalledWith(testUser.userId);
+      expect(response.body).toEqual({
+        success: true,
+        allowed: true,
+        spoken: 'not gonna lie wildcat example.com',
+        notes: [],
+      });
+    });
+
+    it('explains why a message is not spoken', async () => {
+      const response = await request(app)
+        .post(`/api/tts/preview/channel/${channelName}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ text: 'big spoiler ahead' })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ allowed: false, reason: 'Contains banned word: "spoiler"' });
+    });
+
+    it('applies the channel points policy only for that source', async () => {
+      const chat = await request(app)
+        .post(`/api/tts/preview/channel/${channelName}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ text: 'refund please' })
+        .expect(200);
+      expect(chat.body.allowed).toBe(true);
+
+      const redemption = await request(app)
+        .post(`/api/tts/preview/channel/${channelName}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ text: 'refund please', source: 'channel-points' })
+        .expect(200);
+      expect(redemption.body).toMatchObject({ allowed: false, reason: 'Contains banned word: "refund"' });
+    });
+
+    it('checks a channel points message against the tier asked for, voice pick included', async () => {
+      const tiered = {
+        ...channelConfig,
+        channelPointsRewards: [
+          { id: 'tier-a', title: 'TTS', voiceMode: 'viewer', contentPolicy: { blockLinks: true, bannedWords: ['refund'] } },
+          { id: 'tier-b', title: 'Pick a voice', voiceMode: 'pick', contentPolicy: { blockLinks: false, bannedWords: [] } },
+        ],
+      };
+      ((db as any).get as any).mockResolvedValue({ exists: true, data: () => tiered });
+      const send = (body: Record<string, unknown>) => request(app)
+        .post(`/api/tts/preview/channel/${channelName}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ source: 'channel-points', ...body });
+
+      const first = await send({ text: 'refund please' }).expect(200);
+      expect(first.body).toMatchObject({ allowed: false, reason: 'Contains banned word: "refund"' });
+
+      const picked = await send({ text: 'Wise Woman: refund please', tierId: 'tier-b' }).expect(200);
+      expect(picked.body).toMatchObject({ allowed: true, spoken: 'refund please', voiceId: 'Wise_Woman' });
+
+      await send({ text: 'hi', tierId: 'tier-z' }).expect(404);
+      await request(app)
+        .post(`/api/tts/preview/channel/${channelName}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ text: 'hi', tierId: 'tier-b' })
+        .expect(400);
+    });
+
+    it('rejects a request without message text', async () => {
+      const response = await request(app)
+        .post(`/api/tts/preview/channel/${channelName}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ emotes: ['Kappa'] })
+        .expect(400);
+
+      expect(response.body.error).toBe('Message text is required');
+    });
+
+    it('rejects an emote list that is not names', async () => {
+      await request(app)
+        .post(`/api/tts/preview/channel/${channelName}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ text: 'hi', emotes: [1] })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/rewards/tts/test', () => {
+    it('keeps the link rule and returns the spoken text', async () => {
+      await request(app)
+        .post('/api/rewards/tts/test')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ text: 'visit example.com' })
+        .expect(400)
+        .expect((res) => expect(res.body.error).toBe('Links are not allowed'));
+
+      const response = await request(app)
+        .post('/api/rewards/tts/test')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ text: 'hello wcat' })
+        .expect(200);
+      expect(response.body).toMatchObject({ success: true, spoken: 'hello wildcat' });
+    });
+
+    it('honours the channel banned words as well', async () => {
+      const response = await request(app)
+        .post('/api/rewards/tts/test')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ text: 'a spoiler' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Contains banned word: "spoiler"');
+    });
+  });
+});
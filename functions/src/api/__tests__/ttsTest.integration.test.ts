@@ -0,0 +1,290 @@
+/**
+ * Integration tests for the TTS test route, run against the offline mock provider
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, jest } from '@jest/globals';
+
+jest.mock('../../services/firestore', () => {
+  const mockDbInstance: any = {
+    collection: jest.fn(),
+    doc: jest.fn(),
+    where: jest.fn(),
+    limit: jest.fn(),
+    get: jest.fn(),
+    getAll: jest.fn(),
+    batch: jest.fn(),
+  };
+  mockDbInstance.collection.mockReturnValue(mockDbInstance);
+  mockDbInstance.doc.mockReturnValue(mockDbInstance);
+  mockDbInstance.where.mockReturnValue(mockDbInstance);
+  mockDbInstance.limit.mockReturnValue(mockDbInstance);
+
+  return {
+    db: mockDbInstance,
+    COLLECTIONS: {
+      TTS_CHANNEL_CONFIGS: 'ttsChannelConfigs',
+      TTS_USER_PREFS: 'ttsUserPreferences',
+      TTS_USAGE: 'ttsUsage',
+      MANAGED_CHANNELS: 'managedChannels',
+      CHANNEL_ROLES: 'channelRoles',
+    },
+    FieldValue: {
+      increment: (n: number) => ({ increment: n }),
+      serverTimestamp: () => 'SERVER_TIMESTAMP',
+    },
+  };
+});
+
+import request from 'supertest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createTestApp } from './appHelper';
+import { createTestToken } from './testHelpers';
+import { db } from '../../services/firestore';
+
+describe('TTS Test API Integration Tests (Mock Provider)', () => {
+  let app: any;
+  let authToken: string;
+  const originalProviders = process.env.TTS_PROVIDERS;
+  const batch = { set: jest.fn(), commit: jest.fn(async () => undefined) };
+  const cacheDir = mkdtempSync(path.join(tmpdir(), 'tts-test-cache-'));
+
+  beforeAll(async () => {
+    process.env.TTS_PROVIDERS = 'mock';
+    process.env.TTS_CACHE_DIR = cacheDir;
+    process.env.TTS_USER_MONTHLY_CHAR_BUDGET = '1000';
+    app = await createTestApp();
+    authToken = createTestToken({ userId: 'user-123', userLogin: 'testviewer', displayName: 'TestViewer' });
+  });
+
+  afterAll(() => {
+    if (originalProviders === undefined) delete process.env.TTS_PROVIDERS;
+    else process.env.TTS_PROVIDERS = originalProviders;
+    delete process.env.TTS_CACHE_DIR;
+    delete process.env.TTS_USER_MONTHLY_CHAR_BUDGET;
+    rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  // Answers each get() by the collection it was made on; an Error fails the read.
+  const storeReads = (byCollection: Record<string, unknown>) => {
+    let current = '';
+    ((db as any).collection as any).mockImplementation((name: string) => {
+      current = name;
+      return db;
+    });
+    ((db as any).get as any).mockImplementation(async () => {
+      const answer = byCollection[current];
+      if (answer instanceof Error) throw answer;
+      return answer ?? { exists: false, empty: true, docs: [], data: () => undefined };
+    });
+  };
+  const managedChannel = { empty: false, docs: [{ id: 'chan-1', data: () => ({ twitchUserId: 'chan-1' }) }] };
+  const chargedSubjects = () => batch.set.mock.calls.map((call: any[]) => `${call[1].scope}:${call[1].subject}`);
+
+  beforeEach(() => {
+    ((db as any).collection as any).mockReset();
+    ((db as any).collection as any).mockReturnValue(db);
+    ((db as any).doc as any).mockReturnValue(db);
+    ((db as any).where as any).mockReturnValue(db);
+    ((db as any).limit as any).mockReturnValue(db);
+    ((db as any).get as any).mockResolvedValue({ exists: false, data: () => undefined });
+    ((db as any).getAll as any).mockResolvedValue([{ exists: false, data: () => undefined }]);
+    ((db as any).batch as any).mockReturnValue(batch);
+    batch.set.mockClear();
+  });
+
+  it('returns generated audio from the mock provider', async () => {
+    const response = await request(app)
+      .post('/api/tts/test')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ text: 'Hello chat', voiceId: 'Wise_Woman', pitch: 3 })
+      .expect(200);
+
+    expect(response.body).toMatchObject({ success: true, provider: 'mock', model: 'mock-tone', cache: 'miss' });
+    expect(response.body.audioUrl).toMatch(/^data:audio\/wav;base64,/);
+    expect(response.body.cacheKey).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  it('serves a repeated request from the cache, by route and by key', async () => {
+    const body = { text: 'Cache me', voiceId: 'Wise_Woman', pitch: 2, speed: 1.2 };
+    const first = await request(app)
+      .post('/api/tts/test')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body)
+      .expect(200);
+    expect(first.body.cache).toBe('miss');
+
+    const second = await request(app)
+      .post('/api/tts/test')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ ...body, text: '  Cache   me ' })
+      .expect(200);
+    expect(second.body).toMatchObject({ cache: 'hit', cacheKey: first.body.cacheKey, provider: 'mock' });
+    expect(second.body.audioUrl).toBe(first.body.audioUrl);
+
+    const cached = await request(app)
+      .get(`/api/tts/cache/${first.body.cacheKey}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    expect(cached.headers['content-type']).toBe('audio/wav');
+    expect(Buffer.from(cached.body).toString('base64')).toBe(first.body.audioUrl.split(',')[1]);
+  });
+
+  it('answers 404 for audio not in the cache and 400 for a malformed key', async () => {
+    await request(app)
+      .get(`/api/tts/cache/${'0'.repeat(64)}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(404);
+    await request(app)
+      .get('/api/tts/cache/..%2Fsecrets')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(400);
+  });
+
+  it('meters the characters of each test, billing only synthesis', async () => {
+    const body = { text: 'Metered', voiceId: 'Wise_Woman', pitch: 4 };
+    await request(app).post('/api/tts/test').set('Authorization', `Bearer ${authToken}`).send(body).expect(200);
+    await request(app).post('/api/tts/test').set('Authorization', `Bearer ${authToken}`).send(body).expect(200);
+
+    // With no channel, only the user, by day and by month, for each of the two calls.
+    expect(batch.set).toHaveBeenCalledTimes(4);
+    const [miss, hit] = [batch.set.mock.calls[0][1], batch.set.mock.calls[2][1]] as any[];
+    expect(miss).toMatchObject({
+      scope: 'user',
+      subject: 'user-123',
+      characters: { increment: 7 },
+      billedCharacters: { increment: 7 },
+      providers: { mock: { increment: 7 } },
+      voices: { Wise_Woman: { increment: 7 } },
+    });
+    expect(miss.users).toBeUndefined();
+    expect(hit).toMatchObject({ characters: { increment: 7 }, billedCharacters: { increment: 0 }, cacheHits: { increment: 1 } });
+    expect(hit.providers).toBeUndefined();
+  });
+
+  it('charges the channel tested for when it lets the caller test', async () => {
+    storeReads({ managedChannels: managedChannel, ttsChannelConfigs: { exists: true, data: () => ({}) } });
+
+    await request(app)
+      .post('/api/tts/test')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ text: 'For the channel', voiceId: 'Wise_Woman', channel: 'streamer' })
+      .expect(200);
+
+    expect(chargedSubjects()).toEqual(['channel:chan-1', 'channel:chan-1', 'user:user-123', 'user:user-123']);
+    expect(batch.set.mock.calls[0][1]).toMatchObject({ users: { testviewer: { increment: 15 } } });
+  });
+
+  it('charges only the user for a channel that does not resolve or does not let them test', async () => {
+    const send = (text: string, channel: string) => request(app)
+      .post('/api/tts/test')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ text, voiceId: 'Wise_Woman', channel })
+      .expect(200);
+
+    // A raw ID is not a login, so it charges no channel and creates no usage for it.
+    storeReads({});
+    await send('Unknown channel', 'chan-1');
+    storeReads({
+      managedChannels: managedChannel,
+      ttsChannelConfigs: { exists: true, data: () => ({ ignoredUserIds: { 'twitch:user-123': 'testviewer' } }) },
+    });
+    await send('Ignored viewer', 'streamer');
+    storeReads({
+      managedChannels: managedChannel,
+      ttsChannelConfigs: { exists: true, data: () => ({ allowViewerPreferences: false }) },
+    });
+    await send('Closed channel', 'streamer');
+
+    expect(chargedSubjects()).toEqual(Array(6).fill('user:user-123'));
+  });
+
+  it('refuses a test for a channel whose voice policy cannot be read', async () => {
+    const send = (text: string, channel?: string) => request(app)
+      .post('/api/tts/test')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ text, voiceId: 'Wise_Woman', pitch: 12, ...(channel ? { channel } : {}) });
+
+    storeReads({ managedChannels: new Error('unavailable') });
+    const lookup = await send('Lookup down', 'streamer').expect(503);
+    expect(lookup.body).toEqual({ success: false, error: "Could not load this channel's voice settings, please try again." });
+
+    storeReads({ managedChannels: managedChannel, ttsChannelConfigs: new Error('unavailable') });
+    await send('Config down', 'streamer').expect(503);
+
+    storeReads({
+      managedChannels: managedChannel,
+      ttsChannelConfigs: { exists: true, data: () => ({}) },
+      ttsUserPreferences: new Error('unavailable'),
+    });
+    await send('Preferences down', 'streamer').expect(503);
+    expect(batch.set).not.toHaveBeenCalled();
+
+    // With no channel there is no policy to hold, so the request's values go ahead.
+    await send('Preferences down').expect(200);
+  });
+
+  it('refuses a synthesis that would go over the monthly budget', async () => {
+    ((db as any).getAll as any).mockResolvedValueOnce([{ exists: true, data: () => ({ billedCharacters: 995 }) }]);
+
+    const response = await request(app)
+      .post('/api/tts/test')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ text: 'Over budget', voiceId: 'Wise_Woman' })
+      .expect(403);
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.error).toMatch(/^You have used 995 of 1,000 TTS test characters this month\. The budget resets on /);
+    expect(response.body.budget).toMatchObject({ scope: 'user', used: 995, limit: 1000 });
+    expect(batch.set).not.toHaveBeenCalled();
+  });
+
+  it('rejects a voice no provider carries', async () => {
+    const response = await request(app)
+      .post('/api/tts/test')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ text: 'Hello chat', voiceId: 'Not_A_Voice' })
+      .expect(400);
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.error).toContain('Invalid voice');
+  });
+
+  it('refuses a user over the test quota with the time to wait', async () => {
+    const busyToken = createTestToken({ userId: 'user-busy', userLogin: 'busyviewer' });
+    const send = () => request(app)
+      .post('/api/tts/test')
+      .set('Authorization', `Bearer ${busyToken}`)
+      .send({ text: '' });
+
+    for (let i = 0; i < 30; i++) {
+      const response = await send().expect(400);
+      expect(response.headers['ratelimit-remaining']).toBe(String(29 - i));
+    }
+
+    const refused = await send().expect(429);
+    expect(refused.body).toMatchObject({ success: false, error: expect.stringContaining('Too many TTS test requests') });
+    expect(refused.body.retryAfter).toBeGreaterThan(0);
+    expect(refused.body.retryAfter).toBeLessThanOrEqual(60);
+    expect(Number(refused.headers['retry-after'])).toBeGreaterThan(0);
+
+    // Someone else is unaffected.
+    await request(app)
+      .post('/api/tts/test')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ text: '' })
+      .expect(400);
+  });
+
+  it('reports the providers in order with their circuit state', async () => {
+    const response = await request(app)
+      .get('/api/tts/providers')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.providers).toEqual([
+      { name: 'mock', model: 'mock-tone', configured: true, circuit: 'closed', healthy: true },
+    ]);
+  });
+});
@@ -132,11 +132,62 @@ describe('Viewer API Integration Tests', () => {
 
       expect(response.body.success).toBe(true);
 
-      // Verify preferences were saved (using userId as doc key)
+      // Saved as overrides for this channel only (using userId as doc key)
       const doc = await db.collection('ttsUserPreferences').doc(testUser.userId).get();
       const data = doc.data();
-      expect(data.speed).toBe(1.2);
-      expect(data.pitch).toBe(5);
+      expect(data.channelOverrides[testChannelId]).toEqual({ speed: 1.2, pitch: 5, emotion: 'happy' });
+      expect(data.speed).toBeUndefined();
+    });
+
+    it('should layer channel overrides over global preferences', async () => {
+      await db.collection("managedChannels").doc(testChannelId).set({ channelName: testChannel, twitchUserId: testChannelId });
+      await db.collection("ttsChannelConfigs").doc(testChannelId).set({ voiceId: 'default-voice', emotion: 'calm' });
+      await db.collection('ttsUserPreferences').doc(testUser.userId).set({
+        speed: 1.1,
+        pitch: 2,
+        channelOverrides: { [testChannelId]: { pitch: -3 }, other: { speed: 2 } },
+      });
+
+      const token = createTestToken(testUser);
+      const response = await request(app)
+        .get(`/api/viewer/preferences/${testChannel}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        speed: 1.1,
+        pitch: -3,
+        voiceId: null,
+        globalPreferences: { speed: 1.1, pitch: 2 },
+        channelOverrides: { pitch: -3, speed: null },
+        sources: { pitch: 'channel', speed: 'global', voiceId: 'default', emotion: 'default', language: null },
+      });
+    });
+
+    it('should drop one override with null and all of them with DELETE', async () => {
+      await db.collection("managedChannels").doc(testChannelId).set({ channelName: testChannel, twitchUserId: testChannelId });
+      await db.collection("ttsChannelConfigs").doc(testChannelId).set({ voiceId: 'default-voice' });
+      await db.collection('ttsUserPreferences').doc(testUser.userId).set({
+        speed: 1.1,
+        channelOverrides: { [testChannelId]: { pitch: -3, speed: 1.5 } },
+      });
+      const token = createTestToken(testUser);
+
+      await request(app)
+        .put(`/api/viewer/preferences/${testChannel}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ speed: null })
+        .expect(200);
+      let data = (await db.collection('ttsUserPreferences').doc(testUser.userId).get()).data();
+      expect(data.channelOverrides[testChannelId]).toEqual({ pitch: -3 });
+
+      await request(app)
+        .delete(`/api/viewer/preferences/${testChannel}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      data = (await db.collection('ttsUserPreferences').doc(testUser.userId).get()).data();
+      expect(data.channelOverrides[testChannelId]).toBeUndefined();
+      expect(data.speed).toBe(1.1);
     });
 
     it('should return 400 for invalid speed', async () => {
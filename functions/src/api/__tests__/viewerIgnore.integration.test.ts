@@ -19,6 +19,7 @@ jest.mock('../../services/firestore', () => {
     get: jest.fn(),
     set: jest.fn(),
     update: jest.fn(),
+    runTransaction: jest.fn(),
   };
   mockDbInstance.collection.mockReturnValue(mockDbInstance);
   mockDbInstance.doc.mockReturnValue(mockDbInstance);
@@ -41,19 +42,24 @@ jest.mock('../../services/firestore', () => {
       TTS_CHANNEL_CONFIGS: 'ttsChannelConfigs',
       TTS_USER_PREFS: 'ttsUserPreferences',
     },
-    FieldValue: { delete: jest.fn(() => ({ type: 'delete' })) },
+    FieldValue: {
+      delete: jest.fn(() => ({ type: 'delete' })),
+      serverTimestamp: jest.fn(() => ({ type: 'serverTimestamp' })),
+    },
     FieldPath: MockFieldPath,
   };
 });
 
 const mockLoadGlobalUserPreferences = jest.fn<any>();
+// Channel lookup stays real, so it reads the mocked managedChannels query.
 jest.mock('../../services/preferences', () => ({
+  ...jest.requireActual<typeof import('../../services/preferences')>('../../services/preferences'),
   loadGlobalUserPreferences: mockLoadGlobalUserPreferences,
 }));
 
 import request from 'supertest';
 import { createTestApp } from './appHelper';
-import { createTestToken } from './testHelpers';
+import { createTestToken, runMockTransaction } from './testHelpers';
 import { db, FieldValue } from '../../services/firestore';
 
 describe('Viewer TTS opt-out (Mocked Firestore)', () => {
@@ -86,6 +92,8 @@ describe('Viewer TTS opt-out (Mocked Firestore)', () => {
     ((db as any).where as any).mockReturnValue(db);
     ((db as any).limit as any).mockReturnValue(db);
     (FieldValue.delete as any).mockImplementation(() => ({ type: 'delete' }));
+    (FieldValue.serverTimestamp as any).mockImplementation(() => ({ type: 'serverTimestamp' }));
+    ((db as any).runTransaction as any).mockImplementation((fn: any) => runMockTransaction(db, fn));
     mockLoadGlobalUserPreferences.mockResolvedValue({});
   });
 
@@ -112,6 +120,22 @@ describe('Viewer TTS opt-out (Mocked Firestore)', () => {
     });
   });
 
+  it('records the opt-out in the channel settings history', async () => {
+    seed({});
+    ((db as any).set as any).mockResolvedValueOnce({} as any);
+
+    await request(app).post(endpoint).set('Authorization', `Bearer ${authToken}`).expect(200);
+
+    const [history] = ((db as any).set as any).mock.calls[1];
+    expect(history).toMatchObject({
+      actor: { id: entryKey, login: viewer.userLogin },
+      key: `ignoredUserIds.${entryKey}`,
+      oldValue: null,
+      newValue: { source: 'self' },
+      source: 'viewer-ignore',
+    });
+  });
+
   it('writes every provenance field, so a merge cannot inherit a stale source', async () => {
     seed({});
     ((db as any).set as any).mockResolvedValueOnce({} as any);
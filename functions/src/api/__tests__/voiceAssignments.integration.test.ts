@@ -0,0 +1,174 @@
+/**
+ * Integration tests for broadcaster-assigned voices
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+
+jest.mock('../../services/firestore', () => {
+  const mockDbInstance: any = {
+    collection: jest.fn(),
+    doc: jest.fn(),
+    get: jest.fn(),
+    set: jest.fn(),
+    update: jest.fn(),
+    runTransaction: jest.fn(),
+    where: jest.fn(),
+    limit: jest.fn(),
+  };
+  mockDbInstance.collection.mockReturnValue(mockDbInstance);
+  mockDbInstance.doc.mockReturnValue(mockDbInstance);
+
+  class MockFieldPath {
+    segments: string[];
+    constructor(...segments: string[]) {
+      this.segments = segments;
+    }
+  }
+
+  return {
+    db: mockDbInstance,
+    COLLECTIONS: {
+      TTS_CHANNEL_CONFIGS: 'ttsChannelConfigs',
+      CHANNEL_ROLES: 'channelRoles',
+    },
+    FieldValue: {
+      delete: jest.fn(() => ({ type: 'delete' })),
+      serverTimestamp: jest.fn(() => ({ type: 'serverTimestamp' })),
+    },
+    FieldPath: MockFieldPath,
+  };
+});
+
+const mockGetUserByUsername = jest.fn<any>();
+jest.mock('../../services/twitch', () => ({
+  getUserByUsername: mockGetUserByUsername,
+}));
+
+import request from 'supertest';
+import { createTestApp } from './appHelper';
+import { createTestToken, runMockTransaction } from './testHelpers';
+import { db, FieldValue } from '../../services/firestore';
+
+describe('Voice Assignments API Integration Tests (Mocked Firestore)', () => {
+  let app: any;
+  let authToken: string;
+  const channelName = 'testchannel';
+  const testUser = {
+    userId: 'user-123',
+    userLogin: channelName,
+    displayName: 'TestChannel',
+  };
+  const base = `/api/tts/voice-assignments/channel/${channelName}`;
+
+  const stored = {
+    voiceAssignments: {
+      'twitch:42': {
+        label: 'RegularBob', voiceId: 'Deep_Voice_Man', pitch: -2, speed: null, emotion: null,
+        overrideViewer: true, by: 'twitch:user-123', at: '2026-01-01T00:00:00.000Z',
+      },
+    },
+  };
+
+  const recorded = () => ((db as any).set as any).mock.calls
+    .map(([payload]: any[]) => payload)
+    .filter((payload: any) => payload && payload.source);
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    authToken = createTestToken(testUser);
+  });
+
+  beforeEach(() => {
+    ((db as any).collection as any).mockReturnValue(db);
+    ((db as any).doc as any).mockReturnValue(db);
+    (FieldValue.delete as any).mockImplementation(() => ({ type: 'delete' }));
+    (FieldValue.serverTimestamp as any).mockImplementation(() => ({ type: 'serverTimestamp' }));
+    ((db as any).runTransaction as any).mockImplementation((fn: any) => runMockTransaction(db, fn));
+    ((db as any).get as any).mockResolvedValue({ exists: true, data: () => stored });
+  });
+
+  it('lists assignments without the audit fields', async () => {
+    const response = await request(app)
+      .get(base)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body).toEqual({
+      success: true,
+      assignments: [{
+        key: 'twitch:42', label: 'RegularBob', voiceId: 'Deep_Voice_Man', pitch: -2, speed: null, emotion: null, overrideViewer: true,
+      }],
+    });
+  });
+
+  it('resolves the username and stores the assignment under the account ID', async () => {
+    mockGetUserByUsername.mockResolvedValueOnce({ id: '77', login: 'nightbot', displayName: 'Nightbot' });
+
+    const response = await request(app)
+      .post(base)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ username: '@NightBot', assignment: { voiceId: 'Friendly_Person', speed: 1.3, emotion: 'Happy' } })
+      .expect(200);
+
+    expect(mockGetUserByUsername).toHaveBeenCalledWith('nightbot', expect.anything());
+    expect(response.body.assignment).toEqual({
+      key: 'twitch:77', label: 'Nightbot', voiceId: 'Friendly_Person', pitch: null, speed: 1.3, emotion: 'happy', overrideViewer: false,
+    });
+    expect((db as any).set).toHaveBeenCalledWith({
+      voiceAssignments: {
+        'twitch:77': expect.objectContaining({ label: 'Nightbot', voiceId: 'Friendly_Person', pitch: null, by: 'twitch:user-123' }),
+      },
+    }, { merge: true });
+    expect(recorded()).toContainEqual(expect.objectContaining({ key: 'voiceAssignments.twitch:77', oldValue: null, source: 'voice-assignments' }));
+  });
+
+  it('rejects an unknown account or voice', async () => {
+    mockGetUserByUsername.mockResolvedValueOnce(null);
+    await request(app)
+      .post(base)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ username: 'ghost', assignment: { voiceId: 'Friendly_Person' } })
+      .expect(404);
+
+    const response = await request(app)
+      .post(base)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ username: 'nightbot', assignment: { voiceId: 'Not_A_Voice' } })
+      .expect(400);
+
+    expect(response.body.error).toBe('Unknown voice');
+    expect((db as any).set).not.toHaveBeenCalled();
+  });
+
+  it('updates an existing assignment and keeps its label', async () => {
+    const response = await request(app)
+      .put(`${base}/twitch:42`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ assignment: { voiceId: 'Calm_Woman', overrideViewer: false } })
+      .expect(200);
+
+    expect(response.body.assignment).toMatchObject({ key: 'twitch:42', label: 'RegularBob', voiceId: 'Calm_Woman', pitch: null });
+    expect(recorded()).toContainEqual(expect.objectContaining({
+      key: 'voiceAssignments.twitch:42',
+      oldValue: expect.objectContaining({ voiceId: 'Deep_Voice_Man' }),
+      newValue: expect.objectContaining({ voiceId: 'Calm_Woman', overrideViewer: false }),
+    }));
+
+    await request(app)
+      .put(`${base}/twitch:99`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ assignment: { voiceId: 'Calm_Woman' } })
+      .expect(404);
+  });
+
+  it('removes an assignment by key', async () => {
+    await request(app)
+      .delete(`${base}/twitch:42`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    const [path] = ((db as any).update as any).mock.calls[0];
+    expect(path.segments).toEqual(['voiceAssignments', 'twitch:42']);
+    expect(recorded()).toContainEqual(expect.objectContaining({ key: 'voiceAssignments.twitch:42', newValue: null }));
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Integration tests for favorite and recent voices
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+
+jest.mock('../../services/firestore', () => {
+  const mockDbInstance: any = {
+    collection: jest.fn(),
+    doc: jest.fn(),
+    get: jest.fn(),
+    set: jest.fn(),
+    update: jest.fn(),
+    runTransaction: jest.fn(),
+  };
+  mockDbInstance.collection.mockReturnValue(mockDbInstance);
+  mockDbInstance.doc.mockReturnValue(mockDbInstance);
+
+  return {
+    db: mockDbInstance,
+    COLLECTIONS: {
+      TTS_USER_PREFS: 'ttsUserPreferences',
+      VOICE_PICKS: 'ttsVoicePicks',
+    },
+    FieldValue: {
+      delete: jest.fn(() => ({ type: 'delete' })),
+    },
+  };
+});
+
+import request from 'supertest';
+import { createTestApp } from './appHelper';
+import { createTestToken, runMockTransaction } from './testHelpers';
+import { db } from '../../services/firestore';
+
+describe('Voice Picks API Integration Tests (Mocked Firestore)', () => {
+  let app: any;
+  let authToken: string;
+  const testUser = {
+    userId: 'user-123',
+    userLogin: 'testviewer',
+    displayName: 'TestViewer',
+  };
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    authToken = createTestToken(testUser);
+  });
+
+  beforeEach(() => {
+    ((db as any).collection as any).mockReturnValue(db);
+    ((db as any).doc as any).mockReturnValue(db);
+    ((db as any).runTransaction as any).mockImplementation((fn: any) => runMockTransaction(db, fn));
+    ((db as any).get as any).mockResolvedValue({
+      exists: true,
+      data: () => ({ favorites: ['Wise_Woman'], recent: ['Calm_Woman', 'Wise_Woman'] }),
+    });
+  });
+
+  it('returns the lists stored under the user ID', async () => {
+    const response = await request(app)
+      .get('/api/viewer/voice-picks')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body).toEqual({ success: true, favorites: ['Wise_Woman'], recent: ['Calm_Woman', 'Wise_Woman'] });
+    expect((db as any).collection).toHaveBeenCalledWith('ttsVoicePicks');
+    expect((db as any).doc).toHaveBeenCalledWith('user-123');
+  });
+
+  it('stars and unstars a voice', async () => {
+    const starred = await request(app)
+      .put('/api/viewer/voice-picks/favorites/Deep_Voice_Man')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    expect(starred.body.favorites).toEqual(['Wise_Woman', 'Deep_Voice_Man']);
+
+    await request(app)
+      .delete('/api/viewer/voice-picks/favorites/Wise_Woman')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    expect((db as any).set).toHaveBeenLastCalledWith({ favorites: [], recent: ['Calm_Woman', 'Wise_Woman'] });
+  });
+
+  it('moves a picked voice to the front of the recent list', async () => {
+    const response = await request(app)
+      .post('/api/viewer/voice-picks/recent')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ voiceId: 'Wise_Woman' })
+      .expect(200);
+
+    expect(response.body.recent).toEqual(['Wise_Woman', 'Calm_Woman']);
+  });
+
+  it('rejects an unknown voice without writing', async () => {
+    const response = await request(app)
+      .post('/api/viewer/voice-picks/recent')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ voiceId: 'Not_A_Voice' })
+      .expect(400);
+
+    expect(response.body.error).toBe('Unknown voice');
+    expect((db as any).set).not.toHaveBeenCalled();
+  });
+
+  it('requires a signed-in user', async () => {
+    await request(app).get('/api/viewer/voice-picks').expect(401);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Integration tests for the voice catalog endpoint
+ */
+
+import { describe, it, expect, beforeAll } from '@jest/globals';
+import request from 'supertest';
+import { createTestApp } from './appHelper';
+import { RELEASED_VOICES } from '../../services/voice-list';
+
+describe('Voices Endpoint Integration Tests', () => {
+  let app: any;
+
+  beforeAll(async () => {
+    app = await createTestApp();
+  });
+
+  it('should return every released voice with its entry and the facets', async () => {
+    const response = await request(app)
+      .get('/api/voices')
+      .expect(200);
+
+    expect(response.body.voices).toEqual(RELEASED_VOICES);
+    expect(response.body.total).toBe(RELEASED_VOICES.length);
+    expect(response.body.nextOffset).toBeNull();
+    expect(response.body.entries[0].id).toBe(response.body.voices[0]);
+    expect(response.body.facets.languages).toContain('English');
+    expect(response.body.facets.tags).toContain('female');
+  });
+
+  it('should page through the matches', async () => {
+    const first = await request(app)
+      .get('/api/voices?language=English&limit=5')
+      .expect(200);
+    expect(first.body.voices).toHaveLength(5);
+    expect(first.body.nextOffset).toBe(5);
+
+    const second = await request(app)
+      .get('/api/voices?language=English&limit=5&offset=5')
+      .expect(200);
+    expect(second.body.voices[0]).not.toBe(first.body.voices[0]);
+    expect(second.body.total).toBe(first.body.total);
+  });
+
+  it('should apply the filters and the search text', async () => {
+    const response = await request(app)
+      .get('/api/voices?tag=female&q=wise')
+      .expect(200);
+
+    expect(response.body.voices).toContain('Wise_Woman');
+    response.body.entries.forEach((entry: { tags: string[] }) => {
+      expect(entry.tags).toContain('female');
+    });
+  });
+
+  it('should reject a bad limit or offset', async () => {
+    await request(app).get('/api/voices?limit=0').expect(400);
+    await request(app).get('/api/voices?limit=100000').expect(400);
+    const response = await request(app).get('/api/voices?offset=-1').expect(400);
+    expect(response.body.success).toBe(false);
+  });
+});
@@ -2,100 +2,325 @@
  * Miscellaneous API routes (shortlinks, TTS test, etc.)
  */
 
-import express, { Request, Response, Router } from "express";
-import axios from "axios";
-import { db, COLLECTIONS } from "../services/firestore";
+import express, { NextFunction, Request, Response, Router } from "express";
+import { db, FieldValue, COLLECTIONS } from "../services/firestore";
 import { createShortLink, normalizeEmotion, validateEmotion } from "../services/utils";
-import * as ttsConfig from "../services/tts-config.json";
 import { authenticateApiRequest, assertAuthenticated } from "../middleware/auth";
-import { ttsTestLimiter } from "../middleware/rateLimit";
+import { ttsTestLimiter, ttsTestChannelLimiter } from "../middleware/rateLimit";
 import { secrets, config } from "../config";
-import { logger, redactSensitive } from "../logger";
-import { RELEASED_VOICES } from "../services/voice-list";
+import { logger } from "../logger";
+import {
+  VOICE_LANGUAGES,
+  VOICE_TAGS,
+  VOICE_PROVIDERS,
+  searchVoiceCatalog,
+  voicePreviewAssets,
+} from "../services/voice-list";
 import { getUserIdFromUsername } from "../services/twitch";
-import { loadGlobalUserPreferences } from "../services/preferences";
+import { findGrant } from "../services/channelRoles";
+import { getIgnoreEntry } from "../services/ignoreEntries";
+import { loadPreferenceLayers, resolvePreferences, findChannelIdByName, ViewerPreferences } from "../services/preferences";
+import { getVoiceAssignment, VoiceAssignment } from "../services/voiceAssignments";
+import { readVoicePolicy, policyViolation, clampToRange, VoicePolicy } from "../services/voicePolicy";
+import { TtsProviderError, TtsRequest } from "../services/ttsProviders";
+import { getProviderChain } from "../services/ttsProviderRegistry";
+import { getAudioCache, isCacheKey, loadAudio, toDataUrl, ttsCacheKey } from "../services/audioCache";
+import {
+  SHORTLINK_LIMITS,
+  checkDestination,
+  clickDay,
+  parseExpiry,
+  qrSize,
+  recentClicks,
+  serializeShortlink,
+  shortlinkQrPng,
+  shortlinkStatus,
+  shortUrlFor,
+} from "../services/shortlinks";
+import { BudgetRefusal, UsageEvent, checkBudget, effectiveBudget, readUsage, readUsageTotals, recordUsage, usageMonth } from "../services/usage";
 
 // Separate routers for API endpoints and public redirects
 const apiRouter: Router = express.Router();
 const redirectRouter: Router = express.Router();
 
-// Type definitions
-interface ShortlinkData {
-  url: string;
-  clicks?: number;
-  createdAt?: Date;
-  lastClickedAt?: Date;
-}
+// The whole catalog fits in one page; the cap only stops silly requests.
+const MAX_VOICES_PAGE = 500;
+
+// A TTS test for a channel whose voice policy could not be read is refused.
+const CHANNEL_SETTINGS_UNAVAILABLE = "Could not load this channel's voice settings, please try again.";
 
 
+/**
+ * Whether a test of `characters` would go over the channel's or the user's
+ * monthly budget.
+ * @param {string | null} channelId - The channel's config ID, or null when the
+ *   test is charged to the user alone
+ * @param {string} userId - The caller
+ * @param {number} characters - Characters to synthesize
+ * @return {Promise<BudgetRefusal | null>} The first budget it breaks, if any
+ */
+async function checkTestBudgets(channelId: string | null, userId: string, characters: number): Promise<BudgetRefusal | null> {
+  const now = Date.now();
+  const month = usageMonth(now);
+  const [channelDoc, [channelUsage], [userUsage]] = await Promise.all([
+    channelId ? db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(channelId).get() : null,
+    channelId ? readUsage("channel", channelId, [month]) : [undefined],
+    readUsage("user", userId, [month]),
+  ]);
+  const channelRefusal = channelDoc ?
+    checkBudget("channel", readUsageTotals(channelUsage).billedCharacters,
+      effectiveBudget(config.TTS_CHANNEL_MONTHLY_CHAR_BUDGET, channelDoc.data()?.monthlyCharacterBudget), characters, now) :
+    null;
+  return channelRefusal ||
+    checkBudget("user", readUsageTotals(userUsage).billedCharacters, effectiveBudget(config.TTS_USER_MONTHLY_CHAR_BUDGET), characters, now);
+}
+
+/**
+ * Whether a channel lets a user test TTS for it, and so pays for the test: its
+ * broadcaster, anyone it granted a role, and viewers it neither ignores nor
+ * keeps from choosing their own voice.
+ * @param {string} channelLogin - The channel's login
+ * @param {string} channelId - The channel's config ID
+ * @param {FirebaseFirestore.DocumentData} channelData - Its config
+ * @param {string} userId - The caller
+ * @return {Promise<boolean>} Whether the test counts against the channel
+ */
+async function channelAllowsTest(
+  channelLogin: string,
+  channelId: string,
+  channelData: FirebaseFirestore.DocumentData,
+  userId: string,
+): Promise<boolean> {
+  if (userId === channelId) return true;
+  if (await findGrant(channelLogin, userId)) return true;
+  return channelData.allowViewerPreferences !== false &&
+    getIgnoreEntry(channelData.ignoredUserIds, `twitch:${userId}`) === null;
+}
 
-interface ChannelDefaults {
-  voiceId?: string | null;
-  emotion?: string | null;
-  pitch?: number | null;
-  speed?: number | null;
-  languageBoost?: string | null;
+/** The channel a TTS test names, as resolveTestChannel found it. */
+interface TestChannel {
+  id: string | null;
+  data: FirebaseFirestore.DocumentData | null;
+  // Whether the channel lets the caller test, and so pays for it
+  charged: boolean;
 }
 
-interface WavespeedInput {
-  text: string;
-  voice_id: string;
-  speed: number;
-  volume: number;
-  pitch: number;
-  emotion: string;
-  language_boost: string;
-  english_normalization: boolean;
-  sample_rate: number;
-  bitrate: number;
-  channel: string;
-  format: string;
-  enable_sync_mode: boolean;
+/**
+ * Look up the channel a TTS test names, ahead of the channel quota. Leaves the
+ * result in res.locals.testChannel, null when the test names no channel, and
+ * the channel's ID in res.locals.quotaChannelId when the channel lets the
+ * caller test, so only those callers share its quota. A lookup that fails is
+ * answered with a 503: the test would otherwise skip the channel's voice policy.
+ * @param {Request} req - The authenticated request
+ * @param {Response} res - Its response
+ * @param {NextFunction} next - The limiter and route
+ * @return {Promise<void>} Resolves once passed on
+ */
+async function resolveTestChannel(req: Request, res: Response, next: NextFunction): Promise<void> {
+  assertAuthenticated(req);
+  const { channel } = req.body || {};
+  res.locals.testChannel = null;
+  if (typeof channel !== "string" || !channel) {
+    next();
+    return;
+  }
+
+  try {
+    // The channel is given by login; one that matches none charges no one.
+    const id = await findChannelIdByName(channel);
+    const doc = id ? await db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(id).get() : null;
+    const data = doc?.exists ? doc.data() || {} : null;
+    const charged = id !== null && data !== null && await channelAllowsTest(channel, id, data, req.user.userId);
+    res.locals.testChannel = { id, data, charged } satisfies TestChannel;
+    if (charged) res.locals.quotaChannelId = id;
+  } catch (error) {
+    logger.warn({ endpoint: "/api/tts/test", channel, error: (error as Error).message }, "Could not look up the channel to test for");
+    res.status(503).json({ success: false, error: CHANNEL_SETTINGS_UNAVAILABLE });
+    return;
+  }
+  next();
 }
 
-interface WavespeedResponse {
-  status: string;
-  outputs?: string[];
-  error?: string;
-  data?: {
-    status: string;
-    outputs?: string[];
-    error?: string;
-  };
+/**
+ * The caller's short link, or null if there is none by that slug or it is
+ * someone else's; the two are not told apart.
+ * @param {Request} req - The authenticated request
+ * @return {Promise<FirebaseFirestore.DocumentSnapshot | null>} The link
+ */
+async function ownedShortlink(req: Request) {
+  assertAuthenticated(req);
+  const snap = await db.collection(COLLECTIONS.SHORTLINKS).doc(String(req.params.slug)).get();
+  return snap.exists && snap.data()?.ownerId === req.user.userId ? snap : null;
 }
 
 // Route: /api/shortlink - Create a short link (requires app/viewer JWT)
+// Body: { url, expiresInDays? } - url must be on one of our own sites.
 apiRouter.post("/shortlink", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
-  const log = logger.child({ endpoint: "/api/shortlink" });
-  try {
-    const { url } = req.body;
+  assertAuthenticated(req);
+  const log = logger.child({ endpoint: "/api/shortlink", userId: req.user.userId });
+  const now = Date.now();
+  const destination = checkDestination(req.body?.url);
+  if (!destination.ok) {
+    res.status(400).json({ success: false, error: destination.reason });
+    return;
+  }
+  const expiry = parseExpiry(req.body?.expiresInDays, now);
+  if (!expiry.ok) {
+    res.status(400).json({ success: false, error: expiry.reason });
+    return;
+  }
 
-    if (!url) {
-      res.status(400).json({ error: "URL is required" });
+  try {
+    const owned = await db.collection(COLLECTIONS.SHORTLINKS).where("ownerId", "==", req.user.userId).count().get();
+    if (owned.data().count >= SHORTLINK_LIMITS.MAX_PER_OWNER) {
+      res.status(409).json({
+        success: false,
+        error: `You can have at most ${SHORTLINK_LIMITS.MAX_PER_OWNER} short links. Delete one first.`,
+      });
       return;
     }
 
-    const slug = await createShortLink(url);
-
-    const pathOnly = `/s/${slug}`;
-    const absoluteUrl = config.FRONTEND_URL ? `${new URL(config.FRONTEND_URL).origin}${pathOnly}` : pathOnly;
+    const slug = await createShortLink(destination.url, req.user, expiry.expiresAt);
     res.json({
       success: true,
       slug: slug,
-      shortUrl: pathOnly,
-      absoluteUrl: absoluteUrl,
+      ...shortUrlFor(slug),
+      expiresAt: expiry.expiresAt ? expiry.expiresAt.toISOString() : null,
+      qrUrl: `/api/shortlinks/${slug}/qr.png`,
     });
   } catch (error) {
     const err = error as Error;
     log.error({ error: err.message }, "Error creating shortlink");
     res.status(500).json({
       success: false,
-      error: err.message,
+      error: "Failed to create short link",
     });
   }
 });
 
-// Route: /s/:slug - Redirect short link (public)
+// Route: GET /api/shortlinks - The caller's short links, newest first
+apiRouter.get("/shortlinks", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
+  assertAuthenticated(req);
+  try {
+    const snap = await db.collection(COLLECTIONS.SHORTLINKS).where("ownerId", "==", req.user.userId).get();
+    const now = Date.now();
+    const links = snap.docs
+      .map((doc) => serializeShortlink(doc.id, doc.data(), now))
+      .sort((a, b) => (b.createdAt ?? "").localeCompare(a.createdAt ?? ""));
+    res.json({ success: true, links });
+  } catch (error) {
+    const err = error as Error;
+    logger.error({ error: err.message, userId: req.user.userId }, "Error listing shortlinks");
+    res.status(500).json({ success: false, error: "Failed to list short links" });
+  }
+});
+
+// Route: GET /api/shortlinks/:slug - One of the caller's links, with its
+// clicks per day for the last 30 days
+apiRouter.get("/shortlinks/:slug", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
+  assertAuthenticated(req);
+  try {
+    const snap = await ownedShortlink(req);
+    if (!snap) {
+      res.status(404).json({ success: false, error: "Short link not found" });
+      return;
+    }
+    const now = Date.now();
+    res.json({
+      success: true,
+      link: serializeShortlink(snap.id, snap.data() || {}, now),
+      dailyClicks: recentClicks(snap.data()?.dailyClicks, now, SHORTLINK_LIMITS.STATS_DAYS),
+    });
+  } catch (error) {
+    const err = error as Error;
+    logger.error({ error: err.message, slug: req.params.slug }, "Error reading shortlink stats");
+    res.status(500).json({ success: false, error: "Failed to read short link" });
+  }
+});
+
+// Route: PATCH /api/shortlinks/:slug - Disable or re-enable a link, or change
+// its expiry. Body: { disabled?, expiresInDays? } - expiresInDays null for never.
+apiRouter.patch("/shortlinks/:slug", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
+  assertAuthenticated(req);
+  const { disabled, expiresInDays } = req.body || {};
+  const update: Record<string, unknown> = {};
+  if (disabled !== undefined) {
+    if (typeof disabled !== "boolean") {
+      res.status(400).json({ success: false, error: "disabled must be true or false" });
+      return;
+    }
+    update.disabled = disabled;
+  }
+  if (expiresInDays !== undefined) {
+    const expiry = parseExpiry(expiresInDays, Date.now());
+    if (!expiry.ok) {
+      res.status(400).json({ success: false, error: expiry.reason });
+      return;
+    }
+    update.expiresAt = expiry.expiresAt;
+  }
+  if (Object.keys(update).length === 0) {
+    res.status(400).json({ success: false, error: "Nothing to change: send disabled or expiresInDays" });
+    return;
+  }
+
+  try {
+    const snap = await ownedShortlink(req);
+    if (!snap) {
+      res.status(404).json({ success: false, error: "Short link not found" });
+      return;
+    }
+    await snap.ref.update(update);
+    logger.info({ slug: snap.id, userId: req.user.userId, ...update }, "Updated short link");
+    res.json({ success: true, link: serializeShortlink(snap.id, { ...snap.data(), ...update }, Date.now()) });
+  } catch (error) {
+    const err = error as Error;
+    logger.error({ error: err.message, slug: req.params.slug }, "Error updating shortlink");
+    res.status(500).json({ success: false, error: "Failed to update short link" });
+  }
+});
+
+// Route: DELETE /api/shortlinks/:slug - Delete one of the caller's links
+apiRouter.delete("/shortlinks/:slug", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
+  assertAuthenticated(req);
+  try {
+    const snap = await ownedShortlink(req);
+    if (!snap) {
+      res.status(404).json({ success: false, error: "Short link not found" });
+      return;
+    }
+    await snap.ref.delete();
+    logger.info({ slug: snap.id, userId: req.user.userId }, "Deleted short link");
+    res.json({ success: true });
+  } catch (error) {
+    const err = error as Error;
+    logger.error({ error: err.message, slug: req.params.slug }, "Error deleting shortlink");
+    res.status(500).json({ success: false, error: "Failed to delete short link" });
+  }
+});
+
+// Route: GET /api/shortlinks/:slug/qr.png - A QR code for a link (public, so
+// it can be an <img>; it only encodes the short URL). ?size= in pixels.
+apiRouter.get("/shortlinks/:slug/qr.png", async (req: Request, res: Response): Promise<void> => {
+  const slug = String(req.params.slug);
+  try {
+    const snap = await db.collection(COLLECTIONS.SHORTLINKS).doc(slug).get();
+    if (!snap.exists || shortlinkStatus(snap.data() || {}, Date.now()) !== "active") {
+      res.status(404).json({ success: false, error: "Short link not found" });
+      return;
+    }
+    const png = await shortlinkQrPng(slug, qrSize(req.query.size));
+    res.set("Cache-Control", "public, max-age=86400");
+    res.type("png").send(png);
+  } catch (error) {
+    const err = error as Error;
+    logger.error({ error: err.message, slug }, "Error drawing shortlink QR code");
+    res.status(500).json({ success: false, error: "Failed to draw QR code" });
+  }
+});
+
+// Route: /s/:slug - Redirect short link (public). A temporary redirect, so
+// browsers do not keep following a link after it is disabled or expires.
 redirectRouter.get("/s/:slug", async (req: Request, res: Response): Promise<void> => {
   const { slug } = req.params;
   try {
@@ -111,22 +336,34 @@ redirectRouter.get("/s/:slug", async (req: Request, res: Response): Promise<void
       return;
     }
 
-    const data = shortlinkDoc.data() as ShortlinkData;
-    const { url } = data;
+    const data = shortlinkDoc.data() || {};
+    const now = Date.now();
+    const status = shortlinkStatus(data, now);
+    if (status !== "active") {
+      res.status(410).send(status === "disabled" ? "This short link has been disabled" : "This short link has expired");
+      return;
+    }
+    const destination = checkDestination(data.url);
+    if (!destination.ok) {
+      logger.warn({ slug, url: data.url }, "Refusing short link to a destination outside the allowlist");
+      res.status(404).send("Short link not found");
+      return;
+    }
 
     // Increment click counter
     try {
       await shortlinkDoc.ref.update({
-        clicks: (data.clicks || 0) + 1,
-        lastClickedAt: new Date(),
+        clicks: FieldValue.increment(1),
+        [`dailyClicks.${clickDay(now)}`]: FieldValue.increment(1),
+        lastClickedAt: new Date(now),
       });
     } catch (updateError) {
       const err = updateError as Error;
       logger.warn({ error: err.message, slug }, "Failed to update click counter");
     }
 
-    logger.info({ slug, url }, "Redirecting short link");
-    res.redirect(301, url);
+    logger.info({ slug, url: destination.url }, "Redirecting short link");
+    res.redirect(302, destination.url);
   } catch (error) {
     const err = error as Error;
     logger.error({ error: err.message, slug }, "Error redirecting short link");
@@ -136,11 +373,44 @@ redirectRouter.get("/s/:slug", async (req: Request, res: Response): Promise<void
 
 
 
-// Route: /api/voices - Get list of available voices
-apiRouter.get("/voices", async (_req: Request, res: Response): Promise<void> => {
+// Route: /api/voices - Search the voice catalog
+//
+// Filters: language, tag, provider, q (free text). Without limit the whole
+// match comes back, as older clients expect. `voices` stays a bare ID list for
+// them; `entries` carries the metadata. `facets` lists every language, tag and
+// provider so pickers can build their filters without a second request.
+apiRouter.get("/voices", async (req: Request, res: Response): Promise<void> => {
+  const param = (name: string): string | undefined =>
+    typeof req.query[name] === "string" && req.query[name] ? req.query[name] as string : undefined;
+
+  const offset = param("offset") === undefined ? 0 : Number(param("offset"));
+  const limit = param("limit") === undefined ? null : Number(param("limit"));
+  if (!Number.isInteger(offset) || offset < 0) {
+    res.status(400).json({ success: false, error: "offset must be a whole number, 0 or more" });
+    return;
+  }
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > MAX_VOICES_PAGE)) {
+    res.status(400).json({ success: false, error: `limit must be from 1 to ${MAX_VOICES_PAGE}` });
+    return;
+  }
+
+  const matches = searchVoiceCatalog({
+    language: param("language"),
+    tag: param("tag"),
+    provider: param("provider"),
+    query: param("q"),
+  });
+  const page = matches.slice(offset, limit === null ? undefined : offset + limit);
+  const nextOffset = offset + page.length < matches.length ? offset + page.length : null;
+
   res.json({
     success: true,
-    voices: RELEASED_VOICES
+    voices: page.map((entry) => entry.id),
+    entries: page.map((entry) => ({ ...entry, previews: voicePreviewAssets(entry) })),
+    total: matches.length,
+    offset,
+    nextOffset,
+    facets: { languages: VOICE_LANGUAGES, tags: VOICE_TAGS, providers: VOICE_PROVIDERS },
   });
 });
 
@@ -208,10 +478,11 @@ apiRouter.get("/tts/user-voice/:username", authenticateApiRequest, async (req: R
 });
 
 // Route: /api/tts/test - Test TTS functionality
-apiRouter.post("/tts/test", ttsTestLimiter, authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
+apiRouter.post("/tts/test", authenticateApiRequest, ttsTestLimiter, resolveTestChannel, ttsTestChannelLimiter, async (req: Request, res: Response): Promise<void> => {
   assertAuthenticated(req);
 
-  const { text, voiceId, emotion, pitch, speed, volume, languageBoost, channel } = req.body || {};
+  const { text, voiceId, emotion, pitch, speed, volume, languageBoost } = req.body || {};
+  const testChannel = res.locals.testChannel as TestChannel | null;
   const channelLogin = req.user.userLogin;
   const log = logger.child({ endpoint: "/api/tts/test", channelLogin, voiceId: voiceId || "default" });
 
@@ -226,7 +497,11 @@ apiRouter.post("/tts/test", ttsTestLimiter, authenticateApiRequest, async (req:
 
     log.info({ textLength: text.length }, "TTS test requested");
 
-    // Resolve effective parameters in order: request override -> viewer global prefs -> channel defaults
+    // Resolve effective parameters in order: request override -> viewer's
+    // override for the channel -> viewer global prefs -> channel defaults,
+    // with any voice the broadcaster assigned the viewer slotted in by its
+    // precedence flag. With a channel given, the channel's voice policy
+    // applies to the request's values as it does to the viewer's saved ones.
     let effective: {
       voiceId: string | null;
       emotion: string | null;
@@ -242,272 +517,131 @@ apiRouter.post("/tts/test", ttsTestLimiter, authenticateApiRequest, async (req:
       volume: (volume !== undefined) ? volume : null,
       languageBoost: languageBoost ?? null,
     };
+    // Usage counts against the caller, and against the channel tested for
+    // only when that channel exists and lets the caller test for it.
+    const usageChannelId = testChannel?.charged ? testChannel.id : null;
 
     try {
-      // Load viewer global preferences
-      const userPrefs = await loadGlobalUserPreferences(req.user.userId, channelLogin);
-
-      // Optionally load channel defaults if a channel is provided
-      let channelDefaults: ChannelDefaults = {};
-      if (channel) {
-        const channelDoc = await db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(channel).get();
-        if (channelDoc.exists) {
-          const d = channelDoc.data() || {};
-          channelDefaults = {
-            voiceId: d.voiceId ?? null,
-            emotion: d.emotion ?? null,
-            pitch: (d.pitch !== undefined) ? d.pitch : null,
-            speed: (d.speed !== undefined) ? d.speed : null,
-            languageBoost: d.languageBoost ?? null,
-          };
-        }
+      const channelId = testChannel?.id ?? null;
+      let channelDefaults: ViewerPreferences = {};
+      let assignment: VoiceAssignment | null = null;
+      let policy: VoicePolicy | null = null;
+      const d = testChannel?.data;
+      if (d) {
+        channelDefaults = {
+          voiceId: d.voiceId ?? null,
+          emotion: d.emotion ?? null,
+          pitch: (d.pitch !== undefined) ? d.pitch : null,
+          speed: (d.speed !== undefined) ? d.speed : null,
+          languageBoost: d.languageBoost ?? null,
+        };
+        assignment = getVoiceAssignment(d, `twitch:${req.user.userId}`);
+        policy = readVoicePolicy(d);
       }
 
-      const pick = (reqVal: unknown, userVal: unknown, chanVal: unknown): unknown => {
-        if (reqVal !== undefined && reqVal !== null && reqVal !== "") return reqVal; // explicit request
-        if (userVal !== undefined && userVal !== null && userVal !== "") return userVal; // viewer global
-        return (chanVal !== undefined && chanVal !== null && chanVal !== "") ? chanVal : null; // channel default
-      };
+      const layers = await loadPreferenceLayers(req.user.userId, channelLogin, channelId);
+      const resolved = resolvePreferences(layers, channelDefaults, { assignment, policy }).values;
+      const pick = (reqVal: unknown, resolvedVal: unknown): unknown =>
+        (reqVal !== undefined && reqVal !== null && reqVal !== "") ? reqVal : (resolvedVal ?? null);
+      // The resolved value already passed the policy, or is the channel's own
+      // choice, so a request that repeats it is let through.
+      const permitted = (field: "voiceId" | "emotion", reqVal: unknown, resolvedVal: unknown): unknown =>
+        !policy || reqVal === resolvedVal || !policyViolation(policy, field, reqVal) ? reqVal : null;
+      const bounded = (field: "pitch" | "speed", reqVal: unknown, resolvedVal: unknown): unknown =>
+        policy && typeof reqVal === "number" && reqVal !== resolvedVal ? clampToRange(policy[field], reqVal) : reqVal;
 
       effective = {
-        voiceId: pick(voiceId, userPrefs.voiceId, channelDefaults.voiceId) as string | null,
-        emotion: normalizeEmotion(pick(emotion, userPrefs.emotion, channelDefaults.emotion) as string | null),
-        pitch: pick(pitch, userPrefs.pitch, channelDefaults.pitch) as number | null,
-        speed: pick(speed, userPrefs.speed, channelDefaults.speed) as number | null,
-        volume: pick(volume, null, null) as number | null, // users/channel don't have simple volume field yet in this service
-        languageBoost: pick(languageBoost, userPrefs.languageBoost, channelDefaults.languageBoost) as string | null,
+        voiceId: pick(permitted("voiceId", voiceId, resolved.voiceId), resolved.voiceId) as string | null,
+        emotion: normalizeEmotion(pick(
+          permitted("emotion", normalizeEmotion(emotion), resolved.emotion), resolved.emotion) as string | null),
+        pitch: pick(bounded("pitch", pitch, resolved.pitch), resolved.pitch) as number | null,
+        speed: pick(bounded("speed", speed, resolved.speed), resolved.speed) as number | null,
+        volume: pick(volume, null) as number | null, // users/channel don't have simple volume field yet in this service
+        languageBoost: pick(languageBoost, resolved.languageBoost) as string | null,
       };
       log.debug({ effective }, "Effective params");
     } catch (resolveErr) {
       const err = resolveErr as Error;
+      // The channel's voice policy must hold, so a test for a channel does not
+      // go ahead on values it could not check.
+      if (testChannel) {
+        log.warn({ error: err.message }, "Failed to resolve defaults for the channel; refusing the test");
+        res.status(503).json({ success: false, error: CHANNEL_SETTINGS_UNAVAILABLE });
+        return;
+      }
       log.warn({ error: err.message }, "Failed to resolve defaults; proceeding with request values only");
     }
 
-    // All voices use 302.ai (speech-2.8-turbo) as primary provider
-    // Verified 2026-03-06: all 475 voices work on 302.ai
-    const voice = effective.voiceId || "Friendly_Person";
-    const use302 = !!secrets["302_KEY"];
-
     // Validate emotion before sending to any provider
     if (effective.emotion && !validateEmotion(effective.emotion)) {
       log.warn({ emotion: effective.emotion }, "Invalid emotion value, falling back to auto-detect");
       effective.emotion = null;
     }
 
-    // Use 302.ai API
-    if (use302) {
-      try {
-        log.debug("302.ai client initialized for TTS test");
-
-        // Map language boost
-        let languageBoostValue = effective.languageBoost || "auto";
-        if (languageBoostValue === "Automatic" || languageBoostValue === "None") {
-          languageBoostValue = "auto";
-        }
-
-        const input = {
-          model: "speech-2.8-turbo",
-          text,
-          stream: false,
-          voice_setting: {
-            voice_id: voice,
-            speed: typeof effective.speed === "number" ? effective.speed : 1.0,
-            vol: typeof effective.volume === "number" ? effective.volume : 1.0,
-            pitch: typeof effective.pitch === "number" ? effective.pitch : 0,
-            emotion: (effective.emotion && effective.emotion !== "neutral") ? effective.emotion : undefined,
-            text_normalization: false,
-          },
-          audio_setting: {
-            sample_rate: 32000,
-            bitrate: 128000,
-            format: "mp3",
-            channel: 1,
-          },
-          language_boost: languageBoostValue,
-          output_format: "url",
-        };
+    const languageBoostValue = effective.languageBoost || "auto";
+    const ttsRequest: TtsRequest = {
+      text,
+      voiceId: effective.voiceId || "Friendly_Person",
+      emotion: effective.emotion,
+      pitch: typeof effective.pitch === "number" ? effective.pitch : 0,
+      speed: typeof effective.speed === "number" ? effective.speed : 1.0,
+      volume: typeof effective.volume === "number" ? effective.volume : 1.0,
+      languageBoost: languageBoostValue === "Automatic" || languageBoostValue === "None" ? "auto" : languageBoostValue,
+    };
 
-        const response = await axios.post(
-          "https://api.302.ai/minimaxi/v1/t2a_v2",
-          input,
-          {
-            headers: {
-              "Authorization": `Bearer ${secrets["302_KEY"]}`,
-              "Content-Type": "application/json",
-            },
-            timeout: 60000,
-          }
-        );
-
-        const result = response.data;
-        let audioUrl: string | undefined;
-
-        if (result.data && result.data.url) {
-          audioUrl = result.data.url;
-        } else if (result.data && result.data.audio) {
-          audioUrl = result.data.audio;
-        } else if (result.url) {
-          audioUrl = result.url;
-        }
-
-        if (audioUrl) {
-          res.json({ success: true, audioUrl, provider: "302.ai", model: "speech-2.8-turbo" });
-          return;
-        } else {
-          log.error({ result }, "302.ai returned unexpected response");
-          // Fall through to Wavespeed? Or just error? Let's error for now as fallthrough might be confusing
-          res.status(502).json({ success: false, error: "302.ai generated no audio URL" });
-          return;
-        }
-
-      } catch (err302) {
-        const error = err302 as any;
-        log.error({ 
-          error: error.message, 
-          apiError: error.response?.data, 
-        }, "302.ai call failed");
-        // Could fallback to Wavespeed here if we wanted
-        res.status(500).json({ success: false, error: "302.ai TTS generation failed" });
-        return;
-      }
+    // The same request synthesizes to the same audio, so a repeat is served
+    // from the cache. A broken cache only costs the saving.
+    const cacheKey = ttsCacheKey(ttsRequest);
+    const audioCache = getAudioCache();
+    const hit = await audioCache.get(cacheKey).catch((cacheErr: Error) => {
+      log.warn({ error: cacheErr.message }, "Audio cache lookup failed");
+      return null;
+    });
+    const usage: Omit<UsageEvent, "provider" | "cacheHit"> = {
+      channelId: usageChannelId,
+      userId: req.user.userId,
+      userLogin: channelLogin,
+      characters: text.length,
+      voiceId: ttsRequest.voiceId,
+    };
+    // Metering must not fail the test it meters.
+    const meter = (provider: string, cacheHit: boolean): Promise<void> =>
+      recordUsage({ ...usage, provider, cacheHit }).catch((usageErr: Error) => {
+        log.warn({ error: usageErr.message }, "Could not record TTS usage");
+      });
+
+    if (hit) {
+      log.info({ cacheKey }, "Serving cached TTS test audio");
+      await meter(hit.provider, true);
+      res.json({ success: true, audioUrl: toDataUrl(hit), provider: hit.provider, model: hit.model, cache: "hit", cacheKey });
+      return;
     }
 
-    // Fallback/Default: generate audio via Wavespeed AI (minimax/speech-02-turbo)
-    if (secrets.WAVESPEED_API_KEY) {
-      try {
-        log.debug("Wavespeed AI client initialized for TTS test");
-
-        // Map legacy language boost values to Wavespeed format
-        let languageBoostValue = effective.languageBoost || "auto";
-        if (languageBoostValue === "Automatic" || languageBoostValue === "None") {
-          languageBoostValue = "auto";
-        }
-
-        // Sanitize emotion for Wavespeed (speech-02-turbo doesn't support calm/fluent)
-        let wavespeedEmotion: string | undefined = effective.emotion || undefined;
-        if (wavespeedEmotion && !(ttsConfig.LEGACY_SAFE_EMOTIONS as readonly string[]).includes(wavespeedEmotion)) {
-          log.debug({ emotion: wavespeedEmotion }, "Emotion not supported by Wavespeed, omitting");
-          wavespeedEmotion = undefined;
-        }
-        // neutral → omit for auto-detect
-        if (wavespeedEmotion === "neutral") {
-          wavespeedEmotion = undefined;
-        }
-
-        // Sanitize language for Wavespeed (speech-02-turbo supports fewer languages)
-        if (languageBoostValue && !(ttsConfig.LEGACY_SAFE_LANGUAGE_BOOSTS as readonly string[]).includes(languageBoostValue)) {
-          log.debug({ language: languageBoostValue }, "Language not supported by Wavespeed, falling back to auto");
-          languageBoostValue = "auto";
-        }
-
-        const input: WavespeedInput & { vol: number } = {
-          text,
-          voice_id: voice,
-          speed: typeof effective.speed === "number" ? effective.speed : 1.0,
-          vol: typeof effective.volume === "number" ? effective.volume : 1.0,
-          volume: typeof effective.volume === "number" ? effective.volume : 1.0,
-          pitch: typeof effective.pitch === "number" ? effective.pitch : 0,
-          emotion: wavespeedEmotion as string,
-          language_boost: languageBoostValue,
-          english_normalization: false,
-          sample_rate: 32000,
-          bitrate: 128000,
-          channel: "1",
-          format: "mp3",
-          enable_sync_mode: true, // Enable sync mode for lowest latency
-        };
+    // Cached audio costs nothing, so only a synthesis is held to the budgets.
+    const refusal = await checkTestBudgets(usageChannelId, req.user.userId, usage.characters).catch((budgetErr: Error) => {
+      log.warn({ error: budgetErr.message }, "Could not check TTS budgets");
+      return null;
+    });
+    if (refusal) {
+      log.info({ scope: refusal.scope, used: refusal.used, limit: refusal.limit }, "TTS test refused: monthly budget reached");
+      res.status(403).json({ success: false, error: refusal.message, budget: refusal });
+      return;
+    }
 
-        const response = await axios.post<WavespeedResponse>(
-          "https://api.wavespeed.ai/api/v3/minimax/speech-02-turbo",
-          input,
-          {
-            headers: {
-              "Authorization": `Bearer ${secrets.WAVESPEED_API_KEY}`,
-              "Content-Type": "application/json",
-            },
-            timeout: 60000, // 60 second timeout
-          },
-        );
-
-        const result = response.data;
-        const data = result.data || result;
-
-        if (data.status === "completed" && data.outputs && data.outputs.length > 0) {
-          const audioUrl = data.outputs[0];
-          res.json({ success: true, audioUrl, provider: "wavespeed", model: "minimax/speech-02-turbo" });
-          return;
-        } else if (data.status === "failed") {
-          log.error({ error: data.error }, "Wavespeed AI returned failed status");
-
-          // Provide specific error messages based on the failure reason
-          if (data.error?.includes("you don't have access to this voice_id")) {
-            res.status(403).json({
-              success: false,
-              error: `Voice access denied: The voice "${effective.voiceId}" requires special access permissions. Please try a different voice.`,
-            });
-            return;
-          }
-
-          if (data.error?.includes("voice_id")) {
-            res.status(400).json({
-              success: false,
-              error: `Invalid voice: "${effective.voiceId}" is not available. Please check the voice ID and try again.`,
-            });
-            return;
-          }
-
-          res.status(502).json({ success: false, error: `TTS generation failed: ${data.error || "Unknown error"}` });
-          return;
-        } else {
-          log.warn({ data: redactSensitive(data) }, "Wavespeed AI returned unexpected status or missing outputs");
-          res.status(502).json({ success: false, error: "No audio URL returned by TTS provider" });
-          return;
-        }
-      } catch (wavespeedError) {
-        const err = wavespeedError as { message: string; response?: { data?: { message?: string } } };
-        log.error({
-          error: err.message,
-          responseData: redactSensitive(err?.response?.data),
-        }, "Wavespeed AI call failed");
-
-        // Provide specific error messages based on Wavespeed API response
-        if (err.response?.data) {
-          const apiError = err.response.data;
-
-          // Check for specific Wavespeed error messages
-          if (apiError.message && apiError.message.includes("you don't have access to this voice_id")) {
-            res.status(403).json({
-              success: false,
-              error: `Voice access denied: The voice "${effective.voiceId}" requires special access permissions. Please try a different voice.`,
-            });
-            return;
-          }
-
-          if (apiError.message && apiError.message.includes("voice_id")) {
-            res.status(400).json({
-              success: false,
-              error: `Invalid voice: "${effective.voiceId}" is not available. Please check the voice ID and try again.`,
-            });
-            return;
-          }
-
-          if (apiError.message) {
-            res.status(502).json({
-              success: false,
-              error: `TTS generation failed: ${apiError.message}`,
-            });
-            return;
-          }
-        }
-
-        // Fallback to generic error
-        res.status(500).json({ success: false, error: "TTS generation failed" });
-        return;
+    try {
+      const result = await getProviderChain().synthesize(ttsRequest);
+      await meter(result.provider, false);
+      try {
+        const { audio, contentType } = await loadAudio(result.audioUrl);
+        await audioCache.put(cacheKey, { audio, contentType, provider: result.provider, model: result.model });
+      } catch (cacheErr) {
+        log.warn({ error: (cacheErr as Error).message }, "Could not cache TTS test audio");
       }
+      res.json({ success: true, ...result, cache: "miss", cacheKey });
+    } catch (providerError) {
+      if (!(providerError instanceof TtsProviderError)) throw providerError;
+      res.status(providerError.status).json({ success: false, error: providerError.message });
     }
-
-    // Fallback when Wavespeed AI is not configured
-    res.status(501).json({ success: false, error: "TTS provider not configured" });
   } catch (error) {
     const err = error as Error;
     log.error({ error: err.message }, "Error in TTS test");
@@ -519,6 +653,45 @@ apiRouter.post("/tts/test", ttsTestLimiter, authenticateApiRequest, async (req:
   }
 });
 
+// Route: /api/tts/cache/:key - Cached test audio, by the key /api/tts/test
+// reports. The client computes the key itself to skip the synthesis request.
+apiRouter.get("/tts/cache/:key", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
+  const key = String(req.params.key);
+  if (!isCacheKey(key)) {
+    res.status(400).json({ success: false, error: "Invalid cache key" });
+    return;
+  }
+
+  try {
+    const entry = await getAudioCache().get(key);
+    if (!entry) {
+      res.status(404).json({ success: false, error: "Audio not cached" });
+      return;
+    }
+    res.set({
+      "Content-Type": entry.contentType,
+      "Cache-Control": "private, max-age=86400",
+      "X-TTS-Provider": entry.provider,
+    });
+    res.send(entry.audio);
+  } catch (error) {
+    const err = error as Error;
+    logger.error({ endpoint: "/api/tts/cache", error: err.message }, "Error reading cached audio");
+    res.status(500).json({ success: false, error: "Failed to read cached audio" });
+  }
+});
+
+// Route: /api/tts/providers - Health of each TTS provider in the fallback order
+apiRouter.get("/tts/providers", authenticateApiRequest, async (_req: Request, res: Response): Promise<void> => {
+  try {
+    res.json({ success: true, providers: await getProviderChain().status() });
+  } catch (error) {
+    const err = error as Error;
+    logger.error({ endpoint: "/api/tts/providers", error: err.message }, "Error reading provider status");
+    res.status(500).json({ success: false, error: "Failed to read provider status" });
+  }
+});
+
 export {
   apiRouter,
   redirectRouter,
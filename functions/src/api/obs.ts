@@ -1,90 +1,420 @@
 /**
  * OBS integration API routes
+ *
+ * A channel's browser source tokens are managed under /api/obs/tokens; see
+ * services/obsTokens.ts for how they are stored. /getToken and /generateToken
+ * are the single-token routes older dashboards use, kept working on top of
+ * the same tokens.
+ *
+ * Caption overlay settings are kept under /api/obs/overlay for the channel and
+ * /api/obs/tokens/:tokenId/overlay for a single source; see
+ * services/captionOverlay.ts.
  */
 
 import express, {Request, Response, Router} from "express";
-import {randomBytes} from "crypto";
+import type {DocumentData, DocumentReference, Transaction} from "@google-cloud/firestore";
 import {db, FieldValue, COLLECTIONS} from "../services/firestore";
 import {getValidTwitchTokenForUser} from "../services/twitch";
-import {authenticateApiRequest, assertAuthenticated} from "../middleware/auth";
+import {getChannelIdFromName} from "../services/preferences";
+import {authenticateApiRequest, assertAuthenticated, requireChannelRole} from "../middleware/auth";
+import {obsVerifyLimiter} from "../middleware/rateLimit";
 import {secrets, config} from "../config";
 import {logger} from "../logger";
+import {
+  LEGACY_TOKEN_NAME,
+  OBS_TOKEN_LIMITS,
+  browserSourceUrl,
+  graceMs,
+  legacyTokenValue,
+  newTokenValue,
+  obsTokensCollection,
+  serializeObsToken,
+  shouldTouch,
+  tokenAccepts,
+  toMillis,
+  validateTokenName,
+} from "../services/obsTokens";
+import {DEFAULT_CAPTION_OVERLAY, readCaptionOverlay, resolveCaptionOverlay, validateCaptionOverlay} from "../services/captionOverlay";
 
 const router: Router = express.Router();
+const verifyRouter: Router = express.Router();
 
-// Route: /api/obs/getToken
-router.get("/getToken", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
+// The browser source token is a credential for the stream's audio, so these
+// stay with the broadcaster even when others have been granted a role.
+const ownerOnly = requireChannelRole("broadcaster");
+
+interface StoredToken {
+  ref: DocumentReference;
+  data: DocumentData;
+}
+
+/**
+ * Read a channel's tokens inside a transaction. A channel that still has only
+ * the single legacy token gets it adopted as a token named "Default", so it
+ * keeps working and shows up in the list.
+ * @param {Transaction} tx - The transaction
+ * @param {DocumentReference} channelDoc - The channel's config document
+ * @return {Promise<{tokens: StoredToken[], legacy: string | null}>} The tokens,
+ *   the adopted one included, and the value obsSocketToken holds
+ */
+async function readTokens(tx: Transaction, channelDoc: DocumentReference): Promise<{ tokens: StoredToken[]; legacy: string | null }> {
+  const [snap, channelSnap] = await Promise.all([tx.get(obsTokensCollection(channelDoc)), tx.get(channelDoc)]);
+  const tokens = snap.docs.map((doc) => ({ref: doc.ref, data: doc.data()}));
+  const legacy = channelSnap.data()?.obsSocketToken;
+  if (tokens.length === 0 && typeof legacy === "string" && legacy) {
+    const data = {
+      name: LEGACY_TOKEN_NAME,
+      token: legacy,
+      createdAt: channelSnap.data()?.obsTokenGeneratedAt ?? FieldValue.serverTimestamp(),
+      lastUsedAt: null,
+    };
+    const ref = obsTokensCollection(channelDoc).doc();
+    tx.set(ref, data);
+    tokens.push({ref, data});
+  }
+  return {tokens, legacy: typeof legacy === "string" && legacy ? legacy : null};
+}
+
+/**
+ * The token the single-token routes act on: the one obsSocketToken holds,
+ * else the newest.
+ * @param {StoredToken[]} tokens - The channel's tokens
+ * @param {string | null} legacy - The value obsSocketToken holds
+ * @return {StoredToken | undefined} The token, if there are any
+ */
+function currentToken(tokens: StoredToken[], legacy: string | null): StoredToken | undefined {
+  const value = tokens.some((t) => t.data.token === legacy) ? legacy : legacyTokenValue(tokens.map((t) => t.data));
+  return tokens.find((t) => t.data.token === value);
+}
+
+/**
+ * Point the channel document's obsSocketToken at the most recently issued
+ * token, for TTS service versions that only know that field.
+ * @param {Transaction} tx - The transaction
+ * @param {DocumentReference} channelDoc - The channel's config document
+ * @param {string | null} value - The token value, or null when none are left
+ */
+function syncLegacyToken(tx: Transaction, channelDoc: DocumentReference, value: string | null): void {
+  tx.set(channelDoc, {
+    obsSocketToken: value ?? FieldValue.delete(),
+    obsTokenGeneratedAt: value ? FieldValue.serverTimestamp() : FieldValue.delete(),
+    updatedAt: FieldValue.serverTimestamp(),
+  }, {merge: true});
+}
+
+/**
+ * Add a token.
+ * @param {Transaction} tx - The transaction
+ * @param {DocumentReference} channelDoc - The channel's config document
+ * @param {string} name - Its name
+ * @return {{id: string, token: string}} Its document ID and value
+ */
+function createToken(tx: Transaction, channelDoc: DocumentReference, name: string): { id: string; token: string } {
+  const ref = obsTokensCollection(channelDoc).doc();
+  const token = newTokenValue();
+  tx.set(ref, {name, token, createdAt: FieldValue.serverTimestamp(), lastUsedAt: null});
+  syncLegacyToken(tx, channelDoc, token);
+  return {id: ref.id, token};
+}
+
+/**
+ * Give a token a new value, the old one working on for `grace` ms.
+ * @param {Transaction} tx - The transaction
+ * @param {DocumentReference} channelDoc - The channel's config document
+ * @param {StoredToken} target - The token to rotate
+ * @param {number} grace - The grace period
+ * @return {string} The new value
+ */
+function rotateToken(tx: Transaction, channelDoc: DocumentReference, target: StoredToken, grace: number): string {
+  const token = newTokenValue();
+  tx.set(target.ref, {
+    token,
+    previousToken: grace > 0 ? target.data.token : null,
+    previousTokenExpiresAt: grace > 0 ? new Date(Date.now() + grace) : null,
+    rotatedAt: FieldValue.serverTimestamp(),
+  }, {merge: true});
+  syncLegacyToken(tx, channelDoc, token);
+  return token;
+}
+
+/**
+ * Refuse with needsReAuth when the broadcaster's Twitch authorization has
+ * lapsed; the browser source depends on it.
+ * @param {Request} req - The authenticated request
+ * @param {Response} res - The response, answered on failure
+ * @return {Promise<boolean>} True if the caller may go on
+ */
+async function requireTwitchAuth(req: Request, res: Response): Promise<boolean> {
   assertAuthenticated(req);
+  try {
+    await getValidTwitchTokenForUser(req.user.userId, secrets);
+    return true;
+  } catch (tokenError) {
+    const err = tokenError as Error;
+    logger.warn({userId: req.user.userId, error: err.message}, "OBS token request with expired Twitch authorization");
+    res.status(403).json({
+      success: false,
+      needsReAuth: true,
+      message: "Your Twitch authentication has expired. Please reconnect your account.",
+    });
+    return false;
+  }
+}
 
-  const channelLogin = req.user.userLogin;
-  const log = logger.child({endpoint: "/api/obs/getToken", channelLogin});
-  log.info("OBS token retrieval requested");
+function channelDocFor(req: Request) {
+  assertAuthenticated(req);
+  return db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.user.userId);
+}
+
+/**
+ * The tokens as the dashboard shows them, oldest first.
+ * @param {Request} req - The authenticated request
+ * @param {Array<{id: string, data: DocumentData}>} tokens - The token documents
+ * @return {ObsTokenView[]} The views
+ */
+function viewTokens(req: Request, tokens: Array<{ id: string; data: DocumentData }>) {
+  assertAuthenticated(req);
+  const now = Date.now();
+  return tokens
+    .map(({id, data}) => serializeObsToken(id, data, config.OBS_BROWSER_BASE_URL, req.user.userLogin, now))
+    .sort((a, b) => (a.createdAt ?? "").localeCompare(b.createdAt ?? ""));
+}
+
+// Route: GET /api/obs/tokens - The channel's browser source tokens
+router.get("/tokens", authenticateApiRequest, ownerOnly, async (req: Request, res: Response): Promise<void> => {
+  assertAuthenticated(req);
+  const log = logger.child({endpoint: "/api/obs/tokens", channelLogin: req.user.userLogin});
+
+  try {
+    const channelDoc = channelDocFor(req);
+    await db.runTransaction((tx) => readTokens(tx, channelDoc));
+    // Read back: an adopted legacy token only has its timestamps once committed.
+    const snap = await obsTokensCollection(channelDoc).get();
+    res.json({success: true, tokens: viewTokens(req, snap.docs.map((doc) => ({id: doc.id, data: doc.data()})))});
+  } catch (error) {
+    const err = error as Error;
+    log.error({error: err.message}, "Error listing OBS tokens");
+    res.status(500).json({success: false, message: "Failed to list OBS tokens."});
+  }
+});
+
+// Route: POST /api/obs/tokens - Create a token. Body: { name }
+router.post("/tokens", authenticateApiRequest, ownerOnly, async (req: Request, res: Response): Promise<void> => {
+  assertAuthenticated(req);
+  const log = logger.child({endpoint: "/api/obs/tokens", channelLogin: req.user.userLogin});
 
-  if (!db) {
-    log.error("Firestore client not initialized!");
-    res.status(500).json({success: false, message: "Server configuration error."});
+  const name = validateTokenName(req.body?.name);
+  if (!name) {
+    res.status(400).json({success: false, message: `Give the token a name of at most ${OBS_TOKEN_LIMITS.MAX_NAME_LENGTH} characters.`});
     return;
   }
+  if (!(await requireTwitchAuth(req, res))) return;
 
   try {
-    // Check if user has valid Twitch tokens
-    try {
-      await getValidTwitchTokenForUser(req.user.userId, secrets);
-      log.debug("Verified valid Twitch token");
-    } catch (tokenError) {
-      const err = tokenError as Error;
-      log.error({error: err.message}, "Token validation failed");
-      res.status(403).json({
-        success: false,
-        needsReAuth: true,
-        message: "Your Twitch authentication has expired. Please reconnect your account.",
-      });
+    const channelDoc = channelDocFor(req);
+    const outcome = await db.runTransaction(async (tx) => {
+      const {tokens} = await readTokens(tx, channelDoc);
+      if (tokens.length >= OBS_TOKEN_LIMITS.MAX_TOKENS) return {status: "full" as const};
+      if (tokens.some((t) => String(t.data.name).toLowerCase() === name.toLowerCase())) return {status: "duplicate" as const};
+
+      return {status: "created" as const, id: createToken(tx, channelDoc, name).id};
+    });
+
+    if (outcome.status === "full") {
+      res.status(409).json({success: false, message: `A channel can have at most ${OBS_TOKEN_LIMITS.MAX_TOKENS} tokens. Revoke one first.`});
+      return;
+    }
+    if (outcome.status === "duplicate") {
+      res.status(409).json({success: false, message: `There is already a token named "${name}".`});
       return;
     }
 
-    // Try to read existing OBS token from Firestore
-    const ttsDocRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.user.userId);
-    const ttsDoc = await ttsDocRef.get();
-    const ttsData = ttsDoc.exists ? ttsDoc.data() : null;
-
-    // Check if token exists in Firestore
-    if (ttsData?.obsSocketToken) {
-      log.info("Retrieved existing OBS token from Firestore");
-      res.json({
-        success: true,
-        token: ttsData.obsSocketToken,
-        browserSourceUrl: `${config.OBS_BROWSER_BASE_URL}/?channel=${encodeURIComponent(channelLogin)}&token=${ttsData.obsSocketToken}`,
-      });
+    const saved = await obsTokensCollection(channelDoc).doc(outcome.id).get();
+    log.info({tokenId: outcome.id, name}, "Created OBS token");
+    res.status(201).json({success: true, token: viewTokens(req, [{id: saved.id, data: saved.data() || {}}])[0]});
+  } catch (error) {
+    const err = error as Error;
+    log.error({error: err.message}, "Error creating OBS token");
+    res.status(500).json({success: false, message: "Failed to create OBS token."});
+  }
+});
+
+// Route: POST /api/obs/tokens/:tokenId/rotate - New value for a token.
+// Body: { graceMinutes? } - how long the old URL keeps working (default 60).
+router.post("/tokens/:tokenId/rotate", authenticateApiRequest, ownerOnly, async (req: Request, res: Response): Promise<void> => {
+  assertAuthenticated(req);
+  const tokenId = String(req.params.tokenId);
+  const log = logger.child({endpoint: "/api/obs/tokens/rotate", channelLogin: req.user.userLogin, tokenId});
+
+  const grace = graceMs(req.body?.graceMinutes);
+  if (grace === null) {
+    res.status(400).json({success: false, message: `graceMinutes must be a whole number from 0 to ${OBS_TOKEN_LIMITS.MAX_GRACE_MINUTES}.`});
+    return;
+  }
+  if (!(await requireTwitchAuth(req, res))) return;
+
+  try {
+    const channelDoc = channelDocFor(req);
+    const found = await db.runTransaction(async (tx) => {
+      const {tokens} = await readTokens(tx, channelDoc);
+      const target = tokens.find((t) => t.ref.id === tokenId);
+      if (!target) return false;
+      rotateToken(tx, channelDoc, target, grace);
+      return true;
+    });
+    if (!found) {
+      res.status(404).json({success: false, message: "Token not found."});
       return;
     }
 
-    // Generate new OBS token and store in Firestore
-    const obsToken = randomBytes(32).toString("hex");
-    log.info("Generating new OBS token");
+    const saved = await obsTokensCollection(channelDoc).doc(tokenId).get();
+    log.info({graceMinutes: grace / 60000}, "Rotated OBS token");
+    res.json({success: true, token: viewTokens(req, [{id: saved.id, data: saved.data() || {}}])[0]});
+  } catch (error) {
+    const err = error as Error;
+    log.error({error: err.message}, "Error rotating OBS token");
+    res.status(500).json({success: false, message: "Failed to rotate OBS token."});
+  }
+});
 
-    try {
-      // Store token directly in Firestore
-      await ttsDocRef.set({
-        obsSocketToken: obsToken,
-        obsTokenGeneratedAt: FieldValue.serverTimestamp(),
-        updatedAt: FieldValue.serverTimestamp(),
-      }, {merge: true});
+// Route: DELETE /api/obs/tokens/:tokenId - Revoke a token, at once
+router.delete("/tokens/:tokenId", authenticateApiRequest, ownerOnly, async (req: Request, res: Response): Promise<void> => {
+  assertAuthenticated(req);
+  const tokenId = String(req.params.tokenId);
+  const log = logger.child({endpoint: "/api/obs/tokens/revoke", channelLogin: req.user.userLogin, tokenId});
 
-      log.info("Generated new OBS token and stored in Firestore");
+  try {
+    const channelDoc = channelDocFor(req);
+    const found = await db.runTransaction(async (tx) => {
+      const {tokens, legacy} = await readTokens(tx, channelDoc);
+      const target = tokens.find((t) => t.ref.id === tokenId);
+      if (!target) return false;
+      tx.delete(target.ref);
+      const remaining = tokens.filter((t) => t !== target).map((t) => t.data);
+      if (!remaining.some((data) => data.token === legacy)) syncLegacyToken(tx, channelDoc, legacyTokenValue(remaining));
+      return true;
+    });
+    if (!found) {
+      res.status(404).json({success: false, message: "Token not found."});
+      return;
+    }
 
-      res.json({
-        success: true,
-        token: obsToken,
-        browserSourceUrl: `${config.OBS_BROWSER_BASE_URL}/?channel=${encodeURIComponent(channelLogin)}&token=${obsToken}`,
-      });
-    } catch (error) {
-      const err = error as Error;
-      log.error({error: err.message}, "Failed to store OBS token");
-      res.status(500).json({
-        success: false,
-        message: "Failed to generate OBS token. Please try again.",
+    log.info("Revoked OBS token");
+    res.json({success: true});
+  } catch (error) {
+    const err = error as Error;
+    log.error({error: err.message}, "Error revoking OBS token");
+    res.status(500).json({success: false, message: "Failed to revoke OBS token."});
+  }
+});
+
+// Route: GET /api/obs/overlay - The channel's caption overlay settings
+router.get("/overlay", authenticateApiRequest, ownerOnly, async (req: Request, res: Response): Promise<void> => {
+  assertAuthenticated(req);
+  try {
+    const snap = await channelDocFor(req).get();
+    res.json({
+      success: true,
+      overlay: readCaptionOverlay(snap.data()?.obsOverlay) ?? DEFAULT_CAPTION_OVERLAY,
+      defaults: DEFAULT_CAPTION_OVERLAY,
+    });
+  } catch (error) {
+    const err = error as Error;
+    logger.error({error: err.message, channelLogin: req.user.userLogin}, "Error reading caption overlay");
+    res.status(500).json({success: false, message: "Failed to load caption overlay settings."});
+  }
+});
+
+// Route: PUT /api/obs/overlay - Save the channel's caption overlay settings.
+// Body: { overlay } - every field of the settings. Sources without their own
+// settings pick them up the next time they check in.
+router.put("/overlay", authenticateApiRequest, ownerOnly, async (req: Request, res: Response): Promise<void> => {
+  assertAuthenticated(req);
+  const result = validateCaptionOverlay(req.body?.overlay);
+  if (!result.ok) {
+    res.status(400).json({success: false, message: result.reason});
+    return;
+  }
+
+  try {
+    await channelDocFor(req).set({
+      obsOverlay: result.overlay,
+      obsOverlayUpdatedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    }, {merge: true});
+    logger.info({channelLogin: req.user.userLogin}, "Saved caption overlay");
+    res.json({success: true, overlay: result.overlay});
+  } catch (error) {
+    const err = error as Error;
+    logger.error({error: err.message, channelLogin: req.user.userLogin}, "Error saving caption overlay");
+    res.status(500).json({success: false, message: "Failed to save caption overlay settings."});
+  }
+});
+
+// Route: PUT /api/obs/tokens/:tokenId/overlay - Give one source its own
+// caption overlay settings. Body: { overlay } - every field, or null to
+// follow the channel's settings again.
+router.put("/tokens/:tokenId/overlay", authenticateApiRequest, ownerOnly, async (req: Request, res: Response): Promise<void> => {
+  assertAuthenticated(req);
+  const tokenId = String(req.params.tokenId);
+  const log = logger.child({endpoint: "/api/obs/tokens/overlay", channelLogin: req.user.userLogin, tokenId});
+
+  const overlay = req.body?.overlay;
+  const result = overlay === null ? null : validateCaptionOverlay(overlay);
+  if (result && !result.ok) {
+    res.status(400).json({success: false, message: result.reason});
+    return;
+  }
+
+  try {
+    const ref = obsTokensCollection(channelDocFor(req)).doc(tokenId);
+    const found = await db.runTransaction(async (tx) => {
+      if (!(await tx.get(ref)).exists) return false;
+      tx.update(ref, {
+        overlay: result ? result.overlay : FieldValue.delete(),
+        overlayUpdatedAt: FieldValue.serverTimestamp(),
       });
+      return true;
+    });
+    if (!found) {
+      res.status(404).json({success: false, message: "Token not found."});
+      return;
     }
+
+    log.info({ownSettings: !!result}, "Saved source caption overlay");
+    res.json({success: true, overlay: result ? result.overlay : null});
+  } catch (error) {
+    const err = error as Error;
+    log.error({error: err.message}, "Error saving source caption overlay");
+    res.status(500).json({success: false, message: "Failed to save caption overlay settings."});
+  }
+});
+
+// Route: /api/obs/getToken - The current token's URL, creating one if there are none
+router.get("/getToken", authenticateApiRequest, ownerOnly, async (req: Request, res: Response): Promise<void> => {
+  assertAuthenticated(req);
+
+  const channelLogin = req.user.userLogin;
+  const log = logger.child({endpoint: "/api/obs/getToken", channelLogin});
+  log.info("OBS token retrieval requested");
+
+  if (!(await requireTwitchAuth(req, res))) return;
+
+  try {
+    const channelDoc = channelDocFor(req);
+    const token = await db.runTransaction(async (tx) => {
+      const {tokens, legacy} = await readTokens(tx, channelDoc);
+      const current = currentToken(tokens, legacy);
+      if (current) return current.data.token as string;
+      log.info("Generating new OBS token");
+      return createToken(tx, channelDoc, LEGACY_TOKEN_NAME).token;
+    });
+
+    res.json({
+      success: true,
+      token,
+      browserSourceUrl: browserSourceUrl(config.OBS_BROWSER_BASE_URL, channelLogin, token),
+    });
   } catch (error) {
     const err = error as Error;
     log.error({error: err.message}, "Error retrieving OBS token");
@@ -95,50 +425,31 @@ router.get("/getToken", authenticateApiRequest, async (req: Request, res: Respon
   }
 });
 
-// Route: /api/obs/generateToken
-router.post("/generateToken", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
+// Route: /api/obs/generateToken - Rotate the current token with no grace
+// period, as regenerating the single token always did
+router.post("/generateToken", authenticateApiRequest, ownerOnly, async (req: Request, res: Response): Promise<void> => {
   assertAuthenticated(req);
 
   const channelLogin = req.user.userLogin;
   const log = logger.child({endpoint: "/api/obs/generateToken", channelLogin});
   log.info("OBS token generation requested");
 
-  if (!db) {
-    log.error("Firestore client not initialized!");
-    res.status(500).json({success: false, message: "Server configuration error."});
-    return;
-  }
+  if (!(await requireTwitchAuth(req, res))) return;
 
   try {
-    // Verify valid Twitch token
-    try {
-      await getValidTwitchTokenForUser(req.user.userId, secrets);
-    } catch (tokenError) {
-      res.status(403).json({
-        success: false,
-        needsReAuth: true,
-        message: "Your Twitch authentication has expired. Please reconnect your account.",
-      });
-      return;
-    }
-
-    // Generate new OBS token
-    const obsToken = randomBytes(32).toString("hex");
-
-    // Store token directly in Firestore
-    const ttsDocRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.user.userId);
-    await ttsDocRef.set({
-      obsSocketToken: obsToken,
-      obsTokenGeneratedAt: FieldValue.serverTimestamp(),
-      updatedAt: FieldValue.serverTimestamp(),
-    }, {merge: true});
+    const channelDoc = channelDocFor(req);
+    const token = await db.runTransaction(async (tx) => {
+      const {tokens, legacy} = await readTokens(tx, channelDoc);
+      const target = currentToken(tokens, legacy);
+      return target ? rotateToken(tx, channelDoc, target, 0) : createToken(tx, channelDoc, LEGACY_TOKEN_NAME).token;
+    });
 
-    log.info("Generated new OBS token and stored in Firestore");
+    log.info("Generated new OBS token");
 
     res.json({
       success: true,
-      token: obsToken,
-      browserSourceUrl: `${config.OBS_BROWSER_BASE_URL}/?channel=${encodeURIComponent(channelLogin)}&token=${obsToken}`,
+      token,
+      browserSourceUrl: browserSourceUrl(config.OBS_BROWSER_BASE_URL, channelLogin, token),
       message: "New OBS token generated successfully",
     });
   } catch (error) {
@@ -151,4 +462,58 @@ router.post("/generateToken", authenticateApiRequest, async (req: Request, res:
   }
 });
 
+// Route: POST /api/obs/verify - Whether a browser source's token is good.
+// Body: { channel, token }. Called by the TTS service, without a session; the
+// token is the credential. Answers whether it is valid and, if so, the caption
+// overlay settings the source shows (overlay, overlayUpdatedAt), and keeps the
+// token's lastUsedAt.
+verifyRouter.post("/", obsVerifyLimiter, async (req: Request, res: Response): Promise<void> => {
+  const {channel, token} = req.body || {};
+  if (typeof channel !== "string" || !channel || typeof token !== "string" || !token) {
+    res.status(400).json({success: false, message: "channel and token are required."});
+    return;
+  }
+  const log = logger.child({endpoint: "/api/obs/verify", channelLogin: channel.toLowerCase()});
+
+  try {
+    const channelId = await getChannelIdFromName(channel);
+    if (!channelId) {
+      res.json({success: true, valid: false});
+      return;
+    }
+
+    const channelDoc = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(channelId);
+    const now = Date.now();
+    const [snap, channelSnap] = await Promise.all([obsTokensCollection(channelDoc).get(), channelDoc.get()]);
+    const channelData = channelSnap.data() || {};
+    const match = snap.docs.find((doc) => tokenAccepts(doc.data(), token, now));
+    // Not yet adopted into the list: the legacy field is the only token.
+    const valid = match ? true : snap.empty && tokenAccepts({token: channelData.obsSocketToken}, token, now);
+    if (!valid) {
+      res.json({success: true, valid: false});
+      return;
+    }
+
+    const data = match?.data() || {};
+    if (match && shouldTouch(data, now)) {
+      await match.ref.update({lastUsedAt: FieldValue.serverTimestamp()}).catch((touchErr: Error) => {
+        log.warn({error: touchErr.message, tokenId: match.id}, "Could not record OBS token use");
+      });
+    }
+    const overlayUpdatedAt = Math.max(toMillis(channelData.obsOverlayUpdatedAt) ?? 0, toMillis(data.overlayUpdatedAt) ?? 0);
+    res.json({
+      success: true,
+      valid: true,
+      ...(match ? {name: data.name} : {}),
+      overlay: resolveCaptionOverlay(channelData.obsOverlay, data.overlay),
+      overlayUpdatedAt: overlayUpdatedAt ? new Date(overlayUpdatedAt).toISOString() : null,
+    });
+  } catch (error) {
+    const err = error as Error;
+    log.error({error: err.message}, "Error verifying OBS token");
+    res.status(500).json({success: false, message: "Failed to verify OBS token."});
+  }
+});
+
+export {verifyRouter};
 export default router;
@@ -6,10 +6,41 @@ import express, { Request, Response, Router } from "express";
 import axios, { AxiosInstance } from "axios";
 import { db, COLLECTIONS } from "../services/firestore";
 import { getValidTwitchTokenForUser } from "../services/twitch";
-import { authenticateApiRequest, assertAuthenticated } from "../middleware/auth";
+import { authenticateApiRequest, requireChannelRole, assertChannelAccess } from "../middleware/auth";
 import { secrets } from "../config";
 import { logger, redactSensitive } from "../logger";
 import { errorResponse } from "./utils";
+import { evaluateText } from "../services/textPolicy";
+import { RELEASED_VOICES } from "../services/voice-list";
+import type { DocumentData } from "@google-cloud/firestore";
+import {
+  REWARD_TIER_LIMITS,
+  RewardTier,
+  SYNC_ACTIONS,
+  SyncAction,
+  TwitchReward,
+  adoptTwitchReward,
+  normalizeRewardTier,
+  parseVoicePick,
+  readRewardTiers,
+  rewardTierFields,
+  tierConflict,
+  tierDriftStatus,
+  twitchRewardBody,
+} from "../services/rewardTiers";
+import {
+  REDEMPTION_ACTIONS,
+  REDEMPTION_QUEUE_LIMITS,
+  HelixRedemption,
+  RedemptionSelection,
+  RedemptionView,
+  batchSelections,
+  decodeQueueCursor,
+  encodeQueueCursor,
+  isRedemptionAction,
+  queuePageSize,
+  serializeRedemption,
+} from "../services/redemptionQueue";
 
 const router: Router = express.Router();
 
@@ -17,41 +48,8 @@ const router: Router = express.Router();
 interface ValidationResult {
   ok: boolean;
   reason?: string;
-}
-
-interface ContentPolicy {
-  blockLinks?: boolean;
-  bannedWords?: string[];
-}
-
-interface ChannelPointsConfig {
-  enabled?: boolean;
-  rewardId?: string | null;
-  title?: string;
-  cost?: number;
-  prompt?: string;
-  skipQueue?: boolean;
-  cooldownSeconds?: number;
-  perStreamLimit?: number;
-  perUserPerStreamLimit?: number;
-  contentPolicy?: ContentPolicy;
-  limitsEnabled?: boolean;
-  lastSyncedAt?: number;
-}
-
-interface TwitchRewardBody {
-  title: string;
-  cost: number;
-  prompt: string;
-  is_user_input_required: boolean;
-  should_redemptions_skip_request_queue: boolean;
-  is_enabled: boolean;
-  is_global_cooldown_enabled?: boolean;
-  global_cooldown_seconds?: number;
-  is_max_per_stream_enabled?: boolean;
-  max_per_stream?: number;
-  is_max_per_user_per_stream_enabled?: boolean;
-  max_per_user_per_stream?: number;
+  spoken?: string;
+  voiceId?: string;
 }
 
 interface EnsureRewardResult {
@@ -59,131 +57,79 @@ interface EnsureRewardResult {
   rewardId: string;
 }
 
-// Utility to escape RegExp special characters
-function escapeRegExp(str: string): string {
-  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-}
-
-// Validate a prospective Channel Points message against channel policy
-async function validateChannelPointsTestMessage(_channelLogin: string, twitchUserId: string, text: string): Promise<ValidationResult> {
-  if (typeof text !== "string" || text.trim().length === 0) {
-    return { ok: false, reason: "Message is empty" };
-  }
-
-  const doc = await db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(twitchUserId).get();
-  const data = doc.exists ? doc.data() : {};
-  const channelPoints = (data?.channelPoints as ChannelPointsConfig) || {};
-  const policy = channelPoints.contentPolicy || {};
+type TwitchError = { response?: { status?: number; data?: { message?: string } }; message: string };
 
-  const blockLinks = policy.blockLinks !== false; // default true
-  const bannedWords = Array.isArray(policy.bannedWords) ? policy.bannedWords : [];
+type SyncResult =
+  | { ok: true; tier: RewardTier }
+  | { ok: false; status: number; error: string; details?: unknown };
 
-  const trimmed = text.trim();
+/**
+ * A Helix client acting as the broadcaster.
+ * @param broadcasterId - Whose stored token to use
+ * @param timeout - Request timeout in ms
+ * @return The client
+ */
+async function helixFor(broadcasterId: string, timeout = 10000): Promise<AxiosInstance> {
+  const accessToken = await getValidTwitchTokenForUser(broadcasterId, secrets);
+  return axios.create({
+    baseURL: "https://api.twitch.tv/helix",
+    headers: {
+      "Client-ID": secrets.TWITCH_CLIENT_ID,
+      "Authorization": `Bearer ${accessToken}`,
+      "Content-Type": "application/json",
+    },
+    timeout,
+  });
+}
 
+// Run a redemption message through the channel's rules and a tier's policy
+function checkTierText(data: DocumentData | undefined, tier: RewardTier | undefined, text: string): ValidationResult {
   // Note: Twitch enforces 500 character limit on redemption input, so we don't validate length here
-
-  if (blockLinks) {
-    const linkRegex = /(https?:\/\/\S+|\b\w+\.[a-z]{2,}\b)/i;
-    if (linkRegex.test(trimmed)) {
-      return { ok: false, reason: "Links are not allowed" };
-    }
+  if (typeof text !== "string" || text.trim().length === 0) {
+    return { ok: false, reason: "Message is empty" };
   }
 
-  if (bannedWords.length > 0) {
-    const lower = trimmed.toLowerCase();
-    for (const word of bannedWords) {
-      const w = (word || "").trim();
-      if (!w) continue;
-      // word boundary match, case-insensitive
-      const re = new RegExp(`\\b${escapeRegExp(w)}\\b`, "i");
-      if (re.test(lower)) {
-        return { ok: false, reason: `Contains banned word: "${w}"` };
-      }
-    }
+  const pick = tier?.voiceMode === "pick" ? parseVoicePick(text, RELEASED_VOICES) : null;
+  const result = evaluateText(pick ? pick.text : text, data, { contentPolicy: tier?.contentPolicy || {} });
+  if (!result.allowed) {
+    return { ok: false, reason: result.reason };
   }
+  return { ok: true, spoken: result.spoken, ...(pick ? { voiceId: pick.voiceId } : {}) };
+}
 
-  return { ok: true };
+// Validate a prospective Channel Points message against a tier's policy
+async function validateChannelPointsTestMessage(twitchUserId: string, tierId: string | null, text: string): Promise<ValidationResult> {
+  const doc = await db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(twitchUserId).get();
+  const data = doc.exists ? doc.data() : {};
+  const tiers = readRewardTiers(data);
+  const tier = tierId ? tiers.find((t) => t.id === tierId) : tiers[0];
+  if (tierId && !tier) return { ok: false, reason: "Reward tier not found" };
+  return checkTierText(data, tier, text);
 }
 
 /**
- * Ensures a TTS channel point reward exists for a channel
+ * Ensures a Twitch channel point reward exists for a tier: the one it already
+ * has, else a manageable one with its title, else a new one.
  * @param channelLogin - The channel login
  * @param twitchUserId - The Twitch user ID
+ * @param tier - The tier
  * @return Result with status and rewardId
  */
-async function ensureTtsChannelPointReward(channelLogin: string, twitchUserId: string): Promise<EnsureRewardResult> {
+async function ensureTtsChannelPointReward(channelLogin: string, twitchUserId: string, tier: RewardTier): Promise<EnsureRewardResult> {
   if (!secrets.TWITCH_CLIENT_ID) {
     throw new Error("Server configuration error: missing TWITCH_CLIENT_ID");
   }
 
   // Acquire broadcaster token with required scopes
-  const accessToken = await getValidTwitchTokenForUser(twitchUserId, secrets);
-
-  const helix: AxiosInstance = axios.create({
-    baseURL: "https://api.twitch.tv/helix",
-    headers: {
-      "Client-ID": secrets.TWITCH_CLIENT_ID,
-      "Authorization": `Bearer ${accessToken}`,
-      "Content-Type": "application/json",
-    },
-    timeout: 15000,
-  });
-
-  const desiredTitle = "Text-to-Speech Message";
-  const desiredBody: TwitchRewardBody = {
-    title: desiredTitle,
-    cost: 500,
-    prompt: "Enter a message to be read aloud by the TTS bot",
-    is_user_input_required: true,
-    should_redemptions_skip_request_queue: true,
-    is_enabled: true,
-  };
-
-  // First, see if we already have a stored reward id
-  let storedRewardId: string | null = null;
-  try {
-    const ttsDoc = await db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(twitchUserId).get();
-    if (ttsDoc.exists) {
-      const data = ttsDoc.data();
-      storedRewardId = data?.channelPointRewardId || null;
-    }
-  } catch (e) {
-    const err = e as Error;
-    logger.warn({ channelLogin, error: err.message }, "[ensureTtsChannelPointReward] Could not read ttsChannelConfigs");
-  }
-
-  // Helper to upsert the Firestore record
-  const setFirestoreReward = async (rewardId: string): Promise<void> => {
-    await db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(twitchUserId).set({
-      // New structured config
-      channelPoints: {
-        enabled: false,
-        rewardId: rewardId,
-        title: desiredBody.title,
-        cost: desiredBody.cost,
-        prompt: desiredBody.prompt,
-        skipQueue: !!desiredBody.should_redemptions_skip_request_queue,
-        cooldownSeconds: 0,
-        perStreamLimit: 0,
-        perUserPerStreamLimit: 0,
-        contentPolicy: {
-          blockLinks: true,
-          bannedWords: [],
-        },
-        lastSyncedAt: Date.now(),
-      },
-      // Legacy fields for backward compatibility (to be phased out)
-      channelPointRewardId: rewardId,
-      channelPointsEnabled: false,
-    }, { merge: true });
-  };
+  const helix = await helixFor(twitchUserId, 15000);
+  const desiredBody = twitchRewardBody(tier);
+  const desiredTitle = tier.title;
 
   // If we have an ID, try to update to desired settings for idempotency
-  if (storedRewardId) {
+  if (tier.rewardId) {
     try {
-      await helix.patch(`/channel_points/custom_rewards?broadcaster_id=${encodeURIComponent(twitchUserId)}&id=${encodeURIComponent(storedRewardId)}`, desiredBody);
-      await setFirestoreReward(storedRewardId);
-      return { status: "updated", rewardId: storedRewardId };
+      await helix.patch(`/channel_points/custom_rewards?broadcaster_id=${encodeURIComponent(twitchUserId)}&id=${encodeURIComponent(tier.rewardId)}`, desiredBody);
+      return { status: "updated", rewardId: tier.rewardId };
     } catch (e) {
       const err = e as { response?: { status?: number; data?: unknown }; message?: string };
       logger.warn({
@@ -209,7 +155,6 @@ async function ensureTtsChannelPointReward(channelLogin: string, twitchUserId: s
         // Non-fatal if update fails; we can still use the reward as-is
         logger.warn({ channelLogin, rewardId: existing.id }, "[ensureTtsChannelPointReward] Failed to update existing reward");
       }
-      await setFirestoreReward(existing.id);
       return { status: "reused", rewardId: existing.id };
     }
   } catch (e) {
@@ -227,7 +172,6 @@ async function ensureTtsChannelPointReward(channelLogin: string, twitchUserId: s
     const createResp = await helix.post<{ data: Array<{ id: string }> }>(`/channel_points/custom_rewards?broadcaster_id=${encodeURIComponent(twitchUserId)}`, desiredBody);
     const newReward = Array.isArray(createResp.data?.data) && createResp.data.data.length > 0 ? createResp.data.data[0] : null;
     if (newReward?.id) {
-      await setFirestoreReward(newReward.id);
       return { status: "created", rewardId: newReward.id };
     }
     throw new Error("No reward data returned from Twitch");
@@ -271,135 +215,30 @@ async function ensureTtsChannelPointReward(channelLogin: string, twitchUserId: s
   }
 }
 
-
-// GET current TTS reward config and Twitch status
-router.get("/tts", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
-  assertAuthenticated(req);
-
-  const channelLogin = req.user.userLogin;
-  const log = logger.child({ endpoint: "GET /api/rewards/tts", channelLogin });
-
-  try {
-    const doc = await db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.user.userId).get();
-    const data = doc.exists ? doc.data() : {};
-    const channelPoints = (data?.channelPoints as ChannelPointsConfig) || null;
-
-    let twitchStatus = null;
-    if (channelPoints?.rewardId) {
-      try {
-        const accessToken = await getValidTwitchTokenForUser(req.user.userId, secrets);
-        const helix = axios.create({
-          baseURL: "https://api.twitch.tv/helix",
-          headers: { "Client-ID": secrets.TWITCH_CLIENT_ID, "Authorization": `Bearer ${accessToken}` },
-          timeout: 10000,
-        });
-        const broadcasterId = data?.twitchUserId || req.user.userId; // fallback to JWT user id
-        const resp = await helix.get<{ data: unknown[] }>(`/channel_points/custom_rewards?broadcaster_id=${encodeURIComponent(broadcasterId)}&id=${encodeURIComponent(channelPoints.rewardId)}`);
-        twitchStatus = Array.isArray(resp.data?.data) && resp.data.data.length > 0 ? resp.data.data[0] : null;
-      } catch (e) {
-        const err = e as { response?: { status?: number; data?: unknown }; message: string };
-        log.warn({
-          status: err.response?.status,
-          error: err.message,
-          responseData: redactSensitive(err.response?.data),
-        }, "Twitch lookup failed");
-      }
-    }
-
-    res.json({ success: true, channelPoints, twitchStatus });
-  } catch (error) {
-    const err = error as Error;
-    log.error({ error: err.message }, "Error getting reward config");
-    errorResponse(res, 500, "Failed to load reward config");
-  }
-});
-
-// Shared handler to create or update TTS reward and persist config
-async function handleUpsertTtsReward(req: Request, res: Response): Promise<void> {
-  assertAuthenticated(req);
-
-  const channelLogin = req.user.userLogin;
-  const broadcasterId = req.user.userId;
-  const log = logger.child({ endpoint: `${req.method} /api/rewards/tts`, channelLogin });
+/**
+ * Bring a tier's Twitch reward in line with it, making one when an enabled
+ * tier has none (or Twitch no longer has it).
+ * @param channelLogin - The channel login
+ * @param broadcasterId - The channel's Twitch ID
+ * @param tier - The tier as it should be
+ * @return The tier with its reward ID, or the error to answer with
+ */
+async function syncTier(channelLogin: string, broadcasterId: string, tier: RewardTier): Promise<SyncResult> {
+  const log = logger.child({ channelLogin, tierId: tier.id });
+  let rewardId = tier.rewardId;
 
   try {
-    const body = req.body || {};
-
-    // Normalize and validate incoming config minimally (server-side)
-    const enabled = !!body.enabled;
-    const title = (body.title || "Text-to-Speech Message").toString().slice(0, 45);
-    const cost = Math.max(1, Math.min(999999, parseInt(body.cost || 500, 10)));
-    const prompt = (body.prompt || "Enter a message to be read aloud").toString().slice(0, 100);
-    const skipQueue = body.skipQueue !== false;
-    const rawCooldown = parseInt(body.cooldownSeconds ?? 0, 10);
-    const rawPerStream = parseInt(body.perStreamLimit ?? 0, 10);
-    const rawPerUser = parseInt(body.perUserPerStreamLimit ?? 0, 10);
-
-    // Interpret empty/NaN as 0 (disabled for per-stream/per-user)
-    const perStreamLimit = Number.isFinite(rawPerStream) ? Math.max(0, Math.min(1000, rawPerStream)) : 0;
-    const perUserPerStreamLimit = Number.isFinite(rawPerUser) ? Math.max(0, Math.min(1000, rawPerUser)) : 0;
-    // For cooldown: when limits are enabled, we enforce minimum 1; when disabled, allow 0
-    const limitsEnabled = body.limitsEnabled === true;
-    const cooldownSeconds = Number.isFinite(rawCooldown) ? Math.max(limitsEnabled ? 1 : 0, Math.min(3600, rawCooldown)) : (limitsEnabled ? 1 : 0);
-    const contentPolicy: ContentPolicy = {
-      blockLinks: body.contentPolicy?.blockLinks !== false,
-      bannedWords: Array.isArray(body.contentPolicy?.bannedWords) ? body.contentPolicy.bannedWords.slice(0, 100) : [],
-    };
-
-    // Get existing config
-    const existingDoc = await db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.user.userId).get();
-    const existingData = existingDoc.exists ? existingDoc.data() : {};
-    const existingChannelPoints = (existingData?.channelPoints as ChannelPointsConfig) || {};
-    const rewardId = existingChannelPoints.rewardId;
-
-    let finalRewardId = rewardId;
-
     // If enabling and no reward exists, create one
-    if (enabled && !rewardId) {
-      const result = await ensureTtsChannelPointReward(channelLogin, broadcasterId);
-      finalRewardId = result.rewardId;
+    if (tier.enabled && !rewardId) {
+      rewardId = (await ensureTtsChannelPointReward(channelLogin, broadcasterId, tier)).rewardId;
     }
 
     // If we have a reward ID, sync settings to Twitch
-    if (finalRewardId) {
+    if (rewardId) {
       try {
-        const accessToken = await getValidTwitchTokenForUser(broadcasterId, secrets);
-        const helix = axios.create({
-          baseURL: "https://api.twitch.tv/helix",
-          headers: {
-            "Client-ID": secrets.TWITCH_CLIENT_ID,
-            "Authorization": `Bearer ${accessToken}`,
-            "Content-Type": "application/json",
-          },
-          timeout: 10000,
-        });
-
-        const normalizedCooldown = cooldownSeconds > 0 ? cooldownSeconds : 1;
-        const effectiveGlobalEnabled = limitsEnabled && cooldownSeconds > 0;
-        // Per Twitch 400 error, if we specify either is_max_per_stream_enabled or max_per_stream, both must be present.
-        // Always send both fields; use a safe default of 1 when disabled or unset.
-        const normalizedPerStream = perStreamLimit > 0 ? perStreamLimit : 0;
-        const effectivePerStreamEnabled = limitsEnabled && perStreamLimit > 0;
-        const normalizedPerUser = perUserPerStreamLimit > 0 ? perUserPerStreamLimit : 0;
-        const effectivePerUserEnabled = limitsEnabled && perUserPerStreamLimit > 0;
-
-        const twitchUpdateBody: Partial<TwitchRewardBody> = {
-          title,
-          cost,
-          prompt,
-          is_enabled: enabled,
-          should_redemptions_skip_request_queue: skipQueue,
-          // Cooldown and limits must include the corresponding enable flags per Twitch docs
-          is_global_cooldown_enabled: limitsEnabled ? !!effectiveGlobalEnabled : false,
-          global_cooldown_seconds: normalizedCooldown,
-          is_max_per_stream_enabled: limitsEnabled ? !!effectivePerStreamEnabled : false,
-          max_per_stream: normalizedPerStream,
-          is_max_per_user_per_stream_enabled: limitsEnabled ? !!effectivePerUserEnabled : false,
-          max_per_user_per_stream: normalizedPerUser,
-        };
-
-        await helix.patch(`/channel_points/custom_rewards?broadcaster_id=${encodeURIComponent(broadcasterId)}&id=${encodeURIComponent(finalRewardId)}`, twitchUpdateBody);
-        log.info({ rewardId: finalRewardId }, "Updated Twitch reward");
+        const helix = await helixFor(broadcasterId);
+        await helix.patch(`/channel_points/custom_rewards?broadcaster_id=${encodeURIComponent(broadcasterId)}&id=${encodeURIComponent(rewardId)}`, twitchRewardBody(tier));
+        log.info({ rewardId }, "Updated Twitch reward");
       } catch (twitchError) {
         const err = twitchError as { response?: { data?: { message?: string }; status?: number }; message: string };
         const errorMessage = err.response?.data?.message || err.message;
@@ -411,17 +250,15 @@ async function handleUpsertTtsReward(req: Request, res: Response): Promise<void>
         }, "Failed to update Twitch reward");
 
         // If reward not found (404), create a new one if we're enabling
-        if (errorStatus === 404 && enabled) {
+        if (errorStatus === 404 && tier.enabled) {
           log.info("Reward not found, creating new reward");
           try {
-            const result = await ensureTtsChannelPointReward(channelLogin, broadcasterId);
-            finalRewardId = result.rewardId;
-            log.info({ rewardId: finalRewardId }, "Created new reward");
+            rewardId = (await ensureTtsChannelPointReward(channelLogin, broadcasterId, { ...tier, rewardId: null })).rewardId;
+            log.info({ rewardId }, "Created new reward");
           } catch (createError) {
             const createErr = createError as Error;
             log.error({ error: createErr.message }, "Failed to create new reward");
-            errorResponse(res, 500, "Failed to create new Channel Points reward", createErr.message);
-            return;
+            return { ok: false, status: 500, error: "Failed to create new Channel Points reward", details: createErr.message };
           }
         } else {
           // Provide helpful error messages for common issues
@@ -429,117 +266,622 @@ async function handleUpsertTtsReward(req: Request, res: Response): Promise<void>
           if (errorStatus === 403 && errorMessage.includes("Client-Id header must match")) {
             userFriendlyMessage = "The reward was created with a different client ID. Please delete the reward and create a new one.";
           }
-
-          // Return error to frontend so user knows the update failed
-          errorResponse(res, errorStatus || 500, userFriendlyMessage, err.response?.data);
-          return;
+          return { ok: false, status: errorStatus || 500, error: userFriendlyMessage, details: err.response?.data };
         }
       }
     }
+  } catch (error) {
+    const err = error as Error;
+    if (err.message.includes("re-authenticate")) {
+      return { ok: false, status: 401, error: "Authentication required", details: { needsReauth: true, message: "Please re-authenticate with Twitch to manage channel point rewards" } };
+    }
+    return { ok: false, status: 500, error: "Failed to configure channel point reward", details: { message: err.message } };
+  }
+
+  return { ok: true, tier: { ...tier, rewardId: rewardId ?? null, lastSyncedAt: Date.now() } };
+}
+
+/**
+ * Delete a tier's Twitch reward.
+ * @param broadcasterId - The channel's Twitch ID
+ * @param rewardId - The reward
+ * @param log - Where to note a failure
+ * @return True if Twitch confirmed it, or no longer had it
+ */
+async function deleteTwitchReward(broadcasterId: string, rewardId: string, log: typeof logger): Promise<boolean> {
+  try {
+    const helix = await helixFor(broadcasterId);
+    await helix.delete(`/channel_points/custom_rewards?broadcaster_id=${encodeURIComponent(broadcasterId)}&id=${encodeURIComponent(rewardId)}`);
+    return true;
+  } catch (twitchError) {
+    // If Twitch deletion fails due to permission or already-deleted, the caller still clears local state
+    const err = twitchError as TwitchError;
+    log.warn({
+      status: err.response?.status,
+      error: err.message,
+      responseData: redactSensitive(err.response?.data),
+    }, "Twitch delete failed");
+    return err.response?.status === 404;
+  }
+}
+
+/**
+ * Change a channel's tiers in a transaction, so saving one tier does not
+ * undo a concurrent change to another. A change that hands back the list it
+ * was given writes nothing.
+ * @param channelId - The channel's config ID
+ * @param change - Given the stored tiers, the new list
+ * @return The new list
+ */
+async function updateTiers(channelId: string, change: (tiers: RewardTier[]) => RewardTier[]): Promise<RewardTier[]> {
+  const ref = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(channelId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const stored = readRewardTiers(snap.exists ? snap.data() : undefined);
+    const tiers = change(stored);
+    if (tiers !== stored) tx.set(ref, rewardTierFields(tiers), { merge: true });
+    return tiers;
+  });
+}
+
+/**
+ * Twitch's view of the channel's rewards, by reward ID.
+ * @param broadcasterId - The channel's Twitch ID
+ * @param rewardIds - The rewards to look up
+ * @param log - Where to note a failure
+ * @return The rewards Twitch has, keyed by ID, or null if it could not be asked
+ */
+async function twitchRewards(broadcasterId: string, rewardIds: string[], log: typeof logger): Promise<Map<string, TwitchReward> | null> {
+  const found = new Map<string, TwitchReward>();
+  if (rewardIds.length === 0) return found;
+  try {
+    const helix = await helixFor(broadcasterId);
+    const ids = rewardIds.map((id) => `&id=${encodeURIComponent(id)}`).join("");
+    const resp = await helix.get<{ data: TwitchReward[] }>(`/channel_points/custom_rewards?broadcaster_id=${encodeURIComponent(broadcasterId)}${ids}`);
+    for (const reward of Array.isArray(resp.data?.data) ? resp.data.data : []) found.set(reward.id, reward);
+    return found;
+  } catch (e) {
+    const err = e as TwitchError;
+    // Helix answers 404 when none of the requested rewards exist
+    if (err.response?.status === 404) return found;
+    log.warn({
+      status: err.response?.status,
+      error: err.message,
+      responseData: redactSensitive(err.response?.data),
+    }, "Twitch lookup failed");
+    return null;
+  }
+}
+
 
-    // Update Firestore configuration
-    const updatedChannelPoints: ChannelPointsConfig = {
-      enabled,
-      rewardId: finalRewardId,
-      title,
-      cost,
-      prompt,
-      skipQueue,
-      cooldownSeconds,
-      perStreamLimit,
-      perUserPerStreamLimit,
-      contentPolicy,
-      limitsEnabled,
-      lastSyncedAt: Date.now(),
-    };
-
-    await db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.user.userId).set({
-      channelPoints: updatedChannelPoints,
-      // Legacy fields for backward compatibility
-      channelPointRewardId: finalRewardId,
-      channelPointsEnabled: enabled,
-    }, { merge: true });
-
-    log.info({ enabled, rewardId: finalRewardId }, "Updated config");
+/**
+ * The channel's stored tiers.
+ * @param channelId - The channel's config ID
+ * @return The tiers, in order
+ */
+async function loadTiers(channelId: string): Promise<RewardTier[]> {
+  const doc = await db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(channelId).get();
+  return readRewardTiers(doc.exists ? doc.data() : undefined);
+}
+
+/**
+ * Check, sync to Twitch and store a new or changed tier.
+ * @param req - The request, whose body is the tier
+ * @param res - Where the error, if any, is sent
+ * @param tierId - The tier to change, or null to add one
+ * @return The stored tier, or null once an error was sent
+ */
+async function saveTier(req: Request, res: Response, tierId: string | null): Promise<RewardTier | null> {
+  assertChannelAccess(req);
+  const channelLogin = req.channel.login;
+  const broadcasterId = req.channel.id;
+
+  const tiers = await loadTiers(broadcasterId);
+  const existing = tierId ? tiers.find((t) => t.id === tierId) : undefined;
+  if (tierId && !existing) {
+    errorResponse(res, 404, "Reward tier not found");
+    return null;
+  }
+
+  const normalized = normalizeRewardTier(req.body || {}, existing);
+  if (!normalized.ok) {
+    errorResponse(res, 400, normalized.reason);
+    return null;
+  }
+  const conflict = tierConflict(tiers, normalized.tier);
+  if (conflict) {
+    errorResponse(res, 409, conflict);
+    return null;
+  }
+
+  const synced = await syncTier(channelLogin, broadcasterId, normalized.tier);
+  if (!synced.ok) {
+    errorResponse(res, synced.status, synced.error, synced.details);
+    return null;
+  }
+
+  // Another save may have added a tier or taken the title while Twitch was
+  // being called, so the limits are checked again against what is stored.
+  const saved = synced.tier;
+  let lateConflict: string | null = null;
+  let rewardHeld = false;
+  await updateTiers(broadcasterId, (stored) => {
+    lateConflict = tierConflict(stored, saved);
+    rewardHeld = stored.some((t) => t.id !== saved.id && t.rewardId === saved.rewardId);
+    if (lateConflict) return stored;
+    const index = stored.findIndex((t) => t.id === saved.id);
+    return index === -1 ? [...stored, saved] : stored.map((t, i) => (i === index ? saved : t));
+  });
+  if (lateConflict) {
+    // A reward this save made is dropped, but not one it found by title that
+    // another tier now holds.
+    if (saved.rewardId && saved.rewardId !== normalized.tier.rewardId && !rewardHeld) {
+      await deleteTwitchReward(broadcasterId, saved.rewardId, logger.child({ channelLogin, tierId: saved.id }));
+    }
+    errorResponse(res, 409, lateConflict);
+    return null;
+  }
+  return saved;
+}
+
+// Every route below acts on the channel named by ?channel, defaulting to the
+// caller's own, and talks to Twitch with that broadcaster's stored token. The
+// role checks are what keep a delegated caller from doing more than the
+// broadcaster allowed.
+
+// GET all TTS reward tiers with their Twitch status
+router.get("/tts/tiers", authenticateApiRequest, requireChannelRole("viewer-only"), async (req: Request, res: Response): Promise<void> => {
+  assertChannelAccess(req);
+
+  const log = logger.child({ endpoint: "GET /api/rewards/tts/tiers", channelLogin: req.channel.login });
+
+  try {
+    const tiers = await loadTiers(req.channel.id);
+    const rewardIds = tiers.map((t) => t.rewardId).filter((id): id is string => !!id);
+    const onTwitch = await twitchRewards(req.channel.id, rewardIds, log);
 
     res.json({
       success: true,
-      channelPoints: updatedChannelPoints,
-      message: enabled ? "Channel point reward configured successfully" : "Channel point reward disabled",
+      maxTiers: REWARD_TIER_LIMITS.MAX_TIERS,
+      tiers: tiers.map((tier) => ({ ...tier, twitchStatus: (tier.rewardId && onTwitch?.get(tier.rewardId)) || null })),
     });
   } catch (error) {
     const err = error as Error;
-    log.error({ error: err.message }, "Error in handleUpsertTtsReward");
+    log.error({ error: err.message }, "Error getting reward tiers");
+    errorResponse(res, 500, "Failed to load reward config");
+  }
+});
+
+// POST add a TTS reward tier
+router.post("/tts/tiers", authenticateApiRequest, requireChannelRole("editor"), async (req: Request, res: Response): Promise<void> => {
+  assertChannelAccess(req);
+
+  const log = logger.child({ endpoint: "POST /api/rewards/tts/tiers", channelLogin: req.channel.login });
+
+  try {
+    const tier = await saveTier(req, res, null);
+    if (!tier) return;
+    log.info({ tierId: tier.id, rewardId: tier.rewardId }, "Added reward tier");
+    res.status(201).json({ success: true, tier, message: "Channel point reward added" });
+  } catch (error) {
+    const err = error as Error;
+    log.error({ error: err.message }, "Error adding reward tier");
+    errorResponse(res, 500, "Failed to configure channel point reward", { message: err.message });
+  }
+});
+
+// PUT update a TTS reward tier
+router.put("/tts/tiers/:tierId", authenticateApiRequest, requireChannelRole("editor"), async (req: Request, res: Response): Promise<void> => {
+  assertChannelAccess(req);
+
+  const tierId = String(req.params.tierId);
+  const log = logger.child({ endpoint: "PUT /api/rewards/tts/tiers/:tierId", channelLogin: req.channel.login, tierId });
+
+  try {
+    const tier = await saveTier(req, res, tierId);
+    if (!tier) return;
+    log.info({ enabled: tier.enabled, rewardId: tier.rewardId }, "Updated reward tier");
+    res.json({
+      success: true,
+      tier,
+      message: tier.enabled ? "Channel point reward configured successfully" : "Channel point reward disabled",
+    });
+  } catch (error) {
+    const err = error as Error;
+    log.error({ error: err.message }, "Error updating reward tier");
+    errorResponse(res, 500, "Failed to configure channel point reward", { message: err.message });
+  }
+});
+
+// DELETE a TTS reward tier and its Twitch reward
+router.delete("/tts/tiers/:tierId", authenticateApiRequest, requireChannelRole("editor"), async (req: Request, res: Response): Promise<void> => {
+  assertChannelAccess(req);
+
+  const tierId = String(req.params.tierId);
+  const log = logger.child({ endpoint: "DELETE /api/rewards/tts/tiers/:tierId", channelLogin: req.channel.login, tierId });
 
+  try {
+    const tier = (await loadTiers(req.channel.id)).find((t) => t.id === tierId);
+    if (!tier) {
+      errorResponse(res, 404, "Reward tier not found");
+      return;
+    }
+
+    const twitchDeleted = tier.rewardId ? await deleteTwitchReward(req.channel.id, tier.rewardId, log) : true;
+    if (!twitchDeleted) {
+      // Keep the tier so its reward is not left on Twitch with nothing managing it
+      errorResponse(res, 502, "Could not delete the reward on Twitch; re-authenticate or remove it manually, then try again");
+      return;
+    }
+
+    await updateTiers(req.channel.id, (stored) => stored.filter((t) => t.id !== tierId));
+    res.json({ success: true, twitchDeleted, message: "Deleted reward" });
+  } catch (error) {
+    const err = error as Error;
+    log.error({ error: err.message }, "Error deleting reward tier");
+    errorResponse(res, 500, "Failed to disable/delete TTS reward");
+  }
+});
+
+// POST test a message against a tier
+router.post("/tts/tiers/:tierId/test", authenticateApiRequest, requireChannelRole("viewer-only"), async (req: Request, res: Response): Promise<void> => {
+  assertChannelAccess(req);
+
+  const tierId = String(req.params.tierId);
+  const log = logger.child({ endpoint: "POST /api/rewards/tts/tiers/:tierId/test", channelLogin: req.channel.login, tierId });
+
+  try {
+    const text = (req.body?.text ?? "").toString();
+    const result = await validateChannelPointsTestMessage(req.channel.id, tierId, text);
+    log.info("Test requested");
+
+    if (!result.ok) {
+      errorResponse(res, 400, result.reason || "Validation failed");
+      return;
+    }
+
+    res.json({ success: true, message: "TTS test validated", spoken: result.spoken, voiceId: result.voiceId ?? null });
+  } catch (error) {
+    const err = error as Error;
+    log.error({ error: err.message }, "Error testing TTS reward");
+    errorResponse(res, 500, "Failed to test TTS reward");
+  }
+});
+
+// GET how each tier compares with its live Twitch reward
+router.get("/tts/sync-status", authenticateApiRequest, requireChannelRole("viewer-only"), async (req: Request, res: Response): Promise<void> => {
+  assertChannelAccess(req);
+
+  const log = logger.child({ endpoint: "GET /api/rewards/tts/sync-status", channelLogin: req.channel.login });
+
+  try {
+    const tiers = await loadTiers(req.channel.id);
+    const rewardIds = tiers.map((t) => t.rewardId).filter((id): id is string => !!id);
+    const onTwitch = await twitchRewards(req.channel.id, rewardIds, log);
+
+    const statuses = tiers.map((tier) => ({
+      tierId: tier.id,
+      title: tier.title,
+      rewardId: tier.rewardId,
+      ...tierDriftStatus(tier, onTwitch),
+    }));
+
+    res.json({
+      success: true,
+      checkedAt: new Date().toISOString(),
+      drifted: statuses.some((s) => s.status === "drifted" || s.status === "missing"),
+      tiers: statuses,
+    });
+  } catch (error) {
+    const err = error as Error;
+    log.error({ error: err.message }, "Error checking reward sync status");
+    errorResponse(res, 500, "Failed to check reward sync status");
+  }
+});
+
+// POST make a tier and its Twitch reward match again: "adopt" takes Twitch's
+// values, "push" sends ours, "recreate" replaces the reward with a new one
+router.post("/tts/tiers/:tierId/sync", authenticateApiRequest, requireChannelRole("editor"), async (req: Request, res: Response): Promise<void> => {
+  assertChannelAccess(req);
+
+  const tierId = String(req.params.tierId);
+  const channelLogin = req.channel.login;
+  const broadcasterId = req.channel.id;
+  const log = logger.child({ endpoint: "POST /api/rewards/tts/tiers/:tierId/sync", channelLogin, tierId });
+
+  const action = req.body?.action as SyncAction;
+  if (!SYNC_ACTIONS.includes(action)) {
+    errorResponse(res, 400, `action must be one of ${SYNC_ACTIONS.join(", ")}`);
+    return;
+  }
+
+  try {
+    const tier = (await loadTiers(broadcasterId)).find((t) => t.id === tierId);
+    if (!tier) {
+      errorResponse(res, 404, "Reward tier not found");
+      return;
+    }
+
+    let saved: RewardTier;
+    if (action === "adopt") {
+      const live = tier.rewardId ? await twitchRewards(broadcasterId, [tier.rewardId], log) : new Map<string, TwitchReward>();
+      if (!live) {
+        errorResponse(res, 502, "Could not read the reward from Twitch");
+        return;
+      }
+      const reward = tier.rewardId ? live.get(tier.rewardId) : undefined;
+      if (!reward) {
+        errorResponse(res, 409, "Twitch has no reward for this tier to take values from; push or recreate it instead");
+        return;
+      }
+      saved = { ...adoptTwitchReward(tier, reward), lastSyncedAt: Date.now() };
+    } else {
+      if (action === "recreate" && tier.rewardId) {
+        // The old reward goes first, or Twitch refuses a second with its title
+        const live = await twitchRewards(broadcasterId, [tier.rewardId], log);
+        if (live?.has(tier.rewardId) && !(await deleteTwitchReward(broadcasterId, tier.rewardId, log))) {
+          errorResponse(res, 502, "Could not delete the old reward on Twitch");
+          return;
+        }
+      }
+      // Recreating makes the reward even for a disabled tier
+      const target = action === "recreate" ? { ...tier, rewardId: null } : tier;
+      if (action === "recreate" && !tier.enabled) {
+        try {
+          target.rewardId = (await ensureTtsChannelPointReward(channelLogin, broadcasterId, target)).rewardId;
+        } catch (createError) {
+          errorResponse(res, 500, "Failed to create new Channel Points reward", (createError as Error).message);
+          return;
+        }
+      }
+      const synced = await syncTier(channelLogin, broadcasterId, target);
+      if (!synced.ok) {
+        errorResponse(res, synced.status, synced.error, synced.details);
+        return;
+      }
+      saved = synced.tier;
+    }
+
+    const stored = await updateTiers(broadcasterId, (tiers) => tiers.map((t) => (t.id === tierId ? saved : t)));
+    if (!stored.some((t) => t.id === tierId)) {
+      errorResponse(res, 404, "Reward tier not found");
+      return;
+    }
+
+    log.info({ action, rewardId: saved.rewardId }, "Reconciled reward tier");
+    res.json({ success: true, action, tier: saved });
+  } catch (error) {
+    const err = error as Error;
+    log.error({ error: err.message, action }, "Error reconciling reward tier");
+    errorResponse(res, 500, "Failed to reconcile reward with Twitch");
+  }
+});
+
+// GET the unfulfilled redemptions of the channel's TTS rewards, oldest first.
+// ?tierId limits it to one tier; ?cursor continues from a previous page.
+router.get("/tts/redemptions", authenticateApiRequest, requireChannelRole("moderator"), async (req: Request, res: Response): Promise<void> => {
+  assertChannelAccess(req);
+
+  const broadcasterId = req.channel.id;
+  const log = logger.child({ endpoint: "GET /api/rewards/tts/redemptions", channelLogin: req.channel.login });
+
+  try {
+    const doc = await db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(broadcasterId).get();
+    const data = doc.exists ? doc.data() : undefined;
+    let tiers = readRewardTiers(data).filter((t) => t.rewardId);
+
+    if (req.query.tierId !== undefined) {
+      tiers = tiers.filter((t) => t.id === String(req.query.tierId));
+      if (tiers.length === 0) {
+        errorResponse(res, 404, "Reward tier not found");
+        return;
+      }
+    }
+
+    let start = 0;
+    let after: string | null = null;
+    if (req.query.cursor !== undefined) {
+      const cursor = decodeQueueCursor(req.query.cursor);
+      start = cursor ? tiers.findIndex((t) => t.id === cursor.tierId) : -1;
+      if (!cursor || start === -1) {
+        errorResponse(res, 400, "Invalid cursor");
+        return;
+      }
+      after = cursor.after;
+    }
+
+    const first = queuePageSize(req.query.first);
+    const helix = await helixFor(broadcasterId);
+    const redemptions: RedemptionView[] = [];
+    let next: string | null = null;
+
+    for (let i = start; i < tiers.length && redemptions.length < first; i++, after = null) {
+      const tier = tiers[i];
+      const want = first - redemptions.length;
+      let page: { data: HelixRedemption[]; pagination?: { cursor?: string } };
+      try {
+        const resp = await helix.get<typeof page>(`/channel_points/custom_rewards/redemptions?broadcaster_id=${encodeURIComponent(broadcasterId)}&reward_id=${encodeURIComponent(tier.rewardId as string)}&status=UNFULFILLED&sort=OLDEST&first=${want}${after ? `&after=${encodeURIComponent(after)}` : ""}`);
+        page = resp.data;
+      } catch (e) {
+        const err = e as TwitchError;
+        // A reward deleted on Twitch has no queue; the sync status reports it
+        if (err.response?.status === 404) continue;
+        throw e;
+      }
+
+      for (const redemption of Array.isArray(page?.data) ? page.data : []) {
+        redemptions.push(serializeRedemption(redemption, tier, checkTierText(data, tier, redemption.user_input)));
+      }
+      const helixCursor = page?.pagination?.cursor;
+      if (helixCursor) {
+        next = encodeQueueCursor({ tierId: tier.id, after: helixCursor });
+        break;
+      }
+      if (redemptions.length >= first && i + 1 < tiers.length) {
+        next = encodeQueueCursor({ tierId: tiers[i + 1].id, after: null });
+      }
+    }
+
+    res.json({ success: true, redemptions, cursor: next });
+  } catch (error) {
+    const err = error as TwitchError;
+    log.error({
+      status: err.response?.status,
+      error: err.message,
+      responseData: redactSensitive(err.response?.data),
+    }, "Error listing redemptions");
     if (err.message.includes("re-authenticate")) {
       errorResponse(res, 401, "Authentication required", { needsReauth: true, message: "Please re-authenticate with Twitch to manage channel point rewards" });
       return;
     }
-
-    errorResponse(res, 500, "Failed to configure channel point reward", { message: err.message });
+    errorResponse(res, 502, "Failed to load redemptions from Twitch");
   }
-}
+});
 
-// POST create or update TTS reward and persist config
-router.post("/tts", authenticateApiRequest, handleUpsertTtsReward);
-// Allow PUT for idempotent updates (front-end refactor compatibility)
-router.put("/tts", authenticateApiRequest, handleUpsertTtsReward);
+// POST approve ("fulfill") or refund ("cancel") queued redemptions:
+// { action, redemptions: [{ id, rewardId }] }
+router.post("/tts/redemptions", authenticateApiRequest, requireChannelRole("moderator"), async (req: Request, res: Response): Promise<void> => {
+  assertChannelAccess(req);
 
-// DELETE TTS reward
-router.delete("/tts", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
-  assertAuthenticated(req);
+  const broadcasterId = req.channel.id;
+  const log = logger.child({ endpoint: "POST /api/rewards/tts/redemptions", channelLogin: req.channel.login });
 
-  const channelLogin = req.user.userLogin;
-  const log = logger.child({ endpoint: "DELETE /api/rewards/tts", channelLogin });
+  const { action, redemptions } = req.body || {};
+  if (!isRedemptionAction(action)) {
+    errorResponse(res, 400, `action must be one of ${Object.keys(REDEMPTION_ACTIONS).join(", ")}`);
+    return;
+  }
+  if (!Array.isArray(redemptions) || redemptions.length === 0 ||
+    redemptions.some((r) => typeof r?.id !== "string" || typeof r?.rewardId !== "string")) {
+    errorResponse(res, 400, "redemptions must be a list of { id, rewardId }");
+    return;
+  }
+  if (redemptions.length > REDEMPTION_QUEUE_LIMITS.MAX_BULK) {
+    errorResponse(res, 400, `At most ${REDEMPTION_QUEUE_LIMITS.MAX_BULK} redemptions can be updated at once`);
+    return;
+  }
 
   try {
-    // Load current config
-    const doc = await db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.user.userId).get();
-    const data = doc.exists ? doc.data() : {};
-    const channelPointsData = data?.channelPoints as ChannelPointsConfig | undefined;
-    const rewardId = channelPointsData?.rewardId || data?.channelPointRewardId;
+    const tiers = await loadTiers(broadcasterId);
+    const { batches, refused } = batchSelections(redemptions as RedemptionSelection[], tiers);
+    const updated: string[] = [];
+    const failed = refused.map((id) => ({ id, error: "Not a TTS reward redemption" }));
 
-    let twitchDeleted = false;
-    if (rewardId) {
+    const helix = batches.length > 0 ? await helixFor(broadcasterId) : null;
+    for (const { rewardId, ids } of batches) {
       try {
-        // Delete on Twitch using Helix Delete Custom Reward
-        const accessToken = await getValidTwitchTokenForUser(req.user.userId, secrets);
-        const twitchUserId = req.user.userId;
-        if (twitchUserId) {
-          const helix = axios.create({
-            baseURL: "https://api.twitch.tv/helix",
-            headers: {
-              "Client-ID": secrets.TWITCH_CLIENT_ID,
-              "Authorization": `Bearer ${accessToken}`,
-            },
-            timeout: 10000,
-          });
-          await helix.delete(`/channel_points/custom_rewards?broadcaster_id=${encodeURIComponent(twitchUserId)}&id=${encodeURIComponent(rewardId)}`);
-          twitchDeleted = true;
+        const query = ids.map((id) => `&id=${encodeURIComponent(id)}`).join("");
+        const resp = await helix!.patch<{ data: Array<{ id: string }> }>(
+          `/channel_points/custom_rewards/redemptions?broadcaster_id=${encodeURIComponent(broadcasterId)}&reward_id=${encodeURIComponent(rewardId)}${query}`,
+          { status: REDEMPTION_ACTIONS[action] }
+        );
+        const done = new Set((Array.isArray(resp.data?.data) ? resp.data.data : []).map((r) => r.id));
+        for (const id of ids) {
+          if (done.has(id)) updated.push(id);
+          else failed.push({ id, error: "Already handled or no longer in the queue" });
         }
-      } catch (twitchError) {
-        // If Twitch deletion fails due to permission or already-deleted, we still proceed to clear local state
-        const err = twitchError as { response?: { status?: number; data?: unknown }; message: string };
+      } catch (e) {
+        const err = e as TwitchError;
         log.warn({
+          rewardId,
           status: err.response?.status,
           error: err.message,
           responseData: redactSensitive(err.response?.data),
-        }, "Twitch delete failed");
+        }, "Twitch redemption update failed");
+        // Helix answers 404 when none of the IDs are still unfulfilled
+        const reason = err.response?.status === 404 ? "Already handled or no longer in the queue" : (err.response?.data?.message || "Twitch refused the update");
+        failed.push(...ids.map((id) => ({ id, error: reason })));
       }
     }
 
+    log.info({ action, updated: updated.length, failed: failed.length }, "Updated redemptions");
+    res.json({ success: true, action, updated, failed });
+  } catch (error) {
+    const err = error as Error;
+    log.error({ error: err.message, action }, "Error updating redemptions");
+    if (err.message.includes("re-authenticate")) {
+      errorResponse(res, 401, "Authentication required", { needsReauth: true, message: "Please re-authenticate with Twitch to manage channel point rewards" });
+      return;
+    }
+    errorResponse(res, 500, "Failed to update redemptions");
+  }
+});
+
+// The routes below predate tiers and act on the first one, for older
+// dashboard builds and scripts.
+
+// GET current TTS reward config and Twitch status
+router.get("/tts", authenticateApiRequest, requireChannelRole("viewer-only"), async (req: Request, res: Response): Promise<void> => {
+  assertChannelAccess(req);
+
+  const channelLogin = req.channel.login;
+  const log = logger.child({ endpoint: "GET /api/rewards/tts", channelLogin });
+
+  try {
+    const channelPoints = (await loadTiers(req.channel.id))[0] || null;
+    const twitchStatus = channelPoints?.rewardId ?
+      (await twitchRewards(req.channel.id, [channelPoints.rewardId], log))?.get(channelPoints.rewardId) || null :
+      null;
+
+    res.json({ success: true, channelPoints, twitchStatus });
+  } catch (error) {
+    const err = error as Error;
+    log.error({ error: err.message }, "Error getting reward config");
+    errorResponse(res, 500, "Failed to load reward config");
+  }
+});
+
+// Shared handler to create or update the first tier
+async function handleUpsertTtsReward(req: Request, res: Response): Promise<void> {
+  assertChannelAccess(req);
+
+  const channelLogin = req.channel.login;
+  const log = logger.child({ endpoint: `${req.method} /api/rewards/tts`, channelLogin });
+
+  try {
+    const first = (await loadTiers(req.channel.id))[0];
+    const channelPoints = await saveTier(req, res, first ? first.id : null);
+    if (!channelPoints) return;
+
+    log.info({ enabled: channelPoints.enabled, rewardId: channelPoints.rewardId }, "Updated config");
+
+    res.json({
+      success: true,
+      channelPoints,
+      message: channelPoints.enabled ? "Channel point reward configured successfully" : "Channel point reward disabled",
+    });
+  } catch (error) {
+    const err = error as Error;
+    log.error({ error: err.message }, "Error in handleUpsertTtsReward");
+    errorResponse(res, 500, "Failed to configure channel point reward", { message: err.message });
+  }
+}
+
+// POST create or update TTS reward and persist config
+router.post("/tts", authenticateApiRequest, requireChannelRole("editor"), handleUpsertTtsReward);
+// Allow PUT for idempotent updates (front-end refactor compatibility)
+router.put("/tts", authenticateApiRequest, requireChannelRole("editor"), handleUpsertTtsReward);
+
+// DELETE TTS reward
+router.delete("/tts", authenticateApiRequest, requireChannelRole("editor"), async (req: Request, res: Response): Promise<void> => {
+  assertChannelAccess(req);
+
+  const channelLogin = req.channel.login;
+  const log = logger.child({ endpoint: "DELETE /api/rewards/tts", channelLogin });
+
+  try {
+    const first = (await loadTiers(req.channel.id))[0];
+    const twitchDeleted = first?.rewardId ? await deleteTwitchReward(req.channel.id, first.rewardId, log) : false;
+
     // Disable locally and only clear stored reward id if Twitch confirmed deletion
-    await db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.user.userId).set({
-      channelPoints: {
-        ...(channelPointsData || {}),
+    if (first) {
+      await updateTiers(req.channel.id, (stored) => stored.map((t) => (t.id !== first.id ? t : {
+        ...t,
         enabled: false,
-        rewardId: twitchDeleted ? null : (channelPointsData?.rewardId || null),
+        rewardId: twitchDeleted ? null : t.rewardId,
         lastSyncedAt: Date.now(),
-      },
-      // keep legacy flags consistent
-      channelPointsEnabled: false,
-      channelPointRewardId: twitchDeleted ? null : (data?.channelPointRewardId || null),
-    }, { merge: true });
+      })));
+    }
 
     res.json({
       success: true,
@@ -554,16 +896,16 @@ router.delete("/tts", authenticateApiRequest, async (req: Request, res: Response
 });
 
 // POST test TTS reward
-router.post("/tts/test", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
-  assertAuthenticated(req);
+router.post("/tts/test", authenticateApiRequest, requireChannelRole("viewer-only"), async (req: Request, res: Response): Promise<void> => {
+  assertChannelAccess(req);
 
-  const channelLogin = req.user.userLogin;
+  const channelLogin = req.channel.login;
   const log = logger.child({ endpoint: "POST /api/rewards/tts:test", channelLogin });
 
   try {
     const text = (req.body?.text ?? "").toString();
 
-    const result = await validateChannelPointsTestMessage(channelLogin, req.user.userId, text);
+    const result = await validateChannelPointsTestMessage(req.channel.id, null, text);
     log.info("Test requested");
 
     if (!result.ok) {
@@ -571,7 +913,7 @@ router.post("/tts/test", authenticateApiRequest, async (req: Request, res: Respo
       return;
     }
 
-    res.json({ success: true, message: "TTS test validated" });
+    res.json({ success: true, message: "TTS test validated", spoken: result.spoken });
   } catch (error) {
     const err = error as Error;
     log.error({ error: err.message }, "Error testing TTS reward");
@@ -580,21 +922,21 @@ router.post("/tts/test", authenticateApiRequest, async (req: Request, res: Respo
 });
 
 // Legacy alias to accept colon-based route used by older dashboard builds
-router.post("/tts:test", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
-  assertAuthenticated(req);
+router.post("/tts:test", authenticateApiRequest, requireChannelRole("viewer-only"), async (req: Request, res: Response): Promise<void> => {
+  assertChannelAccess(req);
 
-  const channelLogin = req.user.userLogin;
+  const channelLogin = req.channel.login;
   const log = logger.child({ endpoint: "POST /api/rewards/tts:test (legacy)", channelLogin });
 
   try {
     const text = (req.body?.text ?? "").toString();
-    const result = await validateChannelPointsTestMessage(channelLogin, req.user.userId, text);
+    const result = await validateChannelPointsTestMessage(req.channel.id, null, text);
     log.info("Test requested (legacy alias)");
     if (!result.ok) {
       errorResponse(res, 400, result.reason || "Validation failed");
       return;
     }
-    res.json({ success: true, message: "TTS test validated" });
+    res.json({ success: true, message: "TTS test validated", spoken: result.spoken });
   } catch (error) {
     const err = error as Error;
     log.error({ error: err.message }, "Error testing TTS reward (legacy)");
@@ -0,0 +1,148 @@
+/**
+ * Delegated channel roles API routes
+ */
+
+import express, { Request, Response, Router } from "express";
+import { authenticateApiRequest, authorizeChannelAccess, assertAuthenticated } from "../middleware/auth";
+import { db, COLLECTIONS } from "../services/firestore";
+import { getUserByUsername } from "../services/twitch";
+import {
+  listChannelGrants,
+  listGrantsHeld,
+  refreshBroadcasterLogin,
+  saveGrant,
+  removeGrant,
+  isGrantableRole,
+  GRANTABLE_ROLES,
+} from "../services/channelRoles";
+import { secrets } from "../config";
+import { logger } from "../logger";
+import { errorResponse } from "./utils";
+
+const router: Router = express.Router();
+
+// Route: /api/roles/channels - Channels the caller can manage, own first
+router.get("/channels", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
+  assertAuthenticated(req);
+
+  const log = logger.child({ endpoint: "/api/roles/channels", userLogin: req.user.userLogin });
+
+  try {
+    // A delegate can sign in without an approved channel of their own, in which
+    // case only the channels they were granted are listed.
+    const [held, ownDoc] = await Promise.all([
+      listGrantsHeld(req.user.userId),
+      db.collection(COLLECTIONS.MANAGED_CHANNELS).doc(req.user.userId).get(),
+    ]);
+    const own = ownDoc.exists ? [{ login: req.user.userLogin.toLowerCase(), role: "broadcaster" }] : [];
+    res.json({
+      success: true,
+      channels: [
+        ...own,
+        ...held.map((grant) => ({ login: grant.broadcasterLogin, role: grant.role })),
+      ],
+    });
+  } catch (error) {
+    const err = error as Error;
+    log.error({ error: err.message }, "Error listing manageable channels");
+    errorResponse(res, 500, "Failed to list channels");
+  }
+});
+
+// Granting is the broadcaster's alone: authorizeChannelAccess admits only the
+// channel owner, so a delegated editor cannot hand out or raise roles.
+
+// Route: /api/roles/channel/:channelName/grants
+router.get("/channel/:channelName/grants", authenticateApiRequest, authorizeChannelAccess, async (req: Request, res: Response): Promise<void> => {
+  assertAuthenticated(req);
+
+  const log = logger.child({ endpoint: "/api/roles/grants", channelLogin: req.user.userLogin });
+
+  try {
+    const grants = await listChannelGrants(req.user.userId);
+    await refreshBroadcasterLogin(grants, req.user.userLogin);
+    res.json({
+      success: true,
+      grants: grants.map(({ userId, login, displayName, role }) => ({ userId, login, displayName, role })),
+    });
+  } catch (error) {
+    const err = error as Error;
+    log.error({ error: err.message }, "Error listing channel grants");
+    errorResponse(res, 500, "Failed to list channel roles");
+  }
+});
+
+// Route: /api/roles/channel/:channelName/grants - Grant or change a role
+router.put("/channel/:channelName/grants", authenticateApiRequest, authorizeChannelAccess, async (req: Request, res: Response): Promise<void> => {
+  assertAuthenticated(req);
+
+  const log = logger.child({ endpoint: "/api/roles/grants", channelLogin: req.user.userLogin });
+  const { username, role } = req.body ?? {};
+
+  if (!username || typeof username !== "string") {
+    errorResponse(res, 400, "Username is required");
+    return;
+  }
+  if (!isGrantableRole(role)) {
+    errorResponse(res, 400, `Role must be one of: ${GRANTABLE_ROLES.join(", ")}`);
+    return;
+  }
+
+  const normalizedUsername = username.toLowerCase().trim().replace(/^@/, "");
+  if (!normalizedUsername) {
+    errorResponse(res, 400, "Invalid username");
+    return;
+  }
+
+  try {
+    // Grants are keyed by account ID, so a rename neither loses nor transfers one.
+    const account = await getUserByUsername(normalizedUsername, secrets);
+    if (!account) {
+      errorResponse(res, 404, `No Twitch account named "${normalizedUsername}" exists`);
+      return;
+    }
+    if (account.id === req.user.userId) {
+      errorResponse(res, 400, "You already own this channel");
+      return;
+    }
+
+    await saveGrant({
+      broadcasterId: req.user.userId,
+      broadcasterLogin: req.user.userLogin,
+      userId: account.id,
+      login: account.login,
+      displayName: account.displayName,
+      role,
+    });
+
+    log.info({ userId: account.id, role }, "Granted channel role");
+    res.json({
+      success: true,
+      grant: { userId: account.id, login: account.login, displayName: account.displayName, role },
+    });
+  } catch (error) {
+    const err = error as Error;
+    log.error({ error: err.message, username: normalizedUsername }, "Error granting channel role");
+    errorResponse(res, 500, "Failed to grant channel role");
+  }
+});
+
+// Route: /api/roles/channel/:channelName/grants/:userId - Revoke a role
+router.delete("/channel/:channelName/grants/:userId", authenticateApiRequest, authorizeChannelAccess, async (req: Request, res: Response): Promise<void> => {
+  assertAuthenticated(req);
+
+  const log = logger.child({ endpoint: "/api/roles/grants", channelLogin: req.user.userLogin });
+  const userId = req.params.userId as string;
+
+  try {
+    await removeGrant(req.user.userId, userId);
+    log.info({ userId }, "Revoked channel role");
+    res.json({ success: true });
+  } catch (error) {
+    const err = error as Error;
+    log.error({ error: err.message, userId }, "Error revoking channel role");
+    errorResponse(res, 500, "Failed to revoke channel role");
+  }
+});
+
+export default router;
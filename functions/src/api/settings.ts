@@ -4,99 +4,130 @@
 
 import express, { Response, Router, RequestHandler } from "express";
 import { db, COLLECTIONS, FieldValue, FieldPath } from "../services/firestore";
-import { authenticateApiRequest, authorizeChannelAccess, AuthenticatedRequest } from "../middleware/auth";
+import { authenticateApiRequest, requireChannelRole, ChannelRequest } from "../middleware/auth";
+import type { ChannelRole } from "../services/channelRoles";
 import { logger } from "../logger";
 import { errorResponse } from "./utils";
-import { validateSpeed, validatePitch, validateEmotion, validateLanguageBoost } from "../services/utils";
+import { validateTtsSetting, buildSettingsUpdate, settingsVersion } from "../services/channelSettings";
+import {
+    normalizeMatchKey,
+    validateSay,
+    parsePronunciationImport,
+    planPronunciationImport,
+    pronunciationDefault,
+    readDisabledDefaults,
+    PRONUNCIATION_LIMITS,
+    PronunciationImportStatus,
+} from "../services/pronunciation";
+import * as ttsConfig from "../services/tts-config.json";
+import { evaluateText } from "../services/textPolicy";
+import { readRewardTiers, parseVoicePick } from "../services/rewardTiers";
 import { RELEASED_VOICES } from "../services/voice-list";
-import { normalizeMatchKey, validateSay, PRONUNCIATION_LIMITS } from "../services/pronunciation";
+import {
+    readBannedWordRules,
+    legacyMigration,
+    legacyRule,
+    hasBannedWordRules,
+    validateBannedWordRule,
+    applyBannedWordRules,
+    newRuleId,
+    BANNED_WORD_LIMITS,
+    BannedWordRule,
+    StoredBannedWordRule,
+    RuleValidation,
+} from "../services/bannedWordRules";
+import {
+    validateVoiceAssignment,
+    readVoiceAssignments,
+    getVoiceAssignment,
+    buildVoiceAssignment,
+    VOICE_ASSIGNMENT_LIMITS,
+} from "../services/voiceAssignments";
 import { getUserByUsername } from "../services/twitch";
-import { secrets } from "../config";
+import { secrets, config } from "../config";
 import { buildIgnoreEntry, IGNORE_SOURCE_MODERATOR } from "../services/ignoreEntries";
+import { buildConfigBundle, parseConfigBundle, resolveImport, diffConfig } from "../services/configBundle";
+import {
+    historyActor,
+    historyCollection,
+    recordHistory,
+    changesForUpdates,
+    readHistoryKey,
+    restoreUpdate,
+    bannedWordOf,
+    bannedWordRuleKey,
+    botBannedWordsAfter,
+    sameValue,
+    HistoryChange,
+} from "../services/settingsHistory";
+import {
+    USAGE_LIMITS,
+    effectiveBudget,
+    monthResetsAt,
+    readUsage,
+    readUsageTotals,
+    recentDays,
+    sumBreakdowns,
+    usageMonth,
+} from "../services/usage";
 
 const router: Router = express.Router();
 
-const VOICE_IDS = new Set(RELEASED_VOICES);
+// Twitch caps chat messages and redemption input at 500 characters.
+const PREVIEW_MAX_LENGTH = 500;
 
 // ==========================================
 // TTS SETTINGS
 // ==========================================
 
-const BOOLEAN_SETTINGS = [
-    "engineEnabled",
-    "speakEvents",
-    "speakCheerEvents",
-    "speakRedemptionEvents",
-    "announceUnfulfilledRedemptions",
-    "speakWatchStreakEvents",
-    "anonymizeFollowers",
-    "bitsModeEnabled",
-    "readFullUrls",
-    "allowViewerPreferences",
-    "botRespondsInChat",
-    "englishNormalization",
-    "youtubeEnabled",
-    "pronunciationEnabled",
-    "profanityFilterEnabled",
-];
+/**
+ * Opaque version token for a whole channel config document, taken from its
+ * server-assigned updateTime. An import replaces far more than settings, so it
+ * is guarded on any change at all; the batch route uses settingsVersion.
+ * Nanoseconds are kept because two writes can land in the same millisecond,
+ * and a token that failed to change would let a stale import through.
+ * @param snap - A document snapshot
+ * @return The version string, or null when the document does not exist
+ */
+function documentVersion(snap: FirebaseFirestore.DocumentSnapshot): string | null {
+    if (!snap.exists || !snap.updateTime) return null;
+    const { seconds, nanoseconds } = snap.updateTime;
+    return `${seconds}.${String(nanoseconds).padStart(9, "0")}`;
+}
+
+// Fields only the broadcaster may read. The OBS token is a credential for the
+// browser source; anyone holding it can play audio into the stream.
+const OWNER_ONLY_FIELDS = ["obsSocketToken"];
 
 /**
- * Validates a single channel setting before it is merged into the channel's
- * config document. This is the only writer for these keys, so anything not
- * listed here is rejected rather than silently stored.
- * @param key - The setting key being written
- * @param value - The proposed value
- * @return True if the key is known and the value is well-formed
+ * The stored config as the caller may see it.
+ * @param data - The document data, if any
+ * @param role - The caller's role on the channel
+ * @return The data, minus owner-only fields for delegated roles
  */
-function validateTtsSetting(key: string, value: unknown): boolean {
-    if (BOOLEAN_SETTINGS.includes(key)) return typeof value === "boolean";
-
-    switch (key) {
-    case "mode":
-        return ["all", "command", "bits_points_only"].includes(value as string);
-    case "ttsPermissionLevel":
-        return ["everyone", "subs", "mods", "vip"].includes(value as string);
-    case "emoteMode":
-        return ["read", "skip", "describe"].includes(value as string);
-    case "emotion":
-        // "auto" means "send no emotion override"; the bot handles it explicitly.
-        return value === "auto" || (typeof value === "string" && validateEmotion(value));
-    case "languageBoost":
-        // The dashboard dropdown offers "Automatic"; the bot maps that (and the
-        // legacy "None") onto "auto" before calling the TTS API.
-        return value === "Automatic" || value === "None" || validateLanguageBoost(value as string);
-    case "pitch":
-        return validatePitch(value as number);
-    case "speed":
-        return validateSpeed(value as number);
-    case "bitsMinimumAmount":
-        return typeof value === "number" && Number.isInteger(value) && value >= 0;
-    case "voiceId":
-        return typeof value === "string" && VOICE_IDS.has(value);
-    case "youtubeHandle":
-        return typeof value === "string" && value.length <= 100;
-    default:
-        // Voice IDs are not restricted to a simple charset — many contain
-        // hyphens, spaces and parentheses ("Chinese (Mandarin)_News_Anchor") —
-        // so match the prefix and check the remainder against the voice list.
-        if (key.startsWith("voiceVolumes.")) {
-            return VOICE_IDS.has(key.slice("voiceVolumes.".length)) &&
-                typeof value === "number" && value > 0 && value <= 10;
-        }
-        return false;
-    }
+function visibleSettings(data: FirebaseFirestore.DocumentData | undefined, role: ChannelRole): FirebaseFirestore.DocumentData {
+    if (!data) return {};
+    if (role === "broadcaster") return data;
+    const visible = { ...data };
+    for (const field of OWNER_ONLY_FIELDS) delete visible[field];
+    return visible;
 }
 
+// Upper bound on keys in one batch. The dashboard sends a handful at most;
+// this only stops a single request from doing unbounded validation work.
+const MAX_BATCH_SETTINGS = 50;
+
 // GET /tts/settings/channel/:channelName
-router.get("/tts/settings/channel/:channelName", authenticateApiRequest, authorizeChannelAccess, (async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.get("/tts/settings/channel/:channelName", authenticateApiRequest, requireChannelRole("viewer-only"), (async (req: ChannelRequest, res: Response): Promise<void> => {
     const { channelName } = req.params;
 
     try {
-        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.user.userId);
+        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id);
         const docSnap = await docRef.get();
 
         if (docSnap.exists) {
-            res.json({ settings: docSnap.data() || {} });
+            const version = settingsVersion(docSnap.data());
+            res.json({ settings: visibleSettings(docSnap.data(), req.channel.role), ...(version && { version }) });
         } else {
             res.json({ settings: {} });
         }
@@ -107,7 +138,7 @@ router.get("/tts/settings/channel/:channelName", authenticateApiRequest, authori
 }) as RequestHandler);
 
 // PUT /tts/settings/channel/:channelName
-router.put("/tts/settings/channel/:channelName", authenticateApiRequest, authorizeChannelAccess, (async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.put("/tts/settings/channel/:channelName", authenticateApiRequest, requireChannelRole("editor"), (async (req: ChannelRequest, res: Response): Promise<void> => {
     const { channelName } = req.params;
     const { key, value } = req.body;
 
@@ -123,16 +154,13 @@ router.put("/tts/settings/channel/:channelName", authenticateApiRequest, authori
     }
 
     try {
-        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.user.userId);
-
-        // set() treats a dotted key as a literal field name, not a path, so
-        // "voiceVolumes.<voiceId>" has to be written as a nested map for the bot
-        // to find it under config.voiceVolumes. merge:true keeps sibling voices.
-        const update = key.startsWith("voiceVolumes.") ?
-            { voiceVolumes: { [key.slice("voiceVolumes.".length)]: value } } :
-            { [key]: value };
+        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id);
 
-        await docRef.set(update, { merge: true });
+        await db.runTransaction(async (tx) => {
+            const snap = await tx.get(docRef);
+            tx.set(docRef, buildSettingsUpdate({ [key]: value }), { merge: true });
+            recordHistory(tx, docRef, historyActor(req.user), "settings", changesForUpdates(snap.data(), { [key]: value }));
+        });
 
         logger.info({ channelName, key, value }, "Updated TTS setting");
         res.json({ success: true, message: "Setting updated" });
@@ -142,6 +170,464 @@ router.put("/tts/settings/channel/:channelName", authenticateApiRequest, authori
     }
 }) as RequestHandler);
 
+// PATCH /tts/settings/channel/:channelName - Apply several settings at once
+//
+// All keys are validated before anything is written, and the write happens in a
+// transaction guarded by the settings version the client last read. If the
+// settings have moved on since — another tab, another editor — the batch is
+// refused with 409 and the current settings, so the caller can choose to reload
+// or to resend with force:true. Writes to banned words, pronunciations and the
+// other lists do not change the version. A channel with no settings stored yet
+// has version null.
+router.patch("/tts/settings/channel/:channelName", authenticateApiRequest, requireChannelRole("editor"), (async (req: ChannelRequest, res: Response): Promise<void> => {
+    const { channelName } = req.params;
+    const { settings, expectedVersion, force } = req.body ?? {};
+
+    if (!settings || typeof settings !== "object" || Array.isArray(settings) || Object.keys(settings).length === 0) {
+        errorResponse(res, 400, "Settings object is required");
+        return;
+    }
+    if (Object.keys(settings).length > MAX_BATCH_SETTINGS) {
+        errorResponse(res, 400, `At most ${MAX_BATCH_SETTINGS} settings can be updated at once`);
+        return;
+    }
+    if (force !== true && expectedVersion !== null && typeof expectedVersion !== "string") {
+        errorResponse(res, 400, "expectedVersion is required unless force is set");
+        return;
+    }
+
+    const invalidKeys = Object.entries(settings as Record<string, unknown>)
+        .filter(([key, value]) => !validateTtsSetting(key, value))
+        .map(([key]) => key);
+    if (invalidKeys.length > 0) {
+        logger.warn({ channelName, invalidKeys }, "Rejected invalid TTS settings batch");
+        errorResponse(res, 400, `Invalid settings: ${invalidKeys.join(", ")}`, { invalidKeys });
+        return;
+    }
+
+    const keys = Object.keys(settings);
+    try {
+        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id);
+        const update = buildSettingsUpdate(settings);
+
+        const conflict = await db.runTransaction(async (tx) => {
+            const snap = await tx.get(docRef);
+            const currentVersion = settingsVersion(snap.data());
+            if (force !== true && currentVersion !== expectedVersion) {
+                return { version: currentVersion, settings: visibleSettings(snap.data(), req.channel.role) };
+            }
+            tx.set(docRef, update, { merge: true });
+            recordHistory(tx, docRef, historyActor(req.user), "settings", changesForUpdates(snap.data(), settings));
+            return null;
+        });
+
+        if (conflict) {
+            logger.info({ channelName, keys, expectedVersion, currentVersion: conflict.version }, "TTS settings batch rejected: version conflict");
+            errorResponse(res, 409, "Settings were changed elsewhere since they were loaded", conflict);
+            return;
+        }
+
+        // Read back rather than echoing the request: the merge may have landed on
+        // top of fields the client never saw, and the new version is only known
+        // once the write has committed.
+        const saved = await docRef.get();
+        logger.info({ channelName, keys, forced: force === true }, "Updated TTS settings batch");
+        res.json({
+            success: true,
+            message: "Settings updated",
+            settings: visibleSettings(saved.data(), req.channel.role),
+            version: settingsVersion(saved.data()),
+        });
+    } catch (error) {
+        logger.error({ error, channelName, keys }, "Error updating TTS settings batch");
+        errorResponse(res, 500, "Failed to update TTS settings");
+    }
+}) as RequestHandler);
+
+// ==========================================
+// CONFIG EXPORT / IMPORT
+// ==========================================
+//
+// Moves a channel's settings, voice volumes, banned words, pronunciations and
+// ignore list between channels as one JSON bundle. What goes in a bundle and
+// how it is validated lives in services/configBundle.ts.
+
+// GET /tts/config/channel/:channelName/export
+router.get("/tts/config/channel/:channelName/export", authenticateApiRequest, requireChannelRole("viewer-only"), (async (req: ChannelRequest, res: Response): Promise<void> => {
+    const { channelName } = req.params;
+
+    try {
+        const snap = await db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id).get();
+        const bundle = buildConfigBundle(snap.exists ? snap.data() : undefined, req.channel.login);
+
+        logger.info({ channelName }, "Exported TTS config bundle");
+        res.setHeader("Content-Disposition", `attachment; filename="${req.channel.login}-tts-config.json"`);
+        res.json(bundle);
+    } catch (error) {
+        logger.error({ error, channelName }, "Error exporting TTS config");
+        errorResponse(res, 500, "Failed to export TTS config");
+    }
+}) as RequestHandler);
+
+// POST /tts/config/channel/:channelName/import
+//
+// Body: { bundle, mode?: "merge" | "replace", dryRun?: boolean, expectedVersion?: string | null }
+// A dry run returns the changes and the current version without writing. Sending
+// that version back with the real import makes it apply only if nothing moved in
+// between, so what was previewed is what lands.
+router.post("/tts/config/channel/:channelName/import", authenticateApiRequest, requireChannelRole("editor"), (async (req: ChannelRequest, res: Response): Promise<void> => {
+    const { channelName } = req.params;
+    const { bundle, mode = "merge", dryRun = false, expectedVersion } = req.body ?? {};
+
+    if (mode !== "merge" && mode !== "replace") {
+        errorResponse(res, 400, "mode must be \"merge\" or \"replace\"");
+        return;
+    }
+    if (typeof dryRun !== "boolean") {
+        errorResponse(res, 400, "dryRun must be a boolean");
+        return;
+    }
+    if (expectedVersion !== undefined && expectedVersion !== null && typeof expectedVersion !== "string") {
+        errorResponse(res, 400, "expectedVersion must be a string or null");
+        return;
+    }
+
+    const parsed = parseConfigBundle(bundle);
+    if (!parsed.ok) {
+        logger.warn({ channelName, errorCount: parsed.errors.length }, "Rejected invalid TTS config bundle");
+        errorResponse(res, 400, "Invalid config bundle", { errors: parsed.errors });
+        return;
+    }
+
+    try {
+        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id);
+
+        const outcome = await db.runTransaction(async (tx) => {
+            const snap = await tx.get(docRef);
+            const current = snap.exists ? snap.data() : undefined;
+            const version = documentVersion(snap);
+            if (expectedVersion !== undefined && version !== expectedVersion) {
+                return { status: "conflict" as const, version, settings: visibleSettings(current, req.channel.role) };
+            }
+            const resolved = resolveImport(current, parsed.config, mode);
+            if (!resolved.ok) return { status: "invalid" as const, error: resolved.error };
+
+            const changes = diffConfig(current, resolved.fields);
+            if (!dryRun && changes.length > 0) {
+                // mergeFields replaces each listed field wholesale, which is what
+                // "replace" needs for maps; merge mode already folded the stored
+                // entries into the new value.
+                tx.set(docRef, resolved.fields, { mergeFields: Object.keys(resolved.fields) });
+                recordHistory(tx, docRef, historyActor(req.user), "import",
+                    changes.map(({ path, before, after }) => ({ key: path, oldValue: before, newValue: after })));
+            }
+            return { status: "ok" as const, changes, version };
+        });
+
+        if (outcome.status === "conflict") {
+            errorResponse(res, 409, "Settings were changed elsewhere since the preview", { version: outcome.version, settings: outcome.settings });
+            return;
+        }
+        if (outcome.status === "invalid") {
+            errorResponse(res, 400, outcome.error);
+            return;
+        }
+
+        if (dryRun || outcome.changes.length === 0) {
+            res.json({ success: true, dryRun, mode, changes: outcome.changes, version: outcome.version });
+            return;
+        }
+
+        const saved = await docRef.get();
+        logger.info({ channelName, mode, changeCount: outcome.changes.length }, "Imported TTS config bundle");
+        res.json({ success: true, dryRun: false, mode, changes: outcome.changes, version: documentVersion(saved) });
+    } catch (error) {
+        logger.error({ error, channelName }, "Error importing TTS config");
+        errorResponse(res, 500, "Failed to import TTS config");
+    }
+}) as RequestHandler);
+
+// ==========================================
+// SETTINGS HISTORY
+// ==========================================
+//
+// Every write above and below records its field-level changes; see
+// services/settingsHistory.ts for the entry format. Reverting and restoring are
+// themselves recorded, so they can be undone the same way.
+
+const HISTORY_PAGE_SIZE = 25;
+const MAX_HISTORY_PAGE_SIZE = 100;
+// A restore undoes every entry newer than the chosen one in a single
+// transaction, which Firestore caps at 500 writes including the history
+// entries the restore itself records.
+const MAX_RESTORE_ENTRIES = 200;
+
+/**
+ * Shape a stored history entry for the API.
+ * @param doc - The history entry snapshot
+ * @return The entry with its ID and an ISO timestamp
+ */
+function serializeHistoryEntry(doc: FirebaseFirestore.DocumentSnapshot): Record<string, unknown> {
+    const data = doc.data() || {};
+    return {
+        id: doc.id,
+        actor: data.actor ?? null,
+        key: data.key,
+        oldValue: data.oldValue ?? null,
+        newValue: data.newValue ?? null,
+        source: data.source ?? null,
+        at: data.at?.toDate ? data.at.toDate().toISOString() : null,
+        ...(data.revertOf && { revertOf: data.revertOf }),
+    };
+}
+
+// GET /tts/history/channel/:channelName?limit=25&before=<entryId> - Newest first
+router.get("/tts/history/channel/:channelName", authenticateApiRequest, requireChannelRole("viewer-only"), (async (req: ChannelRequest, res: Response): Promise<void> => {
+    const { channelName } = req.params;
+    const requested = parseInt(String(req.query.limit ?? HISTORY_PAGE_SIZE), 10);
+    const limit = Number.isFinite(requested) ? Math.min(Math.max(requested, 1), MAX_HISTORY_PAGE_SIZE) : HISTORY_PAGE_SIZE;
+    const before = typeof req.query.before === "string" ? req.query.before : null;
+
+    try {
+        const history = historyCollection(db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id));
+        // One extra row tells us whether there is another page without a count query.
+        let query = history.orderBy("at", "desc").limit(limit + 1);
+        if (before) {
+            const cursor = await history.doc(before).get();
+            if (!cursor.exists) {
+                errorResponse(res, 400, "Unknown history cursor");
+                return;
+            }
+            query = query.startAfter(cursor);
+        }
+
+        const snap = await query.get();
+        const entries = snap.docs.slice(0, limit).map(serializeHistoryEntry);
+        res.json({
+            entries,
+            nextCursor: snap.docs.length > limit ? entries[entries.length - 1].id : null,
+        });
+    } catch (error) {
+        logger.error({ error, channelName }, "Error fetching settings history");
+        errorResponse(res, 500, "Failed to fetch settings history");
+    }
+}) as RequestHandler);
+
+// POST /tts/history/channel/:channelName/:entryId/revert - Undo one change
+//
+// Puts the field back to the entry's old value. If the field has changed again
+// since, reverting would silently discard the later change too, so that is
+// refused with 409 unless the caller confirms with force:true.
+router.post("/tts/history/channel/:channelName/:entryId/revert", authenticateApiRequest, requireChannelRole("editor"), (async (req: ChannelRequest, res: Response): Promise<void> => {
+    const { channelName, entryId } = req.params;
+    const force = req.body?.force === true;
+
+    try {
+        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id);
+
+        const outcome = await db.runTransaction(async (tx) => {
+            const entrySnap = await tx.get(historyCollection(docRef).doc(entryId));
+            if (!entrySnap.exists) return { status: "missing" as const };
+            const snap = await tx.get(docRef);
+
+            const entry = entrySnap.data() as HistoryChange;
+            const data = snap.data();
+            let current: unknown;
+            let word: string | undefined;
+            if (entry.key === "bannedWords") {
+                word = bannedWordOf(entry);
+                const present = hasBannedWordRules(data) ?
+                    readHistoryKey(data, bannedWordRuleKey(data, word)) !== null :
+                    (data?.bannedWords || []).includes(word);
+                current = present ? word : null;
+            } else {
+                current = readHistoryKey(data, entry.key);
+            }
+
+            if (sameValue(current, entry.oldValue)) return { status: "unchanged" as const };
+            if (!force && !sameValue(current, entry.newValue)) {
+                return { status: "conflict" as const, current };
+            }
+
+            // On a channel with rules a word is banned through its rule; the
+            // array is only the bot's copy and is rewritten from the rules.
+            let change: HistoryChange = { key: entry.key, oldValue: current, newValue: entry.oldValue };
+            if (word !== undefined && hasBannedWordRules(data)) {
+                const key = bannedWordRuleKey(data, word);
+                change = { key, oldValue: readHistoryKey(data, key), newValue: entry.oldValue === null ? null : legacyRule(word) };
+            }
+            const update = restoreUpdate(change.key, change.newValue ?? null, word);
+            if (change.key.startsWith("bannedWordRules.")) {
+                update.bannedWords = botBannedWordsAfter(data, { [change.key]: change.newValue ?? null });
+            }
+
+            tx.set(docRef, update, { merge: true });
+            recordHistory(tx, docRef, historyActor(req.user), "revert", [change], { revertOf: entryId });
+            return { status: "reverted" as const, key: entry.key };
+        });
+
+        if (outcome.status === "missing") {
+            errorResponse(res, 404, "History entry not found");
+            return;
+        }
+        if (outcome.status === "conflict") {
+            errorResponse(res, 409, "This setting has changed again since. Revert anyway to discard the later change.", { current: outcome.current });
+            return;
+        }
+        if (outcome.status === "reverted") {
+            logger.info({ channelName, entryId, key: outcome.key }, "Reverted settings change");
+        }
+        res.json({ success: true, reverted: outcome.status === "reverted" });
+    } catch (error) {
+        logger.error({ error, channelName, entryId }, "Error reverting settings change");
+        errorResponse(res, 500, "Failed to revert change");
+    }
+}) as RequestHandler);
+
+// POST /tts/history/channel/:channelName/restore - Roll back to a point in time
+//
+// Body: { entryId }. Brings every recorded field back to its value as of that
+// entry's commit, i.e. undoes everything recorded after it. Changes committed in
+// the same write as the entry are kept.
+router.post("/tts/history/channel/:channelName/restore", authenticateApiRequest, requireChannelRole("editor"), (async (req: ChannelRequest, res: Response): Promise<void> => {
+    const { channelName } = req.params;
+    const { entryId } = req.body ?? {};
+
+    if (!entryId || typeof entryId !== "string") {
+        errorResponse(res, 400, "entryId is required");
+        return;
+    }
+
+    try {
+        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id);
+        const history = historyCollection(docRef);
+
+        const outcome = await db.runTransaction(async (tx) => {
+            const anchor = await tx.get(history.doc(entryId));
+            if (!anchor.exists) return { status: "missing" as const };
+
+            const later = await tx.get(history.where("at", ">", anchor.data()?.at).orderBy("at", "asc").limit(MAX_RESTORE_ENTRIES + 1));
+            if (later.size > MAX_RESTORE_ENTRIES) return { status: "too-far" as const };
+            const snap = await tx.get(docRef);
+            const data = snap.data();
+
+            // The oldest change after the anchor holds each field's value as of
+            // the anchor. Banned words are tracked per word, by presence; on a
+            // channel with rules, by the presence of the word's rule.
+            const migrated = hasBannedWordRules(data);
+            const targets = new Map<string, { key: string; value: unknown; byPresence?: boolean }>();
+            for (const doc of later.docs) {
+                const entry = doc.data() as HistoryChange;
+                if (entry.key === "bannedWords" && migrated) {
+                    const word = bannedWordOf(entry);
+                    const key = bannedWordRuleKey(data, word);
+                    if (!targets.has(key)) targets.set(key, { key, value: entry.oldValue === null ? null : legacyRule(word), byPresence: true });
+                    continue;
+                }
+                const id = entry.key === "bannedWords" ? `bannedWords:${bannedWordOf(entry)}` : entry.key;
+                if (!targets.has(id)) targets.set(id, { key: entry.key, value: entry.oldValue ?? null });
+            }
+
+            const update: Record<string, unknown> = {};
+            const changes: HistoryChange[] = [];
+            const words = new Set<string>(data?.bannedWords || []);
+            let wordsChanged = false;
+            const ruleUpdates: Record<string, unknown> = {};
+            for (const [id, { key, value, byPresence }] of targets) {
+                if (key === "bannedWords") {
+                    const word = id.slice("bannedWords:".length);
+                    const wanted = value !== null;
+                    if (words.has(word) === wanted) continue;
+                    if (wanted) words.add(word);
+                    else words.delete(word);
+                    wordsChanged = true;
+                    changes.push({ key, oldValue: wanted ? null : word, newValue: wanted ? word : null });
+                    continue;
+                }
+                const current = readHistoryKey(data, key);
+                if (sameValue(current, value)) continue;
+                if (byPresence && (current === null) === (value === null)) continue;
+                if (key.startsWith("bannedWordRules.")) ruleUpdates[key] = value;
+                // Nested maps from several entries of the same field combine here
+                // so the document is written once.
+                for (const [field, fieldValue] of Object.entries(restoreUpdate(key, value))) {
+                    update[field] = typeof fieldValue === "object" && fieldValue !== null && typeof update[field] === "object" ?
+                        { ...(update[field] as object), ...(fieldValue as object) } :
+                        fieldValue;
+                }
+                changes.push({ key, oldValue: current, newValue: value });
+            }
+            // The whole array is written rather than arrayUnion/arrayRemove, which
+            // cannot both apply to one field in a single write.
+            if (wordsChanged) update.bannedWords = [...words];
+            if (Object.keys(ruleUpdates).length > 0) update.bannedWords = botBannedWordsAfter(data, ruleUpdates);
+
+            if (changes.length === 0) return { status: "ok" as const, count: 0 };
+            tx.set(docRef, update, { merge: true });
+            recordHistory(tx, docRef, historyActor(req.user), "restore", changes, { restoreTo: entryId });
+            return { status: "ok" as const, count: changes.length };
+        });
+
+        if (outcome.status === "missing") {
+            errorResponse(res, 404, "History entry not found");
+            return;
+        }
+        if (outcome.status === "too-far") {
+            errorResponse(res, 400, `More than ${MAX_RESTORE_ENTRIES} changes were made since then. Choose a more recent point.`);
+            return;
+        }
+
+        logger.info({ channelName, entryId, changeCount: outcome.count }, "Restored settings to a point in time");
+        res.json({ success: true, changes: outcome.count });
+    } catch (error) {
+        logger.error({ error, channelName, entryId }, "Error restoring settings");
+        errorResponse(res, 500, "Failed to restore settings");
+    }
+}) as RequestHandler);
+
+// ==========================================
+// TTS USAGE
+// ==========================================
+//
+// Characters synthesized by /api/tts/test for the channel; see services/usage.ts.
+
+// GET /tts/usage/channel/:channelName?days=30 - Daily totals, oldest first,
+// with this month's total against the budget and the top providers, voices
+// and users over the days shown
+router.get("/tts/usage/channel/:channelName", authenticateApiRequest, requireChannelRole("viewer-only"), (async (req: ChannelRequest, res: Response): Promise<void> => {
+    const { channelName } = req.params;
+    const requested = parseInt(String(req.query.days ?? USAGE_LIMITS.DEFAULT_DAYS), 10);
+    const count = Number.isFinite(requested) ? Math.min(Math.max(requested, 1), USAGE_LIMITS.MAX_DAYS) : USAGE_LIMITS.DEFAULT_DAYS;
+
+    try {
+        const now = Date.now();
+        const days = recentDays(now, count);
+        const month = usageMonth(now);
+        const [dayDocs, [monthDoc], configSnap] = await Promise.all([
+            readUsage("channel", req.channel.id, days),
+            readUsage("channel", req.channel.id, [month]),
+            db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id).get(),
+        ]);
+        const ownBudget = configSnap.data()?.monthlyCharacterBudget;
+
+        res.json({
+            days: days.map((day, i) => ({ day, ...readUsageTotals(dayDocs[i]) })),
+            month: {
+                month,
+                ...readUsageTotals(monthDoc),
+                budget: effectiveBudget(config.TTS_CHANNEL_MONTHLY_CHAR_BUDGET, ownBudget),
+                operatorBudget: effectiveBudget(config.TTS_CHANNEL_MONTHLY_CHAR_BUDGET),
+                ownBudget: typeof ownBudget === "number" && ownBudget > 0 ? ownBudget : null,
+                resetsAt: monthResetsAt(now).toISOString(),
+            },
+            ...sumBreakdowns(dayDocs),
+        });
+    } catch (error) {
+        logger.error({ error, channelName }, "Error fetching TTS usage");
+        errorResponse(res, 500, "Failed to fetch TTS usage");
+    }
+}) as RequestHandler);
+
 // ==========================================
 // TTS IGNORE LIST MANAGEMENT
 // ==========================================
@@ -153,13 +639,13 @@ router.put("/tts/settings/channel/:channelName", authenticateApiRequest, authori
 // readable to render. The bot writes the same map; see src/lib/ignoreList.js in
 // the tts-twitch repo for the format, mirrored here in services/ignoreEntries.ts.
 //
-// Everything added through here is moderator-imposed: authorizeChannelAccess
-// requires req.user.userLogin to equal the channel name, so the caller is always
-// the broadcaster acting on someone else. That is what stops the target lifting
-// it themselves from the viewer settings page.
+// Everything added through here is moderator-imposed: the caller is the
+// broadcaster or someone they granted at least the moderator role, acting on
+// someone else. That is what stops the target lifting it themselves from the
+// viewer settings page.
 
 // POST /tts/ignore/channel/:channelName - Add user to ignore list
-router.post("/tts/ignore/channel/:channelName", authenticateApiRequest, authorizeChannelAccess, (async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.post("/tts/ignore/channel/:channelName", authenticateApiRequest, requireChannelRole("moderator"), (async (req: ChannelRequest, res: Response): Promise<void> => {
     const { channelName } = req.params;
     const { username } = req.body;
 
@@ -184,18 +670,22 @@ router.post("/tts/ignore/channel/:channelName", authenticateApiRequest, authoriz
             return;
         }
 
-        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.user.userId);
-        // merge:true deep-merges nested maps key by key, so this touches only
-        // the one entry and leaves the rest of the list alone.
-        await docRef.set({
-            ignoredUserIds: {
-                [`twitch:${account.id}`]: buildIgnoreEntry({
-                    label: account.displayName,
-                    source: IGNORE_SOURCE_MODERATOR,
-                    by: `twitch:${req.user.userId}`,
-                }),
-            },
-        }, { merge: true });
+        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id);
+        const entryKey = `twitch:${account.id}`;
+        const entry = buildIgnoreEntry({
+            label: account.displayName,
+            source: IGNORE_SOURCE_MODERATOR,
+            by: `twitch:${req.user.userId}`,
+        });
+        await db.runTransaction(async (tx) => {
+            const snap = await tx.get(docRef);
+            // merge:true deep-merges nested maps key by key, so this touches only
+            // the one entry and leaves the rest of the list alone.
+            tx.set(docRef, { ignoredUserIds: { [entryKey]: entry } }, { merge: true });
+            recordHistory(tx, docRef, historyActor(req.user), "ignore", [
+                { key: `ignoredUserIds.${entryKey}`, oldValue: readHistoryKey(snap.data(), `ignoredUserIds.${entryKey}`), newValue: entry },
+            ]);
+        });
 
         logger.info({ channelName, userId: account.id, username: account.login }, "Added user to TTS ignore list");
         res.json({
@@ -210,7 +700,7 @@ router.post("/tts/ignore/channel/:channelName", authenticateApiRequest, authoriz
 }) as RequestHandler);
 
 // DELETE /tts/ignore/channel/:channelName - Remove user from ignore list
-router.delete("/tts/ignore/channel/:channelName", authenticateApiRequest, authorizeChannelAccess, (async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.delete("/tts/ignore/channel/:channelName", authenticateApiRequest, requireChannelRole("moderator"), (async (req: ChannelRequest, res: Response): Promise<void> => {
     const { channelName } = req.params;
     const { key } = req.body;
 
@@ -220,10 +710,19 @@ router.delete("/tts/ignore/channel/:channelName", authenticateApiRequest, author
     }
 
     try {
-        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.user.userId);
-        // FieldPath segments are taken literally. A dotted string would be parsed
-        // as a path instead, and these keys contain a colon separator.
-        await docRef.update(new FieldPath("ignoredUserIds", key), FieldValue.delete());
+        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id);
+        await db.runTransaction(async (tx) => {
+            const snap = await tx.get(docRef);
+            const previous = readHistoryKey(snap.data(), `ignoredUserIds.${key}`);
+            // FieldPath segments are taken literally. A dotted string would be parsed
+            // as a path instead, and these keys contain a colon separator.
+            tx.update(docRef, new FieldPath("ignoredUserIds", key), FieldValue.delete());
+            if (previous !== null) {
+                recordHistory(tx, docRef, historyActor(req.user), "ignore", [
+                    { key: `ignoredUserIds.${key}`, oldValue: previous, newValue: null },
+                ]);
+            }
+        });
 
         logger.info({ channelName, key }, "Removed user from TTS ignore list");
         res.json({ success: true, message: "User removed from ignore list" });
@@ -241,39 +740,232 @@ router.delete("/tts/ignore/channel/:channelName", authenticateApiRequest, author
 // ==========================================
 // TTS BANNED WORDS MANAGEMENT
 // ==========================================
+//
+// Rules live in the bannedWordRules map; see services/bannedWordRules.ts for
+// the rule format. Every edit first moves any legacy bannedWords strings into
+// the map, in the same transaction, so a channel is migrated the first time
+// anyone touches its list. Every edit also rewrites bannedWords as the bot's
+// copy of the rules, since the tts-twitch bot still filters on that array.
 
-// POST /tts/banned-words/channel/:channelName - Add word to banned list
-router.post("/tts/banned-words/channel/:channelName", authenticateApiRequest, authorizeChannelAccess, (async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+/**
+ * The write and history entries that move a channel's legacy banned words
+ * into the rules map.
+ * @param data - The stored document data
+ * @return The rules to merge and the changes to record; both empty when nothing is left to move
+ */
+function legacyBannedWordWrite(data: FirebaseFirestore.DocumentData | undefined): { rules: Record<string, BannedWordRule>; changes: HistoryChange[] } {
+    const { rules } = legacyMigration(data);
+    return {
+        rules,
+        changes: Object.entries(rules).map(([id, rule]) => ({ key: `bannedWordRules.${id}`, oldValue: null, newValue: rule })),
+    };
+}
+
+/**
+ * Queue a banned-word edit on a transaction, folding in the legacy move.
+ * @param tx - The transaction
+ * @param docRef - The channel config document
+ * @param data - The document data read in this transaction
+ * @param user - The acting user
+ * @param user.userId - Twitch user ID
+ * @param user.userLogin - Twitch login
+ * @param rules - Rule ID to new rule, or null to delete it
+ */
+function writeBannedWordRules(
+    tx: FirebaseFirestore.Transaction,
+    docRef: FirebaseFirestore.DocumentReference,
+    data: FirebaseFirestore.DocumentData | undefined,
+    user: { userId: string; userLogin: string },
+    rules: Record<string, BannedWordRule | null>,
+): void {
+    const migration = legacyBannedWordWrite(data);
+    const migrated = migration.rules;
+    // History compares against the document as it stands after the move, so a
+    // legacy word that is edited in the same request reads as a rule already.
+    const afterMove = { ...data, bannedWordRules: { ...(data?.bannedWordRules || {}), ...migrated } };
+
+    const entries: Record<string, unknown> = { ...migrated };
+    const updates: Record<string, unknown> = {};
+    for (const [id, rule] of Object.entries(rules)) {
+        entries[id] = rule === null ? FieldValue.delete() : rule;
+        updates[`bannedWordRules.${id}`] = rule;
+    }
+
+    tx.set(docRef, { bannedWordRules: entries, bannedWords: botBannedWordsAfter(afterMove, updates) }, { merge: true });
+    recordHistory(tx, docRef, historyActor(user), "banned-words", [
+        ...migration.changes,
+        ...changesForUpdates(afterMove, updates),
+    ]);
+}
+
+/**
+ * The rule a request body describes. Older dashboard builds send a bare
+ * { word }, which means a whole-word rule that drops the message.
+ * @param body - The request body
+ * @return The validated rule, or the reason it was rejected
+ */
+function ruleFromBody(body: Record<string, unknown> | undefined): RuleValidation {
+    if (body?.rule === undefined && typeof body?.word === "string") {
+        return validateBannedWordRule({ pattern: body.word });
+    }
+    return validateBannedWordRule(body?.rule);
+}
+
+// GET /tts/banned-words/channel/:channelName - List rules, legacy words included
+router.get("/tts/banned-words/channel/:channelName", authenticateApiRequest, requireChannelRole("viewer-only"), (async (req: ChannelRequest, res: Response): Promise<void> => {
     const { channelName } = req.params;
-    const { word } = req.body;
 
-    if (!word || typeof word !== "string") {
-        errorResponse(res, 400, "Word or phrase is required");
-        return;
+    try {
+        const doc = await db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id).get();
+        res.json({ success: true, rules: readBannedWordRules(doc.exists ? doc.data() : undefined) });
+    } catch (error) {
+        logger.error({ error, channelName }, "Error listing banned word rules");
+        errorResponse(res, 500, "Failed to list banned words");
     }
+}) as RequestHandler);
 
-    const normalizedWord = word.toLowerCase().trim();
-    if (!normalizedWord) {
-        errorResponse(res, 400, "Invalid word or phrase");
+// POST /tts/banned-words/channel/:channelName - Add a rule
+//
+// A rule with the same type and pattern as an existing one updates that rule
+// instead, so adding a word twice is harmless.
+router.post("/tts/banned-words/channel/:channelName", authenticateApiRequest, requireChannelRole("moderator"), (async (req: ChannelRequest, res: Response): Promise<void> => {
+    const { channelName } = req.params;
+
+    const parsed = ruleFromBody(req.body);
+    if (!parsed.ok) {
+        errorResponse(res, 400, parsed.reason);
         return;
     }
+    const { rule } = parsed;
 
     try {
-        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.user.userId);
-        await docRef.set({ bannedWords: FieldValue.arrayUnion(normalizedWord) }, { merge: true });
+        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id);
+        const id = await db.runTransaction(async (tx) => {
+            const snap = await tx.get(docRef);
+            const existing = readBannedWordRules(snap.data());
+            const same = existing.find((r) => r.type === rule.type && r.pattern === rule.pattern);
+            if (!same && existing.length >= BANNED_WORD_LIMITS.MAX_RULES) return null;
+
+            const ruleId = same?.id ?? newRuleId();
+            writeBannedWordRules(tx, docRef, snap.data(), req.user, { [ruleId]: rule });
+            return ruleId;
+        });
+        if (!id) {
+            errorResponse(res, 400, `Limit of ${BANNED_WORD_LIMITS.MAX_RULES} banned word rules reached. Remove one first.`);
+            return;
+        }
 
-        logger.info({ channelName, word: normalizedWord }, "Added word to TTS banned list");
-        res.json({ success: true, message: "Word added to banned list" });
+        logger.info({ channelName, ruleId: id, type: rule.type, action: rule.action }, "Added TTS banned word rule");
+        res.json({ success: true, message: "Word added to banned list", rule: { id, ...rule } });
     } catch (error) {
-        logger.error({ error, channelName, word }, "Error adding word to banned list");
+        logger.error({ error, channelName }, "Error adding banned word rule");
         errorResponse(res, 500, "Failed to add word to banned list");
     }
 }) as RequestHandler);
 
-// DELETE /tts/banned-words/channel/:channelName - Remove word from banned list
-router.delete("/tts/banned-words/channel/:channelName", authenticateApiRequest, authorizeChannelAccess, (async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+// POST /tts/banned-words/channel/:channelName/test - Try a rule before saving it
+router.post("/tts/banned-words/channel/:channelName/test", authenticateApiRequest, requireChannelRole("moderator"), (async (req: ChannelRequest, res: Response): Promise<void> => {
+    const { text } = req.body ?? {};
+
+    const parsed = ruleFromBody(req.body);
+    if (!parsed.ok) {
+        errorResponse(res, 400, parsed.reason);
+        return;
+    }
+    if (typeof text !== "string" || !text.trim()) {
+        errorResponse(res, 400, "Sample message is required");
+        return;
+    }
+    if (text.length > PREVIEW_MAX_LENGTH) {
+        errorResponse(res, 400, `Sample message must be ${PREVIEW_MAX_LENGTH} characters or fewer`);
+        return;
+    }
+
+    const outcome = applyBannedWordRules(text.trim(), [parsed.rule]);
+    res.json({
+        success: true,
+        matched: outcome.dropped !== null || outcome.rewritten > 0,
+        dropped: outcome.dropped !== null,
+        result: outcome.dropped ? null : outcome.text,
+    });
+}) as RequestHandler);
+
+// PUT /tts/banned-words/channel/:channelName/:ruleId - Edit a rule
+router.put("/tts/banned-words/channel/:channelName/:ruleId", authenticateApiRequest, requireChannelRole("moderator"), (async (req: ChannelRequest, res: Response): Promise<void> => {
+    const { channelName, ruleId } = req.params;
+
+    const parsed = validateBannedWordRule(req.body?.rule);
+    if (!parsed.ok) {
+        errorResponse(res, 400, parsed.reason);
+        return;
+    }
+    const { rule } = parsed;
+
+    try {
+        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id);
+        const outcome = await db.runTransaction(async (tx) => {
+            const snap = await tx.get(docRef);
+            const existing = readBannedWordRules(snap.data());
+            if (!existing.some((r) => r.id === ruleId)) return "missing" as const;
+            if (existing.some((r) => r.id !== ruleId && r.type === rule.type && r.pattern === rule.pattern)) {
+                return "duplicate" as const;
+            }
+            writeBannedWordRules(tx, docRef, snap.data(), req.user, { [ruleId]: rule });
+            return "saved" as const;
+        });
+        if (outcome === "missing") {
+            errorResponse(res, 404, "Banned word rule not found");
+            return;
+        }
+        if (outcome === "duplicate") {
+            errorResponse(res, 409, "Another rule already matches this pattern the same way");
+            return;
+        }
+
+        logger.info({ channelName, ruleId, type: rule.type, action: rule.action }, "Updated TTS banned word rule");
+        res.json({ success: true, message: "Banned word rule saved", rule: { id: ruleId, ...rule } });
+    } catch (error) {
+        logger.error({ error, channelName, ruleId }, "Error updating banned word rule");
+        errorResponse(res, 500, "Failed to save banned word rule");
+    }
+}) as RequestHandler);
+
+/**
+ * Remove banned-word rules inside a transaction.
+ * @param req - The request, for the channel and acting user
+ * @param pick - Chooses the rules to remove from the current list
+ * @return How many rules were removed
+ */
+async function removeBannedWordRules(req: ChannelRequest, pick: (rule: StoredBannedWordRule) => boolean): Promise<number> {
+    const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id);
+    return db.runTransaction(async (tx) => {
+        const snap = await tx.get(docRef);
+        const doomed = readBannedWordRules(snap.data()).filter(pick);
+        if (doomed.length > 0) {
+            writeBannedWordRules(tx, docRef, snap.data(), req.user, Object.fromEntries(doomed.map((r) => [r.id, null])));
+        }
+        return doomed.length;
+    });
+}
+
+// DELETE /tts/banned-words/channel/:channelName/:ruleId - Remove a rule
+router.delete("/tts/banned-words/channel/:channelName/:ruleId", authenticateApiRequest, requireChannelRole("moderator"), (async (req: ChannelRequest, res: Response): Promise<void> => {
+    const { channelName, ruleId } = req.params;
+
+    try {
+        await removeBannedWordRules(req, (rule) => rule.id === ruleId);
+        logger.info({ channelName, ruleId }, "Removed TTS banned word rule");
+        res.json({ success: true, message: "Word removed from banned list" });
+    } catch (error) {
+        logger.error({ error, channelName, ruleId }, "Error removing banned word rule");
+        errorResponse(res, 500, "Failed to remove word from banned list");
+    }
+}) as RequestHandler);
+
+// DELETE /tts/banned-words/channel/:channelName - Remove a word (older dashboard builds)
+router.delete("/tts/banned-words/channel/:channelName", authenticateApiRequest, requireChannelRole("moderator"), (async (req: ChannelRequest, res: Response): Promise<void> => {
     const { channelName } = req.params;
-    const { word } = req.body;
+    const { word } = req.body ?? {};
 
     if (!word || typeof word !== "string") {
         errorResponse(res, 400, "Word or phrase is required");
@@ -287,9 +979,7 @@ router.delete("/tts/banned-words/channel/:channelName", authenticateApiRequest,
     }
 
     try {
-        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.user.userId);
-        await docRef.set({ bannedWords: FieldValue.arrayRemove(normalizedWord) }, { merge: true });
-
+        await removeBannedWordRules(req, (rule) => rule.type === "whole-word" && rule.pattern === normalizedWord);
         logger.info({ channelName, word: normalizedWord }, "Removed word from TTS banned list");
         res.json({ success: true, message: "Word removed from banned list" });
     } catch (error) {
@@ -308,8 +998,126 @@ router.delete("/tts/banned-words/channel/:channelName", authenticateApiRequest,
 // delete, cannot read-before-write to enforce the entry cap, and can only
 // report "Invalid setting: <key>" where a form needs an actionable message.
 
+// GET /tts/pronunciations/channel/:channelName - Entries and the built-ins they sit on
+router.get("/tts/pronunciations/channel/:channelName", authenticateApiRequest, requireChannelRole("viewer-only"), (async (req: ChannelRequest, res: Response): Promise<void> => {
+    const { channelName } = req.params;
+
+    try {
+        const doc = await db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id).get();
+        const data = doc.exists ? doc.data() : undefined;
+        res.json({
+            success: true,
+            pronunciations: data?.pronunciations || {},
+            defaults: ttsConfig.PRONUNCIATION_DEFAULTS,
+            disabledDefaults: readDisabledDefaults(data),
+        });
+    } catch (error) {
+        logger.error({ error, channelName }, "Error listing TTS pronunciations");
+        errorResponse(res, 500, "Failed to list pronunciations");
+    }
+}) as RequestHandler);
+
+// PUT /tts/pronunciations/channel/:channelName/defaults/:match - Switch a built-in on or off
+//
+// Switching one back on also clears an empty custom entry of that name, which
+// is how the bot's chat command switches a built-in off; left in place it would
+// keep the built-in silent.
+router.put("/tts/pronunciations/channel/:channelName/defaults/:match", authenticateApiRequest, requireChannelRole("moderator"), (async (req: ChannelRequest, res: Response): Promise<void> => {
+    const { channelName } = req.params;
+    const { enabled } = req.body ?? {};
+
+    const match = normalizeMatchKey(req.params.match);
+    if (!match || pronunciationDefault(match) === null) {
+        errorResponse(res, 400, "Not a built-in pronunciation");
+        return;
+    }
+    if (typeof enabled !== "boolean") {
+        errorResponse(res, 400, "enabled must be a boolean");
+        return;
+    }
+
+    try {
+        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id);
+        await db.runTransaction(async (tx) => {
+            const snap = await tx.get(docRef);
+            const data = snap.data();
+            const clearEmpty = enabled && readHistoryKey(data, `pronunciations.${match}`) === "";
+            const changes = changesForUpdates(data, {
+                [`disabledPronunciationDefaults.${match}`]: enabled ? null : true,
+                ...(clearEmpty ? { [`pronunciations.${match}`]: null } : {}),
+            });
+            if (changes.length === 0) return;
+
+            const write: Record<string, unknown> = {
+                disabledPronunciationDefaults: { [match]: enabled ? FieldValue.delete() : true },
+            };
+            if (clearEmpty) write.pronunciations = { [match]: FieldValue.delete() };
+            tx.set(docRef, write, { merge: true });
+            recordHistory(tx, docRef, historyActor(req.user), "pronunciations", changes);
+        });
+
+        logger.info({ channelName, match, enabled }, "Toggled built-in TTS pronunciation");
+        res.json({ success: true, match, enabled });
+    } catch (error) {
+        logger.error({ error, channelName, match }, "Error toggling built-in TTS pronunciation");
+        errorResponse(res, 500, "Failed to update built-in pronunciation");
+    }
+}) as RequestHandler);
+
+// POST /tts/pronunciations/channel/:channelName/import - Add many entries at once
+//
+// Takes pasted CSV/TSV text or a JSON map and reports what happened to every
+// row. Bad rows are reported rather than failing the batch, so a long paste
+// with one typo still lands the rest. Existing entries with a different value
+// are left alone unless overwrite is set.
+router.post("/tts/pronunciations/channel/:channelName/import", authenticateApiRequest, requireChannelRole("moderator"), (async (req: ChannelRequest, res: Response): Promise<void> => {
+    const { channelName } = req.params;
+    const { data, overwrite = false, dryRun = false } = req.body ?? {};
+
+    if (typeof overwrite !== "boolean" || typeof dryRun !== "boolean") {
+        errorResponse(res, 400, "overwrite and dryRun must be booleans");
+        return;
+    }
+
+    const parsed = parsePronunciationImport(data);
+    if (!parsed.ok) {
+        errorResponse(res, 400, parsed.reason);
+        return;
+    }
+
+    try {
+        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id);
+
+        const plan = await db.runTransaction(async (tx) => {
+            const snap = await tx.get(docRef);
+            const existing = (snap.exists ? snap.data()?.pronunciations : null) || {};
+            const planned = planPronunciationImport(existing, parsed.rows, overwrite);
+            const entries = Object.entries(planned.updates);
+            if (!dryRun && entries.length > 0) {
+                tx.set(docRef, { pronunciations: planned.updates }, { merge: true });
+                recordHistory(tx, docRef, historyActor(req.user), "pronunciations", changesForUpdates(snap.data(),
+                    Object.fromEntries(entries.map(([match, say]) => [`pronunciations.${match}`, say]))));
+            }
+            return planned;
+        });
+
+        const summary: Partial<Record<PronunciationImportStatus, number>> = {};
+        for (const result of plan.results) {
+            summary[result.status] = (summary[result.status] || 0) + 1;
+        }
+
+        if (!dryRun) {
+            logger.info({ channelName, summary }, "Imported TTS pronunciations");
+        }
+        res.json({ success: true, dryRun, summary, results: plan.results });
+    } catch (error) {
+        logger.error({ error, channelName }, "Error importing TTS pronunciations");
+        errorResponse(res, 500, "Failed to import pronunciations");
+    }
+}) as RequestHandler);
+
 // POST /tts/pronunciations/channel/:channelName - Add or update an entry
-router.post("/tts/pronunciations/channel/:channelName", authenticateApiRequest, authorizeChannelAccess, (async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.post("/tts/pronunciations/channel/:channelName", authenticateApiRequest, requireChannelRole("moderator"), (async (req: ChannelRequest, res: Response): Promise<void> => {
     const { channelName } = req.params;
     const { match, say } = req.body;
 
@@ -326,23 +1134,32 @@ router.post("/tts/pronunciations/channel/:channelName", authenticateApiRequest,
     }
 
     try {
-        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.user.userId);
-
-        // The cap counts stored entries, so updating an existing key is always
-        // allowed even at the limit. hasOwn rather than `in`, which also sees
-        // Object.prototype members: "constructor" is a legal match key and would
-        // otherwise look like an existing entry and skip the cap check.
-        const snap = await docRef.get();
-        const existing = (snap.exists ? snap.data()?.pronunciations : null) || {};
-        const isNew = !Object.hasOwn(existing, normalizedMatch);
-        if (isNew && Object.keys(existing).length >= PRONUNCIATION_LIMITS.MAX_CUSTOM_ENTRIES) {
+        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id);
+
+        const saved = await db.runTransaction(async (tx) => {
+            // The cap counts stored entries, so updating an existing key is always
+            // allowed even at the limit. hasOwn rather than `in`, which also sees
+            // Object.prototype members: "constructor" is a legal match key and would
+            // otherwise look like an existing entry and skip the cap check.
+            const snap = await tx.get(docRef);
+            const existing = (snap.exists ? snap.data()?.pronunciations : null) || {};
+            const isNew = !Object.hasOwn(existing, normalizedMatch);
+            if (isNew && Object.keys(existing).length >= PRONUNCIATION_LIMITS.MAX_CUSTOM_ENTRIES) {
+                return false;
+            }
+
+            // merge:true deep-merges nested maps, so this touches only this key.
+            tx.set(docRef, { pronunciations: { [normalizedMatch]: normalizedSay.value } }, { merge: true });
+            recordHistory(tx, docRef, historyActor(req.user), "pronunciations", changesForUpdates(snap.data(), {
+                [`pronunciations.${normalizedMatch}`]: normalizedSay.value,
+            }));
+            return true;
+        });
+        if (!saved) {
             errorResponse(res, 400, `Limit of ${PRONUNCIATION_LIMITS.MAX_CUSTOM_ENTRIES} custom pronunciations reached. Remove one first.`);
             return;
         }
 
-        // merge:true deep-merges nested maps, so this touches only this key.
-        await docRef.set({ pronunciations: { [normalizedMatch]: normalizedSay.value } }, { merge: true });
-
         logger.info({ channelName, match: normalizedMatch }, "Set TTS pronunciation");
         res.json({ success: true, message: "Pronunciation saved", match: normalizedMatch, say: normalizedSay.value });
     } catch (error) {
@@ -352,7 +1169,7 @@ router.post("/tts/pronunciations/channel/:channelName", authenticateApiRequest,
 }) as RequestHandler);
 
 // DELETE /tts/pronunciations/channel/:channelName - Remove an entry
-router.delete("/tts/pronunciations/channel/:channelName", authenticateApiRequest, authorizeChannelAccess, (async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.delete("/tts/pronunciations/channel/:channelName", authenticateApiRequest, requireChannelRole("moderator"), (async (req: ChannelRequest, res: Response): Promise<void> => {
     const { channelName } = req.params;
     const { match } = req.body;
 
@@ -363,10 +1180,19 @@ router.delete("/tts/pronunciations/channel/:channelName", authenticateApiRequest
     }
 
     try {
-        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.user.userId);
-        // FieldPath segments are literal. A dotted string would be parsed, so a
-        // key containing a space or hyphen would need backtick quoting.
-        await docRef.update(new FieldPath("pronunciations", normalizedMatch), FieldValue.delete());
+        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id);
+        await db.runTransaction(async (tx) => {
+            const snap = await tx.get(docRef);
+            const previous = readHistoryKey(snap.data(), `pronunciations.${normalizedMatch}`);
+            // FieldPath segments are literal. A dotted string would be parsed, so a
+            // key containing a space or hyphen would need backtick quoting.
+            tx.update(docRef, new FieldPath("pronunciations", normalizedMatch), FieldValue.delete());
+            if (previous !== null) {
+                recordHistory(tx, docRef, historyActor(req.user), "pronunciations", [
+                    { key: `pronunciations.${normalizedMatch}`, oldValue: previous, newValue: null },
+                ]);
+            }
+        });
 
         logger.info({ channelName, match: normalizedMatch }, "Removed TTS pronunciation");
         res.json({ success: true, message: "Pronunciation removed" });
@@ -381,4 +1207,200 @@ router.delete("/tts/pronunciations/channel/:channelName", authenticateApiRequest
     }
 }) as RequestHandler);
 
+// ==========================================
+// VOICE ASSIGNMENTS
+// ==========================================
+//
+// Signature voices the channel gives particular chatters. Keyed by account ID
+// like the ignore list; see services/voiceAssignments.ts for the stored shape.
+
+// GET /tts/voice-assignments/channel/:channelName - List assignments
+router.get("/tts/voice-assignments/channel/:channelName", authenticateApiRequest, requireChannelRole("viewer-only"), (async (req: ChannelRequest, res: Response): Promise<void> => {
+    const { channelName } = req.params;
+
+    try {
+        const doc = await db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id).get();
+        const assignments = readVoiceAssignments(doc.exists ? doc.data() : undefined)
+            .map(({ key, label, voiceId, pitch, speed, emotion, overrideViewer }) =>
+                ({ key, label, voiceId, pitch, speed, emotion, overrideViewer }));
+        res.json({ success: true, assignments });
+    } catch (error) {
+        logger.error({ error, channelName }, "Error listing voice assignments");
+        errorResponse(res, 500, "Failed to list voice assignments");
+    }
+}) as RequestHandler);
+
+// POST /tts/voice-assignments/channel/:channelName - Assign a voice to a chatter
+//
+// Assigning to someone who already has a voice replaces it, so the form does
+// not need to know whether the row exists.
+router.post("/tts/voice-assignments/channel/:channelName", authenticateApiRequest, requireChannelRole("editor"), (async (req: ChannelRequest, res: Response): Promise<void> => {
+    const { channelName } = req.params;
+    const { username, assignment } = req.body ?? {};
+
+    const normalizedUsername = typeof username === "string" ? username.toLowerCase().trim().replace(/^@/, "") : "";
+    if (!normalizedUsername) {
+        errorResponse(res, 400, "Username is required");
+        return;
+    }
+    const validation = validateVoiceAssignment(assignment);
+    if (!validation.ok) {
+        errorResponse(res, 400, validation.reason);
+        return;
+    }
+
+    try {
+        const account = await getUserByUsername(normalizedUsername, secrets);
+        if (!account) {
+            errorResponse(res, 404, `No Twitch account named "${normalizedUsername}" exists`);
+            return;
+        }
+
+        const key = `twitch:${account.id}`;
+        const entry = buildVoiceAssignment(validation.settings, account.displayName, `twitch:${req.user.userId}`);
+        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id);
+        const result = await db.runTransaction(async (tx) => {
+            const snap = await tx.get(docRef);
+            const data = snap.data();
+            const existing = getVoiceAssignment(data, key);
+            if (!existing && readVoiceAssignments(data).length >= VOICE_ASSIGNMENT_LIMITS.MAX_ASSIGNMENTS) {
+                return { full: true };
+            }
+            tx.set(docRef, { voiceAssignments: { [key]: entry } }, { merge: true });
+            recordHistory(tx, docRef, historyActor(req.user), "voice-assignments", [
+                { key: `voiceAssignments.${key}`, oldValue: readHistoryKey(data, `voiceAssignments.${key}`), newValue: entry },
+            ]);
+            return { full: false };
+        });
+
+        if (result.full) {
+            errorResponse(res, 400, `A channel can assign at most ${VOICE_ASSIGNMENT_LIMITS.MAX_ASSIGNMENTS} voices`);
+            return;
+        }
+
+        logger.info({ channelName, userId: account.id }, "Assigned a voice to a chatter");
+        res.json({ success: true, assignment: { key, label: entry.label, ...validation.settings } });
+    } catch (error) {
+        logger.error({ error, channelName, username }, "Error assigning voice");
+        errorResponse(res, 500, "Failed to assign voice");
+    }
+}) as RequestHandler);
+
+// PUT /tts/voice-assignments/channel/:channelName/:key - Change an assignment
+router.put("/tts/voice-assignments/channel/:channelName/:key", authenticateApiRequest, requireChannelRole("editor"), (async (req: ChannelRequest, res: Response): Promise<void> => {
+    const { channelName, key } = req.params;
+    const validation = validateVoiceAssignment(req.body?.assignment);
+    if (!validation.ok) {
+        errorResponse(res, 400, validation.reason);
+        return;
+    }
+
+    try {
+        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id);
+        const saved = await db.runTransaction(async (tx) => {
+            const snap = await tx.get(docRef);
+            const data = snap.data();
+            const existing = getVoiceAssignment(data, key);
+            if (!existing) return null;
+            const entry = buildVoiceAssignment(validation.settings, existing.label, `twitch:${req.user.userId}`);
+            tx.set(docRef, { voiceAssignments: { [key]: entry } }, { merge: true });
+            recordHistory(tx, docRef, historyActor(req.user), "voice-assignments", [
+                { key: `voiceAssignments.${key}`, oldValue: readHistoryKey(data, `voiceAssignments.${key}`), newValue: entry },
+            ]);
+            return entry;
+        });
+
+        if (!saved) {
+            errorResponse(res, 404, "Voice assignment not found");
+            return;
+        }
+
+        logger.info({ channelName, key }, "Updated voice assignment");
+        res.json({ success: true, assignment: { key, label: saved.label, ...validation.settings } });
+    } catch (error) {
+        logger.error({ error, channelName, key }, "Error updating voice assignment");
+        errorResponse(res, 500, "Failed to update voice assignment");
+    }
+}) as RequestHandler);
+
+// DELETE /tts/voice-assignments/channel/:channelName/:key - Remove an assignment
+router.delete("/tts/voice-assignments/channel/:channelName/:key", authenticateApiRequest, requireChannelRole("editor"), (async (req: ChannelRequest, res: Response): Promise<void> => {
+    const { channelName, key } = req.params;
+
+    try {
+        const docRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id);
+        await db.runTransaction(async (tx) => {
+            const snap = await tx.get(docRef);
+            const previous = readHistoryKey(snap.data(), `voiceAssignments.${key}`);
+            if (previous === null) return;
+            // The key holds a colon, so it goes in as a literal FieldPath segment.
+            tx.update(docRef, new FieldPath("voiceAssignments", key), FieldValue.delete());
+            recordHistory(tx, docRef, historyActor(req.user), "voice-assignments", [
+                { key: `voiceAssignments.${key}`, oldValue: previous, newValue: null },
+            ]);
+        });
+
+        logger.info({ channelName, key }, "Removed voice assignment");
+        res.json({ success: true, message: "Voice assignment removed" });
+    } catch (error) {
+        logger.error({ error, channelName, key }, "Error removing voice assignment");
+        errorResponse(res, 500, "Failed to remove voice assignment");
+    }
+}) as RequestHandler);
+
+// ==========================================
+// MESSAGE PREVIEW
+// ==========================================
+
+// POST /tts/preview/channel/:channelName - What TTS would say for a message
+// Body: { text, emotes?, source?, tierId? } - a channel points message is
+// checked against the tier given, else the first, as a redemption would be.
+router.post("/tts/preview/channel/:channelName", authenticateApiRequest, requireChannelRole("viewer-only"), (async (req: ChannelRequest, res: Response): Promise<void> => {
+    const { channelName } = req.params;
+    const { text, emotes, source, tierId } = req.body ?? {};
+
+    if (typeof text !== "string") {
+        errorResponse(res, 400, "Message text is required");
+        return;
+    }
+    if (text.length > PREVIEW_MAX_LENGTH) {
+        errorResponse(res, 400, `Message must be ${PREVIEW_MAX_LENGTH} characters or fewer`);
+        return;
+    }
+    if (emotes !== undefined && (!Array.isArray(emotes) || emotes.some((e) => typeof e !== "string"))) {
+        errorResponse(res, 400, "Emotes must be a list of emote names");
+        return;
+    }
+    if (source !== undefined && source !== "chat" && source !== "channel-points") {
+        errorResponse(res, 400, "Source must be chat or channel-points");
+        return;
+    }
+    if (tierId !== undefined && (typeof tierId !== "string" || source !== "channel-points")) {
+        errorResponse(res, 400, "A reward tier applies only to a channel-points message");
+        return;
+    }
+
+    try {
+        const doc = await db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(req.channel.id).get();
+        const data = doc.exists ? doc.data() : undefined;
+        if (source !== "channel-points") {
+            res.json({ success: true, ...evaluateText(text, data, { emotes }) });
+            return;
+        }
+
+        const tiers = readRewardTiers(data);
+        const tier = tierId ? tiers.find((t) => t.id === tierId) : tiers[0];
+        if (tierId && !tier) {
+            errorResponse(res, 404, "Reward tier not found");
+            return;
+        }
+        const pick = tier?.voiceMode === "pick" ? parseVoicePick(text, RELEASED_VOICES) : null;
+        const result = evaluateText(pick ? pick.text : text, data, { contentPolicy: tier?.contentPolicy || {}, emotes });
+        res.json({ success: true, ...result, ...(pick ? { voiceId: pick.voiceId } : {}) });
+    } catch (error) {
+        logger.error({ error, channelName }, "Error previewing TTS message");
+        errorResponse(res, 500, "Failed to preview message");
+    }
+}) as RequestHandler);
+
 export default router;
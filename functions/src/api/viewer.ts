@@ -5,11 +5,24 @@
 import express, { Request, Response, Router } from "express";
 import { db, COLLECTIONS, FieldValue, FieldPath } from "../services/firestore";
 import { validateSpeed, validatePitch, validateEmotion, validateLanguageBoost, normalizeEmotion } from "../services/utils";
-import { loadGlobalUserPreferences, ViewerPreferences } from "../services/preferences";
+import {
+  loadGlobalUserPreferences,
+  loadPreferenceLayers,
+  resolvePreferences,
+  getChannelIdFromName,
+  PreferenceLayers,
+  PreferenceSource,
+  ViewerPreferences,
+  PREFERENCE_FIELDS,
+} from "../services/preferences";
+import { getVoiceAssignment } from "../services/voiceAssignments";
+import { readVoicePolicy, allowedVoiceIds, policyViolation, PolicyField } from "../services/voicePolicy";
 import { RELEASED_VOICES } from "../services/voice-list";
 import { authenticateApiRequest, assertAuthenticated } from "../middleware/auth";
 import { logger } from "../logger";
 import { getIgnoreEntry, buildIgnoreEntry, canSelfUnignore, IGNORE_SOURCE_SELF } from "../services/ignoreEntries";
+import { historyActor, recordHistory } from "../services/settingsHistory";
+import { readVoicePicks, setFavoriteVoice, recordRecentVoice, VoicePicks, VoicePicksChange } from "../services/voicePicks";
 
 const VOICE_IDS = new Set(RELEASED_VOICES);
 
@@ -23,25 +36,24 @@ interface PreferencesUpdate {
   speed?: number | null;
   emotion?: string | null;
   language?: string | null;
-  englishNormalization?: boolean;
+  englishNormalization?: boolean | null;
   emoteMode?: string | null;
 }
 
 const VALID_EMOTE_MODES = ["read", "skip", "describe"];
 
-
-async function getChannelIdFromName(channelName: string): Promise<string | null> {
-  try {
-    const snapshot = await db.collection(COLLECTIONS.MANAGED_CHANNELS)
-      .where('channelName', '==', channelName.toLowerCase())
-      .limit(1)
-      .get();
-    if (snapshot.empty) return null;
-    return snapshot.docs[0].data().twitchUserId || snapshot.docs[0].id;
-  } catch (error) {
-    logger.error({ error, channelName }, "Error resolving channel name to ID");
-    return null;
+/**
+ * Map stored preference fields to the names the viewer page uses
+ * (languageBoost is "language" there). Unset fields come back as null.
+ * @param prefs - Preferences with stored field names
+ * @return The same values keyed the way the page expects
+ */
+function toUiPreferences(prefs: ViewerPreferences): Record<string, unknown> {
+  const ui: Record<string, unknown> = {};
+  for (const field of PREFERENCE_FIELDS) {
+    ui[field === "languageBoost" ? "language" : field] = prefs[field] ?? null;
   }
+  return ui;
 }
 
 function validateAndBuildUpdateData(
@@ -98,7 +110,7 @@ function validateAndBuildUpdateData(
     }
   }
   if (updates.englishNormalization !== undefined) {
-    updateData.englishNormalization = !!updates.englishNormalization;
+    updateData.englishNormalization = updates.englishNormalization === null ? null : !!updates.englishNormalization;
   }
   if (updates.emoteMode !== undefined) {
     if (updates.emoteMode === null || VALID_EMOTE_MODES.includes(updates.emoteMode)) {
@@ -145,13 +157,34 @@ router.get("/preferences/:channel", authenticateApiRequest, async (req: Request,
       return;
     }
 
-    // Load GLOBAL user preferences
-    let globalPrefs: ViewerPreferences = {};
+    // The viewer's global preferences and their overrides for this channel
+    let layers: PreferenceLayers = { global: {}, channel: {} };
     try {
-      globalPrefs = await loadGlobalUserPreferences(req.user.userId, username);
+      layers = await loadPreferenceLayers(req.user.userId, username, channelId);
     } catch (e) {
       const err = e as Error;
-      log.warn({ error: err.message }, "Failed to load global user prefs");
+      log.warn({ error: err.message }, "Failed to load user prefs");
+    }
+
+    const channelDefaults: ViewerPreferences = {
+      voiceId: channelData.voiceId || null,
+      pitch: channelData.pitch !== undefined ? channelData.pitch : null,
+      speed: channelData.speed !== undefined ? channelData.speed : null,
+      emotion: channelData.emotion || null,
+      languageBoost: channelData.languageBoost || null,
+      englishNormalization: channelData.englishNormalization,
+      emoteMode: channelData.emoteMode || null,
+    };
+    // The top-level fields are what the viewer has chosen for this channel,
+    // with the channel's defaults reported separately as before; `sources`
+    // says which layer each value in effect comes from.
+    const chosen = resolvePreferences(layers, {});
+    const assignment = getVoiceAssignment(channelData, `twitch:${req.user.userId}`);
+    const voicePolicy = readVoicePolicy(channelData);
+    const inEffect = resolvePreferences(layers, channelDefaults, { assignment, policy: voicePolicy });
+    const sources: Record<string, PreferenceSource> = {};
+    for (const field of PREFERENCE_FIELDS) {
+      sources[field === "languageBoost" ? "language" : field] = inEffect.sources[field];
     }
 
     // Check if user is ignored, by immutable user ID rather than by login.
@@ -161,15 +194,14 @@ router.get("/preferences/:channel", authenticateApiRequest, async (req: Request,
     const ttsIgnored = ttsEntry !== null;
 
 
-    // Map global prefs to UI schema (languageBoost -> language)
+    // Map prefs to UI schema (languageBoost -> language)
     const responseBody = {
-      voiceId: globalPrefs.voiceId ?? null,
-      pitch: (globalPrefs.pitch !== undefined) ? globalPrefs.pitch : null,
-      speed: (globalPrefs.speed !== undefined) ? globalPrefs.speed : null,
-      emotion: globalPrefs.emotion ?? null,
-      language: globalPrefs.languageBoost ?? null,
-      englishNormalization: (globalPrefs.englishNormalization !== undefined) ? globalPrefs.englishNormalization : undefined,
-      emoteMode: globalPrefs.emoteMode ?? null,
+      ...toUiPreferences(chosen.values),
+      globalPreferences: toUiPreferences(layers.global),
+      channelOverrides: toUiPreferences(layers.channel),
+      sources,
+      // Fields where the channel's voice policy set aside the viewer's choice
+      restricted: inEffect.restricted,
       ignoreStatus: {
         tts: ttsIgnored,
         ttsSource: ttsEntry?.source ?? null,
@@ -178,16 +210,10 @@ router.get("/preferences/:channel", authenticateApiRequest, async (req: Request,
       channelExists: true,
       channelPolicy: {
         allowViewerPreferences: channelData.allowViewerPreferences !== false,
+        voicePolicy,
+        allowedVoices: allowedVoiceIds(voicePolicy),
       },
-      channelDefaults: {
-        voiceId: channelData.voiceId || null,
-        pitch: channelData.pitch !== undefined ? channelData.pitch : null,
-        speed: channelData.speed !== undefined ? channelData.speed : null,
-        emotion: channelData.emotion || null,
-        language: channelData.languageBoost || null,
-        englishNormalization: channelData.englishNormalization,
-        emoteMode: channelData.emoteMode || null,
-      },
+      channelDefaults: toUiPreferences(channelDefaults),
     };
 
     log.info("Preferences retrieved");
@@ -199,7 +225,10 @@ router.get("/preferences/:channel", authenticateApiRequest, async (req: Request,
   }
 });
 
-// Route: /api/viewer/preferences/:channel - Update viewer preferences for a specific channel
+// Route: /api/viewer/preferences/:channel - Override viewer preferences for one channel
+//
+// Writes only this channel's overrides. A null value removes that override,
+// so the field falls back to the viewer's global preference again.
 router.put("/preferences/:channel", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
   const { channel } = req.params;
   assertAuthenticated(req);
@@ -231,10 +260,25 @@ router.put("/preferences/:channel", authenticateApiRequest, async (req: Request,
     const updateData = validateAndBuildUpdateData(updates, res);
     if (!updateData) return;
 
-    // Update global user preferences using User ID
-    await db.collection(COLLECTIONS.TTS_USER_PREFS).doc(req.user.userId).set(updateData, { merge: true });
+    // An override the channel's policy would set aside is refused up front,
+    // rather than stored and silently ignored.
+    const voicePolicy = readVoicePolicy(channelDoc.data());
+    for (const field of ["voiceId", "pitch", "speed", "emotion"] as PolicyField[]) {
+      const reason = policyViolation(voicePolicy, field, updateData[field]);
+      if (reason) {
+        res.status(400).json({ error: reason });
+        return;
+      }
+    }
 
-    log.info("Preferences updated");
+    const overrides: Record<string, unknown> = {};
+    for (const [field, value] of Object.entries(updateData)) {
+      overrides[field] = value === null ? FieldValue.delete() : value;
+    }
+    await db.collection(COLLECTIONS.TTS_USER_PREFS).doc(req.user.userId)
+      .set({ channelOverrides: { [channelId]: overrides } }, { merge: true });
+
+    log.info("Channel preferences updated");
     res.json({ success: true, message: "Preferences updated successfully" });
   } catch (error) {
     const err = error as Error;
@@ -243,6 +287,33 @@ router.put("/preferences/:channel", authenticateApiRequest, async (req: Request,
   }
 });
 
+// Route: /api/viewer/preferences/:channel - Reset every override for a channel
+router.delete("/preferences/:channel", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
+  const { channel } = req.params;
+  assertAuthenticated(req);
+
+  const username = req.user.userLogin;
+  const log = logger.child({ endpoint: "/api/viewer/preferences/:channel", channel, username });
+
+  try {
+    const channelId = await getChannelIdFromName(channel);
+    if (!channelId) {
+      res.status(404).json({ error: "Channel not found" });
+      return;
+    }
+
+    await db.collection(COLLECTIONS.TTS_USER_PREFS).doc(req.user.userId)
+      .set({ channelOverrides: { [channelId]: FieldValue.delete() } }, { merge: true });
+
+    log.info("Channel preferences reset to global");
+    res.json({ success: true, message: "Preferences reset to your global settings" });
+  } catch (error) {
+    const err = error as Error;
+    log.error({ error: err.message }, "Error resetting channel preferences");
+    res.status(500).json({ error: "Failed to reset preferences" });
+  }
+});
+
 // Route: /api/viewer/preferences - Get global viewer preferences
 router.get("/preferences", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
   assertAuthenticated(req);
@@ -261,15 +332,7 @@ router.get("/preferences", authenticateApiRequest, async (req: Request, res: Res
     }
 
     // Map internal fields to UI schema
-    const responseBody = {
-      voiceId: globalPrefs.voiceId ?? null,
-      pitch: (globalPrefs.pitch !== undefined) ? globalPrefs.pitch : null,
-      speed: (globalPrefs.speed !== undefined) ? globalPrefs.speed : null,
-      emotion: globalPrefs.emotion ?? null,
-      language: globalPrefs.languageBoost ?? null,
-      englishNormalization: (globalPrefs.englishNormalization !== undefined) ? globalPrefs.englishNormalization : undefined,
-      emoteMode: globalPrefs.emoteMode ?? null,
-    };
+    const responseBody = toUiPreferences(globalPrefs);
 
     log.info("Global preferences retrieved");
     res.json(responseBody);
@@ -306,6 +369,71 @@ router.put("/preferences", authenticateApiRequest, async (req: Request, res: Res
   }
 });
 
+/**
+ * Apply a change to the signed-in user's favorite and recent voices and send
+ * back the resulting lists.
+ * @param req - The authenticated request
+ * @param res - The response
+ * @param change - Works out the new lists from the stored ones
+ */
+async function changeVoicePicks(
+  req: Request,
+  res: Response,
+  change: (picks: VoicePicks) => VoicePicksChange
+): Promise<void> {
+  assertAuthenticated(req);
+  const log = logger.child({ endpoint: "/api/viewer/voice-picks", username: req.user.userLogin });
+
+  try {
+    const ref = db.collection(COLLECTIONS.VOICE_PICKS).doc(req.user.userId);
+    const outcome = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      const result = change(readVoicePicks(doc.data()));
+      if (result.ok) tx.set(ref, result.picks);
+      return result;
+    });
+    if (!outcome.ok) {
+      res.status(400).json({ error: outcome.reason });
+      return;
+    }
+    res.json({ success: true, ...outcome.picks });
+  } catch (error) {
+    const err = error as Error;
+    log.error({ error: err.message }, "Error updating voice picks");
+    res.status(500).json({ error: "Failed to update voice picks" });
+  }
+}
+
+// Route: /api/viewer/voice-picks - Get the user's favorite and recent voices
+router.get("/voice-picks", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
+  assertAuthenticated(req);
+  const log = logger.child({ endpoint: "/api/viewer/voice-picks", username: req.user.userLogin });
+
+  try {
+    const doc = await db.collection(COLLECTIONS.VOICE_PICKS).doc(req.user.userId).get();
+    res.json({ success: true, ...readVoicePicks(doc.data()) });
+  } catch (error) {
+    const err = error as Error;
+    log.error({ error: err.message }, "Error retrieving voice picks");
+    res.status(500).json({ error: "Failed to retrieve voice picks" });
+  }
+});
+
+// Route: /api/viewer/voice-picks/favorites/:voiceId - Star a voice
+router.put("/voice-picks/favorites/:voiceId", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
+  await changeVoicePicks(req, res, (picks) => setFavoriteVoice(picks, String(req.params.voiceId), true));
+});
+
+// Route: /api/viewer/voice-picks/favorites/:voiceId - Unstar a voice
+router.delete("/voice-picks/favorites/:voiceId", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
+  await changeVoicePicks(req, res, (picks) => setFavoriteVoice(picks, String(req.params.voiceId), false));
+});
+
+// Route: /api/viewer/voice-picks/recent - Note a voice the user just picked
+router.post("/voice-picks/recent", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
+  await changeVoicePicks(req, res, (picks) => recordRecentVoice(picks, String(req.body?.voiceId ?? "")));
+});
+
 // Route: /api/viewer/ignore/tts/:channel - Toggle TTS ignore status
 router.post("/ignore/tts/:channel", authenticateApiRequest, async (req: Request, res: Response): Promise<void> => {
   const { channel } = req.params;
@@ -325,54 +453,72 @@ router.post("/ignore/tts/:channel", authenticateApiRequest, async (req: Request,
       return;
     }
     const channelDocRef = db.collection(COLLECTIONS.TTS_CHANNEL_CONFIGS).doc(channelId);
+    // The viewer is authenticated, so their immutable user ID is already in hand —
+    // no Helix lookup needed to key their own entry.
+    const entryKey = `twitch:${req.user.userId}`;
+    const actor = historyActor(req.user);
+
+    // Read and write in one transaction so the provenance check below is made
+    // against the entry that is actually replaced, and the change is recorded
+    // in the channel's settings history alongside it.
+    const outcome = await db.runTransaction(async (tx) => {
+      const channelDoc = await tx.get(channelDocRef);
+      if (!channelDoc.exists) return { status: "no-channel" as const };
+
+      const channelData = channelDoc.data();
+      if (!channelData) return { status: "no-data" as const };
+
+      const existing = getIgnoreEntry(channelData.ignoredUserIds, entryKey);
+      if (existing && !canSelfUnignore(existing)) {
+        return { status: "moderator-imposed" as const, source: existing.source };
+      }
+
+      if (existing) {
+        // Their own opt-out, so they may lift it.
+        tx.update(channelDocRef, new FieldPath("ignoredUserIds", entryKey), FieldValue.delete());
+        recordHistory(tx, channelDocRef, actor, "viewer-ignore", [
+          { key: `ignoredUserIds.${entryKey}`, oldValue: channelData.ignoredUserIds[entryKey], newValue: null },
+        ]);
+        return { status: "removed" as const };
+      }
 
-    const channelDoc = await channelDocRef.get();
-
-    if (!channelDoc.exists) {
+      // Add to ignore list, recorded as self-imposed so it stays reversible.
+      const entry = buildIgnoreEntry({ label: username, source: IGNORE_SOURCE_SELF, by: entryKey });
+      tx.set(channelDocRef, { ignoredUserIds: { [entryKey]: entry } }, { merge: true });
+      recordHistory(tx, channelDocRef, actor, "viewer-ignore", [
+        { key: `ignoredUserIds.${entryKey}`, oldValue: null, newValue: entry },
+      ]);
+      return { status: "added" as const };
+    });
+
+    switch (outcome.status) {
+    case "no-channel":
       res.status(404).json({ error: "Channel not found" });
       return;
-    }
-
-    const channelData = channelDoc.data();
-    if (!channelData) {
+    case "no-data":
       res.status(404).json({ error: "Channel data not found" });
       return;
-    }
-
-    // The viewer is authenticated, so their immutable user ID is already in hand —
-    // no Helix lookup needed to key their own entry.
-    const entryKey = `twitch:${req.user.userId}`;
-    const existing = getIgnoreEntry(channelData.ignoredUserIds, entryKey);
-
-    if (existing && !canSelfUnignore(existing)) {
+    case "moderator-imposed":
       // A moderator put them here, so they do not get to leave. This endpoint used
       // to delete whatever it found, which made a moderator's mute one authenticated
       // request away from being cleared by the account it was aimed at — the
       // disabled checkbox in the UI was the only thing standing in the way.
       // Legacy string entries land here too: unknown provenance is never lifted.
-      log.info({ source: existing.source }, "Refused self-undo of a moderator-imposed ignore");
+      log.info({ source: outcome.source }, "Refused self-undo of a moderator-imposed ignore");
       res.status(403).json({
         error: "A channel moderator opted you out of TTS here, so only a moderator can undo it.",
         reason: "moderator_imposed",
         ignored: true,
       });
       return;
-    }
-
-    if (existing) {
-      // Their own opt-out, so they may lift it.
-      await channelDocRef.update(new FieldPath("ignoredUserIds", entryKey), FieldValue.delete());
+    case "removed":
       log.info("Removed user from TTS ignore list");
       res.json({ success: true, ignored: false, message: "Removed from TTS ignore list" });
-    } else {
-      // Add to ignore list, recorded as self-imposed so it stays reversible.
-      await channelDocRef.set({
-        ignoredUserIds: {
-          [entryKey]: buildIgnoreEntry({ label: username, source: IGNORE_SOURCE_SELF, by: entryKey }),
-        },
-      }, { merge: true });
+      return;
+    case "added":
       log.info("Added user to TTS ignore list");
       res.json({ success: true, ignored: true, message: "Added to TTS ignore list" });
+      return;
     }
   } catch (error) {
     const err = error as Error;
@@ -8,6 +8,7 @@ import jwt from "jsonwebtoken";
 import { secrets, config } from "../config";
 import { db, COLLECTIONS, FieldValue } from "../services/firestore";
 import { validateTwitchToken } from "../services/twitch";
+import { listGrantsHeld } from "../services/channelRoles";
 import { logger, redactSensitive } from "../logger";
 import { issueState, consumeState, OAuthStatePayload } from "./state";
 import { createExchangeCode, redeemExchangeCode, EXCHANGE_CODE_PATTERN } from "./exchange";
@@ -357,6 +358,15 @@ router.get("/twitch/callback", async (req: Request, res: Response): Promise<void
         // Allow-list gate: only pre-approved channels (admin-created docs) can log in.
         const existingDoc = await userDocRef.get();
         if (!existingDoc.exists) {
+          // An account a broadcaster granted a role to may sign in to help run
+          // that channel. Their own is still not approved, so nothing of theirs
+          // is stored and no bot is set up for it.
+          const grants = await listGrantsHeld(twitchUser.id);
+          if (grants.length > 0) {
+            logger.info({ userLogin: twitchUser.login, channels: grants.map((grant) => grant.broadcasterLogin) },
+              "Signing in delegate of another channel");
+            return res.redirect(frontendAuthCompleteUrl.toString());
+          }
           logger.warn({ userLogin: twitchUser.login, userId: twitchUser.id },
             "Channel not approved — no managedChannels document");
           return redirectToFrontendWithError(res,
@@ -6,6 +6,8 @@
  * (mounted from Secret Manager at deploy time) for zero API costs and faster startup.
  */
 
+import os from "os";
+import path from "path";
 import { SecretManagerServiceClient } from "@google-cloud/secret-manager";
 import { createLogger } from "./logger";
 
@@ -31,6 +33,14 @@ interface Config {
   GCLOUD_PROJECT: string | undefined;
   TWITCH_BOT_USERNAME: string;
   TTS_BOT_URL: string;
+  /** Comma-separated provider order for /api/tts/test, e.g. "302ai,wavespeed" or "mock". */
+  TTS_PROVIDERS: string;
+  /** Where cached test audio is kept in emulator mode. */
+  TTS_CACHE_DIR: string;
+  /** Synthesized test characters a month for each channel; 0 for no cap. */
+  TTS_CHANNEL_MONTHLY_CHAR_BUDGET: number;
+  /** Synthesized test characters a month for each user; 0 for no cap. */
+  TTS_USER_MONTHLY_CHAR_BUDGET: number;
 }
 
 // Load secrets directly from environment variables (mounted from Secret Manager)
@@ -51,6 +61,10 @@ const config: Config = {
   GCLOUD_PROJECT: process.env.GCLOUD_PROJECT,
   TWITCH_BOT_USERNAME: process.env.TWITCH_BOT_USERNAME || "",
   TTS_BOT_URL: process.env.TTS_BOT_URL || "https://chatvibes-tts-service-h7kj56ct4q-uc.a.run.app",
+  TTS_PROVIDERS: process.env.TTS_PROVIDERS || "302ai,wavespeed",
+  TTS_CACHE_DIR: process.env.TTS_CACHE_DIR || path.join(os.tmpdir(), "chatvibes-tts-cache"),
+  TTS_CHANNEL_MONTHLY_CHAR_BUDGET: Number(process.env.TTS_CHANNEL_MONTHLY_CHAR_BUDGET) || 0,
+  TTS_USER_MONTHLY_CHAR_BUDGET: Number(process.env.TTS_USER_MONTHLY_CHAR_BUDGET) || 0,
 };
 
 // For local dev/emulator, provide defaults if secrets are not set
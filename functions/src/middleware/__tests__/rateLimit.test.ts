@@ -0,0 +1,66 @@
+import express from "express";
+import request from "supertest";
+import { obsVerifyLimiter, ttsTestChannelLimiter, RATE_LIMITS } from "../rateLimit";
+
+describe("Rate limiting - obsVerifyLimiter", () => {
+  // The limiters keep counters in memory under the emulator, which jest.setup.js sets.
+  const app = express();
+  app.set("trust proxy", 1);
+  app.use(express.json());
+  app.post("/verify", obsVerifyLimiter, (_req, res) => {
+    res.json({ success: true, valid: false });
+  });
+
+  const check = (ip: string, channel: string) => request(app)
+    .post("/verify")
+    .set("X-Forwarded-For", ip)
+    .send({ channel, token: "guess" });
+
+  it("should not let one address use up another's checks for a channel", async () => {
+    for (let i = 0; i < RATE_LIMITS.obsVerify.limit; i++) {
+      await check("203.0.113.7", "streamer").expect(200);
+    }
+    await check("203.0.113.7", "streamer").expect(429);
+
+    await check("198.51.100.20", "streamer").expect(200);
+    await check("203.0.113.7", "otherstreamer").expect(200);
+  });
+});
+
+describe("Rate limiting - ttsTestChannelLimiter", () => {
+  // Stands in for authenticateApiRequest and the route's channel check, which
+  // vouches for viewers of "streamer" only.
+  const app = express();
+  app.use(express.json());
+  app.post("/test", (req, res, next) => {
+    const userId = String(req.headers["x-user"]);
+    (req as any).user = { userId };
+    if (req.body.channel === "streamer" && userId.startsWith("viewer")) res.locals.quotaChannelId = "chan-1";
+    next();
+  }, ttsTestChannelLimiter, (_req, res) => {
+    res.json({ success: true });
+  });
+
+  const test = (userId: string, channel: string) => request(app)
+    .post("/test")
+    .set("X-User", userId)
+    .send({ channel });
+
+  it("should not let a caller the channel does not vouch for spend its quota", async () => {
+    for (let i = 0; i < RATE_LIMITS.ttsTestChannel.limit; i++) {
+      await test("outsider", "streamer").expect(200);
+    }
+    await test("outsider", "streamer").expect(429);
+
+    await test("viewer-1", "streamer").expect(200);
+    await test("outsider-2", "streamer").expect(200);
+  });
+
+  it("should share the quota among the callers the channel vouches for", async () => {
+    // viewer-1 spent one of the channel's tests above.
+    for (let i = 0; i < RATE_LIMITS.ttsTestChannel.limit - 1; i++) {
+      await test(`viewer-${i % 5}`, "streamer").expect(200);
+    }
+    await test("viewer-9", "streamer").expect(429);
+  });
+});
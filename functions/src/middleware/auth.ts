@@ -5,6 +5,7 @@
 import jwt from "jsonwebtoken";
 import { logger } from "../logger";
 import { secrets } from "../config";
+import { findGrant, roleAtLeast, ChannelRole } from "../services/channelRoles";
 import type { Request, Response, NextFunction } from "express";
 
 // Define the JWT payload structure
@@ -23,11 +24,19 @@ interface AuthenticatedUser {
   scope?: string;
 }
 
+// The channel a request acts on, and the caller's role there
+interface ChannelAccess {
+  id: string;
+  login: string;
+  role: ChannelRole;
+}
+
 // Extend Express Request to include authenticated user
 declare global {
   namespace Express {
     interface Request {
       user?: AuthenticatedUser;
+      channel?: ChannelAccess;
     }
   }
 }
@@ -90,6 +99,12 @@ export function assertAuthenticated(req: Request): asserts req is Request & { us
   }
 }
 
+export function assertChannelAccess(req: Request): asserts req is Request & { user: AuthenticatedUser; channel: ChannelAccess } {
+  if (!req.user || !req.channel) {
+    throw new Error("No channel resolved - should never reach here post-middleware");
+  }
+}
+
 export interface AuthenticatedRequest extends Request {
   user: AuthenticatedUser;
 }
@@ -111,13 +126,59 @@ const authorizeChannelAccess = (req: Request, res: Response, next: NextFunction)
   next();
 };
 
+export interface ChannelRequest extends AuthenticatedRequest {
+  channel: ChannelAccess;
+}
+
+/**
+ * Middleware factory that resolves the channel a request acts on and checks the
+ * caller's role there. The channel is the :channelName param, else the
+ * ?channel query (for the rewards and OBS routes, which predate delegation),
+ * else the caller's own. The owner is always "broadcaster"; anyone else needs a
+ * grant from them. On success sets req.channel, whose id is the config
+ * document to use in place of req.user.userId.
+ * Must be placed after authenticateApiRequest in the middleware chain.
+ * @param required - Minimum role the route needs
+ * @return The middleware
+ */
+const requireChannelRole = (required: ChannelRole) => async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  if (!req.user) {
+    res.status(401).json({ success: false, message: "Unauthorized: Token not found." });
+    return;
+  }
+  const query = typeof req.query?.channel === "string" ? req.query.channel : undefined;
+  const channelName = (req.params.channelName || query || req.user.userLogin).toLowerCase();
+
+  if (channelName === req.user.userLogin.toLowerCase()) {
+    req.channel = { id: req.user.userId, login: channelName, role: "broadcaster" };
+    next();
+    return;
+  }
+
+  try {
+    const grant = await findGrant(channelName, req.user.userId);
+    if (!grant || !roleAtLeast(grant.role, required)) {
+      res.status(403).json({ error: "Unauthorized access to channel settings" });
+      return;
+    }
+    req.channel = { id: grant.broadcasterId, login: grant.broadcasterLogin, role: grant.role };
+    next();
+  } catch (error) {
+    const err = error as Error;
+    logger.error({ channelName, userLogin: req.user.userLogin, error: err.message }, "Channel role lookup failed");
+    res.status(500).json({ error: "Failed to check channel access" });
+  }
+};
+
 export {
   authenticateApiRequest,
   authorizeChannelAccess,
+  requireChannelRole,
 };
 
 export type {
   JwtPayload,
   AuthenticatedUser,
+  ChannelAccess,
 };
 
@@ -1,53 +1,166 @@
 /**
  * Rate limiting middleware
  * Protects API endpoints from abuse
+ *
+ * Every quota is in RATE_LIMITS. Per-user and per-channel counters live in
+ * Firestore so that all instances share them. The coarse per-IP limits that
+ * every /api and /auth request passes stay in each instance's memory: a
+ * Firestore transaction on every request costs more than they are worth. The
+ * emulator and tests keep all counters in memory.
+ *
+ * A refused request gets a 429 with `{ success: false, error, retryAfter }`,
+ * and every limited response carries the RateLimit-Limit, RateLimit-Remaining
+ * and RateLimit-Reset headers, plus Retry-After when refused. The frontend's
+ * fetchWithAuth turns those into "try again in N seconds".
  */
 
-import rateLimit, { type Options } from "express-rate-limit";
+import { Request, Response } from "express";
+import rateLimit, { ipKeyGenerator, MemoryStore, type Options, type RateLimitInfo, type Store } from "express-rate-limit";
+import { isEmulator } from "../config";
+import { FirestoreRateLimitStore } from "../services/rateLimitStore";
 
-// Default IP-based key generator that handles IPv6 normalization correctly.
+/**
+ * Who a quota counts against. "ip-channel" is one client's requests about one
+ * channel. "channel" needs the route to vouch for the channel first, see
+ * KEY_GENERATORS.
+ */
+type QuotaScope = "ip" | "user" | "channel" | "ip-channel";
+
+interface Quota {
+    windowMs: number;
+    limit: number;
+    scope: QuotaScope;
+    message: string;
+}
+
+export const RATE_LIMITS = {
+    // Keyed by IP, and these routes carry no credential to brute-force — they
+    // build a Twitch redirect and exchange a single-use code. The old limit of
+    // 20 locked out everyone sharing a NAT (offices, dorms, carrier CGNAT).
+    auth: {
+        windowMs: 15 * 60 * 1000,
+        limit: 60,
+        scope: "ip",
+        message: "Too many authentication attempts, please try again later.",
+    },
+    api: {
+        windowMs: 15 * 60 * 1000,
+        limit: 100,
+        scope: "ip",
+        message: "Too many requests, please try again later.",
+    },
+    ttsTest: {
+        windowMs: 60 * 1000,
+        limit: 30,
+        scope: "user",
+        message: "Too many TTS test requests, please wait a moment.",
+    },
+    // Everyone testing voices for one channel together, e.g. a whole chat
+    // following a link the broadcaster posted. Only callers the channel lets
+    // test share it; anyone else naming the channel has a quota of their own.
+    ttsTestChannel: {
+        windowMs: 60 * 1000,
+        limit: 120,
+        scope: "channel",
+        message: "This channel's viewers are testing a lot of voices right now, please wait a moment.",
+    },
+    // Browser sources checking their token, which the TTS service relays for
+    // every channel from the same few addresses. The route needs no sign-in, so
+    // the quota is per address as well as per channel: otherwise anyone could
+    // spend a channel's checks and lock its browser source out.
+    obsVerify: {
+        windowMs: 60 * 1000,
+        limit: 120,
+        scope: "ip-channel",
+        message: "Too many browser source checks for this channel, please wait a moment.",
+    },
+} satisfies Record<string, Quota>;
+
+// IP-based key, with IPv6 addresses grouped by subnet so a client cannot
+// dodge its quota by rotating through its /64.
 // Used as fallback when no authenticated user ID is available.
-const defaultIpKey: Options["keyGenerator"] = (req, _res) => req.ip ?? "unknown";
+const defaultIpKey: Options["keyGenerator"] = (req, _res) => ipKeyGenerator(req.ip ?? "unknown");
+
+/**
+ * The channel a request is about: the :channelName route parameter, or the
+ * `channel` the body names.
+ * @param {Request} req - The request
+ * @return {string | null} The channel login, lowercased
+ */
+function channelOf(req: Request): string | null {
+    const channel = req.params?.channelName ?? req.body?.channel;
+    return typeof channel === "string" && channel ? channel.toLowerCase() : null;
+}
+
+// Needs authenticateApiRequest ahead of it; without a user it falls back
+// to the IP, which behind Firebase's proxy is shared by many users.
+const userKey = (req: Request): string => req.user?.userId ?? ipKeyGenerator(req.ip ?? "unknown");
+
+const KEY_GENERATORS: Record<QuotaScope, Options["keyGenerator"]> = {
+    ip: defaultIpKey,
+    user: (req) => userKey(req as Request),
+    // The channel the route ahead of the limiter put in res.locals.quotaChannelId
+    // once it found the caller may act for it. A channel named by anyone
+    // else counts per user, so naming a channel cannot spend its quota.
+    channel: (req, res) => res.locals.quotaChannelId ??
+        `${userKey(req as Request)}|${channelOf(req as Request) ?? ""}`,
+    "ip-channel": (req, res) => `${defaultIpKey(req, res)}|${channelOf(req as Request) ?? ""}`,
+};
+
+function createStore(name: string, scope: QuotaScope): Store {
+    return isEmulator || scope === "ip" ? new MemoryStore() : new FirestoreRateLimitStore(name);
+}
+
+/**
+ * A limiter for one of RATE_LIMITS.
+ * @param {string} name - The quota
+ * @return {Function} The middleware
+ */
+function createLimiter(name: keyof typeof RATE_LIMITS) {
+    const quota: Quota = RATE_LIMITS[name];
+    return rateLimit({
+        windowMs: quota.windowMs,
+        limit: quota.limit,
+        standardHeaders: "draft-6",
+        legacyHeaders: false,
+        store: createStore(name, quota.scope),
+        keyGenerator: KEY_GENERATORS[quota.scope],
+        // A channel quota only applies to requests about a channel.
+        skip: quota.scope === "channel" || quota.scope === "ip-channel" ? (req) => !channelOf(req as Request) : undefined,
+        // Better to let requests through than to fail them all when Firestore hiccups.
+        passOnStoreError: true,
+        handler: (req: Request & { rateLimit?: RateLimitInfo }, res: Response) => {
+            const resetTime = req.rateLimit?.resetTime;
+            const retryAfter = resetTime ? Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000)) : Math.ceil(quota.windowMs / 1000);
+            res.status(429).json({ success: false, error: quota.message, retryAfter });
+        },
+    });
+}
 
 /**
  * Rate limiter for authentication routes (/auth/*)
  * Stricter limit to prevent brute-force attacks
  */
-export const authLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    // Keyed by IP, and these routes carry no credential to brute-force — they
-    // build a Twitch redirect and exchange a single-use code. The old limit of
-    // 20 locked out everyone sharing a NAT (offices, dorms, carrier CGNAT).
-    max: 60,
-    message: "Too many authentication attempts, please try again later.",
-    standardHeaders: true,
-    legacyHeaders: false,
-});
+export const authLimiter = createLimiter("auth");
 
 /**
  * Rate limiter for general API routes (/api/*)
  */
-export const apiLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100,
-    message: "Too many requests, please try again later.",
-    standardHeaders: true,
-    legacyHeaders: false,
-});
+export const apiLimiter = createLimiter("api");
 
 /**
  * Rate limiter for the TTS test endpoint — keyed by authenticated user ID
  * to avoid all users sharing a single IP bucket behind Firebase's proxy.
+ * Goes after authenticateApiRequest.
  */
-export const ttsTestLimiter = rateLimit({
-    windowMs: 60 * 1000, // 1 minute
-    max: 30,
-    message: "Too many TTS test requests, please wait a moment.",
-    standardHeaders: true,
-    legacyHeaders: false,
-    keyGenerator: (req, res) => {
-        const userId = (req as any).user?.userId;
-        if (userId) return userId;
-        return defaultIpKey(req, res);
-    },
-});
+export const ttsTestLimiter = createLimiter("ttsTest");
+
+/**
+ * Rate limiter for TTS tests on behalf of one channel, across all its viewers.
+ */
+export const ttsTestChannelLimiter = createLimiter("ttsTestChannel");
+
+/**
+ * Rate limiter for OBS browser source token checks, per address and channel.
+ */
+export const obsVerifyLimiter = createLimiter("obsVerify");
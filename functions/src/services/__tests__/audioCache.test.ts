@@ -0,0 +1,117 @@
+/**
+ * Unit tests for the content-addressed test audio cache
+ */
+
+import { describe, it, expect, afterEach } from '@jest/globals';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  AUDIO_CACHE_LIMITS,
+  AudioCacheStore,
+  CachedAudio,
+  createAudioCache,
+  isCacheKey,
+  loadAudio,
+  toDataUrl,
+  ttsCacheKey,
+} from '../audioCache';
+import { createLocalAudioStore } from '../audioCacheStores';
+import { TtsRequest } from '../ttsProviders';
+
+const request: TtsRequest = {
+  text: 'Hello chat', voiceId: 'Friendly_Person', emotion: null, pitch: 0, speed: 1, volume: 1, languageBoost: 'auto',
+};
+
+function memoryStore(): AudioCacheStore & { map: Map<string, CachedAudio> } {
+  const map = new Map<string, CachedAudio>();
+  return {
+    map,
+    get: async (key) => map.get(key) || null,
+    put: async (key, entry) => { map.set(key, entry); },
+    delete: async (key) => { map.delete(key); },
+    entries: async () => [...map].map(([key, entry]) => ({ key, size: entry.audio.length, createdAt: entry.createdAt })),
+  };
+}
+
+const audio = (size: number) => ({ audio: Buffer.alloc(size, 1), contentType: 'audio/mpeg', provider: 'p', model: 'm' });
+
+describe('audioCache', () => {
+  describe('ttsCacheKey', () => {
+    it('should give the value the browser computes for the same request', () => {
+      // public/js/common/voice-preview.ts hashes the same normalized values.
+      expect(ttsCacheKey(request)).toBe('cab1cdfaa4d4f58e0526d556c479feb6324407e7f5fb003bcd6e362ad3128c86');
+      expect(isCacheKey(ttsCacheKey(request))).toBe(true);
+    });
+
+    it('should ignore whitespace and float noise but not the values themselves', () => {
+      const key = ttsCacheKey(request);
+      expect(ttsCacheKey({ ...request, text: '  Hello   chat ', speed: 1.0000001 })).toBe(key);
+      expect(ttsCacheKey({ ...request, emotion: 'auto' })).toBe(key);
+      expect(ttsCacheKey({ ...request, text: 'hello chat' })).not.toBe(key);
+      expect(ttsCacheKey({ ...request, pitch: 1 })).not.toBe(key);
+      expect(ttsCacheKey({ ...request, emotion: 'happy' })).not.toBe(key);
+      expect(ttsCacheKey({ ...request, languageBoost: 'English' })).not.toBe(key);
+    });
+  });
+
+  describe('createAudioCache', () => {
+    it('should treat an entry past the TTL as a miss and remove it', async () => {
+      let now = 1000;
+      const store = memoryStore();
+      const cache = createAudioCache(store, AUDIO_CACHE_LIMITS, () => now);
+      await cache.put('a'.repeat(64), audio(10));
+      expect(await cache.get('a'.repeat(64))).not.toBeNull();
+
+      now += AUDIO_CACHE_LIMITS.TTL_MS + 1;
+      expect(await cache.get('a'.repeat(64))).toBeNull();
+      expect(store.map.size).toBe(0);
+    });
+
+    it('should refuse entries over the size limit', async () => {
+      const cache = createAudioCache(memoryStore(), { ...AUDIO_CACHE_LIMITS, MAX_ENTRY_BYTES: 5 });
+      expect(await cache.put('a'.repeat(64), audio(6))).toBe(false);
+    });
+
+    it('should evict expired entries, then the oldest, until under the byte limit', async () => {
+      let now = 0;
+      const store = memoryStore();
+      const limits = { ...AUDIO_CACHE_LIMITS, TTL_MS: 100, MAX_BYTES: 25, EVICT_INTERVAL_MS: Infinity };
+      const cache = createAudioCache(store, limits, () => now);
+      for (const key of ['a', 'b', 'c', 'd']) {
+        await cache.put(key.repeat(64), audio(10));
+        now += 40;
+      }
+
+      // a is expired; b, c and d add up to 30 bytes, so b goes as well.
+      expect(await cache.evict()).toBe(2);
+      expect([...store.map.keys()].map((key) => key[0])).toEqual(['c', 'd']);
+    });
+  });
+
+  describe('createLocalAudioStore', () => {
+    let dir: string;
+    afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+    it('should round-trip an entry through the filesystem', async () => {
+      dir = path.join(mkdtempSync(path.join(tmpdir(), 'audio-cache-')), 'nested');
+      const store = createLocalAudioStore(dir);
+      expect(await store.entries()).toEqual([]);
+
+      await store.put('a'.repeat(64), { ...audio(4), createdAt: 5 });
+      const entry = await store.get('a'.repeat(64));
+      expect(entry?.audio.equals(Buffer.alloc(4, 1))).toBe(true);
+      expect(entry?.createdAt).toBe(5);
+      expect(await store.entries()).toEqual([{ key: 'a'.repeat(64), size: 4, createdAt: 5 }]);
+
+      await store.delete('a'.repeat(64));
+      expect(await store.get('a'.repeat(64))).toBeNull();
+    });
+  });
+
+  it('should decode data: URLs and encode entries back to them', async () => {
+    const loaded = await loadAudio('data:audio/wav;base64,AQID');
+    expect(loaded).toEqual({ audio: Buffer.from([1, 2, 3]), contentType: 'audio/wav' });
+    expect(toDataUrl({ ...loaded, provider: 'mock', model: 'm', createdAt: 0 })).toBe('data:audio/wav;base64,AQID');
+  });
+});
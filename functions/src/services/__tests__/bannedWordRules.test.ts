@@ -0,0 +1,178 @@
+/**
+ * Unit tests for banned-word rules
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  validateBannedWordRule,
+  regexComplexityProblem,
+  readBannedWordRules,
+  legacyMigration,
+  hasBannedWordRules,
+  botBannedWords,
+  legacyRuleId,
+  applyBannedWordRules,
+  BannedWordRule,
+} from '../bannedWordRules';
+
+const rule = (overrides: Partial<BannedWordRule>): BannedWordRule => ({
+  type: 'whole-word',
+  pattern: 'bad',
+  action: 'drop',
+  replacement: null,
+  ...overrides,
+});
+
+describe('bannedWordRules', () => {
+  describe('validateBannedWordRule', () => {
+    it('should default to a whole-word drop and normalize the pattern', () => {
+      expect(validateBannedWordRule({ pattern: '  Bad   Phrase ' })).toEqual({
+        ok: true,
+        rule: { type: 'whole-word', pattern: 'bad phrase', action: 'drop', replacement: null },
+      });
+    });
+
+    it('should keep regex case and require a replacement for replace', () => {
+      const result = validateBannedWordRule({ type: 'regex', pattern: 'B\\w+', action: 'replace', replacement: ' beep ' });
+      expect(result).toEqual({ ok: true, rule: { type: 'regex', pattern: 'B\\w+', action: 'replace', replacement: 'beep' } });
+      expect(validateBannedWordRule({ pattern: 'x', action: 'replace' })).toEqual({ ok: false, reason: 'Replacement word is required' });
+    });
+
+    it('should drop a stray replacement for other actions', () => {
+      expect(validateBannedWordRule({ pattern: 'x', action: 'skip', replacement: 'y' })).toMatchObject({ ok: true, rule: { replacement: null } });
+    });
+
+    it('should reject unknown types and actions, invalid and empty-matching regexes', () => {
+      expect(validateBannedWordRule({ type: 'fuzzy', pattern: 'x' }).ok).toBe(false);
+      expect(validateBannedWordRule({ pattern: 'x', action: 'mute' }).ok).toBe(false);
+      expect(validateBannedWordRule({ type: 'regex', pattern: '(' })).toEqual({ ok: false, reason: 'Pattern is not a valid regular expression' });
+      expect(validateBannedWordRule({ type: 'regex', pattern: 'a*' })).toEqual({ ok: false, reason: 'Pattern must not match an empty message' });
+      expect(validateBannedWordRule({ type: 'wildcard', pattern: '**' }).ok).toBe(false);
+      expect(validateBannedWordRule({ type: 'wildcard', pattern: '*a*a*z' }).ok).toBe(false);
+      expect(validateBannedWordRule({ type: 'wildcard', pattern: '**bad**' })).toMatchObject({ ok: true, rule: { pattern: '*bad*' } });
+    });
+  });
+
+  describe('regexComplexityProblem', () => {
+    it('should accept ordinary patterns', () => {
+      expect(regexComplexityProblem('b[a@4]+d(word)?')).toBeNull();
+      expect(regexComplexityProblem('(?:foo|bar) baz\\d{1,3}')).toBeNull();
+      expect(regexComplexityProblem('[(+*]+')).toBeNull();
+    });
+
+    it('should reject nested and alternating repeats', () => {
+      expect(regexComplexityProblem('(a+)+')).toMatch(/repeats or alternates/);
+      expect(regexComplexityProblem('(?:x|xy)*')).toMatch(/repeats or alternates/);
+      expect(regexComplexityProblem('((ab)*c)+')).toMatch(/repeats or alternates/);
+    });
+
+    it('should reject backreferences, lookaround and oversized repeats', () => {
+      expect(regexComplexityProblem('(a)\\1')).toMatch(/backreferences/);
+      expect(regexComplexityProblem('a(?=b)')).toMatch(/lookahead/);
+      expect(regexComplexityProblem('a{1,500}')).toMatch(/more than 50 times/);
+      expect(regexComplexityProblem('a{2,}')).toMatch(/more than 50 times/);
+      expect(regexComplexityProblem('a?'.repeat(11))).toMatch(/more than 10 repeats/);
+    });
+
+    it('should reject open-ended repeats that share the text between them', () => {
+      expect(regexComplexityProblem('\\w*\\w*\\w*\\w*\\w*!')).toMatch(/more than one open-ended repeat/);
+      expect(regexComplexityProblem('foo\\s*bar+')).toMatch(/more than one open-ended repeat/);
+      expect(regexComplexityProblem('\\w*\\w{0,50}!')).toMatch(/combine repeats/);
+      expect(regexComplexityProblem('\\w{0,40}\\w{0,40}!')).toMatch(/combine repeats/);
+      expect(regexComplexityProblem('\\w*\\w?!')).toBeNull();
+    });
+
+    it('should not run a stored rule saved before the check', () => {
+      const slow = { type: 'regex', pattern: '\\w*\\w*\\w*\\w*\\w*!', action: 'drop', replacement: null };
+      expect(readBannedWordRules({ bannedWordRules: { slow } })).toEqual([]);
+    });
+  });
+
+  describe('legacy words', () => {
+    const data = {
+      bannedWordRules: { r1: rule({ pattern: 'stored' }), bad: { type: 'nope' } },
+      bannedWords: ['old', 'old', ''],
+    };
+
+    it('should read stored rules and legacy words as whole-word drops', () => {
+      expect(readBannedWordRules(data)).toEqual([
+        { id: 'r1', ...rule({ pattern: 'stored' }) },
+        { id: legacyRuleId('old'), ...rule({ pattern: 'old' }), legacy: true },
+      ]);
+    });
+
+    it('should move legacy words under the ID they were read with', () => {
+      expect(legacyMigration(data)).toEqual({
+        words: ['old'],
+        rules: { [legacyRuleId('old')]: rule({ pattern: 'old' }) },
+      });
+      expect(legacyMigration({ bannedWordRules: {} })).toEqual({ words: [], rules: {} });
+    });
+
+    it('should read words the rules cover as the bot\'s copy, not as legacy words', () => {
+      const mirrored = {
+        bannedWordRules: { r1: rule({ pattern: 'stored' }), r2: rule({ type: 'exact', pattern: 'sub', action: 'skip' }) },
+        bannedWords: ['stored', 'sub', 'stray'],
+      };
+      expect(readBannedWordRules(mirrored).filter((r) => r.legacy)).toEqual([
+        { id: legacyRuleId('stray'), ...rule({ pattern: 'stray' }), legacy: true },
+      ]);
+    });
+
+    it('should tell a channel with rules from one without', () => {
+      expect(hasBannedWordRules({ bannedWordRules: {} })).toBe(true);
+      expect(hasBannedWordRules({ bannedWords: ['old'] })).toBe(false);
+      expect(hasBannedWordRules(undefined)).toBe(false);
+    });
+  });
+
+  describe('botBannedWords', () => {
+    it('should list exact and whole-word patterns for the bot', () => {
+      expect(botBannedWords([
+        rule({ pattern: 'zed' }),
+        rule({ type: 'exact', pattern: 'abc', action: 'replace', replacement: 'x' }),
+        rule({ type: 'regex', pattern: 'b.d' }),
+        rule({ type: 'wildcard', pattern: 'b*d' }),
+        rule({ type: 'normalized', pattern: 'bad' }),
+        rule({ type: 'exact', pattern: 'zed' }),
+      ])).toEqual(['abc', 'zed']);
+    });
+  });
+
+  describe('applyBannedWordRules', () => {
+    it('should match exact text inside longer words', () => {
+      expect(applyBannedWordRules('so badword', [rule({ type: 'exact' })]).dropped).not.toBeNull();
+      expect(applyBannedWordRules('so badword', [rule({})]).dropped).toBeNull();
+    });
+
+    it('should expand wildcards within whole words', () => {
+      const wildcard = [rule({ type: 'wildcard', pattern: 'b?d*' })];
+      expect(applyBannedWordRules('a BADDIE', wildcard).dropped).not.toBeNull();
+      expect(applyBannedWordRules('a bd', wildcard).dropped).toBeNull();
+    });
+
+    it('should see through leetspeak, look-alikes, repeats and spacing', () => {
+      const normalized = [rule({ type: 'normalized', pattern: 'bad' })];
+      for (const text of ['B4D', 'b.a.d', 'baaaad', 'b a d', 'bаd', 'bád', 'badness']) {
+        expect(applyBannedWordRules(`so ${text}`, normalized).dropped).not.toBeNull();
+      }
+      expect(applyBannedWordRules('abad', normalized).dropped).toBeNull();
+    });
+
+    it('should skip or replace whole words and keep the rest', () => {
+      const rules = [
+        rule({ type: 'normalized', pattern: 'darn', action: 'skip' }),
+        rule({ type: 'regex', pattern: 'heck+', action: 'replace', replacement: 'gosh' }),
+      ];
+      expect(applyBannedWordRules('d4rnit what the heckkk', rules)).toEqual({ dropped: null, text: 'what the gosh', rewritten: 2 });
+    });
+
+    it('should check drop rules before rewriting', () => {
+      const rules = [
+        rule({ pattern: 'heck', action: 'replace', replacement: 'bad' }),
+        rule({ pattern: 'bad' }),
+      ];
+      expect(applyBannedWordRules('heck', rules).dropped).toBeNull();
+    });
+  });
+});
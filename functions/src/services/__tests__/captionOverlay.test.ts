@@ -0,0 +1,58 @@
+/**
+ * Unit tests for caption overlay settings
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  DEFAULT_CAPTION_OVERLAY,
+  captionsUrl,
+  readCaptionOverlay,
+  resolveCaptionOverlay,
+  validateCaptionOverlay,
+} from '../captionOverlay';
+
+describe('captionOverlay', () => {
+  it('should accept the defaults', () => {
+    expect(validateCaptionOverlay({ ...DEFAULT_CAPTION_OVERLAY })).toEqual({ ok: true, overlay: DEFAULT_CAPTION_OVERLAY });
+  });
+
+  it('should store colors in lower case', () => {
+    const result = validateCaptionOverlay({ ...DEFAULT_CAPTION_OVERLAY, textColor: '#FFAA00' });
+    expect(result.ok && result.overlay.textColor).toBe('#ffaa00');
+  });
+
+  it.each([
+    [{ ...DEFAULT_CAPTION_OVERLAY, extra: 1 }, 'Unknown overlay field: extra'],
+    [{ ...DEFAULT_CAPTION_OVERLAY, maxLines: undefined }, 'maxLines must be a whole number from 1 to 10'],
+    [{ ...DEFAULT_CAPTION_OVERLAY, showVoice: 'yes' }, 'showVoice must be true or false'],
+    [{ ...DEFAULT_CAPTION_OVERLAY, position: 'middle' }, 'position must be one of top-left, top, top-right, bottom-left, bottom, bottom-right'],
+    [{ ...DEFAULT_CAPTION_OVERLAY, backgroundColor: 'red' }, 'backgroundColor must be a color like #1a2b3c'],
+    [{ ...DEFAULT_CAPTION_OVERLAY, fontSize: 200 }, 'fontSize must be a whole number from 12 to 96'],
+    [{ ...DEFAULT_CAPTION_OVERLAY, displaySeconds: 2.5 }, 'displaySeconds must be a whole number from 1 to 60'],
+  ])('should reject %o', (input, reason) => {
+    expect(validateCaptionOverlay(input)).toEqual({ ok: false, reason });
+  });
+
+  it('should require every field', () => {
+    const { animation: _animation, ...rest } = DEFAULT_CAPTION_OVERLAY;
+    expect(validateCaptionOverlay(rest)).toEqual({ ok: false, reason: 'Missing overlay field: animation' });
+  });
+
+  it('should fill fields an older document lacks and drop settings that no longer validate', () => {
+    expect(readCaptionOverlay(undefined)).toBeNull();
+    expect(readCaptionOverlay({ enabled: true, fontSize: 40 })).toEqual({ ...DEFAULT_CAPTION_OVERLAY, enabled: true, fontSize: 40 });
+    expect(readCaptionOverlay({ enabled: true, fontSize: 4000 })).toEqual(DEFAULT_CAPTION_OVERLAY);
+  });
+
+  it('should prefer the source settings, then the channel, then the defaults', () => {
+    const channel = { ...DEFAULT_CAPTION_OVERLAY, enabled: true };
+    const source = { ...DEFAULT_CAPTION_OVERLAY, enabled: true, position: 'top' };
+    expect(resolveCaptionOverlay(channel, source)).toEqual(source);
+    expect(resolveCaptionOverlay(channel, undefined)).toEqual(channel);
+    expect(resolveCaptionOverlay(undefined, undefined)).toEqual(DEFAULT_CAPTION_OVERLAY);
+  });
+
+  it('should add the captions view to a browser source URL', () => {
+    expect(captionsUrl('https://tts.example/?channel=chan&token=abc')).toBe('https://tts.example/?channel=chan&token=abc&view=captions');
+  });
+});
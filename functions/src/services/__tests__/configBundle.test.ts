@@ -0,0 +1,218 @@
+/**
+ * Unit tests for config bundle export/import
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  buildConfigBundle,
+  parseConfigBundle,
+  resolveImport,
+  diffConfig,
+  CONFIG_BUNDLE_FORMAT,
+  CONFIG_BUNDLE_VERSION,
+} from '../configBundle';
+import { legacyRule, legacyRuleId } from '../bannedWordRules';
+
+// What a legacy banned word becomes in a bundle.
+const wordRules = (...words: string[]) =>
+  Object.fromEntries(words.map((word) => [legacyRuleId(word), legacyRule(word)]));
+
+const bundleOf = (config: Record<string, unknown>) => ({
+  format: CONFIG_BUNDLE_FORMAT,
+  version: CONFIG_BUNDLE_VERSION,
+  exportedAt: '2026-01-01T00:00:00.000Z',
+  channel: 'source',
+  config,
+});
+
+describe('configBundle', () => {
+  describe('buildConfigBundle', () => {
+    it('should carry only allowlisted fields, never secrets or channel-bound IDs', () => {
+      const bundle = buildConfigBundle({
+        engineEnabled: true,
+        voiceId: 'Friendly_Person',
+        obsSocketToken: 'secret',
+        channelPointRewardId: 'reward-1',
+        channelPoints: { rewardId: 'reward-1' },
+        botMode: 'authenticated',
+        voiceVolumes: { Friendly_Person: 2 },
+        bannedWords: ['badword'],
+        pronunciations: { lfg: "let's go" },
+        disabledPronunciationDefaults: { wtf: true },
+        ignoredUserIds: { 'twitch:123': 'Spammer' },
+      }, 'source');
+
+      expect(bundle.format).toBe(CONFIG_BUNDLE_FORMAT);
+      expect(bundle.version).toBe(CONFIG_BUNDLE_VERSION);
+      expect(bundle.channel).toBe('source');
+      expect(JSON.stringify(bundle)).not.toContain('secret');
+      expect(JSON.stringify(bundle)).not.toContain('reward-1');
+      expect(bundle.config).toEqual({
+        settings: { engineEnabled: true, voiceId: 'Friendly_Person' },
+        voiceVolumes: { Friendly_Person: 2 },
+        bannedWordRules: wordRules('badword'),
+        pronunciations: { lfg: "let's go" },
+        disabledPronunciationDefaults: { wtf: true },
+        ignoredUserIds: {
+          'twitch:123': { label: 'Spammer', source: 'moderator', by: null, at: null },
+        },
+      });
+    });
+
+    it('should drop stored values that would not import', () => {
+      const bundle = buildConfigBundle({
+        speed: 99,
+        voiceVolumes: { Not_A_Real_Voice: 2 },
+        pronunciations: { lfg: '' },
+      }, 'source');
+
+      expect(bundle.config.settings).toEqual({});
+      expect(bundle.config.voiceVolumes).toEqual({});
+      expect(bundle.config.pronunciations).toEqual({});
+    });
+
+    it('should carry built-ins switched off with an empty entry as disabled', () => {
+      const bundle = buildConfigBundle({ pronunciations: { lfg: '', custom: '' } }, 'source');
+
+      expect(bundle.config.disabledPronunciationDefaults).toEqual({ lfg: true });
+    });
+
+    it('should round-trip through parseConfigBundle', () => {
+      const bundle = buildConfigBundle({
+        mode: 'all',
+        pitch: 2,
+        bannedWords: ['one', 'two'],
+        bannedWordRules: { r1: { type: 'regex', pattern: 'B\\w+', action: 'replace', replacement: 'beep' } },
+        ignoredUserIds: { 'twitch:9': { label: 'Nine', source: 'self', by: 'twitch:9', at: '2026-01-01T00:00:00.000Z' } },
+      }, 'source');
+
+      const parsed = parseConfigBundle(JSON.parse(JSON.stringify(bundle)));
+      expect(parsed.ok).toBe(true);
+      if (parsed.ok) expect(parsed.config).toEqual(bundle.config);
+    });
+  });
+
+  describe('parseConfigBundle', () => {
+    it.each([
+      ['a non-object', 'nope', ''],
+      ['the wrong format', { ...bundleOf({}), format: 'other' }, 'format'],
+      ['a newer version', { ...bundleOf({}), version: CONFIG_BUNDLE_VERSION + 1 }, 'version'],
+      ['a missing config', { format: CONFIG_BUNDLE_FORMAT, version: 1 }, 'config'],
+    ])('should reject %s', (_label, raw, path) => {
+      const result = parseConfigBundle(raw);
+      expect(result.ok).toBe(false);
+      if (!result.ok) expect(result.errors[0].path).toBe(path);
+    });
+
+    it('should collect every invalid field', () => {
+      const result = parseConfigBundle(bundleOf({
+        settings: { speed: 99, notASetting: true, engineEnabled: true },
+        voiceVolumes: { Not_A_Real_Voice: 1 },
+        bannedWords: ['ok', '', 7],
+        bannedWordRules: { 'a.b': { pattern: 'x' }, r2: { type: 'regex', pattern: '(a+)+' } },
+        pronunciations: { 'a.b': 'x', 'lol': 'https://example.com' },
+        disabledPronunciationDefaults: { wcat: true, wtf: false },
+        ignoredUserIds: { 'bob': 'Bob', 'twitch:1': { source: 'admin' } },
+        obsSocketToken: 'sneaky',
+      }));
+
+      expect(result.ok).toBe(false);
+      if (result.ok) return;
+      expect(result.errors.map((e) => e.path).sort()).toEqual([
+        'config.bannedWordRules.a.b',
+        'config.bannedWordRules.r2',
+        'config.bannedWords.1',
+        'config.bannedWords.2',
+        'config.disabledPronunciationDefaults.wcat',
+        'config.disabledPronunciationDefaults.wtf',
+        'config.ignoredUserIds.bob',
+        'config.ignoredUserIds.twitch:1',
+        'config.obsSocketToken',
+        'config.pronunciations.a.b',
+        'config.pronunciations.lol',
+        'config.settings.notASetting',
+        'config.settings.speed',
+        'config.voiceVolumes.Not_A_Real_Voice',
+      ]);
+    });
+
+    it('should normalize words and match keys the way the dashboard routes do', () => {
+      const result = parseConfigBundle(bundleOf({
+        bannedWords: ['  BadWord ', 'badword'],
+        pronunciations: { '  LFG ': "  let's   go " },
+      }));
+
+      expect(result).toEqual({
+        ok: true,
+        config: { bannedWordRules: wordRules('badword'), pronunciations: { lfg: "let's go" } },
+      });
+    });
+
+    it('should still accept a version 1 bundle', () => {
+      const result = parseConfigBundle({ ...bundleOf({ bannedWords: ['old'] }), version: 1 });
+      expect(result).toEqual({ ok: true, config: { bannedWordRules: wordRules('old') } });
+    });
+  });
+
+  describe('resolveImport', () => {
+    const current = {
+      speed: 1.0,
+      bannedWords: ['old'],
+      pronunciations: { brb: 'be right back' },
+      ignoredUserIds: { 'twitch:1': { label: 'One', source: 'moderator', by: 'twitch:0', at: '2025-01-01T00:00:00.000Z' } },
+    };
+
+    it('should add to stored entries in merge mode', () => {
+      const result = resolveImport(current, { bannedWordRules: wordRules('new'), pronunciations: { lfg: "let's go" } }, 'merge');
+      expect(result).toEqual({
+        ok: true,
+        fields: {
+          bannedWordRules: wordRules('old', 'new'),
+          // The bot's copy of the rules.
+          bannedWords: ['new', 'old'],
+          pronunciations: { brb: 'be right back', lfg: "let's go" },
+        },
+      });
+    });
+
+    it('should make each section equal to the bundle in replace mode', () => {
+      const result = resolveImport(current, { bannedWordRules: wordRules('new'), pronunciations: {} }, 'replace');
+      expect(result).toEqual({ ok: true, fields: { bannedWordRules: wordRules('new'), bannedWords: ['new'], pronunciations: {} } });
+    });
+
+    it('should keep a stored ignore entry that says the same thing', () => {
+      const result = resolveImport(current, {
+        ignoredUserIds: { 'twitch:1': { label: 'One', source: 'moderator', by: null, at: '2026-06-01T00:00:00.000Z' } },
+      }, 'merge');
+      expect(result.ok && result.fields.ignoredUserIds).toEqual(current.ignoredUserIds);
+    });
+
+    it('should refuse to exceed the pronunciation cap', () => {
+      const many = Object.fromEntries(Array.from({ length: 100 }, (_, i) => [`word${i}`, 'x']));
+      const result = resolveImport(current, { pronunciations: many }, 'merge');
+      expect(result.ok).toBe(false);
+    });
+  });
+
+  describe('diffConfig', () => {
+    it('should report changes entry by entry', () => {
+      const changes = diffConfig(
+        { speed: 1.0, bannedWords: ['old'], pronunciations: { brb: 'be right back' } },
+        { speed: 1.5, mode: 'all', bannedWords: ['new'], pronunciations: { brb: 'brb', lfg: "let's go" } },
+      );
+
+      expect(changes).toEqual([
+        { path: 'speed', before: 1.0, after: 1.5 },
+        { path: 'mode', before: null, after: 'all' },
+        // Only the legacy word leaving the bot's copy; "new" is reported by its rule.
+        { path: 'bannedWords', before: 'old', after: null },
+        { path: 'pronunciations.brb', before: 'be right back', after: 'brb' },
+        { path: 'pronunciations.lfg', before: null, after: "let's go" },
+      ]);
+    });
+
+    it('should report nothing when the import matches what is stored', () => {
+      expect(diffConfig({ speed: 1.0, bannedWords: ['a'] }, { speed: 1.0, bannedWords: ['a'] })).toEqual([]);
+    });
+  });
+});
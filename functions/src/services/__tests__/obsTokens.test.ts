@@ -0,0 +1,91 @@
+/**
+ * Unit tests for OBS browser source tokens
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  OBS_TOKEN_LIMITS,
+  browserSourceUrl,
+  graceMs,
+  legacyTokenValue,
+  newTokenValue,
+  serializeObsToken,
+  shouldTouch,
+  tokenAccepts,
+  validateTokenName,
+} from '../obsTokens';
+
+const NOW = Date.UTC(2026, 9, 18, 12, 0);
+const timestamp = (millis: number) => ({ toMillis: () => millis });
+
+describe('obsTokens', () => {
+  it('should make 64 hex digit tokens', () => {
+    const token = newTokenValue();
+    expect(token).toMatch(/^[a-f0-9]{64}$/);
+    expect(newTokenValue()).not.toBe(token);
+  });
+
+  it('should tidy names and refuse empty or long ones', () => {
+    expect(validateTokenName('  main   PC ')).toBe('main PC');
+    expect(validateTokenName('   ')).toBeNull();
+    expect(validateTokenName(42)).toBeNull();
+    expect(validateTokenName('x'.repeat(OBS_TOKEN_LIMITS.MAX_NAME_LENGTH))).not.toBeNull();
+    expect(validateTokenName('x'.repeat(OBS_TOKEN_LIMITS.MAX_NAME_LENGTH + 1))).toBeNull();
+  });
+
+  it('should default the grace period and bound it', () => {
+    expect(graceMs(undefined)).toBe(OBS_TOKEN_LIMITS.DEFAULT_GRACE_MINUTES * 60000);
+    expect(graceMs(0)).toBe(0);
+    expect(graceMs(-1)).toBeNull();
+    expect(graceMs(1.5)).toBeNull();
+    expect(graceMs('60')).toBeNull();
+    expect(graceMs(OBS_TOKEN_LIMITS.MAX_GRACE_MINUTES + 1)).toBeNull();
+  });
+
+  it('should accept the previous value only while the grace period lasts', () => {
+    const data = { token: 'b'.repeat(64), previousToken: 'a'.repeat(64), previousTokenExpiresAt: timestamp(NOW + 1000) };
+    expect(tokenAccepts(data, 'b'.repeat(64), NOW)).toBe(true);
+    expect(tokenAccepts(data, 'a'.repeat(64), NOW)).toBe(true);
+    expect(tokenAccepts(data, 'a'.repeat(64), NOW + 1000)).toBe(false);
+    expect(tokenAccepts(data, 'c'.repeat(64), NOW)).toBe(false);
+    expect(tokenAccepts({ token: undefined }, '', NOW)).toBe(false);
+  });
+
+  it('should only rewrite lastUsedAt once it is stale', () => {
+    expect(shouldTouch({ lastUsedAt: null }, NOW)).toBe(true);
+    expect(shouldTouch({ lastUsedAt: timestamp(NOW - 60_000) }, NOW)).toBe(false);
+    expect(shouldTouch({ lastUsedAt: timestamp(NOW - OBS_TOKEN_LIMITS.TOUCH_INTERVAL_MS) }, NOW)).toBe(true);
+  });
+
+  it('should mirror the most recently issued token for the legacy field', () => {
+    expect(legacyTokenValue([])).toBeNull();
+    expect(legacyTokenValue([
+      { token: 'old', createdAt: timestamp(NOW - 5000) },
+      { token: 'rotated', createdAt: timestamp(NOW - 9000), rotatedAt: timestamp(NOW - 1000) },
+      { token: 'new', createdAt: timestamp(NOW - 2000) },
+    ])).toBe('rotated');
+  });
+
+  it('should show a token with its URL, hiding a lapsed grace period', () => {
+    const data = {
+      name: 'laptop',
+      token: 'f'.repeat(64),
+      createdAt: timestamp(NOW - 86400_000),
+      lastUsedAt: null,
+      previousToken: 'e'.repeat(64),
+      previousTokenExpiresAt: timestamp(NOW - 1),
+    };
+    expect(serializeObsToken('tok1', data, 'https://tts.example', 'Some Channel', NOW)).toEqual({
+      id: 'tok1',
+      name: 'laptop',
+      createdAt: '2026-10-17T12:00:00.000Z',
+      lastUsedAt: null,
+      rotatedAt: null,
+      previousTokenExpiresAt: null,
+      browserSourceUrl: `https://tts.example/?channel=Some%20Channel&token=${'f'.repeat(64)}`,
+      captionsUrl: `https://tts.example/?channel=Some%20Channel&token=${'f'.repeat(64)}&view=captions`,
+      overlay: null,
+    });
+    expect(browserSourceUrl('https://tts.example', 'chan', 'abc')).toBe('https://tts.example/?channel=chan&token=abc');
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for viewer preference layering
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+
+jest.mock('../firestore', () => ({
+  db: {},
+  COLLECTIONS: { TTS_USER_PREFS: 'ttsUserPreferences', MANAGED_CHANNELS: 'managedChannels' },
+}));
+
+import { resolvePreferences } from '../preferences';
+import { DEFAULT_VOICE_POLICY } from '../voicePolicy';
+
+describe('preferences', () => {
+  describe('resolvePreferences', () => {
+    it('should prefer the channel override, then the global preference, then the channel default', () => {
+      const { values, sources } = resolvePreferences(
+        { global: { speed: 1.1, pitch: 2 }, channel: { pitch: -3 } },
+        { voiceId: 'Deep_Voice_Man', speed: 0.9, pitch: 0 }
+      );
+      expect(values).toMatchObject({ pitch: -3, speed: 1.1, voiceId: 'Deep_Voice_Man', emotion: null });
+      expect(sources).toMatchObject({ pitch: 'channel', speed: 'global', voiceId: 'default', emotion: null });
+    });
+
+    it('should fall through cleared values', () => {
+      const { values, sources } = resolvePreferences(
+        { global: { emotion: 'happy', voiceId: '' }, channel: { emotion: null, voiceId: '' } },
+        { voiceId: 'Friendly_Person' }
+      );
+      expect(values).toMatchObject({ emotion: 'happy', voiceId: 'Friendly_Person' });
+      expect(sources).toMatchObject({ emotion: 'global', voiceId: 'default' });
+    });
+
+    it('should place an assignment above or below the viewer by its flag', () => {
+      const layers = { global: { voiceId: 'Wise_Woman' }, channel: { pitch: 1 } };
+      const assignment = { voiceId: 'Deep_Voice_Man', pitch: -2, speed: null, emotion: null };
+
+      const overriding = resolvePreferences(layers, { speed: 1.2 }, { assignment: { ...assignment, overrideViewer: true } });
+      expect(overriding.values).toMatchObject({ voiceId: 'Deep_Voice_Man', pitch: -2, speed: 1.2 });
+      expect(overriding.sources).toMatchObject({ voiceId: 'assigned', pitch: 'assigned', speed: 'default' });
+
+      const filling = resolvePreferences(layers, { voiceId: 'Friendly_Person' }, { assignment: { ...assignment, overrideViewer: false } });
+      expect(filling.values).toMatchObject({ voiceId: 'Wise_Woman', pitch: 1 });
+      expect(resolvePreferences({ global: {}, channel: {} }, { voiceId: 'Friendly_Person' }, { assignment: { ...assignment, overrideViewer: false } }).sources.voiceId)
+        .toBe('assigned');
+    });
+
+    it('should keep an explicit false override', () => {
+      const { values, sources } = resolvePreferences(
+        { global: { englishNormalization: true }, channel: { englishNormalization: false } },
+        {}
+      );
+      expect(values.englishNormalization).toBe(false);
+      expect(sources.englishNormalization).toBe('channel');
+    });
+
+    it('should pass over disallowed viewer choices and clamp out-of-bounds numbers', () => {
+      const policy = {
+        ...DEFAULT_VOICE_POLICY,
+        voiceRule: 'allow' as const,
+        voices: ['Wise_Woman'],
+        speed: { min: 0.8, max: 1.2 },
+        emotions: ['happy'],
+      };
+      const { values, sources, restricted } = resolvePreferences(
+        { global: { voiceId: 'Wise_Woman', emotion: 'sad' }, channel: { voiceId: 'Deep_Voice_Man', speed: 1.8 } },
+        { voiceId: 'Friendly_Person', emotion: 'calm' },
+        { policy }
+      );
+      expect(values).toMatchObject({ voiceId: 'Wise_Woman', speed: 1.2, emotion: 'calm' });
+      expect(sources).toMatchObject({ voiceId: 'global', speed: 'channel', emotion: 'default' });
+      expect(restricted).toEqual(['voiceId', 'speed', 'emotion']);
+    });
+
+    it('should not apply the policy to the channel default or an assignment', () => {
+      const policy = { ...DEFAULT_VOICE_POLICY, voiceRule: 'deny' as const, voices: ['Deep_Voice_Man', 'Calm_Woman'] };
+      const assignment = { voiceId: 'Calm_Woman', pitch: null, speed: null, emotion: null, overrideViewer: true };
+
+      expect(resolvePreferences({ global: {}, channel: {} }, { voiceId: 'Deep_Voice_Man' }, { policy }).values.voiceId)
+        .toBe('Deep_Voice_Man');
+      expect(resolvePreferences({ global: {}, channel: {} }, {}, { policy, assignment }).values.voiceId).toBe('Calm_Woman');
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for pronunciation built-ins and bulk import
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  parsePronunciationImport,
+  planPronunciationImport,
+  readDisabledDefaults,
+  PRONUNCIATION_IMPORT_MAX_ROWS,
+  PRONUNCIATION_LIMITS,
+} from '../pronunciation';
+
+describe('pronunciation', () => {
+  describe('readDisabledDefaults', () => {
+    it('should combine the disabled map with empty entries, keeping only built-ins', () => {
+      expect(readDisabledDefaults({
+        disabledPronunciationDefaults: { wtf: true, lfg: false, gone: true },
+        pronunciations: { stfu: '', wcat: '', imo: 'in my view' },
+      })).toEqual(['stfu', 'wtf']);
+      expect(readDisabledDefaults(undefined)).toEqual([]);
+    });
+  });
+
+  describe('parsePronunciationImport', () => {
+    it('should read CSV and TSV lines, skipping comments, blanks and a header', () => {
+      const text = 'match,say\n# game names\nwcat,wildcat\n\nsoulsborne\tsouls born, like the games\n"gg wp","good game, well played"';
+      expect(parsePronunciationImport(text)).toEqual({
+        ok: true,
+        rows: [
+          { line: 3, match: 'wcat', say: 'wildcat' },
+          { line: 5, match: 'soulsborne', say: 'souls born, like the games' },
+          { line: 6, match: 'gg wp', say: 'good game, well played' },
+        ],
+      });
+    });
+
+    it('should keep unquoted commas after the first in the spoken form', () => {
+      expect(parsePronunciationImport('ty,thank you, truly')).toMatchObject({ rows: [{ say: 'thank you, truly' }] });
+    });
+
+    it('should read a JSON map in order', () => {
+      expect(parsePronunciationImport({ a: 'ay', b: 'bee' })).toEqual({
+        ok: true,
+        rows: [{ line: 1, match: 'a', say: 'ay' }, { line: 2, match: 'b', say: 'bee' }],
+      });
+    });
+
+    it('should refuse other shapes, empty input and oversized input', () => {
+      expect(parsePronunciationImport(['a,b']).ok).toBe(false);
+      expect(parsePronunciationImport('# nothing here\n')).toEqual({ ok: false, reason: 'No entries found' });
+      const big = Array.from({ length: PRONUNCIATION_IMPORT_MAX_ROWS + 1 }, (_, i) => `w${i},x`).join('\n');
+      expect(parsePronunciationImport(big).ok).toBe(false);
+    });
+  });
+
+  describe('planPronunciationImport', () => {
+    const rows = (...pairs: [unknown, unknown][]) => pairs.map(([match, say], i) => ({ line: i + 1, match, say }));
+
+    it('should report each row and collect the writes', () => {
+      const plan = planPronunciationImport(
+        { wcat: 'wildcat', brb: 'be right back' },
+        rows(['WCat', 'wildcat'], ['brb', 'back soon'], ['new one', 'fresh'], ['bad.key', 'x'], ['ok', ''], ['New One', 'again']),
+        false
+      );
+      expect(plan.results.map((result) => [result.match, result.status])).toEqual([
+        ['wcat', 'unchanged'],
+        ['brb', 'conflict'],
+        ['new one', 'added'],
+        ['bad.key', 'invalid'],
+        ['ok', 'invalid'],
+        ['new one', 'duplicate'],
+      ]);
+      expect(plan.results[1].reason).toBe('Already set to "be right back"');
+      expect(plan.updates).toEqual({ 'new one': 'fresh' });
+    });
+
+    it('should replace differing entries when overwrite is set', () => {
+      const plan = planPronunciationImport({ brb: 'be right back' }, rows(['brb', 'back soon']), true);
+      expect(plan.results[0].status).toBe('updated');
+      expect(plan.updates).toEqual({ brb: 'back soon' });
+    });
+
+    it('should flag entries that replace a built-in default', () => {
+      const plan = planPronunciationImport({}, rows(['ggez', 'good game']), false);
+      expect(plan.results[0]).toMatchObject({ status: 'added', overridesDefault: 'good game easy' });
+    });
+
+    it('should stop adding new keys at the cap but still update existing ones', () => {
+      const existing = Object.fromEntries(Array.from({ length: PRONUNCIATION_LIMITS.MAX_CUSTOM_ENTRIES }, (_, i) => [`w${i}`, 'x']));
+      const plan = planPronunciationImport(existing, rows(['w0', 'y'], ['extra', 'z']), true);
+      expect(plan.results.map((result) => result.status)).toEqual(['updated', 'limit']);
+      expect(plan.updates).toEqual({ w0: 'y' });
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for the Firestore-backed rate limit store
+ */
+
+import { describe, it, expect, jest, beforeEach } from '@jest/globals';
+
+const mockDocs = new Map<string, Record<string, any>>();
+
+jest.mock('../firestore', () => {
+  const doc = (id: string) => ({
+    id,
+    get: async () => ({ exists: mockDocs.has(id), data: () => mockDocs.get(id) }),
+    update: async (data: Record<string, any>) => {
+      const current = mockDocs.get(id);
+      if (!current) throw new Error('NOT_FOUND');
+      mockDocs.set(id, { ...current, hits: current.hits + data.hits.increment });
+    },
+    delete: async () => {
+      mockDocs.delete(id);
+    },
+  });
+  return {
+    db: {
+      collection: () => ({ doc }),
+      runTransaction: async (fn: (tx: any) => Promise<unknown>) => fn({
+        get: (ref: ReturnType<typeof doc>) => ref.get(),
+        set: (ref: ReturnType<typeof doc>, data: Record<string, any>) => mockDocs.set(ref.id, data),
+      }),
+    },
+    COLLECTIONS: { RATE_LIMITS: 'rateLimits' },
+    FieldValue: { increment: (increment: number) => ({ increment }) },
+  };
+});
+
+import type { Options } from 'express-rate-limit';
+import { FirestoreRateLimitStore } from '../rateLimitStore';
+
+describe('FirestoreRateLimitStore', () => {
+  let now: number;
+  let store: FirestoreRateLimitStore;
+
+  beforeEach(() => {
+    mockDocs.clear();
+    now = 1_000_000;
+    store = new FirestoreRateLimitStore('ttsTest', () => now);
+    store.init({ windowMs: 60_000 } as Options);
+  });
+
+  it('should count hits within a window', async () => {
+    expect(await store.increment('user-1')).toEqual({ totalHits: 1, resetTime: new Date(1_060_000) });
+    now += 30_000;
+    expect(await store.increment('user-1')).toEqual({ totalHits: 2, resetTime: new Date(1_060_000) });
+    expect(await store.get('user-1')).toEqual({ totalHits: 2, resetTime: new Date(1_060_000) });
+    expect(await store.get('user-2')).toBeUndefined();
+  });
+
+  it('should start a new window once the old one ends', async () => {
+    await store.increment('user-1');
+    await store.increment('user-1');
+    now += 60_000;
+    expect(await store.get('user-1')).toBeUndefined();
+    expect(await store.increment('user-1')).toEqual({ totalHits: 1, resetTime: new Date(1_120_000) });
+  });
+
+  it('should keep limiters and odd keys apart', async () => {
+    const other = new FirestoreRateLimitStore('ttsTestChannel', () => now);
+    other.init({ windowMs: 60_000 } as Options);
+    await store.increment('a/b');
+    await other.increment('a/b');
+    expect([...mockDocs.keys()].sort()).toEqual(['ttsTest:a%2Fb', 'ttsTestChannel:a%2Fb']);
+  });
+
+  it('should decrement and reset, and ignore a decrement with no window', async () => {
+    await store.increment('user-1');
+    await store.increment('user-1');
+    await store.decrement('user-1');
+    expect((await store.get('user-1'))?.totalHits).toBe(1);
+
+    await store.resetKey('user-1');
+    expect(await store.get('user-1')).toBeUndefined();
+    await expect(store.decrement('user-1')).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for the TTS redemption queue
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  REDEMPTION_QUEUE_LIMITS,
+  batchSelections,
+  decodeQueueCursor,
+  encodeQueueCursor,
+  isRedemptionAction,
+  queuePageSize,
+  serializeRedemption,
+} from '../redemptionQueue';
+import { RewardTier, normalizeRewardTier } from '../rewardTiers';
+
+const tier = (id: string, rewardId: string | null): RewardTier => {
+  const result = normalizeRewardTier({ title: `Tier ${id}`, cost: 100 }, { id, rewardId });
+  if (!result.ok) throw new Error(result.reason);
+  return result.tier;
+};
+
+describe('redemptionQueue', () => {
+  it('should know only fulfill and cancel', () => {
+    expect(isRedemptionAction('fulfill')).toBe(true);
+    expect(isRedemptionAction('cancel')).toBe(true);
+    expect(isRedemptionAction('toString')).toBe(false);
+    expect(isRedemptionAction(undefined)).toBe(false);
+  });
+
+  it('should default and bound the page size', () => {
+    expect(queuePageSize(undefined)).toBe(REDEMPTION_QUEUE_LIMITS.PAGE_SIZE);
+    expect(queuePageSize('abc')).toBe(REDEMPTION_QUEUE_LIMITS.PAGE_SIZE);
+    expect(queuePageSize('0')).toBe(1);
+    expect(queuePageSize('500')).toBe(REDEMPTION_QUEUE_LIMITS.MAX_PAGE_SIZE);
+    expect(queuePageSize('10')).toBe(10);
+  });
+
+  it('should read back its own cursors and nothing else', () => {
+    const cursor = { tierId: 'a', after: 'eyJiIjp7fX0' };
+    expect(decodeQueueCursor(encodeQueueCursor(cursor))).toEqual(cursor);
+    expect(decodeQueueCursor(encodeQueueCursor({ tierId: 'b', after: null }))).toEqual({ tierId: 'b', after: null });
+    expect(decodeQueueCursor('not a cursor')).toBeNull();
+    expect(decodeQueueCursor(Buffer.from(JSON.stringify({ tierId: 1 })).toString('base64url'))).toBeNull();
+    expect(decodeQueueCursor(undefined)).toBeNull();
+  });
+
+  it('should show a redemption with its tier and text check', () => {
+    const view = serializeRedemption({
+      id: 'red1',
+      user_id: '42',
+      user_login: 'viewer',
+      user_name: 'Viewer',
+      user_input: 'hello',
+      status: 'UNFULFILLED',
+      redeemed_at: '2026-10-18T12:00:00Z',
+      reward: { id: 'r1', title: 'Tier a', cost: 100 },
+    }, tier('a', 'r1'), { ok: true, spoken: 'hello' });
+    expect(view).toEqual({
+      id: 'red1',
+      tierId: 'a',
+      rewardId: 'r1',
+      rewardTitle: 'Tier a',
+      cost: 100,
+      userId: '42',
+      userLogin: 'viewer',
+      userName: 'Viewer',
+      text: 'hello',
+      redeemedAt: '2026-10-18T12:00:00Z',
+      check: { ok: true, spoken: 'hello' },
+    });
+  });
+
+  it('should batch by reward, refusing rewards that are not tiers', () => {
+    const tiers = [tier('a', 'r1'), tier('b', 'r2'), tier('c', null)];
+    const many = Array.from({ length: REDEMPTION_QUEUE_LIMITS.HELIX_BATCH + 1 }, (_, i) => ({ id: `x${i}`, rewardId: 'r1' }));
+    const { batches, refused } = batchSelections([
+      ...many,
+      { id: 'y', rewardId: 'r2' },
+      { id: 'y', rewardId: 'r2' },
+      { id: 'z', rewardId: 'other' },
+    ], tiers);
+
+    expect(refused).toEqual(['z']);
+    expect(batches.map((b) => [b.rewardId, b.ids.length])).toEqual([
+      ['r1', REDEMPTION_QUEUE_LIMITS.HELIX_BATCH],
+      ['r1', 1],
+      ['r2', 1],
+    ]);
+  });
+});
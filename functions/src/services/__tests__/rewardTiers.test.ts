@@ -0,0 +1,191 @@
+/**
+ * Unit tests for channel point TTS reward tiers
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  DEFAULT_REWARD_TITLE,
+  REWARD_TIER_LIMITS,
+  RewardTier,
+  TwitchReward,
+  adoptTwitchReward,
+  normalizeRewardTier,
+  parseVoicePick,
+  readRewardTiers,
+  rewardDrift,
+  rewardTierFields,
+  tierConflict,
+  tierDriftStatus,
+  titleTaken,
+  twitchRewardBody,
+} from '../rewardTiers';
+
+const tierFrom = (body: Record<string, unknown>, existing: Partial<RewardTier> = {}): RewardTier => {
+  const result = normalizeRewardTier(body, existing);
+  if (!result.ok) throw new Error(result.reason);
+  return result.tier;
+};
+
+describe('rewardTiers', () => {
+  describe('normalizeRewardTier', () => {
+    it('should fill defaults and clamp numbers as the single reward did', () => {
+      const tier = tierFrom({ cost: '0', cooldownSeconds: 99999, perStreamLimit: -5, limitsEnabled: true });
+      expect(tier.id).toMatch(/^[a-f0-9]{12}$/);
+      expect(tier.rewardId).toBeNull();
+      expect(tier.title).toBe(DEFAULT_REWARD_TITLE);
+      expect(tier.cost).toBe(1);
+      expect(tier.cooldownSeconds).toBe(REWARD_TIER_LIMITS.MAX_COOLDOWN_SECONDS);
+      expect(tier.perStreamLimit).toBe(0);
+      expect(tier.skipQueue).toBe(true);
+      expect(tier.contentPolicy).toEqual({ blockLinks: true, bannedWords: [] });
+      expect(tier.voiceMode).toBe('viewer');
+      expect(tier.priority).toBe(false);
+    });
+
+    it('should need a cooldown of a second only when limits are on', () => {
+      expect(tierFrom({ cooldownSeconds: 0 }).cooldownSeconds).toBe(0);
+      expect(tierFrom({ cooldownSeconds: 0, limitsEnabled: true }).cooldownSeconds).toBe(1);
+    });
+
+    it('should keep the stored ID and reward, and refuse unknown voice modes', () => {
+      const tier = tierFrom({ title: '  VIP voice  ', voiceMode: 'pick', priority: true }, { id: 'abc', rewardId: 'r1' });
+      expect(tier).toMatchObject({ id: 'abc', rewardId: 'r1', title: 'VIP voice', voiceMode: 'pick', priority: true });
+      expect(normalizeRewardTier({ voiceMode: 'loud' })).toEqual({
+        ok: false,
+        reason: 'voiceMode must be one of viewer, channel, pick',
+      });
+    });
+  });
+
+  describe('readRewardTiers', () => {
+    it('should read the stored list as is', () => {
+      const tiers = [tierFrom({ title: 'A' }), tierFrom({ title: 'B' })];
+      expect(readRewardTiers({ channelPointsRewards: tiers, channelPoints: { rewardId: 'old' } })).toBe(tiers);
+    });
+
+    it('should adopt a channel\'s single reward as the first tier', () => {
+      const tiers = readRewardTiers({
+        channelPoints: { enabled: true, title: 'Say it', cost: 300, lastSyncedAt: 5 },
+        channelPointRewardId: 'r1',
+      });
+      expect(tiers).toHaveLength(1);
+      expect(tiers[0]).toMatchObject({ id: 'default', rewardId: 'r1', enabled: true, title: 'Say it', cost: 300, lastSyncedAt: 5 });
+      expect(readRewardTiers({})).toEqual([]);
+      expect(readRewardTiers(undefined)).toEqual([]);
+    });
+  });
+
+  it('should mirror the first tier into the fields older bots read', () => {
+    const first = tierFrom({ enabled: true }, { id: 'a', rewardId: 'r1' });
+    expect(rewardTierFields([first, tierFrom({})])).toMatchObject({
+      channelPoints: first,
+      channelPointRewardId: 'r1',
+      channelPointsEnabled: true,
+    });
+    expect(rewardTierFields([])).toEqual({
+      channelPointsRewards: [],
+      channelPoints: { enabled: false, rewardId: null },
+      channelPointRewardId: null,
+      channelPointsEnabled: false,
+    });
+  });
+
+  it('should find clashing titles regardless of case, except the tier\'s own', () => {
+    const tiers = [tierFrom({ title: 'Priority TTS' }, { id: 'a' })];
+    expect(titleTaken(tiers, 'priority tts')).toBe(true);
+    expect(titleTaken(tiers, 'Priority TTS', 'a')).toBe(false);
+    expect(titleTaken(tiers, 'Other')).toBe(false);
+  });
+
+  it('should refuse a new tier past the limit or a taken title, but not a tier already stored', () => {
+    const tiers = Array.from({ length: REWARD_TIER_LIMITS.MAX_TIERS }, (_, i) => tierFrom({ title: `Tier ${i}` }, { id: `t${i}` }));
+    expect(tierConflict(tiers, tierFrom({ title: 'New' }))).toBe(`A channel can have at most ${REWARD_TIER_LIMITS.MAX_TIERS} TTS rewards`);
+    expect(tierConflict(tiers, tierFrom({ title: 'Renamed' }, { id: 't0' }))).toBeNull();
+    expect(tierConflict(tiers.slice(1), tierFrom({ title: 'tier 2' }))).toBe('Another TTS reward is already named "tier 2"');
+  });
+
+  it('should send Twitch each limit with its flag', () => {
+    const body = twitchRewardBody(tierFrom({ enabled: true, limitsEnabled: true, cooldownSeconds: 30, perUserPerStreamLimit: 2 }));
+    expect(body).toMatchObject({
+      is_enabled: true,
+      is_user_input_required: true,
+      is_global_cooldown_enabled: true,
+      global_cooldown_seconds: 30,
+      is_max_per_stream_enabled: false,
+      max_per_stream: 0,
+      is_max_per_user_per_stream_enabled: true,
+      max_per_user_per_stream: 2,
+    });
+    expect(twitchRewardBody(tierFrom({ cooldownSeconds: 30 }))).toMatchObject({
+      is_global_cooldown_enabled: false,
+      global_cooldown_seconds: 30,
+    });
+  });
+
+  it('should read a picked voice from the start of the message', () => {
+    const voices = ['Wise_Woman', 'Friendly_Person'];
+    expect(parseVoicePick('wise woman: hello there', voices)).toEqual({ voiceId: 'Wise_Woman', text: 'hello there' });
+    expect(parseVoicePick('Friendly_Person:hi', voices)).toEqual({ voiceId: 'Friendly_Person', text: 'hi' });
+    expect(parseVoicePick('Nobody: hi', voices)).toBeNull();
+    expect(parseVoicePick('Wise_Woman:   ', voices)).toBeNull();
+    expect(parseVoicePick('just a message', voices)).toBeNull();
+  });
+
+  describe('drift', () => {
+    const tier = tierFrom({ enabled: true, title: 'TTS', cost: 500, limitsEnabled: true, cooldownSeconds: 30 }, { id: 'a', rewardId: 'r1' });
+    const reward = (overrides: Partial<TwitchReward> = {}): TwitchReward => ({
+      id: 'r1',
+      title: 'TTS',
+      cost: 500,
+      prompt: tier.prompt,
+      is_enabled: true,
+      should_redemptions_skip_request_queue: true,
+      global_cooldown_setting: { is_enabled: true, global_cooldown_seconds: 30 },
+      max_per_stream_setting: { is_enabled: false, max_per_stream: 0 },
+      max_per_user_per_stream_setting: { is_enabled: false, max_per_user_per_stream: 0 },
+      ...overrides,
+    });
+
+    it('should report the fields a streamer changed on Twitch', () => {
+      expect(rewardDrift(tier, reward())).toEqual([]);
+      expect(rewardDrift(tier, reward({
+        cost: 1000,
+        global_cooldown_setting: { is_enabled: false, global_cooldown_seconds: 30 },
+      }))).toEqual([
+        { field: 'cost', ours: 500, twitch: 1000 },
+        { field: 'cooldownSeconds', ours: 30, twitch: 0 },
+      ]);
+    });
+
+    it('should ignore the numbers of limits that are off on both sides', () => {
+      const unlimited = tierFrom({ enabled: true, title: 'TTS', perStreamLimit: 5 }, { rewardId: 'r1' });
+      expect(rewardDrift(unlimited, reward({
+        global_cooldown_setting: { is_enabled: false, global_cooldown_seconds: 1 },
+        max_per_stream_setting: { is_enabled: false, max_per_stream: 9 },
+      }))).toEqual([]);
+    });
+
+    it('should tell missing and unlinked rewards from drifted ones', () => {
+      expect(tierDriftStatus({ ...tier, rewardId: null }, new Map())).toEqual({ status: 'not-created', differences: [] });
+      expect(tierDriftStatus(tier, null)).toEqual({ status: 'unknown', differences: [] });
+      expect(tierDriftStatus(tier, new Map())).toEqual({ status: 'missing', differences: [] });
+      expect(tierDriftStatus(tier, new Map([['r1', reward()]])).status).toBe('in-sync');
+      expect(tierDriftStatus(tier, new Map([['r1', reward({ title: 'Renamed' })]])).status).toBe('drifted');
+    });
+
+    it('should be in sync after adopting Twitch\'s values', () => {
+      const live = reward({
+        title: 'Renamed',
+        is_enabled: false,
+        global_cooldown_setting: { is_enabled: false, global_cooldown_seconds: 1 },
+        max_per_user_per_stream_setting: { is_enabled: true, max_per_user_per_stream: 3 },
+      });
+      const adopted = adoptTwitchReward(tier, live);
+      expect(adopted).toMatchObject({ id: 'a', title: 'Renamed', enabled: false, limitsEnabled: true, cooldownSeconds: 0, perUserPerStreamLimit: 3 });
+      expect(rewardDrift(adopted, live)).toEqual([]);
+
+      const noLimits = adoptTwitchReward(tier, reward({ global_cooldown_setting: { is_enabled: false, global_cooldown_seconds: 1 } }));
+      expect(noLimits).toMatchObject({ limitsEnabled: false, cooldownSeconds: 30 });
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for short link rules
+ */
+
+import { describe, it, expect, beforeAll } from '@jest/globals';
+
+const NOW = Date.UTC(2026, 9, 18, 12, 0);
+const timestamp = (millis: number) => ({ toMillis: () => millis });
+
+describe('shortlinks', () => {
+  let shortlinks: typeof import('../shortlinks');
+
+  beforeAll(() => {
+    process.env.FRONTEND_URL = 'https://wildcat.example';
+    process.env.OBS_BROWSER_BASE_URL = 'https://tts.wildcat.example';
+    jest.resetModules();
+    shortlinks = require('../shortlinks');
+  });
+
+  it('should allow only our own origins', () => {
+    expect(shortlinks.allowedOrigins()).toEqual(['https://wildcat.example', 'https://tts.wildcat.example']);
+    expect(shortlinks.checkDestination('https://wildcat.example/viewer-settings.html?channel=a'))
+      .toEqual({ ok: true, url: 'https://wildcat.example/viewer-settings.html?channel=a' });
+    expect(shortlinks.checkDestination('https://tts.wildcat.example/?channel=a&token=b').ok).toBe(true);
+  });
+
+  it.each([
+    [undefined, 'URL is required'],
+    ['not-a-url', 'Invalid URL provided'],
+    ['https://evil.example/', 'Short links can only point to WildcatTTS pages'],
+    ['https://wildcat.example.evil.example/', 'Short links can only point to WildcatTTS pages'],
+    ['http://wildcat.example/', 'Short links can only point to WildcatTTS pages'],
+    ['javascript:alert(1)', 'Short links can only point to WildcatTTS pages'],
+  ])('should refuse %s', (url, reason) => {
+    expect(shortlinks.checkDestination(url)).toEqual({ ok: false, reason });
+  });
+
+  it('should turn expiresInDays into a time, or null for never', () => {
+    expect(shortlinks.parseExpiry(undefined, NOW)).toEqual({ ok: true, expiresAt: null });
+    expect(shortlinks.parseExpiry(null, NOW)).toEqual({ ok: true, expiresAt: null });
+    expect(shortlinks.parseExpiry(7, NOW)).toEqual({ ok: true, expiresAt: new Date(NOW + 7 * 86400_000) });
+    expect(shortlinks.parseExpiry(0, NOW).ok).toBe(false);
+    expect(shortlinks.parseExpiry(1.5, NOW).ok).toBe(false);
+    expect(shortlinks.parseExpiry(366, NOW).ok).toBe(false);
+  });
+
+  it('should tell active, disabled and expired links apart', () => {
+    expect(shortlinks.shortlinkStatus({ url: 'x' }, NOW)).toBe('active');
+    expect(shortlinks.shortlinkStatus({ expiresAt: timestamp(NOW + 1) }, NOW)).toBe('active');
+    expect(shortlinks.shortlinkStatus({ expiresAt: timestamp(NOW) }, NOW)).toBe('expired');
+    expect(shortlinks.shortlinkStatus({ disabled: true, expiresAt: timestamp(NOW - 1) }, NOW)).toBe('disabled');
+  });
+
+  it('should zero-fill recent daily clicks, oldest first', () => {
+    const days = shortlinks.recentClicks({ '2026-10-18': 4, '2026-10-16': 1, '2026-09-01': 9 }, NOW, 3);
+    expect(days).toEqual([
+      { day: '2026-10-16', clicks: 1 },
+      { day: '2026-10-17', clicks: 0 },
+      { day: '2026-10-18', clicks: 4 },
+    ]);
+  });
+
+  it('should show a link to its owner', () => {
+    const view = shortlinks.serializeShortlink('abc123', {
+      url: 'https://wildcat.example/',
+      createdAt: timestamp(NOW),
+      expiresAt: null,
+      clicks: 5,
+    }, NOW);
+    expect(view).toMatchObject({
+      slug: 'abc123',
+      shortUrl: '/s/abc123',
+      absoluteUrl: 'https://wildcat.example/s/abc123',
+      qrUrl: '/api/shortlinks/abc123/qr.png',
+      createdAt: '2026-10-18T12:00:00.000Z',
+      expiresAt: null,
+      disabled: false,
+      status: 'active',
+      clicks: 5,
+      lastClickedAt: null,
+    });
+  });
+
+  it('should bound QR sizes', () => {
+    expect(shortlinks.qrSize(undefined)).toBe(256);
+    expect(shortlinks.qrSize('abc')).toBe(256);
+    expect(shortlinks.qrSize('10')).toBe(128);
+    expect(shortlinks.qrSize('5000')).toBe(1024);
+  });
+
+  it('should draw a PNG QR code of the full short URL', async () => {
+    const png = await shortlinks.shortlinkQrPng('abc123', 128);
+    expect(png.subarray(1, 4).toString()).toBe('PNG');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for the shared text policy
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  evaluateText,
+  applyPronunciations,
+  buildPronunciationDictionary,
+  shortenUrls,
+} from '../textPolicy';
+
+describe('textPolicy', () => {
+  describe('evaluateText', () => {
+    it('should reject an empty or whitespace-only message', () => {
+      expect(evaluateText('   ', {})).toEqual({ allowed: false, reason: 'Message is empty', spoken: '', notes: [] });
+    });
+
+    it('should reject channel banned words on whole-word, case-insensitive matches', () => {
+      const config = { bannedWords: ['spoiler', 'bad phrase'] };
+      expect(evaluateText('no SPOILER please', config)).toMatchObject({ allowed: false, reason: 'Contains banned word: "spoiler"' });
+      expect(evaluateText('a bad  phrase here', config)).toMatchObject({ allowed: false, reason: 'Contains banned word: "bad phrase"' });
+      expect(evaluateText('spoilers are fine', config).allowed).toBe(true);
+    });
+
+    it('should block links only when a content policy asks for it', () => {
+      expect(evaluateText('see example.com', {}).allowed).toBe(true);
+      expect(evaluateText('see example.com', {}, { contentPolicy: {} })).toMatchObject({ allowed: false, reason: 'Links are not allowed' });
+      expect(evaluateText('see example.com', {}, { contentPolicy: { blockLinks: false } }).allowed).toBe(true);
+    });
+
+    it('should skip or replace words for rules with those actions', () => {
+      const config = {
+        bannedWordRules: {
+          a: { type: 'wildcard', pattern: 'spoil*', action: 'skip', replacement: null },
+          b: { type: 'normalized', pattern: 'heck', action: 'replace', replacement: 'heckin' },
+        },
+      };
+      expect(evaluateText('no spoilers h3ck yes', config)).toMatchObject({ allowed: true, spoken: 'no heckin yes' });
+    });
+
+    it('should report the content policy word before the channel word', () => {
+      const result = evaluateText('alpha beta', { bannedWords: ['beta'] }, { contentPolicy: { bannedWords: ['alpha'] } });
+      expect(result.reason).toBe('Contains banned word: "alpha"');
+    });
+
+    it('should shorten URLs to their domain unless readFullUrls is on', () => {
+      const text = 'clip https://www.twitch.tv/videos/123?t=1 lol';
+      expect(evaluateText(text, { pronunciationEnabled: false }).spoken).toBe('clip twitch.tv lol');
+      expect(evaluateText(text, { pronunciationEnabled: false, readFullUrls: true }).spoken).toBe(text);
+    });
+
+    it('should expand defaults and channel entries unless pronunciation is disabled', () => {
+      const config = { pronunciations: { wcat: 'wildcat', ngl: 'not gonna lie at all' } };
+      expect(evaluateText('ngl wcat is great', config).spoken).toBe('not gonna lie at all wildcat is great');
+      expect(evaluateText('ngl wcat', { ...config, pronunciationEnabled: false }).spoken).toBe('ngl wcat');
+    });
+
+    it('should leave built-ins the channel switched off unexpanded', () => {
+      expect(evaluateText('ggez imo', { disabledPronunciationDefaults: { ggez: true } }).spoken).toBe('ggez in my opinion');
+      expect(evaluateText('ggez imo', { pronunciations: { imo: '' } }).spoken).toBe('good game easy imo');
+    });
+
+    it('should drop emotes in skip mode and note them in describe mode', () => {
+      expect(evaluateText('hi Kappa there', { emoteMode: 'skip' }, { emotes: ['Kappa'] }).spoken).toBe('hi there');
+      expect(evaluateText('hi Kappa', { emoteMode: 'read' }, { emotes: ['Kappa'] })).toMatchObject({ spoken: 'hi Kappa', notes: [] });
+      expect(evaluateText('hi Kappa', {}, { emotes: ['Kappa'] }).notes).toHaveLength(1);
+    });
+
+    it('should refuse a message that is only skipped emotes', () => {
+      expect(evaluateText('Kappa Kappa', { emoteMode: 'skip' }, { emotes: ['Kappa'] }))
+        .toMatchObject({ allowed: false, reason: 'Nothing left to speak' });
+    });
+
+    it('should note that the profanity filter is not simulated', () => {
+      expect(evaluateText('hello', { profanityFilterEnabled: true }).notes).toHaveLength(1);
+    });
+  });
+
+  describe('applyPronunciations', () => {
+    it('should not rewrite replacement text a second time', () => {
+      const dictionary = new Map([['gg', 'good game'], ['good', 'great']]);
+      expect(applyPronunciations('gg', dictionary)).toBe('good game');
+    });
+
+    it('should prefer the longest key at a position', () => {
+      expect(applyPronunciations('roflmao', buildPronunciationDictionary({}))).toBe('rolling on the floor laughing my ass off');
+    });
+
+    it('should leave words that only contain a key alone', () => {
+      expect(applyPronunciations("don't frame it", buildPronunciationDictionary({}))).toBe("don't frame it");
+    });
+  });
+
+  describe('shortenUrls', () => {
+    it('should leave bare domains as written', () => {
+      expect(shortenUrls('go to example.com')).toBe('go to example.com');
+    });
+  });
+});
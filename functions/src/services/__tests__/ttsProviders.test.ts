@@ -0,0 +1,117 @@
+/**
+ * Unit tests for the TTS provider chain and circuit breaker
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+import {
+  CircuitBreaker,
+  createProviderChain,
+  TtsProvider,
+  TtsProviderError,
+  TtsRequest,
+} from '../ttsProviders';
+import { createMockProvider, generateToneWav } from '../ttsProviderMock';
+
+const request: TtsRequest = {
+  text: 'Hello chat', voiceId: 'Friendly_Person', emotion: null, pitch: 0, speed: 1, volume: 1, languageBoost: 'auto',
+};
+
+function fakeProvider(name: string, synthesize: () => Promise<unknown>, overrides: Partial<TtsProvider> = {}): TtsProvider {
+  return {
+    name,
+    model: `${name}-model`,
+    isConfigured: () => true,
+    supportsVoice: () => true,
+    synthesize: jest.fn(synthesize) as TtsProvider['synthesize'],
+    health: async () => ({ healthy: true }),
+    ...overrides,
+  };
+}
+
+const ok = (name: string) => async () => ({ audioUrl: `https://${name}/a.mp3`, provider: name, model: 'm' });
+const outage = async () => { throw new TtsProviderError('down', 502); };
+
+describe('ttsProviders', () => {
+  describe('CircuitBreaker', () => {
+    it('should open after the threshold and let one trial through after the cool-down', () => {
+      let now = 0;
+      const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 1000, now: () => now });
+      breaker.recordFailure();
+      expect(breaker.allowRequest()).toBe(true);
+      breaker.recordFailure();
+      expect(breaker.state).toBe('open');
+      expect(breaker.allowRequest()).toBe(false);
+
+      now = 1000;
+      expect(breaker.state).toBe('half-open');
+      expect(breaker.allowRequest()).toBe(true);
+      expect(breaker.allowRequest()).toBe(false);
+      breaker.recordFailure();
+      expect(breaker.state).toBe('open');
+
+      now = 2000;
+      expect(breaker.allowRequest()).toBe(true);
+      breaker.recordSuccess();
+      expect(breaker.state).toBe('closed');
+    });
+  });
+
+  describe('createProviderChain', () => {
+    it('should fall back to the next provider on failure', async () => {
+      const first = fakeProvider('first', outage);
+      const second = fakeProvider('second', ok('second'));
+      const result = await createProviderChain([first, second]).synthesize(request);
+      expect(result.provider).toBe('second');
+    });
+
+    it('should skip providers that are unconfigured, lack the voice or have an open circuit', async () => {
+      const unconfigured = fakeProvider('a', ok('a'), { isConfigured: () => false });
+      const noVoice = fakeProvider('b', ok('b'), { supportsVoice: () => false });
+      const flaky = fakeProvider('c', outage);
+      const backup = fakeProvider('d', ok('d'));
+      const chain = createProviderChain([unconfigured, noVoice, flaky, backup], { failureThreshold: 1, cooldownMs: 60_000 });
+
+      await chain.synthesize(request);
+      await chain.synthesize(request);
+      expect(unconfigured.synthesize).not.toHaveBeenCalled();
+      expect(noVoice.synthesize).not.toHaveBeenCalled();
+      expect(flaky.synthesize).toHaveBeenCalledTimes(1);
+      expect(backup.synthesize).toHaveBeenCalledTimes(2);
+      expect((await chain.status()).find((s) => s.name === 'c')?.circuit).toBe('open');
+    });
+
+    it('should report a request error over an outage and not count it against the provider', async () => {
+      const denied = fakeProvider('a', async () => { throw new TtsProviderError('Voice access denied', 403, false); });
+      const down = fakeProvider('b', outage);
+      const chain = createProviderChain([denied, down], { failureThreshold: 1, cooldownMs: 60_000 });
+
+      await expect(chain.synthesize(request)).rejects.toMatchObject({ status: 403, message: 'Voice access denied' });
+      const status = await chain.status();
+      expect(status.map((s) => s.circuit)).toEqual(['closed', 'open']);
+    });
+
+    it('should say when nothing is configured or nothing carries the voice', async () => {
+      await expect(createProviderChain([]).synthesize(request)).rejects.toMatchObject({ status: 501 });
+      const chain = createProviderChain([fakeProvider('a', ok('a'), { supportsVoice: () => false })]);
+      await expect(chain.synthesize(request)).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('mock provider', () => {
+    it('should return a playable WAV for a released voice', async () => {
+      const provider = createMockProvider();
+      expect(provider.supportsVoice('Not_A_Voice')).toBe(false);
+      const result = await provider.synthesize(request);
+      expect(result.provider).toBe('mock');
+      const wav = Buffer.from(result.audioUrl.replace('data:audio/wav;base64,', ''), 'base64');
+      expect(wav.toString('ascii', 0, 4)).toBe('RIFF');
+      expect(wav.toString('ascii', 8, 12)).toBe('WAVE');
+    });
+
+    it('should size the tone by length and sample rate', () => {
+      const wav = generateToneWav(0.5, 440, 1);
+      expect(wav.readUInt32LE(40)).toBe(0.5 * 8000 * 2);
+      expect(wav.length).toBe(44 + 0.5 * 8000 * 2);
+    });
+  });
+});
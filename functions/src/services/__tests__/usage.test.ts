@@ -0,0 +1,118 @@
+/**
+ * Unit tests for TTS usage metering and budgets
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+
+jest.mock('../firestore', () => ({
+  db: {},
+  COLLECTIONS: { TTS_USAGE: 'ttsUsage' },
+  FieldValue: {
+    increment: (n: number) => ({ increment: n }),
+    serverTimestamp: () => 'SERVER_TIMESTAMP',
+  },
+}));
+
+import {
+  checkBudget,
+  effectiveBudget,
+  monthResetsAt,
+  readUsageTotals,
+  recentDays,
+  sumBreakdowns,
+  usageDay,
+  usageIncrement,
+  usageMonth,
+  UsageEvent,
+} from '../usage';
+
+const NOW = Date.UTC(2026, 9, 18, 23, 30);
+
+const event: UsageEvent = {
+  channelId: '123',
+  userId: '456',
+  userLogin: 'viewer',
+  characters: 12,
+  provider: '302ai',
+  voiceId: 'Chinese (Mandarin)_News_Anchor',
+  cacheHit: false,
+};
+
+describe('usage', () => {
+  describe('periods', () => {
+    it('should use UTC days and months', () => {
+      expect(usageDay(NOW)).toBe('2026-10-18');
+      expect(usageMonth(NOW)).toBe('2026-10');
+      expect(monthResetsAt(NOW).toISOString()).toBe('2026-11-01T00:00:00.000Z');
+      expect(monthResetsAt(Date.UTC(2026, 11, 31)).toISOString()).toBe('2027-01-01T00:00:00.000Z');
+    });
+
+    it('should list recent days oldest first, across a month boundary', () => {
+      expect(recentDays(Date.UTC(2026, 10, 2), 4)).toEqual(['2026-10-30', '2026-10-31', '2026-11-01', '2026-11-02']);
+    });
+  });
+
+  describe('usageIncrement', () => {
+    it('should bill a synthesis to its provider', () => {
+      expect(usageIncrement(event, 'channel')).toEqual({
+        characters: { increment: 12 },
+        billedCharacters: { increment: 12 },
+        requests: { increment: 1 },
+        cacheHits: { increment: 0 },
+        providers: { '302ai': { increment: 12 } },
+        voices: { 'Chinese (Mandarin)_News_Anchor': { increment: 12 } },
+        users: { viewer: { increment: 12 } },
+        updatedAt: 'SERVER_TIMESTAMP',
+      });
+    });
+
+    it('should not bill a cache hit, nor break user documents down by user', () => {
+      const update = usageIncrement({ ...event, cacheHit: true }, 'user');
+      expect(update).toMatchObject({ billedCharacters: { increment: 0 }, cacheHits: { increment: 1 } });
+      expect(update.providers).toBeUndefined();
+      expect(update.users).toBeUndefined();
+    });
+  });
+
+  describe('reading', () => {
+    it('should read missing or malformed counters as zero', () => {
+      expect(readUsageTotals(undefined)).toEqual({ characters: 0, billedCharacters: 0, requests: 0, cacheHits: 0 });
+      expect(readUsageTotals({ characters: 40, billedCharacters: 'x', requests: 3 })).toMatchObject({ characters: 40, billedCharacters: 0, requests: 3 });
+    });
+
+    it('should add up breakdowns and keep the largest entries', () => {
+      const totals = sumBreakdowns([
+        { voices: { a: 5, b: 1 }, users: { x: 6 } },
+        undefined,
+        { voices: { b: 7, c: 2 }, providers: { mock: 9 } },
+      ], 2);
+      expect(totals).toEqual({ providers: { mock: 9 }, voices: { b: 8, a: 5 }, users: { x: 6 } });
+      expect(Object.keys(totals.voices)).toEqual(['b', 'a']);
+    });
+  });
+
+  describe('budgets', () => {
+    it('should take the lower of the operator and channel budgets, ignoring unset ones', () => {
+      expect(effectiveBudget(0)).toBeNull();
+      expect(effectiveBudget(0, 5000)).toBe(5000);
+      expect(effectiveBudget(20000, 5000)).toBe(5000);
+      expect(effectiveBudget(20000, 50000)).toBe(20000);
+      expect(effectiveBudget(20000, 0)).toBe(20000);
+      expect(effectiveBudget(20000, 'lots')).toBe(20000);
+    });
+
+    it('should refuse only a call that would go over', () => {
+      expect(checkBudget('channel', 990, null, 500, NOW)).toBeNull();
+      expect(checkBudget('channel', 990, 1000, 10, NOW)).toBeNull();
+
+      const refusal = checkBudget('channel', 990, 1000, 11, NOW);
+      expect(refusal).toEqual({
+        scope: 'channel',
+        used: 990,
+        limit: 1000,
+        resetsAt: '2026-11-01T00:00:00.000Z',
+        message: 'This channel has used 990 of 1,000 TTS test characters this month. The budget resets on November 1.',
+      });
+    });
+  });
+});
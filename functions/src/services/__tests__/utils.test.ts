@@ -301,9 +301,11 @@ describe('utils', () => {
       jest.restoreAllMocks();
     });
 
+    const owner = { userId: '12345', userLogin: 'testuser' };
+
     it('should create a short link with a random slug', async () => {
       const longUrl = 'https://example.com/very/long/url';
-      const slug = await utils.createShortLink(longUrl);
+      const slug = await utils.createShortLink(longUrl, owner);
 
       expect(slug).toBeDefined();
       expect(typeof slug).toBe('string');
@@ -312,13 +314,23 @@ describe('utils', () => {
       expect(mockDb.doc).toHaveBeenCalledWith(slug);
       expect(mockDb.set).toHaveBeenCalledWith({
         url: longUrl,
+        ownerId: '12345',
+        ownerLogin: 'testuser',
         createdAt: expect.any(Date),
+        expiresAt: null,
+        disabled: false,
         clicks: 0,
       });
     });
 
+    it('should store an expiry when given one', async () => {
+      const expiresAt = new Date(Date.UTC(2027, 0, 1));
+      await utils.createShortLink('https://example.com', owner, expiresAt);
+      expect(mockDb.set).toHaveBeenCalledWith(expect.objectContaining({ expiresAt }));
+    });
+
     it('should throw error for invalid URL', async () => {
-      await expect(utils.createShortLink('not-a-url')).rejects.toThrow('Invalid URL provided');
+      await expect(utils.createShortLink('not-a-url', owner)).rejects.toThrow('Invalid URL provided');
     });
 
     it('should accept valid URLs with different protocols', async () => {
@@ -329,7 +341,7 @@ describe('utils', () => {
       ];
 
       for (const url of urls) {
-        await expect(utils.createShortLink(url)).resolves.toBeDefined();
+        await expect(utils.createShortLink(url, owner)).resolves.toBeDefined();
       }
     });
   });
@@ -0,0 +1,47 @@
+/**
+ * Unit tests for broadcaster-assigned voices
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { validateVoiceAssignment, readVoiceAssignments, getVoiceAssignment } from '../voiceAssignments';
+
+describe('voiceAssignments', () => {
+  describe('validateVoiceAssignment', () => {
+    it('should treat blank fields as unset and normalize the emotion', () => {
+      expect(validateVoiceAssignment({ voiceId: '', pitch: 3, emotion: 'Mad' })).toEqual({
+        ok: true,
+        settings: { voiceId: null, pitch: 3, speed: null, emotion: 'angry', overrideViewer: false },
+      });
+    });
+
+    it('should reject out-of-range values and an empty assignment', () => {
+      expect(validateVoiceAssignment({ speed: 3 }).ok).toBe(false);
+      expect(validateVoiceAssignment({ pitch: '2' }).ok).toBe(false);
+      expect(validateVoiceAssignment({ emotion: 'sleepy' })).toEqual({ ok: false, reason: 'Unknown emotion' });
+      expect(validateVoiceAssignment({ overrideViewer: true })).toEqual({ ok: false, reason: 'Choose at least a voice, pitch, speed or emotion' });
+      expect(validateVoiceAssignment(null).ok).toBe(false);
+    });
+  });
+
+  describe('reading', () => {
+    const data = {
+      voiceAssignments: {
+        'twitch:2': { label: 'Zed', voiceId: 'Calm_Woman', overrideViewer: 'yes' },
+        'twitch:1': { label: 'Amy', pitch: 4 },
+        'twitch:3': 'not an assignment',
+      },
+    };
+
+    it('should list valid entries by label and read loose flags as false', () => {
+      expect(readVoiceAssignments(data).map((entry) => [entry.key, entry.overrideViewer])).toEqual([
+        ['twitch:1', false],
+        ['twitch:2', false],
+      ]);
+    });
+
+    it('should not find inherited keys', () => {
+      expect(getVoiceAssignment(data, 'constructor')).toBeNull();
+      expect(getVoiceAssignment(data, 'twitch:1')).toMatchObject({ label: 'Amy', pitch: 4, voiceId: null });
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Unit tests for the voice catalog
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  VOICE_CATALOG,
+  RELEASED_VOICES,
+  VOICE_LANGUAGES,
+  getVoiceEntry,
+  searchVoiceCatalog,
+  voicePreviewAssets,
+} from '../voice-list';
+
+describe('voice catalog', () => {
+  it('should list each voice once, with a name and a provider', () => {
+    const ids = VOICE_CATALOG.map((entry) => entry.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    VOICE_CATALOG.forEach((entry) => {
+      expect(entry.name).toBeTruthy();
+      expect(entry.providers.length).toBeGreaterThan(0);
+    });
+  });
+
+  it('should offer only released voices', () => {
+    expect(RELEASED_VOICES).toEqual(
+      VOICE_CATALOG.filter((entry) => entry.status === 'released').map((entry) => entry.id));
+    expect(VOICE_LANGUAGES).toContain('Chinese,Yue');
+  });
+
+  it('should filter by language, tag and provider without regard to case', () => {
+    const korean = searchVoiceCatalog({ language: 'korean', tag: 'FEMALE' });
+    expect(korean.length).toBeGreaterThan(0);
+    korean.forEach((entry) => {
+      expect(entry.language).toBe('Korean');
+      expect(entry.tags).toContain('female');
+    });
+    searchVoiceCatalog({ provider: '302ai' }).forEach((entry) => {
+      expect(entry.providers).toContain('302ai');
+    });
+    expect(searchVoiceCatalog({ language: 'Klingon' })).toEqual([]);
+  });
+
+  it('should need every query word in the ID or the name', () => {
+    expect(searchVoiceCatalog({ query: 'wise woman' }).map((entry) => entry.id)).toContain('Wise_Woman');
+    expect(searchVoiceCatalog({ query: 'wise robot' })).toEqual([]);
+  });
+
+  it('should point at preview clips only where they were made', () => {
+    expect(voicePreviewAssets(getVoiceEntry('Wise_Woman')!)).toEqual({
+      dashboard: '/assets/voices/Wise_Woman-welcome-everyone-to-the-stream.mp3',
+      viewer: '/assets/voices/Wise_Woman-chat-is-this-real.mp3',
+    });
+    expect(voicePreviewAssets(getVoiceEntry('English_Imposing_Manner')!)).toBeNull();
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Unit tests for favorite and recent voices
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { readVoicePicks, setFavoriteVoice, recordRecentVoice, VOICE_PICK_LIMITS, VoicePicks } from '../voicePicks';
+import { RELEASED_VOICES } from '../voice-list';
+
+describe('voicePicks', () => {
+  const empty: VoicePicks = { favorites: [], recent: [] };
+
+  it('should read only released voices, once each', () => {
+    expect(readVoicePicks({ favorites: ['Wise_Woman', 'Not_A_Voice', 'Wise_Woman', 7], recent: 'Calm_Woman' }))
+      .toEqual({ favorites: ['Wise_Woman'], recent: [] });
+    expect(readVoicePicks(undefined)).toEqual(empty);
+  });
+
+  it('should star and unstar a voice', () => {
+    const starred = setFavoriteVoice(empty, 'Wise_Woman', true);
+    expect(starred).toEqual({ ok: true, picks: { favorites: ['Wise_Woman'], recent: [] } });
+    if (!starred.ok) return;
+    expect(setFavoriteVoice(starred.picks, 'Wise_Woman', true)).toEqual(starred);
+    expect(setFavoriteVoice(starred.picks, 'Wise_Woman', false)).toEqual({ ok: true, picks: empty });
+    expect(setFavoriteVoice(empty, 'Not_A_Voice', true)).toEqual({ ok: false, reason: 'Unknown voice' });
+  });
+
+  it('should refuse a favorite past the limit', () => {
+    const full = { favorites: RELEASED_VOICES.slice(0, VOICE_PICK_LIMITS.MAX_FAVORITES), recent: [] };
+    expect(setFavoriteVoice(full, RELEASED_VOICES[VOICE_PICK_LIMITS.MAX_FAVORITES], true).ok).toBe(false);
+    expect(setFavoriteVoice(full, full.favorites[0], true).ok).toBe(true);
+  });
+
+  it('should keep recent voices newest first and capped', () => {
+    let picks = empty;
+    for (const voiceId of RELEASED_VOICES.slice(0, VOICE_PICK_LIMITS.MAX_RECENT + 2)) {
+      const change = recordRecentVoice(picks, voiceId);
+      if (change.ok) picks = change.picks;
+    }
+    expect(picks.recent).toHaveLength(VOICE_PICK_LIMITS.MAX_RECENT);
+    expect(picks.recent[0]).toBe(RELEASED_VOICES[VOICE_PICK_LIMITS.MAX_RECENT + 1]);
+
+    const again = recordRecentVoice(picks, picks.recent[3]);
+    expect(again.ok && again.picks.recent[0]).toBe(picks.recent[3]);
+    expect(again.ok && again.picks.recent).toHaveLength(VOICE_PICK_LIMITS.MAX_RECENT);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for the channel voice policy
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  validateVoicePolicy,
+  readVoicePolicy,
+  isVoiceAllowed,
+  allowedVoiceIds,
+  policyViolation,
+  DEFAULT_VOICE_POLICY,
+} from '../voicePolicy';
+import { voiceLanguage, voiceTags, VOICE_LANGUAGES } from '../voice-list';
+import { validateTtsSetting } from '../channelSettings';
+
+describe('voicePolicy', () => {
+  describe('voice metadata', () => {
+    it('should read the language from the ID prefix', () => {
+      expect(voiceLanguage('Japanese_CalmLady')).toBe('Japanese');
+      expect(voiceLanguage('czech_male_1_v1')).toBe('Czech');
+      expect(voiceLanguage('Chinese (Mandarin)_News_Anchor')).toBe('Chinese');
+      expect(voiceLanguage('Cantonese_KindWoman')).toBe('Chinese,Yue');
+      expect(voiceLanguage('Wise_Woman')).toBe('English');
+      expect(VOICE_LANGUAGES).not.toContain('auto');
+    });
+
+    it('should not read "woman" as male', () => {
+      expect(voiceTags('Wise_Woman')).toEqual(['female']);
+      expect(voiceTags('Deep_Voice_Man')).toEqual(['male']);
+      expect(voiceTags('Robot_Armor')).toEqual(['character']);
+      expect(voiceTags('Not_A_Voice')).toEqual([]);
+    });
+  });
+
+  describe('validateVoicePolicy', () => {
+    it('should accept the default and a complete policy', () => {
+      expect(validateVoicePolicy(DEFAULT_VOICE_POLICY).ok).toBe(true);
+      expect(validateVoicePolicy({
+        ...DEFAULT_VOICE_POLICY,
+        voiceRule: 'allow',
+        languages: ['English'],
+        pitch: { min: -4, max: 4 },
+        emotions: ['happy', 'calm'],
+      }).ok).toBe(true);
+    });
+
+    it('should reject unknown entries, bad bounds and an empty allow list', () => {
+      expect(validateVoicePolicy({ ...DEFAULT_VOICE_POLICY, voices: ['Not_A_Voice'] }))
+        .toEqual({ ok: false, reason: 'Unknown entry in voices: Not_A_Voice' });
+      expect(validateVoicePolicy({ ...DEFAULT_VOICE_POLICY, speed: { min: 1.5, max: 1 } }).ok).toBe(false);
+      expect(validateVoicePolicy({ ...DEFAULT_VOICE_POLICY, pitch: { min: -20, max: 0 } }).ok).toBe(false);
+      expect(validateVoicePolicy({ ...DEFAULT_VOICE_POLICY, voiceRule: 'allow' }).ok).toBe(false);
+      expect(validateVoicePolicy({ ...DEFAULT_VOICE_POLICY, extra: true }).ok).toBe(false);
+      expect(validateVoicePolicy({ voiceRule: 'any' }).ok).toBe(false);
+    });
+
+    it('should be what the settings route checks', () => {
+      expect(validateTtsSetting('voicePolicy', DEFAULT_VOICE_POLICY)).toBe(true);
+      expect(validateTtsSetting('voicePolicy', { ...DEFAULT_VOICE_POLICY, emotions: ['sleepy'] })).toBe(false);
+    });
+
+    it('should read a malformed stored policy as no limits', () => {
+      expect(readVoicePolicy({ voicePolicy: { voiceRule: 'deny' } })).toBe(DEFAULT_VOICE_POLICY);
+      expect(readVoicePolicy(undefined)).toBe(DEFAULT_VOICE_POLICY);
+    });
+  });
+
+  describe('enforcement', () => {
+    const allowFemaleKorean = { ...DEFAULT_VOICE_POLICY, voiceRule: 'allow' as const, languages: ['Korean'], tags: ['female'] };
+
+    it('should match a voice by ID, language or tag', () => {
+      expect(isVoiceAllowed(allowFemaleKorean, 'Korean_CockyGuy')).toBe(true);
+      expect(isVoiceAllowed(allowFemaleKorean, 'Wise_Woman')).toBe(true);
+      expect(isVoiceAllowed(allowFemaleKorean, 'Deep_Voice_Man')).toBe(false);
+      expect(isVoiceAllowed({ ...allowFemaleKorean, voiceRule: 'deny' }, 'Deep_Voice_Man')).toBe(true);
+      expect(isVoiceAllowed({ ...DEFAULT_VOICE_POLICY, voiceRule: 'deny', voices: ['Calm_Woman'] }, 'Calm_Woman')).toBe(false);
+    });
+
+    it('should list the allowed voices only when the rule limits them', () => {
+      expect(allowedVoiceIds(DEFAULT_VOICE_POLICY)).toBeNull();
+      const listed = allowedVoiceIds({ ...DEFAULT_VOICE_POLICY, voiceRule: 'allow', voices: ['Calm_Woman'] });
+      expect(listed).toEqual(['Calm_Woman']);
+    });
+
+    it('should explain each kind of violation', () => {
+      const policy = { ...allowFemaleKorean, speed: { min: 0.8, max: 1.2 }, emotions: ['happy'] };
+      expect(policyViolation(policy, 'voiceId', 'Deep_Voice_Man')).toBe('That voice is not allowed on this channel');
+      expect(policyViolation(policy, 'speed', 1.5)).toBe('Speed must be from 0.8 to 1.2 on this channel');
+      expect(policyViolation(policy, 'emotion', 'sad')).toBe('That emotion is not allowed on this channel');
+      expect(policyViolation(policy, 'pitch', 10)).toBeNull();
+      expect(policyViolation(policy, 'voiceId', null)).toBeNull();
+    });
+  });
+});
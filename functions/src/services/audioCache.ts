@@ -0,0 +1,206 @@
+/**
+ * A cache of synthesized test audio, addressed by what was synthesized.
+ *
+ * The key is a SHA-256 over the normalized request (text, voice, pitch,
+ * speed, emotion, volume and language boost), so pressing "test voice" twice
+ * with the same settings pays for one synthesis. The browser computes the same
+ * key (public/js/common/voice-preview.ts) to fetch cached audio straight from
+ * GET /api/tts/cache/:key; the two must change together, which is what the
+ * version in the key is for.
+ *
+ * Entries live in an AudioCacheStore: ttsAudioCache documents in production,
+ * files under config.TTS_CACHE_DIR in emulator mode. An entry older than the
+ * TTL is a miss and is removed when found. When the entries add up to more
+ * than MAX_BYTES, the oldest are removed, checked at most once per
+ * EVICT_INTERVAL_MS on each instance.
+ */
+
+import { createHash } from "crypto";
+import axios from "axios";
+import { config, isEmulator } from "../config";
+import { logger } from "../logger";
+import type { TtsRequest } from "./ttsProviders";
+import { createFirestoreAudioStore, createLocalAudioStore } from "./audioCacheStores";
+
+const KEY_VERSION = "v1";
+
+export const AUDIO_CACHE_LIMITS = {
+  TTL_MS: 7 * 24 * 60 * 60 * 1000,
+  MAX_BYTES: 256 * 1024 * 1024,
+  // Comfortably under Firestore's 1 MiB document limit.
+  MAX_ENTRY_BYTES: 900 * 1024,
+  EVICT_INTERVAL_MS: 15 * 60 * 1000,
+};
+
+export interface CachedAudio {
+  audio: Buffer;
+  contentType: string;
+  provider: string;
+  model: string;
+  createdAt: number;
+}
+
+export interface CacheEntryInfo {
+  key: string;
+  size: number;
+  createdAt: number;
+}
+
+/** Where the entries are kept. Keys are always 64 lowercase hex digits. */
+export interface AudioCacheStore {
+  get(key: string): Promise<CachedAudio | null>;
+  put(key: string, entry: CachedAudio): Promise<void>;
+  delete(key: string): Promise<void>;
+  entries(): Promise<CacheEntryInfo[]>;
+}
+
+export interface AudioCache {
+  get(key: string): Promise<CachedAudio | null>;
+  /** Store an entry, unless it is over MAX_ENTRY_BYTES. Resolves to whether it was stored. */
+  put(key: string, entry: Omit<CachedAudio, "createdAt">): Promise<boolean>;
+  /** Remove expired entries, then the oldest until under MAX_BYTES. Resolves to how many went. */
+  evict(): Promise<number>;
+}
+
+const CACHE_KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Whether a string has the shape of a cache key.
+ * @param {string} key - The candidate
+ * @return {boolean} True for 64 lowercase hex digits
+ */
+export function isCacheKey(key: string): boolean {
+  return CACHE_KEY_PATTERN.test(key);
+}
+
+/**
+ * The values a request is cached under. Whitespace differences in the text
+ * and float noise in the sliders do not change the audio, so they are
+ * smoothed out.
+ * @param {TtsRequest} request - The resolved request
+ * @return {unknown[]} The values, in key order
+ */
+function normalizeForKey(request: TtsRequest): unknown[] {
+  const round2 = (value: number): number => Math.round(value * 100) / 100;
+  return [
+    KEY_VERSION,
+    request.text.trim().replace(/\s+/g, " "),
+    request.voiceId,
+    Math.round(request.pitch),
+    round2(request.speed),
+    request.emotion || "auto",
+    round2(request.volume),
+    request.languageBoost || "auto",
+  ];
+}
+
+/**
+ * The cache key for a request.
+ * @param {TtsRequest} request - The resolved request
+ * @return {string} SHA-256 of the normalized request, in hex
+ */
+export function ttsCacheKey(request: TtsRequest): string {
+  return createHash("sha256").update(JSON.stringify(normalizeForKey(request))).digest("hex");
+}
+
+/**
+ * The audio a provider returned, fetched so it can be cached. Handles the
+ * data: URLs the mock provider gives as well as http(s) URLs.
+ * @param {string} audioUrl - The provider's URL
+ * @return {Promise<{audio: Buffer, contentType: string}>} The bytes and their type
+ */
+export async function loadAudio(audioUrl: string): Promise<{ audio: Buffer; contentType: string }> {
+  const dataUrl = /^data:([^;,]+);base64,(.*)$/s.exec(audioUrl);
+  if (dataUrl) {
+    return { audio: Buffer.from(dataUrl[2], "base64"), contentType: dataUrl[1] };
+  }
+  const response = await axios.get<ArrayBuffer>(audioUrl, {
+    responseType: "arraybuffer",
+    timeout: 15000,
+    maxContentLength: AUDIO_CACHE_LIMITS.MAX_ENTRY_BYTES,
+  });
+  const contentType = String(response.headers["content-type"] || "audio/mpeg").split(";")[0];
+  return { audio: Buffer.from(response.data), contentType };
+}
+
+/**
+ * Cached audio as a data: URL, which plays without a second request.
+ * @param {CachedAudio} entry - The entry
+ * @return {string} The URL
+ */
+export function toDataUrl(entry: CachedAudio): string {
+  return `data:${entry.contentType};base64,${entry.audio.toString("base64")}`;
+}
+
+/**
+ * A cache over a store.
+ * @param {AudioCacheStore} store - Where the entries live
+ * @param {typeof AUDIO_CACHE_LIMITS} limits - TTL and size limits
+ * @param {Function} now - Clock, for tests
+ * @return {AudioCache} The cache
+ */
+export function createAudioCache(
+  store: AudioCacheStore,
+  limits: typeof AUDIO_CACHE_LIMITS = AUDIO_CACHE_LIMITS,
+  now: () => number = Date.now
+): AudioCache {
+  const log = logger.child({ module: "audioCache" });
+  let lastEvictedAt = 0;
+
+  const cache: AudioCache = {
+    async get(key: string): Promise<CachedAudio | null> {
+      const entry = await store.get(key);
+      if (!entry) return null;
+      if (now() - entry.createdAt > limits.TTL_MS) {
+        await store.delete(key);
+        return null;
+      }
+      return entry;
+    },
+
+    async put(key: string, entry: Omit<CachedAudio, "createdAt">): Promise<boolean> {
+      if (entry.audio.length > limits.MAX_ENTRY_BYTES) {
+        log.debug({ size: entry.audio.length }, "Audio too large to cache");
+        return false;
+      }
+      await store.put(key, { ...entry, createdAt: now() });
+      if (now() - lastEvictedAt >= limits.EVICT_INTERVAL_MS) {
+        lastEvictedAt = now();
+        await cache.evict().catch((error: Error) => log.warn({ error: error.message }, "Audio cache eviction failed"));
+      }
+      return true;
+    },
+
+    async evict(): Promise<number> {
+      const entries = (await store.entries()).sort((a, b) => a.createdAt - b.createdAt);
+      const doomed = new Set(entries.filter((entry) => now() - entry.createdAt > limits.TTL_MS).map((entry) => entry.key));
+      let total = entries.filter((entry) => !doomed.has(entry.key)).reduce((sum, entry) => sum + entry.size, 0);
+      for (const entry of entries) {
+        if (total <= limits.MAX_BYTES) break;
+        if (doomed.has(entry.key)) continue;
+        doomed.add(entry.key);
+        total -= entry.size;
+      }
+      await Promise.all([...doomed].map((key) => store.delete(key)));
+      if (doomed.size > 0) log.info({ removed: doomed.size, remainingBytes: total }, "Evicted cached audio");
+      return doomed.size;
+    },
+  };
+  return cache;
+}
+
+let defaultCache: { location: string; cache: AudioCache } | null = null;
+
+/**
+ * The cache the routes use: on the local filesystem in emulator mode,
+ * otherwise in Firestore.
+ * @return {AudioCache} The cache
+ */
+export function getAudioCache(): AudioCache {
+  const location = isEmulator ? config.TTS_CACHE_DIR : "firestore";
+  if (defaultCache?.location === location) return defaultCache.cache;
+
+  const store = isEmulator ? createLocalAudioStore(config.TTS_CACHE_DIR) : createFirestoreAudioStore();
+  defaultCache = { location, cache: createAudioCache(store) };
+  return defaultCache.cache;
+}
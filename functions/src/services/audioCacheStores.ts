@@ -0,0 +1,109 @@
+/**
+ * Where cached test audio is kept (see audioCache.ts).
+ *
+ *   Firestore  One ttsAudioCache document per key, with the audio as bytes.
+ *   Local      Two files per key in a directory, for the emulator: the audio
+ *              and a small JSON sidecar with everything else.
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+import { db, COLLECTIONS } from "./firestore";
+import type { AudioCacheStore, CachedAudio, CacheEntryInfo } from "./audioCache";
+
+/**
+ * A store in the ttsAudioCache collection.
+ * @return {AudioCacheStore} The store
+ */
+export function createFirestoreAudioStore(): AudioCacheStore {
+  const collection = () => db.collection(COLLECTIONS.TTS_AUDIO_CACHE);
+
+  return {
+    async get(key: string): Promise<CachedAudio | null> {
+      const doc = await collection().doc(key).get();
+      const data = doc.exists ? doc.data() : undefined;
+      if (!data || !data.audio) return null;
+      return {
+        audio: Buffer.from(data.audio),
+        contentType: data.contentType || "audio/mpeg",
+        provider: data.provider || "",
+        model: data.model || "",
+        createdAt: data.createdAt || 0,
+      };
+    },
+
+    async put(key: string, entry: CachedAudio): Promise<void> {
+      await collection().doc(key).set({ ...entry, size: entry.audio.length });
+    },
+
+    async delete(key: string): Promise<void> {
+      await collection().doc(key).delete();
+    },
+
+    async entries(): Promise<CacheEntryInfo[]> {
+      const snapshot = await collection().select("size", "createdAt").get();
+      return snapshot.docs.map((doc) => ({
+        key: doc.id,
+        size: doc.get("size") || 0,
+        createdAt: doc.get("createdAt") || 0,
+      }));
+    },
+  };
+}
+
+/**
+ * A store in a local directory, created on first write.
+ * @param {string} dir - The directory
+ * @return {AudioCacheStore} The store
+ */
+export function createLocalAudioStore(dir: string): AudioCacheStore {
+  const audioPath = (key: string) => path.join(dir, `${key}.audio`);
+  const metaPath = (key: string) => path.join(dir, `${key}.json`);
+  const ignoreMissing = (error: NodeJS.ErrnoException): void => {
+    if (error.code !== "ENOENT") throw error;
+  };
+
+  return {
+    async get(key: string): Promise<CachedAudio | null> {
+      try {
+        const meta = JSON.parse(await fs.readFile(metaPath(key), "utf8"));
+        const audio = await fs.readFile(audioPath(key));
+        return { ...meta, audio };
+      } catch (error) {
+        ignoreMissing(error as NodeJS.ErrnoException);
+        return null;
+      }
+    },
+
+    async put(key: string, entry: CachedAudio): Promise<void> {
+      const { audio, ...meta } = entry;
+      await fs.mkdir(dir, { recursive: true });
+      // The sidecar goes last: an entry without one is not found.
+      await fs.writeFile(audioPath(key), audio);
+      await fs.writeFile(metaPath(key), JSON.stringify({ ...meta, size: audio.length }));
+    },
+
+    async delete(key: string): Promise<void> {
+      await fs.unlink(metaPath(key)).catch(ignoreMissing);
+      await fs.unlink(audioPath(key)).catch(ignoreMissing);
+    },
+
+    async entries(): Promise<CacheEntryInfo[]> {
+      const names = await fs.readdir(dir).catch((error: NodeJS.ErrnoException) => {
+        ignoreMissing(error);
+        return [] as string[];
+      });
+      const entries = await Promise.all(names.filter((name) => name.endsWith(".json")).map(async (name) => {
+        const key = name.slice(0, -".json".length);
+        try {
+          const meta = JSON.parse(await fs.readFile(metaPath(key), "utf8"));
+          return { key, size: meta.size || 0, createdAt: meta.createdAt || 0 };
+        } catch (error) {
+          ignoreMissing(error as NodeJS.ErrnoException);
+          return null;
+        }
+      }));
+      return entries.filter((entry): entry is CacheEntryInfo => entry !== null);
+    },
+  };
+}
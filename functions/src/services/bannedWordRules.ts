@@ -0,0 +1,494 @@
+/**
+ * Banned-word rules.
+ *
+ * Each rule pairs a pattern with a way of matching it and an action:
+ *
+ *   type         exact       the text anywhere, even inside a longer word
+ *                whole-word  the word or phrase on its own (the original behaviour)
+ *                wildcard    whole words where * is any run of letters or digits
+ *                             and ? is one letter or digit
+ *                regex       a regular expression, checked for complexity on save
+ *                normalized  leetspeak, look-alike letters, repeated letters and
+ *                             spacing folded away before comparing
+ *   action       drop        the message is not spoken
+ *                skip        the matching words are left out
+ *                replace     the matching words are spoken as `replacement`
+ *
+ * Rules are stored in the `bannedWordRules` map, keyed by rule ID. Channels
+ * saved before rules existed have a `bannedWords` array of lowercase strings;
+ * those read as whole-word drop rules and are moved into the map the first
+ * time the list is edited.
+ *
+ * The tts-twitch bot shares the document and still filters on `bannedWords`,
+ * so once a channel has rules that array is kept as the bot's copy of them:
+ * the patterns of every exact and whole-word rule (see botBannedWords). A word
+ * in the array that no such rule covers is still read as a legacy word.
+ */
+
+import type { DocumentData } from "@google-cloud/firestore";
+import { createHash, randomBytes } from "crypto";
+
+export const BANNED_WORD_RULE_TYPES = ["exact", "whole-word", "wildcard", "regex", "normalized"] as const;
+export const BANNED_WORD_ACTIONS = ["drop", "skip", "replace"] as const;
+
+export type BannedWordRuleType = typeof BANNED_WORD_RULE_TYPES[number];
+export type BannedWordAction = typeof BANNED_WORD_ACTIONS[number];
+
+export const BANNED_WORD_LIMITS = {
+  MAX_RULES: 200,
+  MAX_PATTERN_LENGTH: 100,
+  MAX_REPLACEMENT_LENGTH: 40,
+  MAX_REGEX_QUANTIFIERS: 10,
+  MAX_REGEX_REPEAT: 50,
+  // Ways a regular expression's repeats can split the text at one position,
+  // counting an open-ended repeat as the longest chat message.
+  MAX_REGEX_SPLITS: 1024,
+  MAX_WILDCARD_STARS: 2,
+};
+
+// The longest message a rule runs on: chat and redemption input alike.
+const MAX_TEXT_LENGTH = 500;
+
+/** A rule as stored. `replacement` is null unless the action is "replace". */
+export interface BannedWordRule {
+  type: BannedWordRuleType;
+  pattern: string;
+  action: BannedWordAction;
+  replacement: string | null;
+}
+
+export interface StoredBannedWordRule extends BannedWordRule {
+  id: string;
+  /** Set while the rule lives only in the legacy `bannedWords` array. */
+  legacy?: boolean;
+}
+
+export type RuleValidation =
+  | { ok: true; rule: BannedWordRule }
+  | { ok: false; reason: string };
+
+// eslint-disable-next-line no-control-regex
+const CONTROL_CHARS = /[\u0000-\u001F\u007F-\u009F]/g;
+
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+const WORD_START = "(?<![\\p{L}\\p{N}'])";
+const WORD_END = "(?![\\p{L}\\p{N}'])";
+
+// Digits and symbols commonly typed in place of letters.
+const LEET: Record<string, string> = {
+  "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t", "8": "b", "9": "g",
+  "@": "a", "$": "s", "!": "i", "|": "l", "+": "t",
+};
+
+// Cyrillic and Greek letters that render like Latin ones. Accents and
+// full-width forms are handled by NFKD decomposition instead.
+const CONFUSABLES: Record<string, string> = {
+  "а": "a", "в": "b", "е": "e", "к": "k", "м": "m", "н": "h", "о": "o", "р": "p",
+  "с": "c", "т": "t", "у": "y", "х": "x", "і": "i", "ј": "j", "ѕ": "s", "ԁ": "d",
+  "α": "a", "β": "b", "ε": "e", "ι": "i", "κ": "k", "ν": "v", "ο": "o", "ρ": "p",
+  "τ": "t", "υ": "u", "χ": "x",
+};
+
+function escapeRegExp(str: string): string {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * A fresh ID for a new rule. Never contains a dot, so it is safe as a map key.
+ * @return {string} The ID
+ */
+export function newRuleId(): string {
+  return randomBytes(6).toString("hex");
+}
+
+/**
+ * The ID a legacy banned word keeps once it moves into the rules map. It is
+ * derived from the word so the dashboard can address the rule before and
+ * after the move.
+ * @param {string} word - The legacy banned word
+ * @return {string} The ID
+ */
+export function legacyRuleId(word: string): string {
+  return `w${createHash("sha1").update(word).digest("hex").slice(0, 11)}`;
+}
+
+/**
+ * The rule a legacy banned word stands for.
+ * @param {string} word - The legacy banned word
+ * @return {BannedWordRule} A whole-word rule that drops the message
+ */
+export function legacyRule(word: string): BannedWordRule {
+  return { type: "whole-word", pattern: word, action: "drop", replacement: null };
+}
+
+/**
+ * Why a regular expression is too expensive to run on chat, if it is.
+ * Rejects backreferences and lookaround, caps the number of quantifiers and
+ * the size of counted repeats, and refuses a repeated group that itself
+ * repeats or alternates — the shapes behind catastrophic backtracking.
+ * Repeats next to each other backtrack through every way of sharing the text
+ * between them, so only one may be open-ended and together they may only
+ * split the text so many ways.
+ * @param {string} pattern - The regular expression source
+ * @return {string | null} The reason it is rejected, or null if it is acceptable
+ */
+export function regexComplexityProblem(pattern: string): string | null {
+  if (/\\[1-9]|\\k</.test(pattern)) return "cannot use backreferences";
+  if (/\(\?<?[=!]/.test(pattern)) return "cannot use lookahead or lookbehind";
+
+  // One flag per open group: whether it contains a repeat or an alternation.
+  const groups: boolean[] = [];
+  let closedGroupIsRisky = false;
+  let quantifiers = 0;
+  let unbounded = 0;
+  let splits = 1;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+
+    if (ch === "\\") {
+      i++;
+      closedGroupIsRisky = false;
+      continue;
+    }
+    if (ch === "[") {
+      for (i++; i < pattern.length && pattern[i] !== "]"; i++) {
+        if (pattern[i] === "\\") i++;
+      }
+      closedGroupIsRisky = false;
+      continue;
+    }
+    if (ch === "(") {
+      groups.push(false);
+      if (pattern[i + 1] === "?") {
+        // Non-capturing "(?:" or named "(?<name>"; lookaround was refused above.
+        i = pattern[i + 2] === "<" ? pattern.indexOf(">", i) : i + 2;
+      }
+      continue;
+    }
+    if (ch === ")") {
+      closedGroupIsRisky = groups.pop() ?? false;
+      if (closedGroupIsRisky && groups.length > 0) groups[groups.length - 1] = true;
+      continue;
+    }
+    if (ch === "|") {
+      if (groups.length > 0) groups[groups.length - 1] = true;
+      closedGroupIsRisky = false;
+      continue;
+    }
+
+    const counted = ch === "{" ? /^\{(\d+)(?:,(\d*))?\}/.exec(pattern.slice(i)) : null;
+    if (ch === "*" || ch === "+" || ch === "?" || counted) {
+      quantifiers++;
+      if (counted) {
+        const min = Number(counted[1]);
+        const max = counted[2] === undefined ? min : counted[2] === "" ? Infinity : Number(counted[2]);
+        if (max > BANNED_WORD_LIMITS.MAX_REGEX_REPEAT) {
+          return `cannot repeat more than ${BANNED_WORD_LIMITS.MAX_REGEX_REPEAT} times`;
+        }
+        splits *= Math.max(max - min + 1, 1);
+        i += counted[0].length - 1;
+      } else if (ch === "?") {
+        splits *= 2;
+      } else {
+        unbounded++;
+        splits *= MAX_TEXT_LENGTH;
+      }
+      if (closedGroupIsRisky && ch !== "?") return "cannot repeat a group that itself repeats or alternates";
+      if (groups.length > 0) groups[groups.length - 1] = true;
+      if (pattern[i + 1] === "?") i++; // lazy modifier, not another repeat
+      closedGroupIsRisky = false;
+      continue;
+    }
+    closedGroupIsRisky = false;
+  }
+
+  if (quantifiers > BANNED_WORD_LIMITS.MAX_REGEX_QUANTIFIERS) {
+    return `cannot use more than ${BANNED_WORD_LIMITS.MAX_REGEX_QUANTIFIERS} repeats`;
+  }
+  if (unbounded > 1) return "cannot use more than one open-ended repeat (* or +)";
+  if (splits > BANNED_WORD_LIMITS.MAX_REGEX_SPLITS) return "cannot combine repeats that long";
+  return null;
+}
+
+/**
+ * Validate and normalize a rule from a request or an import.
+ * @param {unknown} raw - The caller-supplied rule
+ * @return {RuleValidation} The normalized rule, or the reason it was rejected
+ */
+export function validateBannedWordRule(raw: unknown): RuleValidation {
+  if (!isPlainObject(raw)) return { ok: false, reason: "Rule must be an object" };
+
+  const type = raw.type ?? "whole-word";
+  const action = raw.action ?? "drop";
+  if (!BANNED_WORD_RULE_TYPES.includes(type as BannedWordRuleType)) {
+    return { ok: false, reason: `Rule type must be one of: ${BANNED_WORD_RULE_TYPES.join(", ")}` };
+  }
+  if (!BANNED_WORD_ACTIONS.includes(action as BannedWordAction)) {
+    return { ok: false, reason: `Action must be one of: ${BANNED_WORD_ACTIONS.join(", ")}` };
+  }
+
+  if (typeof raw.pattern !== "string") return { ok: false, reason: "Word or pattern is required" };
+  let pattern = raw.pattern.replace(CONTROL_CHARS, "").trim();
+  // Regular expressions are case-insensitive when run, but "\W" and "\w" differ.
+  if (type !== "regex") pattern = pattern.replace(/\s+/g, " ").toLowerCase();
+  if (!pattern) return { ok: false, reason: "Word or pattern is required" };
+  if (pattern.length > BANNED_WORD_LIMITS.MAX_PATTERN_LENGTH) {
+    return { ok: false, reason: `Pattern must be ${BANNED_WORD_LIMITS.MAX_PATTERN_LENGTH} characters or fewer` };
+  }
+
+  if (type === "wildcard") {
+    // "**" means no more than "*", and each "*" multiplies the backtracking.
+    pattern = pattern.replace(/\*{2,}/g, "*");
+    if (!/[\p{L}\p{N}]/u.test(pattern)) {
+      return { ok: false, reason: "Wildcard pattern must contain at least one letter or digit" };
+    }
+    if ((pattern.match(/\*/g) || []).length > BANNED_WORD_LIMITS.MAX_WILDCARD_STARS) {
+      return { ok: false, reason: `Wildcard pattern can use * at most ${BANNED_WORD_LIMITS.MAX_WILDCARD_STARS} times` };
+    }
+  }
+  if (type === "normalized" && foldText(pattern).folded.length === 0) {
+    return { ok: false, reason: "Pattern must contain at least one letter or digit" };
+  }
+  if (type === "regex") {
+    try {
+      new RegExp(pattern, "iu");
+    } catch {
+      return { ok: false, reason: "Pattern is not a valid regular expression" };
+    }
+    const problem = regexComplexityProblem(pattern);
+    if (problem) return { ok: false, reason: `Pattern ${problem}` };
+    if (new RegExp(pattern, "iu").test("")) {
+      return { ok: false, reason: "Pattern must not match an empty message" };
+    }
+  }
+
+  let replacement: string | null = null;
+  if (action === "replace") {
+    replacement = typeof raw.replacement === "string" ?
+      raw.replacement.replace(CONTROL_CHARS, "").trim().replace(/\s+/g, " ") :
+      "";
+    if (!replacement) return { ok: false, reason: "Replacement word is required" };
+    if (replacement.length > BANNED_WORD_LIMITS.MAX_REPLACEMENT_LENGTH) {
+      return { ok: false, reason: `Replacement must be ${BANNED_WORD_LIMITS.MAX_REPLACEMENT_LENGTH} characters or fewer` };
+    }
+  }
+
+  return {
+    ok: true,
+    rule: { type: type as BannedWordRuleType, pattern, action: action as BannedWordAction, replacement },
+  };
+}
+
+/**
+ * Whether a channel keeps its banned words as rules. From then on its
+ * `bannedWords` array is the bot's copy of the rules rather than the list.
+ * @param {DocumentData | undefined} data - The ttsChannelConfigs document data
+ * @return {boolean} True once the rules map exists, even if it is empty
+ */
+export function hasBannedWordRules(data: DocumentData | undefined): boolean {
+  return isPlainObject(data?.bannedWordRules);
+}
+
+/**
+ * The `bannedWords` array the tts-twitch bot filters on, for a set of rules.
+ * The bot only knows whole words that drop the message, so exact and
+ * whole-word rules are listed whatever their action: the bot then drops a
+ * message the dashboard would have rewritten, but never speaks a banned word.
+ * Wildcard, regex and normalized rules have no plain-word form and are left out.
+ * @param {BannedWordRule[]} rules - The channel's rules
+ * @return {string[]} The patterns, sorted and without duplicates
+ */
+export function botBannedWords(rules: BannedWordRule[]): string[] {
+  const words = rules
+    .filter((rule) => rule.type === "exact" || rule.type === "whole-word")
+    .map((rule) => rule.pattern);
+  return [...new Set(words)].sort();
+}
+
+/**
+ * Every rule a channel has, stored rules first and then legacy words that
+ * have not been moved yet. Entries that fail validation are left out, and so
+ * are words in the array that an exact or whole-word rule already covers,
+ * which is what the bot's copy of the rules consists of.
+ * @param {DocumentData | undefined} data - The ttsChannelConfigs document data
+ * @return {StoredBannedWordRule[]} The rules with their IDs
+ */
+export function readBannedWordRules(data: DocumentData | undefined): StoredBannedWordRule[] {
+  const rules: StoredBannedWordRule[] = [];
+  const stored = isPlainObject(data?.bannedWordRules) ? data.bannedWordRules : {};
+  for (const [id, value] of Object.entries(stored)) {
+    const result = validateBannedWordRule(value);
+    if (result.ok) rules.push({ id, ...result.rule });
+  }
+
+  if (Array.isArray(data?.bannedWords)) {
+    const covered = new Set(botBannedWords(rules));
+    for (const word of new Set<unknown>(data.bannedWords)) {
+      if (typeof word !== "string" || !word.trim() || covered.has(word)) continue;
+      const id = legacyRuleId(word);
+      if (!Object.hasOwn(stored, id)) rules.push({ id, ...legacyRule(word), legacy: true });
+    }
+  }
+  return rules;
+}
+
+/**
+ * The write that moves legacy banned words into the rules map, for use inside
+ * the transaction of any banned-word edit.
+ * @param {DocumentData | undefined} data - The ttsChannelConfigs document data
+ * @return {{words: string[], rules: Record<string, BannedWordRule>}} The words moved and their rules; both empty when there is nothing to move
+ */
+export function legacyMigration(data: DocumentData | undefined): { words: string[]; rules: Record<string, BannedWordRule> } {
+  const words: string[] = [];
+  const rules: Record<string, BannedWordRule> = {};
+  for (const rule of readBannedWordRules(data)) {
+    if (!rule.legacy) continue;
+    words.push(rule.pattern);
+    rules[rule.id] = legacyRule(rule.pattern);
+  }
+  return { words, rules };
+}
+
+// ==========================================
+// MATCHING
+// ==========================================
+
+/** A character range [start, end) of the original text. */
+type Span = [number, number];
+
+/**
+ * Fold text for normalized matching: lowercase, strip accents, map look-alike
+ * and leetspeak characters to letters, drop everything else and squeeze
+ * repeated letters. Each folded character remembers where it came from.
+ * @param {string} text - The text to fold
+ * @return {{folded: string, start: number[], end: number[], wordStart: boolean[]}} The folded text with, per character, its original range and whether it begins a word
+ */
+function foldText(text: string): { folded: string; start: number[]; end: number[]; wordStart: boolean[] } {
+  let folded = "";
+  const start: number[] = [];
+  const end: number[] = [];
+  const wordStart: boolean[] = [];
+  let previousKept = false;
+
+  for (let i = 0; i < text.length;) {
+    const ch = String.fromCodePoint(text.codePointAt(i) as number);
+    const base = ch.toLowerCase().normalize("NFKD").replace(/\p{M}/gu, "");
+    const mapped = CONFUSABLES[base] ?? LEET[base] ?? base;
+    const next = i + ch.length;
+
+    if (!/^[\p{L}\p{N}]+$/u.test(mapped)) {
+      previousKept = false;
+    } else {
+      for (const letter of mapped) {
+        if (previousKept && folded.endsWith(letter)) {
+          end[end.length - 1] = next;
+          continue;
+        }
+        folded += letter;
+        start.push(i);
+        end.push(next);
+        wordStart.push(!previousKept);
+        previousKept = true;
+      }
+    }
+    i = next;
+  }
+  return { folded, start, end, wordStart };
+}
+
+function findNormalized(text: string, pattern: string): Span[] {
+  const needle = foldText(pattern).folded;
+  const hay = foldText(text);
+  const spans: Span[] = [];
+  // A match must begin a word: "b.a.d" and "baaad" match "bad", "abad" does not.
+  for (let at = hay.folded.indexOf(needle); at !== -1; at = hay.folded.indexOf(needle, at + 1)) {
+    if (!hay.wordStart[at]) continue;
+    spans.push([hay.start[at], hay.end[at + needle.length - 1]]);
+    at += needle.length - 1;
+  }
+  return spans;
+}
+
+function ruleRegExp(rule: BannedWordRule): RegExp {
+  const literal = escapeRegExp(rule.pattern).replace(/ /g, "\\s+");
+  switch (rule.type) {
+  case "exact":
+    return new RegExp(literal, "giu");
+  case "wildcard": {
+    const body = literal.replace(/\\\*/g, "[\\p{L}\\p{N}]*").replace(/\\\?/g, "[\\p{L}\\p{N}]");
+    return new RegExp(`${WORD_START}${body}${WORD_END}`, "giu");
+  }
+  case "regex":
+    return new RegExp(rule.pattern, "giu");
+  default:
+    return new RegExp(`${WORD_START}${literal}${WORD_END}`, "giu");
+  }
+}
+
+/**
+ * Where a rule matches in a text.
+ * @param {BannedWordRule} rule - The rule
+ * @param {string} text - The message
+ * @return {Span[]} The matching ranges, in order
+ */
+function findMatches(rule: BannedWordRule, text: string): Span[] {
+  if (rule.type === "normalized") return findNormalized(text, rule.pattern);
+  const spans: Span[] = [];
+  for (const match of text.matchAll(ruleRegExp(rule))) {
+    if (match[0].length > 0) spans.push([match.index, match.index + match[0].length]);
+  }
+  return spans;
+}
+
+/** Grow a range to the whole words it touches. */
+function widenToWords(text: string, [start, end]: Span): Span {
+  while (start > 0 && WORD_CHAR.test(text[start - 1])) start--;
+  while (end < text.length && WORD_CHAR.test(text[end])) end++;
+  return [start, end];
+}
+
+export interface RuleOutcome {
+  /** The drop rule that stopped the message, if one did. */
+  dropped: BannedWordRule | null;
+  text: string;
+  /** How many matches were skipped or replaced. */
+  rewritten: number;
+}
+
+/**
+ * Run a message through a list of rules. Drop rules are checked against the
+ * original text before anything is rewritten. Skip and replace then act on
+ * whole words, so a match inside "badword" takes out the whole word.
+ * @param {string} text - The message
+ * @param {BannedWordRule[]} rules - The rules, in priority order
+ * @return {RuleOutcome} What happened to the message
+ */
+export function applyBannedWordRules(text: string, rules: BannedWordRule[]): RuleOutcome {
+  for (const rule of rules) {
+    if (rule.action === "drop" && findMatches(rule, text).length > 0) {
+      return { dropped: rule, text, rewritten: 0 };
+    }
+  }
+
+  let result = text;
+  let rewritten = 0;
+  for (const rule of rules) {
+    if (rule.action === "drop") continue;
+    const spans = findMatches(rule, result).map((span) => widenToWords(result, span));
+    // Right to left, so earlier ranges stay valid as later ones are replaced.
+    let lastStart = Infinity;
+    for (const [start, end] of spans.reverse()) {
+      if (end > lastStart) continue; // overlaps a range already handled
+      result = result.slice(0, start) + (rule.replacement ?? "") + result.slice(end);
+      lastStart = start;
+      rewritten++;
+    }
+  }
+
+  return { dropped: null, text: rewritten > 0 ? result.replace(/\s+/g, " ").trim() : result, rewritten };
+}
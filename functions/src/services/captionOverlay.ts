@@ -0,0 +1,158 @@
+/**
+ * Caption overlay settings for the OBS browser source.
+ *
+ * Besides playing audio, the browser source can show the message being
+ * spoken. How it looks is stored, not put in the URL, so it can be changed
+ * from the dashboard without re-adding the source in OBS:
+ *
+ *   - the channel's default is the `obsOverlay` field of its
+ *     ttsChannelConfigs document;
+ *   - a named source (an OBS token, see obsTokens.ts) may have its own in its
+ *     token document's `overlay` field, used instead of the default.
+ *
+ * The captions URL is the source's browser source URL with `view=captions`
+ * added. The TTS service serving it gets the settings to apply, with their
+ * `updatedAt`, in the answer to POST /api/obs/verify, and reapplies them when
+ * `updatedAt` changes.
+ */
+
+export const CAPTION_FONTS = ["sans-serif", "serif", "monospace", "Inter", "Roboto", "Montserrat", "Comic Neue"];
+export const CAPTION_POSITIONS = ["top-left", "top", "top-right", "bottom-left", "bottom", "bottom-right"];
+export const CAPTION_ANIMATIONS = ["none", "fade", "slide", "typewriter"];
+
+export const CAPTION_LIMITS = {
+  FONT_SIZE: {MIN: 12, MAX: 96},
+  MAX_LINES: {MIN: 1, MAX: 10},
+  DISPLAY_SECONDS: {MIN: 1, MAX: 60},
+  BACKGROUND_OPACITY: {MIN: 0, MAX: 100},
+};
+
+export interface CaptionOverlay {
+  enabled: boolean;
+  fontFamily: string;
+  fontSize: number;
+  textColor: string;
+  backgroundColor: string;
+  backgroundOpacity: number;
+  position: string;
+  maxLines: number;
+  showUsername: boolean;
+  showVoice: boolean;
+  animation: string;
+  displaySeconds: number;
+}
+
+export const DEFAULT_CAPTION_OVERLAY: CaptionOverlay = {
+  enabled: false,
+  fontFamily: "sans-serif",
+  fontSize: 32,
+  textColor: "#ffffff",
+  backgroundColor: "#000000",
+  backgroundOpacity: 60,
+  position: "bottom",
+  maxLines: 3,
+  showUsername: true,
+  showVoice: false,
+  animation: "fade",
+  displaySeconds: 8,
+};
+
+export type OverlayValidation =
+  | { ok: true; overlay: CaptionOverlay }
+  | { ok: false; reason: string };
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Check overlay settings as the dashboard sends them. Every field must be
+ * present, so what is saved reads back exactly as written.
+ * @param {unknown} input - The proposed settings
+ * @return {OverlayValidation} The settings, or the reason they were rejected
+ */
+export function validateCaptionOverlay(input: unknown): OverlayValidation {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return {ok: false, reason: "Overlay settings must be an object"};
+  }
+  const raw = input as Record<string, unknown>;
+  const fields = Object.keys(DEFAULT_CAPTION_OVERLAY);
+  const extra = Object.keys(raw).find((key) => !fields.includes(key));
+  if (extra) return {ok: false, reason: `Unknown overlay field: ${extra}`};
+  const missing = fields.find((key) => !(key in raw));
+  if (missing) return {ok: false, reason: `Missing overlay field: ${missing}`};
+
+  for (const field of ["enabled", "showUsername", "showVoice"]) {
+    if (typeof raw[field] !== "boolean") return {ok: false, reason: `${field} must be true or false`};
+  }
+  const choices: [string, string[]][] = [
+    ["fontFamily", CAPTION_FONTS],
+    ["position", CAPTION_POSITIONS],
+    ["animation", CAPTION_ANIMATIONS],
+  ];
+  for (const [field, allowed] of choices) {
+    if (!allowed.includes(raw[field] as string)) {
+      return {ok: false, reason: `${field} must be one of ${allowed.join(", ")}`};
+    }
+  }
+  for (const field of ["textColor", "backgroundColor"]) {
+    if (typeof raw[field] !== "string" || !HEX_COLOR.test(raw[field] as string)) {
+      return {ok: false, reason: `${field} must be a color like #1a2b3c`};
+    }
+  }
+  const bounds: [string, { MIN: number; MAX: number }][] = [
+    ["fontSize", CAPTION_LIMITS.FONT_SIZE],
+    ["maxLines", CAPTION_LIMITS.MAX_LINES],
+    ["displaySeconds", CAPTION_LIMITS.DISPLAY_SECONDS],
+    ["backgroundOpacity", CAPTION_LIMITS.BACKGROUND_OPACITY],
+  ];
+  for (const [field, limits] of bounds) {
+    const value = raw[field];
+    if (typeof value !== "number" || !Number.isInteger(value) || value < limits.MIN || value > limits.MAX) {
+      return {ok: false, reason: `${field} must be a whole number from ${limits.MIN} to ${limits.MAX}`};
+    }
+  }
+
+  return {
+    ok: true,
+    overlay: {
+      ...(raw as unknown as CaptionOverlay),
+      textColor: (raw.textColor as string).toLowerCase(),
+      backgroundColor: (raw.backgroundColor as string).toLowerCase(),
+    },
+  };
+}
+
+/**
+ * Stored settings, with defaults for any field an older document lacks.
+ * Settings that no longer validate fall back to the defaults entirely.
+ * @param {unknown} stored - The stored settings, if any
+ * @return {CaptionOverlay | null} The settings, or null if none are stored
+ */
+export function readCaptionOverlay(stored: unknown): CaptionOverlay | null {
+  if (!stored || typeof stored !== "object") return null;
+  const merged: Record<string, unknown> = {...DEFAULT_CAPTION_OVERLAY};
+  for (const key of Object.keys(DEFAULT_CAPTION_OVERLAY)) {
+    if (key in (stored as Record<string, unknown>)) merged[key] = (stored as Record<string, unknown>)[key];
+  }
+  const result = validateCaptionOverlay(merged);
+  return result.ok ? result.overlay : {...DEFAULT_CAPTION_OVERLAY};
+}
+
+/**
+ * The settings a source shows captions with: its own, else the channel's,
+ * else the defaults.
+ * @param {unknown} channelOverlay - The channel document's obsOverlay
+ * @param {unknown} sourceOverlay - The token document's overlay
+ * @return {CaptionOverlay} The settings
+ */
+export function resolveCaptionOverlay(channelOverlay: unknown, sourceOverlay: unknown): CaptionOverlay {
+  return readCaptionOverlay(sourceOverlay) ?? readCaptionOverlay(channelOverlay) ?? {...DEFAULT_CAPTION_OVERLAY};
+}
+
+/**
+ * The captions URL for a browser source URL.
+ * @param {string} sourceUrl - The source's browser source URL
+ * @return {string} The URL to add as a captions browser source
+ */
+export function captionsUrl(sourceUrl: string): string {
+  return `${sourceUrl}&view=captions`;
+}
@@ -0,0 +1,160 @@
+/**
+ * Delegated channel access.
+ *
+ * A broadcaster can grant other Twitch accounts a role on their channel. Grants
+ * live in the top-level `channelRoles` collection, one document per
+ * (broadcaster, account) pair with ID "<broadcasterId>_<userId>". Checking a
+ * request, listing "who can manage my channel" and listing "which channels can
+ * I manage" are each one equality query.
+ *
+ *   broadcasterId     Twitch user ID of the channel; also its config doc ID
+ *   broadcasterLogin  Channel login, which is what routes carry. Refreshed
+ *                     whenever the broadcaster lists their grants, so a rename
+ *                     does not strand them
+ *   userId            Twitch user ID of the grantee
+ *   login             Grantee login, display only
+ *   displayName       Grantee display name, display only
+ *   role              One of GRANTABLE_ROLES
+ *   grantedAt         Server time of the last change
+ *
+ * Roles are ranked. Each includes everything the roles below it may do:
+ *
+ *   viewer-only  Read settings, history and rewards
+ *   moderator    Also maintain the ignore list, banned words and pronunciations,
+ *                and approve or refund queued reward redemptions
+ *   editor       Also change every TTS setting, import, revert, and manage rewards
+ *   broadcaster  The channel owner. Never stored; it is who grants the others
+ */
+
+import { db, FieldValue, COLLECTIONS } from "./firestore";
+
+export const CHANNEL_ROLES = ["viewer-only", "moderator", "editor", "broadcaster"] as const;
+
+export type ChannelRole = typeof CHANNEL_ROLES[number];
+
+/** The roles a broadcaster can hand out. */
+export const GRANTABLE_ROLES: readonly ChannelRole[] = ["viewer-only", "moderator", "editor"];
+
+/** A stored grant. */
+export interface ChannelGrant {
+  broadcasterId: string;
+  broadcasterLogin: string;
+  userId: string;
+  login: string;
+  displayName: string;
+  role: ChannelRole;
+}
+
+/**
+ * Check whether a value names a role a broadcaster may grant.
+ * @param value - Untrusted input
+ * @return True for "viewer-only", "moderator" or "editor"
+ */
+export function isGrantableRole(value: unknown): value is ChannelRole {
+  return typeof value === "string" && (GRANTABLE_ROLES as readonly string[]).includes(value);
+}
+
+/**
+ * Whether a role includes the permissions of another.
+ * @param role - The role held
+ * @param required - The minimum role needed
+ * @return True when role ranks at or above required
+ */
+export function roleAtLeast(role: ChannelRole, required: ChannelRole): boolean {
+  return CHANNEL_ROLES.indexOf(role) >= CHANNEL_ROLES.indexOf(required);
+}
+
+/**
+ * The grant document for one account on one channel.
+ * @param broadcasterId - Channel owner's Twitch user ID
+ * @param userId - Grantee's Twitch user ID
+ * @return The document reference
+ */
+export function grantRef(broadcasterId: string, userId: string) {
+  return db.collection(COLLECTIONS.CHANNEL_ROLES).doc(`${broadcasterId}_${userId}`);
+}
+
+/**
+ * Find the grant an account holds on a channel, by channel login.
+ * @param channelLogin - The channel login from the route
+ * @param userId - The requesting account's Twitch user ID
+ * @return The grant, or null when the account holds none
+ */
+export async function findGrant(channelLogin: string, userId: string): Promise<ChannelGrant | null> {
+  const snap = await db.collection(COLLECTIONS.CHANNEL_ROLES)
+    .where("broadcasterLogin", "==", channelLogin.toLowerCase())
+    .where("userId", "==", userId)
+    .limit(1)
+    .get();
+  if (snap.empty) return null;
+  const grant = snap.docs[0].data() as ChannelGrant;
+  return isGrantableRole(grant.role) ? grant : null;
+}
+
+/**
+ * Every grant on a channel.
+ * @param broadcasterId - Channel owner's Twitch user ID
+ * @return The grants, sorted by grantee login
+ */
+export async function listChannelGrants(broadcasterId: string): Promise<ChannelGrant[]> {
+  const snap = await db.collection(COLLECTIONS.CHANNEL_ROLES)
+    .where("broadcasterId", "==", broadcasterId)
+    .get();
+  return snap.docs
+    .map((doc) => doc.data() as ChannelGrant)
+    .filter((grant) => isGrantableRole(grant.role))
+    .sort((a, b) => a.login.localeCompare(b.login));
+}
+
+/**
+ * Point a channel's grants at its current login after a rename.
+ * @param grants - The channel's grants, as listed
+ * @param broadcasterLogin - The login the broadcaster signed in with
+ */
+export async function refreshBroadcasterLogin(grants: ChannelGrant[], broadcasterLogin: string): Promise<void> {
+  const login = broadcasterLogin.toLowerCase();
+  const stale = grants.filter((grant) => grant.broadcasterLogin !== login);
+  if (stale.length === 0) return;
+  const batch = db.batch();
+  for (const grant of stale) {
+    batch.update(grantRef(grant.broadcasterId, grant.userId), { broadcasterLogin: login });
+    grant.broadcasterLogin = login;
+  }
+  await batch.commit();
+}
+
+/**
+ * Every channel an account has been granted a role on.
+ * @param userId - The account's Twitch user ID
+ * @return The grants held
+ */
+export async function listGrantsHeld(userId: string): Promise<ChannelGrant[]> {
+  const snap = await db.collection(COLLECTIONS.CHANNEL_ROLES)
+    .where("userId", "==", userId)
+    .get();
+  return snap.docs
+    .map((doc) => doc.data() as ChannelGrant)
+    .filter((grant) => isGrantableRole(grant.role))
+    .sort((a, b) => a.broadcasterLogin.localeCompare(b.broadcasterLogin));
+}
+
+/**
+ * Create or change a grant.
+ * @param grant - The grant to store
+ */
+export async function saveGrant(grant: ChannelGrant): Promise<void> {
+  await grantRef(grant.broadcasterId, grant.userId).set({
+    ...grant,
+    broadcasterLogin: grant.broadcasterLogin.toLowerCase(),
+    grantedAt: FieldValue.serverTimestamp(),
+  });
+}
+
+/**
+ * Remove a grant. Removing one that does not exist is not an error.
+ * @param broadcasterId - Channel owner's Twitch user ID
+ * @param userId - Grantee's Twitch user ID
+ */
+export async function removeGrant(broadcasterId: string, userId: string): Promise<void> {
+  await grantRef(broadcasterId, userId).delete();
+}
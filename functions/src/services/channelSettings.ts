@@ -0,0 +1,166 @@
+/**
+ * Channel TTS settings: the keys the dashboard may write to a channel's
+ * ttsChannelConfigs document, and how each is validated.
+ *
+ * The settings routes are the only writer for these keys, so anything not
+ * listed here is rejected rather than silently stored. The config bundle
+ * import reuses the same rules, so a bundle cannot carry a value the dashboard
+ * itself could not have saved.
+ */
+
+import { createHash } from "crypto";
+import type { DocumentData } from "@google-cloud/firestore";
+import { validateSpeed, validatePitch, validateEmotion, validateLanguageBoost } from "./utils";
+import { RELEASED_VOICES } from "./voice-list";
+import { validateVoicePolicy } from "./voicePolicy";
+
+const VOICE_IDS = new Set(RELEASED_VOICES);
+
+// Highest monthly character budget a channel can set for itself.
+const MAX_MONTHLY_BUDGET = 100_000_000;
+
+export const BOOLEAN_SETTINGS = [
+  "engineEnabled",
+  "speakEvents",
+  "speakCheerEvents",
+  "speakRedemptionEvents",
+  "announceUnfulfilledRedemptions",
+  "speakWatchStreakEvents",
+  "anonymizeFollowers",
+  "bitsModeEnabled",
+  "readFullUrls",
+  "allowViewerPreferences",
+  "botRespondsInChat",
+  "englishNormalization",
+  "youtubeEnabled",
+  "pronunciationEnabled",
+  "profanityFilterEnabled",
+];
+
+/** Settings that hold a single non-boolean value. */
+export const SCALAR_SETTINGS = [
+  "mode",
+  "ttsPermissionLevel",
+  "emoteMode",
+  "emotion",
+  "languageBoost",
+  "pitch",
+  "speed",
+  "bitsMinimumAmount",
+  "voiceId",
+  "youtubeHandle",
+  "voicePolicy",
+  "monthlyCharacterBudget",
+];
+
+/** Every top-level setting key, excluding the per-voice `voiceVolumes.*` family. */
+export const TTS_SETTING_KEYS = [...BOOLEAN_SETTINGS, ...SCALAR_SETTINGS];
+
+/**
+ * Validates a single channel setting before it is merged into the channel's
+ * config document.
+ * @param key - The setting key being written
+ * @param value - The proposed value
+ * @return True if the key is known and the value is well-formed
+ */
+export function validateTtsSetting(key: string, value: unknown): boolean {
+  if (BOOLEAN_SETTINGS.includes(key)) return typeof value === "boolean";
+
+  switch (key) {
+  case "mode":
+    return ["all", "command", "bits_points_only"].includes(value as string);
+  case "ttsPermissionLevel":
+    return ["everyone", "subs", "mods", "vip"].includes(value as string);
+  case "emoteMode":
+    return ["read", "skip", "describe"].includes(value as string);
+  case "emotion":
+    // "auto" means "send no emotion override"; the bot handles it explicitly.
+    return value === "auto" || (typeof value === "string" && validateEmotion(value));
+  case "languageBoost":
+    // The dashboard dropdown offers "Automatic"; the bot maps that (and the
+    // legacy "None") onto "auto" before calling the TTS API.
+    return value === "Automatic" || value === "None" || validateLanguageBoost(value as string);
+  case "pitch":
+    return validatePitch(value as number);
+  case "speed":
+    return validateSpeed(value as number);
+  case "bitsMinimumAmount":
+    return typeof value === "number" && Number.isInteger(value) && value >= 0;
+  case "voiceId":
+    return typeof value === "string" && VOICE_IDS.has(value);
+  case "youtubeHandle":
+    return typeof value === "string" && value.length <= 100;
+  case "voicePolicy":
+    return validateVoicePolicy(value).ok;
+  case "monthlyCharacterBudget":
+    // 0 leaves only the operator's budget in force.
+    return typeof value === "number" && Number.isInteger(value) && value >= 0 && value <= MAX_MONTHLY_BUDGET;
+  default:
+    // Voice IDs are not restricted to a simple charset — many contain
+    // hyphens, spaces and parentheses ("Chinese (Mandarin)_News_Anchor") —
+    // so match the prefix and check the remainder against the voice list.
+    if (key.startsWith("voiceVolumes.")) {
+      return VOICE_IDS.has(key.slice("voiceVolumes.".length)) &&
+        typeof value === "number" && value > 0 && value <= 10;
+    }
+    return false;
+  }
+}
+
+/**
+ * Folds validated setting keys into a single document update.
+ * set() treats a dotted key as a literal field name, not a path, so
+ * "voiceVolumes.<voiceId>" has to be written as a nested map for the bot to
+ * find it under config.voiceVolumes. merge:true on the write keeps sibling voices.
+ * @param updates - Setting keys mapped to their new values
+ * @return The object to pass to set(..., { merge: true })
+ */
+export function buildSettingsUpdate(updates: Record<string, unknown>): Record<string, unknown> {
+  const update: Record<string, unknown> = {};
+  const voiceVolumes: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(updates)) {
+    if (key.startsWith("voiceVolumes.")) {
+      voiceVolumes[key.slice("voiceVolumes.".length)] = value;
+    } else {
+      update[key] = value;
+    }
+  }
+  if (Object.keys(voiceVolumes).length > 0) update.voiceVolumes = voiceVolumes;
+  return update;
+}
+
+/**
+ * A value with object keys in sorted order, so equal maps serialize equally
+ * whatever order Firestore returned their keys in.
+ * @param value - A stored value
+ * @return The same value with sorted keys
+ */
+function sortedKeys(value: unknown): unknown {
+  if (Array.isArray(value)) return value.map(sortedKeys);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.keys(value).sort().map((key) => [key, sortedKeys((value as Record<string, unknown>)[key])]));
+  }
+  return value;
+}
+
+// Settings the dashboard saves on their own panel rather than in the settings
+// form's batches, so a change to them does not make a pending batch stale.
+const UNVERSIONED_SETTINGS = ["monthlyCharacterBudget"];
+
+/**
+ * Opaque version token for the settings the batch route writes: a hash of the
+ * stored setting keys and voice volumes. It is taken over those values rather
+ * than the document's update time because banned words, pronunciations, the
+ * ignore list, rewards and the bot all write to the same document, and none of
+ * them makes a batch of settings stale.
+ * @param data - The ttsChannelConfigs document data, if any
+ * @return The version string, or null when no setting is stored yet
+ */
+export function settingsVersion(data: DocumentData | undefined): string | null {
+  const keys = [...TTS_SETTING_KEYS, "voiceVolumes"]
+    .filter((key) => !UNVERSIONED_SETTINGS.includes(key) && data?.[key] !== undefined)
+    .sort();
+  if (!data || keys.length === 0) return null;
+  const values = keys.map((key) => [key, sortedKeys(data[key])]);
+  return createHash("sha256").update(JSON.stringify(values)).digest("hex").slice(0, 24);
+}
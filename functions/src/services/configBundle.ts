@@ -0,0 +1,463 @@
+/**
+ * Portable channel TTS configuration bundles.
+ *
+ * A bundle carries the parts of a channel's ttsChannelConfigs document that
+ * make sense on another channel: the dashboard settings, per-voice volumes,
+ * banned-word rules, pronunciations, switched-off built-in pronunciations and
+ * the ignore list. It is built from an
+ * allowlist rather than by stripping known secrets, so a field added to the
+ * document later — a token, a reward ID bound to one Twitch channel, the bot's
+ * own bookkeeping — stays out of exports until someone decides it belongs.
+ *
+ * Imports are validated with the same rules as the individual dashboard
+ * routes, so a bundle can only hold values the dashboard could have saved.
+ *
+ * Version 2 carries banned words as `bannedWordRules`. A version 1 bundle's
+ * `bannedWords` list still imports, as whole-word rules that drop the message.
+ * Version 3 adds `disabledPronunciationDefaults`.
+ */
+
+import type { DocumentData } from "@google-cloud/firestore";
+import { TTS_SETTING_KEYS, validateTtsSetting } from "./channelSettings";
+import {
+  normalizeMatchKey,
+  validateSay,
+  pronunciationDefault,
+  readDisabledDefaults,
+  PRONUNCIATION_LIMITS,
+} from "./pronunciation";
+import {
+  readBannedWordRules,
+  botBannedWords,
+  validateBannedWordRule,
+  legacyRule,
+  legacyRuleId,
+  BannedWordRule,
+  BANNED_WORD_LIMITS,
+} from "./bannedWordRules";
+import {
+  normalizeIgnoreEntry,
+  IgnoreEntry,
+  IGNORE_SOURCE_SELF,
+  IGNORE_SOURCE_MODERATOR,
+} from "./ignoreEntries";
+
+export const CONFIG_BUNDLE_FORMAT = "chatvibes-tts-config";
+export const CONFIG_BUNDLE_VERSION = 3;
+
+/** The importable sections of a channel config. Every section is optional in a bundle. */
+export interface PortableConfig {
+  settings: Record<string, unknown>;
+  voiceVolumes: Record<string, number>;
+  bannedWordRules: Record<string, BannedWordRule>;
+  pronunciations: Record<string, string>;
+  disabledPronunciationDefaults: Record<string, true>;
+  ignoredUserIds: Record<string, IgnoreEntry>;
+}
+
+export interface ConfigBundle {
+  format: typeof CONFIG_BUNDLE_FORMAT;
+  version: number;
+  exportedAt: string;
+  channel: string;
+  config: Partial<PortableConfig>;
+}
+
+/** One problem found while validating a bundle, located by a dotted path. */
+export interface BundleError {
+  path: string;
+  reason: string;
+}
+
+export type BundleParseResult =
+  | { ok: true; config: Partial<PortableConfig> }
+  | { ok: false; errors: BundleError[] };
+
+/**
+ * How list and map sections combine with what the channel already has.
+ * "merge" adds and overwrites entries; "replace" makes each section present
+ * in the bundle exactly equal to it. Settings are scalars and are always
+ * overwritten key by key; keys the bundle omits are left alone either way.
+ */
+export type ImportMode = "merge" | "replace";
+
+/** A single field that an import would change. null stands for "absent". */
+export interface ConfigChange {
+  path: string;
+  before: unknown;
+  after: unknown;
+}
+
+const SECTIONS = [
+  "settings",
+  "voiceVolumes",
+  "bannedWordRules",
+  "bannedWords",
+  "pronunciations",
+  "disabledPronunciationDefaults",
+  "ignoredUserIds",
+];
+
+// Sections stored as maps, which a preview lists entry by entry.
+const MAP_SECTIONS = ["voiceVolumes", "bannedWordRules", "pronunciations", "disabledPronunciationDefaults", "ignoredUserIds"];
+
+// Rule IDs become map keys, so they follow the same rules as other keys.
+const RULE_ID_PATTERN = /^\w{1,32}$/;
+
+// "<platform>:<accountId>", as written by the settings and viewer routes.
+const IGNORE_KEY_PATTERN = /^[a-z]+:\w{1,64}$/;
+
+/**
+ * Whether a value is a plain JSON object (not null, not an array).
+ * @param value - Anything
+ * @return True for a plain object
+ */
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Build an export bundle from a stored config document. Stored values that
+ * would fail import validation — written by an older release, or by hand —
+ * are left out, so an export can always be imported again as-is.
+ * @param data - The ttsChannelConfigs document data, if any
+ * @param channel - The exporting channel's login, recorded for reference
+ * @return The bundle
+ */
+export function buildConfigBundle(data: DocumentData | undefined, channel: string): ConfigBundle {
+  const doc = data || {};
+
+  const settings: Record<string, unknown> = {};
+  for (const key of TTS_SETTING_KEYS) {
+    if (doc[key] !== undefined && validateTtsSetting(key, doc[key])) settings[key] = doc[key];
+  }
+
+  const voiceVolumes: Record<string, number> = {};
+  if (isPlainObject(doc.voiceVolumes)) {
+    for (const [voiceId, volume] of Object.entries(doc.voiceVolumes)) {
+      if (validateTtsSetting(`voiceVolumes.${voiceId}`, volume)) voiceVolumes[voiceId] = volume as number;
+    }
+  }
+
+  // Legacy words export as the rules they read as, under the IDs they would
+  // get on migration, so importing the bundle back changes nothing.
+  const bannedWordRules: Record<string, BannedWordRule> = {};
+  for (const { id, type, pattern, action, replacement } of readBannedWordRules(doc)) {
+    bannedWordRules[id] = { type, pattern, action, replacement };
+  }
+
+  const pronunciations: Record<string, string> = {};
+  if (isPlainObject(doc.pronunciations)) {
+    for (const [match, say] of Object.entries(doc.pronunciations)) {
+      const key = normalizeMatchKey(match);
+      const result = validateSay(say);
+      if (key && result.ok) pronunciations[key] = result.value;
+    }
+  }
+
+  // Includes built-ins switched off with an empty entry, which the
+  // pronunciations section cannot carry.
+  const disabledPronunciationDefaults: Record<string, true> = {};
+  for (const match of readDisabledDefaults(doc)) disabledPronunciationDefaults[match] = true;
+
+  const ignoredUserIds: Record<string, IgnoreEntry> = {};
+  if (isPlainObject(doc.ignoredUserIds)) {
+    for (const [key, value] of Object.entries(doc.ignoredUserIds)) {
+      if (IGNORE_KEY_PATTERN.test(key)) ignoredUserIds[key] = normalizeIgnoreEntry(value as IgnoreEntry, key);
+    }
+  }
+
+  return {
+    format: CONFIG_BUNDLE_FORMAT,
+    version: CONFIG_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    channel,
+    config: { settings, voiceVolumes, bannedWordRules, pronunciations, disabledPronunciationDefaults, ignoredUserIds },
+  };
+}
+
+/**
+ * Validate an uploaded bundle and normalize it into a config to import.
+ * Every problem is collected rather than stopping at the first, so one round
+ * trip tells the user everything that needs fixing.
+ * @param raw - The parsed JSON the client sent
+ * @return The normalized config, or the list of errors
+ */
+export function parseConfigBundle(raw: unknown): BundleParseResult {
+  const errors: BundleError[] = [];
+
+  if (!isPlainObject(raw)) {
+    return { ok: false, errors: [{ path: "", reason: "must be a JSON object" }] };
+  }
+  if (raw.format !== CONFIG_BUNDLE_FORMAT) {
+    return { ok: false, errors: [{ path: "format", reason: `must be "${CONFIG_BUNDLE_FORMAT}"` }] };
+  }
+  if (typeof raw.version !== "number" || !Number.isInteger(raw.version) || raw.version < 1) {
+    return { ok: false, errors: [{ path: "version", reason: "must be a positive integer" }] };
+  }
+  if (raw.version > CONFIG_BUNDLE_VERSION) {
+    return { ok: false, errors: [{ path: "version", reason: `was exported by a newer release (bundle version ${raw.version}, supported ${CONFIG_BUNDLE_VERSION})` }] };
+  }
+  if (!isPlainObject(raw.config)) {
+    return { ok: false, errors: [{ path: "config", reason: "must be an object" }] };
+  }
+
+  const source = raw.config;
+  const config: Partial<PortableConfig> = {};
+
+  for (const section of Object.keys(source)) {
+    if (!SECTIONS.includes(section)) errors.push({ path: `config.${section}`, reason: "is not an importable section" });
+  }
+
+  if (source.settings !== undefined) {
+    if (!isPlainObject(source.settings)) {
+      errors.push({ path: "config.settings", reason: "must be an object" });
+    } else {
+      config.settings = {};
+      for (const [key, value] of Object.entries(source.settings)) {
+        if (!TTS_SETTING_KEYS.includes(key)) {
+          errors.push({ path: `config.settings.${key}`, reason: "is not a known setting" });
+        } else if (!validateTtsSetting(key, value)) {
+          errors.push({ path: `config.settings.${key}`, reason: "has an invalid value" });
+        } else {
+          config.settings[key] = value;
+        }
+      }
+    }
+  }
+
+  if (source.voiceVolumes !== undefined) {
+    if (!isPlainObject(source.voiceVolumes)) {
+      errors.push({ path: "config.voiceVolumes", reason: "must be an object" });
+    } else {
+      config.voiceVolumes = {};
+      for (const [voiceId, volume] of Object.entries(source.voiceVolumes)) {
+        if (validateTtsSetting(`voiceVolumes.${voiceId}`, volume)) {
+          config.voiceVolumes[voiceId] = volume as number;
+        } else {
+          errors.push({ path: `config.voiceVolumes.${voiceId}`, reason: "must be a known voice with a volume above 0 and at most 10" });
+        }
+      }
+    }
+  }
+
+  if (source.bannedWordRules !== undefined) {
+    if (!isPlainObject(source.bannedWordRules)) {
+      errors.push({ path: "config.bannedWordRules", reason: "must be an object" });
+    } else {
+      config.bannedWordRules = {};
+      for (const [id, value] of Object.entries(source.bannedWordRules)) {
+        const result = validateBannedWordRule(value);
+        if (!RULE_ID_PATTERN.test(id)) {
+          errors.push({ path: `config.bannedWordRules.${id}`, reason: "ID must be 1-32 letters, digits or underscores" });
+        } else if (!result.ok) {
+          errors.push({ path: `config.bannedWordRules.${id}`, reason: result.reason });
+        } else {
+          config.bannedWordRules[id] = result.rule;
+        }
+      }
+    }
+  }
+
+  if (source.bannedWords !== undefined) {
+    if (!Array.isArray(source.bannedWords)) {
+      errors.push({ path: "config.bannedWords", reason: "must be an array" });
+    } else {
+      // Stored lowercased and trimmed, the same as the banned-words route.
+      const rules = config.bannedWordRules || {};
+      source.bannedWords.forEach((word, index) => {
+        const normalized = typeof word === "string" ? word.toLowerCase().trim() : "";
+        if (normalized) rules[legacyRuleId(normalized)] = legacyRule(normalized);
+        else errors.push({ path: `config.bannedWords.${index}`, reason: "must be a non-empty string" });
+      });
+      config.bannedWordRules = rules;
+    }
+  }
+
+  if (source.pronunciations !== undefined) {
+    if (!isPlainObject(source.pronunciations)) {
+      errors.push({ path: "config.pronunciations", reason: "must be an object" });
+    } else {
+      config.pronunciations = {};
+      for (const [match, say] of Object.entries(source.pronunciations)) {
+        const key = normalizeMatchKey(match);
+        const result = validateSay(say);
+        if (!key) {
+          errors.push({ path: `config.pronunciations.${match}`, reason: `word must be 1-${PRONUNCIATION_LIMITS.MAX_MATCH_LENGTH} characters using letters, digits, apostrophes or hyphens, and cannot contain a dot` });
+        } else if (!result.ok) {
+          errors.push({ path: `config.pronunciations.${match}`, reason: `pronunciation ${result.reason}` });
+        } else {
+          config.pronunciations[key] = result.value;
+        }
+      }
+    }
+  }
+
+  if (source.disabledPronunciationDefaults !== undefined) {
+    if (!isPlainObject(source.disabledPronunciationDefaults)) {
+      errors.push({ path: "config.disabledPronunciationDefaults", reason: "must be an object" });
+    } else {
+      config.disabledPronunciationDefaults = {};
+      for (const [match, value] of Object.entries(source.disabledPronunciationDefaults)) {
+        const key = normalizeMatchKey(match);
+        if (!key || pronunciationDefault(key) === null) {
+          errors.push({ path: `config.disabledPronunciationDefaults.${match}`, reason: "is not a built-in pronunciation" });
+        } else if (value !== true) {
+          errors.push({ path: `config.disabledPronunciationDefaults.${match}`, reason: "must be true" });
+        } else {
+          config.disabledPronunciationDefaults[key] = true;
+        }
+      }
+    }
+  }
+
+  if (source.ignoredUserIds !== undefined) {
+    if (!isPlainObject(source.ignoredUserIds)) {
+      errors.push({ path: "config.ignoredUserIds", reason: "must be an object" });
+    } else {
+      config.ignoredUserIds = {};
+      for (const [key, value] of Object.entries(source.ignoredUserIds)) {
+        const reason = checkIgnoreValue(key, value);
+        if (reason) {
+          errors.push({ path: `config.ignoredUserIds.${key}`, reason });
+          continue;
+        }
+        const entry = normalizeIgnoreEntry(value as IgnoreEntry | string, key);
+        config.ignoredUserIds[key] = { ...entry, at: entry.at || new Date().toISOString() };
+      }
+    }
+  }
+
+  return errors.length > 0 ? { ok: false, errors } : { ok: true, config };
+}
+
+/**
+ * Check one ignore-list entry against the stored format. A legacy bare
+ * display-name string is accepted, as it is when read from the document.
+ * @param key - The entry key
+ * @param value - The entry value from the bundle
+ * @return The reason it is invalid, or null
+ */
+function checkIgnoreValue(key: string, value: unknown): string | null {
+  if (!IGNORE_KEY_PATTERN.test(key)) return "key must look like \"twitch:<user id>\"";
+  if (typeof value === "string") return value ? null : "label cannot be empty";
+  if (!isPlainObject(value)) return "must be an entry object";
+  if (value.source !== undefined && value.source !== IGNORE_SOURCE_SELF && value.source !== IGNORE_SOURCE_MODERATOR) {
+    return `source must be "${IGNORE_SOURCE_SELF}" or "${IGNORE_SOURCE_MODERATOR}"`;
+  }
+  for (const field of ["label", "by", "at"]) {
+    if (value[field] !== undefined && value[field] !== null && typeof value[field] !== "string") {
+      return `${field} must be a string`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Work out the document fields an import will write. Each returned field
+ * holds its complete new value, so the write can replace those fields
+ * wholesale; fields not returned are untouched.
+ * @param current - The stored document data
+ * @param incoming - The validated config from parseConfigBundle
+ * @param mode - How list and map sections combine with the stored ones
+ * @return The fields to write, or an error if a limit would be exceeded
+ */
+export function resolveImport(
+  current: DocumentData | undefined,
+  incoming: Partial<PortableConfig>,
+  mode: ImportMode,
+): { ok: true; fields: Record<string, unknown> } | { ok: false; error: string } {
+  const doc = current || {};
+  const fields: Record<string, unknown> = { ...(incoming.settings || {}) };
+  const base = <T>(stored: unknown): Record<string, T> =>
+    mode === "merge" && isPlainObject(stored) ? { ...(stored as Record<string, T>) } : {};
+
+  if (incoming.voiceVolumes) {
+    fields.voiceVolumes = { ...base<number>(doc.voiceVolumes), ...incoming.voiceVolumes };
+  }
+
+  if (incoming.bannedWordRules) {
+    // Legacy words are folded in too, so the import also migrates the channel.
+    const stored: Record<string, BannedWordRule> = {};
+    if (mode === "merge") {
+      for (const { id, type, pattern, action, replacement } of readBannedWordRules(doc)) {
+        stored[id] = { type, pattern, action, replacement };
+      }
+    }
+    const merged = { ...stored, ...incoming.bannedWordRules };
+    if (Object.keys(merged).length > BANNED_WORD_LIMITS.MAX_RULES) {
+      return { ok: false, error: `Import would leave ${Object.keys(merged).length} banned word rules; the limit is ${BANNED_WORD_LIMITS.MAX_RULES}` };
+    }
+    fields.bannedWordRules = merged;
+    fields.bannedWords = botBannedWords(Object.values(merged));
+  }
+
+  if (incoming.pronunciations) {
+    const merged = { ...base<string>(doc.pronunciations), ...incoming.pronunciations };
+    if (Object.keys(merged).length > PRONUNCIATION_LIMITS.MAX_CUSTOM_ENTRIES) {
+      return { ok: false, error: `Import would leave ${Object.keys(merged).length} custom pronunciations; the limit is ${PRONUNCIATION_LIMITS.MAX_CUSTOM_ENTRIES}` };
+    }
+    fields.pronunciations = merged;
+  }
+
+  if (incoming.disabledPronunciationDefaults) {
+    fields.disabledPronunciationDefaults = { ...base<true>(doc.disabledPronunciationDefaults), ...incoming.disabledPronunciationDefaults };
+  }
+
+  if (incoming.ignoredUserIds) {
+    const merged = base<unknown>(doc.ignoredUserIds);
+    for (const [key, entry] of Object.entries(incoming.ignoredUserIds)) {
+      // An entry that already says the same thing keeps its stored record, so
+      // re-importing a bundle does not rewrite every timestamp.
+      const existing = Object.hasOwn(merged, key) ? normalizeIgnoreEntry(merged[key] as IgnoreEntry, key) : null;
+      if (!existing || existing.source !== entry.source || existing.label !== entry.label) merged[key] = entry;
+    }
+    fields.ignoredUserIds = merged;
+  }
+
+  return { ok: true, fields };
+}
+
+/**
+ * List the individual changes that writing `fields` over `current` makes.
+ * Maps are compared entry by entry and legacy banned words word by word,
+ * so a preview shows "added lfg", not "pronunciations changed".
+ * @param current - The stored document data
+ * @param fields - The fields from resolveImport
+ * @return The changes, in a stable order
+ */
+export function diffConfig(current: DocumentData | undefined, fields: Record<string, unknown>): ConfigChange[] {
+  const doc = current || {};
+  const changes: ConfigChange[] = [];
+  const same = (a: unknown, b: unknown): boolean => JSON.stringify(a) === JSON.stringify(b);
+
+  for (const [field, after] of Object.entries(fields)) {
+    const before = doc[field];
+
+    if (field === "bannedWords") {
+      // The array is the bot's copy of the rules, whose own changes are listed
+      // under bannedWordRules. Only legacy words dropping out are news.
+      const now = new Set<string>(after as string[]);
+      for (const rule of readBannedWordRules(doc)) {
+        if (rule.legacy && !now.has(rule.pattern)) changes.push({ path: "bannedWords", before: rule.pattern, after: null });
+      }
+      continue;
+    }
+
+    if (MAP_SECTIONS.includes(field)) {
+      const was = isPlainObject(before) ? before : {};
+      const now = after as Record<string, unknown>;
+      const keys = [...new Set([...Object.keys(was), ...Object.keys(now)])].sort();
+      for (const key of keys) {
+        const from = Object.hasOwn(was, key) ? was[key] : null;
+        const to = Object.hasOwn(now, key) ? now[key] : null;
+        if (!same(from, to)) changes.push({ path: `${field}.${key}`, before: from, after: to });
+      }
+      continue;
+    }
+
+    if (!same(before ?? null, after)) changes.push({ path: field, before: before ?? null, after });
+  }
+
+  return changes;
+}
@@ -24,6 +24,11 @@ const COLLECTIONS = {
   TTS_CHANNEL_CONFIGS: "ttsChannelConfigs",
   SHORTLINKS: "shortlinks",
   TTS_USER_PREFS: "ttsUserPreferences",
+  VOICE_PICKS: "ttsVoicePicks",
+  CHANNEL_ROLES: "channelRoles",
+  TTS_AUDIO_CACHE: "ttsAudioCache",
+  RATE_LIMITS: "rateLimits",
+  TTS_USAGE: "ttsUsage",
 } as const;
 
 export {
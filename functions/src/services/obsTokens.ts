@@ -0,0 +1,193 @@
+/**
+ * OBS browser source tokens.
+ *
+ * A channel can have several tokens, one per browser source ("main PC",
+ * "laptop"), so one can be replaced or revoked without breaking the others.
+ * Each is a document in an `obsTokens` subcollection of the channel's
+ * ttsChannelConfigs document:
+ *
+ *   name                   What the broadcaster called it
+ *   token                  The secret in the browser source URL
+ *   createdAt              When it was created
+ *   lastUsedAt             When a browser source last presented it, or null
+ *   previousToken          The value it had before it was last rotated
+ *   previousTokenExpiresAt Until when the previous value still works
+ *   overlay                Its own caption overlay settings, if any (see
+ *                          captionOverlay.ts)
+ *
+ * Rotating gives a token a new value but keeps the old one working for a
+ * grace period, long enough to paste the new URL into OBS. Revoking deletes
+ * the token outright.
+ *
+ * The TTS service checks a presented token with POST /api/obs/verify, which
+ * also keeps lastUsedAt. For older service versions, the channel document's
+ * obsSocketToken still holds the most recently issued value.
+ */
+
+import { randomBytes, timingSafeEqual } from "crypto";
+import type { DocumentData, DocumentReference } from "@google-cloud/firestore";
+import { CaptionOverlay, captionsUrl, readCaptionOverlay } from "./captionOverlay";
+
+export const OBS_TOKENS_COLLECTION = "obsTokens";
+
+export const OBS_TOKEN_LIMITS = {
+  MAX_TOKENS: 10,
+  MAX_NAME_LENGTH: 40,
+  DEFAULT_GRACE_MINUTES: 60,
+  MAX_GRACE_MINUTES: 7 * 24 * 60,
+  // lastUsedAt is only rewritten when older than this, so a source that
+  // reconnects often does not write on every connection.
+  TOUCH_INTERVAL_MS: 5 * 60 * 1000,
+};
+
+// What a token made before there were several is called.
+export const LEGACY_TOKEN_NAME = "Default";
+
+export interface ObsTokenView {
+  id: string;
+  name: string;
+  createdAt: string | null;
+  lastUsedAt: string | null;
+  rotatedAt: string | null;
+  previousTokenExpiresAt: string | null;
+  browserSourceUrl: string;
+  captionsUrl: string;
+  overlay: CaptionOverlay | null;
+}
+
+/**
+ * The tokens collection of a channel config document.
+ * @param {DocumentReference} channelDoc - The ttsChannelConfigs document
+ * @return {FirebaseFirestore.CollectionReference} Its obsTokens subcollection
+ */
+export function obsTokensCollection(channelDoc: DocumentReference) {
+  return channelDoc.collection(OBS_TOKENS_COLLECTION);
+}
+
+/**
+ * A new token value: 32 random bytes in hex, as the single token always was.
+ * @return {string} The value
+ */
+export function newTokenValue(): string {
+  return randomBytes(32).toString("hex");
+}
+
+/**
+ * The name a token may be given.
+ * @param {unknown} name - The proposed name
+ * @return {string | null} The trimmed name, or null if unusable
+ */
+export function validateTokenName(name: unknown): string | null {
+  if (typeof name !== "string") return null;
+  const trimmed = name.trim().replace(/\s+/g, " ");
+  return trimmed && trimmed.length <= OBS_TOKEN_LIMITS.MAX_NAME_LENGTH ? trimmed : null;
+}
+
+/**
+ * The grace period a rotation asked for.
+ * @param {unknown} minutes - The requested minutes, if any
+ * @return {number | null} Milliseconds, or null if out of range
+ */
+export function graceMs(minutes: unknown): number | null {
+  const value = minutes === undefined ? OBS_TOKEN_LIMITS.DEFAULT_GRACE_MINUTES : minutes;
+  if (typeof value !== "number" || !Number.isInteger(value) || value < 0 || value > OBS_TOKEN_LIMITS.MAX_GRACE_MINUTES) {
+    return null;
+  }
+  return value * 60 * 1000;
+}
+
+/**
+ * The browser source URL for a token.
+ * @param {string} baseUrl - Where the browser source is served
+ * @param {string} channelLogin - The channel
+ * @param {string} token - The token value
+ * @return {string} The URL to paste into OBS
+ */
+export function browserSourceUrl(baseUrl: string, channelLogin: string, token: string): string {
+  return `${baseUrl}/?channel=${encodeURIComponent(channelLogin)}&token=${token}`;
+}
+
+function sameSecret(a: unknown, b: string): boolean {
+  if (typeof a !== "string" || a.length !== b.length) return false;
+  return timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+/**
+ * A stored time in milliseconds.
+ * @param {unknown} value - A Firestore Timestamp, Date or milliseconds
+ * @return {number | null} The milliseconds, or null if there is no time
+ */
+export function toMillis(value: unknown): number | null {
+  if (value && typeof (value as { toMillis?: unknown }).toMillis === "function") {
+    return (value as { toMillis: () => number }).toMillis();
+  }
+  if (value instanceof Date) return value.getTime();
+  return typeof value === "number" ? value : null;
+}
+
+function toIso(value: unknown): string | null {
+  const millis = toMillis(value);
+  return millis === null ? null : new Date(millis).toISOString();
+}
+
+/**
+ * Whether a stored token accepts a presented value: its current one, or the
+ * previous one while the rotation's grace period lasts.
+ * @param {DocumentData} data - The token document
+ * @param {string} presented - The value from the browser source
+ * @param {number} now - The current time
+ * @return {boolean} True if accepted
+ */
+export function tokenAccepts(data: DocumentData, presented: string, now: number): boolean {
+  if (sameSecret(data.token, presented)) return true;
+  const expiresAt = toMillis(data.previousTokenExpiresAt);
+  return expiresAt !== null && now < expiresAt && sameSecret(data.previousToken, presented);
+}
+
+/**
+ * Whether lastUsedAt is stale enough to be rewritten.
+ * @param {DocumentData} data - The token document
+ * @param {number} now - The current time
+ * @return {boolean} True if it should be
+ */
+export function shouldTouch(data: DocumentData, now: number): boolean {
+  const lastUsed = toMillis(data.lastUsedAt);
+  return lastUsed === null || now - lastUsed >= OBS_TOKEN_LIMITS.TOUCH_INTERVAL_MS;
+}
+
+/**
+ * The value the channel document's legacy obsSocketToken should hold: that
+ * of the token most recently created or rotated.
+ * @param {DocumentData[]} tokens - The channel's token documents
+ * @return {string | null} The value, or null when there are none
+ */
+export function legacyTokenValue(tokens: DocumentData[]): string | null {
+  const issuedAt = (data: DocumentData): number => toMillis(data.rotatedAt) ?? toMillis(data.createdAt) ?? 0;
+  const newest = [...tokens].sort((a, b) => issuedAt(b) - issuedAt(a))[0];
+  return newest?.token ?? null;
+}
+
+/**
+ * A token as the dashboard shows it.
+ * @param {string} id - The token document ID
+ * @param {DocumentData} data - The token document
+ * @param {string} baseUrl - Where the browser source is served
+ * @param {string} channelLogin - The channel
+ * @param {number} now - The current time
+ * @return {ObsTokenView} The view
+ */
+export function serializeObsToken(id: string, data: DocumentData, baseUrl: string, channelLogin: string, now: number): ObsTokenView {
+  const previousExpiresAt = toMillis(data.previousTokenExpiresAt);
+  const sourceUrl = browserSourceUrl(baseUrl, channelLogin, data.token);
+  return {
+    id,
+    name: data.name || LEGACY_TOKEN_NAME,
+    createdAt: toIso(data.createdAt),
+    lastUsedAt: toIso(data.lastUsedAt),
+    rotatedAt: toIso(data.rotatedAt),
+    previousTokenExpiresAt: previousExpiresAt !== null && previousExpiresAt > now ? toIso(previousExpiresAt) : null,
+    browserSourceUrl: sourceUrl,
+    captionsUrl: captionsUrl(sourceUrl),
+    overlay: readCaptionOverlay(data.overlay),
+  };
+}
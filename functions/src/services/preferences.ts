@@ -1,9 +1,25 @@
 /**
  * Viewer preferences service
  * Centralizes loading of global user preferences with ID-first, username-fallback lookup.
+ *
+ * A viewer may also override any field for one channel. Overrides live in the
+ * same ttsUserPreferences document, under `channelOverrides.<channelId>`, so
+ * one read yields every layer. A field resolves as: channel override, then the
+ * viewer's global preference, then the channel's default.
+ *
+ * A broadcaster may also assign the viewer a voice (see voiceAssignments.ts).
+ * That sits above both of the viewer's layers when it overrides them, and
+ * just below them otherwise.
+ *
+ * The channel's voice policy (see voicePolicy.ts) then filters the viewer's
+ * two layers: a disallowed voice or emotion is passed over, and a pitch or
+ * speed outside the bounds is clamped.
  */
 
 import { db, COLLECTIONS } from "./firestore";
+import { logger } from "../logger";
+import type { VoiceAssignmentSettings } from "./voiceAssignments";
+import { clampToRange, policyViolation, PolicyField, VoicePolicy } from "./voicePolicy";
 
 // Type definitions for viewer preferences
 export interface ViewerPreferences {
@@ -12,10 +28,47 @@ export interface ViewerPreferences {
   speed?: number | null;
   emotion?: string | null;
   languageBoost?: string | null;
-  englishNormalization?: boolean;
+  englishNormalization?: boolean | null;
   emoteMode?: string | null;
 }
 
+/** The stored fields a viewer can set, globally or per channel. */
+export const PREFERENCE_FIELDS = [
+  "voiceId",
+  "pitch",
+  "speed",
+  "emotion",
+  "languageBoost",
+  "englishNormalization",
+  "emoteMode",
+] as const;
+
+export type PreferenceField = typeof PREFERENCE_FIELDS[number];
+
+/** Which layer a resolved value came from; null when no layer sets it. */
+export type PreferenceSource = "assigned" | "channel" | "global" | "default" | null;
+
+export interface PreferenceLayers {
+  global: ViewerPreferences;
+  channel: ViewerPreferences;
+}
+
+export interface ResolvedPreferences {
+  values: ViewerPreferences;
+  sources: Record<PreferenceField, PreferenceSource>;
+  /** Fields where the channel's voice policy overrode a viewer's choice. */
+  restricted: PreferenceField[];
+}
+
+export interface ResolveOptions {
+  /** The broadcaster's assignment for this viewer, if any. */
+  assignment?: VoiceAssignmentSettings | null;
+  /** The channel's voice policy; without one the viewer's choices stand. */
+  policy?: VoicePolicy | null;
+}
+
+const POLICY_FIELDS: readonly string[] = ["voiceId", "pitch", "speed", "emotion"];
+
 /**
  * Load global user preferences, trying by userId first with a
  * username fallback for backward compatibility.
@@ -24,11 +77,107 @@ export async function loadGlobalUserPreferences(
   userId: string,
   username: string
 ): Promise<ViewerPreferences> {
+  return (await loadPreferenceLayers(userId, username, null)).global;
+}
+
+/**
+ * Load a viewer's global preferences and their overrides for one channel.
+ * @param userId - The viewer's Twitch user ID
+ * @param username - The viewer's login, for documents keyed the old way
+ * @param channelId - The channel whose overrides to include, if any
+ * @return Both layers, each empty when unset
+ */
+export async function loadPreferenceLayers(
+  userId: string,
+  username: string,
+  channelId: string | null
+): Promise<PreferenceLayers> {
   let userDoc = await db.collection(COLLECTIONS.TTS_USER_PREFS).doc(userId).get();
 
   if (!userDoc.exists) {
     userDoc = await db.collection(COLLECTIONS.TTS_USER_PREFS).doc(username).get();
   }
 
-  return userDoc.exists ? (userDoc.data() as ViewerPreferences) : {};
+  const data = userDoc.exists ? userDoc.data() || {} : {};
+  const { channelOverrides, ...global } = data;
+  const overrides = channelOverrides && typeof channelOverrides === "object" ? channelOverrides : {};
+  const channel = channelId && Object.hasOwn(overrides, channelId) ? overrides[channelId] : {};
+  return { global: global as ViewerPreferences, channel: (channel || {}) as ViewerPreferences };
+}
+
+/**
+ * Resolve each field through the layers. Null, undefined and "" all mean
+ * "not set here", so clearing a value falls through to the next layer.
+ * @param layers - The viewer's global preferences and channel overrides
+ * @param channelDefaults - The channel's own settings for the same fields
+ * @param options - The viewer's assignment and the channel's voice policy
+ * @return The value in effect for each field and the layer it came from
+ */
+export function resolvePreferences(
+  layers: PreferenceLayers,
+  channelDefaults: ViewerPreferences,
+  options: ResolveOptions = {}
+): ResolvedPreferences {
+  const { assignment = null, policy = null } = options;
+  const isSet = (value: unknown): boolean => value !== undefined && value !== null && value !== "";
+  const values: Record<string, unknown> = {};
+  const sources = {} as Record<PreferenceField, PreferenceSource>;
+  const restricted: PreferenceField[] = [];
+
+  for (const field of PREFERENCE_FIELDS) {
+    const candidates: [PreferenceSource, unknown][] = [
+      ["channel", layers.channel[field]],
+      ["global", layers.global[field]],
+      ["default", channelDefaults[field]],
+    ];
+    if (assignment && Object.hasOwn(assignment, field)) {
+      const assigned: [PreferenceSource, unknown] = ["assigned", assignment[field as keyof VoiceAssignmentSettings]];
+      candidates.splice(assignment.overrideViewer ? 0 : 2, 0, assigned);
+    }
+    if (policy && POLICY_FIELDS.includes(field)) {
+      const policyField = field as PolicyField;
+      for (const candidate of candidates) {
+        if ((candidate[0] !== "channel" && candidate[0] !== "global") ||
+            !policyViolation(policy, policyField, candidate[1])) continue;
+        if (!restricted.includes(field)) restricted.push(field);
+        // A number out of bounds still says which way the viewer leans.
+        candidate[1] = typeof candidate[1] === "number" ?
+          clampToRange(policy[policyField as "pitch" | "speed"], candidate[1]) : null;
+      }
+    }
+    const found = candidates.find(([, value]) => isSet(value));
+    values[field] = found ? found[1] : null;
+    sources[field] = found ? found[0] : null;
+  }
+
+  return { values: values as ViewerPreferences, sources, restricted };
+}
+
+/**
+ * Look up a channel's Twitch user ID from its login, for a caller that must
+ * tell an unknown channel from a failed lookup.
+ * @param channelName - The channel login
+ * @return The user ID, or null when the channel is unknown
+ */
+export async function findChannelIdByName(channelName: string): Promise<string | null> {
+  const snapshot = await db.collection(COLLECTIONS.MANAGED_CHANNELS)
+    .where("channelName", "==", channelName.toLowerCase())
+    .limit(1)
+    .get();
+  if (snapshot.empty) return null;
+  return snapshot.docs[0].data().twitchUserId || snapshot.docs[0].id;
+}
+
+/**
+ * Look up a channel's Twitch user ID from its login.
+ * @param channelName - The channel login
+ * @return The user ID, or null when the channel is unknown or the lookup fails
+ */
+export async function getChannelIdFromName(channelName: string): Promise<string | null> {
+  try {
+    return await findChannelIdByName(channelName);
+  } catch (error) {
+    logger.error({ error, channelName }, "Error resolving channel name to ID");
+    return null;
+  }
 }
@@ -6,12 +6,20 @@
  * tts-config.json, which `npm run sync-constants` copies over from the bot, so
  * the caps cannot drift; the predicates below are the part that is duplicated
  * by hand because the two repos share no package.
+ *
+ * A channel switches off individual built-ins through the
+ * `disabledPronunciationDefaults` map (key to true). An empty custom entry,
+ * which the bot's chat command writes, switches one off as well.
  */
 
 import * as ttsConfig from "./tts-config.json";
 
 const LIMITS = ttsConfig.PRONUNCIATION_LIMITS;
 
+const DEFAULT_SAYS: ReadonlyMap<string, string> = new Map(
+  ttsConfig.PRONUNCIATION_DEFAULTS.map(({ match, say }) => [match, say])
+);
+
 // Letters or digits to start, then letters, digits, apostrophes, hyphens and
 // single spaces. "." is excluded because Firestore splits field paths on it.
 const MATCH_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}'\- ]*$/u;
@@ -75,3 +83,233 @@ export function validateSay(raw: unknown): SayResult {
 
   return { ok: true, value: say };
 }
+
+/**
+ * The built-in spoken form for a key, if the bot ships one.
+ * @param {string} match - A normalized match key
+ * @return {string | null} The default's spoken form
+ */
+export function pronunciationDefault(match: string): string | null {
+  return DEFAULT_SAYS.get(match) ?? null;
+}
+
+/**
+ * The built-in keys a channel has switched off, from either the
+ * disabledPronunciationDefaults map or an empty custom entry. Keys that are
+ * no longer built-ins are left out.
+ * @param {Record<string, unknown> | undefined} data - The channel's TTS config document
+ * @return {string[]} Sorted match keys
+ */
+export function readDisabledDefaults(data: Record<string, unknown> | undefined): string[] {
+  const disabled = new Set<string>();
+  const stored = data?.disabledPronunciationDefaults;
+  if (stored && typeof stored === "object" && !Array.isArray(stored)) {
+    for (const [match, value] of Object.entries(stored)) {
+      if (value === true) disabled.add(match);
+    }
+  }
+  const custom = data?.pronunciations;
+  if (custom && typeof custom === "object" && !Array.isArray(custom)) {
+    for (const [match, say] of Object.entries(custom)) {
+      if (say === "") disabled.add(match);
+    }
+  }
+  return [...disabled].filter((match) => DEFAULT_SAYS.has(match)).sort();
+}
+
+// ==========================================
+// BULK IMPORT
+// ==========================================
+
+// Bounds the work one request can ask for. Well above the entry cap so a
+// paste with comments, duplicates or bad rows still gets a full report.
+export const PRONUNCIATION_IMPORT_MAX_ROWS = 500;
+
+// A first row that names its columns rather than an entry, as the dashboard
+// export writes.
+const HEADER_MATCH = /^(match|word)$/i;
+const HEADER_SAY = /^(say|pronunciation)$/i;
+
+/** One row of a pasted list or JSON map, before validation. */
+export interface PronunciationImportRow {
+  /** 1-based line of the pasted text, or position in the JSON map. */
+  line: number;
+  match: unknown;
+  say: unknown;
+}
+
+export type PronunciationImportStatus =
+  | "added"
+  | "updated"
+  | "unchanged"
+  | "conflict"
+  | "duplicate"
+  | "invalid"
+  | "limit";
+
+export interface PronunciationImportResult {
+  line: number;
+  match: string;
+  say: string | null;
+  status: PronunciationImportStatus;
+  reason?: string;
+  /** The built-in spoken form this entry replaces, if any. */
+  overridesDefault?: string;
+}
+
+export interface PronunciationImportPlan {
+  results: PronunciationImportResult[];
+  /** Entries to write, keyed by normalized match. */
+  updates: Record<string, string>;
+}
+
+export type PronunciationImportParse =
+  | { ok: true; rows: PronunciationImportRow[] }
+  | { ok: false; reason: string };
+
+/**
+ * Split one CSV or TSV line into cells. Double quotes wrap a cell that holds
+ * the delimiter, and "" inside quotes is a literal quote.
+ * @param {string} line - The line without its newline
+ * @param {string} delimiter - "," or "\t"
+ * @return {string[]} The cells
+ */
+function splitDelimitedLine(line: string, delimiter: string): string[] {
+  const cells: string[] = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === "\"" && line[i + 1] === "\"") {
+        cell += "\"";
+        i++;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === "\"" && !cell.trim()) {
+      quoted = true;
+      cell = "";
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
+
+/**
+ * Turn pasted CSV/TSV text or a JSON map into rows. Blank lines and lines
+ * starting with "#" are skipped, as is a leading "match,say" header. Each line
+ * is split on a tab if it has one, otherwise on the first unquoted comma, so
+ * a spoken form may itself contain commas in TSV or when quoted.
+ * @param {unknown} data - A string of lines, or an object of match to say
+ * @return {PronunciationImportParse} The rows, or why the input is unusable
+ */
+export function parsePronunciationImport(data: unknown): PronunciationImportParse {
+  let rows: PronunciationImportRow[];
+
+  if (typeof data === "string") {
+    rows = [];
+    data.split(/\r?\n/).forEach((raw, index) => {
+      const line = raw.trim();
+      if (!line || line.startsWith("#")) return;
+      const cells = splitDelimitedLine(line, line.includes("\t") ? "\t" : ",");
+      if (rows.length === 0 && HEADER_MATCH.test(cells[0].trim()) && HEADER_SAY.test((cells[1] || "").trim())) return;
+      const [match, ...rest] = cells;
+      rows.push({ line: index + 1, match, say: rest.length > 0 ? rest.join(",") : undefined });
+    });
+  } else if (data && typeof data === "object" && !Array.isArray(data)) {
+    rows = Object.entries(data as Record<string, unknown>)
+      .map(([match, say], index) => ({ line: index + 1, match, say }));
+  } else {
+    return { ok: false, reason: "Paste lines of word,pronunciation or send a JSON object of word to pronunciation" };
+  }
+
+  if (rows.length === 0) {
+    return { ok: false, reason: "No entries found" };
+  }
+  if (rows.length > PRONUNCIATION_IMPORT_MAX_ROWS) {
+    return { ok: false, reason: `An import can have at most ${PRONUNCIATION_IMPORT_MAX_ROWS} entries` };
+  }
+  return { ok: true, rows };
+}
+
+/**
+ * Decide what each imported row does to the channel's dictionary. Rows go
+ * through the same validation as a single add. An entry that already exists
+ * with a different value is a conflict unless overwrite is set, the first row
+ * for a key wins over later ones, and new keys stop being added once the
+ * channel reaches the entry cap.
+ * @param {Record<string, unknown>} existing - The channel's stored pronunciations
+ * @param {PronunciationImportRow[]} rows - Parsed rows in input order
+ * @param {boolean} overwrite - Replace existing entries that differ
+ * @return {PronunciationImportPlan} Per-row outcomes and the entries to write
+ */
+export function planPronunciationImport(
+  existing: Record<string, unknown>,
+  rows: PronunciationImportRow[],
+  overwrite: boolean
+): PronunciationImportPlan {
+  const results: PronunciationImportResult[] = [];
+  const updates: Record<string, string> = {};
+  const seen = new Set<string>();
+  let count = Object.keys(existing).length;
+
+  for (const row of rows) {
+    const match = normalizeMatchKey(row.match);
+    const rawMatch = typeof row.match === "string" ? row.match.trim() : "";
+    if (!match) {
+      results.push({
+        line: row.line,
+        match: rawMatch,
+        say: null,
+        status: "invalid",
+        reason: `Word must be 1-${LIMITS.MAX_MATCH_LENGTH} characters using letters, digits, apostrophes or hyphens, and cannot contain a dot`,
+      });
+      continue;
+    }
+
+    const say = validateSay(row.say);
+    const base = { line: row.line, match, ...(DEFAULT_SAYS.has(match) ? { overridesDefault: DEFAULT_SAYS.get(match) } : {}) };
+    if (!say.ok) {
+      results.push({ ...base, say: null, status: "invalid", reason: `Pronunciation ${say.reason}` });
+      continue;
+    }
+    if (seen.has(match)) {
+      results.push({ ...base, say: say.value, status: "duplicate", reason: "An earlier row sets this word" });
+      continue;
+    }
+    seen.add(match);
+
+    // hasOwn for the same reason as the single add: "constructor" is a legal key.
+    if (Object.hasOwn(existing, match)) {
+      const current = existing[match];
+      if (current === say.value) {
+        results.push({ ...base, say: say.value, status: "unchanged" });
+      } else if (!overwrite) {
+        const reason = current === "" ? "The built-in is switched off for this word" : `Already set to "${current}"`;
+        results.push({ ...base, say: say.value, status: "conflict", reason });
+      } else {
+        updates[match] = say.value;
+        results.push({ ...base, say: say.value, status: "updated" });
+      }
+      continue;
+    }
+
+    if (count >= LIMITS.MAX_CUSTOM_ENTRIES) {
+      results.push({ ...base, say: say.value, status: "limit", reason: `Limit of ${LIMITS.MAX_CUSTOM_ENTRIES} custom pronunciations reached` });
+      continue;
+    }
+    count++;
+    updates[match] = say.value;
+    results.push({ ...base, say: say.value, status: "added" });
+  }
+
+  return { results, updates };
+}
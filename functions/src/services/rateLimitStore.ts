@@ -0,0 +1,67 @@
+/**
+ * A hit-counter store for express-rate-limit shared by every Cloud Functions
+ * instance, so a quota holds however far the service scales out.
+ *
+ * Each limiter gets its own prefix; each client a rateLimits document holding
+ * its hits in the current fixed window and when the window ends. `expireAt`
+ * is there for a Firestore TTL policy to sweep up windows nobody came back to.
+ */
+
+import type { Options, Store, ClientRateLimitInfo } from "express-rate-limit";
+import { db, COLLECTIONS, FieldValue } from "./firestore";
+
+export class FirestoreRateLimitStore implements Store {
+  readonly prefix: string;
+  // Counters in Firestore are seen by every instance.
+  readonly localKeys = false;
+  private windowMs = 60 * 1000;
+  private readonly now: () => number;
+
+  /**
+   * @param {string} prefix - Keeps this limiter's counters apart from the others'
+   * @param {Function} now - Clock, for tests
+   */
+  constructor(prefix: string, now: () => number = Date.now) {
+    this.prefix = prefix;
+    this.now = now;
+  }
+
+  init(options: Options): void {
+    this.windowMs = options.windowMs;
+  }
+
+  private doc(key: string) {
+    // Keys are user IDs, channel logins or IPs; encoded, none contains a "/".
+    return db.collection(COLLECTIONS.RATE_LIMITS).doc(`${this.prefix}:${encodeURIComponent(key)}`);
+  }
+
+  async get(key: string): Promise<ClientRateLimitInfo | undefined> {
+    const snapshot = await this.doc(key).get();
+    const data = snapshot.exists ? snapshot.data() : undefined;
+    if (!data || data.resetAt <= this.now()) return undefined;
+    return { totalHits: data.hits, resetTime: new Date(data.resetAt) };
+  }
+
+  async increment(key: string): Promise<ClientRateLimitInfo> {
+    const ref = this.doc(key);
+    return db.runTransaction(async (tx) => {
+      const snapshot = await tx.get(ref);
+      const data = snapshot.exists ? snapshot.data() : undefined;
+      const now = this.now();
+      const current = data && data.resetAt > now ? data : null;
+      const hits = current ? current.hits + 1 : 1;
+      const resetAt = current ? current.resetAt : now + this.windowMs;
+      tx.set(ref, { hits, resetAt, expireAt: new Date(resetAt) });
+      return { totalHits: hits, resetTime: new Date(resetAt) };
+    });
+  }
+
+  async decrement(key: string): Promise<void> {
+    // A window that has already gone has nothing to take back.
+    await this.doc(key).update({ hits: FieldValue.increment(-1) }).catch(() => undefined);
+  }
+
+  async resetKey(key: string): Promise<void> {
+    await this.doc(key).delete();
+  }
+}
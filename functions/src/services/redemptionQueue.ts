@@ -0,0 +1,183 @@
+/**
+ * The TTS redemption queue.
+ *
+ * A tier with skipQueue off leaves its redemptions UNFULFILLED in Twitch's
+ * request queue until someone approves (fulfills) or refunds (cancels) them.
+ * Twitch keeps the queue; nothing here is stored. Helix lists and updates
+ * redemptions one reward at a time, so a page of the queue walks the
+ * channel's tiers in order and its cursor says which tier it stopped in:
+ *
+ *   { tierId, after }   after is Helix's own cursor within that tier's
+ *                       reward, or null to start it from the top
+ *
+ * The cursor goes to the dashboard as base64url JSON and is only ever read
+ * back here.
+ */
+
+import type { RewardTier } from "./rewardTiers";
+
+export const REDEMPTION_QUEUE_LIMITS = {
+  PAGE_SIZE: 20,
+  // Helix returns at most 50 redemptions a call and updates at most 50 IDs.
+  MAX_PAGE_SIZE: 50,
+  HELIX_BATCH: 50,
+  MAX_BULK: 100,
+};
+
+/** What each action sets a redemption's status to. */
+export const REDEMPTION_ACTIONS = {
+  fulfill: "FULFILLED",
+  cancel: "CANCELED",
+} as const;
+
+export type RedemptionAction = keyof typeof REDEMPTION_ACTIONS;
+
+/** A redemption as Helix returns it, as far as the queue cares. */
+export interface HelixRedemption {
+  id: string;
+  user_id: string;
+  user_login: string;
+  user_name: string;
+  user_input: string;
+  status: string;
+  redeemed_at: string;
+  reward: { id: string; title: string; cost: number };
+}
+
+export interface QueueCursor {
+  tierId: string;
+  after: string | null;
+}
+
+/** The result of running a redemption's text through the tier's rules. */
+export interface TextCheck {
+  ok: boolean;
+  reason?: string;
+  spoken?: string;
+  voiceId?: string;
+}
+
+export interface RedemptionView {
+  id: string;
+  tierId: string;
+  rewardId: string;
+  rewardTitle: string;
+  cost: number;
+  userId: string;
+  userLogin: string;
+  userName: string;
+  text: string;
+  redeemedAt: string;
+  check: TextCheck;
+}
+
+export interface RedemptionSelection {
+  id: string;
+  rewardId: string;
+}
+
+/**
+ * Whether a value names a queue action.
+ * @param {unknown} value - Untrusted input
+ * @return {boolean} True for "fulfill" or "cancel"
+ */
+export function isRedemptionAction(value: unknown): value is RedemptionAction {
+  return typeof value === "string" && Object.prototype.hasOwnProperty.call(REDEMPTION_ACTIONS, value);
+}
+
+/**
+ * The page size a request asked for, bounded.
+ * @param {unknown} value - The ?first query value
+ * @return {number} The page size
+ */
+export function queuePageSize(value: unknown): number {
+  const parsed = parseInt(String(value ?? ""), 10);
+  if (!Number.isFinite(parsed)) return REDEMPTION_QUEUE_LIMITS.PAGE_SIZE;
+  return Math.max(1, Math.min(REDEMPTION_QUEUE_LIMITS.MAX_PAGE_SIZE, parsed));
+}
+
+/**
+ * A cursor for the dashboard to send back.
+ * @param {QueueCursor} cursor - Where the next page starts
+ * @return {string} The encoded cursor
+ */
+export function encodeQueueCursor(cursor: QueueCursor): string {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+/**
+ * Read a cursor the dashboard sent back.
+ * @param {unknown} value - The ?cursor query value
+ * @return {QueueCursor | null} The cursor, or null if it is not one of ours
+ */
+export function decodeQueueCursor(value: unknown): QueueCursor | null {
+  if (typeof value !== "string" || !value) return null;
+  try {
+    const parsed = JSON.parse(Buffer.from(value, "base64url").toString("utf8"));
+    if (typeof parsed?.tierId !== "string") return null;
+    if (parsed.after !== null && typeof parsed.after !== "string") return null;
+    return { tierId: parsed.tierId, after: parsed.after };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A redemption as the dashboard shows it.
+ * @param {HelixRedemption} redemption - The redemption from Helix
+ * @param {RewardTier} tier - The tier whose reward it redeemed
+ * @param {TextCheck} check - Its text run through the tier's rules
+ * @return {RedemptionView} The view
+ */
+export function serializeRedemption(redemption: HelixRedemption, tier: RewardTier, check: TextCheck): RedemptionView {
+  return {
+    id: redemption.id,
+    tierId: tier.id,
+    rewardId: redemption.reward?.id ?? tier.rewardId ?? "",
+    rewardTitle: redemption.reward?.title ?? tier.title,
+    cost: redemption.reward?.cost ?? tier.cost,
+    userId: redemption.user_id,
+    userLogin: redemption.user_login,
+    userName: redemption.user_name,
+    text: redemption.user_input ?? "",
+    redeemedAt: redemption.redeemed_at,
+    check,
+  };
+}
+
+/**
+ * Sort a selection into Helix calls: IDs by reward, at most HELIX_BATCH a
+ * call. Redemptions of rewards that are not the channel's tiers are refused,
+ * so the queue cannot be used on the channel's other rewards.
+ * @param {RedemptionSelection[]} selections - What the dashboard selected
+ * @param {RewardTier[]} tiers - The channel's tiers
+ * @return {{batches: Array<{rewardId: string, ids: string[]}>, refused: string[]}}
+ *   The calls to make, and the IDs refused
+ */
+export function batchSelections(
+  selections: RedemptionSelection[],
+  tiers: RewardTier[]
+): { batches: Array<{ rewardId: string; ids: string[] }>; refused: string[] } {
+  const rewardIds = new Set(tiers.map((t) => t.rewardId).filter((id): id is string => !!id));
+  const byReward = new Map<string, string[]>();
+  const refused: string[] = [];
+  const seen = new Set<string>();
+
+  for (const { id, rewardId } of selections) {
+    if (seen.has(id)) continue;
+    seen.add(id);
+    if (!rewardIds.has(rewardId)) {
+      refused.push(id);
+      continue;
+    }
+    byReward.set(rewardId, [...(byReward.get(rewardId) || []), id]);
+  }
+
+  const batches: Array<{ rewardId: string; ids: string[] }> = [];
+  for (const [rewardId, ids] of byReward) {
+    for (let i = 0; i < ids.length; i += REDEMPTION_QUEUE_LIMITS.HELIX_BATCH) {
+      batches.push({ rewardId, ids: ids.slice(i, i + REDEMPTION_QUEUE_LIMITS.HELIX_BATCH) });
+    }
+  }
+  return { batches, refused };
+}
@@ -0,0 +1,388 @@
+/**
+ * Channel point TTS reward tiers.
+ *
+ * A channel can offer several TTS rewards, say a cheap one read in the usual
+ * voice and a dear one where the viewer picks any voice and jumps the queue.
+ * Each is a tier in the `channelPointsRewards` list of the channel's
+ * ttsChannelConfigs document, with its own Twitch reward:
+ *
+ *   id            Our ID for the tier, stable across Twitch reward changes
+ *   rewardId      The Twitch custom reward, or null until one is made
+ *   enabled       Whether the Twitch reward is on
+ *   title, cost, prompt, skipQueue, limitsEnabled, cooldownSeconds,
+ *   perStreamLimit, perUserPerStreamLimit
+ *                 Synced to the Twitch reward
+ *   contentPolicy Extra text rules for its redemptions
+ *   voiceMode     Which voice reads a redemption: "viewer" (their own
+ *                 preference, as chat), "channel" (the channel default, even
+ *                 if the viewer set one) or "pick" (a voice named at the start
+ *                 of the message, "Wise_Woman: hello", else as "viewer")
+ *   priority      Play ahead of queued messages
+ *
+ * The bot finds the tier of a redemption by its reward ID. For bot versions
+ * that know only one reward, the first tier is still mirrored into the
+ * `channelPoints` field and the channelPointRewardId/channelPointsEnabled
+ * fields.
+ *
+ * A streamer can also edit or delete a reward in Twitch's own dashboard.
+ * rewardDrift compares a tier with the reward Twitch has, so the dashboard can
+ * show the difference and either side can be made to match.
+ */
+
+import { randomBytes } from "crypto";
+import type { DocumentData } from "@google-cloud/firestore";
+import type { ContentPolicy } from "./textPolicy";
+
+export const REWARD_TIER_LIMITS = {
+  // Twitch allows 50 custom rewards a channel; TTS should not use them all.
+  MAX_TIERS: 5,
+  MAX_TITLE_LENGTH: 45,
+  MAX_PROMPT_LENGTH: 100,
+  MAX_COST: 999999,
+  MAX_COOLDOWN_SECONDS: 3600,
+  MAX_STREAM_LIMIT: 1000,
+  MAX_BANNED_WORDS: 100,
+};
+
+export const VOICE_MODES = ["viewer", "channel", "pick"] as const;
+export type VoiceMode = typeof VOICE_MODES[number];
+
+export const DEFAULT_REWARD_TITLE = "Text-to-Speech Message";
+const DEFAULT_PROMPT = "Enter a message to be read aloud";
+
+export interface RewardTier {
+  id: string;
+  rewardId: string | null;
+  enabled: boolean;
+  title: string;
+  cost: number;
+  prompt: string;
+  skipQueue: boolean;
+  limitsEnabled: boolean;
+  cooldownSeconds: number;
+  perStreamLimit: number;
+  perUserPerStreamLimit: number;
+  contentPolicy: ContentPolicy;
+  voiceMode: VoiceMode;
+  priority: boolean;
+  lastSyncedAt?: number;
+}
+
+export interface TwitchRewardBody {
+  title: string;
+  cost: number;
+  prompt: string;
+  is_user_input_required?: boolean;
+  should_redemptions_skip_request_queue: boolean;
+  is_enabled: boolean;
+  is_global_cooldown_enabled: boolean;
+  global_cooldown_seconds: number;
+  is_max_per_stream_enabled: boolean;
+  max_per_stream: number;
+  is_max_per_user_per_stream_enabled: boolean;
+  max_per_user_per_stream: number;
+}
+
+/** A custom reward as Helix returns it, as far as tiers care. */
+export interface TwitchReward {
+  id: string;
+  title: string;
+  cost: number;
+  prompt: string;
+  is_enabled: boolean;
+  should_redemptions_skip_request_queue: boolean;
+  global_cooldown_setting?: { is_enabled: boolean; global_cooldown_seconds: number };
+  max_per_stream_setting?: { is_enabled: boolean; max_per_stream: number };
+  max_per_user_per_stream_setting?: { is_enabled: boolean; max_per_user_per_stream: number };
+}
+
+/** The tier fields a Twitch reward holds, as they take effect. */
+export interface SyncedFields {
+  title: string;
+  cost: number;
+  prompt: string;
+  enabled: boolean;
+  skipQueue: boolean;
+  cooldownSeconds: number;
+  perStreamLimit: number;
+  perUserPerStreamLimit: number;
+}
+
+export interface FieldDifference {
+  field: keyof SyncedFields;
+  ours: SyncedFields[keyof SyncedFields];
+  twitch: SyncedFields[keyof SyncedFields];
+}
+
+/**
+ * How a tier compares with Twitch:
+ *   in-sync     The reward matches
+ *   drifted     The reward differs in some fields
+ *   missing     The tier has a reward ID Twitch no longer has
+ *   not-created The tier has no reward yet
+ *   unknown     Twitch could not be asked
+ */
+export type DriftStatus = "in-sync" | "drifted" | "missing" | "not-created" | "unknown";
+
+export const SYNC_ACTIONS = ["adopt", "push", "recreate"] as const;
+export type SyncAction = typeof SYNC_ACTIONS[number];
+
+export type TierValidation =
+  | { ok: true; tier: RewardTier }
+  | { ok: false; reason: string };
+
+/**
+ * A new tier ID.
+ * @return {string} The ID
+ */
+export function newTierId(): string {
+  return randomBytes(6).toString("hex");
+}
+
+function clampInt(value: unknown, min: number, max: number, fallback: number): number {
+  const parsed = parseInt(String(value ?? ""), 10);
+  return Number.isFinite(parsed) ? Math.max(min, Math.min(max, parsed)) : fallback;
+}
+
+/**
+ * A tier from what the dashboard sent, over its stored version if any.
+ * Numbers are clamped into range as the single reward always was; only an
+ * unknown voice mode is refused.
+ * @param {Record<string, unknown>} body - The request body
+ * @param {Partial<RewardTier>} existing - The stored tier, for its ID and reward
+ * @return {TierValidation} The tier, or why it was refused
+ */
+export function normalizeRewardTier(body: Record<string, unknown>, existing: Partial<RewardTier> = {}): TierValidation {
+  const voiceMode = body.voiceMode ?? existing.voiceMode ?? "viewer";
+  if (!VOICE_MODES.includes(voiceMode as VoiceMode)) {
+    return { ok: false, reason: `voiceMode must be one of ${VOICE_MODES.join(", ")}` };
+  }
+
+  // When limits are on, Twitch needs a cooldown of at least a second.
+  const limitsEnabled = body.limitsEnabled === true;
+  const cooldownMin = limitsEnabled ? 1 : 0;
+  const policy = (body.contentPolicy || {}) as ContentPolicy;
+  const title = String(body.title || DEFAULT_REWARD_TITLE).trim().slice(0, REWARD_TIER_LIMITS.MAX_TITLE_LENGTH);
+
+  return {
+    ok: true,
+    tier: {
+      id: existing.id || newTierId(),
+      rewardId: existing.rewardId ?? null,
+      enabled: !!body.enabled,
+      title: title || DEFAULT_REWARD_TITLE,
+      cost: clampInt(body.cost, 1, REWARD_TIER_LIMITS.MAX_COST, 500),
+      prompt: String(body.prompt || DEFAULT_PROMPT).slice(0, REWARD_TIER_LIMITS.MAX_PROMPT_LENGTH),
+      skipQueue: body.skipQueue !== false,
+      limitsEnabled,
+      cooldownSeconds: clampInt(body.cooldownSeconds ?? 0, cooldownMin, REWARD_TIER_LIMITS.MAX_COOLDOWN_SECONDS, cooldownMin),
+      perStreamLimit: clampInt(body.perStreamLimit ?? 0, 0, REWARD_TIER_LIMITS.MAX_STREAM_LIMIT, 0),
+      perUserPerStreamLimit: clampInt(body.perUserPerStreamLimit ?? 0, 0, REWARD_TIER_LIMITS.MAX_STREAM_LIMIT, 0),
+      contentPolicy: {
+        blockLinks: policy.blockLinks !== false,
+        bannedWords: Array.isArray(policy.bannedWords) ? policy.bannedWords.slice(0, REWARD_TIER_LIMITS.MAX_BANNED_WORDS) : [],
+      },
+      voiceMode: voiceMode as VoiceMode,
+      priority: body.priority === true,
+    },
+  };
+}
+
+/**
+ * A channel's tiers. A channel set up before there were tiers has its single
+ * `channelPoints` reward read as the first.
+ * @param {DocumentData | undefined} data - The channel config document
+ * @return {RewardTier[]} The tiers, in order
+ */
+export function readRewardTiers(data: DocumentData | undefined): RewardTier[] {
+  if (Array.isArray(data?.channelPointsRewards)) return data.channelPointsRewards as RewardTier[];
+  const legacy = data?.channelPoints;
+  if (!legacy || typeof legacy !== "object") return [];
+  const result = normalizeRewardTier({ ...legacy, voiceMode: "viewer", priority: false }, {
+    id: "default",
+    rewardId: legacy.rewardId || data?.channelPointRewardId || null,
+  });
+  if (!result.ok) return [];
+  return [{ ...result.tier, ...(legacy.lastSyncedAt ? { lastSyncedAt: legacy.lastSyncedAt } : {}) }];
+}
+
+/**
+ * The fields that store a channel's tiers, the first mirrored for older bots.
+ * @param {RewardTier[]} tiers - The tiers, in order
+ * @return {Record<string, unknown>} Fields to merge into the config document
+ */
+export function rewardTierFields(tiers: RewardTier[]): Record<string, unknown> {
+  const first = tiers[0];
+  return {
+    channelPointsRewards: tiers,
+    channelPoints: first ? { ...first } : { enabled: false, rewardId: null },
+    channelPointRewardId: first?.rewardId ?? null,
+    channelPointsEnabled: first?.enabled ?? false,
+  };
+}
+
+/**
+ * Whether another tier already has a title; Twitch refuses two rewards of
+ * the same name.
+ * @param {RewardTier[]} tiers - The channel's tiers
+ * @param {string} title - The title
+ * @param {string} exceptId - The tier being saved
+ * @return {boolean} True if taken
+ */
+export function titleTaken(tiers: RewardTier[], title: string, exceptId?: string): boolean {
+  return tiers.some((tier) => tier.id !== exceptId && tier.title.toLowerCase() === title.toLowerCase());
+}
+
+/**
+ * Why a tier cannot be stored alongside a channel's others: a new one past
+ * the limit, or a title another already has.
+ * @param {RewardTier[]} tiers - The channel's tiers
+ * @param {RewardTier} tier - The tier being saved
+ * @return {string | null} The reason, or null if it fits
+ */
+export function tierConflict(tiers: RewardTier[], tier: RewardTier): string | null {
+  if (!tiers.some((t) => t.id === tier.id) && tiers.length >= REWARD_TIER_LIMITS.MAX_TIERS) {
+    return `A channel can have at most ${REWARD_TIER_LIMITS.MAX_TIERS} TTS rewards`;
+  }
+  if (titleTaken(tiers, tier.title, tier.id)) {
+    return `Another TTS reward is already named "${tier.title}"`;
+  }
+  return null;
+}
+
+/**
+ * The Twitch custom reward settings for a tier. Twitch wants each limit's
+ * enable flag and value sent together, so all are always sent.
+ * @param {RewardTier} tier - The tier
+ * @return {TwitchRewardBody} The body for Create/Update Custom Reward
+ */
+export function twitchRewardBody(tier: RewardTier): TwitchRewardBody {
+  const { limitsEnabled, cooldownSeconds, perStreamLimit, perUserPerStreamLimit } = tier;
+  return {
+    title: tier.title,
+    cost: tier.cost,
+    prompt: tier.prompt,
+    is_user_input_required: true,
+    is_enabled: tier.enabled,
+    should_redemptions_skip_request_queue: tier.skipQueue,
+    is_global_cooldown_enabled: limitsEnabled && cooldownSeconds > 0,
+    global_cooldown_seconds: cooldownSeconds > 0 ? cooldownSeconds : 1,
+    is_max_per_stream_enabled: limitsEnabled && perStreamLimit > 0,
+    max_per_stream: perStreamLimit,
+    is_max_per_user_per_stream_enabled: limitsEnabled && perUserPerStreamLimit > 0,
+    max_per_user_per_stream: perUserPerStreamLimit,
+  };
+}
+
+/**
+ * The voice a "pick" redemption names: "Wise_Woman: hello" or
+ * "wise woman: hello". Anything else is not a pick.
+ * @param {string} text - The redemption message
+ * @param {string[]} voiceIds - The voices that may be picked
+ * @return {{voiceId: string, text: string} | null} The voice and the rest of
+ *   the message, or null
+ */
+export function parseVoicePick(text: string, voiceIds: string[]): { voiceId: string; text: string } | null {
+  const match = /^\s*([^:\n]{1,60}):\s*([\s\S]*)$/.exec(text);
+  if (!match) return null;
+  const wanted = match[1].trim().replace(/\s+/g, "_").toLowerCase();
+  const voiceId = voiceIds.find((id) => id.toLowerCase() === wanted);
+  return voiceId && match[2].trim() ? { voiceId, text: match[2] } : null;
+}
+
+/**
+ * What a tier's settings amount to on Twitch. A limit that is switched off
+ * counts as 0 whatever number is stored with it.
+ * @param {RewardTier} tier - The tier
+ * @return {SyncedFields} Its effective settings
+ */
+export function tierSyncedFields(tier: RewardTier): SyncedFields {
+  const limit = (value: number) => (tier.limitsEnabled && value > 0 ? value : 0);
+  return {
+    title: tier.title,
+    cost: tier.cost,
+    prompt: tier.prompt,
+    enabled: tier.enabled,
+    skipQueue: tier.skipQueue,
+    cooldownSeconds: limit(tier.cooldownSeconds),
+    perStreamLimit: limit(tier.perStreamLimit),
+    perUserPerStreamLimit: limit(tier.perUserPerStreamLimit),
+  };
+}
+
+/**
+ * What a Twitch reward's settings amount to, in tier terms.
+ * @param {TwitchReward} reward - The reward from Helix
+ * @return {SyncedFields} Its effective settings
+ */
+export function twitchSyncedFields(reward: TwitchReward): SyncedFields {
+  const cooldown = reward.global_cooldown_setting;
+  const perStream = reward.max_per_stream_setting;
+  const perUser = reward.max_per_user_per_stream_setting;
+  return {
+    title: reward.title,
+    cost: reward.cost,
+    prompt: reward.prompt,
+    enabled: reward.is_enabled,
+    skipQueue: reward.should_redemptions_skip_request_queue,
+    cooldownSeconds: cooldown?.is_enabled ? cooldown.global_cooldown_seconds : 0,
+    perStreamLimit: perStream?.is_enabled ? perStream.max_per_stream : 0,
+    perUserPerStreamLimit: perUser?.is_enabled ? perUser.max_per_user_per_stream : 0,
+  };
+}
+
+/**
+ * The fields in which a tier and its Twitch reward differ.
+ * @param {RewardTier} tier - The tier
+ * @param {TwitchReward} reward - Its reward from Helix
+ * @return {FieldDifference[]} The differences, empty if none
+ */
+export function rewardDrift(tier: RewardTier, reward: TwitchReward): FieldDifference[] {
+  const ours = tierSyncedFields(tier);
+  const twitch = twitchSyncedFields(reward);
+  return (Object.keys(ours) as Array<keyof SyncedFields>)
+    .filter((field) => ours[field] !== twitch[field])
+    .map((field) => ({ field, ours: ours[field], twitch: twitch[field] }));
+}
+
+/**
+ * How a tier compares with Twitch.
+ * @param {RewardTier} tier - The tier
+ * @param {Map<string, TwitchReward> | null} onTwitch - The channel's rewards
+ *   by ID, or null if Twitch could not be asked
+ * @return {{status: DriftStatus, differences: FieldDifference[]}} The result
+ */
+export function tierDriftStatus(
+  tier: RewardTier,
+  onTwitch: Map<string, TwitchReward> | null
+): { status: DriftStatus; differences: FieldDifference[] } {
+  if (!tier.rewardId) return { status: "not-created", differences: [] };
+  if (!onTwitch) return { status: "unknown", differences: [] };
+  const reward = onTwitch.get(tier.rewardId);
+  if (!reward) return { status: "missing", differences: [] };
+  const differences = rewardDrift(tier, reward);
+  return { status: differences.length > 0 ? "drifted" : "in-sync", differences };
+}
+
+/**
+ * A tier taking on its Twitch reward's settings. Limits are switched on if
+ * Twitch has any.
+ * @param {RewardTier} tier - The tier
+ * @param {TwitchReward} reward - Its reward from Helix
+ * @return {RewardTier} The tier with Twitch's values
+ */
+export function adoptTwitchReward(tier: RewardTier, reward: TwitchReward): RewardTier {
+  const twitch = twitchSyncedFields(reward);
+  const limitsEnabled = twitch.cooldownSeconds > 0 || twitch.perStreamLimit > 0 || twitch.perUserPerStreamLimit > 0;
+  return {
+    ...tier,
+    ...twitch,
+    // With no limits on Twitch, keep the stored numbers so switching limits
+    // back on restores them.
+    cooldownSeconds: limitsEnabled ? twitch.cooldownSeconds : tier.cooldownSeconds,
+    perStreamLimit: limitsEnabled ? twitch.perStreamLimit : tier.perStreamLimit,
+    perUserPerStreamLimit: limitsEnabled ? twitch.perUserPerStreamLimit : tier.perUserPerStreamLimit,
+    limitsEnabled,
+    rewardId: reward.id,
+  };
+}
@@ -0,0 +1,220 @@
+/**
+ * Channel settings change history.
+ *
+ * Every write the dashboard makes to a channel's ttsChannelConfigs document is
+ * recorded, in the same transaction as the write, to a `settingsHistory`
+ * subcollection under that document. One entry per changed field:
+ *
+ *   actor     { id: "twitch:<id>", login } of whoever made the change
+ *   key       The field that changed: a setting ("speed"), one entry of a map
+ *             ("pronunciations.lfg", "voiceVolumes.<voiceId>",
+ *             "ignoredUserIds.twitch:123", "bannedWordRules.<ruleId>",
+ *             "disabledPronunciationDefaults.lfg"), or
+ *             "bannedWords" for one legacy banned word
+ *   oldValue  The value before; null when the field or entry did not exist
+ *   newValue  The value after; null when it was removed
+ *   at        Server commit time
+ *   source    Which route made the write
+ *
+ * Legacy banned words are an array rather than a map, so each entry covers a
+ * single word: oldValue null and newValue "x" records adding "x", the reverse
+ * records removing it. That keeps every entry independently revertible. Moving
+ * a channel onto banned-word rules is recorded as the rules' addition; the
+ * array stays behind as the bot's copy of the rules and is not recorded. Once a
+ * channel has rules, reverting or restoring a "bannedWords" entry acts on the
+ * word's whole-word rule instead of the array (see bannedWordRuleKey).
+ */
+
+import type { DocumentData, DocumentReference, Transaction } from "@google-cloud/firestore";
+import { FieldValue } from "./firestore";
+import { botBannedWords, legacyRuleId, readBannedWordRules } from "./bannedWordRules";
+
+export const SETTINGS_HISTORY_COLLECTION = "settingsHistory";
+
+/** Map fields whose entries are recorded individually. */
+const MAP_FIELDS = ["voiceVolumes", "pronunciations", "ignoredUserIds", "bannedWordRules", "disabledPronunciationDefaults", "voiceAssignments"];
+
+export type HistorySource =
+  | "settings"
+  | "import"
+  | "ignore"
+  | "viewer-ignore"
+  | "banned-words"
+  | "pronunciations"
+  | "voice-assignments"
+  | "revert"
+  | "restore";
+
+export interface HistoryActor {
+  id: string;
+  login: string;
+}
+
+/** One field-level change, before it is stored. null stands for "absent". */
+export interface HistoryChange {
+  key: string;
+  oldValue: unknown;
+  newValue: unknown;
+}
+
+/**
+ * The acting account for a request, keyed by immutable ID like ignore entries.
+ * @param user - The authenticated user from the request
+ * @param user.userId - Twitch user ID
+ * @param user.userLogin - Twitch login
+ * @return The actor record
+ */
+export function historyActor(user: { userId: string; userLogin: string }): HistoryActor {
+  return { id: `twitch:${user.userId}`, login: user.userLogin };
+}
+
+/**
+ * The history subcollection for a channel config document.
+ * @param channelDocRef - The ttsChannelConfigs document
+ * @return The collection reference
+ */
+export function historyCollection(channelDocRef: DocumentReference) {
+  return channelDocRef.collection(SETTINGS_HISTORY_COLLECTION);
+}
+
+/**
+ * Split a history key into its field and, for map fields, the entry key.
+ * Only the first dot separates them: entry keys never contain one (match keys
+ * and voice IDs exclude it), but ignore keys do contain a colon.
+ * @param key - A history key
+ * @return The top-level field and the entry key, if any
+ */
+function splitKey(key: string): { field: string; entry: string | null } {
+  const dot = key.indexOf(".");
+  if (dot > 0 && MAP_FIELDS.includes(key.slice(0, dot))) {
+    return { field: key.slice(0, dot), entry: key.slice(dot + 1) };
+  }
+  return { field: key, entry: null };
+}
+
+/**
+ * Read the current value a history key points at.
+ * @param data - The stored document data
+ * @param key - A history key (not "bannedWords", which is per word)
+ * @return The value, or null when absent
+ */
+export function readHistoryKey(data: DocumentData | undefined, key: string): unknown {
+  const { field, entry } = splitKey(key);
+  const value = data?.[field];
+  if (entry === null) return value ?? null;
+  if (!value || typeof value !== "object" || !Object.hasOwn(value, entry)) return null;
+  return value[entry] ?? null;
+}
+
+/**
+ * Changes made by writing flat setting keys, as the settings routes take them.
+ * @param data - The stored document data before the write
+ * @param updates - Setting keys (including "voiceVolumes.<id>") and new values
+ * @return Only the keys whose value actually differs
+ */
+export function changesForUpdates(data: DocumentData | undefined, updates: Record<string, unknown>): HistoryChange[] {
+  return Object.entries(updates)
+    .map(([key, newValue]) => ({ key, oldValue: readHistoryKey(data, key), newValue }))
+    .filter((change) => !sameValue(change.oldValue, change.newValue));
+}
+
+/**
+ * Value equality for stored JSON-like values.
+ * @param a - First value
+ * @param b - Second value
+ * @return True when they serialize identically
+ */
+export function sameValue(a: unknown, b: unknown): boolean {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Queue history entries on a transaction. Call after the transaction's reads.
+ * @param tx - The transaction the settings write is part of
+ * @param channelDocRef - The ttsChannelConfigs document being changed
+ * @param actor - Who made the change
+ * @param source - Which route made it
+ * @param changes - The field-level changes; nothing is written when empty
+ * @param extra - Additional fields for every entry, e.g. what a revert undid
+ */
+export function recordHistory(
+  tx: Transaction,
+  channelDocRef: DocumentReference,
+  actor: HistoryActor,
+  source: HistorySource,
+  changes: HistoryChange[],
+  extra: Record<string, unknown> = {},
+): void {
+  const collection = historyCollection(channelDocRef);
+  for (const change of changes) {
+    tx.set(collection.doc(), {
+      actor,
+      key: change.key,
+      // Firestore rejects undefined, and null already means "absent" here.
+      oldValue: change.oldValue ?? null,
+      newValue: change.newValue ?? null,
+      at: FieldValue.serverTimestamp(),
+      source,
+      ...extra,
+    });
+  }
+}
+
+/**
+ * The update that puts one history key back to a given value. Map entries and
+ * top-level fields are written with set+merge so the document need not exist;
+ * null deletes the field or entry.
+ * @param key - A history key
+ * @param value - The value to restore; null removes it
+ * @param word - For "bannedWords", the word concerned. Only channels without
+ *   banned-word rules are restored through the array.
+ * @return The object to pass to set(..., { merge: true })
+ */
+export function restoreUpdate(key: string, value: unknown, word?: string): Record<string, unknown> {
+  if (key === "bannedWords") {
+    return { bannedWords: value === null ? FieldValue.arrayRemove(word) : FieldValue.arrayUnion(word) };
+  }
+  const { field, entry } = splitKey(key);
+  const stored = value === null ? FieldValue.delete() : value;
+  return entry === null ? { [field]: stored } : { [field]: { [entry]: stored } };
+}
+
+/**
+ * The rule a "bannedWords" entry stands for on a channel that has banned-word
+ * rules: the word's whole-word rule if it has one, otherwise the ID the word
+ * would have been moved to.
+ * @param data - The stored document data
+ * @param word - The word the entry is about
+ * @return The history key of that rule
+ */
+export function bannedWordRuleKey(data: DocumentData | undefined, word: string): string {
+  const rule = readBannedWordRules(data).find((r) => !r.legacy && r.type === "whole-word" && r.pattern === word);
+  return `bannedWordRules.${rule?.id ?? legacyRuleId(word)}`;
+}
+
+/**
+ * The bot's `bannedWords` copy once some banned-word rule entries change.
+ * @param data - The stored document data before the write
+ * @param updates - History keys ("bannedWordRules.<id>") and their new rules; null removes one. Other keys are ignored.
+ * @return The array to store alongside the rules
+ */
+export function botBannedWordsAfter(data: DocumentData | undefined, updates: Record<string, unknown>): string[] {
+  const stored = data?.bannedWordRules;
+  const rules: Record<string, unknown> = stored && typeof stored === "object" && !Array.isArray(stored) ? { ...stored } : {};
+  for (const [key, value] of Object.entries(updates)) {
+    const { field, entry } = splitKey(key);
+    if (field !== "bannedWordRules" || entry === null) continue;
+    if (value === null) delete rules[entry];
+    else rules[entry] = value;
+  }
+  return botBannedWords(readBannedWordRules({ bannedWordRules: rules }));
+}
+
+/**
+ * The word a "bannedWords" history entry is about.
+ * @param change - The entry
+ * @return The word
+ */
+export function bannedWordOf(change: HistoryChange): string {
+  return String(change.newValue ?? change.oldValue);
+}
@@ -0,0 +1,205 @@
+/**
+ * Short links: who owns them, where they may point, and when they stop
+ * working.
+ *
+ * A link is a document in the shortlinks collection, keyed by its slug:
+ *
+ *   url           The destination
+ *   ownerId       The user who made it, and ownerLogin their login; links
+ *                 made before owners were recorded have neither
+ *   createdAt     When it was made
+ *   expiresAt     When it stops redirecting, or null for never
+ *   disabled      True once the owner switched it off
+ *   clicks        Redirects so far, and lastClickedAt the latest
+ *   dailyClicks   Redirects per UTC day, keyed YYYY-MM-DD
+ *
+ * Destinations are limited to our own sites (the dashboard and viewer
+ * settings pages, and the OBS browser source), so /s/:slug cannot be used
+ * to send people anywhere else. The check is repeated on every redirect,
+ * which also stops older links that point elsewhere.
+ */
+
+import QRCode from "qrcode";
+import type { DocumentData } from "@google-cloud/firestore";
+import { config } from "../config";
+import { toMillis } from "./obsTokens";
+
+export const SHORTLINK_LIMITS = {
+  MAX_PER_OWNER: 100,
+  MAX_EXPIRY_DAYS: 365,
+  // Days of daily clicks the stats endpoint reports.
+  STATS_DAYS: 30,
+  QR_SIZE: { MIN: 128, MAX: 1024, DEFAULT: 256 },
+};
+
+export type ShortlinkStatus = "active" | "disabled" | "expired";
+
+export interface ShortlinkView {
+  slug: string;
+  url: string;
+  shortUrl: string;
+  absoluteUrl: string;
+  qrUrl: string;
+  createdAt: string | null;
+  expiresAt: string | null;
+  disabled: boolean;
+  status: ShortlinkStatus;
+  clicks: number;
+  lastClickedAt: string | null;
+}
+
+export type DestinationCheck =
+  | { ok: true; url: string }
+  | { ok: false; reason: string };
+
+export type ExpiryCheck =
+  | { ok: true; expiresAt: Date | null }
+  | { ok: false; reason: string };
+
+/**
+ * The origins a short link may point to.
+ * @return {string[]} The allowed origins
+ */
+export function allowedOrigins(): string[] {
+  const origins = new Set<string>();
+  for (const base of [config.FRONTEND_URL, config.OBS_BROWSER_BASE_URL]) {
+    if (!base) continue;
+    try {
+      origins.add(new URL(base).origin);
+    } catch {
+      // A malformed base URL allows nothing.
+    }
+  }
+  return [...origins];
+}
+
+/**
+ * Whether a short link may point to a URL.
+ * @param {unknown} url - The proposed destination
+ * @return {DestinationCheck} The normalized URL, or why it was refused
+ */
+export function checkDestination(url: unknown): DestinationCheck {
+  if (typeof url !== "string" || !url) return { ok: false, reason: "URL is required" };
+  let parsed: URL;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { ok: false, reason: "Invalid URL provided" };
+  }
+  if (!allowedOrigins().includes(parsed.origin)) {
+    return { ok: false, reason: "Short links can only point to WildcatTTS pages" };
+  }
+  return { ok: true, url: parsed.toString() };
+}
+
+/**
+ * The expiry a request asked for: `expiresInDays` from now, or null (or
+ * absent) for never.
+ * @param {unknown} days - The requested number of days
+ * @param {number} now - The current time
+ * @return {ExpiryCheck} The expiry time, or why it was refused
+ */
+export function parseExpiry(days: unknown, now: number): ExpiryCheck {
+  if (days === undefined || days === null) return { ok: true, expiresAt: null };
+  if (typeof days !== "number" || !Number.isInteger(days) || days < 1 || days > SHORTLINK_LIMITS.MAX_EXPIRY_DAYS) {
+    return { ok: false, reason: `expiresInDays must be a whole number from 1 to ${SHORTLINK_LIMITS.MAX_EXPIRY_DAYS}, or null` };
+  }
+  return { ok: true, expiresAt: new Date(now + days * 86400_000) };
+}
+
+/**
+ * Whether a link redirects.
+ * @param {DocumentData} data - The link document
+ * @param {number} now - The current time
+ * @return {ShortlinkStatus} Its status
+ */
+export function shortlinkStatus(data: DocumentData, now: number): ShortlinkStatus {
+  if (data.disabled === true) return "disabled";
+  const expiresAt = toMillis(data.expiresAt);
+  return expiresAt !== null && expiresAt <= now ? "expired" : "active";
+}
+
+/**
+ * The day key clicks are counted under.
+ * @param {number} now - The time of the click
+ * @return {string} The UTC day, YYYY-MM-DD
+ */
+export function clickDay(now: number): string {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Clicks per day for the last `days` days, oldest first, zero-filled.
+ * @param {unknown} dailyClicks - The link's dailyClicks map
+ * @param {number} now - The current time
+ * @param {number} days - How many days
+ * @return {Array<{day: string, clicks: number}>} The days
+ */
+export function recentClicks(dailyClicks: unknown, now: number, days: number): Array<{ day: string; clicks: number }> {
+  const counts = (dailyClicks && typeof dailyClicks === "object" ? dailyClicks : {}) as Record<string, unknown>;
+  return Array.from({ length: days }, (_, i) => {
+    const day = clickDay(now - (days - 1 - i) * 86400_000);
+    const clicks = counts[day];
+    return { day, clicks: typeof clicks === "number" ? clicks : 0 };
+  });
+}
+
+/**
+ * The public URL of a short link.
+ * @param {string} slug - The link's slug
+ * @return {{shortUrl: string, absoluteUrl: string}} Its path and, when the
+ *   frontend's address is configured, its full URL
+ */
+export function shortUrlFor(slug: string): { shortUrl: string; absoluteUrl: string } {
+  const shortUrl = `/s/${slug}`;
+  return { shortUrl, absoluteUrl: config.FRONTEND_URL ? `${new URL(config.FRONTEND_URL).origin}${shortUrl}` : shortUrl };
+}
+
+function toIso(value: unknown): string | null {
+  const millis = toMillis(value);
+  return millis === null ? null : new Date(millis).toISOString();
+}
+
+/**
+ * A link as its owner sees it.
+ * @param {string} slug - The link's slug
+ * @param {DocumentData} data - The link document
+ * @param {number} now - The current time
+ * @return {ShortlinkView} The view
+ */
+export function serializeShortlink(slug: string, data: DocumentData, now: number): ShortlinkView {
+  return {
+    slug,
+    url: data.url,
+    ...shortUrlFor(slug),
+    qrUrl: `/api/shortlinks/${slug}/qr.png`,
+    createdAt: toIso(data.createdAt),
+    expiresAt: toIso(data.expiresAt),
+    disabled: data.disabled === true,
+    status: shortlinkStatus(data, now),
+    clicks: typeof data.clicks === "number" ? data.clicks : 0,
+    lastClickedAt: toIso(data.lastClickedAt),
+  };
+}
+
+/**
+ * The pixel size a QR request asked for, bounded.
+ * @param {unknown} size - The ?size query value
+ * @return {number} The size to draw
+ */
+export function qrSize(size: unknown): number {
+  const { MIN, MAX, DEFAULT } = SHORTLINK_LIMITS.QR_SIZE;
+  const value = Number(size);
+  if (size === undefined || !Number.isFinite(value)) return DEFAULT;
+  return Math.min(MAX, Math.max(MIN, Math.round(value)));
+}
+
+/**
+ * A PNG QR code for a link's full URL.
+ * @param {string} slug - The link's slug
+ * @param {number} size - Width and height in pixels
+ * @return {Promise<Buffer>} The image
+ */
+export function shortlinkQrPng(slug: string, size: number): Promise<Buffer> {
+  return QRCode.toBuffer(shortUrlFor(slug).absoluteUrl, { type: "png", width: size, margin: 2, errorCorrectionLevel: "M" });
+}
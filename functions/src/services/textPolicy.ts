@@ -0,0 +1,192 @@
+/**
+ * Text policy: decides whether a message is spoken and what the bot says.
+ *
+ * The order of the steps and the matching rules follow the bot's
+ * src/lib/textRewrite pipeline, so the preview matches what the bot speaks.
+ * Everything that depends only on channel config runs here. Two steps need
+ * data the dashboard does not have: emote descriptions and the bot's
+ * profanity word list. The result carries a note for each of those instead of
+ * guessing.
+ */
+
+import * as ttsConfig from "./tts-config.json";
+import { applyBannedWordRules, legacyRule, readBannedWordRules } from "./bannedWordRules";
+import { readDisabledDefaults } from "./pronunciation";
+
+// Same pattern the pronunciation validator uses to reject links.
+const LINK_PATTERN = /(https?:\/\/\S+|\b\w+\.[a-z]{2,}\b)/i;
+const FULL_URL_PATTERN = /https?:\/\/[^\s/?#]+[^\s]*/gi;
+
+// eslint-disable-next-line no-control-regex
+const CONTROL_CHARS = /[\u0000-\u001F\u007F-\u009F]/g;
+
+// Letters, digits and apostrophes form a word, so "don't" is one token and a
+// key never matches inside a longer word.
+const WORD_START = "(?<![\\p{L}\\p{N}'])";
+const WORD_END = "(?![\\p{L}\\p{N}'])";
+
+/** Channel point messages carry their own link and banned-word rules. */
+export interface ContentPolicy {
+  blockLinks?: boolean;
+  bannedWords?: string[];
+}
+
+export interface TextPolicyOptions {
+  /** Applied on top of the channel rules, as for channel point redemptions. */
+  contentPolicy?: ContentPolicy;
+  /** Emote names in the message; Twitch sends these as tags, not in the text. */
+  emotes?: string[];
+}
+
+export interface TextPolicyResult {
+  allowed: boolean;
+  reason?: string;
+  spoken: string;
+  notes: string[];
+}
+
+function escapeRegExp(str: string): string {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function wordPattern(words: string[], flags = "giu"): RegExp {
+  // Longest first, so "roflmao" wins over "rofl" at the same position.
+  const alternatives = [...words]
+    .sort((a, b) => b.length - a.length)
+    .map((word) => escapeRegExp(word).replace(/ /g, "\\s+"));
+  return new RegExp(`${WORD_START}(${alternatives.join("|")})${WORD_END}`, flags);
+}
+
+function stringList(value: unknown): string[] {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter((entry): entry is string => typeof entry === "string")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Build the dictionary the bot rewrites with: the defaults from
+ * tts-config.json, less the ones the channel switched off, overlaid with the
+ * channel's own entries. An empty entry removes the built-in of that name.
+ * @param {unknown} custom - The channel's pronunciations map
+ * @param {Iterable<string>} disabled - Built-in keys the channel switched off
+ * @return {Map<string, string>} Lowercase match key to spoken form
+ */
+export function buildPronunciationDictionary(custom: unknown, disabled: Iterable<string> = []): Map<string, string> {
+  const dictionary = new Map<string, string>();
+  for (const { match, say } of ttsConfig.PRONUNCIATION_DEFAULTS) {
+    dictionary.set(match, say);
+  }
+  for (const match of disabled) {
+    dictionary.delete(match);
+  }
+  if (custom && typeof custom === "object" && !Array.isArray(custom)) {
+    for (const [match, say] of Object.entries(custom as Record<string, unknown>)) {
+      if (say === "") dictionary.delete(match.toLowerCase());
+      else if (typeof say === "string") dictionary.set(match.toLowerCase(), say);
+    }
+  }
+  return dictionary;
+}
+
+/**
+ * Rewrite whole-word matches in a single pass, so replacement text is never
+ * itself rewritten.
+ * @param {string} text - The message
+ * @param {Map<string, string>} dictionary - Lowercase match key to spoken form
+ * @return {string} The rewritten text
+ */
+export function applyPronunciations(text: string, dictionary: Map<string, string>): string {
+  if (dictionary.size === 0) return text;
+  return text.replace(wordPattern([...dictionary.keys()]), (found) => {
+    return dictionary.get(found.toLowerCase().replace(/\s+/g, " ")) ?? found;
+  });
+}
+
+/**
+ * Reduce each full URL to its domain, which is what the bot reads when
+ * readFullUrls is off.
+ * @param {string} text - The message
+ * @return {string} The text with URLs shortened
+ */
+export function shortenUrls(text: string): string {
+  return text.replace(FULL_URL_PATTERN, (url) => {
+    try {
+      return new URL(url).hostname.replace(/^www\./, "");
+    } catch {
+      return url;
+    }
+  });
+}
+
+/**
+ * Run a message through the channel's text policy.
+ * @param {string} text - The chat message or redemption text
+ * @param {Record<string, unknown> | undefined} config - The channel's TTS config document
+ * @param {TextPolicyOptions} options - Extra rules and message metadata
+ * @return {TextPolicyResult} Whether it is spoken, why not, and the text the bot says
+ */
+export function evaluateText(
+  text: string,
+  config: Record<string, unknown> | undefined,
+  options: TextPolicyOptions = {}
+): TextPolicyResult {
+  const settings = config || {};
+  const notes: string[] = [];
+  const trimmed = (typeof text === "string" ? text : "")
+    .replace(CONTROL_CHARS, "")
+    .trim()
+    .replace(/\s+/g, " ");
+
+  if (!trimmed) {
+    return { allowed: false, reason: "Message is empty", spoken: "", notes };
+  }
+
+  const policy = options.contentPolicy;
+  if (policy && policy.blockLinks !== false && LINK_PATTERN.test(trimmed)) {
+    return { allowed: false, reason: "Links are not allowed", spoken: "", notes };
+  }
+
+  // Channel point words are plain whole-word drops. They go first, so an
+  // existing reward keeps reporting the same word when both lists have it.
+  const outcome = applyBannedWordRules(trimmed, [
+    ...stringList(policy?.bannedWords).map(legacyRule),
+    ...readBannedWordRules(settings),
+  ]);
+  if (outcome.dropped) {
+    return { allowed: false, reason: `Contains banned word: "${outcome.dropped.pattern}"`, spoken: "", notes };
+  }
+
+  let spoken = outcome.text;
+
+  const emotes = stringList(options.emotes);
+  if (emotes.length > 0) {
+    const emoteMode = settings.emoteMode || "describe";
+    if (emoteMode === "skip") {
+      spoken = spoken.replace(wordPattern(emotes, "gu"), "").replace(/\s+/g, " ").trim();
+    } else if (emoteMode === "describe") {
+      notes.push("Emotes are described from their images when spoken, so they appear here by name.");
+    }
+  }
+
+  if (settings.readFullUrls !== true) {
+    spoken = shortenUrls(spoken);
+  }
+
+  // Acronym expansion defaults on, so only an explicit false turns it off.
+  // The channel's own entries live in the same dictionary and go with it.
+  if (settings.pronunciationEnabled !== false) {
+    spoken = applyPronunciations(spoken, buildPronunciationDictionary(settings.pronunciations, readDisabledDefaults(settings)));
+  }
+
+  if (settings.profanityFilterEnabled === true) {
+    notes.push("The profanity filter runs when the message is spoken and is not applied here.");
+  }
+
+  if (!spoken) {
+    return { allowed: false, reason: "Nothing left to speak", spoken, notes };
+  }
+
+  return { allowed: true, spoken, notes };
+}
@@ -0,0 +1,90 @@
+/**
+ * 302.ai, which serves MiniMax speech-2.8-turbo. Every voice in the catalog
+ * works here (verified 2026-03-06), so it is first in the default order.
+ */
+
+import axios from "axios";
+import { secrets } from "../config";
+import { logger } from "../logger";
+import { getVoiceEntry } from "./voice-list";
+import { TtsProvider, TtsProviderError, TtsRequest, TtsResult } from "./ttsProviders";
+
+const ENDPOINT = "https://api.302.ai/minimaxi/v1/t2a_v2";
+const MODEL = "speech-2.8-turbo";
+
+const log = logger.child({ module: "ttsProvider302ai" });
+
+/**
+ * Pull the audio URL out of a response; 302.ai has used all three shapes.
+ * @param {any} result - The response body
+ * @return {string | undefined} The URL, if there is one
+ */
+function audioUrlOf(result: any): string | undefined {
+  return result?.data?.url || result?.data?.audio || result?.url || undefined;
+}
+
+export function create302aiProvider(): TtsProvider {
+  return {
+    name: "302ai",
+    model: MODEL,
+
+    isConfigured(): boolean {
+      return !!secrets["302_KEY"];
+    },
+
+    supportsVoice(voiceId: string): boolean {
+      return !!getVoiceEntry(voiceId)?.providers.includes("302ai");
+    },
+
+    async synthesize(request: TtsRequest): Promise<TtsResult> {
+      const input = {
+        model: MODEL,
+        text: request.text,
+        stream: false,
+        voice_setting: {
+          voice_id: request.voiceId,
+          speed: request.speed,
+          vol: request.volume,
+          pitch: request.pitch,
+          emotion: request.emotion && request.emotion !== "neutral" ? request.emotion : undefined,
+          text_normalization: false,
+        },
+        audio_setting: {
+          sample_rate: 32000,
+          bitrate: 128000,
+          format: "mp3",
+          channel: 1,
+        },
+        language_boost: request.languageBoost,
+        output_format: "url",
+      };
+
+      let result: unknown;
+      try {
+        const response = await axios.post(ENDPOINT, input, {
+          headers: {
+            "Authorization": `Bearer ${secrets["302_KEY"]}`,
+            "Content-Type": "application/json",
+          },
+          timeout: 60000,
+        });
+        result = response.data;
+      } catch (error) {
+        const err = error as { message: string; response?: { data?: unknown } };
+        log.error({ error: err.message, apiError: err.response?.data }, "302.ai call failed");
+        throw new TtsProviderError("302.ai TTS generation failed", 500);
+      }
+
+      const audioUrl = audioUrlOf(result);
+      if (!audioUrl) {
+        log.error({ result }, "302.ai returned unexpected response");
+        throw new TtsProviderError("302.ai generated no audio URL", 502);
+      }
+      return { audioUrl, provider: "302.ai", model: MODEL };
+    },
+
+    async health() {
+      return this.isConfigured() ? { healthy: true } : { healthy: false, detail: "302_KEY is not set" };
+    },
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * An offline stand-in for the real providers. It answers with a short tone as
+ * a data: URL, long enough to sound like the text was read, at a pitch and
+ * speed that follow the request. Nothing leaves the machine, so local
+ * development and route tests need no keys.
+ */
+
+import { RELEASED_VOICES } from "./voice-list";
+import { TtsProvider, TtsRequest, TtsResult } from "./ttsProviders";
+
+const VOICE_IDS = new Set(RELEASED_VOICES);
+
+const SAMPLE_RATE = 8000;
+const SECONDS_PER_CHARACTER = 0.05;
+const MAX_SECONDS = 5;
+
+/**
+ * A mono 16-bit WAV holding a sine tone.
+ * @param {number} seconds - Length of the tone
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} volume - 0 to 1 and beyond; clipped to full scale
+ * @return {Buffer} The file
+ */
+export function generateToneWav(seconds: number, frequency: number, volume: number): Buffer {
+  const samples = Math.max(1, Math.round(seconds * SAMPLE_RATE));
+  const buffer = Buffer.alloc(44 + samples * 2);
+  buffer.write("RIFF", 0, "ascii");
+  buffer.writeUInt32LE(36 + samples * 2, 4);
+  buffer.write("WAVE", 8, "ascii");
+  buffer.write("fmt ", 12, "ascii");
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write("data", 36, "ascii");
+  buffer.writeUInt32LE(samples * 2, 40);
+
+  const amplitude = Math.min(1, Math.max(0, volume)) * 0.3 * 32767;
+  for (let i = 0; i < samples; i++) {
+    buffer.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE)), 44 + i * 2);
+  }
+  return buffer;
+}
+
+export function createMockProvider(): TtsProvider {
+  return {
+    name: "mock",
+    model: "mock-tone",
+
+    isConfigured(): boolean {
+      return true;
+    },
+
+    supportsVoice(voiceId: string): boolean {
+      return VOICE_IDS.has(voiceId);
+    },
+
+    async synthesize(request: TtsRequest): Promise<TtsResult> {
+      const seconds = Math.min(MAX_SECONDS, (0.3 + request.text.length * SECONDS_PER_CHARACTER) / request.speed);
+      const frequency = 440 * Math.pow(2, request.pitch / 12);
+      const wav = generateToneWav(seconds, frequency, request.volume);
+      return { audioUrl: `data:audio/wav;base64,${wav.toString("base64")}`, provider: "mock", model: "mock-tone" };
+    },
+
+    async health() {
+      return { healthy: true };
+    },
+  };
+}
@@ -0,0 +1,37 @@
+/**
+ * The provider chain the routes use, in the order config.TTS_PROVIDERS gives.
+ */
+
+import { config } from "../config";
+import { logger } from "../logger";
+import { createProviderChain, ProviderChain, TtsProvider } from "./ttsProviders";
+import { create302aiProvider } from "./ttsProvider302ai";
+import { createWavespeedProvider } from "./ttsProviderWavespeed";
+import { createMockProvider } from "./ttsProviderMock";
+
+const PROVIDER_FACTORIES: Record<string, () => TtsProvider> = {
+  "302ai": create302aiProvider,
+  "wavespeed": createWavespeedProvider,
+  "mock": createMockProvider,
+};
+
+let defaultChain: { order: string; chain: ProviderChain } | null = null;
+
+/**
+ * The chain configured by TTS_PROVIDERS, built once per order so the breakers
+ * keep their state between requests. Unknown names are logged and left out.
+ * @return {ProviderChain} The chain the routes use
+ */
+export function getProviderChain(): ProviderChain {
+  const order = config.TTS_PROVIDERS;
+  if (defaultChain?.order === order) return defaultChain.chain;
+
+  const names = order.split(",").map((name) => name.trim().toLowerCase()).filter(Boolean);
+  const unknown = names.filter((name) => !Object.hasOwn(PROVIDER_FACTORIES, name));
+  if (unknown.length > 0) logger.warn({ unknown }, "Ignoring unknown TTS providers");
+  const providers = names.filter((name) => Object.hasOwn(PROVIDER_FACTORIES, name))
+    .map((name) => PROVIDER_FACTORIES[name]());
+
+  defaultChain = { order, chain: createProviderChain(providers) };
+  return defaultChain.chain;
+}
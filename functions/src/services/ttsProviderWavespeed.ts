@@ -0,0 +1,159 @@
+/**
+ * Wavespeed AI, which serves MiniMax speech-02-turbo. The older model knows
+ * fewer emotions and languages, so those it lacks fall back to auto-detection
+ * rather than failing the request.
+ *
+ * Requests ask for sync mode. Should Wavespeed answer before the audio is
+ * ready anyway, the prediction is polled until it completes.
+ */
+
+import axios from "axios";
+import { secrets } from "../config";
+import { logger, redactSensitive } from "../logger";
+import { getVoiceEntry } from "./voice-list";
+import * as ttsConfig from "./tts-config.json";
+import { TtsProvider, TtsProviderError, TtsRequest, TtsResult } from "./ttsProviders";
+
+const ENDPOINT = "https://api.wavespeed.ai/api/v3/minimax/speech-02-turbo";
+const RESULT_ENDPOINT = "https://api.wavespeed.ai/api/v3/predictions";
+const MODEL = "minimax/speech-02-turbo";
+
+export const WAVESPEED_POLLING = {
+  INTERVAL_MS: 1000,
+  MAX_POLLS: 30,
+};
+
+const log = logger.child({ module: "ttsProviderWavespeed" });
+
+interface WavespeedPrediction {
+  id?: string;
+  status: string;
+  outputs?: string[];
+  error?: string;
+}
+
+interface WavespeedResponse extends Partial<WavespeedPrediction> {
+  message?: string;
+  data?: WavespeedPrediction;
+}
+
+/**
+ * Turn a Wavespeed error message into the error the caller sees. Voice
+ * problems are the request's fault and stay with the voice the caller chose.
+ * @param {string} message - Wavespeed's message
+ * @param {string} voiceId - The requested voice
+ * @param {number} status - Status for any other failure
+ * @return {TtsProviderError} The error to throw
+ */
+function wavespeedError(message: string, voiceId: string, status: number): TtsProviderError {
+  if (message.includes("you don't have access to this voice_id")) {
+    return new TtsProviderError(
+      `Voice access denied: The voice "${voiceId}" requires special access permissions. Please try a different voice.`,
+      403, false);
+  }
+  if (message.includes("voice_id")) {
+    return new TtsProviderError(
+      `Invalid voice: "${voiceId}" is not available. Please check the voice ID and try again.`, 400, false);
+  }
+  return new TtsProviderError(`TTS generation failed: ${message}`, status);
+}
+
+const sleep = (ms: number): Promise<void> => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function createWavespeedProvider(): TtsProvider {
+  const headers = (): Record<string, string> => ({
+    "Authorization": `Bearer ${secrets.WAVESPEED_API_KEY}`,
+    "Content-Type": "application/json",
+  });
+
+  /**
+   * Wait for a prediction that was still running when the first call returned.
+   * @param {string} id - The prediction ID
+   * @return {Promise<WavespeedPrediction>} The prediction once it has finished
+   */
+  async function poll(id: string): Promise<WavespeedPrediction> {
+    for (let attempt = 0; attempt < WAVESPEED_POLLING.MAX_POLLS; attempt++) {
+      await sleep(WAVESPEED_POLLING.INTERVAL_MS);
+      const response = await axios.get<WavespeedResponse>(`${RESULT_ENDPOINT}/${encodeURIComponent(id)}/result`, {
+        headers: headers(),
+        timeout: 10000,
+      });
+      const prediction = (response.data.data || response.data) as WavespeedPrediction;
+      if (prediction.status === "completed" || prediction.status === "failed") return prediction;
+    }
+    throw new TtsProviderError("Wavespeed did not finish in time", 504);
+  }
+
+  return {
+    name: "wavespeed",
+    model: MODEL,
+
+    isConfigured(): boolean {
+      return !!secrets.WAVESPEED_API_KEY;
+    },
+
+    supportsVoice(voiceId: string): boolean {
+      return !!getVoiceEntry(voiceId)?.providers.includes("wavespeed");
+    },
+
+    async synthesize(request: TtsRequest): Promise<TtsResult> {
+      let emotion: string | undefined = request.emotion || undefined;
+      if (emotion && !(ttsConfig.LEGACY_SAFE_EMOTIONS as readonly string[]).includes(emotion)) {
+        log.debug({ emotion }, "Emotion not supported by Wavespeed, omitting");
+        emotion = undefined;
+      }
+      let languageBoost = request.languageBoost;
+      if (!(ttsConfig.LEGACY_SAFE_LANGUAGE_BOOSTS as readonly string[]).includes(languageBoost)) {
+        log.debug({ language: languageBoost }, "Language not supported by Wavespeed, falling back to auto");
+        languageBoost = "auto";
+      }
+
+      const input = {
+        text: request.text,
+        voice_id: request.voiceId,
+        speed: request.speed,
+        vol: request.volume,
+        volume: request.volume,
+        pitch: request.pitch,
+        emotion,
+        language_boost: languageBoost,
+        english_normalization: false,
+        sample_rate: 32000,
+        bitrate: 128000,
+        channel: "1",
+        format: "mp3",
+        enable_sync_mode: true,
+      };
+
+      let prediction: WavespeedPrediction;
+      try {
+        const response = await axios.post<WavespeedResponse>(ENDPOINT, input, { headers: headers(), timeout: 60000 });
+        prediction = (response.data.data || response.data) as WavespeedPrediction;
+        if (prediction.status !== "completed" && prediction.status !== "failed" && prediction.id) {
+          prediction = await poll(prediction.id);
+        }
+      } catch (error) {
+        if (error instanceof TtsProviderError) throw error;
+        const err = error as { message: string; response?: { data?: { message?: string } } };
+        log.error({ error: err.message, responseData: redactSensitive(err.response?.data) }, "Wavespeed AI call failed");
+        const apiMessage = err.response?.data?.message;
+        if (apiMessage) throw wavespeedError(apiMessage, request.voiceId, 502);
+        throw new TtsProviderError("TTS generation failed", 500);
+      }
+
+      if (prediction.status === "completed" && prediction.outputs && prediction.outputs.length > 0) {
+        return { audioUrl: prediction.outputs[0], provider: "wavespeed", model: MODEL };
+      }
+      if (prediction.status === "failed") {
+        log.error({ error: prediction.error }, "Wavespeed AI returned failed status");
+        throw wavespeedError(prediction.error || "Unknown error", request.voiceId, 502);
+      }
+      log.warn({ data: redactSensitive(prediction) }, "Wavespeed AI returned unexpected status or missing outputs");
+      throw new TtsProviderError("No audio URL returned by TTS provider", 502);
+    },
+
+    async health() {
+      return this.isConfigured() ? { healthy: true } : { healthy: false, detail: "WAVESPEED_API_KEY is not set" };
+    },
+  };
+}
@@ -0,0 +1,218 @@
+/**
+ * Text-to-speech providers behind one interface, tried in order.
+ *
+ * The routes use the chain ttsProviderRegistry.ts builds from
+ * config.TTS_PROVIDERS ("302ai,wavespeed" by default). A provider is skipped
+ * when it is not configured, does not carry the voice, or its circuit breaker
+ * is open. A failure moves on to the next provider; when every one fails, the
+ * caller gets the most telling error: a problem with the request itself over
+ * an outage.
+ *
+ * Each provider has its own breaker. Enough consecutive failures open it,
+ * which skips the provider for the cool-down; the next request after that is
+ * let through as a trial, and closes the breaker again if it works.
+ * Errors the caller caused, such as an unknown voice, do not count.
+ *
+ * "mock" is an offline provider that generates a short tone, for local
+ * development and route tests. It is only used when listed.
+ */
+
+import { logger } from "../logger";
+
+/** One synthesis, with every value already resolved and in range. */
+export interface TtsRequest {
+  text: string;
+  voiceId: string;
+  /** null leaves the emotion to the provider's auto-detection. */
+  emotion: string | null;
+  pitch: number;
+  speed: number;
+  volume: number;
+  /** A language-boost name, or "auto". */
+  languageBoost: string;
+}
+
+export interface TtsResult {
+  audioUrl: string;
+  /** The provider's display name, as the route reports it. */
+  provider: string;
+  model: string;
+}
+
+export interface ProviderHealth {
+  healthy: boolean;
+  detail?: string;
+}
+
+export interface TtsProvider {
+  /** The name used in TTS_PROVIDERS and the voice catalog. */
+  readonly name: string;
+  readonly model: string;
+  /** Whether its credentials are present. */
+  isConfigured(): boolean;
+  supportsVoice(voiceId: string): boolean;
+  synthesize(request: TtsRequest): Promise<TtsResult>;
+  health(): Promise<ProviderHealth>;
+}
+
+/**
+ * A failed synthesis. `status` and `message` are what the route sends back;
+ * `countsAsFailure` is false when the request itself was at fault, so the
+ * provider's breaker is left alone.
+ */
+export class TtsProviderError extends Error {
+  readonly status: number;
+  readonly countsAsFailure: boolean;
+
+  constructor(message: string, status: number, countsAsFailure = true) {
+    super(message);
+    this.name = "TtsProviderError";
+    this.status = status;
+    this.countsAsFailure = countsAsFailure;
+  }
+}
+
+export type CircuitState = "closed" | "open" | "half-open";
+
+export interface CircuitBreakerOptions {
+  failureThreshold: number;
+  cooldownMs: number;
+  now?: () => number;
+}
+
+export class CircuitBreaker {
+  private failures = 0;
+  private openedAt: number | null = null;
+  private trialInFlight = false;
+  private readonly options: Required<CircuitBreakerOptions>;
+
+  constructor(options: CircuitBreakerOptions) {
+    this.options = { now: Date.now, ...options };
+  }
+
+  get state(): CircuitState {
+    if (this.openedAt === null) return "closed";
+    return this.options.now() - this.openedAt >= this.options.cooldownMs ? "half-open" : "open";
+  }
+
+  /**
+   * Whether a request may go through now. In the half-open state only one
+   * trial is let through at a time.
+   * @return {boolean} True to call the provider
+   */
+  allowRequest(): boolean {
+    const state = this.state;
+    if (state === "closed") return true;
+    if (state === "open" || this.trialInFlight) return false;
+    this.trialInFlight = true;
+    return true;
+  }
+
+  recordSuccess(): void {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(): void {
+    this.trialInFlight = false;
+    this.failures += 1;
+    if (this.openedAt !== null || this.failures >= this.options.failureThreshold) {
+      this.openedAt = this.options.now();
+    }
+  }
+
+  /** Hand back a trial that ended without a verdict on the provider. */
+  releaseTrial(): void {
+    this.trialInFlight = false;
+  }
+}
+
+export const BREAKER_DEFAULTS: CircuitBreakerOptions = {
+  failureThreshold: 3,
+  cooldownMs: 30_000,
+};
+
+export interface ProviderStatus {
+  name: string;
+  model: string;
+  configured: boolean;
+  circuit: CircuitState;
+  healthy: boolean;
+  detail?: string;
+}
+
+export interface ProviderChain {
+  synthesize(request: TtsRequest): Promise<TtsResult>;
+  status(): Promise<ProviderStatus[]>;
+}
+
+/**
+ * Build a chain over the given providers, each with a fresh breaker.
+ * @param {TtsProvider[]} providers - In the order to try them
+ * @param {CircuitBreakerOptions} breakerOptions - Shared breaker settings
+ * @return {ProviderChain} The chain
+ */
+export function createProviderChain(
+  providers: TtsProvider[],
+  breakerOptions: CircuitBreakerOptions = BREAKER_DEFAULTS
+): ProviderChain {
+  const breakers = new Map(providers.map((provider) => [provider.name, new CircuitBreaker(breakerOptions)]));
+  const log = logger.child({ module: "ttsProviders" });
+
+  return {
+    async synthesize(request: TtsRequest): Promise<TtsResult> {
+      const configured = providers.filter((provider) => provider.isConfigured());
+      if (configured.length === 0) {
+        throw new TtsProviderError("TTS provider not configured", 501, false);
+      }
+      const candidates = configured.filter((provider) => provider.supportsVoice(request.voiceId));
+      if (candidates.length === 0) {
+        throw new TtsProviderError(
+          `Invalid voice: "${request.voiceId}" is not available. Please check the voice ID and try again.`, 400, false);
+      }
+
+      let requestError: TtsProviderError | null = null;
+      let lastError: TtsProviderError | null = null;
+      for (const provider of candidates) {
+        const breaker = breakers.get(provider.name)!;
+        if (!breaker.allowRequest()) {
+          log.debug({ provider: provider.name }, "Circuit open, skipping provider");
+          continue;
+        }
+        try {
+          const result = await provider.synthesize(request);
+          breaker.recordSuccess();
+          return result;
+        } catch (error) {
+          const err = error instanceof TtsProviderError ? error :
+            new TtsProviderError("TTS generation failed", 500);
+          if (err.countsAsFailure) {
+            breaker.recordFailure();
+          } else {
+            breaker.releaseTrial();
+            requestError = requestError || err;
+          }
+          lastError = err;
+          log.warn({ provider: provider.name, status: err.status, error: (error as Error).message },
+            "TTS provider failed, trying the next one");
+        }
+      }
+      throw requestError || lastError ||
+        new TtsProviderError("TTS providers are temporarily unavailable. Please try again shortly.", 503);
+    },
+
+    async status(): Promise<ProviderStatus[]> {
+      return Promise.all(providers.map(async (provider) => {
+        const health = await provider.health().catch((error: Error) => ({ healthy: false, detail: error.message }));
+        return {
+          name: provider.name,
+          model: provider.model,
+          configured: provider.isConfigured(),
+          circuit: breakers.get(provider.name)!.state,
+          ...health,
+        };
+      }));
+    },
+  };
+}
@@ -0,0 +1,241 @@
+/**
+ * TTS usage metering and monthly character budgets.
+ *
+ * Every /api/tts/test call is counted in the ttsUsage collection, against the
+ * user who made it and, when the channel it was made for lets that user test
+ * for it, against that channel. Each gets one
+ * document per UTC day and one per UTC month, with the ID
+ * `<scope>:<subject>:<period>`, e.g. "channel:123:2026-10-18" or
+ * "user:456:2026-10". A document holds:
+ *
+ *   characters         Characters asked for, cached or not
+ *   billedCharacters   Characters a provider synthesized, i.e. what it costs
+ *   requests           Calls
+ *   cacheHits          Calls served from the audio cache
+ *   providers          Billed characters by provider
+ *   voices             Characters by voice ID
+ *   users              Characters by user login (channel documents only)
+ *
+ * A budget caps billed characters in a month. The operator sets a default for
+ * every channel and every user; a channel may set a lower cap of its own with
+ * the monthlyCharacterBudget setting. The check reads the month documents
+ * before synthesizing, so calls racing each other can overshoot a budget by
+ * a call or two.
+ */
+
+import type { DocumentData } from "@google-cloud/firestore";
+import { db, COLLECTIONS, FieldValue } from "./firestore";
+
+export type UsageScope = "channel" | "user";
+
+export const USAGE_LIMITS = {
+  MAX_DAYS: 90,
+  DEFAULT_DAYS: 30,
+  // Entries listed in each breakdown of a usage report.
+  TOP_ENTRIES: 10,
+};
+
+/** One /api/tts/test call. */
+export interface UsageEvent {
+  // The channel charged, or null to charge the user alone
+  channelId: string | null;
+  userId: string;
+  userLogin: string;
+  characters: number;
+  provider: string;
+  voiceId: string;
+  cacheHit: boolean;
+}
+
+export interface UsageTotals {
+  characters: number;
+  billedCharacters: number;
+  requests: number;
+  cacheHits: number;
+}
+
+export interface UsageBreakdowns {
+  providers: Record<string, number>;
+  voices: Record<string, number>;
+  users: Record<string, number>;
+}
+
+export interface BudgetRefusal {
+  scope: UsageScope;
+  used: number;
+  limit: number;
+  resetsAt: string;
+  message: string;
+}
+
+/**
+ * The UTC day a time falls on.
+ * @param {number} time - Milliseconds since the epoch
+ * @return {string} YYYY-MM-DD
+ */
+export function usageDay(time: number): string {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * The UTC month a time falls in.
+ * @param {number} time - Milliseconds since the epoch
+ * @return {string} YYYY-MM
+ */
+export function usageMonth(time: number): string {
+  return usageDay(time).slice(0, 7);
+}
+
+/**
+ * When the month a time falls in ends and its budgets start over.
+ * @param {number} time - Milliseconds since the epoch
+ * @return {Date} Midnight UTC on the first of the next month
+ */
+export function monthResetsAt(time: number): Date {
+  const date = new Date(time);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+}
+
+/**
+ * The days ending with the one a time falls on, oldest first.
+ * @param {number} time - Milliseconds since the epoch
+ * @param {number} count - How many days
+ * @return {string[]} YYYY-MM-DD each
+ */
+export function recentDays(time: number, count: number): string[] {
+  const dayMs = 24 * 60 * 60 * 1000;
+  return Array.from({ length: count }, (_, i) => usageDay(time - (count - 1 - i) * dayMs));
+}
+
+function usageRef(scope: UsageScope, subject: string, period: string) {
+  return db.collection(COLLECTIONS.TTS_USAGE).doc(`${scope}:${subject}:${period}`);
+}
+
+/**
+ * The counter update one call makes to a usage document, for set() with
+ * merge. set() takes each map key literally, so voice IDs with spaces or
+ * parentheses stay single keys.
+ * @param {UsageEvent} event - The call
+ * @param {UsageScope} scope - Which document it is for
+ * @return {DocumentData} The update
+ */
+export function usageIncrement(event: UsageEvent, scope: UsageScope): DocumentData {
+  const billed = event.cacheHit ? 0 : event.characters;
+  return {
+    characters: FieldValue.increment(event.characters),
+    billedCharacters: FieldValue.increment(billed),
+    requests: FieldValue.increment(1),
+    cacheHits: FieldValue.increment(event.cacheHit ? 1 : 0),
+    ...(billed > 0 && { providers: { [event.provider]: FieldValue.increment(billed) } }),
+    voices: { [event.voiceId]: FieldValue.increment(event.characters) },
+    ...(scope === "channel" && { users: { [event.userLogin]: FieldValue.increment(event.characters) } }),
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * Count a call against its user and its channel, if any, for the day and the
+ * month.
+ * @param {UsageEvent} event - The call
+ * @param {number} now - When it happened
+ * @return {Promise<void>} Resolves once written
+ */
+export async function recordUsage(event: UsageEvent, now: number = Date.now()): Promise<void> {
+  const batch = db.batch();
+  const day = usageDay(now);
+  const month = usageMonth(now);
+  const subjects: Array<[UsageScope, string]> = [["user", event.userId]];
+  if (event.channelId) subjects.unshift(["channel", event.channelId]);
+  for (const [scope, subject] of subjects) {
+    const update = usageIncrement(event, scope);
+    batch.set(usageRef(scope, subject, day), { scope, subject, period: day, ...update }, { merge: true });
+    batch.set(usageRef(scope, subject, month), { scope, subject, period: month, ...update }, { merge: true });
+  }
+  await batch.commit();
+}
+
+/**
+ * The counters of a stored usage document.
+ * @param {DocumentData | undefined} data - The document data, if any
+ * @return {UsageTotals} Its totals, zero when absent
+ */
+export function readUsageTotals(data: DocumentData | undefined): UsageTotals {
+  const count = (value: unknown): number => (typeof value === "number" && value > 0 ? value : 0);
+  return {
+    characters: count(data?.characters),
+    billedCharacters: count(data?.billedCharacters),
+    requests: count(data?.requests),
+    cacheHits: count(data?.cacheHits),
+  };
+}
+
+/**
+ * Read the usage of one channel or user.
+ * @param {UsageScope} scope - Channel or user
+ * @param {string} subject - The channel's config ID or the user's ID
+ * @param {string[]} periods - Days or months to read
+ * @return {Promise<Array<DocumentData | undefined>>} The documents' data, in order
+ */
+export async function readUsage(scope: UsageScope, subject: string, periods: string[]): Promise<Array<DocumentData | undefined>> {
+  if (periods.length === 0) return [];
+  const snaps = await db.getAll(...periods.map((period) => usageRef(scope, subject, period)));
+  return snaps.map((snap) => (snap.exists ? snap.data() : undefined));
+}
+
+/**
+ * Add up the breakdowns of several usage documents, keeping the largest
+ * entries of each.
+ * @param {Array<DocumentData | undefined>} docs - The documents' data
+ * @param {number} top - Entries to keep per breakdown
+ * @return {UsageBreakdowns} The totals by provider, voice and user
+ */
+export function sumBreakdowns(docs: Array<DocumentData | undefined>, top: number = USAGE_LIMITS.TOP_ENTRIES): UsageBreakdowns {
+  const sum = (field: keyof UsageBreakdowns): Record<string, number> => {
+    const totals = new Map<string, number>();
+    for (const data of docs) {
+      const map = data?.[field];
+      if (!map || typeof map !== "object") continue;
+      for (const [key, value] of Object.entries(map)) {
+        if (typeof value === "number") totals.set(key, (totals.get(key) || 0) + value);
+      }
+    }
+    return Object.fromEntries([...totals].sort((a, b) => b[1] - a[1]).slice(0, top));
+  };
+  return { providers: sum("providers"), voices: sum("voices"), users: sum("users") };
+}
+
+/**
+ * The budget in force: the operator's and the channel's own, whichever is
+ * lower. Zero or unset means no cap.
+ * @param {number} operatorBudget - The deployment's default
+ * @param {unknown} ownBudget - The channel's monthlyCharacterBudget setting
+ * @return {number | null} Characters a month, or null for no cap
+ */
+export function effectiveBudget(operatorBudget: number, ownBudget?: unknown): number | null {
+  const caps = [operatorBudget, ownBudget].filter((cap): cap is number => typeof cap === "number" && cap > 0);
+  return caps.length > 0 ? Math.min(...caps) : null;
+}
+
+/**
+ * Whether a call would take a budget past its cap.
+ * @param {UsageScope} scope - Whose budget
+ * @param {number} used - Billed characters so far this month
+ * @param {number | null} limit - The budget
+ * @param {number} characters - The call's characters
+ * @param {number} now - The time of the call
+ * @return {BudgetRefusal | null} Why it is refused, or null if it fits
+ */
+export function checkBudget(scope: UsageScope, used: number, limit: number | null, characters: number, now: number): BudgetRefusal | null {
+  if (limit === null || used + characters <= limit) return null;
+  const resetsAt = monthResetsAt(now);
+  const resetDay = resetsAt.toLocaleDateString("en-US", { month: "long", day: "numeric", timeZone: "UTC" });
+  const whose = scope === "channel" ? "This channel has" : "You have";
+  return {
+    scope,
+    used,
+    limit,
+    resetsAt: resetsAt.toISOString(),
+    message: `${whose} used ${used.toLocaleString("en-US")} of ${limit.toLocaleString("en-US")} TTS test characters this month. ` +
+      `The budget resets on ${resetDay}.`,
+  };
+}
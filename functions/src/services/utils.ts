@@ -147,11 +147,18 @@ function validateLanguageBoost(languageBoost: string): boolean {
 }
 
 /**
- * Creates a short link and stores it in Firestore
+ * Creates a short link and stores it in Firestore. Callers check the
+ * destination against the allowlist first (see shortlinks.ts).
  * @param longUrl - The URL to shorten
+ * @param owner - The user creating it
+ * @param expiresAt - When it stops redirecting, or null for never
  * @return The generated slug
  */
-async function createShortLink(longUrl: string): Promise<string> {
+async function createShortLink(
+  longUrl: string,
+  owner: { userId: string; userLogin: string },
+  expiresAt: Date | null = null
+): Promise<string> {
   try {
     new URL(longUrl);
   } catch (error) {
@@ -162,11 +169,15 @@ async function createShortLink(longUrl: string): Promise<string> {
 
   await db.collection(COLLECTIONS.SHORTLINKS).doc(slug).set({
     url: longUrl,
+    ownerId: owner.userId,
+    ownerLogin: owner.userLogin,
     createdAt: new Date(),
+    expiresAt,
+    disabled: false,
     clicks: 0,
   });
 
-  logger.info({ slug, url: longUrl }, "Created short link");
+  logger.info({ slug, url: longUrl, ownerId: owner.userId }, "Created short link");
   return slug;
 }
 
@@ -1,307 +1,137 @@
+/**
+ * The voice catalog: every voice the app knows about, with the metadata the
+ * pickers and filters need.
+ *
+ * voice-catalog.json is the single source of truth, one voice per line:
+ *
+ *   id         The ID the TTS providers take.
+ *   name       Display name.
+ *   language   The language it speaks, as a language-boost name
+ *              ("Chinese,Yue" for Cantonese).
+ *   providers  The providers that carry it, in no particular order.
+ *   tags       Descriptive tags: female/male where the voice is clearly one,
+ *              plus child, whisper, narrator and character.
+ *   status     "released" voices are offered and accepted. A "retired" voice
+ *              stays listed so stored references still have a name, but
+ *              cannot be chosen again.
+ *   previews   Whether the pre-made sample clips exist under /assets/voices.
+ *
+ * To add a voice, add its line; everything else here derives from the file.
+ */
 
-// Voices supported locally by 302.ai (speech-2.8-turbo)
-const T302_VOICES = [
-    "English_expressive_narrator", "English_radiant_girl", "English_magnetic_voiced_man",
-    "English_compelling_lady1", "English_Aussie_Bloke", "English_captivating_female1",
-    "English_Upbeat_Woman", "English_Trustworth_Man", "English_CalmWoman", "English_UpsetGirl",
-    "English_Gentle-voiced_man", "English_Whispering_girl", "English_Diligent_Man",
-    "English_Graceful_Lady", "English_ReservedYoungMan", "English_PlayfulGirl",
-    "English_ManWithDeepVoice", "English_MaturePartner", "English_FriendlyPerson",
-    "English_MatureBoss", "English_Debator", "English_LovelyGirl", "English_Steadymentor",
-    "English_Deep-VoicedGentleman", "English_Wiselady", "English_CaptivatingStoryteller",
-    "English_DecentYoungMan", "English_SentimentalLady", "English_ImposingManner",
-    "English_SadTeen", "English_PassionateWarrior", "English_WiseScholar",
-    "English_Soft-spokenGirl", "English_SereneWoman", "English_ConfidentWoman",
-    "English_PatientMan", "English_Comedian", "English_BossyLeader", "English_Strong-WilledBoy",
-    "English_StressedLady", "English_AssertiveQueen", "English_AnimeCharacter",
-    "English_Jovialman", "English_WhimsicalGirl", "English_Kind-heartedGirl",
-    "English_intellect_female_1", "English_energetic_male_1", "English_witty_female_1",
-    "English_Lucky_Robot", "English_Cute_Girl", "English_Sharp_Commentator", "English_Honest_Man",
-    "English_Insightful_Speaker", "English_patient_man_v1", "English_Persuasive_Man",
-    "English_Explanatory_Man", "English_Lively_Male_10", "English_Lively_Male_11",
-    "English_Magnetic_Male_2", "English_Magnetic_Male_12", "English_Friendly_Female_3",
-    "English_Steady_Female_1", "English_Steady_Female_5", "English_Sweet_Female_4",
-    "English_Husky_MetalHead", "English_GentleTeacher", "English_AttractiveGirl",
-    "English_ThoughtfulMan", "English_DecentBoy",
-    "Chinese (Mandarin)_Reliable_Executive", "Chinese (Mandarin)_News_Anchor",
-    "Chinese (Mandarin)_Unrestrained_Young_Man", "Chinese (Mandarin)_Mature_Woman",
-    "Arrogant_Miss", "Robot_Armor", "Chinese (Mandarin)_Kind-hearted_Antie",
-    "Chinese (Mandarin)_HK_Flight_Attendant", "Chinese (Mandarin)_Humorous_Elder",
-    "Chinese (Mandarin)_Gentleman", "Chinese (Mandarin)_Warm_Bestie",
-    "Chinese (Mandarin)_Stubborn_Friend", "Chinese (Mandarin)_Sweet_Lady",
-    "Chinese (Mandarin)_Southern_Young_Man", "Chinese (Mandarin)_Wise_Women",
-    "Chinese (Mandarin)_Gentle_Youth", "Chinese (Mandarin)_Warm_Girl",
-    "Chinese (Mandarin)_Male_Announcer", "Chinese (Mandarin)_Kind-hearted_Elder",
-    "Chinese (Mandarin)_Cute_Spirit", "Chinese (Mandarin)_Radio_Host",
-    "Chinese (Mandarin)_Lyrical_Voice", "Chinese (Mandarin)_Straightforward_Boy",
-    "Chinese (Mandarin)_Sincere_Adult", "Chinese (Mandarin)_Gentle_Senior",
-    "Chinese (Mandarin)_Crisp_Girl", "Chinese (Mandarin)_Pure-hearted_Boy",
-    "Chinese (Mandarin)_Soft_Girl", "Chinese (Mandarin)_IntellectualGirl",
-    "Chinese (Mandarin)_Warm_HeartedGirl", "Chinese (Mandarin)_Laid_BackGirl",
-    "Chinese (Mandarin)_ExplorativeGirl", "Chinese (Mandarin)_Warm-HeartedAunt",
-    "Chinese (Mandarin)_BashfulGirl",
-    "Japanese_IntellectualSenior", "Japanese_DecisivePrincess", "Japanese_LoyalKnight",
-    "Japanese_DominantMan", "Japanese_SeriousCommander", "Japanese_ColdQueen",
-    "Japanese_DependableWoman", "Japanese_GentleButler", "Japanese_KindLady",
-    "Japanese_CalmLady", "Japanese_OptimisticYouth", "Japanese_GenerousIzakayaOwner",
-    "Japanese_SportyStudent", "Japanese_InnocentBoy", "Japanese_GracefulMaiden",
-    "Cantonese_ProfessionalHost (F)", "Cantonese_ProfessionalHost（F)", "Cantonese_GentleLady",
-    "Cantonese_ProfessionalHost (M)", "Cantonese_ProfessionalHost（M)",
-    "Cantonese_PlayfulMan", "Cantonese_CuteGirl", "Cantonese_KindWoman",
-    "Korean_AirheadedGirl", "Korean_AthleticGirl", "Korean_AthleticStudent",
-    "Korean_BraveAdventurer", "Korean_BraveFemaleWarrior", "Korean_BraveYouth",
-    "Korean_CalmGentleman", "Korean_CalmLady", "Korean_CaringWoman",
-    "Korean_CharmingElderSister", "Korean_CharmingSister", "Korean_CheerfulBoyfriend",
-    "Korean_CheerfulCoolJunior", "Korean_CheerfulLittleSister", "Korean_ChildhoodFriendGirl",
-    "Korean_CockyGuy", "Korean_ColdGirl", "Korean_ColdYoungMan", "Korean_ConfidentBoss",
-    "Korean_ConsiderateSenior", "Korean_DecisiveQueen", "Korean_DominantMan",
-    "Korean_ElegantPrincess", "Korean_EnchantingSister", "Korean_EnthusiasticTeen",
-    "Korean_FriendlyBigSister", "Korean_GentleBoss", "Korean_GentleWoman",
-    "Korean_HaughtyLady", "Korean_InnocentBoy", "Korean_IntellectualMan",
-    "Korean_IntellectualSenior", "Korean_LonelyWarrior", "Korean_MatureLady",
-    "Korean_MysteriousGirl", "Korean_OptimisticYouth", "Korean_PlayboyCharmer",
-    "Korean_PossessiveMan", "Korean_QuirkyGirl", "Korean_ReliableSister",
-    "Korean_ReliableYouth", "Korean_SassyGirl", "Korean_ShyGirl", "Korean_SoothingLady",
-    "Korean_StrictBoss", "Korean_SweetGirl", "Korean_ThoughtfulWoman", "Korean_WiseElf",
-    "Korean_WiseTeacher",
-    "Spanish_SereneWoman", "Spanish_MaturePartner", "Spanish_CaptivatingStoryteller",
-    "Spanish_Narrator", "Spanish_WiseScholar", "Spanish_Kind-heartedGirl",
-    "Spanish_DeterminedManager", "Spanish_BossyLeader", "Spanish_ReservedYoungMan",
-    "Spanish_ConfidentWoman", "Spanish_ThoughtfulMan", "Spanish_Strong-WilledBoy",
-    "Spanish_SophisticatedLady", "Spanish_RationalMan", "Spanish_AnimeCharacter",
-    "Spanish_Deep-tonedMan", "Spanish_Fussyhostess", "Spanish_SincereTeen",
-    "Spanish_FrankLady", "Spanish_Comedian", "Spanish_Debator", "Spanish_ToughBoss",
-    "Spanish_Wiselady", "Spanish_Steadymentor", "Spanish_Jovialman", "Spanish_SantaClaus",
-    "Spanish_Rudolph", "Spanish_Intonategirl", "Spanish_Arnold", "Spanish_Ghost",
-    "Spanish_HumorousElder", "Spanish_EnergeticBoy", "Spanish_WhimsicalGirl",
-    "Spanish_StrictBoss", "Spanish_ReliableMan", "Spanish_SereneElder", "Spanish_AngryMan",
-    "Spanish_AssertiveQueen", "Spanish_CaringGirlfriend", "Spanish_PowerfulSoldier",
-    "Spanish_PassionateWarrior", "Spanish_ChattyGirl", "Spanish_RomanticHusband",
-    "Spanish_CompellingGirl", "Spanish_PowerfulVeteran", "Spanish_SensibleManager",
-    "Spanish_ThoughtfulLady",
-    "Portuguese_SentimentalLady", "Portuguese_BossyLeader", "Portuguese_Wiselady",
-    "Portuguese_Strong-WilledBoy", "Portuguese_Deep-VoicedGentleman", "Portuguese_UpsetGirl",
-    "Portuguese_PassionateWarrior", "Portuguese_AnimeCharacter", "Portuguese_ConfidentWoman",
-    "Portuguese_AngryMan", "Portuguese_CaptivatingStoryteller", "Portuguese_Godfather",
-    "Portuguese_ReservedYoungMan", "Portuguese_SmartYoungGirl", "Portuguese_Kind-heartedGirl",
-    "Portuguese_Pompouslady", "Portuguese_Grinch", "Portuguese_Debator", "Portuguese_SweetGirl",
-    "Portuguese_AttractiveGirl", "Portuguese_ThoughtfulMan", "Portuguese_PlayfulGirl",
-    "Portuguese_GorgeousLady", "Portuguese_LovelyLady", "Portuguese_SereneWoman",
-    "Portuguese_SadTeen", "Portuguese_MaturePartner", "Portuguese_Comedian",
-    "Portuguese_NaughtySchoolgirl", "Portuguese_Narrator", "Portuguese_ToughBoss",
-    "Portuguese_Fussyhostess", "Portuguese_Dramatist", "Portuguese_Steadymentor",
-    "Portuguese_Jovialman", "Portuguese_CharmingQueen", "Portuguese_SantaClaus",
-    "Portuguese_Rudolph", "Portuguese_Arnold", "Portuguese_CharmingSanta",
-    "Portuguese_CharmingLady", "Portuguese_Ghost", "Portuguese_HumorousElder",
-    "Portuguese_CalmLeader", "Portuguese_GentleTeacher", "Portuguese_EnergeticBoy",
-    "Portuguese_ReliableMan", "Portuguese_SereneElder", "Portuguese_GrimReaper",
-    "Portuguese_AssertiveQueen", "Portuguese_WhimsicalGirl", "Portuguese_StressedLady",
-    "Portuguese_FriendlyNeighbor", "Portuguese_CaringGirlfriend", "Portuguese_PowerfulSoldier",
-    "Portuguese_FascinatingBoy", "Portuguese_RomanticHusband", "Portuguese_StrictBoss",
-    "Portuguese_InspiringLady", "Portuguese_PlayfulSpirit", "Portuguese_ElegantGirl",
-    "Portuguese_CompellingGirl", "Portuguese_PowerfulVeteran", "Portuguese_SensibleManager",
-    "Portuguese_ThoughtfulLady", "Portuguese_TheatricalActor", "Portuguese_FragileBoy",
-    "Portuguese_ChattyGirl", "Portuguese_Conscientiousinstructor", "Portuguese_RationalMan",
-    "Portuguese_WiseScholar", "Portuguese_FrankLady", "Portuguese_DeterminedManager",
-    "French_Male_Speech_New", "French_Female_News Anchor", "French_CasualMan",
-    "French_MovieLeadFemale", "French_FemaleAnchor", "French_MaleNarrator",
-    "Indonesian_SweetGirl", "Indonesian_ReservedYoungMan", "Indonesian_CharmingGirl",
-    "Indonesian_CalmWoman", "Indonesian_ConfidentWoman", "Indonesian_CaringMan",
-    "Indonesian_BossyLeader", "Indonesian_DeterminedBoy", "Indonesian_GentleGirl",
-    "German_FriendlyMan", "German_SweetLady", "German_PlayfulMan",
-    "Russian_HandsomeChildhoodFriend", "Russian_BrightHeroine", "Russian_AmbitiousWoman",
-    "Russian_ReliableMan", "Russian_CrazyQueen", "Russian_PessimisticGirl",
-    "Russian_AttractiveGuy", "Russian_Bad-temperedBoy",
-    "Italian_BraveHeroine", "Italian_Narrator", "Italian_WanderingSorcerer",
-    "Italian_DiligentLeader",
-    "Dutch_kindhearted_girl", "Dutch_bossy_leader",
-    "Vietnamese_kindhearted_girl",
-    "Arabic_CalmWoman", "Arabic_FriendlyGuy",
-    "Turkish_CalmWoman", "Turkish_Trustworthyman",
-    "Ukrainian_CalmWoman", "Ukrainian_WiseScholar",
-    "Thai_male_1_sample8", "Thai_male_2_sample2", "Thai_female_1_sample1", "Thai_female_2_sample2",
-    "Polish_male_1_sample4", "Polish_male_2_sample3", "Polish_female_1_sample1", "Polish_female_2_sample3",
-    "Romanian_male_1_sample2", "Romanian_male_2_sample1", "Romanian_female_1_sample4", "Romanian_female_2_sample1",
-    "greek_male_1a_v1", "Greek_female_1_sample1", "Greek_female_2_sample3",
-    "czech_male_1_v1", "czech_female_5_v7", "czech_female_2_v2",
-    "finnish_male_3_v1", "finnish_male_1_v2", "finnish_female_4_v1",
-    "hindi_male_1_v2", "hindi_female_2_v1", "hindi_female_1_v2"
-];
+import catalogData from "./voice-catalog.json";
 
-// Voices supported by Wavespeed AI (minimax/speech-02-turbo) - including legacy voices
-const WAVESPEED_VOICES = [
-    "Wise_Woman", "Friendly_Person", "Inspirational_girl", "Deep_Voice_Man", "Calm_Woman",
-    "Casual_Guy", "Lively_Girl", "Patient_Man", "Young_Knight", "Determined_Man", "Lovely_Girl",
-    "Decent_Boy", "Imposing_Manner", "Elegant_Man", "Abbess", "Sweet_Girl_2", "Exuberant_Girl",
-    "English_expressive_narrator", "English_radiant_girl", "English_magnetic_voiced_man",
-    "English_compelling_lady1", "English_Aussie_Bloke", "English_captivating_female1",
-    "English_Upbeat_Woman", "English_Trustworth_Man", "English_CalmWoman", "English_UpsetGirl",
-    "English_Gentle-voiced_man", "English_Whispering_girl_v3", "English_Diligent_Man",
-    "English_Graceful_Lady", "English_Husky_MetalHead", "English_ReservedYoungMan",
-    "English_PlayfulGirl", "English_ManWithDeepVoice", "English_GentleTeacher",
-    "English_MaturePartner", "English_FriendlyPerson", "English_MatureBoss", "English_Debator",
-    "whisper_man", "English_Abbess", "English_LovelyGirl", "whisper_woman_1",
-    "English_Steadymentor", "English_Deep-VoicedGentleman", "English_DeterminedMan",
-    "English_Wiselady", "English_CaptivatingStoryteller", "English_AttractiveGirl",
-    "English_DecentYoungMan", "English_SentimentalLady", "English_Imposing_Manner",
-    "English_SadTeen", "English_ThoughtfulMan", "English_PassionateWarrior", "English_DecentBoy",
-    "English_WiseScholar", "English_Soft-spokenGirl", "English_SereneWoman", "English_ConfidentWoman",
-    "English_PatientMan", "English_Comedian", "English_GorgeousLady", "English_BossyLeader",
-    "English_LovelyLady", "English_Strong-WilledBoy", "English_Deep-tonedMan", "English_StressedLady",
-    "English_AssertiveQueen", "English_AnimeCharacter", "English_Jovialman", "English_WhimsicalGirl",
-    "English_CharmingQueen", "English_Kind-heartedGirl", "English_FriendlyNeighbor",
-    "English_Sweet_Female_4", "English_Magnetic_Male_2", "English_Lively_Male_11",
-    "English_Friendly_Female_3", "English_Steady_Female_1", "English_Lively_Male_10",
-    "English_Magnetic_Male_12", "English_Steady_Female_5", "English_Insightful_Speaker",
-    "English_patient_man_v1", "English_Persuasive_Man", "English_Explanatory_Man",
-    "English_intellect_female_1", "English_energetic_male_1", "English_witty_female_1",
-    "English_Lucky_Robot", "English_Cute_Girl", "English_Sharp_Commentator", "English_Honest_Man",
-    "angry_pirate_1", "massive_kind_troll", "movie_trailer_deep", "peace_and_ease",
-    "moss_audio_6dc281eb-713c-11f0-a447-9613c873494c",
-    "moss_audio_c12a59b9-7115-11f0-a447-9613c873494c",
-    "moss_audio_076697ad-7144-11f0-a447-9613c873494c",
-    "moss_audio_737a299c-734a-11f0-918f-4e0486034804",
-    "moss_audio_19dbb103-7350-11f0-ad20-f2bc95e89150",
-    "moss_audio_7c7e7ae2-7356-11f0-9540-7ef9b4b62566",
-    "moss_audio_570551b1-735c-11f0-b236-0adeeecad052",
-    "moss_audio_ad5baf92-735f-11f0-8263-fe5a2fe98ec8",
-    "moss_audio_cedfd4d2-736d-11f0-99be-fe40dd2a5fe8",
-    "moss_audio_a0d611da-737c-11f0-ad20-f2bc95e89150",
-    "moss_audio_4f4172f4-737b-11f0-9540-7ef9b4b62566",
-    "moss_audio_62ca20b0-7380-11f0-99be-fe40dd2a5fe8",
-    "conversational_female_1_v1", "conversational_female_2_v1", "socialmedia_female_1_v1",
-    "BritishChild_male_1_v1", "BritishChild_female_1_v1",
-    "Chinese (Mandarin)_Reliable_Executive", "Chinese (Mandarin)_News_Anchor",
-    "Chinese (Mandarin)_Unrestrained_Young_Man", "Chinese (Mandarin)_Mature_Woman",
-    "Arrogant_Miss", "Chinese (Mandarin)_Kind-hearted_Antie", "Robot_Armor", "hunyin_6",
-    "Chinese (Mandarin)_HK_Flight_Attendant", "Chinese (Mandarin)_Humorous_Elder",
-    "Chinese (Mandarin)_Gentleman", "Chinese (Mandarin)_Warm_Bestie",
-    "Chinese (Mandarin)_Stubborn_Friend", "Chinese (Mandarin)_Sweet_Lady",
-    "Chinese (Mandarin)_Southern_Young_Man", "Chinese (Mandarin)_Wise_Women",
-    "Chinese (Mandarin)_Gentle_Youth", "Chinese (Mandarin)_Warm_Girl",
-    "Chinese (Mandarin)_Male_Announcer", "Chinese (Mandarin)_Kind-hearted_Elder",
-    "Chinese (Mandarin)_Cute_Spirit", "Chinese (Mandarin)_Radio_Host",
-    "Chinese (Mandarin)_Lyrical_Voice", "Chinese (Mandarin)_Straightforward_Boy",
-    "Chinese (Mandarin)_Sincere_Adult", "Chinese (Mandarin)_Gentle_Senior",
-    "Chinese (Mandarin)_Crisp_Girl", "Chinese (Mandarin)_Pure-hearted_Boy",
-    "Chinese (Mandarin)_Soft_Girl", "Chinese (Mandarin)_IntellectualGirl",
-    "Chinese (Mandarin)_Warm_HeartedGirl", "Chinese (Mandarin)_Laid_BackGirl",
-    "Chinese (Mandarin)_ExplorativeGirl", "Chinese (Mandarin)_Warm-HeartedAunt",
-    "Chinese (Mandarin)_BashfulGirl",
-    "Arabic_CalmWoman", "Arabic_FriendlyGuy",
-    "Cantonese_ProfessionalHost（F)", "Cantonese_GentleLady", "Cantonese_ProfessionalHost（M)",
-    "Cantonese_PlayfulMan", "Cantonese_CuteGirl", "Cantonese_KindWoman", "Cantonese_Narrator",
-    "Cantonese_WiselProfessor", "Cantonese_IndifferentStaff",
-    "Dutch_kindhearted_girl", "Dutch_bossy_leader",
-    "French_Male_Speech_New", "French_Female_News Anchor", "French_CasualMan",
-    "French_MovieLeadFemale", "French_FemaleAnchor", "French_MaleNarrator",
-    "French_Female Journalist", "French_Female_Speech_New",
-    "German_FriendlyMan", "German_SweetLady", "German_PlayfulMan",
-    "Indonesian_SweetGirl", "Indonesian_ReservedYoungMan", "Indonesian_CharmingGirl",
-    "Indonesian_CalmWoman", "Indonesian_ConfidentWoman", "Indonesian_CaringMan",
-    "Indonesian_BossyLeader", "Indonesian_DeterminedBoy", "Indonesian_GentleGirl",
-    "Italian_BraveHeroine", "Italian_Narrator", "Italian_WanderingSorcerer",
-    "Italian_DiligentLeader", "Italian_ReliableMan", "Italian_AthleticStudent",
-    "Italian_ArrogantPrincess",
-    "Japanese_Whisper_Belle", "Japanese_IntellectualSenior", "Japanese_DecisivePrincess",
-    "Japanese_LoyalKnight", "Japanese_DominantMan", "Japanese_SeriousCommander",
-    "Japanese_ColdQueen", "Japanese_DependableWoman", "Japanese_GentleButler",
-    "Japanese_KindLady", "Japanese_CalmLady", "Japanese_OptimisticYouth",
-    "Japanese_GenerousIzakayaOwner", "Japanese_SportyStudent", "Japanese_InnocentBoy",
-    "Japanese_GracefulMaiden",
-    "Korean_PowerfulGirl", "Korean_BossyMan", "Korean_SweetGirl", "Korean_CheerfulBoyfriend",
-    "Korean_EnchantingSister", "Korean_ShyGirl", "Korean_ReliableSister", "Korean_StrictBoss",
-    "Korean_SassyGirl", "Korean_ChildhoodFriendGirl", "Korean_PlayboyCharmer",
-    "Korean_ElegantPrincess", "Korean_BraveFemaleWarrior", "Korean_BraveYouth", "Korean_CalmLady",
-    "Korean_EnthusiasticTeen", "Korean_SoothingLady", "Korean_IntellectualSenior",
-    "Korean_LonelyWarrior", "Korean_MatureLady", "Korean_InnocentBoy", "Korean_CharmingSister",
-    "Korean_AthleticStudent", "Korean_BraveAdventurer", "Korean_CalmGentleman", "Korean_WiseElf",
-    "Korean_CheerfulCoolJunior", "Korean_DecisiveQueen", "Korean_ColdYoungMan",
-    "Korean_MysteriousGirl", "Korean_QuirkyGirl", "Korean_ConsiderateSenior",
-    "Korean_CheerfulLittleSister", "Korean_DominantMan", "Korean_AirheadedGirl",
-    "Korean_ReliableYouth", "Korean_FriendlyBigSister", "Korean_GentleBoss", "Korean_ColdGirl",
-    "Korean_HaughtyLady", "Korean_CharmingElderSister", "Korean_IntellectualMan",
-    "Korean_CaringWoman", "Korean_WiseTeacher", "Korean_ConfidentBoss", "Korean_AthleticGirl",
-    "Korean_PossessiveMan", "Korean_GentleWoman", "Korean_CockyGuy", "Korean_ThoughtfulWoman",
-    "Korean_OptimisticYouth",
-    "Portuguese_AnxiousMan", "Portuguese_Matureresearcher", "Portuguese_Optimisticyouth",
-    "Portuguese_CuteElf", "Portuguese_EnergeticGirl", "Portuguese_FunnyGuy",
-    "Portuguese_Nuttylady", "Portuguese_Deep-tonedMan", "Portuguese_SentimentalLady",
-    "Portuguese_BossyLeader", "Portuguese_Wiselady", "Portuguese_Strong-WilledBoy",
-    "Portuguese_Deep-VoicedGentleman", "Portuguese_UpsetGirl", "Portuguese_PassionateWarrior",
-    "Portuguese_AnimeCharacter", "Portuguese_ConfidentWoman", "Portuguese_AngryMan",
-    "Portuguese_CaptivatingStoryteller", "Portuguese_Godfather", "Portuguese_ReservedYoungMan",
-    "Portuguese_SmartYoungGirl", "Portuguese_Kind-heartedGirl", "Portuguese_Pompouslady",
-    "Portuguese_Grinch", "Portuguese_Debator", "Portuguese_SweetGirl", "Portuguese_AttractiveGirl",
-    "Portuguese_ThoughtfulMan", "Portuguese_PlayfulGirl", "Portuguese_GorgeousLady",
-    "Portuguese_LovelyLady", "Portuguese_SereneWoman", "Portuguese_SadTeen",
-    "Portuguese_MaturePartner", "Portuguese_Comedian", "Portuguese_NaughtySchoolgirl",
-    "Portuguese_Narrator", "Portuguese_ToughBoss", "Portuguese_Fussyhostess",
-    "Portuguese_Dramatist", "Portuguese_Steadymentor", "Portuguese_Jovialman",
-    "Portuguese_CharmingQueen", "Portuguese_SantaClaus", "Portuguese_Rudolph",
-    "Portuguese_Arnold", "Portuguese_CharmingSanta", "Portuguese_Ghost", "Portuguese_HumorousElder",
-    "Portuguese_CalmLeader", "Portuguese_GentleTeacher", "Portuguese_EnergeticBoy",
-    "Portuguese_ReliableMan", "Portuguese_SereneElder", "Portuguese_GrimReaper",
-    "Portuguese_AssertiveQueen", "Portuguese_WhimsicalGirl", "Portuguese_StressedLady",
-    "Portuguese_FriendlyNeighbor", "Portuguese_CaringGirlfriend", "Portuguese_PowerfulSoldier",
-    "Portuguese_FascinatingBoy", "Portuguese_RomanticHusband", "Portuguese_StrictBoss",
-    "Portuguese_InspiringLady", "Portuguese_PlayfulSpirit", "Portuguese_ElegantGirl",
-    "Portuguese_CompellingGirl", "Portuguese_PowerfulVeteran", "Portuguese_SensibleManager",
-    "Portuguese_ThoughtfulLady", "Portuguese_TheatricalActor", "Portuguese_FragileBoy",
-    "Portuguese_ChattyGirl", "Portuguese_Conscientiousinstructor", "Portuguese_RationalMan",
-    "Portuguese_WiseScholar", "Portuguese_FrankLady", "Portuguese_DeterminedManager",
-    "Portuguese_CharmingLady",
-    "Russian_HandsomeChildhoodFriend", "Russian_BrightHeroine", "Russian_AmbitiousWoman",
-    "Russian_ReliableMan", "Russian_CrazyQueen", "Russian_PessimisticGirl",
-    "Russian_AttractiveGuy", "Russian_Bad-temperedBoy",
-    "Spanish_FriendlyNeighbor", "Spanish_FragileBoy", "Spanish_UpsetGirl", "Spanish_Soft-spokenGirl",
-    "Spanish_CharmingQueen", "Spanish_Nuttylady", "Spanish_ElegantGirl", "Spanish_FascinatingBoy",
-    "Spanish_FunnyGuy", "Spanish_PlayfulSpirit", "Spanish_TheatricalActor", "Spanish_SereneWoman",
-    "Spanish_MaturePartner", "Spanish_CaptivatingStoryteller", "Spanish_Narrator",
-    "Spanish_WiseScholar", "Spanish_Kind-heartedGirl", "Spanish_DeterminedManager",
-    "Spanish_BossyLeader", "Spanish_ReservedYoungMan", "Spanish_ConfidentWoman",
-    "Spanish_ThoughtfulMan", "Spanish_Strong-WilledBoy", "Spanish_SophisticatedLady",
-    "Spanish_RationalMan", "Spanish_AnimeCharacter", "Spanish_Deep-tonedMan",
-    "Spanish_Fussyhostess", "Spanish_SincereTeen", "Spanish_FrankLady", "Spanish_Comedian",
-    "Spanish_Debator", "Spanish_ToughBoss", "Spanish_Wiselady", "Spanish_Steadymentor",
-    "Spanish_Jovialman", "Spanish_SantaClaus", "Spanish_Rudolph", "Spanish_Intonategirl",
-    "Spanish_Arnold", "Spanish_Ghost", "Spanish_HumorousElder", "Spanish_EnergeticBoy",
-    "Spanish_WhimsicalGirl", "Spanish_StrictBoss", "Spanish_ReliableMan", "Spanish_SereneElder",
-    "Spanish_AngryMan", "Spanish_AssertiveQueen", "Spanish_CaringGirlfriend",
-    "Spanish_PowerfulSoldier", "Spanish_PassionateWarrior", "Spanish_ChattyGirl",
-    "Spanish_RomanticHusband", "Spanish_CompellingGirl", "Spanish_PowerfulVeteran",
-    "Spanish_SensibleManager", "Spanish_ThoughtfulLady",
-    "Turkish_CalmWoman", "Turkish_Trustworthyman",
-    "Ukrainian_CalmWoman", "Ukrainian_WiseScholar",
-    "Vietnamese_Serene_Man", "Vietnamese_female_4_v1", "Vietnamese_male_1_v2",
-    "Vietnamese_kindhearted_girl",
-    "Thai_Optimistic_girl", "Thai_male_1_sample8", "Thai_Tender_Woman", "Thai_male_2_sample2",
-    "Thai_female_1_sample1", "Thai_female_2_sample2",
-    "Polish_male_1_sample4", "Polish_male_2_sample3", "Polish_female_1_sample1",
-    "Polish_female_2_sample3",
-    "Romanian_male_1_sample2", "Romanian_male_2_sample1", "Romanian_female_1_sample4",
-    "Romanian_female_2_sample1",
-    "Greek_female_1_sample1", "greek_male_1a_v1", "Greek_female_2_sample3",
-    "czech_male_1_v1", "czech_female_5_v7", "czech_female_2_v2",
-    "finnish_male_3_v1", "finnish_female_4_v1", "finnish_male_1_v2",
-    "hindi_male_1_v2", "hindi_female_2_v1", "hindi_female_1_v2",
-    "Bulgarian_male_2_v1", "Bulgarian_female_1_v1",
-    "Danish_male_1_v1", "Danish_female_1_v1",
-    "Hebrew_male_1_v1", "Hebrew_female_1_v1",
-    "Malay_male_1_v1", "Malay_female_1_v1", "Malay_female_2_v1",
-    "Persian_male_1_v1", "Persian_female_1_v1",
-    "Slovak_male_1_v1", "Slovak_female_1_v1",
-    "Swedish_male_1_v1", "Swedish_female_1_v1",
-    "Croatian_male_1_v1", "Croatian_female_1_v1",
-    "Filipino_male_1_v1", "Filipino_female_1_v1",
-    "Hungarian_male_1_v1", "Hungarian_female_1_v1",
-    "Norwegian_male_1_v1", "Norwegian_female_1_v1",
-    "Slovenian_male_1_v1", "Slovenian_female_1_v2",
-    "Catalan_male_1_v1", "Catalan_female_1_v1",
-    "Nynorsk_male_1_v1", "Nynorsk_female_1_v1",
-    "Tamil_male_1_v1", "Tamil_female_1_v1",
-    "Afrikaans_male_1_v1", "Afrikaans_female_1_v1"
-];
+export type VoiceProvider = "302ai" | "wavespeed";
+export type VoiceStatus = "released" | "retired";
 
-// Combine all voices into a unique list
-export const RELEASED_VOICES = Array.from(new Set([...T302_VOICES, ...WAVESPEED_VOICES]));
+export interface VoiceCatalogEntry {
+    id: string;
+    name: string;
+    language: string;
+    providers: VoiceProvider[];
+    tags: string[];
+    status: VoiceStatus;
+    previews: boolean;
+}
+
+/** Where a voice's pre-made clips live, one per page that plays them. */
+export interface VoicePreviewAssets {
+    dashboard: string;
+    viewer: string;
+}
+
+export const VOICE_CATALOG: readonly VoiceCatalogEntry[] = catalogData as VoiceCatalogEntry[];
+
+const CATALOG_BY_ID = new Map(VOICE_CATALOG.map((entry) => [entry.id, entry]));
+
+/** Voice IDs that may be chosen, in catalog order. */
+export const RELEASED_VOICES = VOICE_CATALOG
+    .filter((entry) => entry.status === "released")
+    .map((entry) => entry.id);
+
+/** Every language some voice speaks. */
+export const VOICE_LANGUAGES = Array.from(new Set(VOICE_CATALOG.map((entry) => entry.language))).sort();
+
+/** Every tag some voice carries. */
+export const VOICE_TAGS = Array.from(new Set(VOICE_CATALOG.flatMap((entry) => entry.tags))).sort();
+
+/** Every provider some voice is available from. */
+export const VOICE_PROVIDERS = Array.from(new Set(VOICE_CATALOG.flatMap((entry) => entry.providers))).sort();
+
+/**
+ * Look up a voice.
+ * @param voiceId - A voice ID
+ * @return The catalog entry, or undefined for an unknown ID
+ */
+export function getVoiceEntry(voiceId: string): VoiceCatalogEntry | undefined {
+    return CATALOG_BY_ID.get(voiceId);
+}
+
+/**
+ * The language a voice speaks. Unknown IDs read as English, which is what the
+ * providers assume for them.
+ * @param voiceId - A voice ID
+ * @return The language name
+ */
+export function voiceLanguage(voiceId: string): string {
+    return CATALOG_BY_ID.get(voiceId)?.language ?? "English";
+}
+
+/**
+ * The tags of a voice; none for an unknown ID.
+ * @param voiceId - A voice ID
+ * @return The tags that apply
+ */
+export function voiceTags(voiceId: string): string[] {
+    return CATALOG_BY_ID.get(voiceId)?.tags ?? [];
+}
+
+/**
+ * The paths of a voice's pre-made clips, following the naming convention in
+ * public/assets/voices/README.md.
+ * @param entry - A catalog entry
+ * @return The asset paths, or null when the clips were never made
+ */
+export function voicePreviewAssets(entry: VoiceCatalogEntry): VoicePreviewAssets | null {
+    if (!entry.previews) return null;
+    return {
+        dashboard: `/assets/voices/${entry.id}-welcome-everyone-to-the-stream.mp3`,
+        viewer: `/assets/voices/${entry.id}-chat-is-this-real.mp3`,
+    };
+}
+
+export interface VoiceSearch {
+    language?: string;
+    tag?: string;
+    provider?: string;
+    /** Free text; every word must appear in the ID or the display name. */
+    query?: string;
+    /** Defaults to "released". */
+    status?: VoiceStatus;
+}
+
+/**
+ * Filter the catalog. Matching is case-insensitive throughout.
+ * @param search - The filters to apply; absent ones match everything
+ * @return The matching entries, in catalog order
+ */
+export function searchVoiceCatalog(search: VoiceSearch = {}): VoiceCatalogEntry[] {
+    const lower = (value: string | undefined): string | undefined => value?.toLowerCase();
+    const language = lower(search.language);
+    const tag = lower(search.tag);
+    const provider = lower(search.provider);
+    const words = (search.query || "").toLowerCase().split(/\s+/).filter(Boolean);
+    const status = search.status ?? "released";
+
+    return VOICE_CATALOG.filter((entry) => {
+        if (entry.status !== status) return false;
+        if (language && entry.language.toLowerCase() !== language) return false;
+        if (tag && !entry.tags.includes(tag)) return false;
+        if (provider && !entry.providers.some((p) => p === provider)) return false;
+        if (words.length > 0) {
+            const haystack = `${entry.id} ${entry.name}`.toLowerCase();
+            if (!words.every((word) => haystack.includes(word))) return false;
+        }
+        return true;
+    });
+}
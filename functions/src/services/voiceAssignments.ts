@@ -0,0 +1,162 @@
+/**
+ * Broadcaster-assigned voices.
+ *
+ * A channel can give a chatter a signature voice. Assignments live on the
+ * channel config's `voiceAssignments` map, keyed by immutable account ID
+ * ("twitch:<id>") like the ignore list, so a rename keeps the voice and a
+ * reclaimed login does not inherit it. Each value is:
+ *
+ *   label           Display text only; goes stale on rename.
+ *   voiceId, pitch,
+ *   speed, emotion  The settings to use; null leaves that field to the usual
+ *                   viewer-then-channel resolution.
+ *   overrideViewer  True: the assignment wins over the chatter's own choice.
+ *                   False: it only fills in what the chatter has not chosen.
+ *   by              The assigning account's key.
+ *   at              ISO 8601 string, display only.
+ */
+
+import type { DocumentData } from "@google-cloud/firestore";
+import { validateSpeed, validatePitch, validateEmotion, normalizeEmotion } from "./utils";
+import { RELEASED_VOICES } from "./voice-list";
+import * as ttsConfig from "./tts-config.json";
+
+const VOICE_IDS = new Set(RELEASED_VOICES);
+
+export const VOICE_ASSIGNMENT_LIMITS = {
+  MAX_ASSIGNMENTS: 200,
+};
+
+/** The settings part of an assignment, as the dashboard sends it. */
+export interface VoiceAssignmentSettings {
+  voiceId: string | null;
+  pitch: number | null;
+  speed: number | null;
+  emotion: string | null;
+  overrideViewer: boolean;
+}
+
+/** An assignment as stored. */
+export interface VoiceAssignment extends VoiceAssignmentSettings {
+  label: string;
+  by: string | null;
+  at: string | null;
+}
+
+export interface StoredVoiceAssignment extends VoiceAssignment {
+  key: string;
+}
+
+export type AssignmentValidation =
+  | { ok: true; settings: VoiceAssignmentSettings }
+  | { ok: false; reason: string };
+
+/**
+ * Check the settings of an assignment.
+ * @param {unknown} input - The assignment from a request body
+ * @return {AssignmentValidation} The cleaned settings, or the reason they were rejected
+ */
+export function validateVoiceAssignment(input: unknown): AssignmentValidation {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { ok: false, reason: "Assignment is required" };
+  }
+  const raw = input as Record<string, unknown>;
+  const unset = (value: unknown): boolean => value === undefined || value === null || value === "";
+
+  const voiceId = unset(raw.voiceId) ? null : raw.voiceId;
+  if (voiceId !== null && (typeof voiceId !== "string" || !VOICE_IDS.has(voiceId))) {
+    return { ok: false, reason: "Unknown voice" };
+  }
+  const pitch = unset(raw.pitch) ? null : raw.pitch;
+  if (pitch !== null && (typeof pitch !== "number" || !validatePitch(pitch))) {
+    return { ok: false, reason: `Pitch must be from ${ttsConfig.PITCH.MIN} to ${ttsConfig.PITCH.MAX}` };
+  }
+  const speed = unset(raw.speed) ? null : raw.speed;
+  if (speed !== null && (typeof speed !== "number" || !validateSpeed(speed))) {
+    return { ok: false, reason: `Speed must be from ${ttsConfig.SPEED.MIN} to ${ttsConfig.SPEED.MAX}` };
+  }
+  const emotion = unset(raw.emotion) ? null : raw.emotion;
+  if (emotion !== null && (typeof emotion !== "string" || !validateEmotion(emotion))) {
+    return { ok: false, reason: "Unknown emotion" };
+  }
+  if (raw.overrideViewer !== undefined && typeof raw.overrideViewer !== "boolean") {
+    return { ok: false, reason: "overrideViewer must be true or false" };
+  }
+  if (voiceId === null && pitch === null && speed === null && emotion === null) {
+    return { ok: false, reason: "Choose at least a voice, pitch, speed or emotion" };
+  }
+
+  return {
+    ok: true,
+    settings: {
+      voiceId: voiceId as string | null,
+      pitch: pitch as number | null,
+      speed: speed as number | null,
+      emotion: normalizeEmotion(emotion as string | null),
+      overrideViewer: raw.overrideViewer === true,
+    },
+  };
+}
+
+/**
+ * Read one stored value, tolerating hand-edited documents.
+ * @param {unknown} value - Raw map value
+ * @param {string} key - The entry's key, used as the label of last resort
+ * @return {VoiceAssignment | null} The assignment, or null when the value is not one
+ */
+function normalizeAssignment(value: unknown, key: string): VoiceAssignment | null {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return null;
+  const raw = value as Record<string, unknown>;
+  return {
+    label: typeof raw.label === "string" && raw.label ? raw.label : key,
+    voiceId: typeof raw.voiceId === "string" ? raw.voiceId : null,
+    pitch: typeof raw.pitch === "number" ? raw.pitch : null,
+    speed: typeof raw.speed === "number" ? raw.speed : null,
+    emotion: typeof raw.emotion === "string" ? raw.emotion : null,
+    overrideViewer: raw.overrideViewer === true,
+    by: typeof raw.by === "string" ? raw.by : null,
+    at: typeof raw.at === "string" ? raw.at : null,
+  };
+}
+
+/**
+ * The assignment for one account, or null when it has none. The lookup is
+ * prototype-safe, as for the ignore list.
+ * @param {DocumentData | undefined} data - The channel config document
+ * @param {string} key - The account key, "twitch:<id>"
+ * @return {VoiceAssignment | null} The assignment
+ */
+export function getVoiceAssignment(data: DocumentData | undefined, key: string): VoiceAssignment | null {
+  const map = data?.voiceAssignments;
+  if (!map || typeof map !== "object" || !Object.hasOwn(map, key)) return null;
+  return normalizeAssignment(map[key], key);
+}
+
+/**
+ * Every assignment on a channel, sorted by label.
+ * @param {DocumentData | undefined} data - The channel config document
+ * @return {StoredVoiceAssignment[]} The assignments
+ */
+export function readVoiceAssignments(data: DocumentData | undefined): StoredVoiceAssignment[] {
+  const map = data?.voiceAssignments;
+  if (!map || typeof map !== "object" || Array.isArray(map)) return [];
+  return Object.keys(map)
+    .map((key) => {
+      const assignment = normalizeAssignment(map[key], key);
+      return assignment ? { key, ...assignment } : null;
+    })
+    .filter((entry): entry is StoredVoiceAssignment => entry !== null)
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Build the value to store. Every field is written every time: the write uses
+ * merge, which would otherwise keep a field the new value leaves out.
+ * @param {VoiceAssignmentSettings} settings - Validated settings
+ * @param {string} label - Display name of the account
+ * @param {string | null} by - The assigning account's key
+ * @return {VoiceAssignment} The complete record
+ */
+export function buildVoiceAssignment(settings: VoiceAssignmentSettings, label: string, by: string | null): VoiceAssignment {
+  return { label, ...settings, by, at: new Date().toISOString() };
+}
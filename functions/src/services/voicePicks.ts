@@ -0,0 +1,85 @@
+/**
+ * A user's favorite and recently used voices, shown at the top of the voice
+ * picker on both the dashboard and the viewer page.
+ *
+ * They are stored server-side so they follow the account from device to
+ * device, one ttsVoicePicks document per user ID. That is kept apart from
+ * ttsUserPreferences on purpose: a user-ID document there would hide a
+ * preferences document still keyed by username.
+ *
+ *   favorites  Voice IDs in the order they were starred, oldest first.
+ *   recent     Voice IDs most recently picked first, capped at MAX_RECENT.
+ *
+ * Only released voices are kept; one retired since it was saved drops out
+ * the next time the lists are read.
+ */
+
+import type { DocumentData } from "@google-cloud/firestore";
+import { RELEASED_VOICES } from "./voice-list";
+
+const VOICE_IDS = new Set(RELEASED_VOICES);
+
+export const VOICE_PICK_LIMITS = {
+  MAX_FAVORITES: 50,
+  MAX_RECENT: 8,
+};
+
+export interface VoicePicks {
+  favorites: string[];
+  recent: string[];
+}
+
+export type VoicePicksChange =
+  | { ok: true; picks: VoicePicks }
+  | { ok: false; reason: string };
+
+/**
+ * Keep the released voice IDs of a stored list, once each, in order.
+ * @param {unknown} value - The stored list
+ * @return {string[]} The usable IDs
+ */
+function readList(value: unknown): string[] {
+  if (!Array.isArray(value)) return [];
+  return Array.from(new Set(value.filter((id): id is string => typeof id === "string" && VOICE_IDS.has(id))));
+}
+
+/**
+ * The user's lists, empty when none are stored.
+ * @param {DocumentData | undefined} data - The ttsVoicePicks document
+ * @return {VoicePicks} The favorites and recent voices
+ */
+export function readVoicePicks(data: DocumentData | undefined): VoicePicks {
+  return {
+    favorites: readList(data?.favorites),
+    recent: readList(data?.recent).slice(0, VOICE_PICK_LIMITS.MAX_RECENT),
+  };
+}
+
+/**
+ * Star or unstar a voice. Starring one already starred changes nothing.
+ * @param {VoicePicks} picks - The current lists
+ * @param {string} voiceId - The voice
+ * @param {boolean} favorite - True to star it, false to unstar it
+ * @return {VoicePicksChange} The new lists, or the reason the change was refused
+ */
+export function setFavoriteVoice(picks: VoicePicks, voiceId: string, favorite: boolean): VoicePicksChange {
+  if (!VOICE_IDS.has(voiceId)) return { ok: false, reason: "Unknown voice" };
+  const others = picks.favorites.filter((id) => id !== voiceId);
+  if (!favorite) return { ok: true, picks: { ...picks, favorites: others } };
+  if (others.length === picks.favorites.length && others.length >= VOICE_PICK_LIMITS.MAX_FAVORITES) {
+    return { ok: false, reason: `You can have up to ${VOICE_PICK_LIMITS.MAX_FAVORITES} favorite voices` };
+  }
+  return { ok: true, picks: { ...picks, favorites: [...others, voiceId] } };
+}
+
+/**
+ * Move a voice to the front of the recent list, dropping the oldest when full.
+ * @param {VoicePicks} picks - The current lists
+ * @param {string} voiceId - The voice just picked
+ * @return {VoicePicksChange} The new lists, or the reason the change was refused
+ */
+export function recordRecentVoice(picks: VoicePicks, voiceId: string): VoicePicksChange {
+  if (!VOICE_IDS.has(voiceId)) return { ok: false, reason: "Unknown voice" };
+  const recent = [voiceId, ...picks.recent.filter((id) => id !== voiceId)].slice(0, VOICE_PICK_LIMITS.MAX_RECENT);
+  return { ok: true, picks: { ...picks, recent } };
+}
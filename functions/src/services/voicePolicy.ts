@@ -0,0 +1,179 @@
+/**
+ * Channel voice policy: which voices and settings viewers may choose.
+ *
+ * Stored as the `voicePolicy` setting on the channel config:
+ *
+ *   voiceRule   "any" lets viewers pick any voice. "allow" limits them to the
+ *               voices matched below; "deny" excludes those voices.
+ *   voices,
+ *   languages,
+ *   tags        What the rule matches: a voice ID, a language name (as in
+ *               voiceLanguage) or a tag (as in voiceTags). A voice matches
+ *               when any one of them does.
+ *   pitch,
+ *   speed       { min, max } bounds on the viewer's value, or null for the
+ *               full range. Values outside are clamped rather than dropped.
+ *   emotions    The emotions viewers may pick; empty allows all of them.
+ *
+ * The policy binds the viewer's own choices only. The channel's defaults and
+ * any voice the broadcaster assigned are theirs to set as they like.
+ */
+
+import type { DocumentData } from "@google-cloud/firestore";
+import { RELEASED_VOICES, VOICE_LANGUAGES, VOICE_TAGS, voiceLanguage, voiceTags } from "./voice-list";
+import * as ttsConfig from "./tts-config.json";
+
+const VOICE_IDS = new Set(RELEASED_VOICES);
+
+export interface PolicyRange {
+  min: number;
+  max: number;
+}
+
+export interface VoicePolicy {
+  voiceRule: "any" | "allow" | "deny";
+  voices: string[];
+  languages: string[];
+  tags: string[];
+  pitch: PolicyRange | null;
+  speed: PolicyRange | null;
+  emotions: string[];
+}
+
+/** The fields a policy constrains, named as in ViewerPreferences. */
+export type PolicyField = "voiceId" | "pitch" | "speed" | "emotion";
+
+export const DEFAULT_VOICE_POLICY: VoicePolicy = {
+  voiceRule: "any",
+  voices: [],
+  languages: [],
+  tags: [],
+  pitch: null,
+  speed: null,
+  emotions: [],
+};
+
+export type PolicyValidation =
+  | { ok: true; policy: VoicePolicy }
+  | { ok: false; reason: string };
+
+/**
+ * Check a policy as the dashboard sends it. Every field must be present and
+ * in its stored form, so a saved policy reads back exactly as written.
+ * @param {unknown} input - The proposed policy
+ * @return {PolicyValidation} The policy, or the reason it was rejected
+ */
+export function validateVoicePolicy(input: unknown): PolicyValidation {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { ok: false, reason: "Policy must be an object" };
+  }
+  const raw = input as Record<string, unknown>;
+  const known = new Set(Object.keys(DEFAULT_VOICE_POLICY));
+  const extra = Object.keys(raw).find((key) => !known.has(key));
+  if (extra) return { ok: false, reason: `Unknown policy field: ${extra}` };
+
+  if (raw.voiceRule !== "any" && raw.voiceRule !== "allow" && raw.voiceRule !== "deny") {
+    return { ok: false, reason: "voiceRule must be any, allow or deny" };
+  }
+  const lists: [string, Set<string>][] = [
+    ["voices", VOICE_IDS],
+    ["languages", new Set(VOICE_LANGUAGES)],
+    ["tags", new Set(VOICE_TAGS)],
+    ["emotions", new Set(ttsConfig.VALID_EMOTIONS)],
+  ];
+  for (const [field, valid] of lists) {
+    const list = raw[field];
+    if (!Array.isArray(list)) return { ok: false, reason: `${field} must be a list` };
+    const unknown = list.find((entry) => typeof entry !== "string" || !valid.has(entry));
+    if (unknown !== undefined) return { ok: false, reason: `Unknown entry in ${field}: ${String(unknown)}` };
+  }
+  if (raw.voiceRule === "allow" &&
+      (raw.voices as string[]).length + (raw.languages as string[]).length + (raw.tags as string[]).length === 0) {
+    return { ok: false, reason: "An allow list needs at least one voice, language or tag" };
+  }
+  const bounds: [string, { MIN: number; MAX: number }][] = [["pitch", ttsConfig.PITCH], ["speed", ttsConfig.SPEED]];
+  for (const [field, limits] of bounds) {
+    const range = raw[field];
+    if (range === null) continue;
+    if (!range || typeof range !== "object" || Array.isArray(range) || Object.keys(range).length !== 2) {
+      return { ok: false, reason: `${field} must be { min, max } or null` };
+    }
+    const { min, max } = range as Record<string, unknown>;
+    if (typeof min !== "number" || typeof max !== "number" ||
+        min < limits.MIN || max > limits.MAX || min > max) {
+      return { ok: false, reason: `${field} bounds must lie within ${limits.MIN} to ${limits.MAX}, min first` };
+    }
+  }
+
+  return { ok: true, policy: raw as unknown as VoicePolicy };
+}
+
+/**
+ * The channel's policy, or the permissive default when none is stored or the
+ * stored value does not validate.
+ * @param {DocumentData | undefined} data - The channel config document
+ * @return {VoicePolicy} The policy in force
+ */
+export function readVoicePolicy(data: DocumentData | undefined): VoicePolicy {
+  const result = validateVoicePolicy(data?.voicePolicy);
+  return result.ok ? result.policy : DEFAULT_VOICE_POLICY;
+}
+
+/**
+ * Whether viewers may pick a voice.
+ * @param {VoicePolicy} policy - The channel's policy
+ * @param {string} voiceId - The voice
+ * @return {boolean} True when the rule lets it through
+ */
+export function isVoiceAllowed(policy: VoicePolicy, voiceId: string): boolean {
+  if (policy.voiceRule === "any") return true;
+  const matches = policy.voices.includes(voiceId) ||
+    policy.languages.includes(voiceLanguage(voiceId)) ||
+    voiceTags(voiceId).some((tag) => policy.tags.includes(tag));
+  return policy.voiceRule === "allow" ? matches : !matches;
+}
+
+/**
+ * Every released voice viewers may pick, or null when the rule is "any".
+ * @param {VoicePolicy} policy - The channel's policy
+ * @return {string[] | null} The voice IDs
+ */
+export function allowedVoiceIds(policy: VoicePolicy): string[] | null {
+  if (policy.voiceRule === "any") return null;
+  return RELEASED_VOICES.filter((voiceId) => isVoiceAllowed(policy, voiceId));
+}
+
+/**
+ * Explain why a viewer's value is outside the policy.
+ * @param {VoicePolicy} policy - The channel's policy
+ * @param {PolicyField} field - Which setting
+ * @param {unknown} value - The viewer's value; unset values always pass
+ * @return {string | null} The reason, or null when the value is allowed
+ */
+export function policyViolation(policy: VoicePolicy, field: PolicyField, value: unknown): string | null {
+  if (value === undefined || value === null || value === "") return null;
+  switch (field) {
+  case "voiceId":
+    return isVoiceAllowed(policy, String(value)) ? null : "That voice is not allowed on this channel";
+  case "emotion":
+    return policy.emotions.length === 0 || policy.emotions.includes(String(value)) ?
+      null : "That emotion is not allowed on this channel";
+  case "pitch":
+  case "speed": {
+    const range = policy[field];
+    if (!range || typeof value !== "number" || (value >= range.min && value <= range.max)) return null;
+    return `${field === "pitch" ? "Pitch" : "Speed"} must be from ${range.min} to ${range.max} on this channel`;
+  }
+  }
+}
+
+/**
+ * Bring a viewer's pitch or speed inside the policy bounds.
+ * @param {PolicyRange | null} range - The bounds, if any
+ * @param {number} value - The viewer's value
+ * @return {number} The nearest value within bounds
+ */
+export function clampToRange(range: PolicyRange | null, value: number): number {
+  if (!range) return value;
+  return Math.min(range.max, Math.max(range.min, value));
+}
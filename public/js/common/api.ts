@@ -12,9 +12,39 @@ export function getApiBaseUrl(): string {
   return ''; // Use Firebase Hosting rewrites
 }
 
+/**
+ * Thrown by fetchWithAuth when a quota refuses the request (HTTP 429).
+ */
+export class RateLimitError extends Error {
+  /** How long until the quota lets the request through, or null if the server did not say. */
+  readonly retryAfterSeconds: number | null;
+
+  constructor(message: string, retryAfterSeconds: number | null) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * Seconds until a refused request may be retried: the Retry-After header,
+ * then RateLimit-Reset, then the `retryAfter` the body carries.
+ */
+function retryAfterSeconds(response: Response, body: { retryAfter?: unknown }): number | null {
+  const candidates = [response.headers.get('Retry-After'), response.headers.get('RateLimit-Reset'), body.retryAfter];
+  for (const candidate of candidates) {
+    const seconds = Number(candidate);
+    if (candidate !== null && candidate !== undefined && candidate !== '' && Number.isFinite(seconds) && seconds >= 0) {
+      return Math.ceil(seconds);
+    }
+  }
+  return null;
+}
+
 /**
  * Performs a fetch request adding the stored authorization token.
- * Throws informative errors for non-OK responses.
+ * Throws informative errors for non-OK responses, and a RateLimitError
+ * when a quota refuses the request.
  */
 export async function fetchWithAuth(url: string, options: RequestInit = {}): Promise<Response> {
   const appSessionToken = localStorage.getItem('app_session_token');
@@ -36,8 +66,9 @@ export async function fetchWithAuth(url: string, options: RequestInit = {}): Pro
     }
 
     let errorMessage = response.statusText;
+    let errorData: { error?: string; retryAfter?: unknown } = {};
     try {
-      const errorData = await response.json() as { error?: string };
+      errorData = await response.json() as typeof errorData;
       if (errorData.error) {
         errorMessage = errorData.error;
       }
@@ -45,6 +76,10 @@ export async function fetchWithAuth(url: string, options: RequestInit = {}): Pro
       // Ignore JSON parse errors and fall back to statusText.
     }
 
+    if (response.status === 429) {
+      throw new RateLimitError(errorMessage, retryAfterSeconds(response, errorData));
+    }
+
     throw new Error(`API Error: ${response.status} ${errorMessage}`);
   }
 
@@ -2,6 +2,8 @@
  * Generic utility helpers shared across pages.
  */
 
+import { getVoiceEntry } from './voice-catalog.js';
+
 /**
  * Creates a debounced function.
  */
@@ -29,31 +31,11 @@ export function formatNumberCompact(n: number): string {
 }
 
 /**
- * Hardcoded display names for specific voice IDs.
- * TODO: Ensure the voice list API response includes display names so the frontend doesn't need local overrides.
- * Until then, this map needs to be manually synchronized with the voice-list source of truth on the backend.
- */
-const VOICE_NAME_OVERRIDES: Record<string, string> = {
-  "moss_audio_6dc281eb-713c-11f0-a447-9613c873494c": "Female Senior - Sweet Granny",
-  "moss_audio_c12a59b9-7115-11f0-a447-9613c873494c": "Female Young - Expressive",
-  "moss_audio_076697ad-7144-11f0-a447-9613c873494c": "Male Adult - Southern Drawl",
-  "moss_audio_737a299c-734a-11f0-918f-4e0486034804": "Male Young - Science/Trustworthy",
-  "moss_audio_19dbb103-7350-11f0-ad20-f2bc95e89150": "Female Young - Sassy",
-  "moss_audio_7c7e7ae2-7356-11f0-9540-7ef9b4b62566": "Female Young - Magnetic",
-  "moss_audio_570551b1-735c-11f0-b236-0adeeecad052": "Male Adult - German",
-  "moss_audio_ad5baf92-735f-11f0-8263-fe5a2fe98ec8": "Female Young - Sweet/Thinking",
-  "moss_audio_cedfd4d2-736d-11f0-99be-fe40dd2a5fe8": "Male Middle - Bored Husband",
-  "moss_audio_a0d611da-737c-11f0-ad20-f2bc95e89150": "Male Middle - Warm Intro",
-  "moss_audio_4f4172f4-737b-11f0-9540-7ef9b4b62566": "Male Middle - Quiet/Hobbyist",
-  "moss_audio_62ca20b0-7380-11f0-99be-fe40dd2a5fe8": "Female Young - Energetic/Pretentious",
-};
-
-/**
- * Format a voice identifier for display.
+ * Format a voice identifier for display: the catalog's name once the page has
+ * loaded it, otherwise the ID made readable.
  */
 export function formatVoiceName(voice: string): string {
-  if (VOICE_NAME_OVERRIDES[voice]) {
-    return VOICE_NAME_OVERRIDES[voice];
-  }
+  const entry = getVoiceEntry(voice);
+  if (entry) return entry.name;
   return voice.replace(/[_-]/g, ' ').replace(/\b\w/g, chr => chr.toUpperCase());
 }
@@ -0,0 +1,46 @@
+/**
+ * The voice catalog as /api/voices returns it.
+ *
+ * functions/src/services/voice-list.ts documents the fields. Pages register
+ * the entries they load, so display names come from the catalog rather than
+ * from a copy kept here.
+ */
+
+export interface VoicePreviewAssets {
+  dashboard: string;
+  viewer: string;
+}
+
+export interface VoiceCatalogEntry {
+  id: string;
+  name: string;
+  language: string;
+  providers: string[];
+  tags: string[];
+  status: 'released' | 'retired';
+  previews: VoicePreviewAssets | null;
+}
+
+/** Every value the catalog's filters can take. */
+export interface VoiceFacets {
+  languages: string[];
+  tags: string[];
+  providers: string[];
+}
+
+const entriesById = new Map<string, VoiceCatalogEntry>();
+
+/** Remember entries loaded from the API, replacing any earlier copy. */
+export function registerVoiceCatalog(entries: VoiceCatalogEntry[] | undefined): void {
+  (entries || []).forEach(entry => entriesById.set(entry.id, entry));
+}
+
+/** A loaded entry, or undefined until the page has fetched it. */
+export function getVoiceEntry(voiceId: string): VoiceCatalogEntry | undefined {
+  return entriesById.get(voiceId);
+}
+
+/** How the catalog writes Cantonese, which is not a name to show people. */
+export function formatLanguageName(language: string): string {
+  return language === 'Chinese,Yue' ? 'Cantonese' : language;
+}
@@ -0,0 +1,436 @@
+/**
+ * The voice picker used on the dashboard and the viewer page.
+ *
+ * A text box that opens a list of voices: favorites and recently used ones
+ * first, then every voice grouped by language. Typing filters the list with a
+ * forgiving match on the name, ID, language and tags, ranked best first. The
+ * arrow keys move through the list, Enter picks and Escape closes.
+ *
+ * Markup, where {prefix} is the idPrefix option (the parts join with "-"):
+ *
+ *   <div class="custom-voice-dropdown" id="{prefix}-voice-dropdown">
+ *     <input type="text" id="{prefix}-voice-search" readonly>
+ *     <input type="hidden" id="{prefix}-voice">
+ *     <div class="voice-dropdown-menu" id="{prefix}-voice-menu">
+ *       <div class="voice-dropdown-list"></div>
+ *     </div>
+ *   </div>
+ */
+
+import { formatVoiceName } from './utils.js';
+import { formatLanguageName, getVoiceEntry } from './voice-catalog.js';
+import type { VoicePicksStore } from './voice-picks.js';
+
+export interface VoicePickerOptions {
+  /** Prefix of the element IDs; empty for the bare names. */
+  idPrefix: string;
+  /** The hidden input holding the value, when it is not {prefix}-voice. */
+  valueInputId?: string;
+  onSelect: (voiceId: string) => void;
+  onPlaySample?: (voiceId: string, button: HTMLButtonElement) => void;
+  initialVoiceId?: string;
+  /** Favorites and recent voices; without it those groups are left out. */
+  picks?: VoicePicksStore;
+  /** Label of a first row that clears the value, e.g. "Use channel default". */
+  emptyLabel?: string;
+  /** Why a voice cannot be picked here, or null when it can. */
+  disabledReason?: (voiceId: string) => string | null;
+}
+
+interface PickerRow {
+  voiceId: string;
+  label: string;
+  detail?: string;
+}
+
+interface PickerGroup {
+  title: string | null;
+  rows: PickerRow[];
+}
+
+/**
+ * How well one search word matches some text: a substring scores highest,
+ * more so at the start of a word; otherwise the word's letters must appear
+ * in order, scoring more when they run together.
+ * @param word - One lower-case search word
+ * @param text - Lower-case text to look in
+ * @return A score, higher is better, or null when the word does not match
+ */
+export function fuzzyScore(word: string, text: string): number | null {
+  const at = text.indexOf(word);
+  if (at >= 0) {
+    const wordStart = at === 0 || /[\s_\-()]/.test(text.charAt(at - 1));
+    return 100 - Math.min(at, 50) + (wordStart ? 20 : 0);
+  }
+  let score = 0;
+  let from = 0;
+  let run = 0;
+  for (const ch of word) {
+    const found = text.indexOf(ch, from);
+    if (found < 0) return null;
+    run = found === from ? run + 1 : 0;
+    score += 1 + run * 2;
+    from = found + 1;
+  }
+  return Math.min(score, 60);
+}
+
+/**
+ * Score a voice against a search; every word must match somewhere.
+ * @param voiceId - The voice
+ * @param words - Lower-case search words
+ * @return The total score, or null when some word matches nothing
+ */
+function scoreVoice(voiceId: string, words: string[]): number | null {
+  const entry = getVoiceEntry(voiceId);
+  const name = formatVoiceName(voiceId).toLowerCase();
+  const id = voiceId.toLowerCase();
+  const language = formatLanguageName(entry?.language || '').toLowerCase();
+  const tags = entry?.tags || [];
+  let total = 0;
+  for (const word of words) {
+    const scores = [
+      fuzzyScore(word, name),
+      fuzzyScore(word, id),
+      language.startsWith(word) ? 50 : null,
+      tags.some(tag => tag.startsWith(word)) ? 40 : null,
+    ].filter((score): score is number => score !== null);
+    if (scores.length === 0) return null;
+    total += Math.max(...scores);
+  }
+  return total;
+}
+
+export class VoicePicker {
+  private container: HTMLElement | null;
+  private hiddenInput: HTMLInputElement | null;
+  private searchInput: HTMLInputElement | null;
+  private menu: HTMLElement | null;
+  private list: HTMLElement | null;
+  private listId: string;
+
+  private voices: string[] = [];
+  private onSelect: (voiceId: string) => void;
+  private onPlaySample?: (voiceId: string, button: HTMLButtonElement) => void;
+  private picks?: VoicePicksStore;
+  private emptyLabel?: string;
+  private disabledReason: (voiceId: string) => string | null;
+
+  // The rows that can be picked, in display order, and the highlighted one.
+  private options: HTMLElement[] = [];
+  private activeIndex = -1;
+
+  constructor(options: VoicePickerOptions) {
+    const id = (suffix: string): string => options.idPrefix ? `${options.idPrefix}-${suffix}` : suffix;
+
+    this.container = document.getElementById(id('voice-dropdown'));
+    if (!this.container) {
+      console.warn(`VoicePicker container not found: ${id('voice-dropdown')}`);
+    }
+    this.hiddenInput = document.getElementById(options.valueInputId || id('voice')) as HTMLInputElement | null;
+    this.searchInput = document.getElementById(id('voice-search')) as HTMLInputElement | null;
+    this.menu = document.getElementById(id('voice-menu'));
+    this.list = this.menu?.querySelector('.voice-dropdown-list') as HTMLElement | null || null;
+    this.listId = id('voice-listbox');
+
+    this.onSelect = options.onSelect;
+    this.onPlaySample = options.onPlaySample;
+    this.picks = options.picks;
+    this.emptyLabel = options.emptyLabel;
+    this.disabledReason = options.disabledReason || ((): null => null);
+
+    if (this.list) {
+      this.list.id = this.listId;
+      this.list.setAttribute('role', 'listbox');
+    }
+    if (this.searchInput) {
+      this.searchInput.setAttribute('role', 'combobox');
+      this.searchInput.setAttribute('aria-autocomplete', 'list');
+      this.searchInput.setAttribute('aria-expanded', 'false');
+      this.searchInput.setAttribute('aria-controls', this.listId);
+    }
+
+    this.setValue(options.initialVoiceId || this.getValue());
+    this.picks?.subscribe(() => this.refresh());
+    this.attachEventListeners();
+  }
+
+  setVoices(voices: string[]): void {
+    this.voices = voices;
+    this.refresh();
+  }
+
+  setValue(voiceId: string): void {
+    if (this.hiddenInput) this.hiddenInput.value = voiceId;
+    if (this.searchInput) this.searchInput.value = this.displayValue(voiceId);
+  }
+
+  getValue(): string {
+    return this.hiddenInput?.value || '';
+  }
+
+  /** Redraw the list, e.g. after the voices that may be picked have changed. */
+  refresh(): void {
+    const isOpen = this.menu?.classList.contains('show');
+    this.renderList(isOpen && this.searchInput ? this.searchInput.value : '');
+  }
+
+  scrollIntoView(): void {
+    this.searchInput?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  focus(): void {
+    this.searchInput?.focus();
+  }
+
+  highlight(): void {
+    this.searchInput?.classList.add('highlight-flash');
+    setTimeout(() => this.searchInput?.classList.remove('highlight-flash'), 2000);
+  }
+
+  private displayValue(voiceId: string): string {
+    if (voiceId) return formatVoiceName(voiceId);
+    return this.emptyLabel || '';
+  }
+
+  private attachEventListeners(): void {
+    if (!this.searchInput || !this.menu || !this.container) return;
+    const searchInput = this.searchInput;
+
+    searchInput.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (this.isOpen()) {
+        this.closeDropdown();
+      } else {
+        this.openDropdown();
+      }
+    });
+
+    searchInput.addEventListener('input', () => this.renderList(searchInput.value));
+
+    searchInput.addEventListener('keydown', (e) => {
+      switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        e.preventDefault();
+        if (!this.isOpen()) {
+          this.openDropdown();
+          return;
+        }
+        this.moveActive(e.key === 'ArrowDown' ? 1 : -1);
+        break;
+      case 'Enter':
+        e.preventDefault();
+        if (!this.isOpen()) {
+          this.openDropdown();
+        } else if (this.activeIndex >= 0) {
+          this.choose(this.options[this.activeIndex].dataset.voiceId || '');
+        }
+        break;
+      case 'Escape':
+        if (this.isOpen()) {
+          e.preventDefault();
+          this.closeDropdown();
+        }
+        break;
+      case 'Tab':
+        this.closeDropdown();
+        break;
+      }
+    });
+
+    document.addEventListener('click', (e) => {
+      if (this.container && !this.container.contains(e.target as Node)) {
+        this.closeDropdown();
+      }
+    });
+  }
+
+  private isOpen(): boolean {
+    return !!this.menu?.classList.contains('show');
+  }
+
+  private openDropdown(): void {
+    if (!this.menu || !this.searchInput) return;
+    this.renderList('');
+    this.menu.classList.add('show');
+    this.searchInput.setAttribute('aria-expanded', 'true');
+    this.searchInput.removeAttribute('readonly');
+    this.searchInput.focus();
+    this.searchInput.select();
+    const current = this.options.findIndex(option => option.dataset.voiceId === this.getValue());
+    this.setActive(current >= 0 ? current : 0);
+  }
+
+  private closeDropdown(): void {
+    if (!this.menu || !this.searchInput || !this.isOpen()) return;
+    this.menu.classList.remove('show');
+    this.searchInput.setAttribute('aria-expanded', 'false');
+    this.searchInput.removeAttribute('aria-activedescendant');
+    this.searchInput.setAttribute('readonly', 'readonly');
+    this.searchInput.value = this.displayValue(this.getValue());
+  }
+
+  private choose(voiceId: string): void {
+    this.setValue(voiceId);
+    this.closeDropdown();
+    if (voiceId) void this.picks?.recordRecent(voiceId);
+    this.onSelect(voiceId);
+  }
+
+  private moveActive(step: number): void {
+    if (this.options.length === 0) return;
+    const next = (this.activeIndex + step + this.options.length) % this.options.length;
+    this.setActive(next);
+  }
+
+  private setActive(index: number): void {
+    this.options.forEach((option, i) => {
+      option.classList.toggle('active', i === index);
+      option.setAttribute('aria-selected', String(i === index));
+    });
+    this.activeIndex = index < this.options.length ? index : -1;
+    const active = this.options[this.activeIndex];
+    if (active) {
+      this.searchInput?.setAttribute('aria-activedescendant', active.id);
+      active.scrollIntoView({ block: 'nearest' });
+    } else {
+      this.searchInput?.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  /**
+   * The groups to show. A search gives one ranked list; otherwise favorites
+   * and recent voices come first, then each language in turn.
+   */
+  private buildGroups(query: string): PickerGroup[] {
+    const normalized = query.trim().toLowerCase();
+    const words = normalized && normalized !== this.emptyLabel?.toLowerCase() ?
+      normalized.split(/\s+/) : [];
+    const languageOf = (voiceId: string): string => formatLanguageName(getVoiceEntry(voiceId)?.language || 'Other');
+
+    if (words.length > 0) {
+      const rows = this.voices
+        .map(voiceId => ({ voiceId, score: scoreVoice(voiceId, words) }))
+        .filter((match): match is { voiceId: string; score: number } => match.score !== null)
+        .sort((a, b) => b.score - a.score)
+        .map(({ voiceId }) => ({ voiceId, label: formatVoiceName(voiceId), detail: languageOf(voiceId) }));
+      return [{ title: null, rows }];
+    }
+
+    const available = new Set(this.voices);
+    const row = (voiceId: string): PickerRow => ({ voiceId, label: formatVoiceName(voiceId) });
+    const groups: PickerGroup[] = [];
+    if (this.emptyLabel) groups.push({ title: null, rows: [{ voiceId: '', label: this.emptyLabel }] });
+    if (this.picks) {
+      groups.push({ title: 'Favorites', rows: this.picks.favorites.filter(id => available.has(id)).map(row) });
+      groups.push({ title: 'Recently used', rows: this.picks.recent.filter(id => available.has(id)).map(row) });
+    }
+    const byLanguage = new Map<string, PickerRow[]>();
+    this.voices.forEach(voiceId => {
+      const language = languageOf(voiceId);
+      if (!byLanguage.has(language)) byLanguage.set(language, []);
+      byLanguage.get(language)!.push(row(voiceId));
+    });
+    Array.from(byLanguage.keys()).sort().forEach(language => {
+      groups.push({ title: language, rows: byLanguage.get(language)! });
+    });
+    return groups.filter(group => group.rows.length > 0);
+  }
+
+  private renderList(query: string): void {
+    if (!this.list) return;
+    this.list.innerHTML = '';
+    this.options = [];
+    this.activeIndex = -1;
+
+    const groups = this.buildGroups(query);
+    if (groups.length === 0 || groups.every(group => group.rows.length === 0)) {
+      const empty = document.createElement('div');
+      empty.className = 'voice-dropdown-item no-results';
+      empty.textContent = 'No voices found.';
+      this.list.appendChild(empty);
+      return;
+    }
+
+    groups.forEach(group => {
+      if (group.title) {
+        const heading = document.createElement('div');
+        heading.className = 'voice-dropdown-group';
+        heading.setAttribute('role', 'presentation');
+        heading.textContent = group.title;
+        this.list!.appendChild(heading);
+      }
+      group.rows.forEach(row => this.list!.appendChild(this.renderRow(row)));
+    });
+    if (query.trim()) this.setActive(0);
+  }
+
+  private renderRow(row: PickerRow): HTMLElement {
+    const item = document.createElement('div');
+    item.className = 'voice-dropdown-item';
+    item.setAttribute('role', 'option');
+    item.dataset.voiceId = row.voiceId;
+
+    const label = document.createElement('span');
+    label.className = 'voice-label';
+    label.textContent = row.label;
+    if (row.detail) {
+      const detail = document.createElement('span');
+      detail.className = 'voice-detail';
+      detail.textContent = row.detail;
+      label.appendChild(detail);
+    }
+
+    const reason = row.voiceId ? this.disabledReason(row.voiceId) : null;
+    if (reason) {
+      item.classList.add('disabled');
+      item.setAttribute('aria-disabled', 'true');
+      item.title = reason;
+    } else {
+      item.id = `${this.listId}-${this.options.length}`;
+      this.options.push(item);
+      item.addEventListener('click', () => this.choose(row.voiceId));
+    }
+
+    if (this.picks && row.voiceId) item.appendChild(this.renderFavoriteButton(row));
+    item.appendChild(label);
+
+    const entry = getVoiceEntry(row.voiceId);
+    if (this.onPlaySample && row.voiceId && (!entry || entry.previews)) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'voice-play-btn';
+      button.tabIndex = -1;
+      button.dataset.voiceId = row.voiceId;
+      button.setAttribute('aria-label', `Preview ${row.label}`);
+      button.innerHTML = `
+        <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
+          <path d="M8 5v14l11-7z"/>
+        </svg>
+      `;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.onPlaySample!(row.voiceId, button);
+      });
+      item.appendChild(button);
+    }
+    return item;
+  }
+
+  private renderFavoriteButton(row: PickerRow): HTMLButtonElement {
+    const favorite = this.picks!.isFavorite(row.voiceId);
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `voice-fav-btn${favorite ? ' active' : ''}`;
+    button.tabIndex = -1;
+    button.textContent = favorite ? '★' : '☆';
+    button.setAttribute('aria-pressed', String(favorite));
+    button.setAttribute('aria-label', `${favorite ? 'Remove' : 'Add'} ${row.label} ${favorite ? 'from' : 'to'} favorites`);
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      void this.picks!.toggleFavorite(row.voiceId);
+    });
+    return button;
+  }
+}
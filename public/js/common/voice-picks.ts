@@ -0,0 +1,95 @@
+/**
+ * The signed-in user's favorite and recently used voices.
+ *
+ * Stored by the server (see functions/src/services/voicePicks.ts) so they
+ * follow the account across devices. One store serves every voice picker on a
+ * page, and pickers subscribe to redraw when it changes.
+ */
+
+import { showToast } from './ui.js';
+
+export interface VoicePicks {
+  favorites: string[];
+  recent: string[];
+}
+
+export class VoicePicksStore {
+  private url: string;
+  private getSessionToken: () => string | null;
+  private picks: VoicePicks = { favorites: [], recent: [] };
+  private listeners = new Set<() => void>();
+
+  /**
+   * @param url - The voice-picks endpoint, e.g. "/api/viewer/voice-picks"
+   * @param getSessionToken - The token to send; without one nothing is stored
+   */
+  constructor(url: string, getSessionToken: () => string | null) {
+    this.url = url;
+    this.getSessionToken = getSessionToken;
+  }
+
+  get favorites(): string[] {
+    return this.picks.favorites;
+  }
+
+  get recent(): string[] {
+    return this.picks.recent;
+  }
+
+  isFavorite(voiceId: string): boolean {
+    return this.picks.favorites.includes(voiceId);
+  }
+
+  /** Call the listener after every change; returns a function that stops it. */
+  subscribe(listener: () => void): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /** Fetch the stored lists. A failure leaves them empty; the picker still works. */
+  async load(): Promise<void> {
+    try {
+      const picks = await this.request('', { method: 'GET' });
+      if (picks) this.update(picks);
+    } catch (error) {
+      console.warn('Failed to load favorite voices:', error);
+    }
+  }
+
+  async toggleFavorite(voiceId: string): Promise<void> {
+    const method = this.isFavorite(voiceId) ? 'DELETE' : 'PUT';
+    try {
+      const picks = await this.request(`/favorites/${encodeURIComponent(voiceId)}`, { method });
+      if (picks) this.update(picks);
+    } catch (error) {
+      showToast((error as Error).message, 'warning');
+    }
+  }
+
+  /** Note a voice the user just picked. Failures are not worth interrupting them for. */
+  async recordRecent(voiceId: string): Promise<void> {
+    try {
+      const picks = await this.request('/recent', { method: 'POST', body: JSON.stringify({ voiceId }) });
+      if (picks) this.update(picks);
+    } catch (error) {
+      console.warn('Failed to record recent voice:', error);
+    }
+  }
+
+  private async request(path: string, init: RequestInit): Promise<VoicePicks | null> {
+    const token = this.getSessionToken();
+    if (!token) return null;
+    const response = await fetch(`${this.url}${path}`, {
+      ...init,
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+    });
+    const data = await response.json().catch(() => ({})) as Partial<VoicePicks> & { error?: string };
+    if (!response.ok) throw new Error(data.error || 'Could not update favorite voices');
+    return { favorites: data.favorites || [], recent: data.recent || [] };
+  }
+
+  private update(picks: VoicePicks): void {
+    this.picks = picks;
+    this.listeners.forEach(listener => listener());
+  }
+}
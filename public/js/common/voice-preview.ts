@@ -1,4 +1,4 @@
-import { getApiBaseUrl, fetchWithAuth } from './api.js';
+import { getApiBaseUrl, fetchWithAuth, RateLimitError } from './api.js';
 import { showToast } from './ui.js';
 
 /**
@@ -12,6 +12,8 @@ export interface TTSPayload {
   emotion?: string;
   languageBoost?: string;
   volume?: number;
+  /** Resolves the sender's preferences for this channel, as the bot would. */
+  channel?: string;
 }
 
 /**
@@ -79,12 +81,7 @@ export async function performVoiceTest(
   try {
     let audioUrl: string | null = null;
 
-    if (options.defaultText && isDefaultSettings(payload, options.defaultText)) {
-      audioUrl = await tryLoadPreMadeRecording(payload, options.defaultText);
-      if (audioUrl) {
-        console.log('Using pre-made recording');
-      }
-    }
+    audioUrl = await tryLoadPreMadeRecording(payload, options.defaultText);
 
     if (!audioUrl) {
       const response = await fetchWithAuth(`${getApiBaseUrl()}/api/tts/test`, {
@@ -141,6 +138,11 @@ export async function performVoiceTest(
 
     return audioUrl || undefined;
   } catch (error) {
+    if (error instanceof RateLimitError) {
+      const wait = error.retryAfterSeconds;
+      showToast(wait ? `You can test again in ${wait} second${wait === 1 ? '' : 's'}.` : 'Too many tests, please wait a moment.', 'warning');
+      return undefined;
+    }
     console.error('Voice test failed:', error);
     const err = error as Error;
     let errorMessage = err.message;
@@ -160,37 +162,160 @@ export async function performVoiceTest(
   return undefined;
 }
 
-function isDefaultSettings(payload: TTSPayload, defaultText: string): boolean {
-  const isDefaultText = payload.text.trim().toLowerCase() === defaultText.toLowerCase();
-  const isDefault = (
-    (!payload.pitch || payload.pitch === 0) &&
-    (!payload.speed || payload.speed === 1.0) &&
-    (!payload.emotion || payload.emotion === 'auto' || payload.emotion === 'neutral') &&
-    (!payload.languageBoost || payload.languageBoost === 'Automatic' || payload.languageBoost === 'auto') &&
-    (!payload.volume || payload.volume === 1.0)
+export type PreviewPhrase = 'dashboard' | 'viewer';
+
+/** One pre-made clip, as scripts/generate-voice-previews.js recorded it. */
+export interface PreviewClip {
+  phrase: PreviewPhrase;
+  file: string;
+  /** What the voice says; localized for voices in other languages. */
+  text: string;
+  language: string;
+  settings: { speed: number; volume: number; pitch: number; emotion: string; languageBoost: string };
+  sha256: string;
+  durationMs: number | null;
+  bytes: number;
+}
+
+/** The settings a clip is picked by. Unset values mean the defaults. */
+export type PreviewSettings = Pick<TTSPayload, 'pitch' | 'speed' | 'emotion' | 'languageBoost' | 'volume'>;
+
+interface PreviewManifest {
+  /** The English text of each phrase, which the pages offer as default text. */
+  phrases: Record<PreviewPhrase, string>;
+  /**
+   * Each voice's clips. The plain phrase key is the clip at the default
+   * settings; the others are emotion and pitch/speed variations of it.
+   */
+  voices: Record<string, Record<string, PreviewClip>>;
+}
+
+const PREVIEW_DIR = '/assets/voices';
+let manifestPromise: Promise<PreviewManifest | null> | null = null;
+
+/** The list of pre-made clips, fetched once per page. Null if it can't be read. */
+function loadPreviewManifest(): Promise<PreviewManifest | null> {
+  if (!manifestPromise) {
+    manifestPromise = fetch(`${PREVIEW_DIR}/manifest.json`)
+      .then(response => (response.ok ? response.json() as Promise<PreviewManifest> : null))
+      .catch((error) => {
+        console.warn('Failed to load voice preview manifest:', error);
+        return null;
+      });
+  }
+  return manifestPromise;
+}
+
+/** Whether a clip was generated with these settings. */
+function matchesClipSettings(settings: PreviewSettings, clip: PreviewClip): boolean {
+  const emotion = !settings.emotion || settings.emotion === 'auto' ? 'neutral' : settings.emotion;
+  const languageBoost = !settings.languageBoost || settings.languageBoost === 'Automatic' ? 'auto' : settings.languageBoost;
+  return (
+    (settings.pitch ?? 0) === clip.settings.pitch &&
+    (settings.speed ?? 1.0) === clip.settings.speed &&
+    (settings.volume || 1.0) === clip.settings.volume &&
+    emotion === clip.settings.emotion &&
+    languageBoost === clip.settings.languageBoost
   );
-  return isDefaultText && isDefault;
 }
 
-async function tryLoadPreMadeRecording(payload: TTSPayload, defaultText: string): Promise<string | null> {
+function findClip(manifest: PreviewManifest, voiceId: string, phrase: PreviewPhrase, settings: PreviewSettings): PreviewClip | null {
+  const clips = Object.values(manifest.voices[voiceId] || {});
+  return clips.find(clip => clip.phrase === phrase && matchesClipSettings(settings, clip)) ?? null;
+}
+
+/**
+ * The pre-made clip of a voice saying a phrase: the one made with the given
+ * settings if there is one, otherwise the one at the defaults.
+ */
+export async function getPreviewClip(
+  voiceId: string,
+  phrase: PreviewPhrase,
+  settings: PreviewSettings = {}
+): Promise<PreviewClip | null> {
+  const manifest = await loadPreviewManifest();
+  if (!manifest) return null;
+  return findClip(manifest, voiceId, phrase, settings) ?? manifest.voices[voiceId]?.[phrase] ?? null;
+}
+
+/** Where that clip is served from, or null when the voice has none. */
+export async function getPreviewUrl(
+  voiceId: string,
+  phrase: PreviewPhrase,
+  settings: PreviewSettings = {}
+): Promise<string | null> {
+  const clip = await getPreviewClip(voiceId, phrase, settings);
+  return clip ? `${PREVIEW_DIR}/${encodeURIComponent(clip.file)}` : null;
+}
+
+/**
+ * Audio that needs no synthesis: the pre-made clip of the page's default
+ * text at exactly the requested settings, or what the server cached the last
+ * time anyone asked for the same thing. A voice's clip says the phrase in its
+ * own language, so it stands in for the English default text.
+ */
+async function tryLoadPreMadeRecording(payload: TTSPayload, defaultText?: string): Promise<string | null> {
+  const manifest = defaultText ? await loadPreviewManifest() : null;
+  const text = payload.text.trim().toLowerCase();
+  const phrase = manifest && defaultText && text === defaultText.toLowerCase() ?
+    (Object.keys(manifest.phrases) as PreviewPhrase[]).find(key => manifest.phrases[key].toLowerCase() === text) :
+    undefined;
   const voiceId = payload.voiceId || 'Friendly_Person';
-  const fileName = defaultText.toLowerCase()
-    .replace(/[^a-z0-9]/g, '-')
-    .replace(/-+/g, '-')
-    .replace(/^-|-$/g, '');
-  const preMadeUrl = `/assets/voices/${voiceId}-${fileName}.mp3`;
+  const clip = manifest && phrase ? findClip(manifest, voiceId, phrase, payload) : null;
 
-  try {
-    const response = await fetch(preMadeUrl);
-    if (response.ok) {
-      const blob = await response.blob();
-      return URL.createObjectURL(blob);
+  if (clip) {
+    try {
+      const response = await fetch(`${PREVIEW_DIR}/${encodeURIComponent(clip.file)}`);
+      if (response.ok) {
+        console.log('Using pre-made recording');
+        const blob = await response.blob();
+        return URL.createObjectURL(blob);
+      }
+    } catch (error) {
+      console.log('Pre-made recording failed to load for', voiceId, 'with text:', defaultText);
     }
+  }
+
+  const cacheKey = await ttsCacheKey(payload);
+  if (!cacheKey) return null;
+  try {
+    const response = await fetchWithAuth(`${getApiBaseUrl()}/api/tts/cache/${cacheKey}`, { method: 'GET' });
+    console.log('Using cached recording');
+    const blob = await response.blob();
+    return URL.createObjectURL(blob);
   } catch (error) {
-    console.log('No pre-made recording available for', voiceId, 'with text:', defaultText);
+    // Not cached yet; /api/tts/test will synthesize and cache it.
+    return null;
+  }
+}
+
+/**
+ * The server's cache key for a payload (ttsCacheKey in
+ * functions/src/services/audioCache.ts), or null when the server might
+ * resolve it to something else: a value left out is filled in from the
+ * user's saved preferences, and a channel applies that channel's voice policy.
+ */
+async function ttsCacheKey(payload: TTSPayload): Promise<string | null> {
+  const { voiceId, pitch, speed, emotion, languageBoost } = payload;
+  if (payload.channel || !voiceId || pitch === undefined || speed === undefined || !emotion || !languageBoost) {
+    return null;
   }
+  if (!globalThis.crypto?.subtle) return null;
 
-  return null;
+  const round2 = (value: number): number => Math.round(value * 100) / 100;
+  const normalizedEmotion = emotion.trim().toLowerCase() === 'auto' ? 'neutral' : emotion.trim().toLowerCase();
+  const normalized = [
+    'v1',
+    payload.text.trim().replace(/\s+/g, ' '),
+    voiceId,
+    Math.round(pitch),
+    round2(speed),
+    normalizedEmotion,
+    round2(payload.volume ?? 1.0),
+    languageBoost === 'Automatic' || languageBoost === 'None' ? 'auto' : languageBoost,
+  ];
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(normalized)));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
 }
 
 async function handleAudioPlayer(
@@ -0,0 +1,54 @@
+/**
+ * Channel voice policy, for the browser.
+ *
+ * Mirrors functions/src/services/voicePolicy.ts, which validates and enforces
+ * it. The dashboard edits the policy; the viewer page uses it to grey out the
+ * choices the channel does not allow. Which voices a language or tag covers is
+ * worked out on the server, which sends the viewer page the resulting list;
+ * the languages and tags to choose from come from /api/voices.
+ */
+
+export interface PolicyRange {
+  min: number;
+  max: number;
+}
+
+export interface VoicePolicy {
+  voiceRule: 'any' | 'allow' | 'deny';
+  voices: string[];
+  languages: string[];
+  tags: string[];
+  pitch: PolicyRange | null;
+  speed: PolicyRange | null;
+  /** Empty allows every emotion. */
+  emotions: string[];
+}
+
+export const DEFAULT_VOICE_POLICY: VoicePolicy = {
+  voiceRule: 'any',
+  voices: [],
+  languages: [],
+  tags: [],
+  pitch: null,
+  speed: null,
+  emotions: [],
+};
+
+export const POLICY_EMOTIONS = ['neutral', 'happy', 'sad', 'angry', 'fearful', 'disgusted', 'surprised', 'calm', 'fluent'];
+
+/** Whether a policy leaves viewers entirely free. */
+export function isUnrestricted(policy: VoicePolicy | null | undefined): boolean {
+  return !policy || (policy.voiceRule === 'any' && !policy.pitch && !policy.speed && policy.emotions.length === 0);
+}
+
+/** One line per limit, worded for viewers. */
+export function describeVoicePolicy(policy: VoicePolicy): string[] {
+  const lines: string[] = [];
+  if (policy.voiceRule !== 'any') {
+    lines.push(policy.voiceRule === 'allow' ? 'Only some voices are allowed.' : 'Some voices are not allowed.');
+  }
+  if (policy.pitch) lines.push(`Pitch from ${policy.pitch.min} to ${policy.pitch.max}.`);
+  if (policy.speed) lines.push(`Speed from ${policy.speed.min} to ${policy.speed.max}.`);
+  if (policy.emotions.length > 0) lines.push(`Emotions: ${policy.emotions.join(', ')}.`);
+  return lines;
+}
@@ -1,7 +1,7 @@
 import { showToast } from '../common/ui.js';
 
 export interface BannedWordsModule {
-    displayBannedWords: (words: string[]) => void;
+    loadBannedWords: () => Promise<void>;
     setOnChange: (cb: () => void) => void;
 }
 
@@ -12,19 +12,60 @@ interface BannedWordsConfig {
 
 interface BannedWordsServices {
     getSessionToken: () => string | null;
-    getLoggedInUser: () => { login: string } | null;
+    getChannel: () => string | null;
 }
 
+type RuleType = 'exact' | 'whole-word' | 'wildcard' | 'regex' | 'normalized';
+type RuleAction = 'drop' | 'skip' | 'replace';
+
+/** A banned-word rule as the API returns it. */
+interface BannedWordRule {
+    id: string;
+    type: RuleType;
+    pattern: string;
+    action: RuleAction;
+    replacement: string | null;
+    legacy?: boolean;
+}
+
+const TYPE_LABELS: Record<RuleType, string> = {
+    'whole-word': 'Whole word',
+    exact: 'Anywhere',
+    wildcard: 'Wildcard',
+    normalized: 'Disguised',
+    regex: 'Regex',
+};
+
+const ACTION_LABELS: Record<RuleAction, string> = {
+    drop: 'Skip message',
+    skip: 'Skip word',
+    replace: 'Replace',
+};
+
+const DEMO_RULES: BannedWordRule[] = [
+    { id: 'demo-1', type: 'whole-word', pattern: 'testbadword', action: 'drop', replacement: null },
+    { id: 'demo-2', type: 'normalized', pattern: 'naughtyword', action: 'replace', replacement: 'oops' },
+];
+
 export function initBannedWordsModule(
     config: BannedWordsConfig,
     services: BannedWordsServices
 ): BannedWordsModule {
     const { apiPrefix, testMode } = config;
     let onChange: (() => void) | null = null;
+    // The rule being edited, or null while the form adds a new one.
+    let editingId: string | null = null;
 
     const listEl = document.getElementById('tts-banned-words-list') as HTMLUListElement | null;
     const inputEl = document.getElementById('tts-banned-word-input') as HTMLInputElement | null;
+    const typeEl = document.getElementById('tts-banned-word-type') as HTMLSelectElement | null;
+    const actionEl = document.getElementById('tts-banned-word-action') as HTMLSelectElement | null;
+    const replacementEl = document.getElementById('tts-banned-word-replacement') as HTMLInputElement | null;
+    const sampleEl = document.getElementById('tts-banned-word-sample') as HTMLInputElement | null;
+    const testBtn = document.getElementById('test-tts-banned-word-btn') as HTMLButtonElement | null;
+    const testResultEl = document.getElementById('tts-banned-word-test-result') as HTMLElement | null;
     const addBtn = document.getElementById('add-tts-banned-word-btn') as HTMLButtonElement | null;
+    const cancelBtn = document.getElementById('cancel-tts-banned-word-btn') as HTMLButtonElement | null;
 
     function authHeaders(): Record<string, string> {
         const headers: Record<string, string> = { 'Content-Type': 'application/json' };
@@ -33,78 +74,163 @@ export function initBannedWordsModule(
         return headers;
     }
 
-    function displayBannedWords(words: string[]): void {
+    function rulesUrl(path = ''): string {
+        return `${apiPrefix}/tts/banned-words/channel/${services.getChannel()}${path}`;
+    }
+
+    function formRule(): Omit<BannedWordRule, 'id'> {
+        const action = (actionEl?.value || 'drop') as RuleAction;
+        return {
+            type: (typeEl?.value || 'whole-word') as RuleType,
+            pattern: inputEl?.value.trim() || '',
+            action,
+            replacement: action === 'replace' ? (replacementEl?.value.trim() || '') : null,
+        };
+    }
+
+    function syncReplacementField(): void {
+        replacementEl?.classList.toggle('d-none', actionEl?.value !== 'replace');
+    }
+
+    function resetForm(): void {
+        editingId = null;
+        if (inputEl) inputEl.value = '';
+        if (typeEl) typeEl.value = 'whole-word';
+        if (actionEl) actionEl.value = 'drop';
+        if (replacementEl) replacementEl.value = '';
+        if (addBtn) addBtn.textContent = 'Add';
+        cancelBtn?.classList.add('d-none');
+        testResultEl?.classList.add('d-none');
+        syncReplacementField();
+    }
+
+    function startEdit(rule: BannedWordRule): void {
+        editingId = rule.id;
+        if (inputEl) inputEl.value = rule.pattern;
+        if (typeEl) typeEl.value = rule.type;
+        if (actionEl) actionEl.value = rule.action;
+        if (replacementEl) replacementEl.value = rule.replacement || '';
+        if (addBtn) addBtn.textContent = 'Save';
+        cancelBtn?.classList.remove('d-none');
+        syncReplacementField();
+        inputEl?.focus();
+    }
+
+    function displayBannedWords(rules: BannedWordRule[]): void {
         if (!listEl) return;
         listEl.innerHTML = '';
-        if (!words || words.length === 0) {
+        if (!rules || rules.length === 0) {
             const emptyLi = document.createElement('li');
             emptyLi.className = 'list-group-item text-center text-muted py-3';
             emptyLi.textContent = 'No banned words added yet.';
             listEl.appendChild(emptyLi);
             return;
         }
-        words.forEach(word => {
+        rules.forEach(rule => {
             const li = document.createElement('li');
-            li.className = 'list-group-item d-flex justify-content-between align-items-center';
-            li.textContent = word;
+            li.className = 'list-group-item d-flex justify-content-between align-items-center gap-2';
+
+            const summary = document.createElement('div');
+            const pattern = document.createElement(rule.type === 'regex' ? 'code' : 'span');
+            pattern.textContent = rule.pattern;
+            summary.appendChild(pattern);
+            const details = document.createElement('div');
+            details.className = 'small text-muted';
+            details.textContent = `${TYPE_LABELS[rule.type]} · ${ACTION_LABELS[rule.action]}` +
+                (rule.action === 'replace' ? ` with "${rule.replacement}"` : '');
+            summary.appendChild(details);
 
+            const actions = document.createElement('div');
+            actions.className = 'd-flex gap-1 flex-shrink-0';
+            const editBtn = document.createElement('button');
+            editBtn.className = 'btn btn-outline-secondary btn-sm';
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => startEdit(rule));
             const removeBtn = document.createElement('button');
             removeBtn.className = 'btn btn-outline-danger btn-sm';
             removeBtn.textContent = 'Remove';
-            removeBtn.addEventListener('click', () => removeBannedWord(word));
-            li.appendChild(removeBtn);
+            removeBtn.addEventListener('click', () => removeBannedWord(rule));
+            actions.appendChild(editBtn);
+            actions.appendChild(removeBtn);
+
+            li.appendChild(summary);
+            li.appendChild(actions);
             listEl.appendChild(li);
         });
     }
 
-    async function addBannedWord(word: string): Promise<void> {
-        const user = services.getLoggedInUser();
-        if (!user?.login) return;
+    async function loadBannedWords(): Promise<void> {
+        if (!services.getChannel()) return;
 
         if (testMode) {
-            showToast(`[Test] Added banned word: ${word}.`, 'success');
+            displayBannedWords(DEMO_RULES);
+            return;
+        }
+
+        try {
+            const response = await fetch(rulesUrl(), { headers: authHeaders(), cache: 'no-store' });
+            const data = await response.json() as { rules?: BannedWordRule[]; error?: string };
+            if (!response.ok || !data.rules) {
+                showToast(data.error || 'Cannot load banned words.', 'error');
+                return;
+            }
+            displayBannedWords(data.rules);
+        } catch (error) {
+            console.error('Error loading banned words:', error);
+            showToast('Cannot load banned words.', 'error');
+        }
+    }
+
+    async function saveBannedWord(): Promise<void> {
+        if (!services.getChannel()) return;
+        const rule = formRule();
+        if (!rule.pattern) return;
+
+        if (testMode) {
+            showToast(`[Test] Saved banned word rule: ${rule.pattern}.`, 'success');
+            resetForm();
             if (onChange) onChange();
             return;
         }
 
         try {
-            const response = await fetch(`${apiPrefix}/tts/banned-words/channel/${user.login}`, {
-                method: 'POST',
+            const response = await fetch(editingId ? rulesUrl(`/${encodeURIComponent(editingId)}`) : rulesUrl(), {
+                method: editingId ? 'PUT' : 'POST',
                 headers: authHeaders(),
-                body: JSON.stringify({ word })
+                body: JSON.stringify({ rule })
             });
             const data = await response.json();
             if (data.success) {
-                showToast(`Added "${word}" to banned words.`, 'success');
+                showToast(editingId ? `Saved "${rule.pattern}".` : `Added "${rule.pattern}" to banned words.`, 'success');
+                resetForm();
                 if (onChange) onChange();
             } else {
-                showToast(data.error || 'Cannot add banned word.', 'error');
+                showToast(data.error || 'Cannot save banned word.', 'error');
             }
         } catch (error) {
-            console.error('Error adding banned word:', error);
-            showToast('Cannot add banned word.', 'error');
+            console.error('Error saving banned word:', error);
+            showToast('Cannot save banned word.', 'error');
         }
     }
 
-    async function removeBannedWord(word: string): Promise<void> {
-        const user = services.getLoggedInUser();
-        if (!user?.login) return;
+    async function removeBannedWord(rule: BannedWordRule): Promise<void> {
+        if (!services.getChannel()) return;
 
         if (testMode) {
-            showToast(`[Test] Removed banned word: ${word}.`, 'success');
+            showToast(`[Test] Removed banned word: ${rule.pattern}.`, 'success');
             if (onChange) onChange();
             return;
         }
 
         try {
-            const response = await fetch(`${apiPrefix}/tts/banned-words/channel/${user.login}`, {
+            const response = await fetch(rulesUrl(`/${encodeURIComponent(rule.id)}`), {
                 method: 'DELETE',
-                headers: authHeaders(),
-                body: JSON.stringify({ word })
+                headers: authHeaders()
             });
             const data = await response.json();
             if (data.success) {
-                showToast(`Removed "${word}" from banned words.`, 'success');
+                showToast(`Removed "${rule.pattern}" from banned words.`, 'success');
+                if (editingId === rule.id) resetForm();
                 if (onChange) onChange();
             } else {
                 showToast(data.error || 'Cannot remove banned word.', 'error');
@@ -115,15 +241,52 @@ export function initBannedWordsModule(
         }
     }
 
+    function showTestResult(message: string, matched: boolean): void {
+        if (!testResultEl) return;
+        testResultEl.textContent = message;
+        testResultEl.classList.remove('d-none', 'text-success', 'text-muted');
+        testResultEl.classList.add(matched ? 'text-success' : 'text-muted');
+    }
+
+    async function testBannedWord(): Promise<void> {
+        const rule = formRule();
+        const text = sampleEl?.value.trim() || '';
+        if (!rule.pattern || !text) {
+            showToast('Enter a pattern and a sample message.', 'warning');
+            return;
+        }
+
+        if (testMode) {
+            showTestResult('[Test] Rule testing needs the live API.', false);
+            return;
+        }
+
+        try {
+            const response = await fetch(rulesUrl('/test'), {
+                method: 'POST',
+                headers: authHeaders(),
+                body: JSON.stringify({ rule, text })
+            });
+            const data = await response.json() as { success?: boolean; matched?: boolean; dropped?: boolean; result?: string | null; error?: string };
+            if (!data.success) {
+                showToast(data.error || 'Cannot test rule.', 'error');
+                return;
+            }
+            if (!data.matched) showTestResult('No match. The message is unchanged.', false);
+            else if (data.dropped) showTestResult('Match. TTS would skip this message.', true);
+            else showTestResult(`Match. TTS would say: "${data.result}"`, true);
+        } catch (error) {
+            console.error('Error testing banned word rule:', error);
+            showToast('Cannot test rule.', 'error');
+        }
+    }
+
     // Wire up UI
+    actionEl?.addEventListener('change', syncReplacementField);
+    cancelBtn?.addEventListener('click', resetForm);
+    testBtn?.addEventListener('click', () => void testBannedWord());
     if (addBtn && inputEl) {
-        addBtn.addEventListener('click', () => {
-            const word = inputEl.value.trim();
-            if (word) {
-                addBannedWord(word);
-                inputEl.value = '';
-            }
-        });
+        addBtn.addEventListener('click', () => void saveBannedWord());
         inputEl.addEventListener('keydown', (e: KeyboardEvent) => {
             if (e.key === 'Enter') {
                 e.preventDefault();
@@ -131,9 +294,10 @@ export function initBannedWordsModule(
             }
         });
     }
+    syncReplacementField();
 
     return {
-        displayBannedWords,
+        loadBannedWords,
         setOnChange: (cb: () => void) => { onChange = cb; }
     };
 }
@@ -11,9 +11,15 @@ interface ContentPolicy {
 }
 
 /**
- * Channel Points reward configuration
+ * Which voice reads a redemption
+ */
+type VoiceMode = 'viewer' | 'channel' | 'pick';
+
+/**
+ * A Channel Points TTS reward (one tier of possibly several)
  */
 interface ChannelPointsConfig {
+  id?: string;
   enabled: boolean;
   title: string;
   cost: number;
@@ -23,34 +29,63 @@ interface ChannelPointsConfig {
   cooldownSeconds: number;
   perStreamLimit: number;
   perUserPerStreamLimit: number;
-  rewardId?: string;
-  lastSyncedAt?: string;
+  voiceMode: VoiceMode;
+  priority: boolean;
+  rewardId?: string | null;
+  lastSyncedAt?: string | number;
   contentPolicy?: ContentPolicy;
+  twitchStatus?: unknown;
 }
 
 /**
- * API response for loading Channel Points configuration
+ * API response for loading Channel Points rewards
  */
 interface ChannelPointsData {
-  channelPoints?: ChannelPointsConfig;
+  tiers?: ChannelPointsConfig[];
+  maxTiers?: number;
 }
 
 /**
- * API response for saving Channel Points configuration
+ * API response for saving a Channel Points reward
  */
 interface SaveResponse {
-  channelPoints?: {
-    rewardId?: string;
-  };
-  rewardId?: string;
+  tier?: ChannelPointsConfig;
   error?: string;
 }
 
+/**
+ * A setting that differs between a reward and Twitch
+ */
+interface FieldDifference {
+  field: string;
+  ours: string | number | boolean;
+  twitch: string | number | boolean;
+}
+
+/**
+ * How a reward compares with Twitch
+ */
+interface TierSyncStatus {
+  tierId: string;
+  status: 'in-sync' | 'drifted' | 'missing' | 'not-created' | 'unknown';
+  differences: FieldDifference[];
+}
+
+/**
+ * API response for the rewards' sync status
+ */
+interface SyncStatusData {
+  drifted?: boolean;
+  tiers?: TierSyncStatus[];
+}
+
 /**
  * API response for testing Channel Points redemption
  */
 interface TestResponse {
   status?: string;
+  spoken?: string;
+  voiceId?: string | null;
   error?: string;
 }
 
@@ -76,7 +111,8 @@ export interface ChannelPointsModule {
 }
 
 /**
- * Channel Points reward management.
+ * Channel Points reward management. A channel can have several TTS rewards;
+ * the list picks which one the form below it edits.
  */
 export function initChannelPointsModule(
   context: DashboardContext,
@@ -84,14 +120,28 @@ export function initChannelPointsModule(
   deps: ChannelPointsDependencies = {}
 ): ChannelPointsModule {
   const { apiBaseUrl, testMode } = context;
-  const { getSessionToken } = services;
+  const { getSessionToken, getChannel } = services;
   const { onSettingsRefresh } = deps;
 
+  // The rewards routes act on the caller's own channel unless told otherwise.
+  function rewardsUrl(path = ''): string {
+    const channel = getChannel();
+    return `${apiBaseUrl}/api/rewards/tts${path}${channel ? `?channel=${encodeURIComponent(channel)}` : ''}`;
+  }
+
+  const DEFAULT_TITLE = 'Text-to-Speech Message';
+  const DEFAULT_PROMPT = 'Enter a message to be read aloud';
+
+  const cpTierList = document.getElementById('cp-tier-list') as HTMLElement | null;
+  const cpAddTierBtn = document.getElementById('cp-add-tier') as HTMLButtonElement | null;
+  const cpTierHint = document.getElementById('cp-tier-hint') as HTMLElement | null;
   const cpEnabled = document.getElementById('cp-enabled') as HTMLInputElement | null;
   const cpTitle = document.getElementById('cp-title') as HTMLInputElement | null;
   const cpCost = document.getElementById('cp-cost') as HTMLInputElement | null;
   const cpPrompt = document.getElementById('cp-prompt') as HTMLTextAreaElement | null;
   const cpSkipQueue = document.getElementById('cp-skip-queue') as HTMLInputElement | null;
+  const cpVoiceMode = document.getElementById('cp-voice-mode') as HTMLSelectElement | null;
+  const cpPriority = document.getElementById('cp-priority') as HTMLInputElement | null;
   const cpLimitsEnabled = document.getElementById('cp-limits-enabled') as HTMLInputElement | null;
   const cpCooldown = document.getElementById('cp-cooldown') as HTMLInputElement | null;
   const cpPerStream = document.getElementById('cp-per-stream') as HTMLInputElement | null;
@@ -103,15 +153,48 @@ export function initChannelPointsModule(
   const cpDeleteBtn = document.getElementById('cp-delete') as HTMLButtonElement | null;
   const cpMsg = document.getElementById('cp-msg') as HTMLElement | null;
   const cpStatusLine = document.getElementById('cp-status-line') as HTMLElement | null;
+  const cpDriftBadge = document.getElementById('cp-drift-badge') as HTMLElement | null;
+  const cpDrift = document.getElementById('cp-drift') as HTMLElement | null;
+  const cpDriftSummary = document.getElementById('cp-drift-summary') as HTMLElement | null;
+  const cpDriftTable = document.getElementById('cp-drift-table') as HTMLElement | null;
+  const cpDriftRows = document.getElementById('cp-drift-rows') as HTMLElement | null;
+  const cpDriftAdoptBtn = document.getElementById('cp-drift-adopt') as HTMLButtonElement | null;
+  const cpDriftPushBtn = document.getElementById('cp-drift-push') as HTMLButtonElement | null;
+  const cpDriftRecreateBtn = document.getElementById('cp-drift-recreate') as HTMLButtonElement | null;
+
+  const FIELD_LABELS: Record<string, string> = {
+    title: 'Title',
+    cost: 'Cost',
+    prompt: 'Viewer prompt',
+    enabled: 'Enabled',
+    skipQueue: 'Skip the Reward Queue',
+    cooldownSeconds: 'Global cooldown (sec)',
+    perStreamLimit: 'Per-stream limit',
+    perUserPerStreamLimit: 'Per-user per stream',
+  };
 
+  let tiers: ChannelPointsConfig[] = [];
+  let maxTiers = 5;
+  // The tier the form edits; null while it holds one not yet saved.
+  let selectedId: string | null = null;
+  // Counts unsaved tiers, so saves queued for one know the ID it was given.
+  let draft = 0;
+  const draftIds = new Map<number, string>();
+  let syncStatus = new Map<string, TierSyncStatus>();
   let lastSaveAt = 0;
   let timerId: ReturnType<typeof setTimeout> | null = null;
+  // Saves run one at a time, so a new tier is created only once.
+  let saving: Promise<void> = Promise.resolve();
   const MIN_INTERVAL_MS = 1500;
   const DEBOUNCE_MS = 800;
 
-  if (cpSaveBtn) cpSaveBtn.addEventListener('click', () => saveChannelPointsConfig(false));
+  if (cpSaveBtn) cpSaveBtn.addEventListener('click', () => queueSave(false));
   if (cpTestBtn) cpTestBtn.addEventListener('click', testChannelPointsRedeem);
   if (cpDeleteBtn) cpDeleteBtn.addEventListener('click', deleteChannelPointsReward);
+  if (cpAddTierBtn) cpAddTierBtn.addEventListener('click', addTier);
+  if (cpDriftAdoptBtn) cpDriftAdoptBtn.addEventListener('click', () => reconcile('adopt'));
+  if (cpDriftPushBtn) cpDriftPushBtn.addEventListener('click', () => reconcile('push'));
+  if (cpDriftRecreateBtn) cpDriftRecreateBtn.addEventListener('click', () => reconcile('recreate'));
 
   bindAutoSave();
 
@@ -119,15 +202,39 @@ export function initChannelPointsModule(
     load: () => loadChannelPointsConfig(),
   };
 
+  function demoTiers(): ChannelPointsConfig[] {
+    const base = {
+      prompt: DEFAULT_PROMPT,
+      skipQueue: true,
+      limitsEnabled: false,
+      cooldownSeconds: 0,
+      perStreamLimit: 0,
+      perUserPerStreamLimit: 0,
+      contentPolicy: { blockLinks: true, bannedWords: [] },
+      rewardId: null,
+    };
+    return [
+      { ...base, id: 'demo-standard', enabled: true, title: DEFAULT_TITLE, cost: 500, voiceMode: 'viewer', priority: false },
+      { ...base, id: 'demo-pick', enabled: false, title: 'Pick Any Voice TTS', cost: 2500, voiceMode: 'pick', priority: true },
+    ];
+  }
+
   async function loadChannelPointsConfig(): Promise<void> {
     if (testMode) {
-      if (cpEnabled) cpEnabled.checked = false;
-      if (cpStatusLine) cpStatusLine.textContent = 'No reward created (test mode)';
+      if (tiers.length === 0) {
+        tiers = demoTiers();
+        syncStatus = new Map([['demo-standard', {
+          tierId: 'demo-standard',
+          status: 'drifted',
+          differences: [{ field: 'cost', ours: 500, twitch: 750 }],
+        }]]);
+      }
+      selectTier(tiers.find(t => t.id === selectedId) || tiers[0] || null);
       return;
     }
 
     try {
-      const res = await fetchWithAuth(`${apiBaseUrl}/api/rewards/tts`, {
+      const res = await fetchWithAuth(rewardsUrl('/tiers'), {
         method: 'GET',
         credentials: 'include'
       });
@@ -138,34 +245,90 @@ export function initChannelPointsModule(
       }
 
       const data = await res.json() as ChannelPointsData;
-      const cp = data.channelPoints || {} as ChannelPointsConfig;
-      const policy = cp.contentPolicy || {} as ContentPolicy;
-      if (cpEnabled) cpEnabled.checked = !!cp.enabled;
-      if (cpTitle) cpTitle.value = cp.title ?? 'Text-to-Speech Message';
-      if (cpCost) cpCost.value = String(cp.cost ?? 500);
-      if (cpPrompt) cpPrompt.value = cp.prompt ?? 'Enter a message to be read aloud';
-      if (cpSkipQueue) cpSkipQueue.checked = cp.skipQueue !== false;
-      if (cpLimitsEnabled) cpLimitsEnabled.checked = cp.limitsEnabled ?? (cp.perStreamLimit > 0 || cp.perUserPerStreamLimit > 0);
-      if (cpCooldown) cpCooldown.value = String(cp.limitsEnabled ? Math.max(1, cp.cooldownSeconds ?? 1) : (cp.cooldownSeconds ?? 0));
-      if (cpPerStream) cpPerStream.value = cp.perStreamLimit > 0 ? String(cp.perStreamLimit) : '';
-      if (cpPerUser) cpPerUser.value = cp.perUserPerStreamLimit > 0 ? String(cp.perUserPerStreamLimit) : '';
-      if (cpBlockLinks) cpBlockLinks.checked = policy.blockLinks ?? false;
-      if (cpBannedWords) cpBannedWords.value = (policy.bannedWords || []).join(', ');
-      if (cpMsg) cpMsg.className = 'text-muted';
-      if (cpStatusLine) {
-        const lastSynced = cp.lastSyncedAt ? new Date(cp.lastSyncedAt).toLocaleTimeString() : 'never';
-        const rewardInfo = cp.rewardId ? `Reward ID: ${cp.rewardId}` : 'No reward created';
-        cpStatusLine.textContent = `${rewardInfo} · Last synced: ${lastSynced}`;
-      }
+      tiers = data.tiers || [];
+      maxTiers = data.maxTiers ?? maxTiers;
+      selectTier(tiers.find(t => t.id === selectedId) || tiers[0] || null);
     } catch (error) {
       console.warn('Failed to load Channel Points config:', error);
+      return;
     }
+    await loadSyncStatus();
   }
 
-  async function saveChannelPointsConfig(isAuto: boolean = false): Promise<void> {
+  async function loadSyncStatus(): Promise<void> {
+    try {
+      const res = await fetchWithAuth(rewardsUrl('/sync-status'), {
+        method: 'GET',
+        credentials: 'include'
+      });
+      const data = await res.json() as SyncStatusData;
+      syncStatus = new Map((data.tiers || []).map(t => [t.tierId, t]));
+    } catch (error) {
+      console.warn('Failed to check Channel Points sync status:', error);
+      syncStatus = new Map();
+    }
+    renderTierList();
+  }
+
+  function isDrifted(tierId: string | null | undefined): boolean {
+    const status = tierId ? syncStatus.get(tierId)?.status : undefined;
+    return status === 'drifted' || status === 'missing';
+  }
+
+  function formatValue(field: string, value: string | number | boolean): string {
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (value === 0 && field !== 'cost') return 'Off';
+    return String(value);
+  }
+
+  function renderDrift(): void {
+    if (cpDriftBadge) cpDriftBadge.hidden = !tiers.some(t => isDrifted(t.id));
+    if (!cpDrift) return;
+
+    const status = selectedId ? syncStatus.get(selectedId) : undefined;
+    cpDrift.hidden = !isDrifted(selectedId);
+    if (!status || cpDrift.hidden) return;
+
+    const missing = status.status === 'missing';
+    if (cpDriftSummary) {
+      cpDriftSummary.textContent = missing
+        ? 'This reward was deleted on Twitch, so viewers cannot redeem it. Recreate it, or delete it here too.'
+        : 'This reward was changed on Twitch. Keep Twitch\'s values, or put ours back.';
+    }
+    if (cpDriftTable) cpDriftTable.hidden = missing;
+    if (cpDriftRows) {
+      cpDriftRows.innerHTML = '';
+      status.differences.forEach(diff => {
+        const row = document.createElement('tr');
+        [FIELD_LABELS[diff.field] || diff.field, formatValue(diff.field, diff.ours), formatValue(diff.field, diff.twitch)].forEach(text => {
+          const cell = document.createElement('td');
+          cell.textContent = text;
+          row.appendChild(cell);
+        });
+        cpDriftRows.appendChild(row);
+      });
+    }
+    if (cpDriftAdoptBtn) cpDriftAdoptBtn.hidden = missing;
+    if (cpDriftPushBtn) cpDriftPushBtn.hidden = missing;
+  }
+
+  async function reconcile(action: 'adopt' | 'push' | 'recreate'): Promise<void> {
+    if (!selectedId) return;
+    const tierId = selectedId;
+    if (action === 'recreate' && !confirm('Replace this reward on Twitch with a new one? Its redemption history and any unfulfilled redemptions stay with the old reward.')) {
+      return;
+    }
+    flushAutoSave();
+    await saving;
+
     if (testMode) {
-      showToast('Channel Points settings saved (test mode).', 'success');
-      if (cpStatusLine) cpStatusLine.textContent = 'No reward created · Last synced: ' + new Date().toLocaleTimeString();
+      const diffs = syncStatus.get(tierId)?.differences || [];
+      if (action === 'adopt') {
+        tiers = tiers.map(t => (t.id !== tierId ? t : diffs.reduce((tier, d) => ({ ...tier, [d.field]: d.twitch }), t)));
+      }
+      syncStatus.set(tierId, { tierId, status: 'in-sync', differences: [] });
+      selectTier(tiers.find(t => t.id === tierId) || null);
+      showToast('Reward synced with Twitch (test mode).', 'success');
       return;
     }
     if (!getSessionToken()) {
@@ -173,12 +336,145 @@ export function initChannelPointsModule(
       return;
     }
 
-    const payload: Omit<ChannelPointsConfig, 'rewardId' | 'lastSyncedAt'> = {
+    try {
+      showToast('Syncing with Twitch…', 'info');
+      const res = await fetchWithAuth(rewardsUrl(`/tiers/${encodeURIComponent(tierId)}/sync`), {
+        method: 'POST',
+        credentials: 'include',
+        body: JSON.stringify({ action })
+      });
+      const data = await res.json().catch(() => ({})) as SaveResponse;
+      if (!res.ok) {
+        showToast(data.error || 'Cannot sync the reward with Twitch.', 'error');
+        return;
+      }
+      showToast('Reward synced with Twitch.', 'success');
+      await loadChannelPointsConfig();
+      await onSettingsRefresh?.();
+    } catch (error) {
+      console.error('Failed to sync Channel Points reward:', error);
+      showToast('Cannot sync the reward with Twitch.', 'error');
+    }
+  }
+
+  function selectTier(cp: ChannelPointsConfig | null): void {
+    selectedId = cp?.id ?? null;
+    if (!cp) draft++;
+    fillForm(cp || {} as ChannelPointsConfig);
+    renderTierList();
+  }
+
+  function fillForm(cp: ChannelPointsConfig): void {
+    const policy = cp.contentPolicy || {} as ContentPolicy;
+    if (cpEnabled) cpEnabled.checked = !!cp.enabled;
+    if (cpTitle) cpTitle.value = cp.title ?? DEFAULT_TITLE;
+    if (cpCost) cpCost.value = String(cp.cost ?? 500);
+    if (cpPrompt) cpPrompt.value = cp.prompt ?? DEFAULT_PROMPT;
+    if (cpSkipQueue) cpSkipQueue.checked = cp.skipQueue !== false;
+    if (cpVoiceMode) cpVoiceMode.value = cp.voiceMode || 'viewer';
+    if (cpPriority) cpPriority.checked = !!cp.priority;
+    if (cpLimitsEnabled) cpLimitsEnabled.checked = cp.limitsEnabled ?? (cp.perStreamLimit > 0 || cp.perUserPerStreamLimit > 0);
+    if (cpCooldown) cpCooldown.value = String(cp.limitsEnabled ? Math.max(1, cp.cooldownSeconds ?? 1) : (cp.cooldownSeconds ?? 0));
+    if (cpPerStream) cpPerStream.value = cp.perStreamLimit > 0 ? String(cp.perStreamLimit) : '';
+    if (cpPerUser) cpPerUser.value = cp.perUserPerStreamLimit > 0 ? String(cp.perUserPerStreamLimit) : '';
+    if (cpBlockLinks) cpBlockLinks.checked = policy.blockLinks ?? false;
+    if (cpBannedWords) cpBannedWords.value = (policy.bannedWords || []).join(', ');
+    if (cpMsg) cpMsg.className = 'text-muted';
+    updateStatusLine(cp);
+  }
+
+  function updateStatusLine(cp: ChannelPointsConfig): void {
+    if (!cpStatusLine) return;
+    const lastSynced = cp.lastSyncedAt ? new Date(cp.lastSyncedAt).toLocaleTimeString() : 'never';
+    const rewardInfo = cp.rewardId ? `Reward ID: ${cp.rewardId}` : `No reward created${testMode ? ' (test mode)' : ''}`;
+    cpStatusLine.textContent = `${rewardInfo} · Last synced: ${lastSynced}`;
+  }
+
+  function renderTierList(): void {
+    if (!cpTierList) return;
+    cpTierList.innerHTML = '';
+
+    const entries: Array<ChannelPointsConfig | null> = [...tiers];
+    // An unsaved tier is listed too, so it is clear what the form edits.
+    if (selectedId === null && tiers.length > 0) entries.push(null);
+
+    entries.forEach(tier => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'list-group-item list-group-item-action cp-tier';
+      if ((tier?.id ?? null) === selectedId) item.classList.add('active');
+
+      const title = document.createElement('span');
+      title.className = 'cp-tier-title';
+      title.textContent = tier ? tier.title : `${cpTitle?.value || DEFAULT_TITLE} (not saved)`;
+      if (isDrifted(tier?.id)) {
+        const marker = document.createElement('span');
+        marker.className = 'cp-tier-drift';
+        marker.textContent = '!';
+        marker.title = 'Out of sync with Twitch';
+        title.appendChild(marker);
+      }
+      const meta = document.createElement('span');
+      meta.className = 'cp-tier-meta';
+      meta.textContent = tier ? tierSummary(tier) : '';
+
+      item.appendChild(title);
+      item.appendChild(meta);
+      item.addEventListener('click', () => {
+        if (!tier || tier.id === selectedId) return;
+        flushAutoSave();
+        selectTier(tiers.find(t => t.id === tier.id) || tier);
+      });
+      cpTierList.appendChild(item);
+    });
+
+    cpTierList.hidden = entries.length === 0;
+    const full = tiers.length + (selectedId === null ? 1 : 0) >= maxTiers;
+    if (cpAddTierBtn) cpAddTierBtn.disabled = full;
+    if (cpTierHint) {
+      cpTierHint.textContent = full
+        ? `You have the most TTS rewards a channel can have (${maxTiers}).`
+        : 'Each reward has its own cost, limits and voice. Titles must differ.';
+    }
+    renderDrift();
+  }
+
+  function tierSummary(tier: ChannelPointsConfig): string {
+    const parts = [`${tier.cost} points`];
+    if (tier.voiceMode === 'pick') parts.push('viewer picks voice');
+    if (tier.voiceMode === 'channel') parts.push('channel voice');
+    if (tier.priority) parts.push('priority');
+    parts.push(tier.enabled ? 'on' : 'off');
+    return parts.join(' · ');
+  }
+
+  function addTier(): void {
+    if (tiers.length >= maxTiers) {
+      showToast(`A channel can have at most ${maxTiers} TTS rewards.`, 'error');
+      return;
+    }
+    flushAutoSave();
+    let n = tiers.length + 1;
+    while (titleTaken(`${DEFAULT_TITLE} ${n}`, null)) n++;
+    selectTier(null);
+    fillForm({ title: `${DEFAULT_TITLE} ${n}`, cost: 1000 } as ChannelPointsConfig);
+    renderTierList();
+    cpTitle?.focus();
+  }
+
+  function titleTaken(title: string, exceptId: string | null): boolean {
+    return tiers.some(t => t.id !== exceptId && t.title.toLowerCase() === title.trim().toLowerCase());
+  }
+
+  function readForm(): Omit<ChannelPointsConfig, 'rewardId' | 'lastSyncedAt'> {
+    return {
       enabled: !!cpEnabled?.checked,
-      title: cpTitle?.value || 'Text-to-Speech Message',
+      title: cpTitle?.value || DEFAULT_TITLE,
       cost: parseInt(cpCost?.value || '500', 10),
-      prompt: cpPrompt?.value || 'Enter a message to be read aloud',
+      prompt: cpPrompt?.value || DEFAULT_PROMPT,
       skipQueue: !!cpSkipQueue?.checked,
+      voiceMode: (cpVoiceMode?.value || 'viewer') as VoiceMode,
+      priority: !!cpPriority?.checked,
       limitsEnabled: !!cpLimitsEnabled?.checked,
       cooldownSeconds: parseInt(cpCooldown?.value || '0', 10),
       perStreamLimit: parseInt((cpPerStream?.value || '').toString().trim() || '0', 10),
@@ -191,14 +487,70 @@ export function initChannelPointsModule(
           .filter(Boolean)
       }
     };
+  }
+
+  // The form is read now, while it still shows the tier being saved.
+  function queueSave(isAuto: boolean): void {
+    const payload = readForm();
+    const id = selectedId;
+    const draftNo = draft;
+    // A tier that was new when queued may have been created since.
+    saving = saving.then(() => saveChannelPointsConfig(payload, id ?? draftIds.get(draftNo) ?? null, draftNo, isAuto));
+  }
+
+  function flushAutoSave(): void {
+    if (!timerId) return;
+    clearTimeout(timerId);
+    timerId = null;
+    queueSave(true);
+  }
+
+  function storeSaved(saved: ChannelPointsConfig, draftNo: number): void {
+    const index = tiers.findIndex(t => t.id === saved.id);
+    tiers = index === -1 ? [...tiers, saved] : tiers.map((t, i) => (i === index ? saved : t));
+    draftIds.set(draftNo, saved.id as string);
+    // Saving pushed our values to Twitch.
+    if (saved.rewardId) syncStatus.set(saved.id as string, { tierId: saved.id as string, status: 'in-sync', differences: [] });
+    // The form may have moved on to another tier while this one saved.
+    if (selectedId === saved.id || (selectedId === null && draft === draftNo)) {
+      selectedId = saved.id as string;
+      updateStatusLine(saved);
+    }
+    renderTierList();
+  }
+
+  async function saveChannelPointsConfig(
+    payload: Omit<ChannelPointsConfig, 'rewardId' | 'lastSyncedAt'>,
+    id: string | null,
+    draftNo: number,
+    isAuto: boolean = false
+  ): Promise<void> {
+    if (titleTaken(payload.title, id)) {
+      showToast(`Another TTS reward is already named "${payload.title.trim()}".`, 'error');
+      return;
+    }
+    if (!id && tiers.length >= maxTiers) {
+      showToast(`A channel can have at most ${maxTiers} TTS rewards.`, 'error');
+      return;
+    }
+
+    if (testMode) {
+      storeSaved({ ...payload, id: id || `demo-${Date.now()}`, rewardId: null, lastSyncedAt: Date.now() }, draftNo);
+      showToast('Channel Points settings saved (test mode).', 'success');
+      return;
+    }
+    if (!getSessionToken()) {
+      showToast('Authentication is required.', 'error');
+      return;
+    }
 
     if (!isAuto) {
       showToast('Saving Channel Points settings…', 'info');
     }
 
     try {
-      const res = await fetchWithAuth(`${apiBaseUrl}/api/rewards/tts`, {
-        method: 'POST',
+      const res = await fetchWithAuth(rewardsUrl(id ? `/tiers/${encodeURIComponent(id)}` : '/tiers'), {
+        method: id ? 'PUT' : 'POST',
         credentials: 'include',
         body: JSON.stringify(payload)
       });
@@ -207,17 +559,8 @@ export function initChannelPointsModule(
         showToast(data.error || 'Cannot save Channel Points settings.', 'error');
         return;
       }
-      if (isAuto) {
-        showToast('Channel Points settings saved.', 'success');
-      } else {
-        showToast('Channel Points settings saved.', 'success');
-      }
-      if (cpStatusLine) {
-        const rewardId = data.channelPoints?.rewardId || data.rewardId;
-        const idPart = rewardId ? `Reward ID: ${rewardId}` : 'No reward created';
-        cpStatusLine.textContent = `${idPart} · Last synced: ${new Date().toLocaleTimeString()}`;
-      }
-      await loadChannelPointsConfig();
+      showToast('Channel Points settings saved.', 'success');
+      if (data.tier?.id) storeSaved(data.tier, draftNo);
       await onSettingsRefresh?.();
     } catch (error) {
       console.error('Failed to save Channel Points config:', error);
@@ -235,11 +578,17 @@ export function initChannelPointsModule(
       showToast('Authentication is required.', 'error');
       return;
     }
-    const text = prompt('Enter a test message to simulate a redemption:');
+    if (!selectedId) {
+      showToast('Save this reward before testing it.', 'error');
+      return;
+    }
+    const text = prompt(cpVoiceMode?.value === 'pick'
+      ? 'Enter a test message to simulate a redemption (start with "Voice_Name:" to pick a voice):'
+      : 'Enter a test message to simulate a redemption:');
     if (!text) return;
     try {
       showToast('Testing redemption…', 'info');
-      const res = await fetchWithAuth(`${apiBaseUrl}/api/rewards/tts/test`, {
+      const res = await fetchWithAuth(rewardsUrl(`/tiers/${encodeURIComponent(selectedId)}/test`), {
         method: 'POST',
         credentials: 'include',
         body: JSON.stringify({ text })
@@ -249,16 +598,28 @@ export function initChannelPointsModule(
         showToast(data.error || 'Test failed.', 'error');
         return;
       }
-      showToast(`Test completed (${data.status || 'ok'}).`, 'success');
+      const voice = data.voiceId ? ` in ${data.voiceId.replace(/_/g, ' ')}'s voice` : '';
+      showToast(data.spoken ? `Test passed. TTS would say${voice}: "${data.spoken}"` : `Test completed (${data.status || 'ok'}).`, 'success');
     } catch (e) {
       showToast('Test failed.', 'error');
     }
   }
 
   async function deleteChannelPointsReward(): Promise<void> {
+    flushAutoSave();
+    await saving;
+
+    // A tier that was never saved has nothing to delete.
+    if (!selectedId) {
+      selectTier(tiers[0] || null);
+      return;
+    }
+    const tier = tiers.find(t => t.id === selectedId);
+    if (!confirm(`Delete the "${tier?.title || DEFAULT_TITLE}" Channel Points reward?`)) return;
+
     if (testMode) {
-      if (cpEnabled) cpEnabled.checked = false;
-      if (cpStatusLine) cpStatusLine.textContent = 'No reward created · Last synced: ' + new Date().toLocaleTimeString();
+      tiers = tiers.filter(t => t.id !== selectedId);
+      selectTier(tiers[0] || null);
       showToast('Reward deleted (test mode).', 'success');
       return;
     }
@@ -266,10 +627,9 @@ export function initChannelPointsModule(
       showToast('Authentication is required.', 'error');
       return;
     }
-    if (!confirm('Delete the Channel Points TTS reward?')) return;
     try {
       showToast('Deleting…', 'info');
-      const res = await fetchWithAuth(`${apiBaseUrl}/api/rewards/tts`, {
+      const res = await fetchWithAuth(rewardsUrl(`/tiers/${encodeURIComponent(selectedId)}`), {
         method: 'DELETE',
         credentials: 'include'
       });
@@ -278,13 +638,12 @@ export function initChannelPointsModule(
         showToast(data.error || 'Delete failed.', 'error');
         return;
       }
-      if (cpEnabled) cpEnabled.checked = false;
-      if (cpStatusLine) cpStatusLine.textContent = 'No reward created · Last synced: ' + new Date().toLocaleTimeString();
+      selectedId = null;
       showToast('Reward deleted.', 'success');
       await loadChannelPointsConfig();
       await onSettingsRefresh?.();
     } catch (e) {
-      showToast('Delete failed.', 'error');
+      showToast('Delete failed. Re-authenticate or remove the reward on Twitch, then try again.', 'error');
     }
   }
 
@@ -299,6 +658,8 @@ export function initChannelPointsModule(
     bind(cpCost);
     bind(cpPrompt);
     bind(cpSkipQueue, ['change']);
+    bind(cpVoiceMode, ['change']);
+    bind(cpPriority, ['change']);
     bind(cpLimitsEnabled, ['change']);
     bind(cpCooldown);
     bind(cpPerStream);
@@ -335,10 +696,10 @@ export function initChannelPointsModule(
       clearTimeout(timerId);
     }
 
-    timerId = setTimeout(async () => {
+    timerId = setTimeout(() => {
       timerId = null;
       lastSaveAt = Date.now();
-      await saveChannelPointsConfig(true);
+      queueSave(true);
     }, wait);
   }
 }
@@ -0,0 +1,250 @@
+import { showToast } from '../common/ui.js';
+import type { ChannelRole, ManagedChannel } from './types.js';
+
+export interface ChannelRolesModule {
+    loadChannels: () => Promise<ManagedChannel[]>;
+    loadGrants: () => Promise<void>;
+}
+
+interface ChannelRolesConfig {
+    apiBaseUrl: string;
+    testMode: boolean;
+}
+
+interface ChannelRolesServices {
+    getSessionToken: () => string | null;
+    getLoggedInUser: () => { login: string } | null;
+    getChannel: () => string | null;
+}
+
+/** A role the broadcaster has handed out, as returned by the grants endpoint. */
+interface ChannelGrant {
+    userId: string;
+    login: string;
+    displayName: string;
+    role: ChannelRole;
+}
+
+export const ROLE_LABELS: Record<ChannelRole, string> = {
+    'viewer-only': 'Viewer (read only)',
+    moderator: 'Moderator',
+    editor: 'Editor',
+    broadcaster: 'Broadcaster',
+};
+
+const GRANTABLE_ROLES: ChannelRole[] = ['viewer-only', 'moderator', 'editor'];
+
+export function initChannelRolesModule(
+    config: ChannelRolesConfig,
+    services: ChannelRolesServices
+): ChannelRolesModule {
+    const { apiBaseUrl, testMode } = config;
+
+    const switcherEl = document.getElementById('channel-switcher') as HTMLSelectElement | null;
+    const listEl = document.getElementById('channel-roles-list') as HTMLUListElement | null;
+    const usernameEl = document.getElementById('channel-role-username-input') as HTMLInputElement | null;
+    const roleEl = document.getElementById('channel-role-select') as HTMLSelectElement | null;
+    const addBtn = document.getElementById('add-channel-role-btn') as HTMLButtonElement | null;
+
+    function authHeaders(): Record<string, string> {
+        const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+        const token = services.getSessionToken();
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+        return headers;
+    }
+
+    function grantsUrl(path = ''): string {
+        return `${apiBaseUrl}/api/roles/channel/${services.getLoggedInUser()?.login}/grants${path}`;
+    }
+
+    /**
+     * Fetch the channels this account can manage and fill the switcher. The
+     * switcher stays hidden for anyone who only manages their own channel.
+     */
+    async function loadChannels(): Promise<ManagedChannel[]> {
+        const own = services.getLoggedInUser()?.login?.toLowerCase();
+        if (!own) return [];
+
+        let channels: ManagedChannel[] = [{ login: own, role: 'broadcaster' }];
+        if (testMode) {
+            channels.push({ login: 'demofriend', role: 'moderator' });
+        } else {
+            try {
+                const response = await fetch(`${apiBaseUrl}/api/roles/channels`, { headers: authHeaders(), cache: 'no-store' });
+                const data = await response.json() as { channels?: ManagedChannel[]; error?: string };
+                if (response.ok && data.channels) channels = data.channels;
+            } catch (error) {
+                // Not fatal: the dashboard still works for the user's own channel.
+                console.error('Error loading manageable channels:', error);
+            }
+        }
+
+        renderSwitcher(channels, own);
+        return channels;
+    }
+
+    function renderSwitcher(channels: ManagedChannel[], own: string): void {
+        if (!switcherEl) return;
+        switcherEl.innerHTML = '';
+        channels.forEach(channel => {
+            const option = document.createElement('option');
+            option.value = channel.login;
+            option.textContent = channel.login === own ? `${channel.login} (yours)` : `${channel.login} (${ROLE_LABELS[channel.role]})`;
+            switcherEl.appendChild(option);
+        });
+        switcherEl.value = services.getChannel() || own;
+        if (!switcherEl.value && channels.length > 0) switcherEl.value = channels[0].login;
+        switcherEl.classList.toggle('d-none', channels.length < 2);
+    }
+
+    // Switching reloads the page so that every module starts over against the
+    // new channel rather than each having to reset its own state.
+    function switchChannel(login: string): void {
+        const own = services.getLoggedInUser()?.login?.toLowerCase();
+        const url = new URL(window.location.href);
+        if (login === own) {
+            url.searchParams.delete('channel');
+        } else {
+            url.searchParams.set('channel', login);
+        }
+        window.location.assign(url.toString());
+    }
+
+    async function loadGrants(): Promise<void> {
+        if (!listEl) return;
+
+        if (testMode) {
+            renderGrants([{ userId: '42', login: 'demomod', displayName: 'DemoMod', role: 'moderator' }]);
+            return;
+        }
+
+        try {
+            const response = await fetch(grantsUrl(), { headers: authHeaders(), cache: 'no-store' });
+            const data = await response.json() as { grants?: ChannelGrant[]; error?: string };
+            if (!response.ok || !data.grants) {
+                showToast(data.error || 'Cannot load team access.', 'error');
+                return;
+            }
+            renderGrants(data.grants);
+        } catch (error) {
+            console.error('Error loading channel roles:', error);
+            showToast('Cannot load team access.', 'error');
+        }
+    }
+
+    function renderGrants(grants: ChannelGrant[]): void {
+        if (!listEl) return;
+        listEl.innerHTML = '';
+        if (grants.length === 0) {
+            const emptyLi = document.createElement('li');
+            emptyLi.className = 'list-group-item text-center text-muted py-3';
+            emptyLi.textContent = 'Only you can manage this channel.';
+            listEl.appendChild(emptyLi);
+            return;
+        }
+        grants.forEach(grant => {
+            const li = document.createElement('li');
+            li.className = 'list-group-item d-flex justify-content-between align-items-center gap-2';
+
+            const name = document.createElement('span');
+            name.textContent = grant.displayName || grant.login;
+
+            const actions = document.createElement('div');
+            actions.className = 'd-flex gap-1 flex-shrink-0';
+            const select = document.createElement('select');
+            select.className = 'form-select form-select-sm';
+            select.setAttribute('aria-label', `Role for ${grant.login}`);
+            GRANTABLE_ROLES.forEach(role => {
+                const option = document.createElement('option');
+                option.value = role;
+                option.textContent = ROLE_LABELS[role];
+                select.appendChild(option);
+            });
+            select.value = grant.role;
+            select.addEventListener('change', () => void grantRole(grant.login, select.value as ChannelRole));
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-outline-danger btn-sm';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => void revokeRole(grant));
+            actions.appendChild(select);
+            actions.appendChild(removeBtn);
+
+            li.appendChild(name);
+            li.appendChild(actions);
+            listEl.appendChild(li);
+        });
+    }
+
+    async function grantRole(username: string, role: ChannelRole): Promise<boolean> {
+        if (testMode) {
+            showToast(`[Test] ${username} is now ${ROLE_LABELS[role]}.`, 'success');
+            return true;
+        }
+
+        try {
+            const response = await fetch(grantsUrl(), {
+                method: 'PUT',
+                headers: authHeaders(),
+                body: JSON.stringify({ username, role })
+            });
+            const data = await response.json() as { success?: boolean; grant?: ChannelGrant; error?: string };
+            if (!data.success || !data.grant) {
+                showToast(data.error || 'Cannot grant access.', 'error');
+                return false;
+            }
+            showToast(`${data.grant.displayName} is now ${ROLE_LABELS[data.grant.role]}.`, 'success');
+            await loadGrants();
+            return true;
+        } catch (error) {
+            console.error('Error granting channel role:', error);
+            showToast('Cannot grant access.', 'error');
+            return false;
+        }
+    }
+
+    async function revokeRole(grant: ChannelGrant): Promise<void> {
+        if (!confirm(`Remove ${grant.displayName || grant.login}'s access to your channel?`)) return;
+
+        if (testMode) {
+            showToast(`[Test] Removed ${grant.login}.`, 'success');
+            return;
+        }
+
+        try {
+            const response = await fetch(grantsUrl(`/${encodeURIComponent(grant.userId)}`), {
+                method: 'DELETE',
+                headers: authHeaders()
+            });
+            const data = await response.json() as { success?: boolean; error?: string };
+            if (!data.success) {
+                showToast(data.error || 'Cannot remove access.', 'error');
+                return;
+            }
+            showToast(`Removed ${grant.displayName || grant.login}.`, 'success');
+            await loadGrants();
+        } catch (error) {
+            console.error('Error revoking channel role:', error);
+            showToast('Cannot remove access.', 'error');
+        }
+    }
+
+    async function addGrant(): Promise<void> {
+        const username = usernameEl?.value.trim().replace(/^@/, '');
+        if (!username) {
+            showToast('Enter a Twitch username.', 'warning');
+            return;
+        }
+        const role = (roleEl?.value || 'moderator') as ChannelRole;
+        if (await grantRole(username, role) && usernameEl) usernameEl.value = '';
+    }
+
+    // Wire up UI
+    switcherEl?.addEventListener('change', () => switchChannel(switcherEl.value));
+    addBtn?.addEventListener('click', () => void addGrant());
+    usernameEl?.addEventListener('keypress', (e) => { if (e.key === 'Enter') void addGrant(); });
+
+    return {
+        loadChannels,
+        loadGrants
+    };
+}
@@ -1,8 +1,8 @@
 import { formatVoiceName } from '../../common/utils.js';
-import { VoiceDropdown } from './voice-dropdown.js';
+import { VoicePicker } from '../../common/voice-picker.js';
 
 export interface VoiceCalibrationOptions {
-    voiceDropdown: VoiceDropdown;
+    voicePicker: VoicePicker;
     currentVoiceVolumes: Record<string, number>;
     onSave: (voiceId: string, volume: number) => Promise<void>;
     onReset: (voiceId: string) => Promise<void>;
@@ -14,7 +14,7 @@ export interface VoiceCalibrationOptions {
 }
 
 export class VoiceCalibration {
-    private voiceDropdown: VoiceDropdown;
+    private voicePicker: VoicePicker;
     private currentVoiceVolumes: Record<string, number>;
     private onSave: (voiceId: string, volume: number) => Promise<void>;
     private onReset: (voiceId: string) => Promise<void>;
@@ -25,7 +25,7 @@ export class VoiceCalibration {
     private list: HTMLElement | null;
 
     constructor(options: VoiceCalibrationOptions) {
-        this.voiceDropdown = options.voiceDropdown;
+        this.voicePicker = options.voicePicker;
         this.currentVoiceVolumes = options.currentVoiceVolumes;
         this.onSave = options.onSave;
         this.onReset = options.onReset;
@@ -45,7 +45,7 @@ export class VoiceCalibration {
     }
 
     selectVoice(voiceId: string): void {
-        this.voiceDropdown.setValue(voiceId);
+        this.voicePicker.setValue(voiceId);
 
         const currentVol = this.currentVoiceVolumes[voiceId] ?? 1.0;
         if (this.slider && this.valueSpan) {
@@ -57,8 +57,8 @@ export class VoiceCalibration {
             this.saveBtn.disabled = true;
         }
 
-        this.voiceDropdown.scrollIntoView();
-        this.voiceDropdown.highlight();
+        this.voicePicker.scrollIntoView();
+        this.voicePicker.highlight();
     }
 
     private attachEventListeners(): void {
@@ -74,7 +74,7 @@ export class VoiceCalibration {
         });
 
         this.saveBtn.addEventListener('click', async () => {
-            const voiceId = this.voiceDropdown.getValue();
+            const voiceId = this.voicePicker.getValue();
             if (!voiceId) return;
 
             const vol = parseFloat(this.slider!.value);
@@ -130,7 +130,7 @@ export class VoiceCalibration {
                     this.currentVoiceVolumes[voiceId] = 1.0;
                     this.renderList();
 
-                    if (this.voiceDropdown.getValue() === voiceId && this.slider) {
+                    if (this.voicePicker.getValue() === voiceId && this.slider) {
                         this.slider.value = '1.0';
                         if (this.valueSpan) this.valueSpan.textContent = '1.0';
                     }
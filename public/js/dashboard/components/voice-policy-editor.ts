@@ -0,0 +1,221 @@
+import { formatVoiceName } from '../../common/utils.js';
+import { formatLanguageName, VoiceFacets } from '../../common/voice-catalog.js';
+import {
+    DEFAULT_VOICE_POLICY,
+    POLICY_EMOTIONS,
+    PolicyRange,
+    VoicePolicy,
+} from '../../common/voicePolicy.js';
+import { VoicePicker } from '../../common/voice-picker.js';
+
+export interface VoicePolicyEditorOptions {
+    voicePicker: VoicePicker;
+    /** The languages and tags to offer, as /api/voices reports them. */
+    facets?: VoiceFacets;
+    onSave: (policy: VoicePolicy) => void;
+    onInvalid: (message: string) => void;
+}
+
+const PITCH_LIMITS: PolicyRange = { min: -12, max: 12 };
+const SPEED_LIMITS: PolicyRange = { min: 0.5, max: 2 };
+
+/**
+ * The "Viewer Voice Limits" card: edits the channel's voice policy and hands
+ * the whole policy to onSave, which stores it as one setting.
+ */
+export class VoicePolicyEditor {
+    private voicePicker: VoicePicker;
+    private onSave: (policy: VoicePolicy) => void;
+    private onInvalid: (message: string) => void;
+    private voices: string[] = [];
+
+    private ruleSelect: HTMLSelectElement | null;
+    private matchFields: HTMLElement | null;
+    private voicesList: HTMLElement | null;
+    private languagesSelect: HTMLSelectElement | null;
+    private tagsContainer: HTMLElement | null;
+    private emotionsContainer: HTMLElement | null;
+    private pitchMin: HTMLInputElement | null;
+    private pitchMax: HTMLInputElement | null;
+    private speedMin: HTMLInputElement | null;
+    private speedMax: HTMLInputElement | null;
+
+    constructor(options: VoicePolicyEditorOptions) {
+        this.voicePicker = options.voicePicker;
+        this.onSave = options.onSave;
+        this.onInvalid = options.onInvalid;
+
+        this.ruleSelect = document.getElementById('policy-voice-rule') as HTMLSelectElement | null;
+        this.matchFields = document.getElementById('policy-match-fields');
+        this.voicesList = document.getElementById('policy-voices-list');
+        this.languagesSelect = document.getElementById('policy-languages') as HTMLSelectElement | null;
+        this.tagsContainer = document.getElementById('policy-tags');
+        this.emotionsContainer = document.getElementById('policy-emotions');
+        this.pitchMin = document.getElementById('policy-pitch-min') as HTMLInputElement | null;
+        this.pitchMax = document.getElementById('policy-pitch-max') as HTMLInputElement | null;
+        this.speedMin = document.getElementById('policy-speed-min') as HTMLInputElement | null;
+        this.speedMax = document.getElementById('policy-speed-max') as HTMLInputElement | null;
+
+        if (this.languagesSelect) {
+            this.languagesSelect.innerHTML = '';
+            (options.facets?.languages || []).forEach(language => {
+                const option = document.createElement('option');
+                option.value = language;
+                option.textContent = formatLanguageName(language);
+                this.languagesSelect?.appendChild(option);
+            });
+        }
+        this.renderCheckboxes(this.tagsContainer, 'policy-tag', options.facets?.tags || []);
+        this.renderCheckboxes(this.emotionsContainer, 'policy-emotion', POLICY_EMOTIONS);
+        this.attachEventListeners();
+        this.setPolicy(DEFAULT_VOICE_POLICY);
+    }
+
+    /** Show a stored policy; a missing one shows the permissive default. */
+    setPolicy(policy: VoicePolicy | null | undefined): void {
+        const p = policy || DEFAULT_VOICE_POLICY;
+        if (this.ruleSelect) this.ruleSelect.value = p.voiceRule;
+        this.voices = [...p.voices];
+        this.renderVoices();
+        if (this.languagesSelect) {
+            Array.from(this.languagesSelect.options).forEach(option => {
+                option.selected = p.languages.includes(option.value);
+            });
+        }
+        this.checkValues(this.tagsContainer, p.tags);
+        this.checkValues(this.emotionsContainer, p.emotions);
+        this.setRange(this.pitchMin, this.pitchMax, p.pitch);
+        this.setRange(this.speedMin, this.speedMax, p.speed);
+        this.updateMatchFields();
+    }
+
+    private attachEventListeners(): void {
+        this.ruleSelect?.addEventListener('change', () => this.updateMatchFields());
+        document.getElementById('policy-add-voice-btn')?.addEventListener('click', () => {
+            const voiceId = this.voicePicker.getValue();
+            if (!voiceId || this.voices.includes(voiceId)) return;
+            this.voices.push(voiceId);
+            this.renderVoices();
+            this.voicePicker.setValue('');
+        });
+        document.getElementById('save-voice-policy-btn')?.addEventListener('click', () => {
+            const policy = this.readPolicy();
+            if (policy) this.onSave(policy);
+        });
+    }
+
+    private updateMatchFields(): void {
+        this.matchFields?.classList.toggle('d-none', this.ruleSelect?.value === 'any');
+    }
+
+    private renderCheckboxes(container: HTMLElement | null, idPrefix: string, values: string[]): void {
+        if (!container) return;
+        container.innerHTML = '';
+        values.forEach(value => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'form-check form-check-inline';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.className = 'form-check-input';
+            input.id = `${idPrefix}-${value}`;
+            input.value = value;
+            const label = document.createElement('label');
+            label.className = 'form-check-label';
+            label.htmlFor = input.id;
+            label.textContent = value.charAt(0).toUpperCase() + value.slice(1);
+            wrapper.appendChild(input);
+            wrapper.appendChild(label);
+            container.appendChild(wrapper);
+        });
+    }
+
+    private checkValues(container: HTMLElement | null, values: string[]): void {
+        container?.querySelectorAll<HTMLInputElement>('input[type="checkbox"]').forEach(input => {
+            input.checked = values.includes(input.value);
+        });
+    }
+
+    private checkedValues(container: HTMLElement | null): string[] {
+        if (!container) return [];
+        return Array.from(container.querySelectorAll<HTMLInputElement>('input[type="checkbox"]:checked')).map(input => input.value);
+    }
+
+    private renderVoices(): void {
+        if (!this.voicesList) return;
+        this.voicesList.innerHTML = '';
+        if (this.voices.length === 0) {
+            const empty = document.createElement('span');
+            empty.className = 'text-muted small';
+            empty.textContent = 'No voices listed.';
+            this.voicesList.appendChild(empty);
+            return;
+        }
+        this.voices.forEach(voiceId => {
+            const chip = document.createElement('span');
+            chip.className = 'badge bg-secondary me-1 mb-1';
+            chip.textContent = formatVoiceName(voiceId);
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'btn-close btn-close-white ms-1';
+            remove.style.fontSize = '0.6em';
+            remove.setAttribute('aria-label', `Remove ${formatVoiceName(voiceId)}`);
+            remove.addEventListener('click', () => {
+                this.voices = this.voices.filter(v => v !== voiceId);
+                this.renderVoices();
+            });
+            chip.appendChild(remove);
+            this.voicesList?.appendChild(chip);
+        });
+    }
+
+    private setRange(minEl: HTMLInputElement | null, maxEl: HTMLInputElement | null, range: PolicyRange | null): void {
+        if (minEl) minEl.value = range ? String(range.min) : '';
+        if (maxEl) maxEl.value = range ? String(range.max) : '';
+    }
+
+    /**
+     * Two empty boxes mean no limit. One empty box stands for the end of the
+     * full range on that side.
+     */
+    private readRange(minEl: HTMLInputElement | null, maxEl: HTMLInputElement | null, limits: PolicyRange): PolicyRange | null | undefined {
+        const minRaw = minEl?.value.trim() || '';
+        const maxRaw = maxEl?.value.trim() || '';
+        if (minRaw === '' && maxRaw === '') return null;
+        const min = minRaw === '' ? limits.min : Number(minRaw);
+        const max = maxRaw === '' ? limits.max : Number(maxRaw);
+        if (!Number.isFinite(min) || !Number.isFinite(max) || min < limits.min || max > limits.max || min > max) return undefined;
+        return { min, max };
+    }
+
+    private readPolicy(): VoicePolicy | null {
+        const voiceRule = (this.ruleSelect?.value || 'any') as VoicePolicy['voiceRule'];
+        const languages = this.languagesSelect ? Array.from(this.languagesSelect.selectedOptions).map(o => o.value) : [];
+        const tags = this.checkedValues(this.tagsContainer);
+        if (voiceRule === 'allow' && this.voices.length + languages.length + tags.length === 0) {
+            this.onInvalid('Pick at least one voice, language or tag to allow.');
+            return null;
+        }
+        const pitch = this.readRange(this.pitchMin, this.pitchMax, PITCH_LIMITS);
+        if (pitch === undefined) {
+            this.onInvalid(`Pitch limits must lie within ${PITCH_LIMITS.min} to ${PITCH_LIMITS.max}, lowest first.`);
+            return null;
+        }
+        const speed = this.readRange(this.speedMin, this.speedMax, SPEED_LIMITS);
+        if (speed === undefined) {
+            this.onInvalid(`Speed limits must lie within ${SPEED_LIMITS.min} to ${SPEED_LIMITS.max}, lowest first.`);
+            return null;
+        }
+        // The match lists only mean something under an allow or deny rule, so
+        // "any" stores them empty rather than keeping a list nobody can see.
+        const scoped = voiceRule !== 'any';
+        return {
+            voiceRule,
+            voices: scoped ? [...this.voices] : [],
+            languages: scoped ? languages : [],
+            tags: scoped ? tags : [],
+            pitch,
+            speed,
+            emotions: this.checkedValues(this.emotionsContainer),
+        };
+    }
+}
@@ -0,0 +1,226 @@
+import { showToast, openDialog, closeDialog } from '../common/ui.js';
+
+export interface ConfigTransferModule {
+    setOnChange: (cb: () => void) => void;
+}
+
+interface ConfigTransferConfig {
+    apiPrefix: string;
+    testMode: boolean;
+}
+
+interface ConfigTransferServices {
+    getSessionToken: () => string | null;
+    getChannel: () => string | null;
+}
+
+/** One field an import would change, as returned by the import endpoint. */
+interface ConfigChange {
+    path: string;
+    before: unknown;
+    after: unknown;
+}
+
+interface ImportResponse {
+    success?: boolean;
+    changes?: ConfigChange[];
+    version?: string | null;
+    error?: string;
+    details?: { errors?: { path: string; reason: string }[] };
+}
+
+/** A previewed import waiting for the user to apply or cancel it. */
+interface PendingImport {
+    bundle: unknown;
+    mode: string;
+    version: string | null;
+}
+
+export function initConfigTransferModule(
+    config: ConfigTransferConfig,
+    services: ConfigTransferServices
+): ConfigTransferModule {
+    const { apiPrefix, testMode } = config;
+    let onChange: (() => void) | null = null;
+    let pending: PendingImport | null = null;
+
+    const exportBtn = document.getElementById('config-export-btn') as HTMLButtonElement | null;
+    const importFile = document.getElementById('config-import-file') as HTMLInputElement | null;
+    const importMode = document.getElementById('config-import-mode') as HTMLSelectElement | null;
+    const importBtn = document.getElementById('config-import-btn') as HTMLButtonElement | null;
+    const modal = document.getElementById('config-import-modal') as HTMLDialogElement | null;
+    const summaryEl = document.getElementById('config-import-summary');
+    const changesEl = document.getElementById('config-import-changes') as HTMLUListElement | null;
+    const applyBtn = document.getElementById('config-import-apply') as HTMLButtonElement | null;
+    const cancelBtn = document.getElementById('config-import-cancel') as HTMLButtonElement | null;
+
+    function authHeaders(): Record<string, string> {
+        const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+        const token = services.getSessionToken();
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+        return headers;
+    }
+
+    async function exportConfig(): Promise<void> {
+        const channel = services.getChannel();
+        if (!channel) return;
+
+        if (testMode) {
+            showToast('[Test] Exported configuration.', 'success');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${apiPrefix}/tts/config/channel/${channel}/export`, {
+                headers: authHeaders(),
+                cache: 'no-store'
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({})) as { error?: string };
+                showToast(data.error || 'Cannot export configuration.', 'error');
+                return;
+            }
+            const bundle = await response.json();
+            const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${channel}-tts-config.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting configuration:', error);
+            showToast('Cannot export configuration.', 'error');
+        }
+    }
+
+    async function sendImport(body: Record<string, unknown>): Promise<{ status: number; data: ImportResponse }> {
+        const channel = services.getChannel();
+        const response = await fetch(`${apiPrefix}/tts/config/channel/${channel}/import`, {
+            method: 'POST',
+            headers: authHeaders(),
+            body: JSON.stringify(body)
+        });
+        const data = await response.json().catch(() => ({})) as ImportResponse;
+        return { status: response.status, data };
+    }
+
+    async function previewImport(): Promise<void> {
+        const channel = services.getChannel();
+        const file = importFile?.files?.[0];
+        if (!channel) return;
+        if (!file) {
+            showToast('Choose an exported configuration file first.', 'warning');
+            return;
+        }
+
+        let bundle: unknown;
+        try {
+            bundle = JSON.parse(await file.text());
+        } catch {
+            showToast('That file is not valid JSON.', 'error');
+            return;
+        }
+        const mode = importMode?.value || 'merge';
+
+        if (testMode) {
+            pending = { bundle, mode, version: null };
+            showPreview([{ path: 'speed', before: 1.0, after: 1.2 }]);
+            return;
+        }
+
+        try {
+            const { status, data } = await sendImport({ bundle, mode, dryRun: true });
+            if (status !== 200 || !data.changes) {
+                const first = data.details?.errors?.[0];
+                const extra = (data.details?.errors?.length || 0) > 1 ? ` (and ${(data.details?.errors?.length || 0) - 1} more)` : '';
+                showToast(first ? `${first.path} ${first.reason}${extra}` : (data.error || 'Cannot read configuration file.'), 'error');
+                return;
+            }
+            if (data.changes.length === 0) {
+                showToast('This file matches the current configuration. Nothing to import.', 'info');
+                return;
+            }
+            pending = { bundle, mode, version: data.version ?? null };
+            showPreview(data.changes);
+        } catch (error) {
+            console.error('Error previewing import:', error);
+            showToast('Cannot preview import.', 'error');
+        }
+    }
+
+    function describeValue(value: unknown): string {
+        if (value === null || value === undefined) return '(none)';
+        if (typeof value === 'object') {
+            const label = (value as { label?: unknown }).label;
+            return typeof label === 'string' ? label : JSON.stringify(value);
+        }
+        return String(value);
+    }
+
+    function showPreview(changes: ConfigChange[]): void {
+        if (!modal || !changesEl) return;
+        if (summaryEl) {
+            summaryEl.textContent = changes.length === 1 ? '1 change will be applied:' : `${changes.length} changes will be applied:`;
+        }
+        changesEl.innerHTML = '';
+        changes.forEach(change => {
+            const li = document.createElement('li');
+            li.className = 'list-group-item small';
+            const path = document.createElement('code');
+            path.textContent = change.path;
+            li.appendChild(path);
+            li.appendChild(document.createTextNode(`: ${describeValue(change.before)} → ${describeValue(change.after)}`));
+            changesEl.appendChild(li);
+        });
+        openDialog(modal);
+    }
+
+    async function applyImport(): Promise<void> {
+        if (!pending) return;
+        const { bundle, mode, version } = pending;
+        pending = null;
+        closeDialog(modal);
+
+        if (testMode) {
+            showToast('[Test] Imported configuration.', 'success');
+            if (onChange) onChange();
+            return;
+        }
+
+        try {
+            const { status, data } = await sendImport({ bundle, mode, expectedVersion: version });
+            if (status === 409) {
+                showToast('Settings changed since the preview. Preview the import again.', 'warning');
+                return;
+            }
+            if (!data.success) {
+                showToast(data.error || 'Cannot import configuration.', 'error');
+                return;
+            }
+            showToast('Configuration imported.', 'success');
+            if (importFile) importFile.value = '';
+            if (onChange) onChange();
+        } catch (error) {
+            console.error('Error importing configuration:', error);
+            showToast('Cannot import configuration.', 'error');
+        }
+    }
+
+    function cancelImport(): void {
+        pending = null;
+        closeDialog(modal);
+    }
+
+    // Wire up UI
+    exportBtn?.addEventListener('click', () => void exportConfig());
+    importBtn?.addEventListener('click', () => void previewImport());
+    applyBtn?.addEventListener('click', () => void applyImport());
+    cancelBtn?.addEventListener('click', cancelImport);
+    // Escape closes the dialog natively without reaching the Cancel button.
+    modal?.addEventListener('cancel', () => { pending = null; });
+
+    return {
+        setOnChange: (cb: () => void) => { onChange = cb; }
+    };
+}
@@ -23,7 +23,7 @@ interface IgnoreListContext {
  * Ignore list module services
  */
 interface IgnoreListServices {
-  getLoggedInUser: () => { login: string; id: string; displayName: string } | null;
+  getChannel: () => string | null;
   getSessionToken: () => string | null;
 }
 
@@ -56,7 +56,7 @@ export function initIgnoreListModule(
   services: IgnoreListServices
 ): IgnoreListModule {
   const { apiPrefix, testMode } = context;
-  const { getLoggedInUser, getSessionToken } = services;
+  const { getChannel, getSessionToken } = services;
   let onChangeCallback: (() => void) | null = null;
 
   const addTtsIgnoreBtn = document.getElementById('add-tts-ignore-btn');
@@ -166,14 +166,14 @@ export function initIgnoreListModule(
       return;
     }
 
-    const user = getLoggedInUser();
-    if (!user?.login) {
+    const channel = getChannel();
+    if (!channel) {
       showToast('You are not signed in.', 'error');
       return;
     }
 
     try {
-      const channelName = user.login.toLowerCase();
+      const channelName = channel.toLowerCase();
       const response = await fetch(`${apiPrefix}/${type}/ignore/channel/${channelName}`, {
         method: 'POST',
         headers: authHeaders(),
@@ -210,14 +210,14 @@ export function initIgnoreListModule(
       return;
     }
 
-    const user = getLoggedInUser();
-    if (!user?.login) {
+    const channel = getChannel();
+    if (!channel) {
       showToast('You are not signed in.', 'error');
       return;
     }
 
     try {
-      const channelName = user.login.toLowerCase();
+      const channelName = channel.toLowerCase();
       const response = await fetch(`${apiPrefix}/${type}/ignore/channel/${channelName}`, {
         method: 'DELETE',
         headers: authHeaders(),
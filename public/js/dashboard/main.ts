@@ -1,13 +1,22 @@
 import { getApiBaseUrl } from '../common/api.js';
 import { decodeJwtPayload, getStoredSessionToken, getStoredUser, logout, StoredUser } from '../common/auth.js';
 import { showToast, trackProgress } from '../common/ui.js';
+import { VoicePicksStore } from '../common/voice-picks.js';
 import { initBotManagement, BotManagementModule } from './bot-management.js';
 import { initObsModule, ObsModule } from './obs.js';
 import { initSettingsModule } from './settings.js';
 import { initChannelPointsModule, ChannelPointsModule } from './channel-points.js';
+import { initRedemptionQueueModule, RedemptionQueueModule } from './redemption-queue.js';
 import { initIgnoreListModule, IgnoreListModule } from './ignore-list.js';
 import { initBannedWordsModule, BannedWordsModule } from './banned-words.js';
 import { initPronunciationsModule, PronunciationsModule } from './pronunciations.js';
+import { initVoiceAssignmentsModule, VoiceAssignmentsModule } from './voice-assignments.js';
+import { initConfigTransferModule, ConfigTransferModule } from './config-transfer.js';
+import { initSettingsHistoryModule, SettingsHistoryModule } from './settings-history.js';
+import { initUsageModule, UsageModule } from './usage.js';
+import { initMessagePreviewModule } from './message-preview.js';
+import { initChannelRolesModule, ChannelRolesModule, ROLE_LABELS } from './channel-roles.js';
+import type { ChannelRole } from './types.js';
 
 /**
  * Dashboard application state
@@ -15,6 +24,9 @@ import { initPronunciationsModule, PronunciationsModule } from './pronunciations
 interface DashboardState {
   sessionToken: string | null;
   loggedInUser: StoredUser | null;
+  /** Another broadcaster's channel being managed through a grant, or null for the user's own */
+  activeChannel: string | null;
+  channelRole: ChannelRole;
 }
 
 /**
@@ -23,8 +35,14 @@ interface DashboardState {
 interface DashboardServices {
   getSessionToken: () => string | null;
   getLoggedInUser: () => StoredUser | null;
+  getChannel: () => string | null;
+  getChannelRole: () => ChannelRole;
+  voicePicks: VoicePicksStore;
 }
 
+// Lowest first; a role may do everything the ones before it may.
+const ROLE_RANK: ChannelRole[] = ['viewer-only', 'moderator', 'editor', 'broadcaster'];
+
 /**
  * Settings module interface
  */
@@ -53,9 +71,9 @@ document.addEventListener('DOMContentLoaded', () => {
   const addBotBtn = document.getElementById('add-bot-btn') as HTMLButtonElement | null;
   const removeBotBtn = document.getElementById('remove-bot-btn') as HTMLButtonElement | null;
   const logoutLink = document.getElementById('logout-link') as HTMLAnchorElement | null;
-  const ttsUrlField = document.getElementById('tts-url-field') as HTMLInputElement | null;
-  const copyTtsUrlBtn = document.getElementById('copy-tts-url-btn') as HTMLButtonElement | null;
-  const regenerateTtsUrlBtn = document.getElementById('regenerate-tts-url-btn') as HTMLButtonElement | null;
+  const obsTokenList = document.getElementById('obs-token-list') as HTMLUListElement | null;
+  const obsTokenNameInput = document.getElementById('obs-token-name-input') as HTMLInputElement | null;
+  const obsAddTokenBtn = document.getElementById('obs-add-token-btn') as HTMLButtonElement | null;
   const obsToggleBtn = document.getElementById('obs-toggle-btn') as HTMLButtonElement | null;
   const obsPopover = document.getElementById('obs-popover') as HTMLDivElement | null;
   const obsCloseBtn = document.getElementById('obs-close-btn') as HTMLButtonElement | null;
@@ -67,30 +85,52 @@ document.addEventListener('DOMContentLoaded', () => {
   const state: DashboardState = {
     sessionToken: getStoredSessionToken(),
     loggedInUser: getStoredUser(),
+    activeChannel: new URLSearchParams(window.location.search).get('channel')?.toLowerCase() || null,
+    channelRole: 'broadcaster',
   };
 
   const services: DashboardServices = {
     getSessionToken: () => state.sessionToken,
     getLoggedInUser: () => state.loggedInUser,
+    getChannel: () => state.activeChannel || state.loggedInUser?.login || null,
+    getChannelRole: () => state.channelRole,
+    voicePicks: new VoicePicksStore(`${apiPrefix}/viewer/voice-picks`, () => testMode ? null : state.sessionToken),
   };
 
   const ignoreModule: IgnoreListModule = initIgnoreListModule({ apiPrefix, testMode }, services);
   const bannedWordsModule: BannedWordsModule = initBannedWordsModule({ apiPrefix, testMode }, services);
   const pronunciationsModule: PronunciationsModule = initPronunciationsModule({ apiPrefix, testMode }, services);
+  const voiceAssignmentsModule: VoiceAssignmentsModule = initVoiceAssignmentsModule({ apiPrefix, testMode }, services);
   const settingsModule: SettingsModule = initSettingsModule({ apiPrefix, testMode }, services, {
     displayIgnoreList: ignoreModule.displayIgnoreList,
-    displayBannedWords: bannedWordsModule.displayBannedWords,
-    displayPronunciations: pronunciationsModule.displayPronunciations,
+    loadBannedWords: bannedWordsModule.loadBannedWords,
+    loadPronunciations: pronunciationsModule.loadPronunciations,
+    loadVoiceAssignments: voiceAssignmentsModule.loadVoiceAssignments,
   });
-  ignoreModule.setOnChange(() => settingsModule.loadSettings());
-  bannedWordsModule.setOnChange(() => settingsModule.loadSettings());
-  pronunciationsModule.setOnChange(() => settingsModule.loadSettings());
+  const historyModule: SettingsHistoryModule = initSettingsHistoryModule({ apiPrefix, testMode }, services);
+  // Every list edit is recorded in the history, so the timeline refreshes with it.
+  const refreshSettings = (): void => {
+    void settingsModule.loadSettings();
+    void historyModule.load();
+  };
+  ignoreModule.setOnChange(refreshSettings);
+  bannedWordsModule.setOnChange(refreshSettings);
+  pronunciationsModule.setOnChange(refreshSettings);
+  voiceAssignmentsModule.setOnChange(refreshSettings);
+  const configTransferModule: ConfigTransferModule = initConfigTransferModule({ apiPrefix, testMode }, services);
+  configTransferModule.setOnChange(refreshSettings);
+  historyModule.setOnChange(() => settingsModule.loadSettings());
+  const usageModule: UsageModule = initUsageModule({ apiPrefix, testMode }, services);
+  usageModule.setOnChange(refreshSettings);
+  initMessagePreviewModule({ apiPrefix, testMode }, services);
 
   const botModule: BotManagementModule = initBotManagement({ botStatusEl, addBotBtn, removeBotBtn }, { apiBaseUrl, testMode }, services);
-  const obsModule: ObsModule = initObsModule({ ttsUrlField, copyTtsUrlBtn, regenerateTtsUrlBtn, obsToggleBtn, obsPopover, obsCloseBtn }, { apiBaseUrl, testMode }, services);
+  const obsModule: ObsModule = initObsModule({ obsTokenList, obsTokenNameInput, obsAddTokenBtn, obsToggleBtn, obsPopover, obsCloseBtn }, { apiBaseUrl, testMode });
   const channelPointsModule: ChannelPointsModule = initChannelPointsModule({ apiBaseUrl, testMode }, services, {
     onSettingsRefresh: () => settingsModule.loadSettings(),
   });
+  const redemptionQueueModule: RedemptionQueueModule = initRedemptionQueueModule({ apiBaseUrl, testMode }, services);
+  const rolesModule: ChannelRolesModule = initChannelRolesModule({ apiBaseUrl, testMode }, services);
 
   if (logoutLink) {
     logoutLink.addEventListener('click', (e: Event) => {
@@ -113,11 +153,18 @@ document.addEventListener('DOMContentLoaded', () => {
       showDashboard();
       showLoading();
       botModule.updateBotStatusUI(false);
+      await resolveChannel();
       await trackProgress(loadingBar, [
-        () => obsModule.loadExistingTtsUrl(state.loggedInUser!.login),
+        () => obsModule.loadTokens(),
+        () => obsModule.loadOverlay(),
         () => settingsModule.initialize(),
         () => channelPointsModule.load(),
+        () => redemptionQueueModule.load(),
+        () => historyModule.load(),
+        () => usageModule.load(),
+        () => rolesModule.loadGrants(),
       ]);
+      applyChannelRole();
       hideLoading();
       return;
     }
@@ -129,18 +176,79 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
       }
       showLoading();
-      await trackProgress(loadingBar, [
-        () => obsModule.loadExistingTtsUrl(state.loggedInUser!.login),
+      await resolveChannel();
+      // The bot, the OBS sources and team access belong to the user's own
+      // channel; none of them apply when managing someone else's.
+      const ownChannelTasks = state.channelRole === 'broadcaster' ? [
+        () => obsModule.loadTokens(),
+        () => obsModule.loadOverlay(),
         () => botModule.refreshStatus(),
+        () => rolesModule.loadGrants(),
+      ] : [];
+      await trackProgress(loadingBar, [
+        ...ownChannelTasks,
+        () => services.voicePicks.load(),
         () => settingsModule.initialize(),
         () => channelPointsModule.load(),
+        () => redemptionQueueModule.load(),
+        () => historyModule.load(),
+        () => usageModule.load(),
       ]);
+      applyChannelRole();
       hideLoading();
     } else {
       showLoginPrompt();
     }
   }
 
+  /**
+   * Settle which channel this page manages. A ?channel the user holds no grant
+   * on falls back to their own rather than leaving every request to fail.
+   */
+  async function resolveChannel(): Promise<void> {
+    const own = state.loggedInUser?.login?.toLowerCase();
+    if (state.activeChannel === own) state.activeChannel = null;
+    const channels = await rolesModule.loadChannels();
+    // Someone signed in only through a grant has no channel of their own here.
+    if (!state.activeChannel && channels.length > 0 && !channels.some(channel => channel.login === own)) {
+      state.activeChannel = channels[0].login;
+    }
+    if (!state.activeChannel) return;
+
+    const granted = channels.find(channel => channel.login === state.activeChannel);
+    if (!granted) {
+      showToast(`You do not have access to ${state.activeChannel}.`, 'warning');
+      state.activeChannel = null;
+      return;
+    }
+    state.channelRole = granted.role;
+    if (channelNameStatusEl) channelNameStatusEl.textContent = granted.login;
+    if (botStatusEl) botStatusEl.textContent = `${ROLE_LABELS[granted.role]} access`;
+    obsToggleBtn?.closest<HTMLElement>('.obs-anchor')?.classList.add('d-none');
+    addBotBtn?.classList.add('d-none');
+    removeBotBtn?.classList.add('d-none');
+    document.getElementById('channel-roles-section')?.classList.add('d-none');
+    document.getElementById('caption-overlay-section')?.classList.add('d-none');
+  }
+
+  /**
+   * Disable the controls a delegated role may not use. Sections declare the
+   * lowest role that may edit them with data-min-role, defaulting to editor.
+   * Runs once the first load has rendered the lists, so their buttons are covered.
+   */
+  function applyChannelRole(): void {
+    const rank = ROLE_RANK.indexOf(state.channelRole);
+    if (rank >= ROLE_RANK.indexOf('editor')) return;
+    document.querySelectorAll<HTMLElement>('#dashboard-content .settings-section').forEach(section => {
+      const required = (section.dataset.minRole || 'editor') as ChannelRole;
+      if (rank >= ROLE_RANK.indexOf(required)) return;
+      section.querySelectorAll<HTMLInputElement | HTMLButtonElement | HTMLSelectElement | HTMLTextAreaElement>('input, button, select, textarea')
+        .forEach(control => { control.disabled = true; });
+    });
+    const saveAllBtn = document.getElementById('save-settings-btn') as HTMLButtonElement | null;
+    if (saveAllBtn) saveAllBtn.disabled = true;
+  }
+
   function showLoading(): void {
     if (loadingOverlay) loadingOverlay.style.display = '';
     if (dashboardContent) dashboardContent.style.display = 'none';
@@ -0,0 +1,112 @@
+import { showToast } from '../common/ui.js';
+
+interface MessagePreviewConfig {
+    apiPrefix: string;
+    testMode: boolean;
+}
+
+interface MessagePreviewServices {
+    getSessionToken: () => string | null;
+    getChannel: () => string | null;
+}
+
+/** What the preview endpoint decided for one message. */
+interface PreviewResult {
+    allowed: boolean;
+    reason?: string;
+    spoken: string;
+    notes: string[];
+    // The voice a "pick" tier's message names
+    voiceId?: string;
+}
+
+export function initMessagePreviewModule(
+    config: MessagePreviewConfig,
+    services: MessagePreviewServices
+): void {
+    const { apiPrefix, testMode } = config;
+
+    const inputEl = document.getElementById('message-preview-input') as HTMLInputElement | null;
+    const emotesEl = document.getElementById('message-preview-emotes') as HTMLInputElement | null;
+    const sourceEl = document.getElementById('message-preview-source') as HTMLSelectElement | null;
+    const previewBtn = document.getElementById('message-preview-btn') as HTMLButtonElement | null;
+    const resultEl = document.getElementById('message-preview-result') as HTMLElement | null;
+
+    function authHeaders(): Record<string, string> {
+        const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+        const token = services.getSessionToken();
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+        return headers;
+    }
+
+    function renderResult(result: PreviewResult): void {
+        if (!resultEl) return;
+        resultEl.innerHTML = '';
+        resultEl.classList.remove('d-none', 'alert-success', 'alert-warning');
+        resultEl.classList.add(result.allowed ? 'alert-success' : 'alert-warning');
+
+        const heading = document.createElement('strong');
+        heading.textContent = result.allowed ? 'TTS would say:' : 'TTS would skip this message.';
+        resultEl.appendChild(heading);
+
+        const body = document.createElement('div');
+        body.textContent = result.allowed ? result.spoken : (result.reason || '');
+        resultEl.appendChild(body);
+
+        if (result.allowed && result.voiceId) {
+            const voiceEl = document.createElement('div');
+            voiceEl.className = 'small mt-1';
+            voiceEl.textContent = `In the voice ${result.voiceId.replace(/_/g, ' ')}`;
+            resultEl.appendChild(voiceEl);
+        }
+
+        result.notes.forEach(note => {
+            const noteEl = document.createElement('div');
+            noteEl.className = 'small text-muted mt-1';
+            noteEl.textContent = note;
+            resultEl.appendChild(noteEl);
+        });
+    }
+
+    async function preview(): Promise<void> {
+        const channel = services.getChannel();
+        const text = inputEl?.value.trim() || '';
+        if (!channel) return;
+        if (!text) {
+            showToast('Enter a message to test.', 'warning');
+            return;
+        }
+
+        if (testMode) {
+            renderResult({ allowed: true, spoken: text, notes: ['[Test] Preview returns the message unchanged in test mode.'] });
+            return;
+        }
+
+        const emotes = (emotesEl?.value || '').split(/[\s,]+/).filter(Boolean);
+        try {
+            const response = await fetch(`${apiPrefix}/tts/preview/channel/${channel}`, {
+                method: 'POST',
+                headers: authHeaders(),
+                body: JSON.stringify({ text, emotes, source: sourceEl?.value || 'chat' })
+            });
+            const data = await response.json() as PreviewResult & { success?: boolean; error?: string };
+            if (!data.success) {
+                showToast(data.error || 'Cannot preview message.', 'error');
+                return;
+            }
+            renderResult(data);
+        } catch (error) {
+            console.error('Error previewing message:', error);
+            showToast('Cannot preview message.', 'error');
+        }
+    }
+
+    // Wire up UI
+    previewBtn?.addEventListener('click', () => void preview());
+    inputEl?.addEventListener('keydown', (e: KeyboardEvent) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            void preview();
+        }
+    });
+}
@@ -5,9 +5,9 @@ import { copyToClipboard, showToast } from '../common/ui.js';
  * OBS module elements
  */
 interface ObsElements {
-  ttsUrlField: HTMLInputElement | null;
-  copyTtsUrlBtn: HTMLButtonElement | null;
-  regenerateTtsUrlBtn: (HTMLAnchorElement | HTMLButtonElement) | null;
+  obsTokenList: HTMLUListElement | null;
+  obsTokenNameInput: HTMLInputElement | null;
+  obsAddTokenBtn: HTMLButtonElement | null;
   obsToggleBtn?: HTMLButtonElement | null;
   obsPopover?: HTMLDivElement | null;
   obsCloseBtn?: HTMLButtonElement | null;
@@ -22,10 +22,43 @@ interface ObsContext {
 }
 
 /**
- * OBS module services
+ * A browser source token, as the tokens endpoint lists it
  */
-interface ObsServices {
-  getLoggedInUser: () => { login: string; id: string; displayName: string } | null;
+interface ObsToken {
+  id: string;
+  name: string;
+  createdAt: string | null;
+  lastUsedAt: string | null;
+  rotatedAt: string | null;
+  previousTokenExpiresAt: string | null;
+  browserSourceUrl: string;
+  captionsUrl: string;
+  overlay: CaptionOverlay | null;
+}
+
+/**
+ * Caption overlay settings, as the overlay endpoints take and return them
+ */
+interface CaptionOverlay {
+  enabled: boolean;
+  fontFamily: string;
+  fontSize: number;
+  textColor: string;
+  backgroundColor: string;
+  backgroundOpacity: number;
+  position: string;
+  maxLines: number;
+  showUsername: boolean;
+  showVoice: boolean;
+  animation: string;
+  displaySeconds: number;
+}
+
+interface OverlayResponse {
+  success: boolean;
+  overlay?: CaptionOverlay | null;
+  defaults?: CaptionOverlay;
+  message?: string;
 }
 
 /**
@@ -33,7 +66,8 @@ interface ObsServices {
  */
 interface ObsTokenResponse {
   success: boolean;
-  browserSourceUrl?: string;
+  tokens?: ObsToken[];
+  token?: ObsToken;
   message?: string;
 }
 
@@ -41,141 +75,521 @@ interface ObsTokenResponse {
  * OBS module return type
  */
 export interface ObsModule {
-  loadExistingTtsUrl: (login: string) => Promise<void>;
-  updateTtsUrl: (login: string) => Promise<void>;
+  loadTokens: () => Promise<void>;
+  loadOverlay: () => Promise<void>;
+}
+
+// Minutes the old URL of a rotated token keeps working.
+const ROTATE_GRACE_MINUTES = 60;
+const MAX_TOKENS = 10;
+
+const DEMO_OVERLAY: CaptionOverlay = {
+  enabled: true, fontFamily: 'sans-serif', fontSize: 32, textColor: '#ffffff', backgroundColor: '#000000',
+  backgroundOpacity: 60, position: 'bottom', maxLines: 3, showUsername: true, showVoice: false,
+  animation: 'fade', displaySeconds: 8,
+};
+
+const PREVIEW_MESSAGE = {
+  user: 'demoviewer',
+  voice: 'Friendly_Person',
+  text: 'Hello chat! This is how the message being spoken shows up on stream while the TTS reads it out.',
+};
+
+function demoTokens(): ObsToken[] {
+  const daysAgo = (days: number) => new Date(Date.now() - days * 86400_000).toISOString();
+  return [
+    {
+      id: 'demo-main', name: 'Main PC', createdAt: daysAgo(40), lastUsedAt: daysAgo(0.01),
+      rotatedAt: null, previousTokenExpiresAt: null,
+      browserSourceUrl: 'https://example.com/tts/?channel=demostreamer&token=demo-main',
+      captionsUrl: 'https://example.com/tts/?channel=demostreamer&token=demo-main&view=captions',
+      overlay: null,
+    },
+    {
+      id: 'demo-laptop', name: 'Laptop', createdAt: daysAgo(3), lastUsedAt: null,
+      rotatedAt: null, previousTokenExpiresAt: null,
+      browserSourceUrl: 'https://example.com/tts/?channel=demostreamer&token=demo-laptop',
+      captionsUrl: 'https://example.com/tts/?channel=demostreamer&token=demo-laptop&view=captions',
+      overlay: { ...DEMO_OVERLAY, position: 'top-right', fontSize: 24 },
+    },
+  ];
 }
 
 /**
- * OBS setup helpers (browser source URL management).
+ * OBS setup helpers (browser source tokens, one per OBS setup).
  */
 export function initObsModule(
-  { ttsUrlField, copyTtsUrlBtn, regenerateTtsUrlBtn, obsToggleBtn, obsPopover, obsCloseBtn }: ObsElements,
-  context: ObsContext,
-  services: ObsServices
+  { obsTokenList, obsTokenNameInput, obsAddTokenBtn, obsToggleBtn, obsPopover, obsCloseBtn }: ObsElements,
+  context: ObsContext
 ): ObsModule {
   const { apiBaseUrl, testMode } = context;
-  const { getLoggedInUser } = services;
+  let tokens: ObsToken[] = [];
+  // Test mode keeps its demo tokens here so adding and revoking can be tried.
+  let demo: ObsToken[] | null = null;
+
+  const formatTime = (iso: string | null): string => iso ? new Date(iso).toLocaleString() : 'never';
 
-  async function loadExistingTtsUrl(userLoginName: string): Promise<void> {
-    if (!ttsUrlField) return;
+  async function loadTokens(): Promise<void> {
+    if (!obsTokenList) return;
     if (testMode) {
-      ttsUrlField.value = `https://example.com/tts/test?channel=${encodeURIComponent(userLoginName || 'demo')}`;
-      ttsUrlField.placeholder = 'Test mode URL';
+      demo = demo ?? demoTokens();
+      tokens = demo;
+      render();
       return;
     }
-    if (!userLoginName || userLoginName.trim() === '' || userLoginName === 'loading...') {
-      ttsUrlField.value = '';
-      ttsUrlField.placeholder = 'Cannot determine TTS URL.';
+    try {
+      const response = await fetchWithAuth(`${apiBaseUrl}/api/obs/tokens`, { method: 'GET' });
+      const data = await response.json() as ObsTokenResponse;
+      if (!data.success || !data.tokens) {
+        throw new Error(data.message || 'Failed to load OBS tokens');
+      }
+      tokens = data.tokens;
+      render();
+    } catch (error) {
+      console.error('Dashboard: Error loading OBS tokens:', error);
+      showToast('Cannot load OBS browser source URLs.', 'error');
+    }
+  }
+
+  function render(): void {
+    renderOverlaySources();
+    if (!obsTokenList) return;
+    obsTokenList.innerHTML = '';
+    if (tokens.length === 0) {
+      const emptyLi = document.createElement('li');
+      emptyLi.className = 'obs-token-empty';
+      emptyLi.textContent = 'No browser source URLs yet. Name one below to create it.';
+      obsTokenList.appendChild(emptyLi);
       return;
     }
-    ttsUrlField.value = 'Loading existing URL…';
-    ttsUrlField.placeholder = '';
+    tokens.forEach(token => obsTokenList.appendChild(renderToken(token)));
+  }
+
+  function renderToken(token: ObsToken): HTMLLIElement {
+    const li = document.createElement('li');
+    li.className = 'obs-token';
+
+    const header = document.createElement('div');
+    header.className = 'obs-token-header';
+    const name = document.createElement('span');
+    name.className = 'obs-token-name';
+    name.textContent = token.name;
+    const actions = document.createElement('span');
+    actions.className = 'obs-token-actions';
+    const rotateBtn = document.createElement('button');
+    rotateBtn.type = 'button';
+    rotateBtn.className = 'obs-token-action';
+    rotateBtn.textContent = 'New URL';
+    rotateBtn.setAttribute('aria-label', `Replace the URL of ${token.name}`);
+    rotateBtn.addEventListener('click', () => void rotateToken(token, rotateBtn));
+    const revokeBtn = document.createElement('button');
+    revokeBtn.type = 'button';
+    revokeBtn.className = 'obs-token-action danger';
+    revokeBtn.textContent = 'Revoke';
+    revokeBtn.setAttribute('aria-label', `Revoke ${token.name}`);
+    revokeBtn.addEventListener('click', () => void revokeToken(token, revokeBtn));
+    actions.appendChild(rotateBtn);
+    actions.appendChild(revokeBtn);
+    header.appendChild(name);
+    header.appendChild(actions);
+
+    const meta = document.createElement('div');
+    meta.className = 'obs-token-meta';
+    meta.textContent = `Created ${formatTime(token.createdAt)} · Last used ${formatTime(token.lastUsedAt)}`;
+    if (token.previousTokenExpiresAt) {
+      meta.textContent += ` · Old URL works until ${formatTime(token.previousTokenExpiresAt)}`;
+    }
+
+    const urlGroup = document.createElement('div');
+    urlGroup.className = 'obs-url-group';
+    const urlField = document.createElement('input');
+    urlField.className = 'obs-url-input';
+    urlField.type = 'text';
+    urlField.readOnly = true;
+    urlField.value = token.browserSourceUrl;
+    urlField.setAttribute('aria-label', `Browser source URL for ${token.name}`);
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'obs-copy-btn';
+    copyBtn.type = 'button';
+    copyBtn.textContent = 'Copy';
+    copyBtn.setAttribute('aria-label', `Copy browser source URL for ${token.name}`);
+    copyBtn.addEventListener('click', () => void copyUrl(urlField, copyBtn));
+    urlGroup.appendChild(urlField);
+    urlGroup.appendChild(copyBtn);
+
+    li.appendChild(header);
+    li.appendChild(meta);
+    li.appendChild(urlGroup);
+    return li;
+  }
+
+  async function copyUrl(urlField: HTMLInputElement, copyBtn: HTMLButtonElement): Promise<void> {
+    urlField.select();
+    urlField.setSelectionRange(0, 99999);
     try {
-      const response = await fetchWithAuth(`${apiBaseUrl}/api/obs/getToken`, { method: 'GET' });
-      const data = await response.json() as ObsTokenResponse;
-      if (data.success && data.browserSourceUrl) {
-        ttsUrlField.value = data.browserSourceUrl;
-        ttsUrlField.placeholder = 'Your OBS Browser Source URL';
-        console.log('Dashboard: Loaded existing OBS URL for', userLoginName);
+      const success = await copyToClipboard(urlField.value);
+      if (success) {
+        showToast('Copied to clipboard.', 'success');
+        const original = copyBtn.textContent;
+        copyBtn.textContent = 'Copied!';
+        copyBtn.classList.add('copied');
+        setTimeout(() => {
+          copyBtn.textContent = original;
+          copyBtn.classList.remove('copied');
+        }, 2000);
       } else {
-        ttsUrlField.value = '';
-        ttsUrlField.placeholder = 'Click "Regenerate URL" to generate an OBS Browser Source URL.';
+        showToast('Copy failed.', 'error');
       }
-    } catch (error) {
-      console.error('Dashboard: Error loading existing TTS URL:', error);
-      ttsUrlField.value = '';
-      ttsUrlField.placeholder = 'Click "Regenerate URL" to generate an OBS Browser Source URL.';
+    } catch (err) {
+      console.error('Copy attempt error:', err);
+      showToast('Cannot copy URL.', 'error');
     }
   }
 
-  async function updateTtsUrl(userLoginName: string): Promise<void> {
-    if (!ttsUrlField) return;
-    if (testMode) {
-      ttsUrlField.value = `https://example.com/tts/new-test-url?channel=${encodeURIComponent(userLoginName || 'demo')}`;
-      ttsUrlField.placeholder = 'Test mode URL';
-      showToast('Generated a new URL (test mode).', 'success');
+  async function addToken(): Promise<void> {
+    if (!obsTokenNameInput || !obsAddTokenBtn) return;
+    const name = obsTokenNameInput.value.trim();
+    if (!name) {
+      showToast('Name the browser source first, for example "Main PC".', 'warning');
+      return;
+    }
+    // The server refuses these too; checking here gives a clearer message.
+    if (tokens.some(t => t.name.toLowerCase() === name.toLowerCase())) {
+      showToast(`There is already a browser source named "${name}".`, 'warning');
       return;
     }
-    if (!userLoginName || userLoginName.trim() === '' || userLoginName === 'loading...') {
-      ttsUrlField.value = '';
-      ttsUrlField.placeholder = 'Cannot determine TTS URL.';
+    if (tokens.length >= MAX_TOKENS) {
+      showToast(`You can have at most ${MAX_TOKENS} browser source URLs. Revoke one first.`, 'warning');
       return;
     }
-    ttsUrlField.value = 'Generating secure URL…';
-    ttsUrlField.placeholder = '';
+    if (testMode && demo) {
+      const url = `https://example.com/tts/?channel=demostreamer&token=demo-${Date.now()}`;
+      demo.push({
+        id: `demo-${Date.now()}`, name, createdAt: new Date().toISOString(), lastUsedAt: null,
+        rotatedAt: null, previousTokenExpiresAt: null,
+        browserSourceUrl: url, captionsUrl: `${url}&view=captions`, overlay: null,
+      });
+      obsTokenNameInput.value = '';
+      render();
+      showToast(`Created "${name}" (test mode).`, 'success');
+      return;
+    }
+
+    obsAddTokenBtn.disabled = true;
     try {
-      const response = await fetchWithAuth(`${apiBaseUrl}/api/obs/generateToken`, { method: 'POST' });
+      const response = await fetchWithAuth(`${apiBaseUrl}/api/obs/tokens`, {
+        method: 'POST',
+        body: JSON.stringify({ name }),
+      });
       const data = await response.json() as ObsTokenResponse;
-      if (data.success && data.browserSourceUrl) {
-        ttsUrlField.value = data.browserSourceUrl;
-        ttsUrlField.placeholder = 'Your OBS Browser Source URL';
-        showToast('Generated a new URL.', 'success');
-      } else {
-        throw new Error(data.message || 'Failed to generate OBS URL');
+      if (!data.success) {
+        showToast(data.message || 'Cannot create the URL.', 'error');
+        return;
       }
+      obsTokenNameInput.value = '';
+      showToast(`Created "${name}". Paste its URL into a browser source.`, 'success');
+      await loadTokens();
     } catch (error) {
-      console.error('Dashboard: Error generating OBS URL:', error);
-      ttsUrlField.value = '';
-      ttsUrlField.placeholder = 'Cannot generate URL. Refresh the page.';
-      showToast('Cannot generate OBS URL. Try again.', 'error');
+      console.error('Dashboard: Error creating OBS token:', error);
+      showToast('Cannot create the URL. Try again.', 'error');
+    } finally {
+      obsAddTokenBtn.disabled = false;
     }
   }
 
-  if (copyTtsUrlBtn && ttsUrlField) {
-    copyTtsUrlBtn.addEventListener('click', async () => {
-      if (!ttsUrlField.value) {
-        showToast('The URL is not available yet.', 'warning');
+  async function rotateToken(token: ObsToken, button: HTMLButtonElement): Promise<void> {
+    if (!confirm(`Replace the URL of "${token.name}"? The current URL keeps working for ${ROTATE_GRACE_MINUTES} minutes, so update OBS before then.`)) return;
+    if (testMode) {
+      showToast(`Replaced the URL of "${token.name}" (test mode).`, 'success');
+      return;
+    }
+
+    button.disabled = true;
+    try {
+      const response = await fetchWithAuth(`${apiBaseUrl}/api/obs/tokens/${encodeURIComponent(token.id)}/rotate`, {
+        method: 'POST',
+        body: JSON.stringify({ graceMinutes: ROTATE_GRACE_MINUTES }),
+      });
+      const data = await response.json() as ObsTokenResponse;
+      if (!data.success) {
+        showToast(data.message || 'Cannot replace the URL.', 'error');
         return;
       }
-      ttsUrlField.select();
-      ttsUrlField.setSelectionRange(0, 99999);
-      try {
-        const success = await copyToClipboard(ttsUrlField.value);
-        if (success) {
-          showToast('Copied to clipboard.', 'success');
-          const original = copyTtsUrlBtn.textContent;
-          copyTtsUrlBtn.textContent = 'Copied!';
-          copyTtsUrlBtn.classList.add('copied');
-          setTimeout(() => { 
-            copyTtsUrlBtn.textContent = original; 
-            copyTtsUrlBtn.classList.remove('copied');
-          }, 2000);
-        } else {
-          showToast('Copy failed.', 'error');
-        }
-      } catch (err) {
-        console.error('Copy attempt error:', err);
-        showToast('Cannot copy URL.', 'error');
+      showToast(`Replaced the URL of "${token.name}". Copy the new one into OBS.`, 'success');
+      await loadTokens();
+    } catch (error) {
+      console.error('Dashboard: Error rotating OBS token:', error);
+      showToast('Cannot replace the URL. Try again.', 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  async function revokeToken(token: ObsToken, button: HTMLButtonElement): Promise<void> {
+    if (!confirm(`Revoke "${token.name}"? Any browser source using its URL stops working at once.`)) return;
+    if (testMode && demo) {
+      demo = demo.filter(t => t.id !== token.id);
+      tokens = demo;
+      render();
+      showToast(`Revoked "${token.name}" (test mode).`, 'success');
+      return;
+    }
+
+    button.disabled = true;
+    try {
+      const response = await fetchWithAuth(`${apiBaseUrl}/api/obs/tokens/${encodeURIComponent(token.id)}`, { method: 'DELETE' });
+      const data = await response.json() as ObsTokenResponse;
+      if (!data.success) {
+        showToast(data.message || 'Cannot revoke the URL.', 'error');
+        button.disabled = false;
+        return;
       }
+      showToast(`Revoked "${token.name}".`, 'success');
+      await loadTokens();
+    } catch (error) {
+      console.error('Dashboard: Error revoking OBS token:', error);
+      showToast('Cannot revoke the URL. Try again.', 'error');
+      button.disabled = false;
+    }
+  }
+
+  // ---- Caption overlay builder ----
+
+  const overlaySourceSelect = document.getElementById('overlay-source-select') as HTMLSelectElement | null;
+  const overlayUseDefaultBtn = document.getElementById('overlay-use-default-btn') as HTMLButtonElement | null;
+  const overlayUrlGroup = document.getElementById('overlay-captions-url-group') as HTMLElement | null;
+  const overlayUrlField = document.getElementById('overlay-captions-url') as HTMLInputElement | null;
+  const overlayCopyUrlBtn = document.getElementById('overlay-copy-url-btn') as HTMLButtonElement | null;
+  const overlayPreview = document.getElementById('overlay-preview') as HTMLElement | null;
+  const overlayPreviewBox = document.getElementById('overlay-preview-box') as HTMLElement | null;
+  const overlayPreviewMeta = document.getElementById('overlay-preview-meta') as HTMLElement | null;
+  const overlayPreviewText = document.getElementById('overlay-preview-text') as HTMLElement | null;
+  const overlayOpacityValue = document.getElementById('overlay-background-opacity-value') as HTMLElement | null;
+  const overlaySaveBtn = document.getElementById('overlay-save-btn') as HTMLButtonElement | null;
+  const overlayReplayBtn = document.getElementById('overlay-replay-btn') as HTMLButtonElement | null;
+  const field = <T extends HTMLElement>(id: string) => document.getElementById(id) as T | null;
+  const overlayFields = {
+    enabled: field<HTMLInputElement>('overlay-enabled'),
+    fontFamily: field<HTMLSelectElement>('overlay-font-family'),
+    fontSize: field<HTMLInputElement>('overlay-font-size'),
+    textColor: field<HTMLInputElement>('overlay-text-color'),
+    backgroundColor: field<HTMLInputElement>('overlay-background-color'),
+    backgroundOpacity: field<HTMLInputElement>('overlay-background-opacity'),
+    position: field<HTMLSelectElement>('overlay-position'),
+    maxLines: field<HTMLInputElement>('overlay-max-lines'),
+    showUsername: field<HTMLInputElement>('overlay-show-username'),
+    showVoice: field<HTMLInputElement>('overlay-show-voice'),
+    animation: field<HTMLSelectElement>('overlay-animation'),
+    displaySeconds: field<HTMLInputElement>('overlay-display-seconds'),
+  };
+  let channelOverlay: CaptionOverlay = { ...DEMO_OVERLAY, enabled: false };
+  let typewriterTimer: ReturnType<typeof setInterval> | null = null;
+
+  /** The source the builder edits, or null for the channel default. */
+  function selectedSource(): ObsToken | null {
+    const id = overlaySourceSelect?.value;
+    return id ? tokens.find(t => t.id === id) ?? null : null;
+  }
+
+  function renderOverlaySources(): void {
+    if (!overlaySourceSelect) return;
+    const selected = overlaySourceSelect.value;
+    overlaySourceSelect.innerHTML = '';
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = 'All sources (channel default)';
+    overlaySourceSelect.appendChild(defaultOption);
+    tokens.forEach(token => {
+      const option = document.createElement('option');
+      option.value = token.id;
+      option.textContent = token.overlay ? `${token.name} (own settings)` : token.name;
+      overlaySourceSelect.appendChild(option);
     });
+    overlaySourceSelect.value = tokens.some(t => t.id === selected) ? selected : '';
+    showOverlaySource();
   }
 
-  if (regenerateTtsUrlBtn) {
-    regenerateTtsUrlBtn.addEventListener('click', async (e: Event) => {
-      e.preventDefault();
-      const userLogin = getLoggedInUser()?.login;
-      if (testMode) {
-        const originalText = regenerateTtsUrlBtn.textContent;
-        regenerateTtsUrlBtn.textContent = 'Generating…';
-        regenerateTtsUrlBtn.style.pointerEvents = 'none';
-        await new Promise(r => setTimeout(r, 500));
-        await updateTtsUrl(userLogin || 'demo');
-        regenerateTtsUrlBtn.style.pointerEvents = 'auto';
-        regenerateTtsUrlBtn.textContent = originalText;
-        return;
+  function showOverlaySource(): void {
+    const source = selectedSource();
+    writeOverlayFields(source?.overlay ?? channelOverlay);
+    overlayUseDefaultBtn?.classList.toggle('d-none', !source?.overlay);
+    overlayUrlGroup?.classList.toggle('d-none', !source);
+    if (overlayUrlField) overlayUrlField.value = source?.captionsUrl ?? '';
+    renderPreview();
+  }
+
+  function writeOverlayFields(overlay: CaptionOverlay): void {
+    const f = overlayFields;
+    if (f.enabled) f.enabled.checked = overlay.enabled;
+    if (f.fontFamily) f.fontFamily.value = overlay.fontFamily;
+    if (f.fontSize) f.fontSize.value = String(overlay.fontSize);
+    if (f.textColor) f.textColor.value = overlay.textColor;
+    if (f.backgroundColor) f.backgroundColor.value = overlay.backgroundColor;
+    if (f.backgroundOpacity) f.backgroundOpacity.value = String(overlay.backgroundOpacity);
+    if (f.position) f.position.value = overlay.position;
+    if (f.maxLines) f.maxLines.value = String(overlay.maxLines);
+    if (f.showUsername) f.showUsername.checked = overlay.showUsername;
+    if (f.showVoice) f.showVoice.checked = overlay.showVoice;
+    if (f.animation) f.animation.value = overlay.animation;
+    if (f.displaySeconds) f.displaySeconds.value = String(overlay.displaySeconds);
+  }
+
+  function readOverlayFields(): CaptionOverlay {
+    const f = overlayFields;
+    const base = selectedSource()?.overlay ?? channelOverlay;
+    const num = (input: HTMLInputElement | null, fallback: number) => input ? Number(input.value) : fallback;
+    return {
+      enabled: f.enabled?.checked ?? base.enabled,
+      fontFamily: f.fontFamily?.value ?? base.fontFamily,
+      fontSize: num(f.fontSize, base.fontSize),
+      textColor: f.textColor?.value ?? base.textColor,
+      backgroundColor: f.backgroundColor?.value ?? base.backgroundColor,
+      backgroundOpacity: num(f.backgroundOpacity, base.backgroundOpacity),
+      position: f.position?.value ?? base.position,
+      maxLines: num(f.maxLines, base.maxLines),
+      showUsername: f.showUsername?.checked ?? base.showUsername,
+      showVoice: f.showVoice?.checked ?? base.showVoice,
+      animation: f.animation?.value ?? base.animation,
+      displaySeconds: num(f.displaySeconds, base.displaySeconds),
+    };
+  }
+
+  function hexToRgba(hex: string, opacityPercent: number): string {
+    const value = parseInt(hex.slice(1), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${opacityPercent / 100})`;
+  }
+
+  /** Draw the sample caption with the fields' current values, replaying its animation. */
+  function renderPreview(): void {
+    if (!overlayPreview || !overlayPreviewBox || !overlayPreviewText) return;
+    const overlay = readOverlayFields();
+    if (overlayOpacityValue) overlayOpacityValue.textContent = String(overlay.backgroundOpacity);
+
+    overlayPreview.dataset.position = overlay.position;
+    overlayPreview.style.opacity = overlay.enabled ? '1' : '0.4';
+    // The preview is about a third of a 1080p canvas, so sizes are scaled to match.
+    const scale = overlayPreview.clientWidth ? overlayPreview.clientWidth / 1920 : 0.33;
+    Object.assign(overlayPreviewBox.style, {
+      fontFamily: overlay.fontFamily,
+      fontSize: `${Math.max(6, overlay.fontSize * scale * 1.5)}px`,
+      color: overlay.textColor,
+      backgroundColor: hexToRgba(overlay.backgroundColor, overlay.backgroundOpacity),
+      textAlign: overlay.position.endsWith('right') ? 'right' : overlay.position.endsWith('left') ? 'left' : 'center',
+    });
+    overlayPreviewText.style.webkitLineClamp = String(overlay.maxLines);
+
+    if (overlayPreviewMeta) {
+      const meta = [overlay.showUsername ? PREVIEW_MESSAGE.user : '', overlay.showVoice ? PREVIEW_MESSAGE.voice : '']
+        .filter(Boolean).join(' · ');
+      overlayPreviewMeta.textContent = meta;
+      overlayPreviewMeta.classList.toggle('d-none', !meta);
+    }
+
+    if (typewriterTimer) clearInterval(typewriterTimer);
+    typewriterTimer = null;
+    overlayPreviewBox.classList.remove('anim-fade', 'anim-slide');
+    void overlayPreviewBox.offsetWidth; // restart the CSS animation
+    if (overlay.animation === 'fade' || overlay.animation === 'slide') {
+      overlayPreviewBox.classList.add(`anim-${overlay.animation}`);
+    }
+    if (overlay.animation === 'typewriter') {
+      let shown = 0;
+      overlayPreviewText.textContent = '';
+      typewriterTimer = setInterval(() => {
+        shown += 1;
+        overlayPreviewText.textContent = PREVIEW_MESSAGE.text.slice(0, shown);
+        if (shown >= PREVIEW_MESSAGE.text.length && typewriterTimer) {
+          clearInterval(typewriterTimer);
+          typewriterTimer = null;
+        }
+      }, 30);
+    } else {
+      overlayPreviewText.textContent = PREVIEW_MESSAGE.text;
+    }
+  }
+
+  async function loadOverlay(): Promise<void> {
+    if (!overlayPreview) return;
+    if (testMode) {
+      channelOverlay = { ...DEMO_OVERLAY };
+      showOverlaySource();
+      return;
+    }
+    try {
+      const response = await fetchWithAuth(`${apiBaseUrl}/api/obs/overlay`, { method: 'GET' });
+      const data = await response.json() as OverlayResponse;
+      if (!data.success || !data.overlay) {
+        throw new Error(data.message || 'Failed to load caption overlay settings');
       }
-      if (!userLogin) {
-        showToast('You are not signed in.', 'error');
+      channelOverlay = data.overlay;
+      showOverlaySource();
+    } catch (error) {
+      console.error('Dashboard: Error loading caption overlay:', error);
+      showToast('Cannot load caption overlay settings.', 'error');
+    }
+  }
+
+  /**
+   * Save the builder's settings for the selected source, or as the channel
+   * default. `overlay` null puts a source back on the channel default.
+   */
+  async function saveOverlay(overlay: CaptionOverlay | null): Promise<void> {
+    const source = selectedSource();
+    if (overlay && (!Number.isInteger(overlay.fontSize) || !Number.isInteger(overlay.maxLines) || !Number.isInteger(overlay.displaySeconds))) {
+      showToast('Size, max lines and display time must be whole numbers.', 'warning');
+      return;
+    }
+    const applied = () => {
+      if (source) source.overlay = overlay;
+      else if (overlay) channelOverlay = overlay;
+      renderOverlaySources();
+    };
+    if (testMode) {
+      applied();
+      showToast('Caption overlay saved (test mode).', 'success');
+      return;
+    }
+
+    const url = source
+      ? `${apiBaseUrl}/api/obs/tokens/${encodeURIComponent(source.id)}/overlay`
+      : `${apiBaseUrl}/api/obs/overlay`;
+    if (overlaySaveBtn) overlaySaveBtn.disabled = true;
+    try {
+      const response = await fetchWithAuth(url, { method: 'PUT', body: JSON.stringify({ overlay }) });
+      const data = await response.json() as OverlayResponse;
+      if (!data.success) {
+        showToast(data.message || 'Cannot save caption overlay settings.', 'error');
         return;
       }
-      const originalText = regenerateTtsUrlBtn.textContent;
-      regenerateTtsUrlBtn.textContent = 'Generating…';
-      regenerateTtsUrlBtn.style.pointerEvents = 'none';
-      try {
-        await updateTtsUrl(userLogin);
-      } finally {
-        regenerateTtsUrlBtn.style.pointerEvents = 'auto';
-        regenerateTtsUrlBtn.textContent = originalText;
+      applied();
+      showToast(overlay ? 'Caption overlay saved. Open sources update on their own.' : `"${source?.name}" now follows the channel default.`, 'success');
+    } catch (error) {
+      console.error('Dashboard: Error saving caption overlay:', error);
+      showToast('Cannot save caption overlay settings. Check the values and try again.', 'error');
+    } finally {
+      if (overlaySaveBtn) overlaySaveBtn.disabled = false;
+    }
+  }
+
+  Object.values(overlayFields).forEach(input => {
+    input?.addEventListener(input.type === 'range' || input.type === 'color' ? 'input' : 'change', renderPreview);
+  });
+  overlaySourceSelect?.addEventListener('change', showOverlaySource);
+  overlaySaveBtn?.addEventListener('click', () => void saveOverlay(readOverlayFields()));
+  overlayUseDefaultBtn?.addEventListener('click', () => void saveOverlay(null));
+  overlayReplayBtn?.addEventListener('click', renderPreview);
+  if (overlayCopyUrlBtn && overlayUrlField) {
+    overlayCopyUrlBtn.addEventListener('click', () => void copyUrl(overlayUrlField, overlayCopyUrlBtn));
+  }
+
+  if (obsAddTokenBtn) {
+    obsAddTokenBtn.addEventListener('click', () => void addToken());
+  }
+  if (obsTokenNameInput) {
+    obsTokenNameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        void addToken();
       }
     });
   }
@@ -201,14 +615,16 @@ export function initObsModule(
       });
     }
 
-    // Close when clicking outside
+    // Close when clicking outside. The path is checked rather than the target,
+    // since revoking a token removes the clicked button from the list.
     document.addEventListener('click', (e) => {
-      if (!obsPopover.contains(e.target as Node) && !obsToggleBtn.contains(e.target as Node)) {
+      const path = e.composedPath();
+      if (!path.includes(obsPopover) && !path.includes(obsToggleBtn)) {
         obsPopover.classList.remove('open');
         obsToggleBtn.classList.remove('is-open');
       }
     });
   }
 
-  return { loadExistingTtsUrl, updateTtsUrl };
+  return { loadTokens, loadOverlay };
 }
@@ -1,7 +1,7 @@
 import { showToast } from '../common/ui.js';
 
 export interface PronunciationsModule {
-    displayPronunciations: (entries: Record<string, string>) => void;
+    loadPronunciations: () => Promise<void>;
     setOnChange: (cb: () => void) => void;
 }
 
@@ -12,7 +12,59 @@ interface PronunciationsConfig {
 
 interface PronunciationsServices {
     getSessionToken: () => string | null;
-    getLoggedInUser: () => { login: string } | null;
+    getChannel: () => string | null;
+}
+
+interface PronunciationDefault {
+    match: string;
+    say: string;
+}
+
+type ImportStatus = 'added' | 'updated' | 'unchanged' | 'conflict' | 'duplicate' | 'invalid' | 'limit';
+
+/** One row of an import report, as the API returns it. */
+interface ImportResult {
+    line: number;
+    match: string;
+    say: string | null;
+    status: ImportStatus;
+    reason?: string;
+    overridesDefault?: string;
+}
+
+interface ImportResponse {
+    success?: boolean;
+    error?: string;
+    dryRun?: boolean;
+    summary?: Partial<Record<ImportStatus, number>>;
+    results?: ImportResult[];
+}
+
+const STATUS_LABELS: Record<ImportStatus, string> = {
+    added: 'Added',
+    updated: 'Replaced',
+    unchanged: 'Already set',
+    conflict: 'Conflict',
+    duplicate: 'Duplicate',
+    invalid: 'Invalid',
+    limit: 'Over limit',
+};
+
+// Statuses that mean the row was not written and needs the user's attention.
+const PROBLEM_STATUSES: ImportStatus[] = ['conflict', 'duplicate', 'invalid', 'limit'];
+
+const DEMO_PRONUNCIATIONS: Record<string, string> = { wcat: 'wildcat', ggez: 'good game', lfg: '' };
+const DEMO_DEFAULTS: PronunciationDefault[] = [
+    { match: 'ggez', say: 'good game easy' },
+    { match: 'imo', say: 'in my opinion' },
+    { match: 'lfg', say: "let's go" },
+    { match: 'wtf', say: 'what the heck' },
+];
+const DEMO_DISABLED_DEFAULTS = ['lfg', 'wtf'];
+
+/** Quote a CSV cell when it holds a comma, quote or newline. */
+function csvCell(value: string): string {
+    return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
 }
 
 /**
@@ -22,7 +74,11 @@ interface PronunciationsServices {
  * carries two cells and the add form has two inputs. An entry stored with an
  * empty value means "switch off the built-in of this name", which the bot
  * writes via its chat command; the dashboard renders those as Off rather than
- * offering an empty text box.
+ * offering an empty text box. Entries that share a key with a built-in are
+ * marked, since adding one replaces what the bot would otherwise say.
+ *
+ * The built-ins themselves are listed with a switch each. Switching one off
+ * is stored apart from the entries, so it does not count toward their cap.
  */
 export function initPronunciationsModule(
     config: PronunciationsConfig,
@@ -35,6 +91,19 @@ export function initPronunciationsModule(
     const matchEl = document.getElementById('tts-pronunciation-match-input') as HTMLInputElement | null;
     const sayEl = document.getElementById('tts-pronunciation-say-input') as HTMLInputElement | null;
     const addBtn = document.getElementById('add-tts-pronunciation-btn') as HTMLButtonElement | null;
+    const defaultsSearchEl = document.getElementById('tts-pronunciation-defaults-search') as HTMLInputElement | null;
+    const defaultsListEl = document.getElementById('tts-pronunciation-defaults-list') as HTMLUListElement | null;
+    const importInputEl = document.getElementById('tts-pronunciation-import-input') as HTMLTextAreaElement | null;
+    const overwriteEl = document.getElementById('tts-pronunciation-import-overwrite') as HTMLInputElement | null;
+    const previewImportBtn = document.getElementById('preview-tts-pronunciation-import-btn') as HTMLButtonElement | null;
+    const runImportBtn = document.getElementById('run-tts-pronunciation-import-btn') as HTMLButtonElement | null;
+    const exportBtn = document.getElementById('export-tts-pronunciations-btn') as HTMLButtonElement | null;
+    const importSummaryEl = document.getElementById('tts-pronunciation-import-summary') as HTMLElement | null;
+    const importResultsEl = document.getElementById('tts-pronunciation-import-results') as HTMLUListElement | null;
+
+    let currentEntries: Record<string, string> = {};
+    let defaults = new Map<string, string>();
+    let disabledDefaults = new Set<string>();
 
     function authHeaders(): Record<string, string> {
         const headers: Record<string, string> = { 'Content-Type': 'application/json' };
@@ -43,6 +112,10 @@ export function initPronunciationsModule(
         return headers;
     }
 
+    function pronunciationsUrl(path = ''): string {
+        return `${apiPrefix}/tts/pronunciations/channel/${services.getChannel()}${path}`;
+    }
+
     function displayPronunciations(entries: Record<string, string>): void {
         if (!listEl) return;
         listEl.innerHTML = '';
@@ -95,6 +168,15 @@ export function initPronunciationsModule(
             }
             text.appendChild(saySpan);
 
+            const builtIn = defaults.get(match);
+            if (builtIn !== undefined && say !== '') {
+                const badge = document.createElement('span');
+                badge.className = 'badge text-bg-secondary ms-2';
+                badge.textContent = 'Overrides built-in';
+                badge.title = `Built-in: ${builtIn}`;
+                text.appendChild(badge);
+            }
+
             li.appendChild(text);
 
             const removeBtn = document.createElement('button');
@@ -107,14 +189,143 @@ export function initPronunciationsModule(
         });
     }
 
+    function displayDefaults(): void {
+        if (!defaultsListEl) return;
+        defaultsListEl.innerHTML = '';
+
+        const query = (defaultsSearchEl?.value || '').trim().toLowerCase();
+        const matches = [...defaults.keys()].sort()
+            .filter(match => !query || match.includes(query) || (defaults.get(match) || '').toLowerCase().includes(query));
+        if (matches.length === 0) {
+            const emptyLi = document.createElement('li');
+            emptyLi.className = 'list-group-item text-center text-muted py-3';
+            emptyLi.textContent = query ? 'No built-ins match your search.' : 'No built-in pronunciations.';
+            defaultsListEl.appendChild(emptyLi);
+            return;
+        }
+
+        matches.forEach(match => {
+            const li = document.createElement('li');
+            li.className = 'list-group-item d-flex justify-content-between align-items-center gap-2';
+
+            const text = document.createElement('div');
+            text.className = 'flex-grow-1 text-truncate';
+            const matchSpan = document.createElement('span');
+            matchSpan.className = 'fw-bold';
+            matchSpan.textContent = match;
+            text.appendChild(matchSpan);
+            const saySpan = document.createElement('span');
+            saySpan.className = 'text-muted';
+            saySpan.textContent = ` → ${defaults.get(match)}`;
+            text.appendChild(saySpan);
+            const custom = currentEntries[match];
+            if (custom) {
+                const badge = document.createElement('span');
+                badge.className = 'badge text-bg-secondary ms-2';
+                badge.textContent = 'Overridden';
+                badge.title = `Your entry: ${custom}`;
+                text.appendChild(badge);
+            }
+            li.appendChild(text);
+
+            const switchWrap = document.createElement('div');
+            switchWrap.className = 'form-check form-switch mb-0';
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.className = 'form-check-input';
+            toggle.checked = !disabledDefaults.has(match);
+            toggle.setAttribute('aria-label', `Expand ${match}`);
+            toggle.addEventListener('change', () => void toggleDefault(match, toggle));
+            switchWrap.appendChild(toggle);
+            li.appendChild(switchWrap);
+
+            defaultsListEl.appendChild(li);
+        });
+    }
+
+    async function toggleDefault(match: string, toggle: HTMLInputElement): Promise<void> {
+        const enabled = toggle.checked;
+        if (!services.getChannel()) return;
+
+        const applied = () => {
+            if (enabled) disabledDefaults.delete(match);
+            else disabledDefaults.add(match);
+        };
+
+        if (testMode) {
+            applied();
+            showToast(`[Test] Switched ${enabled ? 'on' : 'off'} built-in: ${match}.`, 'success');
+            return;
+        }
+
+        toggle.disabled = true;
+        try {
+            const response = await fetch(pronunciationsUrl(`/defaults/${encodeURIComponent(match)}`), {
+                method: 'PUT',
+                headers: authHeaders(),
+                body: JSON.stringify({ enabled })
+            });
+            const data = await response.json();
+            if (data.success) {
+                applied();
+                showToast(`Switched ${enabled ? 'on' : 'off'} built-in: ${match}.`, 'success');
+                if (onChange) onChange();
+            } else {
+                toggle.checked = !enabled;
+                showToast(data.error || 'Cannot update built-in pronunciation.', 'error');
+            }
+        } catch (error) {
+            console.error('Error toggling built-in pronunciation:', error);
+            toggle.checked = !enabled;
+            showToast('Cannot update built-in pronunciation.', 'error');
+        } finally {
+            toggle.disabled = false;
+        }
+    }
+
+    async function loadPronunciations(): Promise<void> {
+        if (!services.getChannel()) return;
+
+        if (testMode) {
+            defaults = new Map(DEMO_DEFAULTS.map(({ match, say }) => [match, say]));
+            disabledDefaults = new Set(DEMO_DISABLED_DEFAULTS);
+            currentEntries = { ...DEMO_PRONUNCIATIONS };
+            displayPronunciations(currentEntries);
+            displayDefaults();
+            return;
+        }
+
+        try {
+            const response = await fetch(pronunciationsUrl(), { headers: authHeaders(), cache: 'no-store' });
+            const data = await response.json() as {
+                pronunciations?: Record<string, string>;
+                defaults?: PronunciationDefault[];
+                disabledDefaults?: string[];
+                error?: string;
+            };
+            if (!response.ok || !data.pronunciations) {
+                showToast(data.error || 'Cannot load pronunciations.', 'error');
+                return;
+            }
+            defaults = new Map((data.defaults || []).map(({ match, say }) => [match, say]));
+            disabledDefaults = new Set(data.disabledDefaults || []);
+            currentEntries = data.pronunciations;
+            displayPronunciations(currentEntries);
+            displayDefaults();
+        } catch (error) {
+            console.error('Error loading pronunciations:', error);
+            showToast('Cannot load pronunciations.', 'error');
+        }
+    }
+
     async function addPronunciation(match: string, say: string): Promise<void> {
         if (!match || !say) {
             showToast('Enter both the word and the pronunciation.', 'warning');
             return;
         }
 
-        const user = services.getLoggedInUser();
-        if (!user?.login) return;
+        const channel = services.getChannel();
+        if (!channel) return;
 
         if (testMode) {
             showToast(`[Test] Added pronunciation: ${match} -> ${say}.`, 'success');
@@ -125,7 +336,7 @@ export function initPronunciationsModule(
         }
 
         try {
-            const response = await fetch(`${apiPrefix}/tts/pronunciations/channel/${user.login}`, {
+            const response = await fetch(pronunciationsUrl(), {
                 method: 'POST',
                 headers: authHeaders(),
                 body: JSON.stringify({ match, say })
@@ -146,8 +357,8 @@ export function initPronunciationsModule(
     }
 
     async function removePronunciation(match: string): Promise<void> {
-        const user = services.getLoggedInUser();
-        if (!user?.login) return;
+        const channel = services.getChannel();
+        if (!channel) return;
 
         if (testMode) {
             showToast(`[Test] Removed pronunciation: ${match}.`, 'success');
@@ -156,7 +367,7 @@ export function initPronunciationsModule(
         }
 
         try {
-            const response = await fetch(`${apiPrefix}/tts/pronunciations/channel/${user.login}`, {
+            const response = await fetch(pronunciationsUrl(), {
                 method: 'DELETE',
                 headers: authHeaders(),
                 body: JSON.stringify({ match })
@@ -174,7 +385,109 @@ export function initPronunciationsModule(
         }
     }
 
+    function displayImportReport(data: ImportResponse): void {
+        const results = data.results || [];
+        const written = results.filter(r => r.status === 'added' || r.status === 'updated').length;
+        const problems = results.filter(r => PROBLEM_STATUSES.includes(r.status));
+
+        if (importSummaryEl) {
+            const verb = data.dryRun ? 'would be saved' : 'saved';
+            importSummaryEl.textContent = `${written} of ${results.length} ${results.length === 1 ? 'entry' : 'entries'} ${verb}.` +
+                (problems.length > 0 ? ` ${problems.length} need attention.` : '');
+            importSummaryEl.classList.remove('d-none');
+        }
+        if (!importResultsEl) return;
+        importResultsEl.innerHTML = '';
+
+        // Rows that were written without surprises are covered by the summary;
+        // list the ones worth reading: problems and built-in overrides.
+        results
+            .filter(r => PROBLEM_STATUSES.includes(r.status) || r.overridesDefault !== undefined)
+            .forEach(result => {
+                const li = document.createElement('li');
+                const problem = PROBLEM_STATUSES.includes(result.status);
+                li.className = `list-group-item py-1 ${problem ? 'list-group-item-warning' : ''}`;
+                const label = document.createElement('strong');
+                label.textContent = `Line ${result.line}: ${result.match || '(blank)'}`;
+                li.appendChild(label);
+                let detail = ` — ${STATUS_LABELS[result.status]}`;
+                if (result.reason) detail += `. ${result.reason}`;
+                if (result.overridesDefault !== undefined) detail += `. Replaces built-in "${result.overridesDefault}"`;
+                li.appendChild(document.createTextNode(detail));
+                importResultsEl.appendChild(li);
+            });
+    }
+
+    async function importPronunciations(dryRun: boolean): Promise<void> {
+        const text = importInputEl?.value.trim() || '';
+        if (!text) {
+            showToast('Paste some pronunciations to import.', 'warning');
+            return;
+        }
+        if (!services.getChannel()) return;
+
+        // A pasted JSON object goes up as an object; anything else is CSV/TSV.
+        let data: unknown = text;
+        if (text.startsWith('{')) {
+            try {
+                data = JSON.parse(text);
+            } catch {
+                showToast('That looks like JSON but cannot be read.', 'error');
+                return;
+            }
+        }
+
+        if (testMode) {
+            showToast(`[Test] ${dryRun ? 'Checked' : 'Imported'} pronunciations.`, 'success');
+            return;
+        }
+
+        try {
+            const response = await fetch(pronunciationsUrl('/import'), {
+                method: 'POST',
+                headers: authHeaders(),
+                body: JSON.stringify({ data, overwrite: !!overwriteEl?.checked, dryRun })
+            });
+            const result = await response.json() as ImportResponse;
+            if (!result.success) {
+                showToast(result.error || 'Cannot import pronunciations.', 'error');
+                return;
+            }
+            displayImportReport(result);
+            if (!dryRun) {
+                showToast('Pronunciations imported.', 'success');
+                if (onChange) onChange();
+            }
+        } catch (error) {
+            console.error('Error importing pronunciations:', error);
+            showToast('Cannot import pronunciations.', 'error');
+        }
+    }
+
+    // Switched-off built-ins are left out: they have no spoken form to import
+    // back, and the bot's chat command is what sets them.
+    function exportPronunciations(): void {
+        const rows = Object.keys(currentEntries).sort()
+            .filter(match => currentEntries[match] !== '')
+            .map(match => `${csvCell(match)},${csvCell(currentEntries[match])}`);
+        if (rows.length === 0) {
+            showToast('There are no pronunciations to export.', 'warning');
+            return;
+        }
+        const blob = new Blob([['match,say', ...rows].join('\n') + '\n'], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${services.getChannel()}-pronunciations.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
     // Wire up UI
+    defaultsSearchEl?.addEventListener('input', displayDefaults);
+    previewImportBtn?.addEventListener('click', () => void importPronunciations(true));
+    runImportBtn?.addEventListener('click', () => void importPronunciations(false));
+    exportBtn?.addEventListener('click', exportPronunciations);
     if (addBtn && matchEl && sayEl) {
         addBtn.addEventListener('click', () => {
             const match = matchEl.value.trim();
@@ -200,7 +513,7 @@ export function initPronunciationsModule(
     }
 
     return {
-        displayPronunciations,
+        loadPronunciations,
         setOnChange: (cb: () => void) => { onChange = cb; }
     };
 }
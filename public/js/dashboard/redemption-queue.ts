@@ -0,0 +1,342 @@
+import { fetchWithAuth } from '../common/api.js';
+import { showToast } from '../common/ui.js';
+import type { DashboardContext, DashboardServices } from './types.js';
+
+/**
+ * A redemption's text run through the reward's content policy
+ */
+interface TextCheck {
+  ok: boolean;
+  reason?: string;
+  spoken?: string;
+  voiceId?: string;
+}
+
+/**
+ * An unfulfilled TTS redemption
+ */
+interface Redemption {
+  id: string;
+  tierId: string;
+  rewardId: string;
+  rewardTitle: string;
+  cost: number;
+  userLogin: string;
+  userName: string;
+  text: string;
+  redeemedAt: string;
+  check: TextCheck;
+}
+
+/**
+ * API response for a page of the queue
+ */
+interface QueueResponse {
+  redemptions?: Redemption[];
+  cursor?: string | null;
+}
+
+/**
+ * API response for approving or refunding redemptions
+ */
+interface UpdateResponse {
+  updated?: string[];
+  failed?: Array<{ id: string; error: string }>;
+}
+
+type QueueAction = 'fulfill' | 'cancel';
+
+/**
+ * Redemption queue module return type
+ */
+export interface RedemptionQueueModule {
+  load: () => Promise<void>;
+}
+
+const REFRESH_MS = 30_000;
+const PAGE_SIZE = 20;
+// The most a refresh reloads, so one request still covers what "Load more" showed.
+const MAX_REFRESH = 50;
+const MAX_BULK = 100;
+
+/**
+ * The queue of TTS redemptions waiting in Twitch's reward queue, refreshed
+ * while the page is visible.
+ */
+export function initRedemptionQueueModule(
+  context: DashboardContext,
+  services: DashboardServices
+): RedemptionQueueModule {
+  const { apiBaseUrl, testMode } = context;
+  const { getSessionToken, getChannel, getChannelRole } = services;
+
+  function queueUrl(params: Record<string, string> = {}): string {
+    const channel = getChannel();
+    const query = new URLSearchParams({ ...params, ...(channel ? { channel } : {}) }).toString();
+    return `${apiBaseUrl}/api/rewards/tts/redemptions${query ? `?${query}` : ''}`;
+  }
+
+  const section = document.getElementById('redemption-queue-section') as HTMLElement | null;
+  const body = document.getElementById('rq-body') as HTMLElement | null;
+  const emptyEl = document.getElementById('rq-empty') as HTMLElement | null;
+  const statusEl = document.getElementById('rq-status') as HTMLElement | null;
+  const selectAll = document.getElementById('rq-select-all') as HTMLInputElement | null;
+  const fulfillSelectedBtn = document.getElementById('rq-fulfill-selected') as HTMLButtonElement | null;
+  const cancelSelectedBtn = document.getElementById('rq-cancel-selected') as HTMLButtonElement | null;
+  const refreshBtn = document.getElementById('rq-refresh') as HTMLButtonElement | null;
+  const loadMoreBtn = document.getElementById('rq-load-more') as HTMLButtonElement | null;
+
+  let redemptions: Redemption[] = [];
+  let cursor: string | null = null;
+  const selected = new Set<string>();
+  let busy = false;
+  let timerId: ReturnType<typeof setInterval> | null = null;
+  let demoLoaded = false;
+
+  if (selectAll) {
+    selectAll.addEventListener('change', () => {
+      selected.clear();
+      if (selectAll.checked) redemptions.forEach(r => selected.add(r.id));
+      render();
+    });
+  }
+  if (fulfillSelectedBtn) fulfillSelectedBtn.addEventListener('click', () => update('fulfill', [...selected]));
+  if (cancelSelectedBtn) cancelSelectedBtn.addEventListener('click', () => update('cancel', [...selected]));
+  if (refreshBtn) refreshBtn.addEventListener('click', () => refresh(false));
+  if (loadMoreBtn) loadMoreBtn.addEventListener('click', loadMore);
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden && timerId) refresh(true);
+  });
+
+  return {
+    load: async () => {
+      // Listing the queue needs a moderator or better.
+      if (getChannelRole() === 'viewer-only') {
+        section?.classList.add('d-none');
+        return;
+      }
+      await refresh(true);
+      if (!timerId) {
+        timerId = setInterval(() => {
+          if (!document.hidden) refresh(true);
+        }, REFRESH_MS);
+      }
+    },
+  };
+
+  function demoQueue(): Redemption[] {
+    const ago = (minutes: number) => new Date(Date.now() - minutes * 60_000).toISOString();
+    return [
+      { id: 'demo-1', tierId: 'demo-standard', rewardId: 'demo', rewardTitle: 'Text-to-Speech Message', cost: 500, userLogin: 'demoviewer', userName: 'DemoViewer', text: 'Hello from chat!', redeemedAt: ago(4), check: { ok: true, spoken: 'Hello from chat!' } },
+      { id: 'demo-2', tierId: 'demo-pick', rewardId: 'demo', rewardTitle: 'Pick Any Voice TTS', cost: 2500, userLogin: 'anotherviewer', userName: 'AnotherViewer', text: 'Wise_Woman: patience, young streamer', redeemedAt: ago(2), check: { ok: true, spoken: 'patience, young streamer', voiceId: 'Wise_Woman' } },
+      { id: 'demo-3', tierId: 'demo-standard', rewardId: 'demo', rewardTitle: 'Text-to-Speech Message', cost: 500, userLogin: 'linkposter', userName: 'LinkPoster', text: 'check out example.com', redeemedAt: ago(1), check: { ok: false, reason: 'Links are not allowed' } },
+    ];
+  }
+
+  /**
+   * Reload the queue from the top, keeping as many rows as are shown.
+   * @param quiet - True for the periodic refresh, which stays silent on errors
+   */
+  async function refresh(quiet: boolean): Promise<void> {
+    if (busy) return;
+    if (testMode) {
+      if (!demoLoaded) redemptions = demoQueue();
+      demoLoaded = true;
+      render();
+      if (!quiet) showToast('Queue refreshed (test mode).', 'info');
+      return;
+    }
+    if (!getSessionToken()) return;
+
+    busy = true;
+    try {
+      const first = Math.min(MAX_REFRESH, Math.max(PAGE_SIZE, redemptions.length));
+      const res = await fetchWithAuth(queueUrl({ first: String(first) }), { method: 'GET', credentials: 'include' });
+      const data = await res.json() as QueueResponse;
+      redemptions = data.redemptions || [];
+      cursor = data.cursor ?? null;
+      // Drop selections that were handled elsewhere meanwhile.
+      const present = new Set(redemptions.map(r => r.id));
+      [...selected].forEach(id => { if (!present.has(id)) selected.delete(id); });
+      render();
+    } catch (error) {
+      console.warn('Failed to load the redemption queue:', error);
+      if (!quiet) showToast('Cannot load the redemption queue.', 'error');
+      if (statusEl) statusEl.textContent = 'Could not reach Twitch; retrying shortly.';
+    } finally {
+      busy = false;
+    }
+  }
+
+  async function loadMore(): Promise<void> {
+    if (busy || !cursor) return;
+    busy = true;
+    try {
+      const res = await fetchWithAuth(queueUrl({ first: String(PAGE_SIZE), cursor }), { method: 'GET', credentials: 'include' });
+      const data = await res.json() as QueueResponse;
+      const known = new Set(redemptions.map(r => r.id));
+      redemptions = [...redemptions, ...(data.redemptions || []).filter(r => !known.has(r.id))];
+      cursor = data.cursor ?? null;
+      render();
+    } catch (error) {
+      console.warn('Failed to load more redemptions:', error);
+      showToast('Cannot load more redemptions.', 'error');
+    } finally {
+      busy = false;
+    }
+  }
+
+  async function update(action: QueueAction, ids: string[]): Promise<void> {
+    if (ids.length === 0 || busy) return;
+    const verb = action === 'fulfill' ? 'Approve' : 'Refund';
+    if (ids.length > MAX_BULK) {
+      showToast(`Select at most ${MAX_BULK} redemptions at a time.`, 'error');
+      return;
+    }
+    if (action === 'cancel' && !confirm(`Refund ${ids.length === 1 ? 'this redemption' : `${ids.length} redemptions`}? The viewer${ids.length === 1 ? ' gets their' : 's get their'} points back.`)) {
+      return;
+    }
+
+    if (testMode) {
+      redemptions = redemptions.filter(r => !ids.includes(r.id));
+      ids.forEach(id => selected.delete(id));
+      render();
+      showToast(`${verb}d ${ids.length} (test mode).`, 'success');
+      return;
+    }
+    if (!getSessionToken()) {
+      showToast('Authentication is required.', 'error');
+      return;
+    }
+
+    busy = true;
+    try {
+      const chosen = redemptions.filter(r => ids.includes(r.id)).map(r => ({ id: r.id, rewardId: r.rewardId }));
+      const res = await fetchWithAuth(queueUrl(), {
+        method: 'POST',
+        credentials: 'include',
+        body: JSON.stringify({ action, redemptions: chosen })
+      });
+      const data = await res.json() as UpdateResponse;
+      const updated = data.updated || [];
+      const failed = data.failed || [];
+      // Failed ones were mostly handled elsewhere; the refresh below settles them.
+      redemptions = redemptions.filter(r => !updated.includes(r.id));
+      updated.forEach(id => selected.delete(id));
+      render();
+      if (failed.length === 0) {
+        showToast(`${verb}d ${updated.length} redemption${updated.length === 1 ? '' : 's'}.`, 'success');
+      } else {
+        showToast(`${verb}d ${updated.length}; ${failed.length} could not be updated (${failed[0].error}).`, 'warning');
+      }
+    } catch (error) {
+      console.error('Failed to update redemptions:', error);
+      showToast(`Cannot ${verb.toLowerCase()} the redemptions.`, 'error');
+    } finally {
+      busy = false;
+    }
+    await refresh(true);
+  }
+
+  function waitingFor(iso: string): string {
+    const minutes = Math.max(0, Math.floor((Date.now() - new Date(iso).getTime()) / 60_000));
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    return hours < 24 ? `${hours} h` : `${Math.floor(hours / 24)} d`;
+  }
+
+  function render(): void {
+    if (!body) return;
+    body.innerHTML = '';
+
+    redemptions.forEach(r => {
+      const row = document.createElement('tr');
+
+      const selectCell = document.createElement('td');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'form-check-input';
+      checkbox.checked = selected.has(r.id);
+      checkbox.setAttribute('aria-label', `Select ${r.userName}'s redemption`);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) selected.add(r.id);
+        else selected.delete(r.id);
+        updateBulkControls();
+      });
+      selectCell.appendChild(checkbox);
+
+      const viewerCell = document.createElement('td');
+      viewerCell.textContent = r.userName || r.userLogin;
+
+      const textCell = document.createElement('td');
+      const text = document.createElement('span');
+      text.className = 'rq-text';
+      text.textContent = r.text;
+      textCell.appendChild(text);
+      const check = checkNote(r.check, r.text);
+      if (check) textCell.appendChild(check);
+
+      const rewardCell = document.createElement('td');
+      rewardCell.textContent = `${r.rewardTitle} (${r.cost})`;
+
+      const waitingCell = document.createElement('td');
+      waitingCell.textContent = waitingFor(r.redeemedAt);
+      waitingCell.title = new Date(r.redeemedAt).toLocaleString();
+
+      const actionsCell = document.createElement('td');
+      actionsCell.className = 'rq-actions text-end';
+      const approveBtn = document.createElement('button');
+      approveBtn.type = 'button';
+      approveBtn.className = 'btn btn-sm btn-outline-primary me-1';
+      approveBtn.textContent = 'Approve';
+      approveBtn.addEventListener('click', () => update('fulfill', [r.id]));
+      const refundBtn = document.createElement('button');
+      refundBtn.type = 'button';
+      refundBtn.className = 'btn btn-sm btn-outline-danger';
+      refundBtn.textContent = 'Refund';
+      refundBtn.addEventListener('click', () => update('cancel', [r.id]));
+      actionsCell.appendChild(approveBtn);
+      actionsCell.appendChild(refundBtn);
+
+      [selectCell, viewerCell, textCell, rewardCell, waitingCell, actionsCell].forEach(cell => row.appendChild(cell));
+      body.appendChild(row);
+    });
+
+    if (emptyEl) emptyEl.hidden = redemptions.length > 0;
+    if (loadMoreBtn) loadMoreBtn.hidden = !cursor;
+    if (statusEl) statusEl.textContent = `Updated ${new Date().toLocaleTimeString()}`;
+    updateBulkControls();
+  }
+
+  // What TTS would do with the text: refuse it, or read something different.
+  function checkNote(check: TextCheck, text: string): HTMLElement | null {
+    const note = document.createElement('span');
+    if (!check.ok) {
+      note.className = 'rq-check blocked';
+      note.textContent = `Blocked: ${check.reason || 'fails the content policy'}`;
+      return note;
+    }
+    const voice = check.voiceId ? ` in ${check.voiceId.replace(/_/g, ' ')}'s voice` : '';
+    if (check.spoken === text && !voice) return null;
+    note.className = 'rq-check changed';
+    note.textContent = `Would say${voice}: "${check.spoken ?? ''}"`;
+    return note;
+  }
+
+  function updateBulkControls(): void {
+    const count = selected.size;
+    if (fulfillSelectedBtn) {
+      fulfillSelectedBtn.disabled = count === 0;
+      fulfillSelectedBtn.textContent = count > 0 ? `Approve ${count}` : 'Approve selected';
+    }
+    if (cancelSelectedBtn) {
+      cancelSelectedBtn.disabled = count === 0;
+      cancelSelectedBtn.textContent = count > 0 ? `Refund ${count}` : 'Refund selected';
+    }
+    if (selectAll) {
+      selectAll.checked = count > 0 && count === redemptions.length;
+      selectAll.indeterminate = count > 0 && count < redemptions.length;
+    }
+  }
+}
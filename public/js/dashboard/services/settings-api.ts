@@ -1,10 +1,30 @@
 import {
 
     SettingsResponse,
+    BatchSettingsResponse,
+    TtsSettings,
     VoicesResponse,
     ErrorResponse,
     VoiceLookupResponse
 } from '../types.js';
+import { registerVoiceCatalog } from '../../common/voice-catalog.js';
+
+/**
+ * Thrown when a batch save is refused because the stored settings moved on
+ * since the caller read them. Carries what is stored now so the UI can offer
+ * to reload without another round trip.
+ */
+export class SettingsConflictError extends Error {
+    readonly settings: TtsSettings;
+    readonly version: string | null;
+
+    constructor(settings: TtsSettings, version: string | null) {
+        super('Settings were changed elsewhere since they were loaded');
+        this.name = 'SettingsConflictError';
+        this.settings = settings;
+        this.version = version;
+    }
+}
 
 export class SettingsApi {
     private apiBaseUrl: string;
@@ -44,6 +64,30 @@ export class SettingsApi {
         return this.handleVoidResponse(response);
     }
 
+    /**
+     * Writes several settings in one request. The server applies them only if
+     * the document is still at `expectedVersion` (null meaning "never saved");
+     * `force` skips that check and overwrites.
+     */
+    async saveTtsSettings(
+        channelName: string,
+        settings: Record<string, unknown>,
+        expectedVersion: string | null,
+        force = false
+    ): Promise<BatchSettingsResponse> {
+        const response = await fetch(`${this.apiBaseUrl}/tts/settings/channel/${channelName}`, {
+            method: 'PATCH',
+            headers: this.authHeaders(),
+            body: JSON.stringify({ settings, expectedVersion, force })
+        });
+        if (response.status === 409) {
+            const body = await response.json().catch(() => ({})) as { details?: { settings?: TtsSettings; version?: string | null } };
+            throw new SettingsConflictError(body.details?.settings || {}, body.details?.version ?? null);
+        }
+        await this.handleVoidResponse(response);
+        return await response.json() as BatchSettingsResponse;
+    }
+
     async saveMusicSetting(channelName: string, key: string, value: any): Promise<void> {
         const response = await fetch(`${this.apiBaseUrl}/music/settings/channel/${channelName}`, {
             method: 'PUT',
@@ -57,7 +101,9 @@ export class SettingsApi {
         try {
             const response = await fetch(`${this.apiBaseUrl}/voices`);
             if (response.ok) {
-                return await response.json() as VoicesResponse;
+                const data = await response.json() as VoicesResponse;
+                registerVoiceCatalog(data.entries);
+                return data;
             }
             return { voices: [] };
         } catch (error) {
@@ -105,7 +151,10 @@ export class SettingsApi {
         let errorText = `HTTP ${response.status}`;
         try {
             const errorData = await response.json() as ErrorResponse;
-            errorText = errorData.details || errorData.message || errorData.error || errorText;
+            // details is free text on most routes but structured on some (the
+            // batch endpoint lists invalid keys there), so only a string is shown.
+            const details = typeof errorData.details === 'string' ? errorData.details : undefined;
+            errorText = details || errorData.message || errorData.error || errorText;
         } catch { }
 
         // Special handling for 403 contact me link
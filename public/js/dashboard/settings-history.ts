@@ -0,0 +1,248 @@
+import { showToast } from '../common/ui.js';
+import type { ChannelRole } from './types.js';
+
+export interface SettingsHistoryModule {
+    load: () => Promise<void>;
+    setOnChange: (cb: () => void) => void;
+}
+
+interface SettingsHistoryConfig {
+    apiPrefix: string;
+    testMode: boolean;
+}
+
+interface SettingsHistoryServices {
+    getSessionToken: () => string | null;
+    getChannel: () => string | null;
+    getChannelRole: () => ChannelRole;
+}
+
+/** One recorded change, as returned by the history endpoint. */
+interface HistoryEntry {
+    id: string;
+    actor: { id: string; login: string } | null;
+    key: string;
+    oldValue: unknown;
+    newValue: unknown;
+    source: string | null;
+    at: string | null;
+    revertOf?: string;
+}
+
+interface HistoryResponse {
+    entries?: HistoryEntry[];
+    nextCursor?: string | null;
+    error?: string;
+}
+
+const DEMO_ENTRIES: HistoryEntry[] = [
+    { id: 'demo-2', actor: { id: 'twitch:123456', login: 'demostreamer' }, key: 'speed', oldValue: 1.0, newValue: 1.2, source: 'settings', at: new Date().toISOString() },
+    { id: 'demo-1', actor: { id: 'twitch:123456', login: 'demostreamer' }, key: 'bannedWords', oldValue: null, newValue: 'testbadword', source: 'banned-words', at: new Date(Date.now() - 3600_000).toISOString() },
+];
+
+export function initSettingsHistoryModule(
+    config: SettingsHistoryConfig,
+    services: SettingsHistoryServices
+): SettingsHistoryModule {
+    const { apiPrefix, testMode } = config;
+    let onChange: (() => void) | null = null;
+    let nextCursor: string | null = null;
+
+    const listEl = document.getElementById('settings-history-list') as HTMLUListElement | null;
+    const moreBtn = document.getElementById('settings-history-more-btn') as HTMLButtonElement | null;
+    const refreshBtn = document.getElementById('settings-history-refresh-btn') as HTMLButtonElement | null;
+
+    function authHeaders(): Record<string, string> {
+        const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+        const token = services.getSessionToken();
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+        return headers;
+    }
+
+    function historyUrl(path = ''): string {
+        return `${apiPrefix}/tts/history/channel/${services.getChannel()}${path}`;
+    }
+
+    /** Fetch the first page, replacing what is shown. */
+    async function load(): Promise<void> {
+        if (!services.getChannel() || !listEl) return;
+        listEl.innerHTML = '';
+        nextCursor = null;
+        await loadPage();
+    }
+
+    async function loadPage(): Promise<void> {
+        if (testMode) {
+            renderEntries(DEMO_ENTRIES);
+            updateMoreButton();
+            return;
+        }
+
+        try {
+            const query = nextCursor ? `?before=${encodeURIComponent(nextCursor)}` : '';
+            const response = await fetch(historyUrl(query), { headers: authHeaders(), cache: 'no-store' });
+            const data = await response.json() as HistoryResponse;
+            if (!response.ok || !data.entries) {
+                showToast(data.error || 'Cannot load change history.', 'error');
+                return;
+            }
+            nextCursor = data.nextCursor ?? null;
+            renderEntries(data.entries);
+            updateMoreButton();
+        } catch (error) {
+            console.error('Error loading change history:', error);
+            showToast('Cannot load change history.', 'error');
+        }
+    }
+
+    function updateMoreButton(): void {
+        if (moreBtn) moreBtn.classList.toggle('d-none', !nextCursor);
+    }
+
+    function describeValue(value: unknown): string {
+        if (value === null || value === undefined) return '(none)';
+        if (typeof value === 'object') {
+            const label = (value as { label?: unknown }).label;
+            return typeof label === 'string' ? label : JSON.stringify(value);
+        }
+        return String(value);
+    }
+
+    function describeChange(entry: HistoryEntry): string {
+        if (entry.key === 'bannedWords') {
+            return entry.oldValue === null ?
+                `banned "${describeValue(entry.newValue)}"` :
+                `unbanned "${describeValue(entry.oldValue)}"`;
+        }
+        if (entry.key.startsWith('bannedWordRules.')) {
+            const rule = (entry.newValue ?? entry.oldValue) as { pattern?: string } | null;
+            const verb = entry.oldValue === null ? 'added' : entry.newValue === null ? 'removed' : 'changed';
+            return `${verb} banned word rule "${rule?.pattern ?? ''}"`;
+        }
+        if (entry.key.startsWith('disabledPronunciationDefaults.')) {
+            const match = entry.key.slice('disabledPronunciationDefaults.'.length);
+            return `switched ${entry.newValue === null ? 'on' : 'off'} built-in pronunciation "${match}"`;
+        }
+        if (entry.key.startsWith('voiceAssignments.')) {
+            const verb = entry.oldValue === null ? 'assigned a voice to' : entry.newValue === null ? 'removed the voice of' : 'changed the voice of';
+            return `${verb} ${describeValue(entry.newValue ?? entry.oldValue)}`;
+        }
+        return `${entry.key}: ${describeValue(entry.oldValue)} → ${describeValue(entry.newValue)}`;
+    }
+
+    function renderEntries(entries: HistoryEntry[]): void {
+        if (!listEl) return;
+        if (entries.length === 0 && listEl.children.length === 0) {
+            const emptyLi = document.createElement('li');
+            emptyLi.className = 'list-group-item text-center text-muted py-3';
+            emptyLi.textContent = 'No changes recorded yet.';
+            listEl.appendChild(emptyLi);
+            return;
+        }
+        // Reverting is a write, so only editors and the broadcaster get the buttons.
+        const role = services.getChannelRole();
+        const canEdit = role === 'editor' || role === 'broadcaster';
+        entries.forEach(entry => {
+            const li = document.createElement('li');
+            li.className = 'list-group-item d-flex justify-content-between align-items-center gap-2';
+
+            const text = document.createElement('div');
+            const change = document.createElement('div');
+            change.textContent = describeChange(entry);
+            const meta = document.createElement('small');
+            meta.className = 'text-muted';
+            const when = entry.at ? new Date(entry.at).toLocaleString() : 'pending';
+            const via = entry.source === 'revert' ? ' (revert)' : entry.source === 'restore' ? ' (restore)' : '';
+            meta.textContent = `${when} · ${entry.actor?.login || 'unknown'}${via}`;
+            text.appendChild(change);
+            text.appendChild(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'd-flex gap-1 flex-shrink-0';
+            const revertBtn = document.createElement('button');
+            revertBtn.className = 'btn btn-outline-secondary btn-sm';
+            revertBtn.textContent = 'Revert';
+            revertBtn.addEventListener('click', () => void revertEntry(entry));
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'btn btn-outline-danger btn-sm';
+            restoreBtn.textContent = 'Restore to here';
+            restoreBtn.addEventListener('click', () => void restoreTo(entry));
+            actions.appendChild(revertBtn);
+            actions.appendChild(restoreBtn);
+
+            li.appendChild(text);
+            if (canEdit) li.appendChild(actions);
+            listEl.appendChild(li);
+        });
+    }
+
+    async function revertEntry(entry: HistoryEntry, force = false): Promise<void> {
+        if (testMode) {
+            showToast(`[Test] Reverted ${entry.key}.`, 'success');
+            return;
+        }
+
+        try {
+            const response = await fetch(historyUrl(`/${encodeURIComponent(entry.id)}/revert`), {
+                method: 'POST',
+                headers: authHeaders(),
+                body: JSON.stringify({ force })
+            });
+            const data = await response.json() as { success?: boolean; reverted?: boolean; error?: string };
+            if (response.status === 409 && !force) {
+                if (confirm(`${entry.key} has changed again since. Revert anyway and discard the later change?`)) {
+                    await revertEntry(entry, true);
+                }
+                return;
+            }
+            if (!data.success) {
+                showToast(data.error || 'Cannot revert change.', 'error');
+                return;
+            }
+            showToast(data.reverted ? `Reverted ${entry.key}.` : `${entry.key} already has that value.`, data.reverted ? 'success' : 'info');
+            if (onChange) onChange();
+            await load();
+        } catch (error) {
+            console.error('Error reverting change:', error);
+            showToast('Cannot revert change.', 'error');
+        }
+    }
+
+    async function restoreTo(entry: HistoryEntry): Promise<void> {
+        const when = entry.at ? new Date(entry.at).toLocaleString() : 'this change';
+        if (!confirm(`Restore all settings to how they were at ${when}? Every later change is undone.`)) return;
+
+        if (testMode) {
+            showToast(`[Test] Restored settings to ${when}.`, 'success');
+            return;
+        }
+
+        try {
+            const response = await fetch(historyUrl('/restore'), {
+                method: 'POST',
+                headers: authHeaders(),
+                body: JSON.stringify({ entryId: entry.id })
+            });
+            const data = await response.json() as { success?: boolean; changes?: number; error?: string };
+            if (!data.success) {
+                showToast(data.error || 'Cannot restore settings.', 'error');
+                return;
+            }
+            showToast(data.changes ? `Restored settings to ${when}.` : 'Settings already match that point.', data.changes ? 'success' : 'info');
+            if (onChange) onChange();
+            await load();
+        } catch (error) {
+            console.error('Error restoring settings:', error);
+            showToast('Cannot restore settings.', 'error');
+        }
+    }
+
+    // Wire up UI
+    moreBtn?.addEventListener('click', () => void loadPage());
+    refreshBtn?.addEventListener('click', () => void load());
+
+    return {
+        load,
+        setOnChange: (cb: () => void) => { onChange = cb; }
+    };
+}
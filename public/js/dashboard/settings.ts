@@ -1,10 +1,11 @@
-import { showToast, syncTextareas } from '../common/ui.js';
+import { showToast, syncTextareas, openDialog, closeDialog } from '../common/ui.js';
 import { debounce, formatVoiceName } from '../common/utils.js';
-import { performVoiceTest, TTSPayload, PlayerElements, HintElements } from '../common/voice-preview.js';
+import { performVoiceTest, getPreviewUrl, TTSPayload, PlayerElements, HintElements } from '../common/voice-preview.js';
 import { DashboardServices, TtsSettings } from './types.js';
-import { SettingsApi } from './services/settings-api.js';
-import { VoiceDropdown } from './components/voice-dropdown.js';
+import { SettingsApi, SettingsConflictError } from './services/settings-api.js';
+import { VoicePicker } from '../common/voice-picker.js';
 import { VoiceCalibration } from './components/voice-calibration.js';
+import { VoicePolicyEditor } from './components/voice-policy-editor.js';
 import type { StoredIgnoreValue } from '../common/ignoreEntries.js';
 
 const previewState = {
@@ -21,8 +22,9 @@ export interface SettingsModuleContext {
 
 export interface SettingsModuleDependencies {
   displayIgnoreList: (type: 'tts', entries: Record<string, StoredIgnoreValue>) => void;
-  displayBannedWords: (words: string[]) => void;
-  displayPronunciations: (entries: Record<string, string>) => void;
+  loadBannedWords: () => Promise<void>;
+  loadPronunciations: () => Promise<void>;
+  loadVoiceAssignments: () => Promise<void>;
 }
 
 export interface SettingsModule {
@@ -36,7 +38,7 @@ export function initSettingsModule(
   dependencies: SettingsModuleDependencies
 ): SettingsModule {
   const { apiPrefix, testMode } = context;
-  const { getLoggedInUser, getSessionToken } = services;
+  const { getChannel, getSessionToken } = services;
   const { displayIgnoreList } = dependencies;
 
   const api = new SettingsApi(apiPrefix, getSessionToken);
@@ -109,10 +111,24 @@ export function initSettingsModule(
   let allVoices: string[] = [];
   let currentVoiceVolumes: Record<string, number> = {};
 
+  // Auto-saved changes are collected briefly and sent as one batch, guarded by
+  // the version of the settings this page last loaded. Saves are chained so a
+  // batch never goes out with the version its predecessor is about to replace.
+  const conflictModal = document.getElementById('settings-conflict-modal') as HTMLDialogElement | null;
+  const conflictReloadBtn = document.getElementById('settings-conflict-reload') as HTMLButtonElement | null;
+  const conflictOverwriteBtn = document.getElementById('settings-conflict-overwrite') as HTMLButtonElement | null;
+  let settingsVersion: string | null = null;
+  let pendingSettings: Record<string, unknown> = {};
+  let pendingLabels: string[] = [];
+  let saveChain: Promise<void> = Promise.resolve();
+  let resolveConflict: ((choice: 'reload' | 'overwrite') => void) | null = null;
+  const scheduleFlush = debounce(() => { void flushPendingSettings(); }, 400);
+
   // Components
-  let defaultVoiceDropdown: VoiceDropdown | null = null;
-  let calibrationVoiceDropdown: VoiceDropdown | null = null;
+  let defaultVoicePicker: VoicePicker | null = null;
+  let calibrationVoicePicker: VoicePicker | null = null;
   let voiceCalibration: VoiceCalibration | null = null;
+  let voicePolicyEditor: VoicePolicyEditor | null = null;
 
   return {
     async initialize(): Promise<void> {
@@ -130,7 +146,7 @@ export function initSettingsModule(
   }
 
   function getChannelName(): string | undefined {
-    return getLoggedInUser()?.login?.toLowerCase();
+    return getChannel()?.toLowerCase();
   }
 
   async function saveSettingWrapper(key: string, value: any, label: string): Promise<void> {
@@ -144,13 +160,89 @@ export function initSettingsModule(
       showToast('You are not signed in.', 'error');
       return;
     }
+    pendingSettings[key] = value;
+    if (!pendingLabels.includes(label)) pendingLabels.push(label);
+    scheduleFlush();
+  }
+
+  /** Sends whatever has queued up since the last flush. */
+  function flushPendingSettings(): Promise<void> {
+    const updates = pendingSettings;
+    const labels = pendingLabels;
+    pendingSettings = {};
+    pendingLabels = [];
+    if (Object.keys(updates).length === 0) return saveChain;
+    return commitSettings(updates, labels).catch(() => { /* already reported */ });
+  }
+
+  /**
+   * Saves a set of changes as one batch after any save already in flight.
+   * Rejects if the save did not happen, after telling the user why.
+   */
+  function commitSettings(updates: Record<string, unknown>, labels: string[]): Promise<void> {
+    const run = saveChain.then(() => sendBatch(updates, labels, false));
+    saveChain = run.catch(() => { /* keep the chain alive */ });
+    return run;
+  }
+
+  async function sendBatch(updates: Record<string, unknown>, labels: string[], force: boolean): Promise<void> {
+    if (testMode) {
+      maybeSuccessToast('Saved');
+      return;
+    }
+    const channelName = getChannelName();
+    if (!channelName) {
+      showToast('You are not signed in.', 'error');
+      throw new Error('Not signed in');
+    }
     try {
-      await api.saveTtsSetting(channelName, key, value);
+      const result = await api.saveTtsSettings(channelName, updates, settingsVersion, force);
+      settingsVersion = result.version;
       maybeSuccessToast('Saved');
     } catch (e) {
-      const err = e as Error;
-      showToast(`${label}: ${err.message}`, 'error');
+      if (!(e instanceof SettingsConflictError)) {
+        showToast(`${labels.join(', ')}: ${(e as Error).message}`, 'error');
+        throw e;
+      }
+      if (await askConflictResolution() === 'overwrite') {
+        await sendBatch({ ...updates, ...pendingSettings }, labels, true);
+        pendingSettings = {};
+        pendingLabels = [];
+        return;
+      }
+      // Reloading discards this batch and anything queued behind it; the
+      // form is repainted from what is stored now.
+      pendingSettings = {};
+      pendingLabels = [];
+      await loadBotSettings();
+      throw e;
+    }
+  }
+
+  /** Shows the conflict dialog and resolves with the user's choice. */
+  function askConflictResolution(): Promise<'reload' | 'overwrite'> {
+    if (!conflictModal) {
+      return Promise.resolve(confirm('These settings were changed elsewhere. Overwrite them with your changes?') ? 'overwrite' : 'reload');
     }
+    return new Promise((resolve) => {
+      resolveConflict = resolve;
+      openDialog(conflictModal);
+    });
+  }
+
+  function settleConflict(choice: 'reload' | 'overwrite'): void {
+    const resolve = resolveConflict;
+    resolveConflict = null;
+    if (conflictModal) closeDialog(conflictModal);
+    resolve?.(choice);
+  }
+
+  function setupConflictDialog(): void {
+    conflictReloadBtn?.addEventListener('click', () => settleConflict('reload'));
+    conflictOverwriteBtn?.addEventListener('click', () => settleConflict('overwrite'));
+    // Escape closes a modal dialog natively without reaching either button.
+    // Treat it as the safe choice, so nothing is written the user did not confirm.
+    conflictModal?.addEventListener('cancel', () => settleConflict('reload'));
   }
 
   function updateVolumeSlider(voiceId: string): void {
@@ -215,7 +307,7 @@ export function initSettingsModule(
     if (defaultVolumeSlider) {
       const debouncedVolumeSave = debounce(
         () => {
-          const voiceId = defaultVoiceDropdown?.getValue() || 'Friendly_Person';
+          const voiceId = defaultVoicePicker?.getValue() || 'Friendly_Person';
           const vol = parseFloat(defaultVolumeSlider.value || '1.0');
           currentVoiceVolumes[voiceId] = vol;
           voiceCalibration?.updateVolumes(currentVoiceVolumes); // Sync calibration component
@@ -225,7 +317,7 @@ export function initSettingsModule(
       );
       defaultVolumeSlider.addEventListener('input', () => { if (!isInitializing) debouncedVolumeSave(); updateSidebarPreview(); });
       defaultVolumeSlider.addEventListener('change', () => {
-        const voiceId = defaultVoiceDropdown?.getValue() || 'Friendly_Person';
+        const voiceId = defaultVoicePicker?.getValue() || 'Friendly_Person';
         const vol = parseFloat(defaultVolumeSlider.value || '1.0');
         currentVoiceVolumes[voiceId] = vol;
         voiceCalibration?.updateVolumes(currentVoiceVolumes);
@@ -267,7 +359,7 @@ export function initSettingsModule(
   }
 
   function getEffectiveTtsSettings(): Omit<TTSPayload, 'text'> {
-    const voiceId = defaultVoiceDropdown?.getValue() || 'Friendly_Person';
+    const voiceId = defaultVoicePicker?.getValue() || 'Friendly_Person';
     const emotion = defaultEmotionSelect?.value || 'auto';
     const pitch = parseInt(defaultPitchSlider?.value || '0', 10);
     const speed = parseFloat(defaultSpeedSlider?.value || '1.0');
@@ -277,7 +369,7 @@ export function initSettingsModule(
   }
 
   function updateSidebarPreview(): void {
-    const voiceId = defaultVoiceDropdown?.getValue() || 'Friendly_Person';
+    const voiceId = defaultVoicePicker?.getValue() || 'Friendly_Person';
     const emotion = defaultEmotionSelect?.value || 'auto';
     const pitch = parseInt(defaultPitchSlider?.value || '0', 10);
     const speed = parseFloat(defaultSpeedSlider?.value || '1.0');
@@ -368,8 +460,7 @@ export function initSettingsModule(
     defaultVolumeSlider?.addEventListener('change', markSettingsAsDirty);
     defaultLanguageSelect?.addEventListener('change', markSettingsAsDirty);
     englishNormalizationCheckbox?.addEventListener('change', markSettingsAsDirty);
-    // Voice Dropdown handles its own listener if we want? But we can hook into onSelect.
-    // We'll handle voice change in the VoiceDropdown instantiation.
+    // Voice changes arrive through the VoicePicker's onSelect instead.
 
     window.addEventListener('beforeunload', () => {
       if (previewState.cachedAudioUrl) URL.revokeObjectURL(previewState.cachedAudioUrl);
@@ -400,7 +491,11 @@ export function initSettingsModule(
       previewState.currentlyPlayingAudio = null;
     }
 
-    const preMadeUrl = `/assets/voices/${voiceId}-welcome-everyone-to-the-stream.mp3`;
+    const preMadeUrl = await getPreviewUrl(voiceId, 'dashboard', getEffectiveTtsSettings());
+    if (!preMadeUrl) {
+      showToast('No preview available.', 'info');
+      return;
+    }
 
     try {
       const response = await fetch(preMadeUrl);
@@ -473,10 +568,10 @@ export function initSettingsModule(
       updateSidebarPreview();
     });
     resetVolumeBtn?.addEventListener('click', () => {
-      if (!defaultVolumeSlider || !volumeValueSpan || !defaultVoiceDropdown) return;
+      if (!defaultVolumeSlider || !volumeValueSpan || !defaultVoicePicker) return;
       defaultVolumeSlider.value = '1.0';
       volumeValueSpan.textContent = '1.0';
-      const voiceId = defaultVoiceDropdown.getValue() || 'Friendly_Person';
+      const voiceId = defaultVoicePicker.getValue() || 'Friendly_Person';
       currentVoiceVolumes[voiceId] = 1.0;
       voiceCalibration?.updateVolumes(currentVoiceVolumes);
       saveSettingWrapper(`voiceVolumes.${voiceId}`, 1.0, 'Voice Volume');
@@ -487,9 +582,10 @@ export function initSettingsModule(
     const voicesResponse = await api.getVoices();
     allVoices = voicesResponse.voices || [];
 
-    // Init Default Voice Dropdown
-    defaultVoiceDropdown = new VoiceDropdown({
-      containerId: 'default',
+    // Init Default Voice Picker
+    defaultVoicePicker = new VoicePicker({
+      idPrefix: 'default',
+      picks: services.voicePicks,
       onSelect: (voiceId) => {
         if (!isInitializing) updateVolumeSlider(voiceId);
         saveSettingWrapper('voiceId', voiceId, 'Default Voice');
@@ -499,34 +595,33 @@ export function initSettingsModule(
       },
       onPlaySample: playVoiceSample
     });
-    defaultVoiceDropdown.setVoices(allVoices);
+    defaultVoicePicker.setVoices(allVoices);
 
-    // Init Calibration Dropdown. VoiceCalibration only handles "Edit" clicks in
-    // the list, which set the dropdown value programmatically — picking a voice
-    // from the dropdown directly has to update the slider itself. voiceCalibration
+    // Init Calibration Picker. VoiceCalibration only handles "Edit" clicks in
+    // the list, which set the picker value programmatically — picking a voice
+    // from the picker directly has to update the slider itself. voiceCalibration
     // is assigned just below and the callback only fires on user interaction.
-    calibrationVoiceDropdown = new VoiceDropdown({
-      containerId: 'calibration',
+    calibrationVoicePicker = new VoicePicker({
+      idPrefix: 'calibration',
+      picks: services.voicePicks,
       onSelect: (voiceId) => voiceCalibration?.selectVoice(voiceId),
     });
-    calibrationVoiceDropdown.setVoices(allVoices);
+    calibrationVoicePicker.setVoices(allVoices);
 
     // Init Voice Calibration
     voiceCalibration = new VoiceCalibration({
-      voiceDropdown: calibrationVoiceDropdown,
+      voicePicker: calibrationVoicePicker,
       currentVoiceVolumes: currentVoiceVolumes,
       onSave: async (voiceId, volume) => {
-        await api.saveTtsSetting(getChannelName() || '', `voiceVolumes.${voiceId}`, volume);
-        maybeSuccessToast('Saved');
+        await commitSettings({ [`voiceVolumes.${voiceId}`]: volume }, ['Voice Volume']);
         // If this is also the default voice, update the main slider too
-        if (defaultVoiceDropdown?.getValue() === voiceId && defaultVolumeSlider) {
+        if (defaultVoicePicker?.getValue() === voiceId && defaultVolumeSlider) {
           defaultVolumeSlider.value = String(volume);
           if (volumeValueSpan) volumeValueSpan.textContent = String(volume);
         }
       },
       onReset: async (voiceId) => {
-        await api.saveTtsSetting(getChannelName() || '', `voiceVolumes.${voiceId}`, 1.0);
-        maybeSuccessToast('Reset');
+        await commitSettings({ [`voiceVolumes.${voiceId}`]: 1.0 }, ['Voice Volume']);
       },
       sliderId: 'calibration-volume',
       valueSpanId: 'calibration-volume-value',
@@ -534,7 +629,17 @@ export function initSettingsModule(
       listId: 'calibrated-voices-list'
     });
 
+    const policyVoicePicker = new VoicePicker({ idPrefix: 'policy', picks: services.voicePicks, onSelect: () => undefined });
+    policyVoicePicker.setVoices(allVoices);
+    voicePolicyEditor = new VoicePolicyEditor({
+      voicePicker: policyVoicePicker,
+      facets: voicesResponse.facets,
+      onSave: (policy) => saveSettingWrapper('voicePolicy', policy, 'Viewer Voice Limits'),
+      onInvalid: (message) => showToast(message, 'warning'),
+    });
+
     attachVoicePreview();
+    setupConflictDialog();
     setupAutoSaveListeners();
     setupVoiceLookup();
 
@@ -618,9 +723,9 @@ export function initSettingsModule(
   }
 
   async function loadBotSettings(): Promise<void> {
-    const user = getLoggedInUser();
-    if (!user?.login) {
-      console.warn('No logged in user, cannot load bot settings');
+    const channel = getChannel();
+    if (!channel) {
+      console.warn('No channel selected, cannot load bot settings');
       return;
     }
 
@@ -653,22 +758,25 @@ export function initSettingsModule(
       };
       applyTtsSettings(demoTts);
       displayIgnoreList('tts', demoTts.ignoredUserIds || {});
-      dependencies.displayBannedWords(['testbadword', 'naughtyword']);
-      dependencies.displayPronunciations(demoTts.pronunciations || {});
+      void dependencies.loadBannedWords();
+      void dependencies.loadPronunciations();
+      void dependencies.loadVoiceAssignments();
       return;
     }
 
-    const response = await api.getSettings(user.login);
+    const response = await api.getSettings(channel);
     if ('error' in response && response.error) {
       showToast(`Cannot load settings: ${response.error}`, 'error');
       return;
     }
 
     if ('settings' in response) {
+      settingsVersion = response.version ?? null;
       applyTtsSettings(response.settings || {});
       displayIgnoreList('tts', response.settings?.ignoredUserIds || {});
-      dependencies.displayBannedWords(response.settings?.bannedWords || []);
-      dependencies.displayPronunciations(response.settings?.pronunciations || {});
+      void dependencies.loadBannedWords();
+      void dependencies.loadPronunciations();
+      void dependencies.loadVoiceAssignments();
     }
   }
 
@@ -705,6 +813,7 @@ export function initSettingsModule(
     }
     if (anonymizeFollowersCheckbox) anonymizeFollowersCheckbox.checked = settings.anonymizeFollowers !== false;
     if (allowViewerPreferencesCheckbox) allowViewerPreferencesCheckbox.checked = settings.allowViewerPreferences !== false;
+    voicePolicyEditor?.setPolicy(settings.voicePolicy);
     if (readFullUrlsCheckbox) readFullUrlsCheckbox.checked = settings.readFullUrls || false;
     // Acronym expansion defaults ON, the profanity filter defaults OFF, so the
     // two undefined cases resolve in opposite directions.
@@ -713,8 +822,8 @@ export function initSettingsModule(
     if (bitsEnabledCheckbox) bitsEnabledCheckbox.checked = settings.bitsModeEnabled || false;
     if (bitsAmountInput) bitsAmountInput.value = String(settings.bitsMinimumAmount ?? 100);
 
-    if (defaultVoiceDropdown && settings.voiceId) {
-      defaultVoiceDropdown.setValue(settings.voiceId);
+    if (defaultVoicePicker && settings.voiceId) {
+      defaultVoicePicker.setValue(settings.voiceId);
     }
 
     if (defaultEmotionSelect) defaultEmotionSelect.value = settings.emotion || 'auto';
@@ -3,6 +3,9 @@
  */
 
 import type { StoredIgnoreValue } from '../common/ignoreEntries.js';
+import type { VoicePolicy } from '../common/voicePolicy.js';
+import type { VoiceCatalogEntry, VoiceFacets } from '../common/voice-catalog.js';
+import type { VoicePicksStore } from '../common/voice-picks.js';
 
 /**
  * User information stored in session
@@ -27,6 +30,24 @@ export interface DashboardContext {
 export interface DashboardServices {
   getSessionToken: () => string | null;
   getLoggedInUser: () => UserInfo | null;
+  /** The channel being managed: the user's own, or one they were granted a role on */
+  getChannel: () => string | null;
+  getChannelRole: () => ChannelRole;
+  /** The user's favorite and recent voices, shared by every voice picker */
+  voicePicks: VoicePicksStore;
+}
+
+/**
+ * A caller's role on a channel, lowest first. Mirrors services/channelRoles.ts.
+ */
+export type ChannelRole = 'viewer-only' | 'moderator' | 'editor' | 'broadcaster';
+
+/**
+ * A channel the signed-in user can manage
+ */
+export interface ManagedChannel {
+  login: string;
+  role: ChannelRole;
 }
 
 /**
@@ -44,9 +65,13 @@ export interface TtsSettings {
   speakWatchStreakEvents?: boolean; // Announce watch streak milestones via TTS
   anonymizeFollowers?: boolean; // Hide follower names in TTS announcements (default: true)
   allowViewerPreferences?: boolean;
+  /** Which voices and settings viewers may choose; absent means no limits. */
+  voicePolicy?: VoicePolicy;
   readFullUrls?: boolean;
   bitsModeEnabled?: boolean;
   bitsMinimumAmount?: number;
+  /** Cap on characters voice tests may synthesize in a month; 0 or absent for none. */
+  monthlyCharacterBudget?: number;
   voiceId?: string;
   emotion?: string;
   pitch?: number;
@@ -61,6 +86,7 @@ export interface TtsSettings {
    * reads as moderator-imposed; see common/ignoreEntries.ts.
    */
   ignoredUserIds?: Record<string, StoredIgnoreValue>;
+  /** Pre-rules banned words. The rule list is loaded from its own endpoint. */
   bannedWords?: string[];
   voiceVolumes?: Record<string, number>;
   youtubeEnabled?: boolean;
@@ -76,6 +102,17 @@ export interface TtsSettings {
  */
 export interface SettingsResponse {
   settings: TtsSettings;
+  /** Opaque token for the stored document; absent until the channel has saved anything. */
+  version?: string | null;
+}
+
+/**
+ * API response for a successful batch settings update
+ */
+export interface BatchSettingsResponse {
+  success: true;
+  settings: TtsSettings;
+  version: string | null;
 }
 
 /**
@@ -83,6 +120,10 @@ export interface SettingsResponse {
  */
 export interface VoicesResponse {
   voices?: string[];
+  entries?: VoiceCatalogEntry[];
+  total?: number;
+  nextOffset?: number | null;
+  facets?: VoiceFacets;
 }
 
 /**
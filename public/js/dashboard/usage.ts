@@ -0,0 +1,259 @@
+import { showToast } from '../common/ui.js';
+import type { ChannelRole } from './types.js';
+
+export interface UsageModule {
+    load: () => Promise<void>;
+    setOnChange: (cb: () => void) => void;
+}
+
+interface UsageConfig {
+    apiPrefix: string;
+    testMode: boolean;
+}
+
+interface UsageServices {
+    getSessionToken: () => string | null;
+    getChannel: () => string | null;
+    getChannelRole: () => ChannelRole;
+}
+
+interface UsageTotals {
+    characters: number;
+    billedCharacters: number;
+    requests: number;
+    cacheHits: number;
+}
+
+/** The channel usage report, as returned by the usage endpoint. */
+interface UsageResponse {
+    days?: Array<UsageTotals & { day: string }>;
+    month?: UsageTotals & {
+        month: string;
+        budget: number | null;
+        operatorBudget: number | null;
+        ownBudget: number | null;
+        resetsAt: string;
+    };
+    voices?: Record<string, number>;
+    users?: Record<string, number>;
+    error?: string;
+}
+
+const DAYS_SHOWN = 30;
+
+function demoUsage(): UsageResponse {
+    const days = Array.from({ length: DAYS_SHOWN }, (_, i) => {
+        const billed = Math.round(400 + 300 * Math.sin(i / 3));
+        return {
+            day: new Date(Date.now() - (DAYS_SHOWN - 1 - i) * 86400_000).toISOString().slice(0, 10),
+            characters: billed + 150,
+            billedCharacters: billed,
+            requests: 12,
+            cacheHits: 3,
+        };
+    });
+    const now = new Date();
+    return {
+        days,
+        month: {
+            month: now.toISOString().slice(0, 7),
+            characters: 9800,
+            billedCharacters: 7400,
+            requests: 210,
+            cacheHits: 48,
+            budget: 50000,
+            operatorBudget: 200000,
+            ownBudget: 50000,
+            resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString(),
+        },
+        voices: { Friendly_Person: 4200, Wise_Woman: 2600, Deep_Voice_Man: 1000 },
+        users: { demostreamer: 5100, demoviewer: 2700 },
+    };
+}
+
+export function initUsageModule(
+    config: UsageConfig,
+    services: UsageServices
+): UsageModule {
+    const { apiPrefix, testMode } = config;
+    let onChange: (() => void) | null = null;
+
+    const summaryEl = document.getElementById('usage-month-summary') as HTMLElement | null;
+    const progressEl = document.getElementById('usage-budget-progress') as HTMLElement | null;
+    const barEl = document.getElementById('usage-budget-bar') as HTMLElement | null;
+    const budgetTextEl = document.getElementById('usage-budget-text') as HTMLElement | null;
+    const chartEl = document.getElementById('usage-chart') as HTMLElement | null;
+    const chartStartEl = document.getElementById('usage-chart-start') as HTMLElement | null;
+    const chartEndEl = document.getElementById('usage-chart-end') as HTMLElement | null;
+    const voicesListEl = document.getElementById('usage-voices-list') as HTMLUListElement | null;
+    const usersListEl = document.getElementById('usage-users-list') as HTMLUListElement | null;
+    const budgetRow = document.getElementById('usage-budget-row') as HTMLElement | null;
+    const budgetInput = document.getElementById('usage-budget-input') as HTMLInputElement | null;
+    const budgetHelpEl = document.getElementById('usage-budget-help') as HTMLElement | null;
+    const budgetSaveBtn = document.getElementById('usage-budget-save-btn') as HTMLButtonElement | null;
+    const refreshBtn = document.getElementById('usage-refresh-btn') as HTMLButtonElement | null;
+
+    function authHeaders(): Record<string, string> {
+        const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+        const token = services.getSessionToken();
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+        return headers;
+    }
+
+    const formatCount = (n: number): string => n.toLocaleString();
+
+    async function load(): Promise<void> {
+        const channel = services.getChannel();
+        if (!channel || !chartEl) return;
+        // The budget is a channel setting, so only editors and the broadcaster change it.
+        const role = services.getChannelRole();
+        if (budgetRow) budgetRow.classList.toggle('d-none', role !== 'editor' && role !== 'broadcaster');
+
+        if (testMode) {
+            render(demoUsage());
+            return;
+        }
+
+        try {
+            const url = `${apiPrefix}/tts/usage/channel/${encodeURIComponent(channel)}?days=${DAYS_SHOWN}`;
+            const response = await fetch(url, { headers: authHeaders(), cache: 'no-store' });
+            const data = await response.json() as UsageResponse;
+            if (!response.ok || !data.days) {
+                showToast(data.error || 'Cannot load TTS usage.', 'error');
+                return;
+            }
+            render(data);
+        } catch (error) {
+            console.error('Error loading TTS usage:', error);
+            showToast('Cannot load TTS usage.', 'error');
+        }
+    }
+
+    function render(data: UsageResponse): void {
+        renderMonth(data.month);
+        renderChart(data.days || []);
+        renderTop(voicesListEl, data.voices || {}, 'No tests yet.');
+        renderTop(usersListEl, data.users || {}, 'No tests yet.');
+    }
+
+    function renderMonth(month: UsageResponse['month']): void {
+        if (!month) return;
+        if (summaryEl) {
+            summaryEl.textContent = `This month: ${formatCount(month.billedCharacters)} characters synthesized, ` +
+                `${formatCount(month.requests)} tests (${formatCount(month.cacheHits)} from cache)`;
+        }
+
+        const resets = new Date(month.resetsAt).toLocaleDateString(undefined, { month: 'long', day: 'numeric', timeZone: 'UTC' });
+        const share = month.budget ? Math.min(100, Math.round(month.billedCharacters / month.budget * 100)) : 0;
+        if (progressEl) {
+            progressEl.classList.toggle('d-none', !month.budget);
+            progressEl.setAttribute('aria-valuenow', String(share));
+        }
+        if (barEl) {
+            barEl.style.width = `${share}%`;
+            barEl.classList.toggle('bg-warning', share >= 80 && share < 100);
+            barEl.classList.toggle('bg-danger', share >= 100);
+        }
+        if (budgetTextEl) {
+            budgetTextEl.textContent = month.budget ?
+                `${formatCount(month.billedCharacters)} of ${formatCount(month.budget)} characters used. Resets on ${resets}.` :
+                'No monthly budget.';
+        }
+
+        if (budgetInput) budgetInput.value = String(month.ownBudget ?? 0);
+        if (budgetHelpEl && month.operatorBudget) {
+            budgetHelpEl.textContent = `Tests are refused once the month's synthesized characters reach it. ` +
+                `It cannot go above the service limit of ${formatCount(month.operatorBudget)}; 0 to use that limit.`;
+        }
+    }
+
+    function renderChart(days: Array<UsageTotals & { day: string }>): void {
+        if (!chartEl) return;
+        chartEl.innerHTML = '';
+        const busiest = Math.max(1, ...days.map(day => day.characters));
+        days.forEach(day => {
+            const column = document.createElement('div');
+            column.className = 'usage-chart-day';
+            column.title = `${day.day}: ${formatCount(day.billedCharacters)} synthesized, ` +
+                `${formatCount(day.characters - day.billedCharacters)} from cache, ${formatCount(day.requests)} tests`;
+
+            const billed = document.createElement('div');
+            billed.className = 'usage-chart-billed';
+            billed.style.height = `${day.billedCharacters / busiest * 100}%`;
+            const cached = document.createElement('div');
+            cached.className = 'usage-chart-cached';
+            cached.style.height = `${(day.characters - day.billedCharacters) / busiest * 100}%`;
+
+            column.appendChild(billed);
+            column.appendChild(cached);
+            chartEl.appendChild(column);
+        });
+        if (chartStartEl) chartStartEl.textContent = days[0]?.day ?? '';
+        if (chartEndEl) chartEndEl.textContent = days[days.length - 1]?.day ?? '';
+    }
+
+    function renderTop(listEl: HTMLUListElement | null, totals: Record<string, number>, emptyText: string): void {
+        if (!listEl) return;
+        listEl.innerHTML = '';
+        const entries = Object.entries(totals);
+        if (entries.length === 0) {
+            const emptyLi = document.createElement('li');
+            emptyLi.className = 'list-group-item text-muted';
+            emptyLi.textContent = emptyText;
+            listEl.appendChild(emptyLi);
+            return;
+        }
+        entries.forEach(([name, characters]) => {
+            const li = document.createElement('li');
+            li.className = 'list-group-item d-flex justify-content-between';
+            const label = document.createElement('span');
+            label.textContent = name;
+            const count = document.createElement('span');
+            count.className = 'text-muted';
+            count.textContent = formatCount(characters);
+            li.appendChild(label);
+            li.appendChild(count);
+            listEl.appendChild(li);
+        });
+    }
+
+    async function saveBudget(): Promise<void> {
+        if (!budgetInput) return;
+        const value = Number(budgetInput.value || '0');
+        if (!Number.isInteger(value) || value < 0) {
+            showToast('Enter a whole number of characters, or 0.', 'warning');
+            return;
+        }
+        if (testMode) {
+            showToast(`[Test] Monthly budget set to ${formatCount(value)}.`, 'success');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${apiPrefix}/tts/settings/channel/${encodeURIComponent(services.getChannel() || '')}`, {
+                method: 'PUT',
+                headers: authHeaders(),
+                body: JSON.stringify({ key: 'monthlyCharacterBudget', value })
+            });
+            const data = await response.json() as { success?: boolean; error?: string };
+            if (!data.success) {
+                showToast(data.error || 'Cannot save the budget.', 'error');
+                return;
+            }
+            showToast(value ? 'Monthly budget saved.' : 'Monthly budget removed.', 'success');
+            await load();
+            if (onChange) onChange();
+        } catch (error) {
+            console.error('Error saving monthly budget:', error);
+            showToast('Cannot save the budget.', 'error');
+        }
+    }
+
+    if (refreshBtn) refreshBtn.addEventListener('click', () => void load());
+    if (budgetSaveBtn) budgetSaveBtn.addEventListener('click', () => void saveBudget());
+
+    return {
+        load,
+        setOnChange: (cb: () => void) => { onChange = cb; },
+    };
+}
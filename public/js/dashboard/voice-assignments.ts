@@ -0,0 +1,300 @@
+import { showToast } from '../common/ui.js';
+import { formatVoiceName } from '../common/utils.js';
+import { performVoiceTest } from '../common/voice-preview.js';
+import { VoicePicker } from '../common/voice-picker.js';
+import type { VoicePicksStore } from '../common/voice-picks.js';
+import { SettingsApi } from './services/settings-api.js';
+
+export interface VoiceAssignmentsModule {
+    loadVoiceAssignments: () => Promise<void>;
+    setOnChange: (cb: () => void) => void;
+}
+
+interface VoiceAssignmentsConfig {
+    apiPrefix: string;
+    testMode: boolean;
+}
+
+interface VoiceAssignmentsServices {
+    getSessionToken: () => string | null;
+    getChannel: () => string | null;
+    voicePicks: VoicePicksStore;
+}
+
+/** An assignment as the API returns it, keyed by "twitch:<id>". */
+interface VoiceAssignment {
+    key: string;
+    label: string;
+    voiceId: string | null;
+    pitch: number | null;
+    speed: number | null;
+    emotion: string | null;
+    overrideViewer: boolean;
+}
+
+type AssignmentSettings = Omit<VoiceAssignment, 'key' | 'label'>;
+
+// The pre-made welcome clips cover this text, so an unmodified voice previews
+// without a TTS request.
+const PREVIEW_TEXT = 'Welcome, everyone, to the stream!';
+
+const DEMO_ASSIGNMENTS: VoiceAssignment[] = [
+    { key: 'twitch:100000001', label: 'Nightbot', voiceId: 'Deep_Voice_Man', pitch: -4, speed: null, emotion: null, overrideViewer: true },
+    { key: 'twitch:100000002', label: 'RegularViewer', voiceId: 'Wise_Woman', pitch: null, speed: 1.1, emotion: 'happy', overrideViewer: false },
+];
+
+export function initVoiceAssignmentsModule(
+    config: VoiceAssignmentsConfig,
+    services: VoiceAssignmentsServices
+): VoiceAssignmentsModule {
+    const { apiPrefix, testMode } = config;
+    let onChange: (() => void) | null = null;
+    // The assignment being edited, or null while the form adds a new one.
+    let editingKey: string | null = null;
+
+    const tableBody = document.getElementById('voice-assignments-body') as HTMLTableSectionElement | null;
+    const usernameEl = document.getElementById('assignment-username') as HTMLInputElement | null;
+    const pitchEl = document.getElementById('assignment-pitch') as HTMLInputElement | null;
+    const speedEl = document.getElementById('assignment-speed') as HTMLInputElement | null;
+    const emotionEl = document.getElementById('assignment-emotion') as HTMLSelectElement | null;
+    const overrideEl = document.getElementById('assignment-override') as HTMLInputElement | null;
+    const saveBtn = document.getElementById('save-assignment-btn') as HTMLButtonElement | null;
+    const cancelBtn = document.getElementById('cancel-assignment-btn') as HTMLButtonElement | null;
+    const previewBtn = document.getElementById('preview-assignment-btn') as HTMLButtonElement | null;
+
+    const voicePicker = new VoicePicker({ idPrefix: 'assignment', picks: services.voicePicks, onSelect: () => undefined });
+    void new SettingsApi(apiPrefix, services.getSessionToken).getVoices()
+        .then(response => voicePicker.setVoices(response.voices || []));
+
+    function authHeaders(): Record<string, string> {
+        const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+        const token = services.getSessionToken();
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+        return headers;
+    }
+
+    function assignmentsUrl(path = ''): string {
+        return `${apiPrefix}/tts/voice-assignments/channel/${services.getChannel()}${path}`;
+    }
+
+    function numberOrNull(el: HTMLInputElement | null): number | null {
+        const raw = el?.value.trim() || '';
+        return raw === '' ? null : Number(raw);
+    }
+
+    function formSettings(): AssignmentSettings {
+        return {
+            voiceId: voicePicker.getValue() || null,
+            pitch: numberOrNull(pitchEl),
+            speed: numberOrNull(speedEl),
+            emotion: emotionEl?.value || null,
+            overrideViewer: overrideEl?.checked || false,
+        };
+    }
+
+    function resetForm(): void {
+        editingKey = null;
+        if (usernameEl) {
+            usernameEl.value = '';
+            usernameEl.disabled = false;
+        }
+        voicePicker.setValue('');
+        if (pitchEl) pitchEl.value = '';
+        if (speedEl) speedEl.value = '';
+        if (emotionEl) emotionEl.value = '';
+        if (overrideEl) overrideEl.checked = false;
+        if (saveBtn) saveBtn.textContent = 'Assign';
+        cancelBtn?.classList.add('d-none');
+    }
+
+    function startEdit(assignment: VoiceAssignment): void {
+        editingKey = assignment.key;
+        if (usernameEl) {
+            usernameEl.value = assignment.label;
+            usernameEl.disabled = true;
+        }
+        voicePicker.setValue(assignment.voiceId || '');
+        if (pitchEl) pitchEl.value = assignment.pitch === null ? '' : String(assignment.pitch);
+        if (speedEl) speedEl.value = assignment.speed === null ? '' : String(assignment.speed);
+        if (emotionEl) emotionEl.value = assignment.emotion || '';
+        if (overrideEl) overrideEl.checked = assignment.overrideViewer;
+        if (saveBtn) saveBtn.textContent = 'Save';
+        cancelBtn?.classList.remove('d-none');
+        voicePicker.scrollIntoView();
+    }
+
+    async function preview(settings: AssignmentSettings, button: HTMLButtonElement): Promise<void> {
+        if (testMode) {
+            showToast('Playing preview… (test mode)', 'success');
+            return;
+        }
+        const label = button.textContent;
+        await performVoiceTest({
+            text: PREVIEW_TEXT,
+            voiceId: settings.voiceId || undefined,
+            pitch: settings.pitch ?? undefined,
+            speed: settings.speed ?? undefined,
+            emotion: settings.emotion || undefined,
+        }, [button], { defaultText: PREVIEW_TEXT });
+        button.textContent = label;
+    }
+
+    function cell(text: string, muted = false): HTMLTableCellElement {
+        const td = document.createElement('td');
+        td.textContent = text;
+        if (muted) td.className = 'text-muted';
+        return td;
+    }
+
+    function displayAssignments(assignments: VoiceAssignment[]): void {
+        if (!tableBody) return;
+        tableBody.innerHTML = '';
+        if (assignments.length === 0) {
+            const tr = document.createElement('tr');
+            const td = cell('No voices assigned yet.', true);
+            td.colSpan = 7;
+            td.classList.add('text-center', 'py-3');
+            tr.appendChild(td);
+            tableBody.appendChild(tr);
+            return;
+        }
+        assignments.forEach(assignment => {
+            const tr = document.createElement('tr');
+            tr.appendChild(cell(assignment.label));
+            tr.appendChild(cell(assignment.voiceId ? formatVoiceName(assignment.voiceId) : '—', !assignment.voiceId));
+            tr.appendChild(cell(assignment.pitch === null ? '—' : String(assignment.pitch), assignment.pitch === null));
+            tr.appendChild(cell(assignment.speed === null ? '—' : `${assignment.speed.toFixed(1)}×`, assignment.speed === null));
+            tr.appendChild(cell(assignment.emotion || '—', !assignment.emotion));
+            tr.appendChild(cell(assignment.overrideViewer ? 'Overrides viewer' : 'Viewer first'));
+
+            const actions = document.createElement('td');
+            actions.className = 'text-end text-nowrap';
+            const previewRowBtn = document.createElement('button');
+            previewRowBtn.type = 'button';
+            previewRowBtn.className = 'btn btn-outline-secondary btn-sm me-1';
+            previewRowBtn.textContent = 'Preview';
+            previewRowBtn.setAttribute('aria-label', `Preview the voice assigned to ${assignment.label}`);
+            previewRowBtn.addEventListener('click', () => void preview(assignment, previewRowBtn));
+            const editBtn = document.createElement('button');
+            editBtn.type = 'button';
+            editBtn.className = 'btn btn-outline-secondary btn-sm me-1';
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => startEdit(assignment));
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'btn btn-outline-danger btn-sm';
+            removeBtn.textContent = 'Remove';
+            removeBtn.setAttribute('aria-label', `Remove the voice assigned to ${assignment.label}`);
+            removeBtn.addEventListener('click', () => void removeAssignment(assignment));
+            actions.appendChild(previewRowBtn);
+            actions.appendChild(editBtn);
+            actions.appendChild(removeBtn);
+            tr.appendChild(actions);
+
+            tableBody.appendChild(tr);
+        });
+    }
+
+    async function loadVoiceAssignments(): Promise<void> {
+        if (!services.getChannel()) return;
+
+        if (testMode) {
+            displayAssignments(DEMO_ASSIGNMENTS);
+            return;
+        }
+
+        try {
+            const response = await fetch(assignmentsUrl(), { headers: authHeaders(), cache: 'no-store' });
+            const data = await response.json() as { assignments?: VoiceAssignment[]; error?: string };
+            if (!response.ok || !data.assignments) {
+                showToast(data.error || 'Cannot load voice assignments.', 'error');
+                return;
+            }
+            displayAssignments(data.assignments);
+        } catch (error) {
+            console.error('Error loading voice assignments:', error);
+            showToast('Cannot load voice assignments.', 'error');
+        }
+    }
+
+    async function saveAssignment(): Promise<void> {
+        if (!services.getChannel()) return;
+        const username = usernameEl?.value.trim() || '';
+        if (!editingKey && !username) {
+            showToast('Enter a username.', 'warning');
+            return;
+        }
+        const assignment = formSettings();
+
+        if (testMode) {
+            showToast(`[Test] Saved the voice for ${username}.`, 'success');
+            resetForm();
+            if (onChange) onChange();
+            return;
+        }
+
+        try {
+            const response = await fetch(editingKey ? assignmentsUrl(`/${encodeURIComponent(editingKey)}`) : assignmentsUrl(), {
+                method: editingKey ? 'PUT' : 'POST',
+                headers: authHeaders(),
+                body: JSON.stringify(editingKey ? { assignment } : { username, assignment })
+            });
+            const data = await response.json() as { success?: boolean; assignment?: VoiceAssignment; error?: string };
+            if (data.success) {
+                showToast(`Saved the voice for ${data.assignment?.label || username}.`, 'success');
+                resetForm();
+                if (onChange) onChange();
+            } else {
+                showToast(data.error || 'Cannot save voice assignment.', 'error');
+            }
+        } catch (error) {
+            console.error('Error saving voice assignment:', error);
+            showToast('Cannot save voice assignment.', 'error');
+        }
+    }
+
+    async function removeAssignment(assignment: VoiceAssignment): Promise<void> {
+        if (!services.getChannel()) return;
+
+        if (testMode) {
+            showToast(`[Test] Removed the voice for ${assignment.label}.`, 'success');
+            if (onChange) onChange();
+            return;
+        }
+
+        try {
+            const response = await fetch(assignmentsUrl(`/${encodeURIComponent(assignment.key)}`), {
+                method: 'DELETE',
+                headers: authHeaders()
+            });
+            const data = await response.json();
+            if (data.success) {
+                showToast(`Removed the voice for ${assignment.label}.`, 'success');
+                if (editingKey === assignment.key) resetForm();
+                if (onChange) onChange();
+            } else {
+                showToast(data.error || 'Cannot remove voice assignment.', 'error');
+            }
+        } catch (error) {
+            console.error('Error removing voice assignment:', error);
+            showToast('Cannot remove voice assignment.', 'error');
+        }
+    }
+
+    // Wire up UI
+    saveBtn?.addEventListener('click', () => void saveAssignment());
+    cancelBtn?.addEventListener('click', resetForm);
+    if (previewBtn) previewBtn.addEventListener('click', () => void preview(formSettings(), previewBtn));
+    usernameEl?.addEventListener('keydown', (e: KeyboardEvent) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            saveBtn?.click();
+        }
+    });
+    resetForm();
+
+    return {
+        loadVoiceAssignments,
+        setOnChange: (cb: () => void) => { onChange = cb; }
+    };
+}
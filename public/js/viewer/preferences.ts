@@ -1,8 +1,13 @@
 import { fetchWithAuth } from '../common/api.js';
 import { showToast } from '../common/ui.js';
 import { formatNumberCompact, formatVoiceName } from '../common/utils.js';
-import { performVoiceTest, TTSPayload, PlayerElements, HintElements } from '../common/voice-preview.js';
+import { registerVoiceCatalog, VoiceCatalogEntry } from '../common/voice-catalog.js';
+import { VoicePicker } from '../common/voice-picker.js';
+import { VoicePicksStore } from '../common/voice-picks.js';
+import { getStoredSessionToken } from '../common/auth.js';
+import { performVoiceTest, getPreviewUrl, TTSPayload, PlayerElements, HintElements, PreviewSettings } from '../common/voice-preview.js';
 import type { IgnoreStatus } from './danger-zone.js';
+import { describeVoicePolicy, isUnrestricted, VoicePolicy } from '../common/voicePolicy.js';
 
 /**
  * Viewer voice preferences module.
@@ -38,6 +43,10 @@ export interface ChannelDefaults {
  */
 export interface ChannelPolicy {
   allowViewerPreferences: boolean;
+  /** Limits on the voices and settings viewers may pick. */
+  voicePolicy?: VoicePolicy;
+  /** The voices the policy lets through, or null when any voice is allowed. */
+  allowedVoices?: string[] | null;
 }
 
 // The ignore status carries who imposed the opt-out, not just whether one
@@ -46,7 +55,15 @@ export interface ChannelPolicy {
 export type { IgnoreStatus } from './danger-zone.js';
 
 /**
- * Full preferences data structure from API
+ * Which layer a value in effect comes from: a voice the streamer assigned,
+ * the viewer's override for this channel, their global preference, or the
+ * channel's default.
+ */
+export type PreferenceSource = 'assigned' | 'channel' | 'global' | 'default' | null;
+
+/**
+ * Full preferences data structure from API. With a channel loaded, the
+ * top-level values are the override for that channel or else the global one.
  */
 export interface PreferencesData {
   voiceId?: string | null;
@@ -58,7 +75,13 @@ export interface PreferencesData {
   channelDefaults?: ChannelDefaults;
   channelPolicy?: ChannelPolicy;
   ignoreStatus?: IgnoreStatus;
-  [key: string]: string | number | boolean | null | undefined | ChannelDefaults | ChannelPolicy | IgnoreStatus;
+  globalPreferences?: ViewerPreferences;
+  channelOverrides?: ViewerPreferences;
+  sources?: Partial<Record<PreferenceKey, PreferenceSource>>;
+  /** Fields where the channel's limits set aside what the viewer chose. */
+  restricted?: PreferenceKey[];
+  [key: string]: string | number | boolean | null | undefined | ChannelDefaults | ChannelPolicy | IgnoreStatus
+    | ViewerPreferences | Partial<Record<PreferenceKey, PreferenceSource>> | PreferenceKey[];
 }
 
 /**
@@ -75,9 +98,6 @@ export interface PreferencesInfo {
  */
 interface PreferencesElements {
   voiceSelect: HTMLSelectElement | null;
-  voiceSearch: HTMLInputElement | null;
-  voiceDropdown: HTMLElement | null;
-  voiceMenu: HTMLElement | null;
   pitchSlider: HTMLInputElement | null;
   pitchValue: HTMLElement | null;
   speedSlider: HTMLInputElement | null;
@@ -103,6 +123,8 @@ interface PreferencesElements {
   previewSource: HTMLSourceElement | null;
   previewHint: HTMLElement | null;
   prefsDisabledNote: HTMLElement | null;
+  policyNote: HTMLElement | null;
+  resetChannelOverridesBtn: HTMLButtonElement | null;
 }
 
 /**
@@ -116,6 +138,10 @@ interface PreferencesState {
   isDirty: boolean;
   currentlyPlayingAudio: HTMLAudioElement | null;
   currentlyPlayingVoiceId: string | null;
+  /** Voices the loaded channel allows, or null when it allows any. */
+  allowedVoices: Set<string> | null;
+  /** The voice picker, once the voices have loaded. */
+  voicePicker: VoicePicker | null;
 }
 
 /**
@@ -171,9 +197,6 @@ export function initPreferencesModule(
 
   const elements: PreferencesElements = {
     voiceSelect: document.getElementById('voice-select') as HTMLSelectElement | null,
-    voiceSearch: document.getElementById('voice-search') as HTMLInputElement | null,
-    voiceDropdown: document.getElementById('voice-dropdown'),
-    voiceMenu: document.getElementById('voice-menu'),
     pitchSlider: document.getElementById('pitch-slider') as HTMLInputElement | null,
     pitchValue: document.getElementById('pitch-value'),
     speedSlider: document.getElementById('speed-slider') as HTMLInputElement | null,
@@ -199,6 +222,8 @@ export function initPreferencesModule(
     previewSource: document.getElementById('voice-preview-source') as HTMLSourceElement | null,
     previewHint: document.getElementById('voice-preview-hint'),
     prefsDisabledNote: document.getElementById('prefs-disabled-note'),
+    policyNote: document.getElementById('voice-policy-note'),
+    resetChannelOverridesBtn: document.getElementById('reset-channel-overrides-btn') as HTMLButtonElement | null,
   };
 
   if (elements.languageSelect) {
@@ -223,6 +248,17 @@ export function initPreferencesModule(
     isDirty: false,
     currentlyPlayingAudio: null,
     currentlyPlayingVoiceId: null,
+    allowedVoices: null,
+    voicePicker: null,
+  };
+
+  const voicePicks = new VoicePicksStore(`${apiBaseUrl}/api/viewer/voice-picks`,
+    () => testMode ? null : getStoredSessionToken());
+
+  // The page's own slider bounds, restored when a channel sets none.
+  const sliderBounds = {
+    pitch: { min: elements.pitchSlider?.min || '-12', max: elements.pitchSlider?.max || '12' },
+    speed: { min: elements.speedSlider?.min || '0.5', max: elements.speedSlider?.max || '2' },
   };
 
 
@@ -273,6 +309,7 @@ export function initPreferencesModule(
     if (englishNormalizationReset && englishNormalizationCheckbox) {
       englishNormalizationReset.addEventListener('click', () => resetPreference('englishNormalization', englishNormalizationCheckbox, false));
     }
+    elements.resetChannelOverridesBtn?.addEventListener('click', () => void resetChannelOverrides());
   }
 
   function attachPreferenceSaves(): void {
@@ -336,17 +373,13 @@ export function initPreferencesModule(
         return;
       }
 
-      const pitchHasOverride = state.currentPreferences?.pitch !== undefined && state.currentPreferences?.pitch !== null;
-      const speedHasOverride = state.currentPreferences?.speed !== undefined && state.currentPreferences?.speed !== null;
       const cd = state.currentPreferences?.channelDefaults || {};
 
       const payload: TTSPayload = {
         text,
         voiceId: voiceSelect?.value || cd.voiceId || undefined,
-        pitch: pitchHasOverride ? Number(pitchSlider?.value ?? 0) : (cd.pitch !== undefined ? cd.pitch : undefined),
-        speed: speedHasOverride ? Number(speedSlider?.value ?? 1) : (cd.speed !== undefined ? cd.speed : undefined),
-        emotion: emotionSelect?.value || cd.emotion || undefined,
-        languageBoost: languageSelect?.value || cd.language || undefined,
+        ...currentVoiceSettings(),
+        channel: getCurrentChannel() || undefined,
       };
 
       const playerElements: PlayerElements = {
@@ -378,6 +411,7 @@ export function initPreferencesModule(
   }
 
   async function loadVoices(): Promise<void> {
+    void voicePicks.load();
     // Same source the dashboard uses, so both pages offer the same voice IDs.
     let voices: string[] = testMode ? ['Friendly_Person', 'Wise_Woman', 'Deep_Voice_Man'] : [];
 
@@ -385,7 +419,8 @@ export function initPreferencesModule(
       try {
         const response = await fetch(`${apiBaseUrl}/api/voices`);
         if (response.ok) {
-          const data = await response.json() as { voices?: string[] };
+          const data = await response.json() as { voices?: string[]; entries?: VoiceCatalogEntry[] };
+          registerVoiceCatalog(data.entries);
           voices = data.voices || [];
         }
       } catch (error) {
@@ -394,127 +429,35 @@ export function initPreferencesModule(
     }
 
     state.availableVoices = voices;
-    setupVoiceDropdown(voices);
+    if (!state.voicePicker) state.voicePicker = createVoicePicker();
+    state.voicePicker.setVoices(voices);
   }
 
-  function setupVoiceDropdown(voices: string[]): void {
-    const { voiceSearch, voiceSelect, voiceMenu, voiceDropdown } = elements;
-    if (!voiceSearch || !voiceSelect || !voiceMenu || !voiceDropdown) return;
-
-    const list = voiceMenu.querySelector('.voice-dropdown-list');
-    if (!list) return;
-
-    voiceSelect.value = '';
-    voiceSearch.value = 'Use channel default';
-
-    renderVoiceList(voices);
-
-    voiceSearch.addEventListener('click', (e: MouseEvent) => {
-      e.stopPropagation();
-      const isOpen = voiceMenu.classList.contains('show');
-      if (isOpen) {
-        closeDropdown();
-      } else {
-        openDropdown();
-      }
-    });
-
-    voiceSearch.addEventListener('input', () => {
-      const query = voiceSearch.value.toLowerCase();
-      if (query === '' || query === 'use channel default') {
-        renderVoiceList(voices);
-        return;
-      }
-      const filtered = voices.filter(voice =>
-        formatVoiceName(voice).toLowerCase().includes(query)
-      );
-      renderVoiceList(filtered, false);
-    });
-
-    document.addEventListener('click', (e: MouseEvent) => {
-      if (!voiceDropdown.contains(e.target as Node)) {
-        closeDropdown();
-      }
+  function createVoicePicker(): VoicePicker {
+    return new VoicePicker({
+      idPrefix: '',
+      valueInputId: 'voice-select',
+      emptyLabel: 'Use channel default',
+      picks: voicePicks,
+      onSelect: (voiceId) => { void savePreference('voiceId', voiceId || null); },
+      onPlaySample: (voiceId, button) => { void playVoiceSample(voiceId, button); },
+      disabledReason: (voiceId) =>
+        state.allowedVoices && !state.allowedVoices.has(voiceId) ? 'Not allowed on this channel' : null,
     });
+  }
 
-    function openDropdown(): void {
-      if (!voiceMenu || !voiceSearch) return;
-      voiceMenu.classList.add('show');
-      voiceSearch.removeAttribute('readonly');
-      voiceSearch.focus();
-      voiceSearch.select();
-    }
-
-    function closeDropdown(): void {
-      if (!voiceMenu || !voiceSearch || !voiceSelect) return;
-      voiceMenu.classList.remove('show');
-      voiceSearch.setAttribute('readonly', 'readonly');
-      const currentValue = voiceSelect.value;
-      voiceSearch.value = currentValue ? formatVoiceName(currentValue) : 'Use channel default';
-    }
-
-    function renderVoiceList(listVoices: string[], showDefault = true): void {
-      if (!list) return;
-      list.innerHTML = '';
-
-      if (showDefault) {
-        const defaultItem = document.createElement('div');
-        defaultItem.className = 'voice-dropdown-item';
-        const label = document.createElement('span');
-        label.className = 'voice-label';
-        label.textContent = 'Use channel default';
-        label.addEventListener('click', () => {
-          selectVoice('');
-        });
-        defaultItem.appendChild(label);
-        list.appendChild(defaultItem);
-      }
-
-      if (!listVoices.length) {
-        const empty = document.createElement('div');
-        empty.className = 'voice-dropdown-item no-results';
-        empty.textContent = 'No voices found';
-        list.appendChild(empty);
-        return;
-      }
-
-      listVoices.forEach(voiceId => {
-        const item = document.createElement('div');
-        item.className = 'voice-dropdown-item d-flex justify-content-between align-items-center';
-
-        const label = document.createElement('span');
-        label.className = 'voice-label';
-        label.textContent = formatVoiceName(voiceId);
-        label.addEventListener('click', () => selectVoice(voiceId));
-
-        const playBtn = document.createElement('button');
-        playBtn.type = 'button';
-        playBtn.className = 'voice-play-btn';
-        playBtn.setAttribute('aria-label', `Preview ${voiceId}`);
-        playBtn.innerHTML = `
-                    <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
-                        <path d="M8 5v14l11-7z"/>
-                    </svg>
-                `;
-        playBtn.addEventListener('click', async (e: MouseEvent) => {
-          e.stopPropagation();
-          await playVoiceSample(voiceId, playBtn);
-        });
-
-        item.appendChild(label);
-        item.appendChild(playBtn);
-        list.appendChild(item);
-      });
-    }
-
-    function selectVoice(voiceId: string): void {
-      if (!voiceSelect || !voiceSearch || !voiceMenu) return;
-      voiceSelect.value = voiceId;
-      voiceSearch.value = voiceId ? formatVoiceName(voiceId) : 'Use channel default';
-      voiceMenu.classList.remove('show');
-      voiceSearch.setAttribute('readonly', 'readonly');
-      savePreference('voiceId', voiceId || null);
-    }
+  /** The pitch, speed, emotion and language the viewer would be heard with, as far as the page knows. */
+  function currentVoiceSettings(): PreviewSettings {
+    const { pitchSlider, speedSlider, emotionSelect, languageSelect } = elements;
+    const pitchHasOverride = state.currentPreferences?.pitch !== undefined && state.currentPreferences?.pitch !== null;
+    const speedHasOverride = state.currentPreferences?.speed !== undefined && state.currentPreferences?.speed !== null;
+    const cd = state.currentPreferences?.channelDefaults || {};
+    return {
+      pitch: pitchHasOverride ? Number(pitchSlider?.value ?? 0) : (cd.pitch !== undefined ? cd.pitch : undefined),
+      speed: speedHasOverride ? Number(speedSlider?.value ?? 1) : (cd.speed !== undefined ? cd.speed : undefined),
+      emotion: emotionSelect?.value || cd.emotion || undefined,
+      languageBoost: languageSelect?.value || cd.language || undefined,
+    };
   }
 
   async function playVoiceSample(voiceId: string, button: HTMLButtonElement): Promise<void> {
@@ -534,7 +477,11 @@ export function initPreferencesModule(
       if (prevBtn) updatePlayButton(prevBtn, false);
     }
 
-    const preMadeUrl = `/assets/voices/${voiceId}-chat-is-this-real.mp3`;
+    const preMadeUrl = await getPreviewUrl(voiceId, 'viewer', currentVoiceSettings());
+    if (!preMadeUrl) {
+      showToast('No preview available.', 'info');
+      return;
+    }
 
     try {
       const response = await fetch(preMadeUrl);
@@ -609,6 +556,12 @@ export function initPreferencesModule(
         channelPolicy: { allowViewerPreferences: true },
         ignoreStatus: { tts: false },
       };
+      if (currentChannel) {
+        demo.speed = 1.2;
+        demo.globalPreferences = { speed: 1.2 };
+        demo.channelOverrides = {};
+        demo.sources = { voiceId: 'default', pitch: 'default', speed: 'global', emotion: 'default', language: 'default', englishNormalization: 'default' };
+      }
       applyPreferences(demo);
       return {
         allowViewerPreferences: true,
@@ -659,9 +612,7 @@ export function initPreferencesModule(
 
     if (voiceSelect) {
       voiceSelect.value = prefs.voiceId || '';
-      if (elements.voiceSearch) {
-        elements.voiceSearch.value = voiceSelect.value ? formatVoiceName(voiceSelect.value) : 'Use channel default';
-      }
+      state.voicePicker?.setValue(voiceSelect.value);
     }
     if (pitchSlider && pitchValue) {
       pitchSlider.value = String(prefs.pitch ?? 0);
@@ -676,6 +627,7 @@ export function initPreferencesModule(
     if (languageSelect) languageSelect.value = prefs.language || '';
     if (englishNormalizationCheckbox) englishNormalizationCheckbox.checked = prefs.englishNormalization || false;
 
+    applyVoicePolicy(prefs.channelPolicy?.voicePolicy, prefs.channelPolicy?.allowedVoices);
     updateHints();
 
     const allowViewerPrefs = prefs?.channelPolicy?.allowViewerPreferences !== false;
@@ -691,9 +643,63 @@ export function initPreferencesModule(
     if (prefsDisabledNote) {
       prefsDisabledNote.classList.toggle('d-none', allowViewerPrefs);
     }
+
+    // With a channel loaded, the per-field buttons drop that channel's
+    // override instead of clearing the global preference.
+    const scoped = Boolean(getCurrentChannel());
+    [voiceReset, pitchReset, speedReset, emotionReset, languageReset, elements.englishNormalizationReset].forEach(btn => {
+      if (!btn) return;
+      btn.textContent = scoped ? 'Use global' : 'Clear';
+    });
+    if (elements.resetChannelOverridesBtn) {
+      elements.resetChannelOverridesBtn.classList.toggle('d-none', !scoped);
+      elements.resetChannelOverridesBtn.disabled = !allowViewerPrefs || !hasChannelOverrides();
+    }
     updateSidebarMeta();
   }
 
+  /**
+   * Narrow the controls to what the channel allows. The server still enforces
+   * the limits; this only keeps the page from offering choices that would be
+   * set aside.
+   */
+  function applyVoicePolicy(policy: VoicePolicy | undefined, allowedVoices: string[] | null | undefined): void {
+    const { pitchSlider, speedSlider, emotionSelect, policyNote } = elements;
+    state.allowedVoices = allowedVoices ? new Set(allowedVoices) : null;
+    state.voicePicker?.refresh();
+
+    if (pitchSlider) {
+      pitchSlider.min = policy?.pitch ? String(policy.pitch.min) : sliderBounds.pitch.min;
+      pitchSlider.max = policy?.pitch ? String(policy.pitch.max) : sliderBounds.pitch.max;
+    }
+    if (speedSlider) {
+      speedSlider.min = policy?.speed ? String(policy.speed.min) : sliderBounds.speed.min;
+      speedSlider.max = policy?.speed ? String(policy.speed.max) : sliderBounds.speed.max;
+    }
+    if (emotionSelect) {
+      const emotions = policy?.emotions || [];
+      Array.from(emotionSelect.options).forEach(option => {
+        option.disabled = option.value !== '' && emotions.length > 0 && !emotions.includes(option.value);
+      });
+    }
+    if (policyNote) {
+      const restricted = !isUnrestricted(policy);
+      policyNote.classList.toggle('d-none', !restricted);
+      policyNote.textContent = restricted && policy
+        ? `This channel limits viewer voice settings. ${describeVoicePolicy(policy).join(' ')}`
+        : '';
+    }
+  }
+
+  function hasChannelOverrides(): boolean {
+    const overrides = state.currentPreferences.channelOverrides || {};
+    return Object.values(overrides).some(value => value !== null && value !== undefined && value !== '');
+  }
+
+  function isSet(value: unknown): boolean {
+    return value !== null && value !== undefined && value !== '';
+  }
+
   function updateHints(keys?: PreferenceKey[]): void {
     const map: Record<PreferenceKey, HTMLElement | null> = {
       voiceId: elements.hintVoice,
@@ -716,15 +722,50 @@ export function initPreferencesModule(
   function describePreferenceHint(key: PreferenceKey): string {
     const prefs = state.currentPreferences || {};
     const cd = prefs.channelDefaults || {};
-    const userVal = prefs[key];
     const defVal = cd[key];
-    const hasUser = userVal !== null && userVal !== undefined && userVal !== '';
-    const hasDef = defVal !== null && defVal !== undefined && defVal !== '';
-    if (hasUser) return `Using your global preference: ${formatValueForHint(key, userVal)}`;
-    if (hasDef) return `Using channel default: ${formatValueForHint(key, defVal)}`;
+    // Said first, so the viewer knows why what they picked is not what plays.
+    const limited = prefs.restricted?.includes(key) ? 'Your choice is outside this channel\'s limits. ' : '';
+    if (prefs.sources) {
+      return limited + describeSource(key, prefs.sources[key], prefs[key] as PreferenceValue, defVal as PreferenceValue);
+    }
+    const userVal = prefs[key];
+    if (isSet(userVal)) return `Using your global preference: ${formatValueForHint(key, userVal as PreferenceValue)}`;
+    if (isSet(defVal)) return `Using channel default: ${formatValueForHint(key, defVal as PreferenceValue)}`;
     return 'Using system default';
   }
 
+  function describeSource(key: PreferenceKey, source: PreferenceSource | undefined, value: PreferenceValue, defVal: PreferenceValue): string {
+    if (source === 'assigned') return 'Set by the streamer for you on this channel';
+    if (source === 'channel') return `Set for this channel: ${formatValueForHint(key, value)}`;
+    if (source === 'global') return `Using your global preference: ${formatValueForHint(key, value)}`;
+    if (source === 'default') return `Using channel default: ${formatValueForHint(key, defVal)}`;
+    return 'Using system default';
+  }
+
+  /**
+   * Keep the loaded state in step with a saved channel override, so the hints
+   * are right without reloading. A null override falls back to the global
+   * preference, then to the channel default.
+   */
+  function applyChannelOverride(key: PreferenceKey, value: PreferenceValue): void {
+    const prefs = state.currentPreferences;
+    const overrides = { ...(prefs.channelOverrides || {}) } as Record<string, PreferenceValue>;
+    overrides[key] = value;
+    prefs.channelOverrides = overrides as ViewerPreferences;
+    const globalVal = (prefs.globalPreferences || {})[key];
+    const defVal = (prefs.channelDefaults || {})[key];
+    let source: PreferenceSource = null;
+    if (isSet(value)) source = 'channel';
+    else if (isSet(globalVal)) source = 'global';
+    else if (isSet(defVal)) source = 'default';
+    (prefs as Record<string, PreferenceValue>)[key] = isSet(value) ? value : (globalVal ?? null);
+    prefs.sources = { ...(prefs.sources || {}), [key]: source };
+    // The server refuses an override outside the channel's limits, so one
+    // that saved is within them.
+    if (isSet(value)) prefs.restricted = (prefs.restricted || []).filter(k => k !== key);
+    if (elements.resetChannelOverridesBtn) elements.resetChannelOverridesBtn.disabled = !hasChannelOverrides();
+  }
+
   function formatValueForHint(key: PreferenceKey, value: PreferenceValue): string {
     if (value === '' || value === undefined || value === null) return String(value);
     if (key === 'speed') return formatNumberCompact(Number(value));
@@ -733,7 +774,10 @@ export function initPreferencesModule(
 
   function revertDOMElement(key: PreferenceKey, value: PreferenceValue): void {
     const { voiceSelect, pitchSlider, speedSlider, emotionSelect, languageSelect, englishNormalizationCheckbox } = elements;
-    if (key === 'voiceId' && voiceSelect) voiceSelect.value = String(value ?? '');
+    if (key === 'voiceId' && voiceSelect) {
+      voiceSelect.value = String(value ?? '');
+      state.voicePicker?.setValue(voiceSelect.value);
+    }
     if (key === 'pitch' && pitchSlider) pitchSlider.value = String(value ?? 0);
     if (key === 'speed' && speedSlider) speedSlider.value = String(value ?? 1);
     if (key === 'emotion' && emotionSelect) emotionSelect.value = String(value ?? '');
@@ -742,9 +786,12 @@ export function initPreferencesModule(
   }
 
   async function savePreference(key: PreferenceKey, value: PreferenceValue): Promise<void> {
+    const scoped = Boolean(getCurrentChannel());
     const previous = state.currentPreferences ? state.currentPreferences[key] : undefined;
+    const previousOverride = state.currentPreferences.channelOverrides?.[key];
     if (state.currentPreferences) {
-      (state.currentPreferences as Record<string, PreferenceValue>)[key] = value;
+      if (scoped) applyChannelOverride(key, value);
+      else (state.currentPreferences as Record<string, PreferenceValue>)[key] = value;
       updateHints([key]);
       updateSidebarMeta();
     }
@@ -762,6 +809,7 @@ export function initPreferencesModule(
       showToast('Preference updated.', 'success');
     } catch (error) {
       if (state.currentPreferences) {
+        if (scoped) applyChannelOverride(key, (previousOverride ?? null) as PreferenceValue);
         (state.currentPreferences as Record<string, PreferenceValue>)[key] = previous as PreferenceValue;
         revertDOMElement(key, previous as PreferenceValue);
         updateHints([key]);
@@ -779,7 +827,11 @@ export function initPreferencesModule(
     fallbackValue: PreferenceValue
   ): Promise<void> {
     const cd = (state.currentPreferences && state.currentPreferences.channelDefaults) ? state.currentPreferences.channelDefaults : {};
-    const defaultValue = (cd[key] !== undefined && cd[key] !== null) ? cd[key] : fallbackValue;
+    // Dropping a channel override lands on the global preference first.
+    const globalVal = getCurrentChannel() ? (state.currentPreferences.globalPreferences || {})[key] : undefined;
+    const defaultValue = isSet(globalVal)
+      ? globalVal
+      : ((cd[key] !== undefined && cd[key] !== null) ? cd[key] : fallbackValue);
     if (!element) return;
     if (element instanceof HTMLInputElement && element.type === 'checkbox') {
       element.checked = Boolean(defaultValue);
@@ -793,9 +845,28 @@ export function initPreferencesModule(
         output.textContent = outVal;
       }
     }
+    if (key === 'voiceId') state.voicePicker?.setValue(element.value);
     await savePreference(key, null);
   }
 
+  async function resetChannelOverrides(): Promise<void> {
+    const currentChannel = getCurrentChannel();
+    if (!currentChannel) return;
+    if (testMode) {
+      showToast('Channel settings reset to global (test mode).', 'success');
+      return;
+    }
+    try {
+      await fetchWithAuth(`${apiBaseUrl}/api/viewer/preferences/${encodeURIComponent(currentChannel)}`, { method: 'DELETE' });
+      showToast('This channel now uses your global preferences.', 'success');
+      await loadPreferences();
+    } catch (error) {
+      console.error('Failed to reset channel preferences:', error);
+      const err = error as Error;
+      showToast(`Cannot reset channel preferences: ${err.message}`, 'error');
+    }
+  }
+
   function updateSidebarMeta(liveOverrides: { pitch?: number, speed?: number } = {}): void {
     const prefs = state.currentPreferences || {};
     const cd = prefs.channelDefaults || {};
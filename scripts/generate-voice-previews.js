@@ -2,20 +2,44 @@
 
 /**
  * Voice Preview Generator for WildcatTTS Web UI
- * 
- * This script generates TTS audio files for voice previews using the Wavespeed API.
- * It creates two types of files:
+ *
+ * Generates the pre-made preview clips under public/assets/voices, two per
+ * released voice in the catalog (functions/src/services/voice-catalog.json):
  * 1. Dashboard files: {VoiceId}-welcome-everyone-to-the-stream.mp3
  * 2. Viewer files: {VoiceId}-chat-is-this-real.mp3
- * 
- * Usage: node generate-voice-previews.js
- * 
+ *
+ * With --matrix, each phrase is also rendered in every emotion in VALID_EMOTIONS
+ * (functions/src/services/tts-config.json) at each of the pitch/speed presets
+ * in MATRIX_PRESETS, as {VoiceId}-{phrase}.{emotion}[.{preset}].mp3. That is
+ * over forty clips per phrase, so it is usually paired with --voices.
+ *
+ * Everything generated is recorded in public/assets/voices/manifest.json:
+ * the text and settings each clip was made with, a hash of those (the source
+ * hash), and the file's SHA-256, duration and size. The frontend reads the
+ * manifest to know which previews exist (public/js/common/voice-preview.ts).
+ *
+ * A clip is only generated when its source hash changed or its file is gone,
+ * and the manifest is saved after every clip, so an interrupted run picks up
+ * where it stopped. Failed clips are retried with backoff and then left for
+ * the next run.
+ *
+ * Usage:
+ *   node generate-voice-previews.js [--concurrency=3] [--voices=Id1,Id2] [--matrix] [--dry-run]
+ *   node generate-voice-previews.js --verify   Re-hash every file; entries that no
+ *                                             longer match are dropped, so the next
+ *                                             run regenerates them
+ *   node generate-voice-previews.js --prune    Delete clips the manifest does not list,
+ *                                             and entries for voices no longer released
+ *   node generate-voice-previews.js --adopt    Record clips that exist but are not in
+ *                                             the manifest as made with today's settings
+ *
  * Requirements:
- * - WAVESPEED_API_KEY environment variable must be set
+ * - T302_API_KEY (or 302_KEY) environment variable must be set to generate
  * - Node.js with fetch support (Node 18+)
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync, statSync } from 'fs';
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, statSync, readdirSync, renameSync, unlinkSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
@@ -28,18 +52,29 @@ const __dirname = dirname(__filename);
 
 // Configuration
 const VOICES_DIR = join(__dirname, '..', 'public', 'assets', 'voices');
-const WAVESPEED_API_KEY = process.env.WAVESPEED_API_KEY;
+const MANIFEST_PATH = join(VOICES_DIR, 'manifest.json');
+const CATALOG_PATH = join(__dirname, '..', 'functions', 'src', 'services', 'voice-catalog.json');
+const TTS_CONFIG_PATH = join(__dirname, '..', 'functions', 'src', 'services', 'tts-config.json');
 const T302_API_KEY = process.env.T302_API_KEY || process.env['302_KEY']; // Fallback for local dev
-const WAVESPEED_API_URL = 'https://api.wavespeed.ai/api/v3/minimax/speech-02-turbo';
 const T302_ENDPOINT = process.env.T302_API_ENDPOINT || 'https://api.302.ai/minimaxi/v1/t2a_v2';
+const T302_MODEL = 'speech-2.8-turbo';
+const MANIFEST_VERSION = 2;
+const MAX_ATTEMPTS = 3;
+
+// The English text of each phrase, which is what the pages compare against
+// and what the filenames are made from.
+const PHRASES = {
+    dashboard: "Welcome, everyone, to the stream!",
+    viewer: "Chat is this real?"
+};
 
-// Language-specific texts for each type
+// Language-specific texts for each phrase, keyed by the catalog's language
 const LANGUAGE_TEXTS = {
     'English': {
         dashboard: "Welcome, everyone, to the stream!",
         viewer: "Chat is this real?"
     },
-    'Chinese (Mandarin)': {
+    'Chinese': {
         dashboard: "欢迎大家来到直播间！",
         viewer: "Chat，这是真的吗？"
     },
@@ -47,7 +82,7 @@ const LANGUAGE_TEXTS = {
         dashboard: "مرحباً بكم جميعاً في البث المباشر!",
         viewer: "شات، هل هذا حقيقي؟"
     },
-    'Cantonese': {
+    'Chinese,Yue': {
         dashboard: "歡迎大家嚟到直播間！",
         viewer: "Chat，呢個係咪真㗎？"
     },
@@ -194,485 +229,255 @@ const LANGUAGE_TEXTS = {
     'Afrikaans': {
         dashboard: "Welkom almal by die stream!",
         viewer: "Chat, is dit waar?"
-    },
-    'English (British Child)': {
-        dashboard: "Welcome, everyone, to the stream!",
-        viewer: "Chat is this real?"
-    },
-    'English (Whisper)': {
-        dashboard: "Welcome, everyone, to the stream!",
-        viewer: "Chat is this real?"
-    },
-    'English (Conversational)': {
-        dashboard: "Welcome, everyone, to the stream!",
-        viewer: "Chat is this real?"
-    },
-    'Special Effects': {
-        dashboard: "Welcome, everyone, to the stream!",
-        viewer: "Chat is this real?"
-    },
-    'Special Characters': {
-        dashboard: "Welcome, everyone, to the stream!",
-        viewer: "Chat is this real?"
     }
 };
-
 // Default TTS settings (as per README requirements)
 const DEFAULT_SETTINGS = {
     speed: 1.0,
-    volume: 1,
+    volume: 1.0,
     pitch: 0,
     emotion: "neutral",
-    english_normalization: false,
-    enable_sync_mode: false
+    languageBoost: "auto"
+};
+
+// Pitch/speed presets for --matrix, by the name used in keys and filenames
+const MATRIX_PRESETS = {
+    default: { pitch: 0, speed: 1.0 },
+    low: { pitch: -6, speed: 1.0 },
+    high: { pitch: 6, speed: 1.0 },
+    slow: { pitch: 0, speed: 0.75 },
+    fast: { pitch: 0, speed: 1.5 }
 };
 
 /**
- * Extract language from voice ID (copied from wavespeedVoices.js)
- * @param {string} voiceId - The voice ID
- * @returns {string} - The language name
+ * Parse --flag and --key=value arguments
+ * @param {string[]} argv - The arguments after the script name
+ * @returns {object} - The options
  */
-function extractLanguage(voiceId) {
-    // Check for language prefix patterns
-    if (voiceId.startsWith('Chinese (Mandarin)_')) return 'Chinese (Mandarin)';
-    if (voiceId.startsWith('English_')) return 'English';
-    if (voiceId.startsWith('Arabic_')) return 'Arabic';
-    if (voiceId.startsWith('Cantonese_')) return 'Cantonese';
-    if (voiceId.startsWith('Dutch_')) return 'Dutch';
-    if (voiceId.startsWith('French_')) return 'French';
-    if (voiceId.startsWith('German_')) return 'German';
-    if (voiceId.startsWith('Indonesian_')) return 'Indonesian';
-    if (voiceId.startsWith('Italian_')) return 'Italian';
-    if (voiceId.startsWith('Japanese_')) return 'Japanese';
-    if (voiceId.startsWith('Korean_')) return 'Korean';
-    if (voiceId.startsWith('Portuguese_')) return 'Portuguese';
-    if (voiceId.startsWith('Russian_')) return 'Russian';
-    if (voiceId.startsWith('Spanish_')) return 'Spanish';
-    if (voiceId.startsWith('Turkish_')) return 'Turkish';
-    if (voiceId.startsWith('Ukrainian_')) return 'Ukrainian';
-    if (voiceId.startsWith('Vietnamese_')) return 'Vietnamese';
-    if (voiceId.startsWith('Thai_')) return 'Thai';
-    if (voiceId.startsWith('Polish_')) return 'Polish';
-    if (voiceId.startsWith('Romanian_')) return 'Romanian';
-    if (voiceId.startsWith('Greek_') || voiceId.startsWith('greek_')) return 'Greek';
-    if (voiceId.startsWith('czech_')) return 'Czech';
-    if (voiceId.startsWith('finnish_')) return 'Finnish';
-    if (voiceId.startsWith('hindi_')) return 'Hindi';
-    if (voiceId.startsWith('Bulgarian_')) return 'Bulgarian';
-    if (voiceId.startsWith('Danish_')) return 'Danish';
-    if (voiceId.startsWith('Hebrew_')) return 'Hebrew';
-    if (voiceId.startsWith('Malay_')) return 'Malay';
-    if (voiceId.startsWith('Persian_')) return 'Persian';
-    if (voiceId.startsWith('Slovak_')) return 'Slovak';
-    if (voiceId.startsWith('Swedish_')) return 'Swedish';
-    if (voiceId.startsWith('Croatian_')) return 'Croatian';
-    if (voiceId.startsWith('Filipino_')) return 'Filipino';
-    if (voiceId.startsWith('Hungarian_')) return 'Hungarian';
-    if (voiceId.startsWith('Norwegian_')) return 'Norwegian';
-    if (voiceId.startsWith('Slovenian_')) return 'Slovenian';
-    if (voiceId.startsWith('Catalan_')) return 'Catalan';
-    if (voiceId.startsWith('Nynorsk_')) return 'Nynorsk';
-    if (voiceId.startsWith('Tamil_')) return 'Tamil';
-    if (voiceId.startsWith('Afrikaans_')) return 'Afrikaans';
-    if (voiceId.startsWith('BritishChild_')) return 'English (British Child)';
-
-    // Special cases
-    if (voiceId.startsWith('whisper_')) return 'English (Whisper)';
-    if (voiceId.startsWith('moss_audio_')) return 'Special Effects';
-    if (voiceId.startsWith('conversational_') || voiceId.startsWith('socialmedia_')) return 'English (Conversational)';
-    if (['angry_pirate_1', 'massive_kind_troll', 'movie_trailer_deep', 'peace_and_ease', 'Robot_Armor', 'Arrogant_Miss', 'hunyin_6'].includes(voiceId)) {
-        return 'Special Characters';
+function parseArgs(argv) {
+    const options = { concurrency: 3, voices: null, matrix: false, dryRun: false, verify: false, prune: false, adopt: false };
+    for (const arg of argv) {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        if (key === 'concurrency') options.concurrency = Math.max(1, parseInt(value, 10) || 1);
+        else if (key === 'voices') options.voices = new Set(value.split(',').map(id => id.trim()).filter(Boolean));
+        else if (key === 'matrix') options.matrix = true;
+        else if (key === 'dry-run') options.dryRun = true;
+        else if (key === 'verify') options.verify = true;
+        else if (key === 'prune') options.prune = true;
+        else if (key === 'adopt') options.adopt = true;
+        else throw new Error(`Unknown option: ${arg}`);
     }
-
-    // Default voices (no prefix) - assume English
-    return 'English';
+    return options;
 }
 
-// Voice list from wavespeedVoices.js
-const WAVESPEED_VOICE_IDS = [
-    "Wise_Woman", "Friendly_Person", "Inspirational_girl", "Deep_Voice_Man", "Calm_Woman", "Casual_Guy", "Lively_Girl", "Patient_Man", "Young_Knight", "Determined_Man", "Lovely_Girl", "Decent_Boy", "Imposing_Manner", "Elegant_Man", "Abbess", "Sweet_Girl_2", "Exuberant_Girl",
-    "English_expressive_narrator", "English_radiant_girl", "English_magnetic_voiced_man", "English_compelling_lady1", "English_Aussie_Bloke", "English_captivating_female1", "English_Upbeat_Woman", "English_Trustworth_Man", "English_CalmWoman", "English_UpsetGirl", "English_Gentle-voiced_man", "English_Whispering_girl", "English_Whispering_girl_v3", "English_Diligent_Man", "English_Graceful_Lady", "English_Husky_MetalHead", "English_ReservedYoungMan", "English_PlayfulGirl", "English_ManWithDeepVoice", "English_GentleTeacher", "English_MaturePartner", "English_FriendlyPerson", "English_MatureBoss", "English_Debator", "whisper_man", "English_Abbess", "English_LovelyGirl", "whisper_woman_1", "English_Steadymentor", "English_Deep-VoicedGentleman", "English_DeterminedMan", "English_Wiselady", "English_CaptivatingStoryteller", "English_AttractiveGirl", "English_DecentYoungMan", "English_SentimentalLady", "English_ImposingManner", "English_SadTeen", "English_ThoughtfulMan", "English_PassionateWarrior", "English_DecentBoy", "English_WiseScholar", "English_Soft-spokenGirl", "English_SereneWoman", "English_ConfidentWoman", "English_PatientMan", "English_Comedian", "English_GorgeousLady", "English_BossyLeader", "English_LovelyLady", "English_Strong-WilledBoy", "English_Deep-tonedMan", "English_StressedLady", "English_AssertiveQueen", "English_AnimeCharacter", "English_Jovialman", "English_WhimsicalGirl", "English_CharmingQueen", "English_Kind-heartedGirl", "English_FriendlyNeighbor", "English_Sweet_Female_4", "English_Magnetic_Male_2", "English_Lively_Male_11", "English_Friendly_Female_3", "English_Steady_Female_1", "English_Lively_Male_10", "English_Magnetic_Male_12", "English_Steady_Female_5", "English_Insightful_Speaker", "English_patient_man_v1", "English_Persuasive_Man", "English_Explanatory_Man", "English_intellect_female_1", "English_energetic_male_1", "English_witty_female_1", "English_Lucky_Robot", "English_Cute_Girl", "English_Sharp_Commentator", "English_Honest_Man",
-    "angry_pirate_1", "massive_kind_troll", "movie_trailer_deep", "peace_and_ease",
-    "moss_audio_6dc281eb-713c-11f0-a447-9613c873494c", "moss_audio_c12a59b9-7115-11f0-a447-9613c873494c", "moss_audio_076697ad-7144-11f0-a447-9613c873494c", "moss_audio_737a299c-734a-11f0-918f-4e0486034804", "moss_audio_19dbb103-7350-11f0-ad20-f2bc95e89150", "moss_audio_7c7e7ae2-7356-11f0-9540-7ef9b4b62566", "moss_audio_570551b1-735c-11f0-b236-0adeeecad052", "moss_audio_ad5baf92-735f-11f0-8263-fe5a2fe98ec8", "moss_audio_cedfd4d2-736d-11f0-99be-fe40dd2a5fe8", "moss_audio_a0d611da-737c-11f0-ad20-f2bc95e89150", "moss_audio_4f4172f4-737b-11f0-9540-7ef9b4b62566", "moss_audio_62ca20b0-7380-11f0-99be-fe40dd2a5fe8",
-    "conversational_female_1_v1", "conversational_female_2_v1", "socialmedia_female_1_v1",
-    "BritishChild_male_1_v1", "BritishChild_female_1_v1",
-    "Chinese (Mandarin)_Reliable_Executive", "Chinese (Mandarin)_News_Anchor", "Chinese (Mandarin)_Unrestrained_Young_Man", "Chinese (Mandarin)_Mature_Woman", "Arrogant_Miss", "Chinese (Mandarin)_Kind-hearted_Antie", "Robot_Armor", "hunyin_6", "Chinese (Mandarin)_HK_Flight_Attendant", "Chinese (Mandarin)_Humorous_Elder", "Chinese (Mandarin)_Gentleman", "Chinese (Mandarin)_Warm_Bestie", "Chinese (Mandarin)_Stubborn_Friend", "Chinese (Mandarin)_Sweet_Lady", "Chinese (Mandarin)_Southern_Young_Man", "Chinese (Mandarin)_Wise_Women", "Chinese (Mandarin)_Gentle_Youth", "Chinese (Mandarin)_Warm_Girl", "Chinese (Mandarin)_Male_Announcer", "Chinese (Mandarin)_Kind-hearted_Elder", "Chinese (Mandarin)_Cute_Spirit", "Chinese (Mandarin)_Radio_Host", "Chinese (Mandarin)_Lyrical_Voice", "Chinese (Mandarin)_Straightforward_Boy", "Chinese (Mandarin)_Sincere_Adult", "Chinese (Mandarin)_Gentle_Senior", "Chinese (Mandarin)_Crisp_Girl", "Chinese (Mandarin)_Pure-hearted_Boy", "Chinese (Mandarin)_Soft_Girl", "Chinese (Mandarin)_IntellectualGirl", "Chinese (Mandarin)_Warm_HeartedGirl", "Chinese (Mandarin)_Laid_BackGirl", "Chinese (Mandarin)_ExplorativeGirl", "Chinese (Mandarin)_Warm-HeartedAunt", "Chinese (Mandarin)_BashfulGirl",
-    "Arabic_CalmWoman", "Arabic_FriendlyGuy",
-    "Cantonese_ProfessionalHost（F)", "Cantonese_ProfessionalHost (F)", "Cantonese_GentleLady", "Cantonese_ProfessionalHost（M)", "Cantonese_ProfessionalHost (M)", "Cantonese_PlayfulMan", "Cantonese_CuteGirl", "Cantonese_KindWoman", "Cantonese_Narrator", "Cantonese_WiselProfessor", "Cantonese_IndifferentStaff",
-    "Dutch_kindhearted_girl", "Dutch_bossy_leader",
-    "French_Male_Speech_New", "French_Female_News Anchor", "French_CasualMan", "French_MovieLeadFemale", "French_FemaleAnchor", "French_MaleNarrator", "French_Female Journalist", "French_Female_Speech_New",
-    "German_FriendlyMan", "German_SweetLady", "German_PlayfulMan",
-    "Indonesian_SweetGirl", "Indonesian_ReservedYoungMan", "Indonesian_CharmingGirl", "Indonesian_CalmWoman", "Indonesian_ConfidentWoman", "Indonesian_CaringMan", "Indonesian_BossyLeader", "Indonesian_DeterminedBoy", "Indonesian_GentleGirl",
-    "Italian_BraveHeroine", "Italian_Narrator", "Italian_WanderingSorcerer", "Italian_DiligentLeader", "Italian_ReliableMan", "Italian_AthleticStudent", "Italian_ArrogantPrincess",
-    "Japanese_Whisper_Belle", "Japanese_IntellectualSenior", "Japanese_DecisivePrincess", "Japanese_LoyalKnight", "Japanese_DominantMan", "Japanese_SeriousCommander", "Japanese_ColdQueen", "Japanese_DependableWoman", "Japanese_GentleButler", "Japanese_KindLady", "Japanese_CalmLady", "Japanese_OptimisticYouth", "Japanese_GenerousIzakayaOwner", "Japanese_SportyStudent", "Japanese_InnocentBoy", "Japanese_GracefulMaiden",
-    "Korean_PowerfulGirl", "Korean_BossyMan", "Korean_SweetGirl", "Korean_CheerfulBoyfriend", "Korean_EnchantingSister", "Korean_ShyGirl", "Korean_ReliableSister", "Korean_StrictBoss", "Korean_SassyGirl", "Korean_ChildhoodFriendGirl", "Korean_PlayboyCharmer", "Korean_ElegantPrincess", "Korean_BraveFemaleWarrior", "Korean_BraveYouth", "Korean_CalmLady", "Korean_EnthusiasticTeen", "Korean_SoothingLady", "Korean_IntellectualSenior", "Korean_LonelyWarrior", "Korean_MatureLady", "Korean_InnocentBoy", "Korean_CharmingSister", "Korean_AthleticStudent", "Korean_BraveAdventurer", "Korean_CalmGentleman", "Korean_WiseElf", "Korean_CheerfulCoolJunior", "Korean_DecisiveQueen", "Korean_ColdYoungMan", "Korean_MysteriousGirl", "Korean_QuirkyGirl", "Korean_ConsiderateSenior", "Korean_CheerfulLittleSister", "Korean_DominantMan", "Korean_AirheadedGirl", "Korean_ReliableYouth", "Korean_FriendlyBigSister", "Korean_GentleBoss", "Korean_ColdGirl", "Korean_HaughtyLady", "Korean_CharmingElderSister", "Korean_IntellectualMan", "Korean_CaringWoman", "Korean_WiseTeacher", "Korean_ConfidentBoss", "Korean_AthleticGirl", "Korean_PossessiveMan", "Korean_GentleWoman", "Korean_CockyGuy", "Korean_ThoughtfulWoman", "Korean_OptimisticYouth",
-    "Portuguese_AnxiousMan", "Portuguese_Matureresearcher", "Portuguese_Optimisticyouth", "Portuguese_CuteElf", "Portuguese_EnergeticGirl", "Portuguese_FunnyGuy", "Portuguese_Nuttylady", "Portuguese_Deep-tonedMan", "Portuguese_SentimentalLady", "Portuguese_BossyLeader", "Portuguese_Wiselady", "Portuguese_Strong-WilledBoy", "Portuguese_Deep-VoicedGentleman", "Portuguese_UpsetGirl", "Portuguese_PassionateWarrior", "Portuguese_AnimeCharacter", "Portuguese_ConfidentWoman", "Portuguese_AngryMan", "Portuguese_CaptivatingStoryteller", "Portuguese_Godfather", "Portuguese_ReservedYoungMan", "Portuguese_SmartYoungGirl", "Portuguese_Kind-heartedGirl", "Portuguese_Pompouslady", "Portuguese_Grinch", "Portuguese_Debator", "Portuguese_SweetGirl", "Portuguese_AttractiveGirl", "Portuguese_ThoughtfulMan", "Portuguese_PlayfulGirl", "Portuguese_GorgeousLady", "Portuguese_LovelyLady", "Portuguese_SereneWoman", "Portuguese_SadTeen", "Portuguese_MaturePartner", "Portuguese_Comedian", "Portuguese_NaughtySchoolgirl", "Portuguese_Narrator", "Portuguese_ToughBoss", "Portuguese_Fussyhostess", "Portuguese_Dramatist", "Portuguese_Steadymentor", "Portuguese_Jovialman", "Portuguese_CharmingQueen", "Portuguese_SantaClaus", "Portuguese_Rudolph", "Portuguese_Arnold", "Portuguese_CharmingSanta", "Portuguese_Ghost", "Portuguese_HumorousElder", "Portuguese_CalmLeader", "Portuguese_GentleTeacher", "Portuguese_EnergeticBoy", "Portuguese_ReliableMan", "Portuguese_SereneElder", "Portuguese_GrimReaper", "Portuguese_AssertiveQueen", "Portuguese_WhimsicalGirl", "Portuguese_StressedLady", "Portuguese_FriendlyNeighbor", "Portuguese_CaringGirlfriend", "Portuguese_PowerfulSoldier", "Portuguese_FascinatingBoy", "Portuguese_RomanticHusband", "Portuguese_StrictBoss", "Portuguese_InspiringLady", "Portuguese_PlayfulSpirit", "Portuguese_ElegantGirl", "Portuguese_CompellingGirl", "Portuguese_PowerfulVeteran", "Portuguese_SensibleManager", "Portuguese_ThoughtfulLady", "Portuguese_TheatricalActor", "Portuguese_FragileBoy", "Portuguese_ChattyGirl", "Portuguese_Conscientiousinstructor", "Portuguese_RationalMan", "Portuguese_WiseScholar", "Portuguese_FrankLady", "Portuguese_DeterminedManager", "Portuguese_CharmingLady",
-    "Russian_HandsomeChildhoodFriend", "Russian_BrightHeroine", "Russian_AmbitiousWoman", "Russian_ReliableMan", "Russian_CrazyQueen", "Russian_PessimisticGirl", "Russian_AttractiveGuy", "Russian_Bad-temperedBoy",
-    "Spanish_FriendlyNeighbor", "Spanish_FragileBoy", "Spanish_UpsetGirl", "Spanish_Soft-spokenGirl", "Spanish_CharmingQueen", "Spanish_Nuttylady", "Spanish_ElegantGirl", "Spanish_FascinatingBoy", "Spanish_FunnyGuy", "Spanish_PlayfulSpirit", "Spanish_TheatricalActor", "Spanish_SereneWoman", "Spanish_MaturePartner", "Spanish_CaptivatingStoryteller", "Spanish_Narrator", "Spanish_WiseScholar", "Spanish_Kind-heartedGirl", "Spanish_DeterminedManager", "Spanish_BossyLeader", "Spanish_ReservedYoungMan", "Spanish_ConfidentWoman", "Spanish_ThoughtfulMan", "Spanish_Strong-WilledBoy", "Spanish_SophisticatedLady", "Spanish_RationalMan", "Spanish_AnimeCharacter", "Spanish_Deep-tonedMan", "Spanish_Fussyhostess", "Spanish_SincereTeen", "Spanish_FrankLady", "Spanish_Comedian", "Spanish_Debator", "Spanish_ToughBoss", "Spanish_Wiselady", "Spanish_Steadymentor", "Spanish_Jovialman", "Spanish_SantaClaus", "Spanish_Rudolph", "Spanish_Intonategirl", "Spanish_Arnold", "Spanish_Ghost", "Spanish_HumorousElder", "Spanish_EnergeticBoy", "Spanish_WhimsicalGirl", "Spanish_StrictBoss", "Spanish_ReliableMan", "Spanish_SereneElder", "Spanish_AngryMan", "Spanish_AssertiveQueen", "Spanish_CaringGirlfriend", "Spanish_PowerfulSoldier", "Spanish_PassionateWarrior", "Spanish_ChattyGirl", "Spanish_RomanticHusband", "Spanish_CompellingGirl", "Spanish_PowerfulVeteran", "Spanish_SensibleManager", "Spanish_ThoughtfulLady",
-    "Turkish_CalmWoman", "Turkish_Trustworthyman",
-    "Ukrainian_CalmWoman", "Ukrainian_WiseScholar",
-    "Vietnamese_Serene_Man", "Vietnamese_female_4_v1", "Vietnamese_male_1_v2", "Vietnamese_kindhearted_girl",
-    "Thai_Optimistic_girl", "Thai_male_1_sample8", "Thai_Tender_Woman", "Thai_male_2_sample2", "Thai_female_1_sample1", "Thai_female_2_sample2",
-    "Polish_male_1_sample4", "Polish_male_2_sample3", "Polish_female_1_sample1", "Polish_female_2_sample3",
-    "Romanian_male_1_sample2", "Romanian_male_2_sample1", "Romanian_female_1_sample4", "Romanian_female_2_sample1",
-    "Greek_female_1_sample1", "greek_male_1a_v1", "Greek_female_2_sample3",
-    "czech_male_1_v1", "czech_female_5_v7", "czech_female_2_v2",
-    "finnish_male_3_v1", "finnish_female_4_v1", "finnish_male_1_v2",
-    "hindi_male_1_v2", "hindi_female_2_v1", "hindi_female_1_v2",
-    "Bulgarian_male_2_v1", "Bulgarian_female_1_v1",
-    "Danish_male_1_v1", "Danish_female_1_v1",
-    "Hebrew_male_1_v1", "Hebrew_female_1_v1",
-    "Malay_male_1_v1", "Malay_female_1_v1", "Malay_female_2_v1",
-    "Persian_male_1_v1", "Persian_female_1_v1",
-    "Slovak_male_1_v1", "Slovak_female_1_v1",
-    "Swedish_male_1_v1", "Swedish_female_1_v1",
-    "Croatian_male_1_v1", "Croatian_female_1_v1",
-    "Filipino_male_1_v1", "Filipino_female_1_v1",
-    "Hungarian_male_1_v1", "Hungarian_female_1_v1",
-    "Norwegian_male_1_v1", "Norwegian_female_1_v1",
-    "Slovenian_male_1_v1", "Slovenian_female_1_v2",
-    "Catalan_male_1_v1", "Catalan_female_1_v1",
-    "Nynorsk_male_1_v1", "Nynorsk_female_1_v1",
-    "Tamil_male_1_v1", "Tamil_female_1_v1",
-    "Afrikaans_male_1_v1", "Afrikaans_female_1_v1"
-];
-
 /**
  * Generate filename for voice preview
  * @param {string} voiceId - The voice ID
- * @param {string} type - Either 'dashboard' or 'viewer'
+ * @param {string} phrase - Either 'dashboard' or 'viewer'
+ * @param {string[]} cell - The matrix cell: an emotion, then a preset unless it is the default
  * @returns {string} - The filename
  */
-function generateFilename(voiceId, type) {
-    const text = type === 'dashboard' ? 'welcome-everyone-to-the-stream' : 'chat-is-this-real';
-    return `${voiceId}-${text}.mp3`;
+function generateFilename(voiceId, phrase, cell = []) {
+    const slug = PHRASES[phrase].toLowerCase()
+        .replace(/[^a-z0-9]/g, '-')
+        .replace(/-+/g, '-')
+        .replace(/^-|-$/g, '');
+    return [`${voiceId}-${slug}`, ...cell, 'mp3'].join('.');
 }
 
 /**
- * Check if file already exists and is in the correct language
- * @param {string} filename - The filename to check
- * @param {string} expectedLanguage - The expected language for this voice
- * @returns {boolean} - True if file exists and is correct, false if needs regeneration
+ * The matrix cells beyond the default clip: every emotion at every preset
+ * @returns {{cell: string[], settings: object}[]} - The cells
  */
-function shouldSkipFile(filename, expectedLanguage) {
-    const filePath = join(VOICES_DIR, filename);
-
-    if (!existsSync(filePath)) {
-        return false; // File doesn't exist, need to generate
+function matrixCells() {
+    const { VALID_EMOTIONS } = JSON.parse(readFileSync(TTS_CONFIG_PATH, 'utf8'));
+    const cells = [];
+    for (const emotion of VALID_EMOTIONS) {
+        for (const [preset, values] of Object.entries(MATRIX_PRESETS)) {
+            if (emotion === DEFAULT_SETTINGS.emotion && preset === 'default') continue;
+            cells.push({
+                cell: preset === 'default' ? [emotion] : [emotion, preset],
+                settings: { ...DEFAULT_SETTINGS, ...values, emotion }
+            });
+        }
     }
+    return cells;
+}
 
-    // Check file size - if it's too small (like the 63-byte files), regenerate
-    const stats = statSync(filePath);
-    if (stats.size < 1000) { // Less than 1KB is probably broken
-        console.log(`  🔄 File ${filename} is too small (${stats.size} bytes), regenerating...`);
-        return false;
-    }
+function sha256(data) {
+    return createHash('sha256').update(data).digest('hex');
+}
 
-    // All voices use 302.ai as of 2026-03-06 (verified all 475 voices work)
-    // Only regenerate if the file is old (e.g. older than 12 hours)
-    const twelveHoursAgo = Date.now() - (12 * 60 * 60 * 1000);
-    if (stats.mtimeMs < twelveHoursAgo) {
-        console.log(`  🔄 Regenerating old file ${filename} (from ${stats.mtime.toISOString()})...`);
-        return false;
+/**
+ * Every clip the catalog calls for, with what it should be made from. A clip
+ * is keyed in the manifest by its phrase, plus its matrix cell if it has one.
+ * @param {Set<string>|null} onlyVoices - Limit to these voice IDs
+ * @param {boolean} matrix - Include the matrix cells
+ * @returns {object[]} - One job per voice, phrase and cell
+ */
+function planJobs(onlyVoices, matrix) {
+    const catalog = JSON.parse(readFileSync(CATALOG_PATH, 'utf8'));
+    const cells = [{ cell: [], settings: { ...DEFAULT_SETTINGS } }, ...(matrix ? matrixCells() : [])];
+    const jobs = [];
+    for (const voice of catalog) {
+        if (voice.status !== 'released') continue;
+        if (onlyVoices && !onlyVoices.has(voice.id)) continue;
+        const texts = LANGUAGE_TEXTS[voice.language] || LANGUAGE_TEXTS['English'];
+        for (const phrase of Object.keys(PHRASES)) {
+            const text = texts[phrase];
+            for (const { cell, settings } of cells) {
+                jobs.push({
+                    voiceId: voice.id,
+                    phrase,
+                    key: [phrase, ...cell].join('~'),
+                    file: generateFilename(voice.id, phrase, cell),
+                    text,
+                    language: voice.language,
+                    settings,
+                    sourceHash: sha256(JSON.stringify([T302_MODEL, voice.id, text, settings])).slice(0, 16)
+                });
+            }
+        }
     }
-
-    // For now, assume existing files are correct
-    console.log(`✓ Skipping ${filename} (already exists, ${stats.size} bytes)`);
-    return true;
+    return jobs;
 }
 
-// List of voice IDs supported by 302.ai / Minimax speech-2.8-turbo
-const T302_SUPPORTED_VOICE_IDS = [
-    // English
-    "English_expressive_narrator", "English_radiant_girl", "English_magnetic_voiced_man",
-    "English_compelling_lady1", "English_Aussie_Bloke", "English_captivating_female1",
-    "English_Upbeat_Woman", "English_Trustworth_Man", "English_CalmWoman", "English_UpsetGirl",
-    "English_Gentle-voiced_man", "English_Whispering_girl", "English_Diligent_Man",
-    "English_Graceful_Lady", "English_ReservedYoungMan", "English_PlayfulGirl",
-    "English_ManWithDeepVoice", "English_MaturePartner", "English_FriendlyPerson",
-    "English_MatureBoss", "English_Debator", "English_LovelyGirl", "English_Steadymentor",
-    "English_Deep-VoicedGentleman", "English_Wiselady", "English_CaptivatingStoryteller",
-    "English_DecentYoungMan", "English_SentimentalLady", "English_ImposingManner",
-    "English_SadTeen", "English_PassionateWarrior", "English_WiseScholar",
-    "English_Soft-spokenGirl", "English_SereneWoman", "English_ConfidentWoman",
-    "English_PatientMan", "English_Comedian", "English_BossyLeader", "English_Strong-WilledBoy",
-    "English_StressedLady", "English_AssertiveQueen", "English_AnimeCharacter",
-    "English_Jovialman", "English_WhimsicalGirl", "English_Kind-heartedGirl",
-    "English_intellect_female_1", "English_energetic_male_1", "English_witty_female_1",
-    "English_Lucky_Robot", "English_Cute_Girl", "English_Sharp_Commentator", "English_Honest_Man",
-    "English_Insightful_Speaker", "English_patient_man_v1", "English_Persuasive_Man",
-    "English_Explanatory_Man", "English_Lively_Male_10", "English_Lively_Male_11",
-    "English_Magnetic_Male_2", "English_Magnetic_Male_12", "English_Friendly_Female_3",
-    "English_Steady_Female_1", "English_Steady_Female_5", "English_Sweet_Female_4",
-    "English_Husky_MetalHead", "English_GentleTeacher", "English_AttractiveGirl",
-    "English_ThoughtfulMan", "English_DecentBoy",
-
-    // Chinese (Mandarin)
-    "Chinese (Mandarin)_Reliable_Executive", "Chinese (Mandarin)_News_Anchor",
-    "Chinese (Mandarin)_Unrestrained_Young_Man", "Chinese (Mandarin)_Mature_Woman",
-    "Arrogant_Miss", "Robot_Armor", "Chinese (Mandarin)_Kind-hearted_Antie",
-    "Chinese (Mandarin)_HK_Flight_Attendant", "Chinese (Mandarin)_Humorous_Elder",
-    "Chinese (Mandarin)_Gentleman", "Chinese (Mandarin)_Warm_Bestie",
-    "Chinese (Mandarin)_Stubborn_Friend", "Chinese (Mandarin)_Sweet_Lady",
-    "Chinese (Mandarin)_Southern_Young_Man", "Chinese (Mandarin)_Wise_Women",
-    "Chinese (Mandarin)_Gentle_Youth", "Chinese (Mandarin)_Warm_Girl",
-    "Chinese (Mandarin)_Male_Announcer", "Chinese (Mandarin)_Kind-hearted_Elder",
-    "Chinese (Mandarin)_Cute_Spirit", "Chinese (Mandarin)_Radio_Host",
-    "Chinese (Mandarin)_Lyrical_Voice", "Chinese (Mandarin)_Straightforward_Boy",
-    "Chinese (Mandarin)_Sincere_Adult", "Chinese (Mandarin)_Gentle_Senior",
-    "Chinese (Mandarin)_Crisp_Girl", "Chinese (Mandarin)_Pure-hearted_Boy",
-    "Chinese (Mandarin)_Soft_Girl", "Chinese (Mandarin)_IntellectualGirl",
-    "Chinese (Mandarin)_Warm_HeartedGirl", "Chinese (Mandarin)_Laid_BackGirl",
-    "Chinese (Mandarin)_ExplorativeGirl", "Chinese (Mandarin)_Warm-HeartedAunt",
-    "Chinese (Mandarin)_BashfulGirl",
-
-    // Japanese
-    "Japanese_IntellectualSenior", "Japanese_DecisivePrincess", "Japanese_LoyalKnight",
-    "Japanese_DominantMan", "Japanese_SeriousCommander", "Japanese_ColdQueen",
-    "Japanese_DependableWoman", "Japanese_GentleButler", "Japanese_KindLady",
-    "Japanese_CalmLady", "Japanese_OptimisticYouth", "Japanese_GenerousIzakayaOwner",
-    "Japanese_SportyStudent", "Japanese_InnocentBoy", "Japanese_GracefulMaiden",
-
-    // Cantonese
-    "Cantonese_ProfessionalHost (F)", "Cantonese_ProfessionalHost（F)", "Cantonese_GentleLady",
-    "Cantonese_ProfessionalHost (M)", "Cantonese_ProfessionalHost（M)",
-    "Cantonese_PlayfulMan", "Cantonese_CuteGirl", "Cantonese_KindWoman",
-
-    // Korean
-    "Korean_AirheadedGirl", "Korean_AthleticGirl", "Korean_AthleticStudent",
-    "Korean_BraveAdventurer", "Korean_BraveFemaleWarrior", "Korean_BraveYouth",
-    "Korean_CalmGentleman", "Korean_CalmLady", "Korean_CaringWoman",
-    "Korean_CharmingElderSister", "Korean_CharmingSister", "Korean_CheerfulBoyfriend",
-    "Korean_CheerfulCoolJunior", "Korean_CheerfulLittleSister", "Korean_ChildhoodFriendGirl",
-    "Korean_CockyGuy", "Korean_ColdGirl", "Korean_ColdYoungMan", "Korean_ConfidentBoss",
-    "Korean_ConsiderateSenior", "Korean_DecisiveQueen", "Korean_DominantMan",
-    "Korean_ElegantPrincess", "Korean_EnchantingSister", "Korean_EnthusiasticTeen",
-    "Korean_FriendlyBigSister", "Korean_GentleBoss", "Korean_GentleWoman",
-    "Korean_HaughtyLady", "Korean_InnocentBoy", "Korean_IntellectualMan",
-    "Korean_IntellectualSenior", "Korean_LonelyWarrior", "Korean_MatureLady",
-    "Korean_MysteriousGirl", "Korean_OptimisticYouth", "Korean_PlayboyCharmer",
-    "Korean_PossessiveMan", "Korean_QuirkyGirl", "Korean_ReliableSister",
-    "Korean_ReliableYouth", "Korean_SassyGirl", "Korean_ShyGirl", "Korean_SoothingLady",
-    "Korean_StrictBoss", "Korean_SweetGirl", "Korean_ThoughtfulWoman", "Korean_WiseElf",
-    "Korean_WiseTeacher",
-
-    // Spanish
-    "Spanish_SereneWoman", "Spanish_MaturePartner", "Spanish_CaptivatingStoryteller",
-    "Spanish_Narrator", "Spanish_WiseScholar", "Spanish_Kind-heartedGirl",
-    "Spanish_DeterminedManager", "Spanish_BossyLeader", "Spanish_ReservedYoungMan",
-    "Spanish_ConfidentWoman", "Spanish_ThoughtfulMan", "Spanish_Strong-WilledBoy",
-    "Spanish_SophisticatedLady", "Spanish_RationalMan", "Spanish_AnimeCharacter",
-    "Spanish_Deep-tonedMan", "Spanish_Fussyhostess", "Spanish_SincereTeen",
-    "Spanish_FrankLady", "Spanish_Comedian", "Spanish_Debator", "Spanish_ToughBoss",
-    "Spanish_Wiselady", "Spanish_Steadymentor", "Spanish_Jovialman", "Spanish_SantaClaus",
-    "Spanish_Rudolph", "Spanish_Intonategirl", "Spanish_Arnold", "Spanish_Ghost",
-    "Spanish_HumorousElder", "Spanish_EnergeticBoy", "Spanish_WhimsicalGirl",
-    "Spanish_StrictBoss", "Spanish_ReliableMan", "Spanish_SereneElder", "Spanish_AngryMan",
-    "Spanish_AssertiveQueen", "Spanish_CaringGirlfriend", "Spanish_PowerfulSoldier",
-    "Spanish_PassionateWarrior", "Spanish_ChattyGirl", "Spanish_RomanticHusband",
-    "Spanish_CompellingGirl", "Spanish_PowerfulVeteran", "Spanish_SensibleManager",
-    "Spanish_ThoughtfulLady",
-
-    // Portuguese
-    "Portuguese_SentimentalLady", "Portuguese_BossyLeader", "Portuguese_Wiselady",
-    "Portuguese_Strong-WilledBoy", "Portuguese_Deep-VoicedGentleman", "Portuguese_UpsetGirl",
-    "Portuguese_PassionateWarrior", "Portuguese_AnimeCharacter", "Portuguese_ConfidentWoman",
-    "Portuguese_AngryMan", "Portuguese_CaptivatingStoryteller", "Portuguese_Godfather",
-    "Portuguese_ReservedYoungMan", "Portuguese_SmartYoungGirl", "Portuguese_Kind-heartedGirl",
-    "Portuguese_Pompouslady", "Portuguese_Grinch", "Portuguese_Debator", "Portuguese_SweetGirl",
-    "Portuguese_AttractiveGirl", "Portuguese_ThoughtfulMan", "Portuguese_PlayfulGirl",
-    "Portuguese_GorgeousLady", "Portuguese_LovelyLady", "Portuguese_SereneWoman",
-    "Portuguese_SadTeen", "Portuguese_MaturePartner", "Portuguese_Comedian",
-    "Portuguese_NaughtySchoolgirl", "Portuguese_Narrator", "Portuguese_ToughBoss",
-    "Portuguese_Fussyhostess", "Portuguese_Dramatist", "Portuguese_Steadymentor",
-    "Portuguese_Jovialman", "Portuguese_CharmingQueen", "Portuguese_SantaClaus",
-    "Portuguese_Rudolph", "Portuguese_Arnold", "Portuguese_CharmingSanta",
-    "Portuguese_CharmingLady", "Portuguese_Ghost", "Portuguese_HumorousElder",
-    "Portuguese_CalmLeader", "Portuguese_GentleTeacher", "Portuguese_EnergeticBoy",
-    "Portuguese_ReliableMan", "Portuguese_SereneElder", "Portuguese_GrimReaper",
-    "Portuguese_AssertiveQueen", "Portuguese_WhimsicalGirl", "Portuguese_StressedLady",
-    "Portuguese_FriendlyNeighbor", "Portuguese_CaringGirlfriend", "Portuguese_PowerfulSoldier",
-    "Portuguese_FascinatingBoy", "Portuguese_RomanticHusband", "Portuguese_StrictBoss",
-    "Portuguese_InspiringLady", "Portuguese_PlayfulSpirit", "Portuguese_ElegantGirl",
-    "Portuguese_CompellingGirl", "Portuguese_PowerfulVeteran", "Portuguese_SensibleManager",
-    "Portuguese_ThoughtfulLady", "Portuguese_TheatricalActor", "Portuguese_FragileBoy",
-    "Portuguese_ChattyGirl", "Portuguese_Conscientiousinstructor", "Portuguese_RationalMan",
-    "Portuguese_WiseScholar", "Portuguese_FrankLady", "Portuguese_DeterminedManager",
-
-    // French
-    "French_Male_Speech_New", "French_Female_News Anchor", "French_CasualMan",
-    "French_MovieLeadFemale", "French_FemaleAnchor", "French_MaleNarrator",
-
-    // Indonesian
-    "Indonesian_SweetGirl", "Indonesian_ReservedYoungMan", "Indonesian_CharmingGirl",
-    "Indonesian_CalmWoman", "Indonesian_ConfidentWoman", "Indonesian_CaringMan",
-    "Indonesian_BossyLeader", "Indonesian_DeterminedBoy", "Indonesian_GentleGirl",
-
-    // German
-    "German_FriendlyMan", "German_SweetLady", "German_PlayfulMan",
-
-    // Russian
-    "Russian_HandsomeChildhoodFriend", "Russian_BrightHeroine", "Russian_AmbitiousWoman",
-    "Russian_ReliableMan", "Russian_CrazyQueen", "Russian_PessimisticGirl",
-    "Russian_AttractiveGuy", "Russian_Bad-temperedBoy",
-
-    // Italian
-    "Italian_BraveHeroine", "Italian_Narrator", "Italian_WanderingSorcerer",
-    "Italian_DiligentLeader",
-
-    // Dutch
-    "Dutch_kindhearted_girl", "Dutch_bossy_leader",
-
-    // Vietnamese
-    "Vietnamese_kindhearted_girl",
-
-    // Arabic
-    "Arabic_CalmWoman", "Arabic_FriendlyGuy",
-
-    // Turkish
-    "Turkish_CalmWoman", "Turkish_Trustworthyman",
-
-    // Ukrainian
-    "Ukrainian_CalmWoman", "Ukrainian_WiseScholar",
-
-    // Thai
-    "Thai_male_1_sample8", "Thai_male_2_sample2", "Thai_female_1_sample1", "Thai_female_2_sample2",
-
-    // Polish
-    "Polish_male_1_sample4", "Polish_male_2_sample3", "Polish_female_1_sample1", "Polish_female_2_sample3",
-
-    // Romanian
-    "Romanian_male_1_sample2", "Romanian_male_2_sample1", "Romanian_female_1_sample4", "Romanian_female_2_sample1",
-
-    // Greek
-    "greek_male_1a_v1", "Greek_female_1_sample1", "Greek_female_2_sample3",
-
-    // Czech
-    "czech_male_1_v1", "czech_female_5_v7", "czech_female_2_v2",
-
-    // Finnish
-    "finnish_male_3_v1", "finnish_male_1_v2", "finnish_female_4_v1",
-
-    // Hindi
-    "hindi_male_1_v2", "hindi_female_2_v1", "hindi_female_1_v2"
-];
+function loadManifest() {
+    if (!existsSync(MANIFEST_PATH)) {
+        return { version: MANIFEST_VERSION, phrases: PHRASES, voices: {} };
+    }
+    const manifest = JSON.parse(readFileSync(MANIFEST_PATH, 'utf8'));
+    const voices = manifest.voices || {};
+    // Version 1 had one clip per phrase, keyed by the phrase alone
+    for (const clips of Object.values(voices)) {
+        for (const [key, entry] of Object.entries(clips)) clips[key] = { phrase: key, ...entry };
+    }
+    return { ...manifest, version: MANIFEST_VERSION, phrases: PHRASES, voices };
+}
 
 /**
- * Submit TTS request to Wavespeed API
- * @param {string} voiceId - The voice ID
- * @param {string} text - The text to synthesize
- * @param {string} language - The language for language boost
- * @returns {Promise<string>} - The request ID
+ * Write the manifest, one voice per line in sorted order: compact for the
+ * browser that loads it, and still a readable diff. Written to a temporary
+ * file first so a crash never leaves half a manifest.
  */
-async function submitTTSRequest(voiceId, text, language) {
-    const payload = {
-        text,
-        voice_id: voiceId,
-        ...DEFAULT_SETTINGS
-    };
+function saveManifest(manifest) {
+    const voiceIds = Object.keys(manifest.voices).sort()
+        .filter(voiceId => Object.keys(manifest.voices[voiceId]).length > 0);
+    const voiceLines = voiceIds.map(voiceId => `${JSON.stringify(voiceId)}:${JSON.stringify(manifest.voices[voiceId])}`);
+    const json = `{"version":${manifest.version},"phrases":${JSON.stringify(manifest.phrases)},"voices":{\n` +
+        `${voiceLines.join(',\n')}\n}}\n`;
+    const tmpPath = `${MANIFEST_PATH}.tmp`;
+    writeFileSync(tmpPath, json);
+    renameSync(tmpPath, MANIFEST_PATH);
+}
 
-    // Add language boost for supported languages only
-    // Some languages cause 400 errors, so we'll be selective
-    const supportedLanguages = {
-        'Chinese (Mandarin)': 'Chinese',
-        'Arabic': 'Arabic',
-        'Cantonese': 'Chinese,Yue',
-        'Dutch': 'Dutch',
-        'French': 'French',
-        'German': 'German',
-        'Indonesian': 'Indonesian',
-        'Italian': 'Italian',
-        'Japanese': 'Japanese',
-        'Korean': 'Korean',
-        'Portuguese': 'Portuguese',
-        'Russian': 'Russian',
-        'Spanish': 'Spanish',
-        'Turkish': 'Turkish',
-        'Ukrainian': 'Ukrainian',
-        'Vietnamese': 'Vietnamese',
-        'Thai': 'Thai',
-        'Polish': 'Polish',
-        'Romanian': 'Romanian',
-        'Greek': 'Greek',
-        'Czech': 'Czech',
-        'Finnish': 'Finnish',
-        'Hindi': 'Hindi'
-        // Removed languages that cause 400 errors:
-        // Bulgarian, Danish, Hebrew, Malay, Persian, Slovak, Swedish, 
-        // Croatian, Filipino, Hungarian, Norwegian, Slovenian, Catalan, 
-        // Nynorsk, Tamil, Afrikaans
-    };
+function getEntry(manifest, voiceId, key) {
+    return manifest.voices[voiceId]?.[key] || null;
+}
 
-    if (language !== 'English' && language !== 'English (British Child)' &&
-        language !== 'English (Whisper)' && language !== 'English (Conversational)' &&
-        language !== 'Special Effects' && language !== 'Special Characters') {
+function setEntry(manifest, voiceId, key, entry) {
+    manifest.voices[voiceId] = manifest.voices[voiceId] || {};
+    if (entry) manifest.voices[voiceId][key] = entry;
+    else delete manifest.voices[voiceId][key];
+}
 
-        const languageBoost = supportedLanguages[language];
-        if (languageBoost) {
-            payload.language_boost = languageBoost;
-        }
-    }
+/**
+ * Whether a job is already done: recorded with the same source hash, and its
+ * file still there at the recorded size
+ */
+function isUpToDate(manifest, job) {
+    const entry = getEntry(manifest, job.voiceId, job.key);
+    if (!entry || entry.sourceHash !== job.sourceHash) return false;
+    const filePath = join(VOICES_DIR, job.file);
+    return existsSync(filePath) && statSync(filePath).size === entry.bytes;
+}
 
-    const response = await fetch(WAVESPEED_API_URL, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${WAVESPEED_API_KEY}`
-        },
-        body: JSON.stringify(payload)
-    });
+const MP3_BITRATES = {
+    // kbps by bitrate index, Layer III
+    1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
 
-    if (!response.ok) {
-        if (response.status === 403) {
-            throw new Error(`403 Forbidden - Voice ${voiceId} may not be available`);
-        }
-        if (response.status === 429) {
-            throw new Error(`429 Too Many Requests - Rate limited`);
+/**
+ * Length of an MP3 in milliseconds, by walking its frame headers
+ * @param {Buffer} data - The file
+ * @returns {number|null} - The duration, or null if no frames were found
+ */
+function mp3DurationMs(data) {
+    let offset = 0;
+    // Skip an ID3v2 tag; its size is four 7-bit bytes
+    if (data.length > 10 && data.toString('latin1', 0, 3) === 'ID3') {
+        offset = 10 + ((data[6] << 21) | (data[7] << 14) | (data[8] << 7) | data[9]);
+    }
+    let seconds = 0;
+    let frames = 0;
+    while (offset + 4 <= data.length) {
+        if (data[offset] !== 0xFF || (data[offset + 1] & 0xE0) !== 0xE0) {
+            offset++;
+            continue;
         }
-        if (response.status === 400) {
-            // Try to get more details about the 400 error
-            try {
-                const errorData = await response.json();
-                throw new Error(`400 Bad Request - ${errorData.message || 'Invalid request parameters'}`);
-            } catch {
-                throw new Error(`400 Bad Request - Voice ${voiceId} may not support this language or text`);
-            }
+        const versionBits = (data[offset + 1] >> 3) & 0x03; // 3 = MPEG1, 2 = MPEG2, 0 = MPEG2.5
+        const layerBits = (data[offset + 1] >> 1) & 0x03; // 1 = Layer III
+        const bitrateIndex = data[offset + 2] >> 4;
+        const sampleRateIndex = (data[offset + 2] >> 2) & 0x03;
+        const padding = (data[offset + 2] >> 1) & 0x01;
+        const bitrate = MP3_BITRATES[versionBits === 3 ? 1 : 2][bitrateIndex] * 1000;
+        const sampleRate = MP3_SAMPLE_RATES[versionBits]?.[sampleRateIndex];
+        if (versionBits === 1 || layerBits !== 1 || !bitrate || !sampleRate) {
+            offset++;
+            continue;
         }
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const result = await response.json();
-
-    // According to the API docs, the response structure is:
-    // { code: 200, message: "success", data: { id: "task_id", ... } }
-    if (result.code === 200 && result.data && result.data.id) {
-        return result.data.id;
+        const samplesPerFrame = versionBits === 3 ? 1152 : 576;
+        const frameLength = Math.floor((samplesPerFrame / 8) * bitrate / sampleRate) + padding;
+        seconds += samplesPerFrame / sampleRate;
+        frames++;
+        offset += frameLength;
     }
+    return frames > 0 ? Math.round(seconds * 1000) : null;
+}
 
-    throw new Error(`Unexpected response format: ${JSON.stringify(result)}`);
+/**
+ * The manifest entry for a clip
+ * @param {object} job - What the clip was made from
+ * @param {Buffer} audioData - The file
+ * @param {string} generatedAt - When it was made, as an ISO date
+ * @returns {object} - The entry
+ */
+function describeClip(job, audioData, generatedAt) {
+    return {
+        phrase: job.phrase,
+        file: job.file,
+        text: job.text,
+        language: job.language,
+        model: T302_MODEL,
+        settings: job.settings,
+        sourceHash: job.sourceHash,
+        sha256: sha256(audioData),
+        durationMs: mp3DurationMs(audioData),
+        bytes: audioData.length,
+        generatedAt
+    };
 }
 
 /**
  * Submit TTS request to 302.ai API
  * @param {string} voiceId - The voice ID
  * @param {string} text - The text to synthesize
+ * @param {object} settings - Speed, volume, pitch, emotion and language boost
  * @returns {Promise<Buffer>} - The audio data
  */
-async function submitTTSRequest302(voiceId, text) {
-    if (!T302_API_KEY) {
-        throw new Error('T302_API_KEY environment variable is required for 302.ai voices');
-    }
-
+async function submitTTSRequest302(voiceId, text, settings) {
     const payload = {
-        model: 'speech-2.8-turbo',
+        model: T302_MODEL,
         text,
         stream: false,
         voice_setting: {
             voice_id: voiceId,
-            speed: 1.0,
-            vol: 1.0,
-            pitch: 0,
-            emotion: 'neutral',
+            speed: settings.speed,
+            vol: settings.volume,
+            pitch: settings.pitch,
+            emotion: settings.emotion,
             text_normalization: false,
         },
         audio_setting: {
@@ -681,7 +486,7 @@ async function submitTTSRequest302(voiceId, text) {
             format: 'mp3',
             channel: 1,
         },
-        language_boost: 'auto',
+        language_boost: settings.languageBoost,
         output_format: 'url'
     };
 
@@ -712,7 +517,6 @@ async function submitTTSRequest302(voiceId, text) {
     }
 
     // Download the audio file
-    console.log(`  🔗 Downloading audio from: ${audioUrl}`);
     const audioResponse = await fetch(audioUrl);
     if (!audioResponse.ok) {
         throw new Error(`Failed to download audio: ${audioResponse.status} ${audioResponse.statusText}`);
@@ -721,116 +525,133 @@ async function submitTTSRequest302(voiceId, text) {
 }
 
 /**
- * Poll for TTS result
- * @param {string} requestId - The request ID
- * @returns {Promise<Buffer>} - The audio data
+ * Generate one clip, retrying with backoff, and record it in the manifest
+ * @param {object} manifest - The manifest, saved on success
+ * @param {object} job - The clip to make
+ * @returns {Promise<boolean>} - Whether it was generated
  */
-async function pollForResult(requestId) {
-    const maxAttempts = 30; // 30 seconds max
-    const pollInterval = 1000; // 1 second
-
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-        const response = await fetch(`https://api.wavespeed.ai/api/v3/predictions/${requestId}/result`, {
-            headers: {
-                'Authorization': `Bearer ${WAVESPEED_API_KEY}`
+async function generateAudioFile(manifest, job) {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        try {
+            const audioData = await submitTTSRequest302(job.voiceId, job.text, job.settings);
+            if (audioData.length < 1000) { // Less than 1KB is probably broken
+                throw new Error(`Audio too small (${audioData.length} bytes)`);
+            }
+            writeFileSync(join(VOICES_DIR, job.file), audioData);
+            setEntry(manifest, job.voiceId, job.key, describeClip(job, audioData, new Date().toISOString()));
+            saveManifest(manifest);
+            console.log(`  ✅ Saved ${job.file} (${audioData.length} bytes)`);
+            return true;
+        } catch (error) {
+            const rateLimited = error.message.includes('HTTP 429');
+            if (attempt === MAX_ATTEMPTS) {
+                console.log(`  ❌ Failed to generate ${job.file}: ${error.message}`);
+                return false;
             }
-        });
+            const delay = (rateLimited ? 5000 : 1000) * 2 ** (attempt - 1);
+            console.log(`  ⏳ ${job.file}: ${error.message}; retrying in ${delay / 1000}s...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+    return false;
+}
 
-        if (!response.ok) {
-            throw new Error(`Failed to get result: ${response.status} ${response.statusText}`);
+/**
+ * Run a worker over the items, at most `limit` at a time
+ */
+async function runPool(items, limit, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            await worker(items[index], index);
         }
+    });
+    await Promise.all(runners);
+}
 
-        const result = await response.json();
-
-        // According to the API docs, the result structure is:
-        // { code: 200, message: "success", data: { status: "completed", outputs: ["url_or_base64"], ... } }
-        if (result.code === 200 && result.data) {
-            if (result.data.status === 'completed' && result.data.outputs && result.data.outputs.length > 0) {
-                const output = result.data.outputs[0];
-
-                // Check if it's a URL or base64 data
-                if (typeof output === 'string' && output.startsWith('http')) {
-                    // It's a URL, download the audio file
-                    console.log(`  🔗 Downloading audio from: ${output}`);
-                    const audioResponse = await fetch(output);
-                    if (!audioResponse.ok) {
-                        throw new Error(`Failed to download audio: ${audioResponse.status} ${audioResponse.statusText}`);
-                    }
-                    const audioData = Buffer.from(await audioResponse.arrayBuffer());
-                    return audioData;
-                } else if (typeof output === 'string') {
-                    // It's base64 data
-                    const audioData = Buffer.from(output, 'base64');
-                    return audioData;
-                } else {
-                    throw new Error(`Unexpected output format: ${typeof output}`);
-                }
-            } else if (result.data.status === 'failed') {
-                throw new Error(`TTS generation failed: ${result.data.error || 'Unknown error'}`);
+/**
+ * Re-hash every recorded clip and drop the entries whose file is missing or changed
+ * @returns {number} - How many entries were dropped
+ */
+function verifyManifest(manifest) {
+    let dropped = 0;
+    for (const [voiceId, clips] of Object.entries(manifest.voices)) {
+        for (const [key, entry] of Object.entries(clips)) {
+            const filePath = join(VOICES_DIR, entry.file);
+            let problem = null;
+            if (!existsSync(filePath)) {
+                problem = 'missing';
+            } else {
+                const data = readFileSync(filePath);
+                if (data.length !== entry.bytes) problem = `size ${data.length}, expected ${entry.bytes}`;
+                else if (sha256(data) !== entry.sha256) problem = 'content changed';
+            }
+            if (problem) {
+                console.log(`  ⚠️  ${entry.file}: ${problem}`);
+                setEntry(manifest, voiceId, key, null);
+                dropped++;
             }
         }
-
-        // Still processing, wait and try again
-        await new Promise(resolve => setTimeout(resolve, pollInterval));
     }
-
-    throw new Error('TTS generation timed out');
+    return dropped;
 }
 
 /**
- * Generate audio file for a voice and type
- * @param {string} voiceId - The voice ID
- * @param {string} type - Either 'dashboard' or 'viewer'
- * @returns {Promise<{success: boolean, madeApiCall: boolean}>} - Result object
+ * Delete clips the manifest does not list, after dropping the entries of
+ * voices that are no longer released. Matrix clips are kept whether or not
+ * --matrix was given.
+ * @returns {{entries: number, files: number}} - What was removed
  */
-async function generateAudioFile(voiceId, type) {
-    const filename = generateFilename(voiceId, type);
-    const language = extractLanguage(voiceId);
+function pruneOrphans(manifest) {
+    const planned = new Set(planJobs(null, true).map(job => `${job.voiceId}/${job.key}`));
+    let entries = 0;
+    for (const [voiceId, clips] of Object.entries(manifest.voices)) {
+        for (const key of Object.keys(clips)) {
+            if (!planned.has(`${voiceId}/${key}`)) {
+                setEntry(manifest, voiceId, key, null);
+                entries++;
+            }
+        }
+    }
 
-    // Skip if file already exists and is correct
-    if (shouldSkipFile(filename, language)) {
-        return { success: true, madeApiCall: false };
+    const listed = new Set();
+    for (const clips of Object.values(manifest.voices)) {
+        for (const entry of Object.values(clips)) listed.add(entry.file);
+    }
+    let files = 0;
+    for (const file of readdirSync(VOICES_DIR)) {
+        if (!file.endsWith('.mp3') || listed.has(file)) continue;
+        unlinkSync(join(VOICES_DIR, file));
+        console.log(`  🗑️  Deleted ${file}`);
+        files++;
     }
+    return { entries, files };
+}
 
-    // Get language-specific text
-    const languageTexts = LANGUAGE_TEXTS[language] || LANGUAGE_TEXTS['English'];
-    const text = type === 'dashboard' ? languageTexts.dashboard : languageTexts.viewer;
-
-    try {
-        console.log(`🎤 Generating ${filename} (${language})...`);
-        console.log(`  📝 Text: ${text}`);
-
-        let audioData;
-        // All voices use 302.ai (speech-2.8-turbo) as primary
-        // Verified 2026-03-06: all 475 voices work on 302.ai
-        console.log(`  🤖 Using 302.ai (speech-2.8-turbo)`);
-        audioData = await submitTTSRequest302(voiceId, text);
-
-        // Save file
-        writeFileSync(join(VOICES_DIR, filename), audioData);
-        console.log(`  ✅ Saved ${filename} (${audioData.length} bytes)`);
-
-        return { success: true, madeApiCall: true };
-    } catch (error) {
-        if (error.message.includes('429 Too Many Requests')) {
-            console.log(`  ⏳ Rate limited, waiting 5 seconds...`);
-            await new Promise(resolve => setTimeout(resolve, 5000));
-            return { success: false, madeApiCall: true }; // Will retry on next iteration
-        }
-        console.log(`  ❌ Failed to generate ${filename}: ${error.message}`);
-        return { success: false, madeApiCall: true };
+/**
+ * Record clips that already exist but have no entry, as if made from today's
+ * plan. For the files generated before there was a manifest.
+ * @returns {number} - How many were adopted
+ */
+function adoptExisting(manifest, jobs) {
+    let adopted = 0;
+    for (const job of jobs) {
+        const filePath = join(VOICES_DIR, job.file);
+        if (getEntry(manifest, job.voiceId, job.key) || !existsSync(filePath)) continue;
+        const data = readFileSync(filePath);
+        if (data.length < 1000) continue;
+        setEntry(manifest, job.voiceId, job.key, describeClip(job, data, statSync(filePath).mtime.toISOString()));
+        adopted++;
     }
+    return adopted;
 }
 
 /**
  * Main function
  */
 async function main() {
-    // Check API key
-    if (!WAVESPEED_API_KEY) {
-        console.error('❌ Error: WAVESPEED_API_KEY environment variable is required');
-        process.exit(1);
-    }
+    const options = parseArgs(process.argv.slice(2));
 
     // Ensure voices directory exists
     if (!existsSync(VOICES_DIR)) {
@@ -838,65 +659,62 @@ async function main() {
         console.log(`📁 Created voices directory: ${VOICES_DIR}`);
     }
 
-    console.log(`🚀 Starting voice preview generation...`);
-    console.log(`📊 Total voices: ${WAVESPEED_VOICE_IDS.length}`);
-    console.log(`📁 Output directory: ${VOICES_DIR}`);
-    console.log('');
+    const manifest = loadManifest();
+    const jobs = planJobs(options.voices, options.matrix);
 
-    let successCount = 0;
-    let errorCount = 0;
-    let skippedCount = 0;
-
-    // Generate files for each voice
-    for (let i = 0; i < WAVESPEED_VOICE_IDS.length; i++) {
-        const voiceId = WAVESPEED_VOICE_IDS[i];
-        const language = extractLanguage(voiceId);
-        console.log(`[${i + 1}/${WAVESPEED_VOICE_IDS.length}] Processing ${voiceId} (${language})...`);
-
-        let madeApiCall = false;
-
-        // Generate dashboard file
-        const dashboardResult = await generateAudioFile(voiceId, 'dashboard');
-        if (dashboardResult.success) {
-            successCount++;
-        } else {
-            errorCount++;
+    if (options.verify || options.prune || options.adopt) {
+        if (options.adopt) {
+            console.log(`📥 Adopted ${adoptExisting(manifest, jobs)} existing files`);
         }
-        if (dashboardResult.madeApiCall) {
-            madeApiCall = true;
+        if (options.verify) {
+            console.log(`🔍 Verified manifest; dropped ${verifyManifest(manifest)} stale entries`);
         }
-
-        // Add delay between requests only if we made an API call
-        if (madeApiCall) {
-            await new Promise(resolve => setTimeout(resolve, 1000));
+        if (options.prune) {
+            if (options.voices) throw new Error('--prune works on the whole catalog; drop --voices');
+            const removed = pruneOrphans(manifest);
+            console.log(`🧹 Pruned ${removed.entries} entries and ${removed.files} files`);
         }
+        saveManifest(manifest);
+        return;
+    }
 
-        // Generate viewer file
-        const viewerResult = await generateAudioFile(voiceId, 'viewer');
-        if (viewerResult.success) {
-            successCount++;
-        } else {
-            errorCount++;
-        }
-        if (viewerResult.madeApiCall) {
-            madeApiCall = true;
-        }
+    const pending = jobs.filter(job => !isUpToDate(manifest, job));
+    console.log(`🚀 Starting voice preview generation...`);
+    console.log(`📊 ${jobs.length} clips planned, ${jobs.length - pending.length} up to date, ${pending.length} to generate`);
+    console.log(`📁 Output directory: ${VOICES_DIR}`);
+    console.log('');
 
-        // Add delay between voices only if we made an API call
-        if (madeApiCall) {
-            await new Promise(resolve => setTimeout(resolve, 1000));
-        }
+    if (options.dryRun) {
+        pending.forEach(job => console.log(`  • ${job.file} (${job.language}): ${job.text}`));
+        return;
+    }
+    if (pending.length === 0) return;
 
-        console.log(''); // Empty line for readability
+    if (!T302_API_KEY) {
+        console.error('❌ Error: T302_API_KEY environment variable is required');
+        process.exit(1);
     }
 
+    let successCount = 0;
+    const failed = [];
+    await runPool(pending, options.concurrency, async (job, index) => {
+        console.log(`[${index + 1}/${pending.length}] 🎤 Generating ${job.file} (${job.language})...`);
+        if (await generateAudioFile(manifest, job)) successCount++;
+        else failed.push(job.file);
+    });
+
     // Summary
+    console.log('');
     console.log('📊 Generation Summary:');
     console.log(`  ✅ Successful: ${successCount}`);
-    console.log(`  ❌ Failed: ${errorCount}`);
-    console.log(`  📁 Total files processed: ${WAVESPEED_VOICE_IDS.length * 2}`);
-    console.log('');
-    console.log('🎉 Voice preview generation complete!');
+    console.log(`  ❌ Failed: ${failed.length}`);
+    if (failed.length > 0) {
+        failed.forEach(file => console.log(`     ${file}`));
+        console.log('  Run again to retry them; finished clips are kept.');
+        process.exitCode = 1;
+    } else {
+        console.log('🎉 Voice preview generation complete!');
+    }
 }
 
 // Run the script